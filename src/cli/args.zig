@@ -14,6 +14,8 @@ pub fn printUsage() void {
         \\    {s}create{s}     Scaffold a new wu-framework project
         \\    {s}add{s}        Add a new micro-app to the project
         \\    {s}info{s}       Show project status and configuration
+        \\    {s}config{s}     Validate wu.config.json or print its JSON Schema
+        \\    {s}cache{s}      Show or clean the .wu-cache/ directory
         \\
         \\  {s}Options:{s}
         \\    {s}-h, --help{s}       Show this help message
@@ -24,8 +26,16 @@ pub fn printUsage() void {
         \\    wu dev
         \\    wu dev --port 3000
         \\    wu build
+        \\    wu build --native
+        \\    wu build --concurrency 2
+        \\    wu build --native --mode staging
+        \\    wu serve --port 8080
         \\    wu add react header
         \\    wu info
+        \\    wu info --graph
+        \\    wu info --graph --dot > graph.dot
+        \\    wu config validate
+        \\    wu cache stats
         \\
         \\  {s}https://wu-framework.com{s}
         \\
@@ -38,6 +48,8 @@ pub fn printUsage() void {
         ansi.green,   ansi.reset,
         ansi.green,   ansi.reset,
         ansi.green,   ansi.reset,
+        ansi.green,   ansi.reset,
+        ansi.green,   ansi.reset,
         ansi.bold,    ansi.reset,
         ansi.dim,     ansi.reset,
         ansi.dim,     ansi.reset,
@@ -69,6 +69,7 @@ pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
     // Load current config to find next available port
     var cfg = config_mod.loadConfig(allocator);
     defer cfg.deinit(allocator);
+    if (cfg.invalid) std.process.exit(1);
     var next_port: u16 = 5001;
     for (cfg.apps) |app| {
         if (app.port >= next_port) next_port = app.port + 1;
@@ -1,70 +1,220 @@
 // WU CLI — `wu build` Command
 //
-// Builds all micro-apps for production in parallel.
-// Each app's build command (default: npx vite build) runs as a child process.
+// Builds the shell and all micro-apps for production in parallel.
+// Each app's build command (default: npx vite build) runs as a child process;
+// up to --concurrency builds (default: the CPU count) run at once.
+//
+// With --native, micro-apps are built by wu itself (runtime/bundler.zig):
+// the dev pipeline compiles every module in production mode and writes
+// content-hashed ES modules plus a Vite-format manifest to <app>/dist/.
+// The shell keeps its own build command.
+//
+// With "shared" singletons in wu.config.json, their version ranges are
+// checked across all apps and the singletons are built once into
+// dist/shared/ with dist/importmap.json (runtime/shared.zig). Native app
+// builds import them through the import map instead of bundling a copy.
+//
+// --mode <name> picks the .env.<name> files (default production). Native
+// builds bake their WU_PUBLIC_ variables into import.meta.env
+// (runtime/env.zig); Vite build commands get the flag passed on.
+//
+// Every build's output goes to .wu-cache/build-logs/<app>.log; the tail of
+// the log is printed for builds that fail. build-report.json records each
+// build's exit code, duration and dist/ size so CI can gate on it.
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
 const config_mod = @import("../config/config.zig");
 const discovery = @import("../config/discovery.zig");
+const bundler = @import("../runtime/bundler.zig");
+const compile_mod = @import("../runtime/compile.zig");
+const shared_mod = @import("../runtime/shared.zig");
+const env_mod = @import("../runtime/env.zig");
+const alias_mod = @import("../runtime/alias.zig");
 const ansi = @import("../util/ansi.zig");
 const builtin = @import("builtin");
 
-pub fn run(allocator: Allocator, _: *std.process.ArgIterator) !void {
+pub const LOG_DIR = ".wu-cache/build-logs";
+const REPORT_PATH = "build-report.json";
+
+/// Lines of a failed build's log printed under its status line.
+const TAIL_LINES = 20;
+
+/// Output captured from one build command (stdout and stderr each).
+const MAX_OUTPUT = 16 * 1024 * 1024;
+
+const Kind = enum {
+    /// The app's build_cmd (default: npx vite build).
+    command,
+    /// runtime/bundler.zig (--native).
+    native,
+    /// The shared singletons, built once for every app.
+    shared,
+};
+
+const Job = struct {
+    name: []const u8,
+    framework: []const u8,
+    dir: []const u8,
+    cmd: []const u8,
+    kind: Kind = .command,
+    /// The app's own "alias" map (native builds).
+    alias: []const config_mod.Alias = &.{},
+
+    // Filled in by the worker that runs the job
+    ok: bool = false,
+    /// Exit status of the build command; null when it was killed by a signal
+    /// or could not be started.
+    exit_code: ?u8 = null,
+    duration_ms: u64 = 0,
+    /// Bytes under <dir>/dist after the build.
+    output_bytes: u64 = 0,
+    log_path: []const u8 = "",
+};
+
+const Queue = struct {
+    allocator: Allocator,
+    jobs: []Job,
+    next: std.atomic.Value(usize) = std.atomic.Value(usize).init(0),
+    search_dirs: []const []const u8,
+    shared: ?*const shared_mod.Plan,
+    /// Picks the .env.[mode] files for native builds.
+    mode: []const u8,
+    /// wu.config.json "alias", for native builds.
+    alias: []const config_mod.Alias = &.{},
+    /// wu.config.json "conditions", for native and shared builds.
+    conditions: []const []const u8 = &.{},
+    /// Keeps each status line and its log tail together on the terminal.
+    print_mutex: std.Thread.Mutex = .{},
+};
+
+pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    var native = false;
+    var concurrency: usize = std.Thread.getCpuCount() catch 1;
+    var mode: ?[]const u8 = null;
+    while (args.next()) |arg| {
+        if (std.mem.eql(u8, arg, "--native")) {
+            native = true;
+        } else if (std.mem.eql(u8, arg, "--mode")) {
+            if (args.next()) |val| mode = val;
+        } else if (std.mem.eql(u8, arg, "--concurrency") or std.mem.eql(u8, arg, "-j")) {
+            if (args.next()) |val| {
+                concurrency = std.fmt.parseInt(usize, val, 10) catch concurrency;
+            }
+        }
+    }
+    if (concurrency == 0) concurrency = 1;
+
     var cfg = config_mod.loadConfig(allocator);
     defer cfg.deinit(allocator);
+    if (cfg.invalid) std.process.exit(1);
     if (!cfg.from_file) {
         cfg = discovery.discover(allocator);
     }
 
-    const total = cfg.apps.len + @as(usize, if (cfg.shell.dir.len > 0) 1 else 0);
-    if (total == 0) {
+    if (cfg.apps.len == 0 and cfg.shell.dir.len == 0) {
         std.debug.print("  {s}No micro-apps found to build.{s}\n", .{
             ansi.red, ansi.reset,
         });
         return;
     }
 
-    std.debug.print("\n  {s}Building {d} micro-app(s)...{s}\n\n", .{
-        ansi.bold, total, ansi.reset,
-    });
+    var arena_state = std.heap.ArenaAllocator.init(allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
 
-    var success: usize = 0;
-    var failed: usize = 0;
+    // Shared singletons: report version conflicts before anything builds
+    var shared_plan: ?shared_mod.Plan = null;
+    defer if (shared_plan) |*p| p.deinit();
+    if (cfg.shared.singletons.len > 0) {
+        shared_plan = try shared_mod.planForConfig(allocator, &cfg);
+    }
 
-    // Build shell first if present
+    var jobs: std.ArrayList(Job) = .empty;
+    if (shared_plan != null) {
+        try jobs.append(arena, .{
+            .name = "shared",
+            .framework = "vanilla",
+            .dir = ".",
+            .cmd = "",
+            .kind = .shared,
+        });
+    }
     if (cfg.shell.dir.len > 0) {
-        const ok = buildOne(allocator, "shell", cfg.shell.framework, cfg.shell.dir, cfg.shell.build_cmd);
-        if (ok) {
-            success += 1;
-            std.debug.print("  {s}✓{s} {s}shell{s}\n", .{
-                ansi.green, ansi.reset, ansi.fw_astro, ansi.reset,
-            });
-        } else {
-            failed += 1;
-            std.debug.print("  {s}✗{s} {s}shell{s}\n", .{
-                ansi.red, ansi.reset, ansi.fw_astro, ansi.reset,
-            });
-        }
+        try jobs.append(arena, .{
+            .name = "shell",
+            .framework = cfg.shell.framework,
+            .dir = cfg.shell.dir,
+            .cmd = cfg.shell.build_cmd,
+        });
     }
-
-    // Build each micro-app
     for (cfg.apps) |app| {
-        const color = ansi.frameworkColor(app.framework);
-        const ok = buildOne(allocator, app.name, app.framework, app.dir, app.build_cmd);
-        if (ok) {
-            success += 1;
-            std.debug.print("  {s}✓{s} {s}{s}{s}\n", .{
-                ansi.green, ansi.reset, color, app.name, ansi.reset,
-            });
-        } else {
-            failed += 1;
-            std.debug.print("  {s}✗{s} {s}{s}{s}\n", .{
-                ansi.red, ansi.reset, color, app.name, ansi.reset,
-            });
-        }
+        const pass_mode = mode != null and std.mem.indexOf(u8, app.build_cmd, "vite") != null;
+        try jobs.append(arena, .{
+            .name = app.name,
+            .framework = app.framework,
+            .dir = app.dir,
+            .cmd = if (pass_mode) try std.fmt.allocPrint(arena, "{s} --mode {s}", .{ app.build_cmd, mode.? }) else app.build_cmd,
+            .kind = if (native) .native else .command,
+            .alias = app.alias,
+        });
     }
 
+    std.fs.cwd().makePath(LOG_DIR) catch {};
+    for (jobs.items) |*job| {
+        job.log_path = try std.fmt.allocPrint(arena, "{s}/{s}.log", .{ LOG_DIR, job.name });
+    }
+
+    // node_modules roots, probed in the same order as the dev server's /@modules/
+    var search_dirs: std.ArrayList([]const u8) = .empty;
+    for (cfg.apps) |app| try search_dirs.append(arena, app.dir);
+    if (cfg.shell.dir.len > 0) try search_dirs.append(arena, cfg.shell.dir);
+    try search_dirs.append(arena, ".");
+
+    const workers = @min(concurrency, jobs.items.len);
+    std.debug.print("\n  {s}Running {d} build(s){s} {s}({d} at a time){s}\n\n", .{
+        ansi.bold, jobs.items.len, ansi.reset, ansi.dim, workers, ansi.reset,
+    });
+
+    var queue: Queue = .{
+        .allocator = allocator,
+        .jobs = jobs.items,
+        .search_dirs = search_dirs.items,
+        .shared = if (shared_plan) |*p| p else null,
+        .mode = mode orelse "production",
+        .alias = cfg.alias,
+        .conditions = cfg.conditions,
+    };
+
+    const started = std.time.milliTimestamp();
+
+    // The calling thread is one of the workers; a spawn failure just
+    // means fewer builds run side by side.
+    const threads = try arena.alloc(?std.Thread, workers - 1);
+    for (threads) |*t| {
+        t.* = std.Thread.spawn(.{}, worker, .{&queue}) catch null;
+    }
+    worker(&queue);
+    for (threads) |t| {
+        if (t) |thread| thread.join();
+    }
+
+    const total_ms: u64 = @intCast(@max(0, std.time.milliTimestamp() - started));
+
+    if (native or shared_plan != null) compile_mod.shutdownDaemon();
+
+    var success: usize = 0;
+    var failed: usize = 0;
+    for (jobs.items) |job| {
+        if (job.ok) success += 1 else failed += 1;
+    }
+
+    writeReport(allocator, jobs.items, workers, total_ms) catch |err| {
+        std.debug.print("  {s}⚠ could not write {s}: {s}{s}\n", .{
+            ansi.yellow, REPORT_PATH, @errorName(err), ansi.reset,
+        });
+    };
+
     std.debug.print("\n  {s}Build complete:{s} {s}{d} passed{s}", .{
         ansi.bold, ansi.reset, ansi.green, success, ansi.reset,
     });
@@ -73,27 +223,251 @@ pub fn run(allocator: Allocator, _: *std.process.ArgIterator) !void {
             ansi.red, failed, ansi.reset,
         });
     }
-    std.debug.print("\n\n", .{});
+    std.debug.print(" {s}in {d:.1}s → {s}{s}\n\n", .{
+        ansi.dim, @as(f64, @floatFromInt(total_ms)) / 1000.0, REPORT_PATH, ansi.reset,
+    });
 
     if (failed > 0) std.process.exit(1);
 }
 
-fn buildOne(allocator: Allocator, name: []const u8, framework: []const u8, dir: []const u8, cmd: []const u8) bool {
-    _ = name;
-    _ = framework;
+/// Take jobs off the queue until none are left.
+fn worker(queue: *Queue) void {
+    while (true) {
+        const index = queue.next.fetchAdd(1, .monotonic);
+        if (index >= queue.jobs.len) return;
+        runJob(queue, &queue.jobs[index]);
+    }
+}
+
+fn runJob(queue: *Queue, job: *Job) void {
+    const allocator = queue.allocator;
+    var log: std.ArrayList(u8) = .empty;
+    defer log.deinit(allocator);
+
+    const started = std.time.milliTimestamp();
+    switch (job.kind) {
+        .command => buildOne(allocator, job, &log),
+        .native => buildNative(allocator, job, queue.search_dirs, queue.shared, queue.mode, queue.alias, queue.conditions, &log),
+        .shared => buildShared(allocator, job, queue.search_dirs, queue.shared.?, queue.conditions, &log),
+    }
+    job.duration_ms = @intCast(@max(0, std.time.milliTimestamp() - started));
+
+    const dist = std.fmt.allocPrint(allocator, "{s}/dist", .{job.dir}) catch "";
+    defer if (dist.len > 0) allocator.free(dist);
+    if (dist.len > 0) job.output_bytes = dirSize(allocator, dist);
+
+    std.fs.cwd().writeFile(.{ .sub_path = job.log_path, .data = log.items }) catch {};
+
+    queue.print_mutex.lock();
+    defer queue.print_mutex.unlock();
+
+    const color = switch (job.kind) {
+        .shared => ansi.bold,
+        else => if (std.mem.eql(u8, job.name, "shell")) ansi.fw_astro else ansi.frameworkColor(job.framework),
+    };
+    const seconds = @as(f64, @floatFromInt(job.duration_ms)) / 1000.0;
+    if (job.ok) {
+        std.debug.print("  {s}✓{s} {s}{s}{s} {s}{d:.1}s, {d:.1} KB{s}\n", .{
+            ansi.green, ansi.reset, color,   job.name, ansi.reset,
+            ansi.dim,   seconds,    @as(f64, @floatFromInt(job.output_bytes)) / 1024.0,
+            ansi.reset,
+        });
+        return;
+    }
+
+    std.debug.print("  {s}✗{s} {s}{s}{s} {s}{d:.1}s, log: {s}{s}\n", .{
+        ansi.red, ansi.reset, color,        job.name, ansi.reset,
+        ansi.dim, seconds,    job.log_path, ansi.reset,
+    });
+    var lines = std.mem.splitScalar(u8, tailLines(log.items, TAIL_LINES), '\n');
+    while (lines.next()) |line| {
+        std.debug.print("    {s}│{s} {s}\n", .{ ansi.dim, ansi.reset, line });
+    }
+}
+
+/// Build one app with the native bundler, recording the outcome in `log`.
+fn buildNative(
+    allocator: Allocator,
+    job: *Job,
+    search_dirs: []const []const u8,
+    shared: ?*const shared_mod.Plan,
+    mode: []const u8,
+    global_alias: []const config_mod.Alias,
+    conditions: []const []const u8,
+    log: *std.ArrayList(u8),
+) void {
+    const w = log.writer(allocator);
+    w.print("$ wu build --native --mode {s} ({s})\n", .{ mode, job.dir }) catch {};
+
+    var env = env_mod.Env.load(allocator, &.{ ".", job.dir }, mode, true) catch |err| {
+        w.print("error: could not load .env files: {s}\n", .{@errorName(err)}) catch {};
+        job.exit_code = 1;
+        return;
+    };
+    defer env.deinit();
+    if (env.publicCount() > 0) {
+        w.print("import.meta.env: {d} WU_PUBLIC_ variable(s)\n", .{env.publicCount()}) catch {};
+    }
+
+    var aliases = alias_mod.load(allocator, job.dir, job.alias, global_alias) catch |err| {
+        w.print("error: could not load import aliases: {s}\n", .{@errorName(err)}) catch {};
+        job.exit_code = 1;
+        return;
+    };
+    defer aliases.deinit();
+
+    var diag: compile_mod.Diagnostic = .{};
+    defer diag.deinit(allocator);
+
+    const result = bundler.buildApp(allocator, .{
+        .name = job.name,
+        .dir = job.dir,
+        .framework = job.framework,
+        .shared = shared,
+        .env = &env,
+        .aliases = &aliases,
+        .conditions = conditions,
+    }, search_dirs, &diag) catch |err| {
+        const reason = if (diag.summary.len > 0) diag.summary else @errorName(err);
+        w.print("error: {s}\n", .{reason}) catch {};
+        job.exit_code = 1;
+        return;
+    };
+
+    w.print("{d} modules, {d} bytes → {s}/dist\n", .{ result.modules, result.bytes, job.dir }) catch {};
+    job.exit_code = 0;
+    job.ok = true;
+}
+
+/// Build the shared singletons into dist/shared/, recording the outcome in `log`.
+fn buildShared(
+    allocator: Allocator,
+    job: *Job,
+    search_dirs: []const []const u8,
+    plan: *const shared_mod.Plan,
+    conditions: []const []const u8,
+    log: *std.ArrayList(u8),
+) void {
+    const w = log.writer(allocator);
+    w.writeAll("$ wu build (shared singletons)\n") catch {};
+    for (plan.packages) |pkg| {
+        w.print("{s}@{s} from {s}/node_modules\n", .{ pkg.name, pkg.version, pkg.root }) catch {};
+    }
+
+    var diag: compile_mod.Diagnostic = .{};
+    defer diag.deinit(allocator);
+
+    const result = bundler.buildShared(allocator, plan, search_dirs, conditions, &diag) catch |err| {
+        const reason = if (diag.summary.len > 0) diag.summary else @errorName(err);
+        w.print("error: {s}\n", .{reason}) catch {};
+        job.exit_code = 1;
+        return;
+    };
+
+    w.print("{d} modules, {d} bytes → {s}/{s}, import map → {s}/{s}\n", .{
+        result.modules,      result.bytes,               shared_mod.DIST_DIR, shared_mod.SHARED_DIR,
+        shared_mod.DIST_DIR, shared_mod.IMPORT_MAP_FILE,
+    }) catch {};
+    job.exit_code = 0;
+    job.ok = true;
+}
+
+/// Run the app's build command, recording its output in `log`.
+fn buildOne(allocator: Allocator, job: *Job, log: *std.ArrayList(u8)) void {
+    const w = log.writer(allocator);
+    w.print("$ {s} ({s})\n", .{ job.cmd, job.dir }) catch {};
 
     const argv = if (builtin.os.tag == .windows)
-        &[_][]const u8{ "cmd.exe", "/c", cmd }
+        &[_][]const u8{ "cmd.exe", "/c", job.cmd }
     else
-        &[_][]const u8{ "/bin/sh", "-c", cmd };
+        &[_][]const u8{ "/bin/sh", "-c", job.cmd };
+
+    const result = std.process.Child.run(.{
+        .allocator = allocator,
+        .argv = argv,
+        .cwd = job.dir,
+        .max_output_bytes = MAX_OUTPUT,
+    }) catch |err| {
+        w.print("error: could not run build command: {s}\n", .{@errorName(err)}) catch {};
+        return;
+    };
+    defer allocator.free(result.stdout);
+    defer allocator.free(result.stderr);
+
+    log.appendSlice(allocator, result.stdout) catch {};
+    log.appendSlice(allocator, result.stderr) catch {};
+
+    switch (result.term) {
+        .Exited => |code| {
+            job.exit_code = code;
+            job.ok = code == 0;
+            if (code != 0) w.print("\nexited with code {d}\n", .{code}) catch {};
+        },
+        .Signal => |sig| w.print("\nkilled by signal {d}\n", .{sig}) catch {},
+        else => w.print("\nterminated abnormally\n", .{}) catch {},
+    }
+}
+
+/// Total size of the files under `path`; 0 if it does not exist.
+fn dirSize(allocator: Allocator, path: []const u8) u64 {
+    var dir = std.fs.cwd().openDir(path, .{ .iterate = true }) catch return 0;
+    defer dir.close();
+    var walker = dir.walk(allocator) catch return 0;
+    defer walker.deinit();
 
-    var child = std.process.Child.init(argv, allocator);
-    child.cwd = dir;
-    child.stderr_behavior = .Ignore;
-    child.stdout_behavior = .Ignore;
+    var total: u64 = 0;
+    while (walker.next() catch null) |entry| {
+        if (entry.kind != .file) continue;
+        const stat = entry.dir.statFile(entry.basename) catch continue;
+        total += stat.size;
+    }
+    return total;
+}
+
+/// The last `n` lines of `text`, without its trailing newline.
+fn tailLines(text: []const u8, n: usize) []const u8 {
+    const trimmed = std.mem.trimRight(u8, text, "\r\n");
+    var count: usize = 0;
+    var i = trimmed.len;
+    while (i > 0) : (i -= 1) {
+        if (trimmed[i - 1] == '\n') {
+            count += 1;
+            if (count == n) return trimmed[i..];
+        }
+    }
+    return trimmed;
+}
 
-    child.spawn() catch return false;
-    const result = child.wait() catch return false;
+/// build-report.json: one entry per build, in config order (shared and shell first).
+fn writeReport(allocator: Allocator, jobs: []const Job, concurrency: usize, total_ms: u64) !void {
+    var buf: std.ArrayList(u8) = .empty;
+    defer buf.deinit(allocator);
+    const w = buf.writer(allocator);
+
+    var all_ok = true;
+    for (jobs) |job| all_ok = all_ok and job.ok;
+
+    try w.print("{{\n  \"ok\": {},\n  \"duration_ms\": {d},\n  \"concurrency\": {d},\n  \"apps\": [", .{
+        all_ok, total_ms, concurrency,
+    });
+    for (jobs, 0..) |job, i| {
+        if (i > 0) try w.writeAll(",");
+        try w.print(
+            \\
+            \\    {{"name":"{s}","dir":"{s}","framework":"{s}","kind":"{s}","ok":{},"exit_code":
+        , .{ job.name, job.dir, job.framework, @tagName(job.kind), job.ok });
+        if (job.exit_code) |code| try w.print("{d}", .{code}) else try w.writeAll("null");
+        try w.print(
+            \\,"duration_ms":{d},"output_bytes":{d},"log":"{s}"}}
+        , .{ job.duration_ms, job.output_bytes, job.log_path });
+    }
+    try w.writeAll("\n  ]\n}\n");
+
+    try std.fs.cwd().writeFile(.{ .sub_path = REPORT_PATH, .data = buf.items });
+}
 
-    return result.Exited == 0;
+test "tailLines keeps the last n lines" {
+    try std.testing.expectEqualStrings("c\nd", tailLines("a\nb\nc\nd\n", 2));
+    try std.testing.expectEqualStrings("a\nb", tailLines("a\nb\n", 5));
+    try std.testing.expectEqualStrings("", tailLines("", 3));
 }
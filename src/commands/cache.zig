@@ -0,0 +1,135 @@
+// WU CLI — `wu cache` Command
+//
+// Usage:
+//   wu cache stats         → what .wu-cache/ holds, by kind
+//   wu cache clean         → delete compiled modules, pre-bundled deps,
+//                            build logs and the compiler daemon script
+//   wu cache clean --all   → the HTTPS certificate too
+//
+// Everything in .wu-cache/ is rebuilt on demand; clean only costs the next
+// wu dev a cold start. wu dev trims old compiled modules itself (cache.gc).
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const cache_mod = @import("../runtime/cache.zig");
+const deps_mod = @import("../runtime/deps.zig");
+const cert_mod = @import("../runtime/cert.zig");
+const build_cmd = @import("build.zig");
+const ansi = @import("../util/ansi.zig");
+
+const DAEMON_SCRIPT = cache_mod.CACHE_DIR ++ "/wu-compiler.cjs";
+
+pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    const sub = args.next() orelse {
+        printUsage();
+        return;
+    };
+
+    if (std.mem.eql(u8, sub, "stats")) {
+        stats(allocator);
+    } else if (std.mem.eql(u8, sub, "clean")) {
+        var all = false;
+        while (args.next()) |arg| {
+            if (std.mem.eql(u8, arg, "--all")) all = true;
+        }
+        clean(allocator, all);
+    } else {
+        std.debug.print("  {s}Unknown cache command: {s}{s}\n\n", .{ ansi.red, sub, ansi.reset });
+        printUsage();
+        std.process.exit(1);
+    }
+}
+
+fn printUsage() void {
+    std.debug.print("  {s}Usage:{s} wu cache {s}stats{s}\n", .{
+        ansi.bold, ansi.reset, ansi.cyan, ansi.reset,
+    });
+    std.debug.print("         wu cache {s}clean{s} [--all]\n\n", .{
+        ansi.cyan, ansi.reset,
+    });
+}
+
+fn stats(allocator: Allocator) void {
+    const usage = cache_mod.diskUsage();
+    const deps = dirSize(allocator, deps_mod.DEPS_DIR);
+    const logs = dirSize(allocator, build_cmd.LOG_DIR);
+    const https = dirSize(allocator, cert_mod.CACHE_DIR);
+    const daemon = fileSize(DAEMON_SCRIPT);
+
+    std.debug.print("\n  {s}{s}/{s}\n\n", .{ ansi.bold, cache_mod.CACHE_DIR, ansi.reset });
+    std.debug.print("    compiled modules   {d:>10.1} KB  {s}{d} entries{s}\n", .{ kb(usage.bytes), ansi.dim, usage.entries, ansi.reset });
+    if (usage.entries > 0) {
+        const now = std.time.nanoTimestamp();
+        std.debug.print("                       {s}last used {d}h ago, oldest {d}d ago{s}\n", .{
+            ansi.dim,
+            @divTrunc(now - usage.newest, std.time.ns_per_hour),
+            @divTrunc(now - usage.oldest, std.time.ns_per_day),
+            ansi.reset,
+        });
+    }
+    std.debug.print("    pre-bundled deps   {d:>10.1} KB\n", .{kb(deps)});
+    std.debug.print("    build logs         {d:>10.1} KB\n", .{kb(logs)});
+    std.debug.print("    compiler daemon    {d:>10.1} KB\n", .{kb(daemon)});
+    std.debug.print("    https certificate  {d:>10.1} KB\n", .{kb(https)});
+    std.debug.print("    {s}total              {d:>10.1} KB{s}\n\n", .{
+        ansi.bold, kb(usage.bytes + deps + logs + daemon + https), ansi.reset,
+    });
+    std.debug.print("  {s}wu dev drops compiled modules unused for {d} days, then the oldest past {d} MB{s}\n\n", .{
+        ansi.dim, cache_mod.MAX_AGE_DAYS, cache_mod.DISK_BUDGET / (1024 * 1024), ansi.reset,
+    });
+}
+
+fn clean(allocator: Allocator, all: bool) void {
+    var freed: u64 = 0;
+
+    const usage = cache_mod.diskUsage();
+    const removed = cache_mod.clearDisk();
+    freed += usage.bytes;
+
+    freed += removeTree(allocator, deps_mod.DEPS_DIR);
+    freed += removeTree(allocator, build_cmd.LOG_DIR);
+    const daemon = fileSize(DAEMON_SCRIPT);
+    if (std.fs.cwd().deleteFile(DAEMON_SCRIPT)) |_| freed += daemon else |_| {}
+    if (all) freed += removeTree(allocator, cert_mod.CACHE_DIR);
+
+    std.debug.print("  {s}Cleaned{s} {s}/: {d} compiled module(s), {d:.1} KB freed\n", .{
+        ansi.green, ansi.reset, cache_mod.CACHE_DIR, removed, kb(freed),
+    });
+    if (!all and fileSize(cert_mod.CERT_FILE) > 0) {
+        std.debug.print("  {s}kept the HTTPS certificate ({s}) — --all removes it{s}\n", .{
+            ansi.dim, cert_mod.CERT_FILE, ansi.reset,
+        });
+    }
+}
+
+/// Delete `path` and everything under it. Returns the bytes it held.
+fn removeTree(allocator: Allocator, path: []const u8) u64 {
+    const size = dirSize(allocator, path);
+    std.fs.cwd().deleteTree(path) catch return 0;
+    return size;
+}
+
+/// Total size of the files under `path`; 0 when it does not exist.
+fn dirSize(allocator: Allocator, path: []const u8) u64 {
+    var dir = std.fs.cwd().openDir(path, .{ .iterate = true }) catch return 0;
+    defer dir.close();
+    var walker = dir.walk(allocator) catch return 0;
+    defer walker.deinit();
+
+    var total: u64 = 0;
+    while (walker.next() catch null) |entry| {
+        if (entry.kind != .file) continue;
+        const stat = entry.dir.statFile(entry.basename) catch continue;
+        total += stat.size;
+    }
+    return total;
+}
+
+fn fileSize(path: []const u8) u64 {
+    const stat = std.fs.cwd().statFile(path) catch return 0;
+    return stat.size;
+}
+
+fn kb(bytes: u64) f64 {
+    return @as(f64, @floatFromInt(bytes)) / 1024.0;
+}
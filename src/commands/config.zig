@@ -0,0 +1,87 @@
+// WU CLI — `wu config` Command
+//
+// Usage:
+//   wu config validate            → check wu.config.json, exit 1 on errors
+//   wu config validate --strict   → warnings fail too (for CI)
+//   wu config validate path.json  → check another file
+//   wu config schema              → print the JSON Schema for editors
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const schema_mod = @import("../config/schema.zig");
+const ansi = @import("../util/ansi.zig");
+
+pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    const sub = args.next() orelse {
+        printUsage();
+        return;
+    };
+
+    if (std.mem.eql(u8, sub, "validate")) {
+        try validate(allocator, args);
+    } else if (std.mem.eql(u8, sub, "schema")) {
+        try printSchema(allocator);
+    } else {
+        std.debug.print("  {s}Unknown config command: {s}{s}\n\n", .{ ansi.red, sub, ansi.reset });
+        printUsage();
+        std.process.exit(1);
+    }
+}
+
+fn printUsage() void {
+    std.debug.print("  {s}Usage:{s} wu config {s}validate{s} [--strict] [file]\n", .{
+        ansi.bold, ansi.reset, ansi.cyan, ansi.reset,
+    });
+    std.debug.print("         wu config {s}schema{s}  > wu.config.schema.json\n\n", .{
+        ansi.cyan, ansi.reset,
+    });
+}
+
+fn validate(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    var path: []const u8 = "wu.config.json";
+    var strict = false;
+    while (args.next()) |arg| {
+        if (std.mem.eql(u8, arg, "--strict")) {
+            strict = true;
+        } else {
+            path = arg;
+        }
+    }
+
+    const contents = std.fs.cwd().readFileAlloc(allocator, path, 256 * 1024) catch |err| {
+        std.debug.print("  {s}Cannot read {s}: {s}{s}\n", .{ ansi.red, path, @errorName(err), ansi.reset });
+        std.process.exit(1);
+    };
+    defer allocator.free(contents);
+
+    const parsed = try config_mod.parseConfigText(allocator, contents);
+    var cfg = parsed.config;
+    defer cfg.deinit(allocator);
+
+    std.debug.print("\n", .{});
+    parsed.printReport(path);
+
+    const errors = parsed.count(.@"error");
+    const warnings = parsed.count(.warning);
+    if (errors == 0 and warnings == 0) {
+        std.debug.print("  {s}✓{s} {s} is valid {s}({d} app(s), {d} proxy route(s)){s}\n\n", .{
+            ansi.green, ansi.reset, path, ansi.dim, cfg.apps.len, cfg.proxy.rules.len, ansi.reset,
+        });
+        return;
+    }
+
+    const color = if (errors > 0) ansi.red else ansi.yellow;
+    std.debug.print("\n  {s}{s}: {d} error(s), {d} warning(s){s}\n\n", .{
+        color, path, errors, warnings, ansi.reset,
+    });
+    if (errors > 0 or strict) std.process.exit(1);
+}
+
+/// Write the JSON Schema to stdout, so it can be redirected to a file.
+fn printSchema(allocator: Allocator) !void {
+    var buf: std.ArrayList(u8) = .empty;
+    defer buf.deinit(allocator);
+    try schema_mod.writeJsonSchema(buf.writer(allocator));
+    try std.fs.File.stdout().writeAll(buf.items);
+}
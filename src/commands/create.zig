@@ -314,7 +314,7 @@ fn generateShell(_: Allocator, project: []const u8, _: []MicroApp) !void {
         \\const wu = _wuPkg.default || _wuPkg;
         \\if (typeof window !== 'undefined') window.wu = wu;
         \\
-        \\// App list injected by dev server into HTML as window.__wu_apps
+        \\// App list injected by wu dev / wu serve into HTML as window.__wu_apps
         \\const apps = window.__wu_apps || [];
         \\const appEntries = {};
         \\const mounted = new Set();
@@ -361,7 +361,8 @@ fn generateShell(_: Allocator, project: []const u8, _: []MicroApp) !void {
         \\const main = document.getElementById('wu-main');
         \\
         \\apps.forEach(app => {
-        \\  appEntries[app.name] = '/' + app.dir + '/src/main.' + app.ext;
+        \\  // `wu serve` adds the built entry; `wu dev` serves the source directly
+        \\  appEntries[app.name] = app.entry || '/' + app.dir + '/src/main.' + app.ext;
         \\
         \\  const btn = document.createElement('button');
         \\  btn.dataset.section = app.name;
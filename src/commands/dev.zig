@@ -4,7 +4,16 @@
 //
 // Two modes:
 //   --native (default)  Single Zig HTTP server on one port. No Vite.
-//   --vite              Legacy mode: spawn N Vite child processes.
+//   --vite              Legacy mode: spawn N Vite child processes behind
+//                       a reverse proxy on the same single port.
+//
+// Flags:
+//   --mode <name>       Load .env.<name> files (default development); with
+//                       --vite it is passed on to Vite as its --mode
+//
+// Native-mode flags:
+//   --https             TLS + HTTP/2 with a self-signed (or configured) cert
+//   --host <ip>         Listen address (default 127.0.0.1; 0.0.0.0 for LAN)
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
@@ -12,13 +21,18 @@ const config_mod = @import("../config/config.zig");
 const discovery = @import("../config/discovery.zig");
 const supervisor_mod = @import("../orchestrator/supervisor.zig");
 const process_mod = @import("../orchestrator/process.zig");
+const proxy_mod = @import("../proxy/server.zig");
 const dev_server = @import("../runtime/dev_server.zig");
+const shared_mod = @import("../runtime/shared.zig");
 const ansi = @import("../util/ansi.zig");
 const banner = @import("../cli/banner.zig");
 
 pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
     var proxy_port: u16 = 3000;
     var use_vite = false;
+    var host: []const u8 = "127.0.0.1";
+    var https = false;
+    var mode: ?[]const u8 = null;
 
     while (args.next()) |arg| {
         if (std.mem.eql(u8, arg, "--port") or std.mem.eql(u8, arg, "-p")) {
@@ -29,12 +43,19 @@ pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
             use_vite = true;
         } else if (std.mem.eql(u8, arg, "--native")) {
             use_vite = false;
+        } else if (std.mem.eql(u8, arg, "--https")) {
+            https = true;
+        } else if (std.mem.eql(u8, arg, "--host")) {
+            if (args.next()) |val| host = val;
+        } else if (std.mem.eql(u8, arg, "--mode")) {
+            if (args.next()) |val| mode = val;
         }
     }
 
     // Load config or auto-discover
     var cfg = config_mod.loadConfig(allocator);
     defer cfg.deinit(allocator);
+    if (cfg.invalid) std.process.exit(1);
     if (!cfg.from_file) {
         std.debug.print("  {s}No wu.config.json found. Scanning directory...{s}\n", .{
             ansi.yellow, ansi.reset,
@@ -54,14 +75,28 @@ pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
     }
 
     if (use_vite) {
-        return runViteMode(allocator, cfg);
+        if (https or cfg.https.enabled) {
+            std.debug.print("  {s}HTTPS needs the native server — --vite serves plain HTTP{s}\n", .{
+                ansi.yellow, ansi.reset,
+            });
+        }
+        return runViteMode(allocator, cfg, proxy_port, mode);
     }
-    return runNativeMode(allocator, cfg, proxy_port);
+    var https_cfg = cfg.https;
+    if (https) https_cfg.enabled = true;
+    return runNativeMode(allocator, cfg, proxy_port, host, https_cfg, mode orelse "development");
 }
 
 // ── Native Mode: Single Zig HTTP Server ─────────────────────────────────────
 
-fn runNativeMode(allocator: Allocator, cfg: config_mod.WuConfig, port: u16) !void {
+fn runNativeMode(
+    allocator: Allocator,
+    cfg: config_mod.WuConfig,
+    port: u16,
+    host: []const u8,
+    https: config_mod.HttpsConfig,
+    mode: []const u8,
+) !void {
     // Build app entries for the native server
     var app_entries: std.ArrayList(dev_server.AppEntry) = .empty;
     defer app_entries.deinit(allocator);
@@ -93,6 +128,8 @@ fn runNativeMode(allocator: Allocator, cfg: config_mod.WuConfig, port: u16) !voi
             .dir = app.dir,
             .framework = app.framework,
             .port = app.port,
+            .headers = app.headers,
+            .alias = app.alias,
         });
     }
     if (skipped > 0) {
@@ -101,12 +138,28 @@ fn runNativeMode(allocator: Allocator, cfg: config_mod.WuConfig, port: u16) !voi
         });
     }
 
+    // Shared singletons: check versions once, then pin every app to one copy
+    var shared_plan: ?shared_mod.Plan = null;
+    defer if (shared_plan) |*p| p.deinit();
+    if (cfg.shared.singletons.len > 0) {
+        shared_plan = try shared_mod.planForConfig(allocator, &cfg);
+    }
+
     var server = dev_server.DevServer.init(allocator, .{
         .port = port,
-        .host = "127.0.0.1",
+        .host = host,
         .shell_dir = cfg.shell.dir,
         .shell_framework = cfg.shell.framework,
         .apps = app_entries.items,
+        .shared = if (shared_plan) |*p| p else null,
+        .watch_ignore = cfg.watch.ignore,
+        .plugins = cfg.plugins,
+        .proxy = cfg.proxy.rules,
+        .https = https,
+        .mode = mode,
+        .headers = cfg.headers,
+        .alias = cfg.alias,
+        .conditions = cfg.conditions,
     });
     defer server.shutdown();
 
@@ -115,18 +168,29 @@ fn runNativeMode(allocator: Allocator, cfg: config_mod.WuConfig, port: u16) !voi
 
 // ── Vite Mode: Legacy N-process supervisor ──────────────────────────────────
 
-fn runViteMode(allocator: Allocator, cfg: config_mod.WuConfig) !void {
+fn runViteMode(allocator: Allocator, cfg: config_mod.WuConfig, proxy_port: u16, mode: ?[]const u8) !void {
     banner.printBanner();
 
+    // Commands and route prefixes must outlive the loops that build them
+    var owned: std.ArrayList([]u8) = .empty;
+    defer {
+        for (owned.items) |s| allocator.free(s);
+        owned.deinit(allocator);
+    }
+
     var sup = supervisor_mod.Supervisor.init(allocator);
     defer sup.deinit();
 
+    // Proxy routes: shell at /, each app under /<dir>
+    var routes: std.ArrayList(proxy_mod.Route) = .empty;
+    defer routes.deinit(allocator);
+
     // Add shell process
     if (cfg.shell.dir.len > 0) {
-        var cmd_buf: [256]u8 = undefined;
-        const shell_cmd = std.fmt.bufPrint(&cmd_buf, "{s} --port {d}", .{
+        const shell_cmd = try std.fmt.allocPrint(allocator, "{s} --port {d}", .{
             cfg.shell.dev_cmd, cfg.shell.port,
-        }) catch cfg.shell.dev_cmd;
+        });
+        try owned.append(allocator, shell_cmd);
 
         try sup.addProcess(.{
             .name = "shell",
@@ -137,16 +201,23 @@ fn runViteMode(allocator: Allocator, cfg: config_mod.WuConfig) !void {
             .allocator = allocator,
             .color = ansi.frameworkColor(cfg.shell.framework),
         });
+        try routes.append(allocator, .{ .prefix = "/", .name = "shell", .port = cfg.shell.port });
     }
 
     // Add each micro-app (skip if directory missing)
     for (cfg.apps) |app| {
         std.fs.cwd().access(app.dir, .{}) catch continue;
 
-        var cmd_buf: [256]u8 = undefined;
-        const cmd = std.fmt.bufPrint(&cmd_buf, "{s} --port {d}", .{
-            app.dev_cmd, app.port,
-        }) catch app.dev_cmd;
+        // Vite serves the app under its proxy prefix, so absolute module URLs
+        // (/src/…, /@vite/client) and the HMR socket route back to it.
+        const base_flag = std.mem.indexOf(u8, app.dev_cmd, "vite") != null;
+        const cmd = if (base_flag and mode != null)
+            try std.fmt.allocPrint(allocator, "{s} --port {d} --base /{s}/ --mode {s}", .{ app.dev_cmd, app.port, app.dir, mode.? })
+        else if (base_flag)
+            try std.fmt.allocPrint(allocator, "{s} --port {d} --base /{s}/", .{ app.dev_cmd, app.port, app.dir })
+        else
+            try std.fmt.allocPrint(allocator, "{s} --port {d}", .{ app.dev_cmd, app.port });
+        try owned.append(allocator, cmd);
 
         try sup.addProcess(.{
             .name = app.name,
@@ -157,8 +228,32 @@ fn runViteMode(allocator: Allocator, cfg: config_mod.WuConfig) !void {
             .allocator = allocator,
             .color = ansi.frameworkColor(app.framework),
         });
+
+        const prefix = try std.fmt.allocPrint(allocator, "/{s}", .{app.dir});
+        try owned.append(allocator, prefix);
+        try routes.append(allocator, .{ .prefix = prefix, .name = app.name, .port = app.port });
     }
 
     try sup.startAll();
+
+    // One port in front of all of them
+    var proxy = proxy_mod.ProxyServer.init(allocator, proxy_port);
+    proxy.routes = routes.items;
+    proxy.supervisor = &sup;
+    defer proxy.stop();
+
+    if (proxy.start()) {
+        var url_buf: [64]u8 = undefined;
+        const url = std.fmt.bufPrint(&url_buf, "http://localhost:{d}/", .{proxy_port}) catch "http://localhost:3000/";
+        std.debug.print("  {s}>{s}  {s}  {s}(proxy → {d} process(es)){s}\n\n", .{
+            ansi.green, ansi.reset, url, ansi.dim, routes.items.len, ansi.reset,
+        });
+        if (cfg.proxy.open_browser) proxy_mod.openBrowser(allocator, url);
+    } else |err| {
+        std.debug.print("  {s}[proxy]{s} could not listen on :{d} ({s}) — use the per-app ports above\n\n", .{
+            ansi.yellow, ansi.reset, proxy_port, @errorName(err),
+        });
+    }
+
     sup.wait();
 }
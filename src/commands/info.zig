@@ -1,22 +1,46 @@
 // WU CLI — `wu info` Command
 //
 // Display project configuration, detected micro-apps, ports, and status.
+//
+// `wu info --graph` walks each app's imports instead (see
+// runtime/graph.zig): module trees, packages shared or duplicated across
+// apps, and total size. `--json`, `--dot` and `--mermaid` write the graph
+// to stdout for tools, Graphviz or Markdown.
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
 const config_mod = @import("../config/config.zig");
 const discovery = @import("../config/discovery.zig");
+const graph_mod = @import("../runtime/graph.zig");
 const ansi = @import("../util/ansi.zig");
 const root = @import("../main.zig");
 
-pub fn run(allocator: Allocator) !void {
+const GraphFormat = enum { text, json, dot, mermaid };
+
+pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    var graph: ?GraphFormat = null;
+    while (args.next()) |arg| {
+        if (std.mem.eql(u8, arg, "--graph")) {
+            if (graph == null) graph = .text;
+        } else if (std.mem.eql(u8, arg, "--json")) {
+            graph = .json;
+        } else if (std.mem.eql(u8, arg, "--dot")) {
+            graph = .dot;
+        } else if (std.mem.eql(u8, arg, "--mermaid")) {
+            graph = .mermaid;
+        }
+    }
+
     var cfg = config_mod.loadConfig(allocator);
     defer cfg.deinit(allocator);
+    if (cfg.invalid) std.process.exit(1);
     const source: []const u8 = if (cfg.from_file) "wu.config.json" else blk: {
         cfg = discovery.discover(allocator);
         break :blk "auto-discovered";
     };
 
+    if (graph) |format| return printGraph(allocator, &cfg, format);
+
     std.debug.print("\n  {s}WU Project Info{s}  {s}v{s}{s}\n", .{
         ansi.bold, ansi.reset, ansi.dim, root.version, ansi.reset,
     });
@@ -79,3 +103,25 @@ pub fn run(allocator: Allocator) !void {
         ansi.bold, ansi.reset, total,
     });
 }
+
+fn printGraph(allocator: Allocator, cfg: *const config_mod.WuConfig, format: GraphFormat) !void {
+    if (cfg.apps.len == 0) {
+        std.debug.print("  {s}No micro-apps found.{s}\n", .{ ansi.red, ansi.reset });
+        std.process.exit(1);
+    }
+
+    var graph = try graph_mod.build(allocator, cfg);
+    defer graph.deinit();
+    if (format == .text) return graph.printText(allocator);
+
+    var buf: std.ArrayList(u8) = .empty;
+    defer buf.deinit(allocator);
+    const w = buf.writer(allocator);
+    switch (format) {
+        .json => try graph.writeJson(w),
+        .dot => try graph.writeDot(w),
+        .mermaid => try graph.writeMermaid(w),
+        .text => unreachable,
+    }
+    try std.fs.File.stdout().writeAll(buf.items);
+}
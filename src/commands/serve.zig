@@ -1,19 +1,79 @@
 // WU CLI — `wu serve` Command
 //
-// Serves production-built micro-apps through a unified proxy.
-// Placeholder for Phase 3 — currently prints instructions.
+// Serves production-built micro-apps on one port, with the same layout
+// as `wu dev`: each app's dist/ under its prefix, the shell's dist/ at /.
+// Run `wu build` first.
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const discovery = @import("../config/discovery.zig");
+const dev_server = @import("../runtime/dev_server.zig");
+const prod_server = @import("../runtime/prod_server.zig");
 const ansi = @import("../util/ansi.zig");
 
-pub fn run(_: Allocator, _: *std.process.ArgIterator) !void {
-    std.debug.print("\n  {s}wu serve{s} — coming soon\n\n", .{
-        ansi.bold, ansi.reset,
-    });
-    std.debug.print("  For now, use {s}wu build{s} + your preferred static server:\n\n", .{
-        ansi.cyan, ansi.reset,
+pub fn run(allocator: Allocator, args: *std.process.ArgIterator) !void {
+    var port: ?u16 = null;
+    var host: []const u8 = "127.0.0.1";
+
+    while (args.next()) |arg| {
+        if (std.mem.eql(u8, arg, "--port") or std.mem.eql(u8, arg, "-p")) {
+            if (args.next()) |val| {
+                port = std.fmt.parseInt(u16, val, 10) catch null;
+            }
+        } else if (std.mem.eql(u8, arg, "--host")) {
+            if (args.next()) |val| host = val;
+        }
+    }
+
+    // Load config or auto-discover
+    var cfg = config_mod.loadConfig(allocator);
+    defer cfg.deinit(allocator);
+    if (cfg.invalid) std.process.exit(1);
+    if (!cfg.from_file) {
+        cfg = discovery.discover(allocator);
+        if (cfg.apps.len == 0 and cfg.shell.dir.len == 0) {
+            std.debug.print("  {s}No micro-apps found.{s} Run {s}wu create{s} to scaffold a project.\n", .{
+                ansi.red, ansi.reset, ansi.cyan, ansi.reset,
+            });
+            return;
+        }
+    }
+
+    var app_entries: std.ArrayList(dev_server.AppEntry) = .empty;
+    defer app_entries.deinit(allocator);
+    for (cfg.apps) |app| {
+        std.fs.cwd().access(app.dir, .{}) catch continue;
+        try app_entries.append(allocator, .{
+            .name = app.name,
+            .dir = app.dir,
+            .framework = app.framework,
+            .port = app.port,
+            .headers = app.headers,
+        });
+    }
+
+    var shell_dir = cfg.shell.dir;
+    if (shell_dir.len > 0) {
+        std.fs.cwd().access(shell_dir, .{}) catch {
+            shell_dir = "";
+        };
+    }
+
+    var server = prod_server.ProdServer.init(allocator, .{
+        .port = port orelse cfg.proxy.port,
+        .host = host,
+        .shell_dir = shell_dir,
+        .shell_framework = cfg.shell.framework,
+        .apps = app_entries.items,
+        .headers = cfg.headers,
     });
-    std.debug.print("    wu build\n", .{});
-    std.debug.print("    npx serve dist/\n\n", .{});
+    defer server.shutdown();
+
+    server.run() catch |err| {
+        std.debug.print("  {s}Could not listen on {s}:{d}{s} ({s})\n", .{
+            ansi.red, host, server.config.port, ansi.reset, @errorName(err),
+        });
+        std.process.exit(1);
+    };
 }
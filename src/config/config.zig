@@ -2,10 +2,14 @@
 //
 // Reads wu.config.json from CWD. The config file is optional —
 // if missing, auto-discovery kicks in (see discovery.zig).
-// Hand-rolled JSON parser — zero dependencies, like STORM.
+// Parsed strictly (json.zig) and checked against the schema (schema.zig);
+// problems are printed as file:line:column with the offending line.
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
+const json_mod = @import("json.zig");
+const schema_mod = @import("schema.zig");
+const ansi = @import("../util/ansi.zig");
 
 // ─── Config Structures ────────────────────────────────────────────────────
 
@@ -16,6 +20,10 @@ pub const AppConfig = struct {
     port: u16 = 0,
     dev_cmd: []const u8 = "npx vite",
     build_cmd: []const u8 = "npx vite build",
+    /// Response headers under this app's path, over the global ones.
+    headers: []const Header = &.{},
+    /// Import aliases for this app, targets relative to its directory.
+    alias: []const Alias = &.{},
 };
 
 pub const ShellConfig = struct {
@@ -29,6 +37,57 @@ pub const ShellConfig = struct {
 pub const ProxyConfig = struct {
     port: u16 = 3000,
     open_browser: bool = true,
+    /// Backend API routes for wu dev: every "/prefix" key (see proxy/rules.zig).
+    rules: []const ProxyRule = &.{},
+};
+
+/// `"/api/orders": "http://localhost:4001"`, or an object with these fields.
+pub const ProxyRule = struct {
+    /// Path prefix without trailing slash, e.g. "/api/orders".
+    prefix: []const u8,
+    /// Upstream base URL (http:// or ws://), may carry a base path.
+    target: []const u8 = "",
+    /// Replaces the matched prefix ("" strips it); null forwards it as is.
+    rewrite: ?[]const u8 = null,
+    /// Request headers added or overridden, e.g. an Authorization token.
+    headers: []const Header = &.{},
+    /// App name: the rule then matches under that app's path only.
+    app: []const u8 = "",
+};
+
+pub const Header = struct {
+    name: []const u8,
+    value: []const u8,
+};
+
+/// An import alias: `find` itself, or `find/...`, maps to `replacement`
+/// (see runtime/alias.zig).
+pub const Alias = struct {
+    find: []const u8,
+    replacement: []const u8,
+};
+
+/// Dependencies loaded once for every app (see runtime/shared.zig).
+pub const SharedConfig = struct {
+    /// Import specifiers, e.g. "react", "react-dom/client".
+    singletons: []const []const u8 = &.{},
+};
+
+/// File watching for wu dev (see runtime/watcher.zig).
+pub const WatchConfig = struct {
+    /// .gitignore-style patterns, relative to the project root, e.g. "*.log".
+    ignore: []const []const u8 = &.{},
+};
+
+/// HTTPS for wu dev (see runtime/tls.zig). Without cert/key a self-signed
+/// certificate is generated into .wu-cache/https/.
+pub const HttpsConfig = struct {
+    enabled: bool = false,
+    /// PEM certificate chain and ECDSA P-256 key, e.g. from `mkcert -ecdsa`.
+    cert: []const u8 = "",
+    key: []const u8 = "",
+    /// Extra names for the self-signed certificate, besides localhost.
+    hosts: []const []const u8 = &.{},
 };
 
 pub const WuConfig = struct {
@@ -37,10 +96,27 @@ pub const WuConfig = struct {
     shell: ShellConfig = .{},
     apps: []AppConfig = &.{},
     proxy: ProxyConfig = .{},
+    shared: SharedConfig = .{},
+    watch: WatchConfig = .{},
+    /// Dev-server plugin modules, relative to the project root (see
+    /// runtime/plugins.zig). Empty means wu.plugins.js, if it exists.
+    plugins: []const []const u8 = &.{},
+    https: HttpsConfig = .{},
+    /// Response headers for wu dev and wu serve (see runtime/headers.zig).
+    headers: []const Header = &.{},
+    /// Import aliases for every app, targets relative to the project root.
+    alias: []const Alias = &.{},
+    /// Extra package.json "exports"/"imports" conditions, e.g. "development"
+    /// (see runtime/resolve.zig).
+    conditions: []const []const u8 = &.{},
     from_file: bool = false,
+    /// wu.config.json has errors (already printed); everything else is
+    /// defaults and the command should stop.
+    invalid: bool = false,
 
     // Owned memory for cleanup (set by loadConfig)
-    _json_buf: ?[]const u8 = null,
+    _arena: ?*std.heap.ArenaAllocator = null,
+    /// `apps` was replaced by an allocator-owned slice (wu add).
     _apps_owned: bool = false,
 
     pub fn appCount(self: *const WuConfig) usize {
@@ -58,9 +134,10 @@ pub const WuConfig = struct {
             self.apps = &.{};
             self._apps_owned = false;
         }
-        if (self._json_buf) |buf| {
-            allocator.free(buf);
-            self._json_buf = null;
+        if (self._arena) |arena| {
+            arena.deinit();
+            allocator.destroy(arena);
+            self._arena = null;
         }
     }
 };
@@ -68,15 +145,10 @@ pub const WuConfig = struct {
 // ─── Config Loader ────────────────────────────────────────────────────────
 
 /// Load wu.config.json from CWD. Returns defaults if missing.
+/// Diagnostics are printed; with errors, `invalid` is set.
 /// Call deinit() to free allocated memory when done.
 pub fn loadConfig(allocator: Allocator) WuConfig {
-    const contents = std.fs.cwd().readFileAlloc(allocator, "wu.config.json", 256 * 1024) catch {
-        return .{};
-    };
-
-    var cfg = parseConfigJson(allocator, contents) catch .{};
-    cfg._json_buf = contents;
-    return cfg;
+    return loadConfigFile(allocator, "wu.config.json");
 }
 
 /// Load wu.config.json from a specific directory path.
@@ -84,14 +156,21 @@ pub fn loadConfig(allocator: Allocator) WuConfig {
 pub fn loadConfigFrom(allocator: Allocator, dir_path: []const u8) WuConfig {
     const path = std.fmt.allocPrint(allocator, "{s}/wu.config.json", .{dir_path}) catch return .{};
     defer allocator.free(path);
+    return loadConfigFile(allocator, path);
+}
 
+fn loadConfigFile(allocator: Allocator, path: []const u8) WuConfig {
     const contents = std.fs.cwd().readFileAlloc(allocator, path, 256 * 1024) catch {
         return .{};
     };
+    defer allocator.free(contents);
 
-    var cfg = parseConfigJson(allocator, contents) catch .{};
-    cfg._json_buf = contents;
-    return cfg;
+    const parsed = parseConfigText(allocator, contents) catch return .{};
+    parsed.printReport(path);
+    if (parsed.config.invalid) {
+        std.debug.print("  {s}Fix {s} and try again.{s}\n\n", .{ ansi.red, path, ansi.reset });
+    }
+    return parsed.config;
 }
 
 /// Write config to wu.config.json in CWD.
@@ -101,6 +180,7 @@ pub fn writeConfig(allocator: Allocator, cfg: *const WuConfig) !void {
     const w = buf.writer(allocator);
 
     try w.writeAll("{\n");
+    try w.print("  \"$schema\": \"{s}\",\n", .{schema_mod.SCHEMA_URL});
     try w.print("  \"name\": \"{s}\",\n", .{cfg.name});
     try w.print("  \"version\": \"{s}\",\n", .{cfg.version});
 
@@ -118,7 +198,16 @@ pub fn writeConfig(allocator: Allocator, cfg: *const WuConfig) !void {
         try w.print("      \"name\": \"{s}\",\n", .{app.name});
         try w.print("      \"dir\": \"{s}\",\n", .{app.dir});
         try w.print("      \"framework\": \"{s}\",\n", .{app.framework});
-        try w.print("      \"port\": {d}\n", .{app.port});
+        try w.print("      \"port\": {d}", .{app.port});
+        if (app.headers.len > 0) {
+            try w.writeAll(",\n      \"headers\": ");
+            try writeHeaders(w, app.headers);
+        }
+        if (app.alias.len > 0) {
+            try w.writeAll(",\n      \"alias\": ");
+            try writeAliases(w, app.alias);
+        }
+        try w.writeAll("\n");
         if (i < cfg.apps.len - 1) {
             try w.writeAll("    },\n");
         } else {
@@ -130,9 +219,26 @@ pub fn writeConfig(allocator: Allocator, cfg: *const WuConfig) !void {
     // Proxy
     try w.writeAll("  \"proxy\": {\n");
     try w.print("    \"port\": {d},\n", .{cfg.proxy.port});
-    try w.print("    \"open_browser\": {s}\n", .{if (cfg.proxy.open_browser) "true" else "false"});
-    try w.writeAll("  }\n");
-    try w.writeAll("}\n");
+    try w.print("    \"open_browser\": {s}", .{if (cfg.proxy.open_browser) "true" else "false"});
+    try writeProxyRules(w, cfg.proxy.rules);
+    try w.writeAll("\n  }");
+    try writeShared(w, cfg.shared);
+    try writeWatch(w, cfg.watch);
+    try writePlugins(w, cfg.plugins);
+    try writeHttps(w, cfg.https);
+    if (cfg.headers.len > 0) {
+        try w.writeAll(",\n  \"headers\": ");
+        try writeHeaders(w, cfg.headers);
+    }
+    if (cfg.alias.len > 0) {
+        try w.writeAll(",\n  \"alias\": ");
+        try writeAliases(w, cfg.alias);
+    }
+    if (cfg.conditions.len > 0) {
+        try w.writeAll(",\n  \"conditions\": ");
+        try writeStringArray(w, cfg.conditions);
+    }
+    try w.writeAll("\n}\n");
 
     try std.fs.cwd().writeFile(.{
         .sub_path = "wu.config.json",
@@ -140,6 +246,109 @@ pub fn writeConfig(allocator: Allocator, cfg: *const WuConfig) !void {
     });
 }
 
+/// Write the "shared" section, if there is one. Optional sections follow
+/// the previous one's closing brace, so each starts with its comma.
+fn writeShared(w: anytype, shared: SharedConfig) !void {
+    if (shared.singletons.len == 0) return;
+    try w.writeAll(",\n  \"shared\": {\n    \"singletons\": ");
+    try writeStringArray(w, shared.singletons);
+    try w.writeAll("\n  }");
+}
+
+/// Write proxy rules as "/prefix" keys of the "proxy" object.
+fn writeProxyRules(w: anytype, rules: []const ProxyRule) !void {
+    for (rules) |rule| {
+        const simple = rule.rewrite == null and rule.headers.len == 0 and rule.app.len == 0;
+        if (simple) {
+            try w.print(",\n    \"{s}\": \"{s}\"", .{ rule.prefix, rule.target });
+            continue;
+        }
+        try w.print(",\n    \"{s}\": {{ \"target\": \"{s}\"", .{ rule.prefix, rule.target });
+        if (rule.rewrite) |rewrite| try w.print(", \"rewrite\": \"{s}\"", .{rewrite});
+        if (rule.app.len > 0) try w.print(", \"app\": \"{s}\"", .{rule.app});
+        if (rule.headers.len > 0) {
+            try w.writeAll(", \"headers\": ");
+            try writeHeaders(w, rule.headers);
+        }
+        try w.writeAll(" }");
+    }
+}
+
+/// Write the "watch" section, if there is one.
+fn writeWatch(w: anytype, watch: WatchConfig) !void {
+    if (watch.ignore.len == 0) return;
+    try w.writeAll(",\n  \"watch\": {\n    \"ignore\": ");
+    try writeStringArray(w, watch.ignore);
+    try w.writeAll("\n  }");
+}
+
+/// Write the "plugins" list, if there is one.
+fn writePlugins(w: anytype, plugins: []const []const u8) !void {
+    if (plugins.len == 0) return;
+    try w.writeAll(",\n  \"plugins\": ");
+    try writeStringArray(w, plugins);
+}
+
+/// Write the "https" section, if HTTPS is on.
+fn writeHttps(w: anytype, https: HttpsConfig) !void {
+    if (!https.enabled) return;
+    try w.writeAll(",\n  \"https\": {\n    \"enabled\": true");
+    if (https.cert.len > 0) try w.print(",\n    \"cert\": \"{s}\"", .{https.cert});
+    if (https.key.len > 0) try w.print(",\n    \"key\": \"{s}\"", .{https.key});
+    if (https.hosts.len > 0) {
+        try w.writeAll(",\n    \"hosts\": ");
+        try writeStringArray(w, https.hosts);
+    }
+    try w.writeAll("\n  }");
+}
+
+/// Write headers as a one-line object. Values are JSON-escaped: a CSP is
+/// full of quotes.
+fn writeHeaders(w: anytype, headers: []const Header) !void {
+    try w.writeAll("{");
+    for (headers, 0..) |h, i| {
+        try w.print("{s} \"{s}\": ", .{ if (i > 0) "," else "", h.name });
+        try writeJsonString(w, h.value);
+    }
+    try w.writeAll(" }");
+}
+
+fn writeAliases(w: anytype, aliases: []const Alias) !void {
+    try w.writeAll("{");
+    for (aliases, 0..) |a, i| {
+        try w.writeAll(if (i > 0) ", " else " ");
+        try writeJsonString(w, a.find);
+        try w.writeAll(": ");
+        try writeJsonString(w, a.replacement);
+    }
+    try w.writeAll(" }");
+}
+
+pub fn writeJsonString(w: anytype, s: []const u8) !void {
+    try w.writeAll("\"");
+    for (s) |c| {
+        switch (c) {
+            '"' => try w.writeAll("\\\""),
+            '\\' => try w.writeAll("\\\\"),
+            '\n' => try w.writeAll("\\n"),
+            '\r' => try w.writeAll("\\r"),
+            '\t' => try w.writeAll("\\t"),
+            0...0x08, 0x0b, 0x0c, 0x0e...0x1f => try w.print("\\u{x:0>4}", .{c}),
+            else => try w.writeByte(c),
+        }
+    }
+    try w.writeAll("\"");
+}
+
+fn writeStringArray(w: anytype, items: []const []const u8) !void {
+    try w.writeAll("[");
+    for (items, 0..) |item, i| {
+        if (i > 0) try w.writeAll(", ");
+        try w.print("\"{s}\"", .{item});
+    }
+    try w.writeAll("]");
+}
+
 /// Write config to a specific directory.
 pub fn writeConfigTo(allocator: Allocator, cfg: *const WuConfig, dir_path: []const u8) !void {
     var buf: std.ArrayList(u8) = .empty;
@@ -147,6 +356,7 @@ pub fn writeConfigTo(allocator: Allocator, cfg: *const WuConfig, dir_path: []con
     const w = buf.writer(allocator);
 
     try w.writeAll("{\n");
+    try w.print("  \"$schema\": \"{s}\",\n", .{schema_mod.SCHEMA_URL});
     try w.print("  \"name\": \"{s}\",\n", .{cfg.name});
     try w.print("  \"version\": \"{s}\",\n", .{cfg.version});
 
@@ -162,7 +372,16 @@ pub fn writeConfigTo(allocator: Allocator, cfg: *const WuConfig, dir_path: []con
         try w.print("      \"name\": \"{s}\",\n", .{app.name});
         try w.print("      \"dir\": \"{s}\",\n", .{app.dir});
         try w.print("      \"framework\": \"{s}\",\n", .{app.framework});
-        try w.print("      \"port\": {d}\n", .{app.port});
+        try w.print("      \"port\": {d}", .{app.port});
+        if (app.headers.len > 0) {
+            try w.writeAll(",\n      \"headers\": ");
+            try writeHeaders(w, app.headers);
+        }
+        if (app.alias.len > 0) {
+            try w.writeAll(",\n      \"alias\": ");
+            try writeAliases(w, app.alias);
+        }
+        try w.writeAll("\n");
         if (i < cfg.apps.len - 1) {
             try w.writeAll("    },\n");
         } else {
@@ -173,9 +392,26 @@ pub fn writeConfigTo(allocator: Allocator, cfg: *const WuConfig, dir_path: []con
 
     try w.writeAll("  \"proxy\": {\n");
     try w.print("    \"port\": {d},\n", .{cfg.proxy.port});
-    try w.print("    \"open_browser\": {s}\n", .{if (cfg.proxy.open_browser) "true" else "false"});
-    try w.writeAll("  }\n");
-    try w.writeAll("}\n");
+    try w.print("    \"open_browser\": {s}", .{if (cfg.proxy.open_browser) "true" else "false"});
+    try writeProxyRules(w, cfg.proxy.rules);
+    try w.writeAll("\n  }");
+    try writeShared(w, cfg.shared);
+    try writeWatch(w, cfg.watch);
+    try writePlugins(w, cfg.plugins);
+    try writeHttps(w, cfg.https);
+    if (cfg.headers.len > 0) {
+        try w.writeAll(",\n  \"headers\": ");
+        try writeHeaders(w, cfg.headers);
+    }
+    if (cfg.alias.len > 0) {
+        try w.writeAll(",\n  \"alias\": ");
+        try writeAliases(w, cfg.alias);
+    }
+    if (cfg.conditions.len > 0) {
+        try w.writeAll(",\n  \"conditions\": ");
+        try writeStringArray(w, cfg.conditions);
+    }
+    try w.writeAll("\n}\n");
 
     const file_path = std.fmt.allocPrint(allocator, "{s}/wu.config.json", .{dir_path}) catch return error.OutOfMemory;
     defer allocator.free(file_path);
@@ -185,225 +421,231 @@ pub fn writeConfigTo(allocator: Allocator, cfg: *const WuConfig, dir_path: []con
     try file.writeAll(buf.items);
 }
 
-// ─── JSON Parser (hand-rolled, zero deps) ────────────────────────────────
+// ─── Parsing and Validation ──────────────────────────────────────────────
 
-fn parseConfigJson(allocator: Allocator, json: []const u8) !WuConfig {
-    var cfg = WuConfig{ .from_file = true };
-    var apps_list: std.ArrayList(AppConfig) = .empty;
-
-    var pos: usize = 0;
-
-    // Find opening brace
-    pos = std.mem.indexOfScalar(u8, json, '{') orelse return cfg;
-    pos += 1;
-
-    while (pos < json.len and json[pos] != '}') {
-        while (pos < json.len and isWs(json[pos])) pos += 1;
-        if (pos >= json.len or json[pos] == '}') break;
-
-        const key = readString(json, &pos) orelse break;
-        skipColon(json, &pos);
-
-        if (std.mem.eql(u8, key, "name")) {
-            cfg.name = readString(json, &pos) orelse "";
-        } else if (std.mem.eql(u8, key, "version")) {
-            cfg.version = readString(json, &pos) orelse "";
-        } else if (std.mem.eql(u8, key, "shell")) {
-            cfg.shell = parseShell(json, &pos);
-        } else if (std.mem.eql(u8, key, "apps")) {
-            parseAppsArray(allocator, json, &pos, &apps_list) catch {};
-        } else if (std.mem.eql(u8, key, "proxy")) {
-            cfg.proxy = parseProxy(json, &pos);
-        } else {
-            skipValue(json, &pos);
-        }
+/// A parsed wu.config.json and what the schema check found in it.
+pub const Parsed = struct {
+    config: WuConfig,
+    /// The config text the diagnostics point into (in the config's arena).
+    text: []const u8,
+    diagnostics: []const schema_mod.Diagnostic,
 
-        // skip comma
-        while (pos < json.len and (isWs(json[pos]) or json[pos] == ',')) pos += 1;
+    pub fn count(self: *const Parsed, severity: schema_mod.Severity) usize {
+        var n: usize = 0;
+        for (self.diagnostics) |d| {
+            if (d.severity == severity) n += 1;
+        }
+        return n;
     }
 
-    cfg.apps = apps_list.toOwnedSlice(allocator) catch &.{};
-    cfg._apps_owned = cfg.apps.len > 0;
-    return cfg;
-}
-
-fn parseShell(json: []const u8, pos: *usize) ShellConfig {
-    var shell = ShellConfig{};
-    // Find {
-    while (pos.* < json.len and json[pos.*] != '{') pos.* += 1;
-    if (pos.* < json.len) pos.* += 1;
-
-    while (pos.* < json.len and json[pos.*] != '}') {
-        while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-        if (pos.* >= json.len or json[pos.*] == '}') break;
-
-        const key = readString(json, pos) orelse break;
-        skipColon(json, pos);
-
-        if (std.mem.eql(u8, key, "dir")) {
-            shell.dir = readString(json, pos) orelse "";
-        } else if (std.mem.eql(u8, key, "port")) {
-            shell.port = readU16(json, pos);
-        } else if (std.mem.eql(u8, key, "framework")) {
-            shell.framework = readString(json, pos) orelse "astro";
-        } else if (std.mem.eql(u8, key, "dev_cmd")) {
-            shell.dev_cmd = readString(json, pos) orelse "npx astro dev";
-        } else if (std.mem.eql(u8, key, "build_cmd")) {
-            shell.build_cmd = readString(json, pos) orelse "npx astro build";
-        } else {
-            skipValue(json, pos);
+    /// Print each diagnostic as `file:line:col: error: message`, followed by
+    /// the offending line with a caret under the column, and the hint.
+    pub fn printReport(self: *const Parsed, file_name: []const u8) void {
+        for (self.diagnostics) |d| {
+            const lc = json_mod.lineCol(self.text, d.pos);
+            const color = if (d.severity == .@"error") ansi.red else ansi.yellow;
+            std.debug.print("  {s}{s}:{d}:{d}:{s} {s}{s}:{s} {s}\n", .{
+                ansi.bold, file_name, lc.line, lc.col, ansi.reset,
+                color,     @tagName(d.severity), ansi.reset, d.message,
+            });
+
+            const pos = @min(d.pos, self.text.len);
+            const line_start = if (std.mem.lastIndexOfScalar(u8, self.text[0..pos], '\n')) |i| i + 1 else 0;
+            const line_end = std.mem.indexOfScalarPos(u8, self.text, pos, '\n') orelse self.text.len;
+            const line = std.mem.trimRight(u8, self.text[line_start..line_end], "\r");
+            std.debug.print("  {s}{d: >5} |{s} {s}\n", .{ ansi.dim, lc.line, ansi.reset, line });
+
+            // Caret under the column; tabs stay tabs so it lines up
+            std.debug.print("  {s}      |{s} ", .{ ansi.dim, ansi.reset });
+            for (self.text[line_start..pos]) |c| {
+                if (c == '\t') {
+                    std.debug.print("\t", .{});
+                } else if (c & 0xC0 != 0x80) {
+                    std.debug.print(" ", .{});
+                }
+            }
+            std.debug.print("{s}^{s}\n", .{ color, ansi.reset });
+            if (d.hint.len > 0) {
+                std.debug.print("  {s}      = hint:{s} {s}\n", .{ ansi.cyan, ansi.reset, d.hint });
+            }
         }
-        while (pos.* < json.len and (isWs(json[pos.*]) or json[pos.*] == ',')) pos.* += 1;
     }
-    if (pos.* < json.len) pos.* += 1; // skip }
-    return shell;
-}
-
-fn parseProxy(json: []const u8, pos: *usize) ProxyConfig {
-    var proxy = ProxyConfig{};
-    while (pos.* < json.len and json[pos.*] != '{') pos.* += 1;
-    if (pos.* < json.len) pos.* += 1;
+};
 
-    while (pos.* < json.len and json[pos.*] != '}') {
-        while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-        if (pos.* >= json.len or json[pos.*] == '}') break;
+/// Parse and validate wu.config.json contents. The copy of `text`, the
+/// config's strings and the diagnostics all live in the config's arena,
+/// freed by WuConfig.deinit(). With errors, the config holds defaults and
+/// `invalid` is set.
+pub fn parseConfigText(allocator: Allocator, text: []const u8) !Parsed {
+    const arena = try allocator.create(std.heap.ArenaAllocator);
+    arena.* = std.heap.ArenaAllocator.init(allocator);
+    errdefer {
+        arena.deinit();
+        allocator.destroy(arena);
+    }
+    const a = arena.allocator();
+
+    const owned = try a.dupe(u8, text);
+    var diagnostics: std.ArrayList(schema_mod.Diagnostic) = .empty;
+    var syntax: json_mod.Error = .{};
+    var cfg = WuConfig{ .invalid = true };
+
+    if (json_mod.parse(a, owned, &syntax)) |root| {
+        try schema_mod.validate(a, &root, &diagnostics);
+        var errors = false;
+        for (diagnostics.items) |d| errors = errors or d.severity == .@"error";
+        if (!errors) cfg = try buildConfig(a, &root);
+    } else |err| switch (err) {
+        error.SyntaxError => try diagnostics.append(a, .{
+            .severity = .@"error",
+            .pos = syntax.pos,
+            .message = syntax.message,
+        }),
+        error.OutOfMemory => return error.OutOfMemory,
+    }
 
-        const key = readString(json, pos) orelse break;
-        skipColon(json, pos);
+    cfg._arena = arena;
+    return .{ .config = cfg, .text = owned, .diagnostics = diagnostics.items };
+}
 
-        if (std.mem.eql(u8, key, "port")) {
-            proxy.port = readU16(json, pos);
-        } else if (std.mem.eql(u8, key, "open_browser")) {
-            proxy.open_browser = readBool(json, pos);
-        } else {
-            skipValue(json, pos);
-        }
-        while (pos.* < json.len and (isWs(json[pos.*]) or json[pos.*] == ',')) pos.* += 1;
+/// Parse without printing anything; any error makes it error.InvalidConfig.
+fn parseConfigJson(allocator: Allocator, text: []const u8) !WuConfig {
+    const parsed = try parseConfigText(allocator, text);
+    var cfg = parsed.config;
+    if (cfg.invalid) {
+        cfg.deinit(allocator);
+        return error.InvalidConfig;
     }
-    if (pos.* < json.len) pos.* += 1;
-    return proxy;
+    return cfg;
 }
 
-fn parseAppsArray(allocator: Allocator, json: []const u8, pos: *usize, list: *std.ArrayList(AppConfig)) !void {
-    while (pos.* < json.len and json[pos.*] != '[') pos.* += 1;
-    if (pos.* < json.len) pos.* += 1;
-
-    while (pos.* < json.len and json[pos.*] != ']') {
-        while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-        if (pos.* >= json.len or json[pos.*] == ']') break;
+/// Build the config from a tree that passed validation. Strings and slices
+/// point into the arena.
+fn buildConfig(arena: Allocator, root: *const json_mod.Node) !WuConfig {
+    var cfg = WuConfig{ .from_file = true };
+    cfg.name = str(root, "name", cfg.name);
+    cfg.version = str(root, "version", cfg.version);
+
+    if (root.get("shell")) |node| {
+        const d = ShellConfig{};
+        cfg.shell = .{
+            .dir = str(node, "dir", d.dir),
+            .port = int(node, "port", d.port),
+            .framework = str(node, "framework", d.framework),
+            .dev_cmd = str(node, "dev_cmd", d.dev_cmd),
+            .build_cmd = str(node, "build_cmd", d.build_cmd),
+        };
+    }
 
-        if (json[pos.*] == '{') {
-            const app = parseOneApp(json, pos);
-            try list.append(allocator, app);
-        } else {
-            pos.* += 1;
+    if (root.get("apps")) |node| {
+        const apps = try arena.alloc(AppConfig, node.items().len);
+        for (node.items(), apps) |*item, *app| {
+            const d = AppConfig{};
+            app.* = .{
+                .name = str(item, "name", d.name),
+                .dir = str(item, "dir", d.dir),
+                .framework = str(item, "framework", d.framework),
+                .port = int(item, "port", d.port),
+                .dev_cmd = str(item, "dev_cmd", d.dev_cmd),
+                .build_cmd = str(item, "build_cmd", d.build_cmd),
+                .headers = try headerList(arena, item),
+                .alias = try aliasList(arena, item),
+            };
         }
-        while (pos.* < json.len and (isWs(json[pos.*]) or json[pos.*] == ',')) pos.* += 1;
+        cfg.apps = apps;
     }
-    if (pos.* < json.len) pos.* += 1; // skip ]
-}
-
-fn parseOneApp(json: []const u8, pos: *usize) AppConfig {
-    var app = AppConfig{};
-    if (pos.* < json.len) pos.* += 1; // skip {
-
-    while (pos.* < json.len and json[pos.*] != '}') {
-        while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-        if (pos.* >= json.len or json[pos.*] == '}') break;
-
-        const key = readString(json, pos) orelse break;
-        skipColon(json, pos);
-
-        if (std.mem.eql(u8, key, "name")) {
-            app.name = readString(json, pos) orelse "";
-        } else if (std.mem.eql(u8, key, "dir")) {
-            app.dir = readString(json, pos) orelse "";
-        } else if (std.mem.eql(u8, key, "framework")) {
-            app.framework = readString(json, pos) orelse "vanilla";
-        } else if (std.mem.eql(u8, key, "port")) {
-            app.port = readU16(json, pos);
-        } else if (std.mem.eql(u8, key, "dev_cmd")) {
-            app.dev_cmd = readString(json, pos) orelse "npx vite";
-        } else if (std.mem.eql(u8, key, "build_cmd")) {
-            app.build_cmd = readString(json, pos) orelse "npx vite build";
+
+    if (root.get("proxy")) |node| cfg.proxy = try buildProxy(arena, node);
+    if (root.get("shared")) |node| cfg.shared.singletons = try strings(arena, node, "singletons");
+    if (root.get("watch")) |node| cfg.watch.ignore = try strings(arena, node, "ignore");
+    if (root.get("plugins")) |node| cfg.plugins = try stringItems(arena, node);
+    if (root.get("conditions")) |node| cfg.conditions = try stringItems(arena, node);
+    cfg.headers = try headerList(arena, root);
+    cfg.alias = try aliasList(arena, root);
+
+    // A "https" section turns HTTPS on unless it says "enabled": false
+    if (root.get("https")) |node| {
+        cfg.https = .{
+            .enabled = flag(node, "enabled", true),
+            .cert = str(node, "cert", ""),
+            .key = str(node, "key", ""),
+            .hosts = try strings(arena, node, "hosts"),
+        };
+    }
+    return cfg;
+}
+
+/// "port" and "open_browser", plus every "/prefix" key as a backend route.
+fn buildProxy(arena: Allocator, node: *const json_mod.Node) !ProxyConfig {
+    const d = ProxyConfig{};
+    var rules: std.ArrayList(ProxyRule) = .empty;
+    for (node.members()) |*m| {
+        if (m.key.len == 0 or m.key[0] != '/') continue;
+        var rule = ProxyRule{ .prefix = std.mem.trimRight(u8, m.key, "/") };
+        if (rule.prefix.len == 0) rule.prefix = "/";
+
+        // A target URL string, or an object
+        if (m.value.string()) |target| {
+            rule.target = target;
         } else {
-            skipValue(json, pos);
+            rule.target = str(&m.value, "target", "");
+            if (m.value.get("rewrite")) |rewrite| rule.rewrite = rewrite.string();
+            rule.app = str(&m.value, "app", "");
+            rule.headers = try headerList(arena, &m.value);
         }
-        while (pos.* < json.len and (isWs(json[pos.*]) or json[pos.*] == ',')) pos.* += 1;
+        try rules.append(arena, rule);
     }
-    if (pos.* < json.len) pos.* += 1; // skip }
-    return app;
+    return .{
+        .port = int(node, "port", d.port),
+        .open_browser = flag(node, "open_browser", d.open_browser),
+        .rules = try rules.toOwnedSlice(arena),
+    };
 }
 
-// ─── JSON Primitives ─────────────────────────────────────────────────────
-
-fn isWs(c: u8) bool {
-    return c == ' ' or c == '\t' or c == '\n' or c == '\r';
+fn str(node: *const json_mod.Node, key: []const u8, default: []const u8) []const u8 {
+    const value = node.get(key) orelse return default;
+    return value.string() orelse default;
 }
 
-fn readString(json: []const u8, pos: *usize) ?[]const u8 {
-    while (pos.* < json.len and json[pos.*] != '"') pos.* += 1;
-    if (pos.* >= json.len) return null;
-    pos.* += 1; // skip opening "
-
-    const start = pos.*;
-    while (pos.* < json.len and json[pos.*] != '"') {
-        if (json[pos.*] == '\\') pos.* += 1; // skip escape
-        pos.* += 1;
-    }
-    const end = pos.*;
-    if (pos.* < json.len) pos.* += 1; // skip closing "
-    return json[start..end];
+fn int(node: *const json_mod.Node, key: []const u8, default: u16) u16 {
+    const value = node.get(key) orelse return default;
+    return value.integer(u16) orelse default;
 }
 
-fn readU16(json: []const u8, pos: *usize) u16 {
-    while (pos.* < json.len and !std.ascii.isDigit(json[pos.*])) pos.* += 1;
-    const start = pos.*;
-    while (pos.* < json.len and std.ascii.isDigit(json[pos.*])) pos.* += 1;
-    return std.fmt.parseInt(u16, json[start..pos.*], 10) catch 0;
+fn flag(node: *const json_mod.Node, key: []const u8, default: bool) bool {
+    const value = node.get(key) orelse return default;
+    return value.boolean() orelse default;
 }
 
-fn readBool(json: []const u8, pos: *usize) bool {
-    while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-    if (pos.* < json.len and json[pos.*] == 't') {
-        pos.* += 4; // true
-        return true;
+/// The "headers" object of `node`, in file order.
+fn headerList(arena: Allocator, node: *const json_mod.Node) ![]const Header {
+    const value = node.get("headers") orelse return &.{};
+    const headers = try arena.alloc(Header, value.members().len);
+    for (value.members(), headers) |h, *header| {
+        header.* = .{ .name = h.key, .value = h.value.string() orelse "" };
     }
-    pos.* += 5; // false
-    return false;
+    return headers;
 }
 
-fn skipColon(json: []const u8, pos: *usize) void {
-    while (pos.* < json.len and json[pos.*] != ':') pos.* += 1;
-    if (pos.* < json.len) pos.* += 1;
-    while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
+/// The "alias" object of `node`, in file order.
+fn aliasList(arena: Allocator, node: *const json_mod.Node) ![]const Alias {
+    const value = node.get("alias") orelse return &.{};
+    const aliases = try arena.alloc(Alias, value.members().len);
+    for (value.members(), aliases) |m, *alias| {
+        alias.* = .{ .find = m.key, .replacement = m.value.string() orelse "" };
+    }
+    return aliases;
 }
 
-fn skipValue(json: []const u8, pos: *usize) void {
-    while (pos.* < json.len and isWs(json[pos.*])) pos.* += 1;
-    if (pos.* >= json.len) return;
+fn strings(arena: Allocator, node: *const json_mod.Node, key: []const u8) ![]const []const u8 {
+    const value = node.get(key) orelse return &.{};
+    return stringItems(arena, value);
+}
 
-    const c = json[pos.*];
-    if (c == '"') {
-        _ = readString(json, pos);
-    } else if (c == '{') {
-        var depth: usize = 1;
-        pos.* += 1;
-        while (pos.* < json.len and depth > 0) : (pos.* += 1) {
-            if (json[pos.*] == '{') depth += 1;
-            if (json[pos.*] == '}') depth -= 1;
-        }
-    } else if (c == '[') {
-        var depth: usize = 1;
-        pos.* += 1;
-        while (pos.* < json.len and depth > 0) : (pos.* += 1) {
-            if (json[pos.*] == '[') depth += 1;
-            if (json[pos.*] == ']') depth -= 1;
-        }
-    } else {
-        // number, bool, null
-        while (pos.* < json.len and json[pos.*] != ',' and json[pos.*] != '}' and json[pos.*] != ']') pos.* += 1;
-    }
+fn stringItems(arena: Allocator, node: *const json_mod.Node) ![]const []const u8 {
+    const list = try arena.alloc([]const u8, node.items().len);
+    for (node.items(), list) |*item, *out| out.* = item.string() orelse "";
+    return list;
 }
 
 // ─── Tests ──────────────────────────────────────────────────────────────
@@ -418,8 +660,8 @@ test "parse minimal config" {
         \\  ]
         \\}
     ;
-    const cfg = try parseConfigJson(std.testing.allocator, json);
-    defer std.testing.allocator.free(cfg.apps);
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
 
     try std.testing.expectEqualStrings("test-project", cfg.name);
     try std.testing.expectEqual(@as(u16, 4321), cfg.shell.port);
@@ -427,3 +669,149 @@ test "parse minimal config" {
     try std.testing.expectEqualStrings("header", cfg.apps[0].name);
     try std.testing.expectEqual(@as(u16, 5001), cfg.apps[0].port);
 }
+
+test "parse shared singletons" {
+    const json =
+        \\{
+        \\  "name": "test-project",
+        \\  "shared": { "singletons": ["react", "react-dom/client"] },
+        \\  "proxy": { "port": 3001 }
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expectEqual(@as(usize, 2), cfg.shared.singletons.len);
+    try std.testing.expectEqualStrings("react", cfg.shared.singletons[0]);
+    try std.testing.expectEqualStrings("react-dom/client", cfg.shared.singletons[1]);
+    try std.testing.expectEqual(@as(u16, 3001), cfg.proxy.port);
+}
+
+test "parse watch ignore" {
+    const json =
+        \\{
+        \\  "name": "test-project",
+        \\  "watch": { "ignore": ["*.log", "fixtures/"] }
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expectEqual(@as(usize, 2), cfg.watch.ignore.len);
+    try std.testing.expectEqualStrings("*.log", cfg.watch.ignore[0]);
+    try std.testing.expectEqualStrings("fixtures/", cfg.watch.ignore[1]);
+}
+
+test "parse plugins list" {
+    const json =
+        \\{
+        \\  "apps": [],
+        \\  "plugins": ["./plugins/mdx.js", "wu.plugins.js"]
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expectEqual(@as(usize, 2), cfg.plugins.len);
+    try std.testing.expectEqualStrings("./plugins/mdx.js", cfg.plugins[0]);
+}
+
+test "parse https section" {
+    const json =
+        \\{
+        \\  "https": {
+        \\    "cert": "certs/dev.pem",
+        \\    "key": "certs/dev-key.pem",
+        \\    "hosts": ["shop.test"]
+        \\  }
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expect(cfg.https.enabled);
+    try std.testing.expectEqualStrings("certs/dev.pem", cfg.https.cert);
+    try std.testing.expectEqualStrings("certs/dev-key.pem", cfg.https.key);
+    try std.testing.expectEqual(@as(usize, 1), cfg.https.hosts.len);
+
+    var off = try parseConfigJson(std.testing.allocator, "{ \"https\": { \"enabled\": false } }");
+    defer off.deinit(std.testing.allocator);
+    try std.testing.expect(!off.https.enabled);
+}
+
+test "parse response headers" {
+    const json =
+        \\{
+        \\  "headers": { "Content-Security-Policy": "script-src 'self' 'nonce-{nonce}'" },
+        \\  "apps": [
+        \\    { "name": "cart", "dir": "mf-cart", "headers": { "Cross-Origin-Embedder-Policy": "require-corp" } }
+        \\  ]
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expectEqual(@as(usize, 1), cfg.headers.len);
+    try std.testing.expectEqualStrings("Content-Security-Policy", cfg.headers[0].name);
+    try std.testing.expectEqualStrings("script-src 'self' 'nonce-{nonce}'", cfg.headers[0].value);
+    try std.testing.expectEqual(@as(usize, 1), cfg.apps[0].headers.len);
+    try std.testing.expectEqualStrings("require-corp", cfg.apps[0].headers[0].value);
+}
+
+test "parse proxy rules" {
+    const json =
+        \\{
+        \\  "proxy": {
+        \\    "port": 3000,
+        \\    "/api/orders/": "http://localhost:4001",
+        \\    "/api/users": {
+        \\      "target": "http://localhost:4002/v1",
+        \\      "rewrite": "",
+        \\      "headers": { "Authorization": "Bearer dev", "X-Tenant": "acme" },
+        \\      "app": "orders"
+        \\    }
+        \\  }
+        \\}
+    ;
+    var cfg = try parseConfigJson(std.testing.allocator, json);
+    defer cfg.deinit(std.testing.allocator);
+
+    try std.testing.expectEqual(@as(u16, 3000), cfg.proxy.port);
+    try std.testing.expectEqual(@as(usize, 2), cfg.proxy.rules.len);
+    const orders = cfg.proxy.rules[0];
+    try std.testing.expectEqualStrings("/api/orders", orders.prefix);
+    try std.testing.expectEqualStrings("http://localhost:4001", orders.target);
+    try std.testing.expect(orders.rewrite == null);
+
+    const users = cfg.proxy.rules[1];
+    try std.testing.expectEqualStrings("", users.rewrite.?);
+    try std.testing.expectEqualStrings("orders", users.app);
+    try std.testing.expectEqual(@as(usize, 2), users.headers.len);
+    try std.testing.expectEqualStrings("Authorization", users.headers[0].name);
+    try std.testing.expectEqualStrings("acme", users.headers[1].value);
+}
+
+test "escaped strings are decoded" {
+    var cfg = try parseConfigJson(std.testing.allocator, "{ \"apps\": [{ \"name\": \"a\\\"b\", \"dir\": \"mf-a\" }] }");
+    defer cfg.deinit(std.testing.allocator);
+    try std.testing.expectEqualStrings("a\"b", cfg.apps[0].name);
+    try std.testing.expectEqualStrings("vanilla", cfg.apps[0].framework);
+}
+
+test "invalid config reports diagnostics and keeps defaults" {
+    const json =
+        \\{
+        \\  "name": "shop",
+        \\  "proxy": { "port": "3001", },
+        \\}
+    ;
+    var parsed = try parseConfigText(std.testing.allocator, json);
+    defer parsed.config.deinit(std.testing.allocator);
+
+    try std.testing.expect(parsed.config.invalid);
+    try std.testing.expect(!parsed.config.from_file);
+    try std.testing.expectEqualStrings("wu-project", parsed.config.name);
+    try std.testing.expectEqual(@as(usize, 1), parsed.count(.@"error"));
+    try std.testing.expectEqualStrings("trailing comma before '}'", parsed.diagnostics[0].message);
+    try std.testing.expectError(error.InvalidConfig, parseConfigJson(std.testing.allocator, json));
+}
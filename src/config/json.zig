@@ -0,0 +1,489 @@
+// WU CLI — JSON Reader
+//
+// Strict JSON (RFC 8259) into a small tree, for wu.config.json.
+// Every node keeps the byte offset it started at, so the schema check
+// (schema.zig) can point at file:line:column. Syntax errors stop at the
+// first problem with a message written for people editing the file by hand:
+// trailing commas, comments and single quotes each get their own.
+// Hand-rolled — zero dependencies, like STORM.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+
+/// Deeper nesting than this is certainly a mistake in a config file.
+const MAX_DEPTH = 64;
+
+pub const Value = union(enum) {
+    null,
+    bool: bool,
+    /// Number text as written, e.g. "3000" or "1.5e3".
+    number: []const u8,
+    /// Decoded string (a slice of the input when it has no escapes).
+    string: []const u8,
+    array: []const Node,
+    object: []const Member,
+};
+
+pub const Node = struct {
+    value: Value,
+    /// Byte offset of the value's first character.
+    pos: usize,
+
+    /// Value of `key` in an object. With duplicate keys the last one wins,
+    /// as in JavaScript.
+    pub fn get(self: *const Node, key: []const u8) ?*const Node {
+        const members_ = self.members();
+        var i = members_.len;
+        while (i > 0) {
+            i -= 1;
+            if (std.mem.eql(u8, members_[i].key, key)) return &members_[i].value;
+        }
+        return null;
+    }
+
+    pub fn string(self: *const Node) ?[]const u8 {
+        return switch (self.value) {
+            .string => |s| s,
+            else => null,
+        };
+    }
+
+    pub fn boolean(self: *const Node) ?bool {
+        return switch (self.value) {
+            .bool => |b| b,
+            else => null,
+        };
+    }
+
+    /// Whole number that fits `T`, or null.
+    pub fn integer(self: *const Node, comptime T: type) ?T {
+        return switch (self.value) {
+            .number => |raw| std.fmt.parseInt(T, raw, 10) catch null,
+            else => null,
+        };
+    }
+
+    pub fn members(self: *const Node) []const Member {
+        return switch (self.value) {
+            .object => |m| m,
+            else => &.{},
+        };
+    }
+
+    pub fn items(self: *const Node) []const Node {
+        return switch (self.value) {
+            .array => |a| a,
+            else => &.{},
+        };
+    }
+
+    /// "a string", "an object", ... for error messages.
+    pub fn describe(self: *const Node) []const u8 {
+        return switch (self.value) {
+            .null => "null",
+            .bool => "a boolean",
+            .number => |raw| if (std.mem.indexOfAny(u8, raw, ".eE") != null) "a decimal number" else "an integer",
+            .string => "a string",
+            .array => "an array",
+            .object => "an object",
+        };
+    }
+};
+
+pub const Member = struct {
+    key: []const u8,
+    /// Byte offset of the key's opening quote.
+    key_pos: usize,
+    value: Node,
+};
+
+/// Where and why parsing stopped.
+pub const Error = struct {
+    pos: usize = 0,
+    message: []const u8 = "",
+};
+
+pub const ParseError = error{ SyntaxError, OutOfMemory };
+
+/// Parse `text` into a tree allocated in `arena` (free it all at once).
+/// On error.SyntaxError, `err` says where and why.
+pub fn parse(arena: Allocator, text: []const u8, err: *Error) ParseError!Node {
+    var p = Parser{ .arena = arena, .text = text, .err = err };
+    // Editors on Windows like to start files with a byte order mark
+    if (std.mem.startsWith(u8, text, "\xEF\xBB\xBF")) p.pos = 3;
+    const root = try p.value();
+    try p.skipWs();
+    if (p.pos < text.len) return p.fail(p.pos, "unexpected text after the end of the JSON value");
+    return root;
+}
+
+pub const LineCol = struct {
+    line: usize,
+    col: usize,
+};
+
+/// 1-based line and column of byte offset `pos`. Columns count characters,
+/// not bytes, so they match what editors show.
+pub fn lineCol(text: []const u8, pos: usize) LineCol {
+    var lc = LineCol{ .line = 1, .col = 1 };
+    for (text[0..@min(pos, text.len)]) |c| {
+        if (c == '\n') {
+            lc.line += 1;
+            lc.col = 1;
+        } else if (c & 0xC0 != 0x80) {
+            lc.col += 1;
+        }
+    }
+    return lc;
+}
+
+/// Blank out the comments and trailing commas of JSONC (tsconfig.json,
+/// jsconfig.json) in place, so `parse` accepts it. Offsets are unchanged
+/// and newlines are kept, so error positions still match the file.
+pub fn uncomment(text: []u8) void {
+    var i: usize = 0;
+    // Index of the last comma since the last value character
+    var comma: ?usize = null;
+    while (i < text.len) {
+        const c = text[i];
+        if (c == '"') {
+            comma = null;
+            i += 1;
+            while (i < text.len and text[i] != '"') : (i += 1) {
+                if (text[i] == '\\') i += 1;
+            }
+            i += 1;
+        } else if (c == '/' and i + 1 < text.len and text[i + 1] == '/') {
+            while (i < text.len and text[i] != '\n') : (i += 1) text[i] = ' ';
+        } else if (c == '/' and i + 1 < text.len and text[i + 1] == '*') {
+            const end = if (std.mem.indexOfPos(u8, text, i + 2, "*/")) |e| e + 2 else text.len;
+            while (i < end) : (i += 1) {
+                if (text[i] != '\n') text[i] = ' ';
+            }
+        } else if (c == ',') {
+            comma = i;
+            i += 1;
+        } else if (c == '}' or c == ']') {
+            if (comma) |at| text[at] = ' ';
+            comma = null;
+            i += 1;
+        } else {
+            if (!std.ascii.isWhitespace(c)) comma = null;
+            i += 1;
+        }
+    }
+}
+
+// ─── Parser ───────────────────────────────────────────────────────────────
+
+const Parser = struct {
+    arena: Allocator,
+    text: []const u8,
+    pos: usize = 0,
+    depth: usize = 0,
+    err: *Error,
+
+    fn fail(self: *Parser, pos: usize, message: []const u8) ParseError {
+        self.err.* = .{ .pos = pos, .message = message };
+        return error.SyntaxError;
+    }
+
+    fn skipWs(self: *Parser) ParseError!void {
+        while (self.pos < self.text.len) {
+            switch (self.text[self.pos]) {
+                ' ', '\t', '\n', '\r' => self.pos += 1,
+                '/' => {
+                    const next = if (self.pos + 1 < self.text.len) self.text[self.pos + 1] else 0;
+                    if (next == '/' or next == '*') return self.fail(self.pos, "comments are not allowed in JSON");
+                    return;
+                },
+                else => return,
+            }
+        }
+    }
+
+    fn value(self: *Parser) ParseError!Node {
+        try self.skipWs();
+        const start = self.pos;
+        if (start >= self.text.len) return self.fail(start, "unexpected end of file, expected a value");
+
+        const v: Value = switch (self.text[start]) {
+            '{' => .{ .object = try self.object() },
+            '[' => .{ .array = try self.array() },
+            '"' => .{ .string = try self.string() },
+            '-', '0'...'9' => .{ .number = try self.number() },
+            't' => if (self.literal("true")) .{ .bool = true } else return self.bareWord(),
+            'f' => if (self.literal("false")) .{ .bool = false } else return self.bareWord(),
+            'n' => if (self.literal("null")) .null else return self.bareWord(),
+            '\'' => return self.fail(start, "strings need double quotes, not single quotes"),
+            else => return self.bareWord(),
+        };
+        return .{ .value = v, .pos = start };
+    }
+
+    fn bareWord(self: *Parser) ParseError {
+        return self.fail(self.pos, "expected a value (strings need double quotes)");
+    }
+
+    fn literal(self: *Parser, word: []const u8) bool {
+        if (!std.mem.startsWith(u8, self.text[self.pos..], word)) return false;
+        const end = self.pos + word.len;
+        if (end < self.text.len and (std.ascii.isAlphanumeric(self.text[end]) or self.text[end] == '_')) return false;
+        self.pos = end;
+        return true;
+    }
+
+    fn enter(self: *Parser) ParseError!void {
+        if (self.depth >= MAX_DEPTH) return self.fail(self.pos, "nested too deeply");
+        self.depth += 1;
+    }
+
+    fn object(self: *Parser) ParseError![]const Member {
+        try self.enter();
+        defer self.depth -= 1;
+        const open = self.pos;
+        self.pos += 1; // {
+
+        var list: std.ArrayList(Member) = .empty;
+        var comma: usize = 0;
+        try self.skipWs();
+        if (self.pos < self.text.len and self.text[self.pos] == '}') {
+            self.pos += 1;
+            return list.toOwnedSlice(self.arena);
+        }
+
+        while (true) {
+            try self.skipWs();
+            if (self.pos >= self.text.len) return self.fail(open, "this object is never closed (missing '}')");
+            const c = self.text[self.pos];
+            if (c == '}') return self.fail(comma, "trailing comma before '}'");
+            if (c == '\'') return self.fail(self.pos, "keys need double quotes, not single quotes");
+            if (c != '"') return self.fail(self.pos, "expected a key in double quotes");
+
+            const key_pos = self.pos;
+            const key = try self.string();
+            try self.skipWs();
+            if (self.pos >= self.text.len or self.text[self.pos] != ':') {
+                return self.fail(self.pos, "expected ':' after the key");
+            }
+            self.pos += 1;
+            const v = try self.value();
+            try list.append(self.arena, .{ .key = key, .key_pos = key_pos, .value = v });
+
+            try self.skipWs();
+            if (self.pos >= self.text.len) return self.fail(open, "this object is never closed (missing '}')");
+            switch (self.text[self.pos]) {
+                ',' => {
+                    comma = self.pos;
+                    self.pos += 1;
+                },
+                '}' => {
+                    self.pos += 1;
+                    return list.toOwnedSlice(self.arena);
+                },
+                else => return self.fail(self.pos, "expected ',' or '}' (missing comma?)"),
+            }
+        }
+    }
+
+    fn array(self: *Parser) ParseError![]const Node {
+        try self.enter();
+        defer self.depth -= 1;
+        const open = self.pos;
+        self.pos += 1; // [
+
+        var list: std.ArrayList(Node) = .empty;
+        var comma: usize = 0;
+        try self.skipWs();
+        if (self.pos < self.text.len and self.text[self.pos] == ']') {
+            self.pos += 1;
+            return list.toOwnedSlice(self.arena);
+        }
+
+        while (true) {
+            try self.skipWs();
+            if (self.pos < self.text.len and self.text[self.pos] == ']') {
+                return self.fail(comma, "trailing comma before ']'");
+            }
+            try list.append(self.arena, try self.value());
+
+            try self.skipWs();
+            if (self.pos >= self.text.len) return self.fail(open, "this array is never closed (missing ']')");
+            switch (self.text[self.pos]) {
+                ',' => {
+                    comma = self.pos;
+                    self.pos += 1;
+                },
+                ']' => {
+                    self.pos += 1;
+                    return list.toOwnedSlice(self.arena);
+                },
+                else => return self.fail(self.pos, "expected ',' or ']' (missing comma?)"),
+            }
+        }
+    }
+
+    /// String at `pos` (on the opening quote). Escapes are decoded into the
+    /// arena; strings without them are sliced straight out of the input.
+    fn string(self: *Parser) ParseError![]const u8 {
+        const open = self.pos;
+        self.pos += 1;
+        const start = self.pos;
+        var escaped = false;
+        while (true) {
+            if (self.pos >= self.text.len) return self.fail(open, "unterminated string");
+            const c = self.text[self.pos];
+            if (c == '"') break;
+            if (c == '\n') return self.fail(open, "unterminated string (strings cannot span lines)");
+            if (c < 0x20) return self.fail(self.pos, "control character in string (escape it)");
+            if (c == '\\') {
+                escaped = true;
+                self.pos += 1;
+            }
+            self.pos += 1;
+        }
+        const raw = self.text[start..self.pos];
+        self.pos += 1; // closing "
+        if (!escaped) return raw;
+        return self.unescape(raw, start);
+    }
+
+    fn unescape(self: *Parser, raw: []const u8, offset: usize) ParseError![]const u8 {
+        var out: std.ArrayList(u8) = .empty;
+        try out.ensureTotalCapacity(self.arena, raw.len);
+        var i: usize = 0;
+        while (i < raw.len) : (i += 1) {
+            if (raw[i] != '\\') {
+                out.appendAssumeCapacity(raw[i]);
+                continue;
+            }
+            i += 1;
+            const esc_pos = offset + i - 1;
+            switch (raw[i]) {
+                '"', '\\', '/' => out.appendAssumeCapacity(raw[i]),
+                'b' => out.appendAssumeCapacity(0x08),
+                'f' => out.appendAssumeCapacity(0x0C),
+                'n' => out.appendAssumeCapacity('\n'),
+                'r' => out.appendAssumeCapacity('\r'),
+                't' => out.appendAssumeCapacity('\t'),
+                'u' => {
+                    var cp: u21 = hex4(raw, i + 1) orelse return self.fail(esc_pos, "invalid \\u escape");
+                    i += 4;
+                    if (cp >= 0xD800 and cp <= 0xDBFF) {
+                        // High surrogate: must be followed by \uDC00-\uDFFF
+                        const low = if (i + 2 < raw.len and raw[i + 1] == '\\' and raw[i + 2] == 'u') hex4(raw, i + 3) else null;
+                        if (low == null or low.? < 0xDC00 or low.? > 0xDFFF) return self.fail(esc_pos, "unpaired surrogate in \\u escape");
+                        cp = 0x10000 + ((cp - 0xD800) << 10) + (low.? - 0xDC00);
+                        i += 6;
+                    } else if (cp >= 0xDC00 and cp <= 0xDFFF) {
+                        return self.fail(esc_pos, "unpaired surrogate in \\u escape");
+                    }
+                    var buf: [4]u8 = undefined;
+                    const n = std.unicode.utf8Encode(cp, &buf) catch unreachable;
+                    out.appendSliceAssumeCapacity(buf[0..n]);
+                },
+                else => return self.fail(esc_pos, "invalid escape (use \\\\ for a backslash)"),
+            }
+        }
+        return out.toOwnedSlice(self.arena);
+    }
+
+    fn number(self: *Parser) ParseError![]const u8 {
+        const start = self.pos;
+        const t = self.text;
+        if (t[self.pos] == '-') self.pos += 1;
+        if (self.pos >= t.len or !std.ascii.isDigit(t[self.pos])) return self.fail(start, "invalid number");
+        if (t[self.pos] == '0') {
+            self.pos += 1;
+            if (self.pos < t.len and std.ascii.isDigit(t[self.pos])) return self.fail(start, "numbers cannot have leading zeros");
+        } else {
+            while (self.pos < t.len and std.ascii.isDigit(t[self.pos])) self.pos += 1;
+        }
+        if (self.pos < t.len and t[self.pos] == '.') {
+            self.pos += 1;
+            if (self.pos >= t.len or !std.ascii.isDigit(t[self.pos])) return self.fail(start, "invalid number");
+            while (self.pos < t.len and std.ascii.isDigit(t[self.pos])) self.pos += 1;
+        }
+        if (self.pos < t.len and (t[self.pos] == 'e' or t[self.pos] == 'E')) {
+            self.pos += 1;
+            if (self.pos < t.len and (t[self.pos] == '+' or t[self.pos] == '-')) self.pos += 1;
+            if (self.pos >= t.len or !std.ascii.isDigit(t[self.pos])) return self.fail(start, "invalid number");
+            while (self.pos < t.len and std.ascii.isDigit(t[self.pos])) self.pos += 1;
+        }
+        return t[start..self.pos];
+    }
+};
+
+fn hex4(raw: []const u8, at: usize) ?u21 {
+    if (at + 4 > raw.len) return null;
+    return std.fmt.parseInt(u21, raw[at .. at + 4], 16) catch null;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────
+
+test "parse objects, arrays and scalars" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    var err: Error = .{};
+    const root = try parse(arena.allocator(),
+        \\{ "name": "shop", "port": 3000, "open": true, "tags": ["a", "b\né"], "x": null }
+    , &err);
+
+    try std.testing.expectEqualStrings("shop", root.get("name").?.string().?);
+    try std.testing.expectEqual(@as(?u16, 3000), root.get("port").?.integer(u16));
+    try std.testing.expectEqual(@as(?bool, true), root.get("open").?.boolean());
+    const tags = root.get("tags").?.items();
+    try std.testing.expectEqual(@as(usize, 2), tags.len);
+    try std.testing.expectEqualStrings("b\n\xc3\xa9", tags[1].string().?);
+    try std.testing.expect(root.get("x").?.value == .null);
+    try std.testing.expect(root.get("missing") == null);
+}
+
+test "duplicate keys: last one wins" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    var err: Error = .{};
+    const root = try parse(arena.allocator(), "{\"a\": 1, \"a\": 2}", &err);
+    try std.testing.expectEqual(@as(?u8, 2), root.get("a").?.integer(u8));
+}
+
+test "syntax errors point at the problem" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const cases = [_]struct { text: []const u8, line: usize, col: usize, message: []const u8 }{
+        .{ .text = "{\n  \"a\": 1,\n}", .line = 2, .col = 9, .message = "trailing comma before '}'" },
+        .{ .text = "{\n  // dev only\n  \"a\": 1\n}", .line = 2, .col = 3, .message = "comments are not allowed in JSON" },
+        .{ .text = "{ \"a\": 1 \"b\": 2 }", .line = 1, .col = 10, .message = "expected ',' or '}' (missing comma?)" },
+        .{ .text = "{ 'a': 1 }", .line = 1, .col = 3, .message = "keys need double quotes, not single quotes" },
+        .{ .text = "{ \"a\": react }", .line = 1, .col = 8, .message = "expected a value (strings need double quotes)" },
+        .{ .text = "{ \"a\": \"x }", .line = 1, .col = 8, .message = "unterminated string" },
+        .{ .text = "{ \"a\": 1 } }", .line = 1, .col = 12, .message = "unexpected text after the end of the JSON value" },
+    };
+    for (cases) |case| {
+        var err: Error = .{};
+        try std.testing.expectError(error.SyntaxError, parse(arena.allocator(), case.text, &err));
+        try std.testing.expectEqualStrings(case.message, err.message);
+        const lc = lineCol(case.text, err.pos);
+        try std.testing.expectEqual(case.line, lc.line);
+        try std.testing.expectEqual(case.col, lc.col);
+    }
+}
+
+test "uncomment JSONC" {
+    var text =
+        \\{
+        \\  // base config
+        \\  "extends": "./base.json", /* shared */
+        \\  "paths": { "@/*": ["./src/*",], },
+        \\  "url": "http://x//y"
+        \\}
+    .*;
+    uncomment(&text);
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    var err: Error = .{};
+    const root = try parse(arena.allocator(), &text, &err);
+    try std.testing.expectEqualStrings("./base.json", root.get("extends").?.string().?);
+    try std.testing.expectEqualStrings("http://x//y", root.get("url").?.string().?);
+    try std.testing.expectEqual(@as(usize, 1), root.get("paths").?.get("@/*").?.items().len);
+}
@@ -0,0 +1,541 @@
+// WU CLI — wu.config.json Schema
+//
+// One description of the config file, used twice:
+//   validate()         checks a parsed tree (json.zig) and collects
+//                      diagnostics with byte offsets and "did you mean" hints
+//   writeJsonSchema()  prints it as JSON Schema (draft-07) for editors —
+//                      the published wu.config.schema.json is its output
+//
+// Type errors, missing keys and bad ports are errors: the config cannot be
+// used. Unknown keys, duplicate keys and unknown frameworks are warnings —
+// they used to be silently ignored, and may come from a newer wu.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const json = @import("json.zig");
+
+/// Where editors fetch the schema from (`"$schema"` in wu.config.json).
+pub const SCHEMA_URL = "https://unpkg.com/@wu-framework/cli/wu.config.schema.json";
+
+pub const Kind = enum { object, array, string, integer, boolean };
+
+pub const Schema = struct {
+    kind: Kind,
+    description: []const u8 = "",
+    properties: []const Property = &.{},
+    required: []const []const u8 = &.{},
+    /// Object keys starting with `pattern_prefix` take `pattern_schema`
+    /// (proxy "/api" routes).
+    pattern_prefix: []const u8 = "",
+    pattern_schema: ?*const Schema = null,
+    /// Free-form keys, all with this schema (proxy rule headers).
+    additional: ?*const Schema = null,
+    items: ?*const Schema = null,
+    /// Known values, offered by editors; anything else is a warning.
+    suggestions: []const []const u8 = &.{},
+    minimum: ?i64 = null,
+    maximum: ?i64 = null,
+    /// A plain string is accepted in place of the object (a proxy route's
+    /// target URL).
+    or_string: bool = false,
+};
+
+pub const Property = struct {
+    name: []const u8,
+    schema: *const Schema,
+};
+
+// ─── The wu.config.json schema ────────────────────────────────────────────
+
+pub const FRAMEWORKS = [_][]const u8{ "react", "vue", "svelte", "solid", "preact", "lit", "vanilla", "angular", "alpine", "qwik", "stencil", "htmx", "stimulus", "astro", "html" };
+
+const string_list = Schema{ .kind = .array, .items = &.{ .kind = .string } };
+
+const port = Schema{
+    .kind = .integer,
+    .description = "TCP port",
+    .minimum = 1,
+    .maximum = 65535,
+};
+
+const shell = Schema{
+    .kind = .object,
+    .description = "The shell app that hosts the micro-apps",
+    .properties = &.{
+        .{ .name = "dir", .schema = &.{ .kind = .string, .description = "Directory, relative to the project root" } },
+        .{ .name = "port", .schema = &port },
+        .{ .name = "framework", .schema = &.{ .kind = .string, .suggestions = &FRAMEWORKS } },
+        .{ .name = "dev_cmd", .schema = &.{ .kind = .string, .description = "Command for wu dev --vite" } },
+        .{ .name = "build_cmd", .schema = &.{ .kind = .string, .description = "Command for wu build" } },
+    },
+};
+
+const response_headers = Schema{
+    .kind = .object,
+    .description = "Response headers for wu dev and wu serve; {nonce} is a fresh CSP nonce, an empty value removes the header",
+    .additional = &.{ .kind = .string },
+};
+
+const app = Schema{
+    .kind = .object,
+    .properties = &.{
+        .{ .name = "name", .schema = &.{ .kind = .string, .description = "Name the shell mounts the app under" } },
+        .{ .name = "dir", .schema = &.{ .kind = .string, .description = "Directory, relative to the project root" } },
+        .{ .name = "framework", .schema = &.{ .kind = .string, .suggestions = &FRAMEWORKS } },
+        .{ .name = "port", .schema = &port },
+        .{ .name = "dev_cmd", .schema = &.{ .kind = .string, .description = "Command for wu dev --vite" } },
+        .{ .name = "build_cmd", .schema = &.{ .kind = .string, .description = "Command for wu build" } },
+        .{ .name = "headers", .schema = &response_headers },
+        .{ .name = "alias", .schema = &.{
+            .kind = .object,
+            .description = "Import aliases for this app, relative to its directory",
+            .additional = &.{ .kind = .string },
+        } },
+    },
+    .required = &.{ "name", "dir" },
+};
+
+const proxy_route = Schema{
+    .kind = .object,
+    .description = "Backend route: a target URL, or an object",
+    .or_string = true,
+    .properties = &.{
+        .{ .name = "target", .schema = &.{ .kind = .string, .description = "Upstream base URL (http:// or ws://)" } },
+        .{ .name = "rewrite", .schema = &.{ .kind = .string, .description = "Replaces the matched prefix; empty strips it" } },
+        .{ .name = "headers", .schema = &.{
+            .kind = .object,
+            .description = "Request headers added or overridden",
+            .additional = &.{ .kind = .string },
+        } },
+        .{ .name = "app", .schema = &.{ .kind = .string, .description = "Only match under this app's path" } },
+    },
+    .required = &.{"target"},
+};
+
+const proxy = Schema{
+    .kind = .object,
+    .description = "Unified dev server; keys starting with / are backend routes",
+    .properties = &.{
+        .{ .name = "port", .schema = &port },
+        .{ .name = "open_browser", .schema = &.{ .kind = .boolean } },
+    },
+    .pattern_prefix = "/",
+    .pattern_schema = &proxy_route,
+};
+
+pub const CONFIG = Schema{
+    .kind = .object,
+    .description = "wu-framework project configuration",
+    .properties = &.{
+        .{ .name = "$schema", .schema = &.{ .kind = .string } },
+        .{ .name = "name", .schema = &.{ .kind = .string, .description = "Project name" } },
+        .{ .name = "version", .schema = &.{ .kind = .string } },
+        .{ .name = "shell", .schema = &shell },
+        .{ .name = "apps", .schema = &.{ .kind = .array, .description = "Micro-apps", .items = &app } },
+        .{ .name = "proxy", .schema = &proxy },
+        .{ .name = "shared", .schema = &.{
+            .kind = .object,
+            .description = "Dependencies loaded once for every app",
+            .properties = &.{.{ .name = "singletons", .schema = &string_list }},
+        } },
+        .{ .name = "watch", .schema = &.{
+            .kind = .object,
+            .description = "File watching for wu dev",
+            .properties = &.{.{ .name = "ignore", .schema = &string_list }},
+        } },
+        .{ .name = "plugins", .schema = &.{
+            .kind = .array,
+            .description = "Dev-server plugin modules",
+            .items = &.{ .kind = .string },
+        } },
+        .{ .name = "https", .schema = &.{
+            .kind = .object,
+            .description = "HTTPS for wu dev; self-signed without cert and key",
+            .properties = &.{
+                .{ .name = "enabled", .schema = &.{ .kind = .boolean } },
+                .{ .name = "cert", .schema = &.{ .kind = .string, .description = "PEM certificate chain" } },
+                .{ .name = "key", .schema = &.{ .kind = .string, .description = "PEM ECDSA P-256 private key" } },
+                .{ .name = "hosts", .schema = &string_list },
+            },
+        } },
+        .{ .name = "headers", .schema = &response_headers },
+        .{ .name = "alias", .schema = &.{
+            .kind = .object,
+            .description = "Import aliases for every app, relative to the project root; checked before tsconfig.json paths",
+            .additional = &.{ .kind = .string },
+        } },
+        .{ .name = "conditions", .schema = &.{
+            .kind = .array,
+            .description = "Extra package.json exports/imports conditions, e.g. development; tried in package order with import, module, browser and default",
+            .items = &.{ .kind = .string },
+        } },
+    },
+};
+
+// ─── Validation ───────────────────────────────────────────────────────────
+
+pub const Severity = enum { @"error", warning };
+
+pub const Diagnostic = struct {
+    severity: Severity,
+    /// Byte offset in the config text.
+    pos: usize,
+    message: []const u8,
+    hint: []const u8 = "",
+};
+
+/// Check `root` against the wu.config.json schema. Messages are allocated
+/// in `arena`.
+pub fn validate(arena: Allocator, root: *const json.Node, out: *std.ArrayList(Diagnostic)) !void {
+    var v = Validator{ .arena = arena, .out = out };
+    try v.check(root, &CONFIG, "");
+}
+
+const Validator = struct {
+    arena: Allocator,
+    out: *std.ArrayList(Diagnostic),
+
+    fn report(self: *Validator, severity: Severity, pos: usize, hint: []const u8, comptime fmt: []const u8, args: anytype) Allocator.Error!void {
+        try self.out.append(self.arena, .{
+            .severity = severity,
+            .pos = pos,
+            .message = try std.fmt.allocPrint(self.arena, fmt, args),
+            .hint = hint,
+        });
+    }
+
+    /// `path` names the value in messages, e.g. "apps[0].port".
+    fn check(self: *Validator, node: *const json.Node, s: *const Schema, path: []const u8) Allocator.Error!void {
+        const where = if (path.len > 0) path else "the config";
+        if (s.or_string and node.value == .string) return;
+
+        switch (s.kind) {
+            .string => if (node.value != .string) return self.mismatch(node, "a string", where) else {
+                if (s.suggestions.len > 0) try self.checkSuggestion(node, s, where);
+            },
+            .boolean => if (node.value != .bool) return self.mismatch(node, "true or false", where),
+            .integer => try self.checkInteger(node, s, where),
+            .array => {
+                if (node.value != .array) return self.mismatch(node, "an array", where);
+                const item_schema = s.items orelse return;
+                for (node.items(), 0..) |*item, i| {
+                    try self.check(item, item_schema, try std.fmt.allocPrint(self.arena, "{s}[{d}]", .{ path, i }));
+                }
+            },
+            .object => try self.checkObject(node, s, path, where),
+        }
+    }
+
+    fn mismatch(self: *Validator, node: *const json.Node, expected: []const u8, where: []const u8) Allocator.Error!void {
+        // "5001" for a port, "true" for a flag: the quotes are the mistake
+        var hint: []const u8 = "";
+        if (node.string()) |str| {
+            if (std.fmt.parseInt(i64, str, 10)) |_| {
+                hint = try std.fmt.allocPrint(self.arena, "write {s} without quotes", .{str});
+            } else |_| if (std.mem.eql(u8, str, "true") or std.mem.eql(u8, str, "false")) {
+                hint = try std.fmt.allocPrint(self.arena, "write {s} without quotes", .{str});
+            }
+        }
+        try self.report(.@"error", node.pos, hint, "{s} must be {s}, found {s}", .{ where, expected, node.describe() });
+    }
+
+    fn checkInteger(self: *Validator, node: *const json.Node, s: *const Schema, where: []const u8) Allocator.Error!void {
+        if (node.value != .number) return self.mismatch(node, "an integer", where);
+        const n = node.integer(i64) orelse {
+            return self.report(.@"error", node.pos, "", "{s} must be a whole number, found {s}", .{ where, node.value.number });
+        };
+        const min = s.minimum orelse std.math.minInt(i64);
+        const max = s.maximum orelse std.math.maxInt(i64);
+        if (n < min or n > max) {
+            try self.report(.@"error", node.pos, "", "{s} must be between {d} and {d}, found {d}", .{ where, min, max, n });
+        }
+    }
+
+    fn checkSuggestion(self: *Validator, node: *const json.Node, s: *const Schema, where: []const u8) Allocator.Error!void {
+        const value = node.string().?;
+        for (s.suggestions) |known| {
+            if (std.mem.eql(u8, known, value)) return;
+        }
+        const hint = if (closest(value, s.suggestions)) |best|
+            try std.fmt.allocPrint(self.arena, "did you mean \"{s}\"?", .{best})
+        else
+            try std.fmt.allocPrint(self.arena, "known values: {s}", .{try std.mem.join(self.arena, ", ", s.suggestions)});
+        try self.report(.warning, node.pos, hint, "{s}: unknown value \"{s}\"", .{ where, value });
+    }
+
+    fn checkObject(self: *Validator, node: *const json.Node, s: *const Schema, path: []const u8, where: []const u8) Allocator.Error!void {
+        if (node.value != .object) {
+            return self.mismatch(node, if (s.or_string) "a URL string or an object" else "an object", where);
+        }
+        const members = node.members();
+
+        for (members, 0..) |*m, i| {
+            const child_path = if (path.len > 0)
+                try std.fmt.allocPrint(self.arena, "{s}.{s}", .{ path, m.key })
+            else
+                m.key;
+
+            for (members[0..i]) |earlier| {
+                if (std.mem.eql(u8, earlier.key, m.key)) {
+                    try self.report(.warning, m.key_pos, "", "duplicate key \"{s}\" — the last one wins", .{m.key});
+                    break;
+                }
+            }
+
+            if (findProperty(s, m.key)) |prop| {
+                try self.check(&m.value, prop.schema, child_path);
+            } else if (s.pattern_schema != null and std.mem.startsWith(u8, m.key, s.pattern_prefix)) {
+                try self.check(&m.value, s.pattern_schema.?, child_path);
+            } else if (s.additional) |additional| {
+                try self.check(&m.value, additional, child_path);
+            } else {
+                try self.unknownKey(m, s, where);
+            }
+        }
+
+        for (s.required) |key| {
+            if (node.get(key) == null) {
+                try self.report(.@"error", node.pos, "", "{s} is missing \"{s}\"", .{ where, key });
+            }
+        }
+    }
+
+    fn unknownKey(self: *Validator, m: *const json.Member, s: *const Schema, where: []const u8) Allocator.Error!void {
+        var names: [16][]const u8 = undefined;
+        var n: usize = 0;
+        for (s.properties) |prop| {
+            if (n == names.len) break;
+            names[n] = prop.name;
+            n += 1;
+        }
+        const hint = if (closest(m.key, names[0..n])) |best|
+            try std.fmt.allocPrint(self.arena, "did you mean \"{s}\"?", .{best})
+        else if (s.pattern_schema != null)
+            try std.fmt.allocPrint(self.arena, "route keys start with \"{s}\", e.g. \"{s}api\"", .{ s.pattern_prefix, s.pattern_prefix })
+        else
+            "";
+        try self.report(.warning, m.key_pos, hint, "unknown key \"{s}\" in {s}", .{ m.key, where });
+    }
+};
+
+fn findProperty(s: *const Schema, name: []const u8) ?Property {
+    for (s.properties) |prop| {
+        if (std.mem.eql(u8, prop.name, name)) return prop;
+    }
+    return null;
+}
+
+/// Closest candidate by edit distance, if it is close enough to be a typo.
+fn closest(word: []const u8, candidates: []const []const u8) ?[]const u8 {
+    var best: ?[]const u8 = null;
+    var best_distance: usize = @max(2, word.len / 3) + 1;
+    for (candidates) |candidate| {
+        const d = editDistance(word, candidate);
+        if (d < best_distance) {
+            best = candidate;
+            best_distance = d;
+        }
+    }
+    return best;
+}
+
+/// Levenshtein distance, case-insensitive. Long words count as far apart.
+fn editDistance(a: []const u8, b: []const u8) usize {
+    const MAX = 64;
+    if (a.len > MAX or b.len > MAX) return std.math.maxInt(usize);
+    var row: [MAX + 1]usize = undefined;
+    for (0..b.len + 1) |j| row[j] = j;
+    for (a, 0..) |ca, i| {
+        var diagonal = row[0];
+        row[0] = i + 1;
+        for (b, 0..) |cb, j| {
+            const above = row[j + 1];
+            const cost: usize = if (std.ascii.toLower(ca) == std.ascii.toLower(cb)) 0 else 1;
+            row[j + 1] = @min(@min(above + 1, row[j] + 1), diagonal + cost);
+            diagonal = above;
+        }
+    }
+    return row[b.len];
+}
+
+// ─── JSON Schema output ───────────────────────────────────────────────────
+
+/// Write the schema as JSON Schema (draft-07), for editor autocompletion.
+pub fn writeJsonSchema(w: anytype) !void {
+    try w.writeAll("{\n");
+    try w.writeAll("  \"$schema\": \"http://json-schema.org/draft-07/schema#\",\n");
+    try w.print("  \"$id\": \"{s}\",\n", .{SCHEMA_URL});
+    try w.writeAll("  \"title\": \"wu.config.json\",\n");
+    try writeKeywords(w, &CONFIG, 1);
+    try w.writeAll("\n}\n");
+}
+
+fn writeNode(w: anytype, s: *const Schema, depth: usize) anyerror!void {
+    try w.writeAll("{\n");
+    try writeKeywords(w, s, depth + 1);
+    try w.writeAll("\n");
+    try indent(w, depth);
+    try w.writeAll("}");
+}
+
+/// One keyword per line at `depth`, without the surrounding braces.
+fn writeKeywords(w: anytype, s: *const Schema, depth: usize) anyerror!void {
+    var first = true;
+    if (s.description.len > 0) {
+        try next(w, &first, depth);
+        try w.writeAll("\"description\": ");
+        try writeString(w, s.description);
+    }
+    try next(w, &first, depth);
+    if (s.or_string) {
+        try w.print("\"type\": [\"string\", \"{s}\"]", .{@tagName(s.kind)});
+    } else {
+        try w.print("\"type\": \"{s}\"", .{@tagName(s.kind)});
+    }
+    if (s.suggestions.len > 0) {
+        try next(w, &first, depth);
+        try w.writeAll("\"examples\": ");
+        try writeStringArray(w, s.suggestions);
+    }
+    if (s.minimum) |min| {
+        try next(w, &first, depth);
+        try w.print("\"minimum\": {d}", .{min});
+    }
+    if (s.maximum) |max| {
+        try next(w, &first, depth);
+        try w.print("\"maximum\": {d}", .{max});
+    }
+    if (s.properties.len > 0) {
+        try next(w, &first, depth);
+        try w.writeAll("\"properties\": {\n");
+        for (s.properties, 0..) |prop, i| {
+            if (i > 0) try w.writeAll(",\n");
+            try indent(w, depth + 1);
+            try writeString(w, prop.name);
+            try w.writeAll(": ");
+            try writeNode(w, prop.schema, depth + 1);
+        }
+        try w.writeAll("\n");
+        try indent(w, depth);
+        try w.writeAll("}");
+    }
+    if (s.pattern_schema) |pattern| {
+        try next(w, &first, depth);
+        try w.writeAll("\"patternProperties\": {\n");
+        try indent(w, depth + 1);
+        try w.print("\"^{s}\": ", .{s.pattern_prefix});
+        try writeNode(w, pattern, depth + 1);
+        try w.writeAll("\n");
+        try indent(w, depth);
+        try w.writeAll("}");
+    }
+    if (s.additional) |additional| {
+        try next(w, &first, depth);
+        try w.writeAll("\"additionalProperties\": ");
+        try writeNode(w, additional, depth);
+    } else if (s.kind == .object) {
+        try next(w, &first, depth);
+        try w.writeAll("\"additionalProperties\": false");
+    }
+    if (s.required.len > 0) {
+        try next(w, &first, depth);
+        try w.writeAll("\"required\": ");
+        try writeStringArray(w, s.required);
+    }
+    if (s.items) |items| {
+        try next(w, &first, depth);
+        try w.writeAll("\"items\": ");
+        try writeNode(w, items, depth);
+    }
+}
+
+fn next(w: anytype, first: *bool, depth: usize) !void {
+    if (!first.*) try w.writeAll(",\n");
+    first.* = false;
+    try indent(w, depth);
+}
+
+fn indent(w: anytype, depth: usize) !void {
+    for (0..depth) |_| try w.writeAll("  ");
+}
+
+fn writeString(w: anytype, s: []const u8) !void {
+    try w.writeAll("\"");
+    for (s) |c| {
+        switch (c) {
+            '"', '\\' => try w.print("\\{c}", .{c}),
+            else => try w.writeByte(c),
+        }
+    }
+    try w.writeAll("\"");
+}
+
+fn writeStringArray(w: anytype, items: []const []const u8) !void {
+    try w.writeAll("[");
+    for (items, 0..) |item, i| {
+        if (i > 0) try w.writeAll(", ");
+        try writeString(w, item);
+    }
+    try w.writeAll("]");
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────
+
+fn validateText(arena: Allocator, text: []const u8) ![]const Diagnostic {
+    var err: json.Error = .{};
+    const root = try json.parse(arena, text, &err);
+    var out: std.ArrayList(Diagnostic) = .empty;
+    try validate(arena, &root, &out);
+    return out.items;
+}
+
+test "valid config has no diagnostics" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const diags = try validateText(arena.allocator(),
+        \\{
+        \\  "$schema": "https://unpkg.com/@wu-framework/cli/wu.config.schema.json",
+        \\  "name": "shop",
+        \\  "apps": [{ "name": "cart", "dir": "mf-cart", "framework": "react", "port": 5001 }],
+        \\  "proxy": { "port": 3000, "/api": "http://localhost:4000", "/auth": { "target": "http://localhost:4001", "headers": { "X-Dev": "1" } } },
+        \\  "https": { "hosts": ["shop.test"] }
+        \\}
+    );
+    try std.testing.expectEqual(@as(usize, 0), diags.len);
+}
+
+test "typos, types and ranges" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const text =
+        \\{
+        \\  "apps": [{ "name": "cart", "dir": "mf-cart", "framwork": "react", "port": "5001" }],
+        \\  "shell": { "port": 70000, "framework": "raect" },
+        \\  "proxy": { "api": "http://localhost:4000" }
+        \\}
+    ;
+    const diags = try validateText(arena.allocator(), text);
+    try std.testing.expectEqual(@as(usize, 5), diags.len);
+
+    try std.testing.expectEqual(Severity.warning, diags[0].severity);
+    try std.testing.expectEqualStrings("unknown key \"framwork\" in apps[0]", diags[0].message);
+    try std.testing.expectEqualStrings("did you mean \"framework\"?", diags[0].hint);
+    try std.testing.expectEqual(@as(usize, 2), json.lineCol(text, diags[0].pos).line);
+
+    try std.testing.expectEqual(Severity.@"error", diags[1].severity);
+    try std.testing.expectEqualStrings("apps[0].port must be an integer, found a string", diags[1].message);
+    try std.testing.expectEqualStrings("write 5001 without quotes", diags[1].hint);
+
+    try std.testing.expectEqualStrings("shell.port must be between 1 and 65535, found 70000", diags[2].message);
+    try std.testing.expectEqualStrings("did you mean \"react\"?", diags[3].hint);
+    try std.testing.expectEqualStrings("route keys start with \"/\", e.g. \"/api\"", diags[4].hint);
+}
+
+test "missing required keys" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const diags = try validateText(arena.allocator(), "{ \"apps\": [{ \"name\": \"cart\" }], \"proxy\": { \"/api\": { \"rewrite\": \"\" } } }");
+    try std.testing.expectEqual(@as(usize, 2), diags.len);
+    try std.testing.expectEqualStrings("apps[0] is missing \"dir\"", diags[0].message);
+    try std.testing.expectEqualStrings("proxy./api is missing \"target\"", diags[1].message);
+}
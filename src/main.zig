@@ -25,10 +25,33 @@ pub const info_cmd = @import("commands/info.zig");
 pub const create_cmd = @import("commands/create.zig");
 pub const add_cmd = @import("commands/add.zig");
 pub const serve_cmd = @import("commands/serve.zig");
+pub const config_cmd = @import("commands/config.zig");
+pub const cache_cmd = @import("commands/cache.zig");
+pub const config_json = @import("config/json.zig");
+pub const config_schema = @import("config/schema.zig");
 pub const proxy_server = @import("proxy/server.zig");
+pub const proxy_rules = @import("proxy/rules.zig");
 pub const runtime = @import("runtime/dev_server.zig");
 pub const runtime_transform = @import("runtime/transform.zig");
+pub const runtime_ts_strip = @import("runtime/ts_strip.zig");
 pub const runtime_mime = @import("runtime/mime.zig");
+pub const runtime_bundler = @import("runtime/bundler.zig");
+pub const runtime_shared = @import("runtime/shared.zig");
+pub const runtime_hmr = @import("runtime/hmr.zig");
+pub const runtime_watcher = @import("runtime/watcher.zig");
+pub const runtime_plugins = @import("runtime/plugins.zig");
+pub const runtime_tls = @import("runtime/tls.zig");
+pub const runtime_cert = @import("runtime/cert.zig");
+pub const runtime_http2 = @import("runtime/http2.zig");
+pub const runtime_env = @import("runtime/env.zig");
+pub const runtime_headers = @import("runtime/headers.zig");
+pub const runtime_graph = @import("runtime/graph.zig");
+pub const runtime_inspect = @import("runtime/inspect.zig");
+pub const runtime_deps = @import("runtime/deps.zig");
+pub const runtime_alias = @import("runtime/alias.zig");
+pub const runtime_cache = @import("runtime/cache.zig");
+pub const runtime_compile = @import("runtime/compile.zig");
+pub const runtime_prod_server = @import("runtime/prod_server.zig");
 
 const log = std.log.scoped(.wu);
 
@@ -61,7 +84,11 @@ pub fn main() !void {
     } else if (std.mem.eql(u8, command, "serve")) {
         try serve_cmd.run(allocator, &args);
     } else if (std.mem.eql(u8, command, "info")) {
-        try info_cmd.run(allocator);
+        try info_cmd.run(allocator, &args);
+    } else if (std.mem.eql(u8, command, "config")) {
+        try config_cmd.run(allocator, &args);
+    } else if (std.mem.eql(u8, command, "cache")) {
+        try cache_cmd.run(allocator, &args);
     } else if (std.mem.eql(u8, command, "version") or
         std.mem.eql(u8, command, "--version") or
         std.mem.eql(u8, command, "-v"))
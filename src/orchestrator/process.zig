@@ -114,6 +114,27 @@ pub const ManagedProcess = struct {
         }
     }
 
+    /// Reap the child if it has exited, without blocking.
+    /// A non-zero exit (or a signal) marks it `crashed`.
+    pub fn poll(self: *ManagedProcess) void {
+        if (self.child) |*child| {
+            var exit_ok = false;
+            if (builtin.os.tag == .windows) {
+                std.os.windows.WaitForSingleObject(child.id, 0) catch return;
+                const term = child.wait() catch std.process.Child.Term{ .Unknown = 0 };
+                exit_ok = term == .Exited and term.Exited == 0;
+            } else {
+                const res = std.posix.waitpid(child.id, std.posix.W.NOHANG);
+                if (res.pid == 0) return;
+                exit_ok = std.posix.W.IFEXITED(res.status) and std.posix.W.EXITSTATUS(res.status) == 0;
+                if (child.stdout) |f| f.close();
+                if (child.stderr) |f| f.close();
+            }
+            self.child = null;
+            self.state = if (exit_ok) .stopped else .crashed;
+        }
+    }
+
     /// Check if the process is still alive.
     pub fn isAlive(self: *const ManagedProcess) bool {
         return self.state == .running and self.child != null;
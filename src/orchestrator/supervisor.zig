@@ -17,6 +17,8 @@ pub const Supervisor = struct {
     processes: std.ArrayList(ManagedProcess),
     allocator: Allocator,
     running: bool = false,
+    /// Guards process state against readers on other threads (the proxy).
+    mutex: std.Thread.Mutex = .{},
 
     pub fn init(allocator: Allocator) Supervisor {
         return .{
@@ -103,11 +105,21 @@ pub const Supervisor = struct {
         while (self.running) {
             // Check if any process has died
             var all_dead = true;
+            self.mutex.lock();
             for (self.processes.items) |*proc| {
+                const was_alive = proc.isAlive();
+                proc.poll();
                 if (proc.isAlive()) {
                     all_dead = false;
+                } else if (was_alive and proc.state == .crashed) {
+                    std.debug.print("  {s}✗{s} {s}{s}{s} exited unexpectedly\n", .{
+                        ansi.red,   ansi.reset,
+                        proc.color, proc.name,
+                        ansi.reset,
+                    });
                 }
             }
+            self.mutex.unlock();
             if (all_dead and self.processes.items.len > 0) {
                 self.running = false;
                 break;
@@ -116,6 +128,16 @@ pub const Supervisor = struct {
         }
     }
 
+    /// Current state of the named process, or null if it is not managed here.
+    pub fn processState(self: *Supervisor, name: []const u8) ?process_mod.ProcessState {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        for (self.processes.items) |*proc| {
+            if (std.mem.eql(u8, proc.name, name)) return proc.state;
+        }
+        return null;
+    }
+
     /// Print a status table of all managed processes.
     pub fn printStatus(self: *const Supervisor) !void {
         _ = .{}; // stdout replaced with std.debug.print
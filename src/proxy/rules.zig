@@ -0,0 +1,287 @@
+// WU CLI — Dev-Server Proxy Rules
+//
+// Backend APIs behind `wu dev`. The "proxy" section of wu.config.json maps
+// path prefixes to upstream services; dev_server.zig checks them before
+// its own routes, so `/api/orders` reaches the orders service instead of
+// falling through to the shell:
+//
+//   "/api/orders": "http://localhost:4001"
+//       /api/orders/42       → localhost:4001/api/orders/42
+//   "/api/users": { "target": "http://localhost:4002/v1", "rewrite": "" }
+//       /api/users/7         → localhost:4002/v1/7
+//   "/api": { "target": "http://localhost:4003", "app": "orders" }
+//       /<orders dir>/api/x  → localhost:4003/api/x
+//
+// Like the --vite reverse proxy (server.zig), each request gets its own
+// upstream connection with `Connection: close`, and WebSocket upgrades
+// keep both sockets open, piped both ways.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const http_parser = @import("../runtime/http_parser.zig");
+const dev_server = @import("../runtime/dev_server.zig");
+const server = @import("server.zig");
+const ansi = @import("../util/ansi.zig");
+
+const platformWrite = dev_server.platformWrite;
+
+pub const Upstream = struct {
+    /// "localhost:4001", sent as the Host header
+    authority: []const u8,
+    host: []const u8,
+    port: u16,
+    /// Path of the target URL without trailing slash, "" for none
+    base_path: []const u8,
+};
+
+pub const TargetError = error{ UnsupportedScheme, InvalidTarget };
+
+/// Split "http://host:port/base". ws:// is accepted as the same thing;
+/// TLS upstreams are not supported.
+pub fn parseTarget(target: []const u8) TargetError!Upstream {
+    const rest = if (std.mem.startsWith(u8, target, "http://"))
+        target["http://".len..]
+    else if (std.mem.startsWith(u8, target, "ws://"))
+        target["ws://".len..]
+    else if (std.mem.startsWith(u8, target, "https://") or std.mem.startsWith(u8, target, "wss://"))
+        return error.UnsupportedScheme
+    else
+        return error.InvalidTarget;
+
+    const slash = std.mem.indexOfScalar(u8, rest, '/') orelse rest.len;
+    const authority = rest[0..slash];
+    if (authority.len == 0) return error.InvalidTarget;
+
+    var host = authority;
+    var port: u16 = 80;
+    if (authority[0] == '[') {
+        // IPv6 literal: [::1]:4000
+        const close = std.mem.indexOfScalar(u8, authority, ']') orelse return error.InvalidTarget;
+        host = authority[1..close];
+        if (close + 1 < authority.len) {
+            if (authority[close + 1] != ':') return error.InvalidTarget;
+            port = std.fmt.parseInt(u16, authority[close + 2 ..], 10) catch return error.InvalidTarget;
+        }
+    } else if (std.mem.lastIndexOfScalar(u8, authority, ':')) |colon| {
+        host = authority[0..colon];
+        port = std.fmt.parseInt(u16, authority[colon + 1 ..], 10) catch return error.InvalidTarget;
+    }
+    if (host.len == 0) return error.InvalidTarget;
+
+    return .{
+        .authority = authority,
+        .host = host,
+        .port = port,
+        .base_path = std.mem.trimRight(u8, rest[slash..], "/"),
+    };
+}
+
+pub const Route = struct {
+    rule: config_mod.ProxyRule,
+    upstream: Upstream,
+    /// Where the rule matches: its prefix, under "/<app.dir>" when app-scoped
+    mount: []const u8,
+};
+
+pub const Rules = struct {
+    routes: []Route = &.{},
+
+    /// Resolve targets and app scopes. Rules that cannot work are reported
+    /// and left out; the rest still apply.
+    pub fn init(allocator: Allocator, rules: []const config_mod.ProxyRule, apps: []const dev_server.AppEntry) !Rules {
+        var routes: std.ArrayList(Route) = .empty;
+        errdefer {
+            for (routes.items) |route| allocator.free(route.mount);
+            routes.deinit(allocator);
+        }
+
+        for (rules) |rule| {
+            const upstream = parseTarget(rule.target) catch |err| {
+                std.debug.print("  {s}[proxy]{s} {s}: \"{s}\" — {s}\n", .{
+                    ansi.yellow, ansi.reset, rule.prefix, rule.target, switch (err) {
+                        error.UnsupportedScheme => "https:// upstreams are not supported, use http://",
+                        error.InvalidTarget => "expected a URL like http://localhost:4000",
+                    },
+                });
+                continue;
+            };
+
+            const mount = if (rule.app.len == 0) try allocator.dupe(u8, rule.prefix) else blk: {
+                const app = findApp(apps, rule.app) orelse {
+                    std.debug.print("  {s}[proxy]{s} {s}: no app named \"{s}\"\n", .{
+                        ansi.yellow, ansi.reset, rule.prefix, rule.app,
+                    });
+                    continue;
+                };
+                const prefix = if (std.mem.eql(u8, rule.prefix, "/")) "" else rule.prefix;
+                break :blk try std.fmt.allocPrint(allocator, "/{s}{s}", .{ app.dir, prefix });
+            };
+            routes.append(allocator, .{ .rule = rule, .upstream = upstream, .mount = mount }) catch |err| {
+                allocator.free(mount);
+                return err;
+            };
+        }
+        return .{ .routes = try routes.toOwnedSlice(allocator) };
+    }
+
+    pub fn deinit(self: *Rules, allocator: Allocator) void {
+        for (self.routes) |route| allocator.free(route.mount);
+        allocator.free(self.routes);
+        self.routes = &.{};
+    }
+
+    /// Longest mount wins, so "/api/orders" beats "/api" and "/" is the fallback.
+    pub fn match(self: *const Rules, path: []const u8) ?*const Route {
+        var best: ?*const Route = null;
+        for (self.routes) |*route| {
+            const m = route.mount;
+            const matches = std.mem.eql(u8, m, "/") or
+                (std.mem.startsWith(u8, path, m) and (path.len == m.len or path[m.len] == '/'));
+            if (!matches) continue;
+            if (best == null or m.len > best.?.mount.len) best = route;
+        }
+        return best;
+    }
+};
+
+fn findApp(apps: []const dev_server.AppEntry, name: []const u8) ?dev_server.AppEntry {
+    for (apps) |app| {
+        if (std.mem.eql(u8, app.name, name)) return app;
+    }
+    return null;
+}
+
+/// The upstream request target: the target's base path, the matched
+/// prefix (or its rewrite), the rest of the path and the query.
+pub fn upstreamPath(allocator: Allocator, route: *const Route, path: []const u8, query: ?[]const u8) ![]u8 {
+    const matched = if (std.mem.eql(u8, route.mount, "/")) 0 else route.mount.len;
+    const prefix = route.rule.rewrite orelse
+        if (std.mem.eql(u8, route.rule.prefix, "/")) "" else route.rule.prefix;
+
+    var out: std.ArrayList(u8) = .empty;
+    errdefer out.deinit(allocator);
+    try out.appendSlice(allocator, route.upstream.base_path);
+    try out.appendSlice(allocator, prefix);
+    try out.appendSlice(allocator, path[matched..]);
+    if (out.items.len == 0 or out.items[0] != '/') try out.insert(allocator, 0, '/');
+    if (query) |q| try out.writer(allocator).print("?{s}", .{q});
+    return out.toOwnedSlice(allocator);
+}
+
+/// Send the request to the route's upstream and pipe its response back,
+/// along with anything the browser sends after the head (a request body,
+/// or WebSocket frames). The upstream's response ends with its
+/// connection, so the client connection is done afterwards.
+pub fn forward(
+    allocator: Allocator,
+    client: std.net.Stream,
+    raw: []const u8,
+    req: *const http_parser.Request,
+    route: *const Route,
+    scheme: []const u8,
+) !void {
+    const head_end = http_parser.HttpParser.findHeaderEnd(raw) orelse raw.len;
+    const upgrade = if (req.getHeader("Upgrade")) |u| u.len > 0 else false;
+
+    const upstream = connect(allocator, route.upstream) catch |err| {
+        std.debug.print("  {s}[proxy]{s} {s} → {s} is not responding ({s})\n", .{
+            ansi.red, ansi.reset, route.rule.prefix, route.rule.target, @errorName(err),
+        });
+        return server.sendError(client, 502, "Bad Gateway", "");
+    };
+    defer upstream.close();
+
+    const target = try upstreamPath(allocator, route, req.path, req.query);
+    defer allocator.free(target);
+
+    var head: std.ArrayList(u8) = .empty;
+    defer head.deinit(allocator);
+    const w = head.writer(allocator);
+    try w.print("{s} {s} HTTP/1.1\r\n", .{ req.method.toString(), target });
+    try w.print("Host: {s}\r\n", .{route.upstream.authority});
+    for (req.headers.iterator()) |h| {
+        if (std.ascii.eqlIgnoreCase(h.name, "Host") or isOverridden(route.rule.headers, h.name)) continue;
+        if (!upgrade and (std.ascii.eqlIgnoreCase(h.name, "Connection") or
+            std.ascii.eqlIgnoreCase(h.name, "Keep-Alive"))) continue;
+        try w.print("{s}: {s}\r\n", .{ h.name, h.value });
+    }
+    for (route.rule.headers) |h| try w.print("{s}: {s}\r\n", .{ h.name, h.value });
+    if (req.getHeader("X-Forwarded-Host") == null) {
+        if (req.getHeader("Host")) |host| try w.print("X-Forwarded-Host: {s}\r\n", .{host});
+    }
+    if (req.getHeader("X-Forwarded-Proto") == null) try w.print("X-Forwarded-Proto: {s}\r\n", .{scheme});
+    if (!upgrade) try w.writeAll("Connection: close\r\n");
+    try w.writeAll("\r\n");
+    // Body bytes that arrived with the head
+    try w.writeAll(raw[head_end..]);
+
+    try platformWrite(upstream, head.items);
+    server.pipeBoth(client, upstream);
+}
+
+fn isOverridden(headers: []const config_mod.Header, name: []const u8) bool {
+    for (headers) |h| {
+        if (std.ascii.eqlIgnoreCase(h.name, name)) return true;
+    }
+    return false;
+}
+
+fn connect(allocator: Allocator, upstream: Upstream) !std.net.Stream {
+    // Backends bind "localhost" as 127.0.0.1 or ::1 depending on the system
+    if (std.mem.eql(u8, upstream.host, "localhost")) {
+        return server.connectUpstream(upstream.port) orelse error.ConnectionRefused;
+    }
+    return std.net.tcpConnectToHost(allocator, upstream.host, upstream.port);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "parse proxy targets" {
+    const plain = try parseTarget("http://localhost:4001");
+    try std.testing.expectEqualStrings("localhost", plain.host);
+    try std.testing.expectEqual(@as(u16, 4001), plain.port);
+    try std.testing.expectEqualStrings("", plain.base_path);
+
+    const based = try parseTarget("ws://api.internal/v1/");
+    try std.testing.expectEqualStrings("api.internal", based.authority);
+    try std.testing.expectEqual(@as(u16, 80), based.port);
+    try std.testing.expectEqualStrings("/v1", based.base_path);
+
+    const v6 = try parseTarget("http://[::1]:8080/");
+    try std.testing.expectEqualStrings("::1", v6.host);
+    try std.testing.expectEqual(@as(u16, 8080), v6.port);
+
+    try std.testing.expectError(error.UnsupportedScheme, parseTarget("https://localhost:4001"));
+    try std.testing.expectError(error.InvalidTarget, parseTarget("localhost:4001"));
+    try std.testing.expectError(error.InvalidTarget, parseTarget("http://localhost:api"));
+}
+
+test "proxy rules match by longest mount, app rules under the app" {
+    const allocator = std.testing.allocator;
+    const apps = [_]dev_server.AppEntry{.{ .name = "orders", .dir = "mf-orders", .framework = "react" }};
+    var rules = try Rules.init(allocator, &.{
+        .{ .prefix = "/api", .target = "http://localhost:4000" },
+        .{ .prefix = "/api/orders", .target = "http://localhost:4001/v2", .rewrite = "" },
+        .{ .prefix = "/api", .target = "http://localhost:4002", .app = "orders" },
+    }, &apps);
+    defer rules.deinit(allocator);
+
+    try std.testing.expectEqualStrings("/api/orders", rules.match("/api/orders/42").?.mount);
+    try std.testing.expectEqualStrings("/api", rules.match("/api/users").?.mount);
+    try std.testing.expectEqualStrings("/mf-orders/api", rules.match("/mf-orders/api/cart").?.mount);
+    try std.testing.expect(rules.match("/apiary") == null);
+    try std.testing.expect(rules.match("/mf-orders/index.js") == null);
+
+    const orders = try upstreamPath(allocator, rules.match("/api/orders/42").?, "/api/orders/42", "expand=items");
+    defer allocator.free(orders);
+    try std.testing.expectEqualStrings("/v2/42?expand=items", orders);
+
+    const scoped = try upstreamPath(allocator, rules.match("/mf-orders/api/cart").?, "/mf-orders/api/cart", null);
+    defer allocator.free(scoped);
+    try std.testing.expectEqualStrings("/api/cart", scoped);
+
+    const root = try upstreamPath(allocator, rules.match("/api/orders").?, "/api/orders", null);
+    defer allocator.free(root);
+    try std.testing.expectEqualStrings("/v2", root);
+}
@@ -1,30 +1,360 @@
 // WU CLI — Reverse Proxy Server
 //
-// Unified entry point for all micro-apps during development.
+// Unified entry point for all micro-apps in `wu dev --vite`.
 // Routes requests to the appropriate Vite dev server based on path prefix.
 // Pattern from FORJA's HTTP server, adapted for reverse proxy.
 //
-// Phase 3 implementation — placeholder for now.
-// When fully implemented:
-//   GET /topbar/*   → localhost:5001/*
-//   GET /dashboard/* → localhost:5002/*
-//   WS upgrade       → forwarded to correct Vite HMR server
+//   GET /topbar/*    → localhost:5001/topbar/*   (Vite runs with --base /topbar/)
+//   GET /dashboard/* → localhost:5002/dashboard/*
+//   GET /*           → shell
+//   WS upgrade       → forwarded to the same upstream, bytes piped both ways
+//
+// Each request gets its own upstream connection (`Connection: close`);
+// upgrades keep both sockets open until either side hangs up.
 
 const std = @import("std");
+const builtin = @import("builtin");
+const Allocator = std.mem.Allocator;
+const http_parser = @import("../runtime/http_parser.zig");
+const dev_server = @import("../runtime/dev_server.zig");
+const supervisor_mod = @import("../orchestrator/supervisor.zig");
+const ansi = @import("../util/ansi.zig");
+
+const platformRead = dev_server.platformRead;
+const platformWrite = dev_server.platformWrite;
+
+pub const Route = struct {
+    /// Path prefix without trailing slash ("/topbar"), or "/" for the shell.
+    prefix: []const u8,
+    /// Supervisor process name, used for the 502 page.
+    name: []const u8,
+    port: u16,
+};
+
+/// Largest request head accepted from the browser.
+const HEAD_MAX = 16384;
 
 pub const ProxyServer = struct {
+    allocator: Allocator,
     port: u16,
-    running: bool = false,
+    host: []const u8 = "127.0.0.1",
+    routes: []const Route = &.{},
+    supervisor: ?*supervisor_mod.Supervisor = null,
+    running: std.atomic.Value(bool) = std.atomic.Value(bool).init(false),
+    listener: ?std.net.Server = null,
+    thread: ?std.Thread = null,
 
-    pub fn init(port: u16) ProxyServer {
-        return .{ .port = port };
+    pub fn init(allocator: Allocator, port: u16) ProxyServer {
+        return .{ .allocator = allocator, .port = port };
     }
 
-    pub fn start(_: *ProxyServer) !void {
-        // Phase 3: implement HTTP proxy with WebSocket forwarding
+    /// Bind and start accepting in a background thread. Returns once listening.
+    pub fn start(self: *ProxyServer) !void {
+        const address = try std.net.Address.parseIp(self.host, self.port);
+        self.listener = try address.listen(.{ .reuse_address = true });
+        self.running.store(true, .release);
+        self.thread = try std.Thread.spawn(.{}, acceptLoop, .{self});
     }
 
     pub fn stop(self: *ProxyServer) void {
-        self.running = false;
+        if (!self.running.swap(false, .acq_rel)) return;
+        if (self.listener) |*l| {
+            // Wake the blocked accept() with a throwaway connection
+            if (std.net.tcpConnectToAddress(l.listen_address)) |s| s.close() else |_| {}
+            if (self.thread) |t| t.join();
+            self.thread = null;
+            l.deinit();
+            self.listener = null;
+        }
+    }
+
+    /// Longest matching prefix wins, so "/" (the shell) is the fallback.
+    fn routeFor(self: *const ProxyServer, path: []const u8) ?Route {
+        var best: ?Route = null;
+        for (self.routes) |r| {
+            const matches = std.mem.eql(u8, r.prefix, "/") or
+                (std.mem.startsWith(u8, path, r.prefix) and
+                (path.len == r.prefix.len or path[r.prefix.len] == '/'));
+            if (!matches) continue;
+            if (best == null or r.prefix.len > best.?.prefix.len) best = r;
+        }
+        return best;
+    }
+
+    // ── Connection handling ─────────────────────────────────────────────────
+
+    fn acceptLoop(self: *ProxyServer) void {
+        while (self.running.load(.acquire)) {
+            const conn = self.listener.?.accept() catch {
+                if (!self.running.load(.acquire)) return;
+                continue;
+            };
+            const thread = std.Thread.spawn(.{}, connectionThread, .{ self, conn }) catch {
+                conn.stream.close();
+                continue;
+            };
+            thread.detach();
+        }
+    }
+
+    fn connectionThread(self: *ProxyServer, conn: std.net.Server.Connection) void {
+        defer conn.stream.close();
+        self.handleConnection(conn.stream) catch {};
+    }
+
+    fn handleConnection(self: *ProxyServer, client: std.net.Stream) !void {
+        // Read until the end of the request head (it may arrive in pieces)
+        var buf: [HEAD_MAX]u8 = undefined;
+        var len: usize = 0;
+        const head_end = while (true) {
+            if (http_parser.HttpParser.findHeaderEnd(buf[0..len])) |end| break end;
+            if (len == buf.len) return sendError(client, 431, "Request Header Fields Too Large", "");
+            const n = try platformRead(client, buf[len..]);
+            if (n == 0) return;
+            len += n;
+        };
+
+        const req = http_parser.HttpParser.parse(buf[0..len]) catch {
+            return sendError(client, 400, "Bad Request", "");
+        };
+        const route = self.routeFor(req.path) orelse {
+            return sendError(client, 404, "Not Found", "");
+        };
+
+        const upgrade = if (req.getHeader("Upgrade")) |u| u.len > 0 else false;
+
+        const upstream = connectUpstream(route.port) orelse {
+            return self.sendBadGateway(client, route);
+        };
+        defer upstream.close();
+
+        // Request line + headers. Plain requests are forced to one-shot so the
+        // end of the upstream response is simply EOF.
+        var head: std.ArrayList(u8) = .empty;
+        defer head.deinit(self.allocator);
+        const w = head.writer(self.allocator);
+        const line_end = std.mem.indexOf(u8, buf[0..head_end], "\r\n") orelse return;
+        try w.print("{s}\r\n", .{buf[0..line_end]});
+        for (req.headers.iterator()) |h| {
+            if (!upgrade and (std.ascii.eqlIgnoreCase(h.name, "Connection") or
+                std.ascii.eqlIgnoreCase(h.name, "Keep-Alive"))) continue;
+            try w.print("{s}: {s}\r\n", .{ h.name, h.value });
+        }
+        if (req.getHeader("X-Forwarded-Host") == null) {
+            if (req.getHeader("Host")) |host| try w.print("X-Forwarded-Host: {s}\r\n", .{host});
+        }
+        try w.writeAll("X-Forwarded-Proto: http\r\n");
+        if (!upgrade) try w.writeAll("Connection: close\r\n");
+        try w.writeAll("\r\n");
+        // Body bytes that arrived with the head
+        try w.writeAll(buf[head_end..len]);
+
+        try platformWrite(upstream, head.items);
+        pipeBoth(client, upstream);
+    }
+
+    /// 502 with the child's supervisor state, so a crashed Vite server is
+    /// obvious from the browser instead of a blank "connection refused".
+    fn sendBadGateway(self: *ProxyServer, client: std.net.Stream, route: Route) !void {
+        const state = if (self.supervisor) |sup| sup.processState(route.name) else null;
+        const state_str = if (state) |s| @tagName(s) else "not managed by wu";
+
+        std.debug.print("  {s}[proxy]{s} {s} (:{d}) is not responding — {s}\n", .{
+            ansi.red, ansi.reset, route.name, route.port, state_str,
+        });
+
+        var body_buf: [2048]u8 = undefined;
+        const body = std.fmt.bufPrint(&body_buf,
+            \\<!DOCTYPE html>
+            \\<html><head><meta charset="utf-8"><title>502 · {s}</title>
+            \\<style>body{{font:15px/1.5 system-ui,sans-serif;background:#111;color:#ddd;padding:3rem}}code{{color:#f87171}}small{{color:#777}}</style>
+            \\</head><body>
+            \\<h1>502 Bad Gateway</h1>
+            \\<p><code>{s}</code> did not answer on port <code>{d}</code>.</p>
+            \\<p>Process state: <code>{s}</code></p>
+            \\<small>Check the wu dev output for errors, then reload this page.</small>
+            \\</body></html>
+            \\
+        , .{ route.name, route.name, route.port, state_str }) catch return;
+        return sendError(client, 502, "Bad Gateway", body);
     }
 };
+
+/// Vite binds "localhost", which is ::1 on some systems — try both loopbacks.
+pub fn connectUpstream(port: u16) ?std.net.Stream {
+    const loopbacks = [_][]const u8{ "127.0.0.1", "::1" };
+    for (loopbacks) |ip| {
+        const address = std.net.Address.parseIp(ip, port) catch continue;
+        return std.net.tcpConnectToAddress(address) catch continue;
+    }
+    return null;
+}
+
+// ── Piping ──────────────────────────────────────────────────────────────────
+
+/// Copy bytes in both directions until either side closes.
+pub fn pipeBoth(client: std.net.Stream, upstream: std.net.Stream) void {
+    const t = std.Thread.spawn(.{}, pipeThread, .{ client, upstream }) catch {
+        pipe(upstream, client);
+        return;
+    };
+    pipe(upstream, client);
+    // Upstream is done — wake the client→upstream copy blocked in read()
+    shutdownSocket(client);
+    shutdownSocket(upstream);
+    t.join();
+}
+
+fn pipeThread(from: std.net.Stream, to: std.net.Stream) void {
+    pipe(from, to);
+    shutdownSocket(to);
+}
+
+fn pipe(from: std.net.Stream, to: std.net.Stream) void {
+    var buf: [16384]u8 = undefined;
+    while (true) {
+        const n = platformRead(from, &buf) catch return;
+        if (n == 0) return;
+        platformWrite(to, buf[0..n]) catch return;
+    }
+}
+
+fn shutdownSocket(stream: std.net.Stream) void {
+    if (builtin.os.tag == .windows) {
+        _ = std.os.windows.ws2_32.shutdown(stream.handle, std.os.windows.ws2_32.SD_BOTH);
+    } else {
+        std.posix.shutdown(stream.handle, .both) catch {};
+    }
+}
+
+// ── HTTP Helpers ────────────────────────────────────────────────────────────
+
+pub fn sendError(stream: std.net.Stream, status: u16, phrase: []const u8, html: []const u8) !void {
+    const body = if (html.len > 0) html else phrase;
+    const ct = if (html.len > 0) "text/html; charset=utf-8" else "text/plain; charset=utf-8";
+    var buf: [256]u8 = undefined;
+    const header = std.fmt.bufPrint(&buf,
+        "HTTP/1.1 {d} {s}\r\n" ++
+            "Content-Type: {s}\r\n" ++
+            "Content-Length: {d}\r\n" ++
+            "Cache-Control: no-store\r\n" ++
+            "Connection: close\r\n" ++
+            "\r\n",
+        .{ status, phrase, ct, body.len },
+    ) catch return error.Overflow;
+    try platformWrite(stream, header);
+    try platformWrite(stream, body);
+}
+
+// ── Browser ─────────────────────────────────────────────────────────────────
+
+/// Open `url` in the default browser (best-effort, never blocks).
+pub fn openBrowser(allocator: Allocator, url: []const u8) void {
+    const argv = if (builtin.os.tag == .windows)
+        &[_][]const u8{ "cmd.exe", "/c", "start", "", url }
+    else if (builtin.os.tag == .macos)
+        &[_][]const u8{ "open", url }
+    else
+        &[_][]const u8{ "xdg-open", url };
+    var child = std.process.Child.init(argv, allocator);
+    child.stdin_behavior = .Ignore;
+    child.stdout_behavior = .Ignore;
+    child.stderr_behavior = .Ignore;
+    child.spawn() catch return;
+    _ = std.Thread.spawn(.{}, reapChild, .{child}) catch return;
+}
+
+fn reapChild(child: std.process.Child) void {
+    var c = child;
+    _ = c.wait() catch {};
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "routes match by longest prefix on segment boundaries" {
+    var proxy = ProxyServer.init(std.testing.allocator, 0);
+    proxy.routes = &.{
+        .{ .prefix = "/", .name = "shell", .port = 5000 },
+        .{ .prefix = "/topbar", .name = "topbar", .port = 5001 },
+        .{ .prefix = "/topbar/admin", .name = "admin", .port = 5002 },
+    };
+
+    try std.testing.expectEqualStrings("topbar", proxy.routeFor("/topbar").?.name);
+    try std.testing.expectEqualStrings("topbar", proxy.routeFor("/topbar/src/main.ts").?.name);
+    try std.testing.expectEqualStrings("admin", proxy.routeFor("/topbar/admin/index.html").?.name);
+    try std.testing.expectEqualStrings("topbar", proxy.routeFor("/topbar/administrator").?.name);
+    try std.testing.expectEqualStrings("shell", proxy.routeFor("/topbarx/main.ts").?.name);
+    try std.testing.expectEqualStrings("shell", proxy.routeFor("/").?.name);
+
+    // Without a shell, unmatched paths have nowhere to go
+    proxy.routes = proxy.routes[1..];
+    try std.testing.expect(proxy.routeFor("/topbarx") == null);
+    try std.testing.expect(proxy.routeFor("/") == null);
+    try std.testing.expectEqualStrings("topbar", proxy.routeFor("/topbar/").?.name);
+}
+
+/// Dummy Vite server: records the forwarded request head and answers once.
+const TestUpstream = struct {
+    listener: std.net.Server,
+    head: [2048]u8 = undefined,
+    head_len: usize = 0,
+
+    fn serveOnce(self: *TestUpstream) void {
+        const conn = self.listener.accept() catch return;
+        defer conn.stream.close();
+        while (self.head_len < self.head.len) {
+            const n = platformRead(conn.stream, self.head[self.head_len..]) catch return;
+            if (n == 0) return;
+            self.head_len += n;
+            if (std.mem.indexOf(u8, self.head[0..self.head_len], "\r\n\r\n") != null) break;
+        }
+        platformWrite(conn.stream, "HTTP/1.1 200 OK\r\nContent-Type: text/plain\r\nContent-Length: 6\r\n\r\nhello\n") catch {};
+    }
+};
+
+test "requests are forwarded to the upstream with X-Forwarded headers" {
+    const loopback = try std.net.Address.parseIp("127.0.0.1", 0);
+    var upstream: TestUpstream = .{ .listener = try loopback.listen(.{ .reuse_address = true }) };
+    defer upstream.listener.deinit();
+    const upstream_thread = try std.Thread.spawn(.{}, TestUpstream.serveOnce, .{&upstream});
+
+    // Connection threads are detached and free their buffers after the client
+    // sees EOF, so the leak-checking test allocator would race with them.
+    var proxy = ProxyServer.init(std.heap.page_allocator, 0);
+    proxy.routes = &.{
+        .{ .prefix = "/", .name = "shell", .port = 1 },
+        .{ .prefix = "/topbar", .name = "topbar", .port = upstream.listener.listen_address.getPort() },
+    };
+    try proxy.start();
+    defer proxy.stop();
+
+    const client = try std.net.tcpConnectToAddress(proxy.listener.?.listen_address);
+    defer client.close();
+    try platformWrite(client, "GET /topbar/src/main.ts?v=1 HTTP/1.1\r\n" ++
+        "Host: localhost:3000\r\n" ++
+        "Connection: keep-alive\r\n" ++
+        "Accept: */*\r\n" ++
+        "\r\n");
+
+    var response: [1024]u8 = undefined;
+    var len: usize = 0;
+    while (len < response.len) {
+        const n = try platformRead(client, response[len..]);
+        if (n == 0) break;
+        len += n;
+    }
+    upstream_thread.join();
+
+    try std.testing.expect(std.mem.startsWith(u8, response[0..len], "HTTP/1.1 200 OK\r\n"));
+    try std.testing.expect(std.mem.endsWith(u8, response[0..len], "\r\n\r\nhello\n"));
+
+    const head = upstream.head[0..upstream.head_len];
+    try std.testing.expect(std.mem.startsWith(u8, head, "GET /topbar/src/main.ts?v=1 HTTP/1.1\r\n"));
+    try std.testing.expect(std.mem.endsWith(u8, head, "\r\n\r\n"));
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nHost: localhost:3000\r\n") != null);
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nAccept: */*\r\n") != null);
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nX-Forwarded-Host: localhost:3000\r\n") != null);
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nX-Forwarded-Proto: http\r\n") != null);
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nConnection: close\r\n") != null);
+    try std.testing.expect(std.mem.indexOf(u8, head, "keep-alive") == null);
+}
@@ -0,0 +1,393 @@
+// WU Runtime — Import Aliases
+//
+// `@/components/Button` and `~shared/utils` style imports, from:
+//
+//   wu.config.json "alias"           {"@": "src"} — the app's own, then the global one
+//   tsconfig.json / jsconfig.json    compilerOptions.paths and baseUrl, through
+//                                    "extends" chains and project "references"
+//
+// Before bare specifiers become /@modules/ URLs, an aliased specifier is
+// resolved to a file — probing extensions and index files like a relative
+// import — and rewritten relative to the importing module:
+//
+//   apps/shop/src/pages/Cart.tsx:  import Button from '@/components/Button'
+//                               →  import Button from '../components/Button.tsx'
+//
+// so everything after it (HMR graph, cache busting, the bundler) sees an
+// ordinary relative import. Specifiers no rule resolves are left alone.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const json_mod = @import("../config/json.zig");
+const bundler = @import("bundler.zig");
+
+/// Config files tried in an app directory, in order.
+const CONFIG_FILES = [_][]const u8{ "tsconfig.json", "jsconfig.json" };
+
+/// Longer "extends" chains are certainly a loop.
+const MAX_EXTENDS_DEPTH = 16;
+
+pub const Rule = struct {
+    /// Text before the `*`; the whole pattern when there is none.
+    prefix: []const u8,
+    /// Text after the `*`.
+    suffix: []const u8 = "",
+    wildcard: bool,
+    /// Paths relative to the working directory, tried in order. A `*`
+    /// takes the text the pattern's `*` matched.
+    targets: []const []const u8,
+
+    /// What the pattern's `*` matched ("" for an exact pattern), or null.
+    fn match(self: Rule, spec: []const u8) ?[]const u8 {
+        if (!self.wildcard) return if (std.mem.eql(u8, spec, self.prefix)) "" else null;
+        if (spec.len < self.prefix.len + self.suffix.len) return null;
+        if (!std.mem.startsWith(u8, spec, self.prefix) or !std.mem.endsWith(u8, spec, self.suffix)) return null;
+        return spec[self.prefix.len .. spec.len - self.suffix.len];
+    }
+};
+
+pub const Aliases = struct {
+    arena: std.heap.ArenaAllocator,
+    /// In priority order: the first rule with an existing target wins.
+    rules: []const Rule,
+    /// Config files that were read or could appear, for `stamp`.
+    files: []const []const u8,
+
+    pub fn deinit(self: *Aliases) void {
+        self.arena.deinit();
+    }
+
+    /// The file `spec` is an alias of, relative to the working directory.
+    /// Null when no rule matches or none of its targets exist.
+    pub fn resolve(self: *const Aliases, arena: Allocator, spec: []const u8) !?[]const u8 {
+        if (!isAliasable(spec)) return null;
+        for (self.rules) |rule| {
+            const star = rule.match(spec) orelse continue;
+            for (rule.targets) |target| {
+                const path = if (std.mem.indexOfScalar(u8, target, '*')) |at|
+                    try std.mem.concat(arena, u8, &.{ target[0..at], star, target[at + 1 ..] })
+                else
+                    target;
+                if (try bundler.probeFile(arena, path)) |file| return file;
+            }
+        }
+        return null;
+    }
+
+    /// `code` with aliased import specifiers rewritten relative to
+    /// `importer`. Returns `code` itself when nothing changed, else an
+    /// allocator-owned copy.
+    pub fn rewrite(self: *const Aliases, allocator: Allocator, code: []const u8, importer: []const u8) ![]const u8 {
+        if (self.rules.len == 0) return code;
+        var scratch = std.heap.ArenaAllocator.init(allocator);
+        defer scratch.deinit();
+        const a = scratch.allocator();
+
+        const from = std.fs.path.dirname(importer) orelse ".";
+        var out: std.ArrayList(u8) = .empty;
+        errdefer out.deinit(allocator);
+        var pos: usize = 0;
+        var changed = false;
+        for (try bundler.scanImports(a, code)) |imp| {
+            const raw = code[imp.start..imp.end];
+            // Keep ?url / ?raw style suffixes
+            const cut = std.mem.indexOfAny(u8, raw, "?#") orelse raw.len;
+            const file = try self.resolve(a, raw[0..cut]) orelse continue;
+            try out.appendSlice(allocator, code[pos..imp.start]);
+            try out.appendSlice(allocator, try relativeImport(a, from, file));
+            try out.appendSlice(allocator, raw[cut..]);
+            pos = imp.end;
+            changed = true;
+        }
+        if (!changed) return code;
+        try out.appendSlice(allocator, code[pos..]);
+        return out.toOwnedSlice(allocator);
+    }
+
+    /// Changes when one of the config files is edited, created or deleted.
+    pub fn stamp(self: *const Aliases) u64 {
+        var hasher = std.hash.Wyhash.init(0);
+        for (self.files) |path| {
+            const mtime: i128 = if (std.fs.cwd().statFile(path)) |s| s.mtime else |_| -1;
+            hasher.update(std.mem.asBytes(&mtime));
+        }
+        return hasher.final();
+    }
+};
+
+/// The aliases of the app in `dir`: `app_alias` (relative to `dir`), then
+/// `global_alias` (relative to the project root), then the paths of the
+/// app's tsconfig.json or jsconfig.json.
+pub fn load(
+    allocator: Allocator,
+    dir: []const u8,
+    app_alias: []const config_mod.Alias,
+    global_alias: []const config_mod.Alias,
+) !Aliases {
+    var arena = std.heap.ArenaAllocator.init(allocator);
+    errdefer arena.deinit();
+    var loader: Loader = .{ .arena = arena.allocator() };
+
+    const base = if (dir.len == 0) "." else dir;
+    try loader.addConfigAliases(base, app_alias);
+    try loader.addConfigAliases(".", global_alias);
+    try loader.addTsconfig(base);
+
+    return .{ .arena = arena, .rules = loader.rules.items, .files = loader.files.items };
+}
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+const Loader = struct {
+    arena: Allocator,
+    rules: std.ArrayList(Rule) = .empty,
+    files: std.ArrayList([]const u8) = .empty,
+
+    /// What a tsconfig chain says about resolution; nearer configs win.
+    const Options = struct {
+        paths: ?*const json_mod.Node = null,
+        /// Directory of the config that set `paths`.
+        paths_dir: []const u8 = ".",
+        /// Resolved against the config that set it.
+        base_url: ?[]const u8 = null,
+    };
+
+    /// Vite-style: "@" matches "@" itself and "@/...".
+    fn addConfigAliases(self: *Loader, base: []const u8, aliases: []const config_mod.Alias) !void {
+        const first = self.rules.items.len;
+        for (aliases) |alias| {
+            if (alias.find.len == 0) continue;
+            const target = try targetPath(self.arena, base, alias.replacement);
+            if (std.mem.endsWith(u8, alias.find, "/")) {
+                try self.addRule(alias.find, "", true, &.{try std.fmt.allocPrint(self.arena, "{s}/*", .{target})});
+                continue;
+            }
+            try self.addRule(alias.find, "", false, &.{target});
+            const prefix = try std.fmt.allocPrint(self.arena, "{s}/", .{alias.find});
+            try self.addRule(prefix, "", true, &.{try std.fmt.allocPrint(self.arena, "{s}/*", .{target})});
+        }
+        std.mem.sort(Rule, self.rules.items[first..], {}, ruleLessThan);
+    }
+
+    fn addTsconfig(self: *Loader, dir: []const u8) !void {
+        for (CONFIG_FILES) |name| {
+            const path = try std.fmt.allocPrint(self.arena, "{s}/{s}", .{ dir, name });
+            try self.files.append(self.arena, path);
+            if (!exists(path)) continue;
+
+            var options: Options = .{};
+            const root = try self.readConfig(path, 0, &options);
+            // Vite's templates keep paths in a referenced tsconfig.app.json
+            if (options.paths == null and options.base_url == null) {
+                if (root) |r| {
+                    if (r.get("references")) |refs| {
+                        for (refs.items()) |*ref| {
+                            const ref_path = ref.get("path") orelse continue;
+                            const rel = ref_path.string() orelse continue;
+                            var target = try bundler.normalizePath(self.arena, dir, rel);
+                            if (!std.mem.endsWith(u8, target, ".json")) {
+                                target = try std.fmt.allocPrint(self.arena, "{s}/tsconfig.json", .{target});
+                            }
+                            try self.files.append(self.arena, target);
+                            _ = try self.readConfig(target, 0, &options);
+                            if (options.paths != null or options.base_url != null) break;
+                        }
+                    }
+                }
+            }
+            try self.addPaths(options);
+            return;
+        }
+    }
+
+    /// Read `path` and its "extends" chain into `options`. Returns the
+    /// parsed config, or null when it is missing or not valid JSONC.
+    fn readConfig(self: *Loader, path: []const u8, depth: usize, options: *Options) Allocator.Error!?*const json_mod.Node {
+        if (depth > MAX_EXTENDS_DEPTH) return null;
+        if (depth > 0) try self.files.append(self.arena, path);
+        const text = std.fs.cwd().readFileAlloc(self.arena, path, 4 * 1024 * 1024) catch |err| switch (err) {
+            error.OutOfMemory => return error.OutOfMemory,
+            else => return null,
+        };
+        json_mod.uncomment(text);
+        var err: json_mod.Error = .{};
+        const root = try self.arena.create(json_mod.Node);
+        root.* = json_mod.parse(self.arena, text, &err) catch |e| switch (e) {
+            error.OutOfMemory => return error.OutOfMemory,
+            error.SyntaxError => return null,
+        };
+        const dir = std.fs.path.dirname(path) orelse ".";
+
+        // Bases first, so this config's own options win; later entries of
+        // an "extends" array win over earlier ones
+        if (root.get("extends")) |ext| {
+            const list: []const json_mod.Node = if (ext.string() != null) @as(*const [1]json_mod.Node, ext) else ext.items();
+            for (list) |*item| {
+                const spec = item.string() orelse continue;
+                const base = try self.extendsPath(dir, spec) orelse continue;
+                _ = try self.readConfig(base, depth + 1, options);
+            }
+        }
+
+        if (root.get("compilerOptions")) |co| {
+            if (co.get("baseUrl")) |b| {
+                if (b.string()) |url| options.base_url = try bundler.normalizePath(self.arena, dir, url);
+            }
+            if (co.get("paths")) |p| {
+                options.paths = p;
+                options.paths_dir = dir;
+            }
+        }
+        return root;
+    }
+
+    /// An "extends" value: a path relative to the config, or a package
+    /// (`@tsconfig/vite-react`) in a node_modules above it.
+    fn extendsPath(self: *Loader, dir: []const u8, spec: []const u8) !?[]const u8 {
+        if (std.mem.startsWith(u8, spec, ".") or std.fs.path.isAbsolute(spec)) {
+            const path = if (std.fs.path.isAbsolute(spec)) spec else try bundler.normalizePath(self.arena, dir, spec);
+            if (exists(path)) return path;
+            const with_ext = try std.fmt.allocPrint(self.arena, "{s}.json", .{path});
+            return if (exists(with_ext)) with_ext else null;
+        }
+
+        var up: []const u8 = dir;
+        for (0..8) |_| {
+            const base = try std.fmt.allocPrint(self.arena, "{s}/node_modules/{s}", .{ up, spec });
+            const candidates = [_][]const u8{ base, try std.fmt.allocPrint(self.arena, "{s}.json", .{base}), try std.fmt.allocPrint(self.arena, "{s}/tsconfig.json", .{base}) };
+            for (candidates) |c| {
+                if (exists(c)) return try bundler.normalizePath(self.arena, ".", c);
+            }
+            up = try std.fmt.allocPrint(self.arena, "{s}/..", .{up});
+        }
+        return null;
+    }
+
+    /// compilerOptions.paths, relative to baseUrl when there is one; then
+    /// baseUrl itself, where TypeScript looks up any non-relative import.
+    fn addPaths(self: *Loader, options: Options) !void {
+        const base = options.base_url orelse options.paths_dir;
+        const first = self.rules.items.len;
+        if (options.paths) |paths| {
+            for (paths.members()) |m| {
+                var targets: std.ArrayList([]const u8) = .empty;
+                for (m.value.items()) |*item| {
+                    const t = item.string() orelse continue;
+                    try targets.append(self.arena, try bundler.normalizePath(self.arena, base, t));
+                }
+                if (targets.items.len == 0) continue;
+                if (std.mem.indexOfScalar(u8, m.key, '*')) |at| {
+                    try self.addRule(m.key[0..at], m.key[at + 1 ..], true, targets.items);
+                } else {
+                    try self.addRule(m.key, "", false, targets.items);
+                }
+            }
+        }
+        std.mem.sort(Rule, self.rules.items[first..], {}, ruleLessThan);
+
+        if (options.base_url) |url| {
+            try self.addRule("", "", true, &.{try std.fmt.allocPrint(self.arena, "{s}/*", .{url})});
+        }
+    }
+
+    fn addRule(self: *Loader, prefix: []const u8, suffix: []const u8, wildcard: bool, targets: []const []const u8) !void {
+        try self.rules.append(self.arena, .{
+            .prefix = prefix,
+            .suffix = suffix,
+            .wildcard = wildcard,
+            .targets = try self.arena.dupe([]const u8, targets),
+        });
+    }
+};
+
+/// Exact patterns first, then the longest prefix, as TypeScript picks them.
+fn ruleLessThan(_: void, a: Rule, b: Rule) bool {
+    if (a.wildcard != b.wildcard) return !a.wildcard;
+    return a.prefix.len > b.prefix.len;
+}
+
+/// A config alias target: relative to `base`, or to the project root
+/// when it starts with "/".
+fn targetPath(arena: Allocator, base: []const u8, replacement: []const u8) ![]const u8 {
+    if (std.mem.startsWith(u8, replacement, "/")) return bundler.normalizePath(arena, ".", replacement[1..]);
+    return bundler.normalizePath(arena, base, replacement);
+}
+
+/// Relative imports, root-relative paths, URLs and `node:` style schemes
+/// are never aliases.
+fn isAliasable(spec: []const u8) bool {
+    if (spec.len == 0 or spec[0] == '.' or spec[0] == '/') return false;
+    return std.mem.indexOfScalar(u8, spec, ':') == null;
+}
+
+/// Import specifier for `to` from a module in `from` (both relative to the
+/// working directory): "./x.ts", "../lib/x.ts", or root-relative when
+/// `from` climbs out of the working directory.
+fn relativeImport(arena: Allocator, from: []const u8, to: []const u8) ![]const u8 {
+    var from_segs: std.ArrayList([]const u8) = .empty;
+    var it = std.mem.splitScalar(u8, from, '/');
+    while (it.next()) |seg| {
+        if (seg.len > 0 and !std.mem.eql(u8, seg, ".")) try from_segs.append(arena, seg);
+    }
+    var to_segs: std.ArrayList([]const u8) = .empty;
+    it = std.mem.splitScalar(u8, to, '/');
+    while (it.next()) |seg| {
+        if (seg.len > 0 and !std.mem.eql(u8, seg, ".")) try to_segs.append(arena, seg);
+    }
+
+    var common: usize = 0;
+    while (common < from_segs.items.len and common + 1 < to_segs.items.len and
+        std.mem.eql(u8, from_segs.items[common], to_segs.items[common])) common += 1;
+    for (from_segs.items[common..]) |seg| {
+        if (std.mem.eql(u8, seg, "..")) return std.fmt.allocPrint(arena, "/{s}", .{to});
+    }
+
+    var out: std.ArrayList(u8) = .empty;
+    if (common == from_segs.items.len) try out.appendSlice(arena, "./");
+    for (from_segs.items[common..]) |_| try out.appendSlice(arena, "../");
+    for (to_segs.items[common..], 0..) |seg, i| {
+        if (i > 0) try out.append(arena, '/');
+        try out.appendSlice(arena, seg);
+    }
+    return out.items;
+}
+
+fn exists(path: []const u8) bool {
+    const stat = std.fs.cwd().statFile(path) catch return false;
+    return stat.kind == .file;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "config aliases match the name and its subpaths" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    var loader: Loader = .{ .arena = arena.allocator() };
+    try loader.addConfigAliases("apps/shop", &.{
+        .{ .find = "@", .replacement = "src" },
+        .{ .find = "~shared/", .replacement = "/packages/shared" },
+    });
+
+    const rules = loader.rules.items;
+    try std.testing.expectEqual(@as(usize, 3), rules.len);
+    // Exact first, then the longest prefix
+    try std.testing.expectEqualStrings("", rules[0].match("@").?);
+    try std.testing.expectEqualStrings("packages/shared/*", rules[1].targets[0]);
+    try std.testing.expectEqualStrings("utils/date", rules[1].match("~shared/utils/date").?);
+    try std.testing.expectEqualStrings("components/Button", rules[2].match("@/components/Button").?);
+    try std.testing.expectEqualStrings("apps/shop/src/*", rules[2].targets[0]);
+    try std.testing.expect(rules[2].match("@scope/pkg") == null);
+    try std.testing.expect(!isAliasable("./local"));
+    try std.testing.expect(!isAliasable("node:fs"));
+}
+
+test "relative import between modules" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const a = arena.allocator();
+    try std.testing.expectEqualStrings("../components/Button.tsx", try relativeImport(a, "apps/shop/src/pages", "apps/shop/src/components/Button.tsx"));
+    try std.testing.expectEqualStrings("./utils.ts", try relativeImport(a, "apps/shop/src", "apps/shop/src/utils.ts"));
+    try std.testing.expectEqualStrings("../../../packages/ui/index.ts", try relativeImport(a, "apps/shop/src", "packages/ui/index.ts"));
+    try std.testing.expectEqualStrings("/shared/x.ts", try relativeImport(a, "../outside", "shared/x.ts"));
+}
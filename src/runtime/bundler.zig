@@ -0,0 +1,986 @@
+// WU Runtime — Native Production Bundler
+//
+// `wu build --native`: builds a micro-app without Vite by walking the same
+// pipeline `wu dev` serves from. Starting at the app entry, every reachable
+// module is compiled the way the dev server would compile it (framework
+// compiler, TS strip, /@modules/ npm resolution, CJS wrapping), but with
+// production settings, and written out as plain ES modules:
+//
+//   src/main.jsx, src/App.jsx   → dist/assets/main-<hash>.js, App-<hash>.js
+//   node_modules packages       → dist/assets/react-dom_client-<hash>.js
+//   import './x.css', <style>   → one stylesheet, dist/assets/main-<hash>.css
+//   import logo from './x.svg'  → dist/assets/x-<hash>.svg (+ a URL module)
+//   public/                     → copied to dist/ unchanged
+//
+// Modules are not concatenated: the browser loads the ESM graph directly,
+// just as in dev. A file's hash covers its own content and everything it
+// can reach, so a changed leaf renames every importer up to the entry and
+// all of dist/assets/ is safe to cache forever.
+//
+// dist/.vite/manifest.json uses Vite's manifest format, so `wu serve`,
+// /@wu/apps.json and the shell find the entry and its stylesheet the same
+// way whichever builder produced dist/.
+//
+// Shared singletons (wu.config.json "shared") are built once by buildShared
+// into the project's dist/shared/, with dist/importmap.json mapping each
+// specifier to its file. App builds leave those imports bare ("react") so
+// the import map, not the app, decides which copy loads.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const compile_mod = @import("compile.zig");
+const transform = @import("transform.zig");
+const ts_strip = @import("ts_strip.zig");
+const resolve_mod = @import("resolve.zig");
+const dev_server = @import("dev_server.zig");
+const prod_server = @import("prod_server.zig");
+const shared_mod = @import("shared.zig");
+const env_mod = @import("env.zig");
+const alias_mod = @import("alias.zig");
+const ansi = @import("../util/ansi.zig");
+
+const DevServer = dev_server.DevServer;
+
+// ── Public Types ────────────────────────────────────────────────────────────
+
+pub const App = struct {
+    name: []const u8,
+    dir: []const u8,
+    framework: []const u8,
+    /// Singletons to leave as bare imports, resolved by the import map.
+    shared: ?*const shared_mod.Plan = null,
+    /// import.meta.env values, baked into every script.
+    env: ?*const env_mod.Env = null,
+    /// `@/...` style imports (tsconfig paths, wu.config.json "alias").
+    aliases: ?*const alias_mod.Aliases = null,
+    /// Extra package.json "exports"/"imports" conditions (wu.config.json
+    /// "conditions").
+    conditions: []const []const u8 = &.{},
+};
+
+pub const Result = struct {
+    /// Modules in the graph (scripts, stylesheets and assets).
+    modules: usize = 0,
+    /// Bytes written to dist/ (excluding public/).
+    bytes: u64 = 0,
+};
+
+pub const BuildError = error{
+    /// Neither index.html nor src/main.<ext> names an entry module.
+    EntryNotFound,
+    /// A shared singleton is not installed in any node_modules.
+    SharedNotFound,
+};
+
+/// Build `app` into `<app.dir>/dist/`, replacing whatever was there.
+///
+/// `search_dirs` are the node_modules roots, probed in order (the same list
+/// the dev server uses for /@modules/). On a compiler error the details are
+/// left in `diag` and error.Diagnosed is returned.
+pub fn buildApp(
+    allocator: Allocator,
+    app: App,
+    search_dirs: []const []const u8,
+    diag: *compile_mod.Diagnostic,
+) !Result {
+    var arena_state = std.heap.ArenaAllocator.init(allocator);
+    defer arena_state.deinit();
+
+    var b: Builder = .{
+        .gpa = allocator,
+        .arena = arena_state.allocator(),
+        .app = app,
+        .search_dirs = search_dirs,
+        .diag = diag,
+        .plan = app.shared,
+        .externalize = app.shared != null,
+    };
+
+    const entry = try findEntry(b.arena, app);
+    _ = try b.add(entry.path, .script, null);
+
+    // Modules discovered while loading are appended — keep going until the
+    // graph stops growing
+    var i: usize = 0;
+    while (i < b.modules.items.len) : (i += 1) {
+        try b.load(i);
+    }
+
+    try b.computeHashes();
+    return b.emit(entry);
+}
+
+/// Build the shared singletons once into dist/shared/ and write
+/// dist/importmap.json, which maps each listed specifier to its file.
+pub fn buildShared(
+    allocator: Allocator,
+    plan: *const shared_mod.Plan,
+    search_dirs: []const []const u8,
+    conditions: []const []const u8,
+    diag: *compile_mod.Diagnostic,
+) !Result {
+    var arena_state = std.heap.ArenaAllocator.init(allocator);
+    defer arena_state.deinit();
+
+    var b: Builder = .{
+        .gpa = allocator,
+        .arena = arena_state.allocator(),
+        .app = .{ .name = "shared", .dir = ".", .framework = "vanilla", .conditions = conditions },
+        .search_dirs = search_dirs,
+        .diag = diag,
+        .plan = plan,
+        .assets_dir = shared_mod.SHARED_DIR,
+    };
+
+    // Each listed specifier is a root; singletons importing one another
+    // (react-dom → react) meet at the same file and share one module
+    const config_file: Module = .{ .key = "wu.config.json", .kind = .script, .path = "wu.config.json" };
+    const roots = try b.arena.alloc(usize, plan.specifiers.len);
+    for (plan.specifiers, roots) |spec, *root| {
+        const url = try std.fmt.allocPrint(b.arena, "/@modules/{s}", .{spec});
+        const target = try b.resolve(config_file, url) orelse return BuildError.SharedNotFound;
+        root.* = try b.add(target.path, .script, target.npm);
+        if (b.modules.items[root.*].npm_name == null) b.modules.items[root.*].npm_name = target.npm_name;
+    }
+
+    var i: usize = 0;
+    while (i < b.modules.items.len) : (i += 1) {
+        try b.load(i);
+    }
+
+    try b.computeHashes();
+    return b.emitShared(roots);
+}
+
+// ── Module Graph ────────────────────────────────────────────────────────────
+
+const Kind = enum {
+    /// JS module: app source (compiled/transformed) or an npm package file.
+    script,
+    /// CSS that is merged into the app stylesheet.
+    stylesheet,
+    /// JS module that injects a stylesheet at runtime (`import s from './x.css'`).
+    css_module,
+    /// File copied as-is under a hashed name.
+    asset,
+    /// JS module exporting an asset's URL (`import logo from './logo.svg'`).
+    asset_url,
+};
+
+const Import = struct {
+    /// Specifier span in the module's code, without quotes.
+    start: usize,
+    end: usize,
+    /// `import "x.css"` statement span. Side-effect stylesheet imports are
+    /// removed; the CSS ends up in the app stylesheet instead.
+    stmt_start: usize,
+    stmt_end: usize,
+    drop: bool,
+    target: usize,
+};
+
+const Module = struct {
+    /// Graph key — the file path, prefixed for wrapper modules.
+    key: []const u8,
+    kind: Kind,
+    /// File path relative to the working directory.
+    path: []const u8,
+    /// Bare specifier this file was resolved from, for npm modules.
+    npm_name: ?[]const u8 = null,
+    package_dir: []const u8 = "",
+    /// JS source, CSS text or raw asset bytes. Preset for virtual modules.
+    code: []const u8 = "",
+    loaded: bool = false,
+    imports: []const Import = &.{},
+    /// Hash of the module's own code.
+    content_hash: u64 = 0,
+    /// Output path under dist/ ("assets/App-1a2b3c4d.js").
+    out_name: []const u8 = "",
+};
+
+pub const Entry = struct {
+    /// Entry module path, relative to the working directory.
+    path: []const u8,
+    /// Found through index.html's module script (rather than src/main.<ext>).
+    from_html: bool = false,
+};
+
+const Builder = struct {
+    gpa: Allocator,
+    arena: Allocator,
+    app: App,
+    search_dirs: []const []const u8,
+    diag: *compile_mod.Diagnostic,
+    /// Shared singletons: pinned resolution, and bare imports when `externalize`.
+    plan: ?*const shared_mod.Plan = null,
+    externalize: bool = false,
+    /// Directory under dist/ that modules are written to.
+    assets_dir: []const u8 = "assets",
+    modules: std.ArrayList(Module) = .empty,
+    by_key: std.StringHashMapUnmanaged(usize) = .empty,
+
+    /// Index of the module for `path` as `kind`, adding it if it is new.
+    fn add(self: *Builder, path: []const u8, kind: Kind, npm: ?resolve_mod.ResolvedModule) !usize {
+        const key = switch (kind) {
+            .css_module => try std.fmt.allocPrint(self.arena, "inject:{s}", .{path}),
+            .asset_url => try std.fmt.allocPrint(self.arena, "url:{s}", .{path}),
+            else => path,
+        };
+        if (self.by_key.get(key)) |index| return index;
+
+        const index = self.modules.items.len;
+        try self.modules.append(self.arena, .{ .key = key, .kind = kind, .path = path });
+        try self.by_key.put(self.arena, key, index);
+        if (npm) |r| self.modules.items[index].package_dir = r.package_dir;
+        return index;
+    }
+
+    /// Register CSS that exists only in memory (a component's <style> block).
+    fn addVirtualStylesheet(self: *Builder, path: []const u8, css: []const u8) !void {
+        const index = try self.add(path, .stylesheet, null);
+        self.modules.items[index].code = css;
+    }
+
+    // ── Loading ─────────────────────────────────────────────────────────────
+
+    fn load(self: *Builder, index: usize) !void {
+        // Copy: resolving imports appends to `modules`, invalidating pointers
+        const m = self.modules.items[index];
+        if (m.loaded) return;
+
+        const code: []const u8 = switch (m.kind) {
+            .script => try self.externalizeShared(try self.loadScript(m)),
+            .stylesheet => if (m.code.len > 0) m.code else try self.readFile(m.path),
+            .css_module => blk: {
+                const css = try self.readFile(m.path);
+                var out: std.ArrayList(u8) = .empty;
+                try DevServer.appendCssInjector(self.arena, &out, m.path, css);
+                try out.appendSlice(self.arena, "export default ");
+                try DevServer.appendJsString(self.arena, &out, css);
+                try out.appendSlice(self.arena, ";\n");
+                break :blk out.items;
+            },
+            .asset => try self.readFile(m.path),
+            .asset_url => try std.fmt.allocPrint(self.arena,
+                "export default new URL(\"{s}\", import.meta.url).href;\n", .{m.path}),
+        };
+
+        const imports: []const Import = switch (m.kind) {
+            .script, .css_module => try self.resolveScriptImports(m, code),
+            .stylesheet => try self.resolveCssUrls(m, code),
+            .asset => &.{},
+            .asset_url => blk: {
+                const start = std.mem.indexOfScalar(u8, code, '"').? + 1;
+                const target = try self.add(m.path, .asset, null);
+                const list = try self.arena.alloc(Import, 1);
+                list[0] = .{
+                    .start = start,
+                    .end = start + m.path.len,
+                    .stmt_start = 0,
+                    .stmt_end = 0,
+                    .drop = false,
+                    .target = target,
+                };
+                break :blk list;
+            },
+        };
+
+        const slot = &self.modules.items[index];
+        slot.code = code;
+        slot.imports = imports;
+        slot.loaded = true;
+    }
+
+    fn readFile(self: *Builder, path: []const u8) ![]const u8 {
+        return std.fs.cwd().readFileAlloc(self.arena, path, 32 * 1024 * 1024);
+    }
+
+    /// Produce browser JS for a script module, as `wu dev` would serve it.
+    fn loadScript(self: *Builder, m: Module) ![]const u8 {
+        const source = try self.readFile(m.path);
+        const ext = std.fs.path.extension(m.path);
+
+        if (std.mem.eql(u8, ext, ".json")) {
+            return std.fmt.allocPrint(self.arena, "export default {s};\n", .{source});
+        }
+
+        if (m.npm_name) |name| {
+            const resolved: resolve_mod.ResolvedModule = .{
+                .file_path = m.path,
+                .package_dir = m.package_dir,
+                .is_esm = true,
+            };
+            const js = try dev_server.transformNpmModule(self.gpa, source, name, resolved, self.search_dirs, self.resolveOptions(), .production);
+            defer self.gpa.free(js);
+            return self.arena.dupe(u8, js);
+        }
+
+        if (compile_mod.needsCompile(ext)) {
+            const compiled = try compile_mod.compileFile(self.gpa, source, m.path, self.app.dir, self.app.framework, false, self.diag);
+            defer compiled.deinit(self.gpa);
+
+            const code = if (self.app.env) |e| try e.inject(self.arena, compiled.code) else compiled.code;
+            const aliased = if (self.app.aliases) |a| try a.rewrite(self.arena, code, m.path) else code;
+            const rewritten = transform.rewriteImports(self.arena, aliased) catch aliased;
+            var out: std.ArrayList(u8) = .empty;
+            try out.appendSlice(self.arena, rewritten);
+
+            // Component styles join the app stylesheet like any other CSS import
+            if (compiled.css.len > 0) {
+                const css_path = try std.fmt.allocPrint(self.arena, "{s}.css", .{m.path});
+                try self.addVirtualStylesheet(css_path, try self.arena.dupe(u8, compiled.css));
+                try out.writer(self.arena).print("\nimport \"./{s}?import\";\n", .{std.fs.path.basename(css_path)});
+            }
+            return out.items;
+        }
+
+        if (DevServer.needsTransform(ext)) {
+            const aliased = if (self.app.aliases) |a| try a.rewrite(self.arena, source, m.path) else source;
+            var problem: ts_strip.Problem = .{};
+            return transform.transformSource(self.arena, aliased, m.path, self.app.env, &problem) catch |err| switch (err) {
+                error.UnsupportedSyntax => return compile_mod.diagnoseTypeScript(self.gpa, aliased, m.path, problem, self.diag),
+                else => return err,
+            };
+        }
+        return source;
+    }
+
+    /// Turn /@modules/ imports of shared singletons back into bare
+    /// specifiers; the import map resolves them to dist/shared/.
+    fn externalizeShared(self: *Builder, code: []const u8) ![]const u8 {
+        if (!self.externalize) return code;
+        const plan = self.plan orelse return code;
+
+        var out: std.ArrayList(u8) = .empty;
+        var pos: usize = 0;
+        for (try scanImports(self.arena, code)) |imp| {
+            const spec = code[imp.start..imp.end];
+            if (!std.mem.startsWith(u8, spec, "/@modules/")) continue;
+            const name = spec["/@modules/".len..];
+            if (!plan.isShared(name)) continue;
+            try out.appendSlice(self.arena, code[pos..imp.start]);
+            try out.appendSlice(self.arena, name);
+            pos = imp.end;
+        }
+        if (pos == 0) return code;
+        try out.appendSlice(self.arena, code[pos..]);
+        return out.items;
+    }
+
+    // ── Import resolution ───────────────────────────────────────────────────
+
+    fn resolveScriptImports(self: *Builder, m: Module, code: []const u8) ![]const Import {
+        const found = try scanImports(self.arena, code);
+        var list: std.ArrayList(Import) = .empty;
+        for (found) |imp| {
+            const raw = code[imp.start..imp.end];
+            const spec = raw[0 .. std.mem.indexOfScalar(u8, raw, '?') orelse raw.len];
+            const target = try self.resolve(m, spec) orelse continue;
+            const ext = std.fs.path.extension(target.path);
+
+            var kind: Kind = .asset_url;
+            if (std.mem.eql(u8, ext, ".css")) {
+                kind = if (imp.side_effect) .stylesheet else .css_module;
+            } else if (isScriptExt(ext)) {
+                kind = .script;
+            }
+
+            const index = try self.add(target.path, kind, target.npm);
+            if (target.npm_name) |name| {
+                if (self.modules.items[index].npm_name == null) self.modules.items[index].npm_name = name;
+            }
+            try list.append(self.arena, .{
+                .start = imp.start,
+                .end = imp.end,
+                .stmt_start = imp.stmt_start,
+                .stmt_end = imp.stmt_end,
+                .drop = kind == .stylesheet,
+                .target = index,
+            });
+        }
+        return list.items;
+    }
+
+    /// `url(...)` references in CSS become hashed assets next to the stylesheet.
+    fn resolveCssUrls(self: *Builder, m: Module, css: []const u8) ![]const Import {
+        var list: std.ArrayList(Import) = .empty;
+        var pos: usize = 0;
+        while (std.mem.indexOfPos(u8, css, pos, "url(")) |i| {
+            pos = i + 4;
+            var start = pos;
+            while (start < css.len and css[start] == ' ') : (start += 1) {}
+            const quoted = start < css.len and (css[start] == '"' or css[start] == '\'');
+            if (quoted) start += 1;
+            const close: u8 = if (quoted) css[start - 1] else ')';
+            const end = std.mem.indexOfScalarPos(u8, css, start, close) orelse break;
+            pos = end;
+
+            const ref = std.mem.trim(u8, css[start..end], " ");
+            if (!std.mem.startsWith(u8, ref, "./") and !std.mem.startsWith(u8, ref, "../")) continue;
+            const clean = ref[0 .. std.mem.indexOfAny(u8, ref, "?#") orelse ref.len];
+            const target = try self.resolve(m, clean) orelse continue;
+            const index = try self.add(target.path, .asset, null);
+            const ref_start = start + (std.mem.indexOf(u8, css[start..end], ref) orelse 0);
+            try list.append(self.arena, .{
+                .start = ref_start,
+                .end = ref_start + ref.len,
+                .stmt_start = 0,
+                .stmt_end = 0,
+                .drop = false,
+                .target = index,
+            });
+        }
+        return list.items;
+    }
+
+    /// As the dev server resolves /@modules/ URLs (see DevServer.resolveOptions).
+    fn resolveOptions(self: *const Builder) resolve_mod.Options {
+        return .{ .conditions = self.app.conditions, .file_subpaths = true };
+    }
+
+    const Target = struct {
+        path: []const u8,
+        npm: ?resolve_mod.ResolvedModule = null,
+        npm_name: ?[]const u8 = null,
+    };
+
+    /// Map a specifier to a file. Null (with a warning) leaves it untouched.
+    fn resolve(self: *Builder, importer: Module, spec: []const u8) !?Target {
+        if (std.mem.startsWith(u8, spec, "/@modules/")) {
+            const name = spec["/@modules/".len..];
+            var pinned_buf: [64][]const u8 = undefined;
+            const dirs = if (self.plan) |plan| plan.searchDirsFor(name, self.search_dirs, &pinned_buf) else self.search_dirs;
+            const resolved = resolve_mod.resolveModuleWith(self.gpa, name, dirs, self.resolveOptions()) catch null;
+            const r = resolved orelse {
+                self.warn(importer, spec);
+                return null;
+            };
+            defer {
+                self.gpa.free(r.file_path);
+                self.gpa.free(r.package_dir);
+            }
+            const owned: resolve_mod.ResolvedModule = .{
+                .file_path = try self.arena.dupe(u8, r.file_path),
+                .package_dir = try self.arena.dupe(u8, r.package_dir),
+                .is_esm = r.is_esm,
+            };
+            return .{ .path = owned.file_path, .npm = owned, .npm_name = try self.arena.dupe(u8, name) };
+        }
+
+        var joined: []const u8 = undefined;
+        if (std.mem.startsWith(u8, spec, "./") or std.mem.startsWith(u8, spec, "../")) {
+            const base = std.fs.path.dirname(importer.path) orelse ".";
+            joined = try normalizePath(self.arena, base, spec);
+        } else if (std.mem.startsWith(u8, spec, "/") and !std.mem.startsWith(u8, spec, "//")) {
+            // Root-relative, as the dev server serves the working directory
+            joined = try normalizePath(self.arena, ".", spec[1..]);
+        } else {
+            // URLs, data: and anything the dev pipeline leaves alone
+            return null;
+        }
+
+        if (self.by_key.contains(joined)) return .{ .path = joined };
+        if (try probeFile(self.arena, joined)) |path| return .{ .path = path };
+
+        self.warn(importer, spec);
+        return null;
+    }
+
+    fn warn(self: *Builder, importer: Module, spec: []const u8) void {
+        std.debug.print("  {s}⚠{s} {s}: cannot resolve {s}\"{s}\"{s} from {s}\n", .{
+            ansi.yellow, ansi.reset, self.app.name, ansi.bold, spec, ansi.reset, importer.path,
+        });
+    }
+
+    // ── Hashing ─────────────────────────────────────────────────────────────
+
+    /// Name every module by the hash of everything it can reach, so any
+    /// change below a module changes its file name too.
+    fn computeHashes(self: *Builder) !void {
+        const modules = self.modules.items;
+        for (modules) |*m| {
+            m.content_hash = std.hash.Wyhash.hash(@intFromEnum(m.kind), m.code);
+        }
+
+        const visited = try self.arena.alloc(bool, modules.len);
+        var stack: std.ArrayList(usize) = .empty;
+        for (modules, 0..) |*m, root| {
+            @memset(visited, false);
+            stack.clearRetainingCapacity();
+            try stack.append(self.arena, root);
+            visited[root] = true;
+
+            // Order-independent sum over the reachable set (cycles are fine)
+            var acc: u64 = 0;
+            while (stack.pop()) |index| {
+                acc +%= std.hash.Wyhash.hash(0, std.mem.asBytes(&modules[index].content_hash));
+                for (modules[index].imports) |imp| {
+                    if (visited[imp.target]) continue;
+                    visited[imp.target] = true;
+                    try stack.append(self.arena, imp.target);
+                }
+            }
+            // Modules in one cycle reach the same set; their own content tells them apart
+            acc = std.hash.Wyhash.hash(acc, std.mem.asBytes(&m.content_hash));
+
+            const ext = switch (m.kind) {
+                .asset => std.fs.path.extension(m.path),
+                else => ".js",
+            };
+            m.out_name = try std.fmt.allocPrint(self.arena, "{s}/{s}-{x:0>8}{s}", .{
+                self.assets_dir, try stemFor(self.arena, m.*), @as(u32, @truncate(acc)), ext,
+            });
+        }
+    }
+
+    // ── Output ──────────────────────────────────────────────────────────────
+
+    fn emit(self: *Builder, entry: Entry) !Result {
+        const cwd = std.fs.cwd();
+        const dist = try std.fmt.allocPrint(self.arena, "{s}/dist", .{self.app.dir});
+        cwd.deleteTree(dist) catch {};
+        var dist_dir = try cwd.makeOpenPath(dist, .{});
+        defer dist_dir.close();
+        try dist_dir.makePath(self.assets_dir);
+
+        const public = try std.fmt.allocPrint(self.arena, "{s}/public", .{self.app.dir});
+        copyTree(self.arena, public, dist_dir) catch {};
+
+        var result: Result = .{ .modules = self.modules.items.len };
+
+        for (self.modules.items) |m| {
+            if (m.kind == .stylesheet) continue;
+            const data = if (m.kind == .asset) m.code else try self.render(m);
+            try dist_dir.writeFile(.{ .sub_path = m.out_name, .data = data });
+            result.bytes += data.len;
+        }
+
+        // One stylesheet, in import order
+        var css: std.ArrayList(u8) = .empty;
+        try self.collectCss(0, &css);
+        var css_name: ?[]const u8 = null;
+        if (css.items.len > 0) {
+            const stem = stemFor(self.arena, self.modules.items[0]) catch "style";
+            css_name = try std.fmt.allocPrint(self.arena, "assets/{s}-{x:0>8}.css", .{
+                stem, @as(u32, @truncate(std.hash.Wyhash.hash(0, css.items))),
+            });
+            try dist_dir.writeFile(.{ .sub_path = css_name.?, .data = css.items });
+            result.bytes += css.items.len;
+        }
+
+        result.bytes += try self.writeIndexHtml(dist_dir, entry, css_name);
+        try self.writeManifest(dist_dir, css_name);
+        return result;
+    }
+
+    /// Write every module to dist/shared/ (replacing the previous build) and
+    /// the import map pointing each root's specifier at its file.
+    fn emitShared(self: *Builder, roots: []const usize) !Result {
+        const cwd = std.fs.cwd();
+        var dist_dir = try cwd.makeOpenPath(shared_mod.DIST_DIR, .{});
+        defer dist_dir.close();
+        dist_dir.deleteTree(self.assets_dir) catch {};
+        try dist_dir.makePath(self.assets_dir);
+
+        var result: Result = .{ .modules = self.modules.items.len };
+        for (self.modules.items) |m| {
+            // Nothing links a stylesheet for shared code
+            if (m.kind == .stylesheet) continue;
+            const data = if (m.kind == .asset) m.code else try self.render(m);
+            try dist_dir.writeFile(.{ .sub_path = m.out_name, .data = data });
+            result.bytes += data.len;
+        }
+
+        const entries = try self.arena.alloc(shared_mod.ImportMapEntry, roots.len);
+        for (entries, roots, self.plan.?.specifiers) |*entry, root, spec| {
+            entry.* = .{
+                .specifier = spec,
+                .url = try std.fmt.allocPrint(self.arena, "{s}{s}", .{
+                    shared_mod.URL_PREFIX, std.fs.path.basename(self.modules.items[root].out_name),
+                }),
+            };
+        }
+        var map: std.ArrayList(u8) = .empty;
+        try shared_mod.writeImportMap(map.writer(self.arena), entries);
+        try map.append(self.arena, '\n');
+        try dist_dir.writeFile(.{ .sub_path = shared_mod.IMPORT_MAP_FILE, .data = map.items });
+        result.bytes += map.items.len;
+        return result;
+    }
+
+    /// The module's code with each import pointing at its hashed sibling.
+    fn render(self: *Builder, m: Module) ![]const u8 {
+        if (m.imports.len == 0) return m.code;
+        var out: std.ArrayList(u8) = .empty;
+        var pos: usize = 0;
+        for (m.imports) |imp| {
+            if (imp.drop) {
+                if (imp.stmt_start < pos) continue;
+                try out.appendSlice(self.arena, m.code[pos..imp.stmt_start]);
+                pos = imp.stmt_end;
+                continue;
+            }
+            if (imp.start < pos) continue;
+            try out.appendSlice(self.arena, m.code[pos..imp.start]);
+            try out.appendSlice(self.arena, "./");
+            try out.appendSlice(self.arena, std.fs.path.basename(self.modules.items[imp.target].out_name));
+            pos = imp.end;
+        }
+        try out.appendSlice(self.arena, m.code[pos..]);
+        return out.items;
+    }
+
+    /// Depth-first in import order, so CSS cascades as it did in dev.
+    fn collectCss(self: *Builder, root: usize, out: *std.ArrayList(u8)) !void {
+        const seen = try self.arena.alloc(bool, self.modules.items.len);
+        @memset(seen, false);
+        try self.collectCssFrom(root, seen, out);
+    }
+
+    fn collectCssFrom(self: *Builder, index: usize, seen: []bool, out: *std.ArrayList(u8)) !void {
+        if (seen[index]) return;
+        seen[index] = true;
+        const m = self.modules.items[index];
+        if (m.kind == .stylesheet) {
+            try out.appendSlice(self.arena, try self.render(m));
+            try out.append(self.arena, '\n');
+            return;
+        }
+        for (m.imports) |imp| try self.collectCssFrom(imp.target, seen, out);
+    }
+
+    /// Copy index.html with the module script (and stylesheet) pointing at
+    /// the build, so the app also works standalone from dist/.
+    fn writeIndexHtml(self: *Builder, dist_dir: std.fs.Dir, entry: Entry, css_name: ?[]const u8) !u64 {
+        if (!entry.from_html) return 0;
+        const html_path = try std.fmt.allocPrint(self.arena, "{s}/index.html", .{self.app.dir});
+        const html = try self.readFile(html_path);
+        const src = prod_server.findTagAttr(html, "<script", "type=\"module\"", "src") orelse return 0;
+        const at = @intFromPtr(src.ptr) - @intFromPtr(html.ptr);
+
+        var out: std.ArrayList(u8) = .empty;
+        try out.appendSlice(self.arena, html[0..at]);
+        try out.writer(self.arena).print("./{s}", .{self.modules.items[0].out_name});
+        var rest = html[at + src.len ..];
+        if (css_name) |name| {
+            if (std.mem.indexOf(u8, rest, "</head>")) |head_end| {
+                try out.appendSlice(self.arena, rest[0..head_end]);
+                try out.writer(self.arena).print("  <link rel=\"stylesheet\" href=\"./{s}\">\n  ", .{name});
+                rest = rest[head_end..];
+            }
+        }
+        try out.appendSlice(self.arena, rest);
+        try dist_dir.writeFile(.{ .sub_path = "index.html", .data = out.items });
+        return out.items.len;
+    }
+
+    /// Vite-format manifest: one chunk per emitted file, keyed by source path.
+    fn writeManifest(self: *Builder, dist_dir: std.fs.Dir, css_name: ?[]const u8) !void {
+        var out: std.ArrayList(u8) = .empty;
+        const w = out.writer(self.arena);
+        try w.writeAll("{");
+        var first = true;
+        for (self.modules.items, 0..) |m, index| {
+            if (m.kind == .stylesheet or m.kind == .css_module or m.kind == .asset_url) continue;
+            if (!first) try w.writeAll(",");
+            first = false;
+            const src = self.manifestKey(m);
+            try w.print("\n  \"{s}\": {{\"file\": \"{s}\", \"src\": \"{s}\"", .{ src, m.out_name, src });
+            if (index == 0) {
+                try w.writeAll(", \"isEntry\": true");
+                if (css_name) |name| try w.print(", \"css\": [\"{s}\"]", .{name});
+            }
+
+            var first_import = true;
+            for (m.imports) |imp| {
+                const dep = self.modules.items[imp.target];
+                if (dep.kind != .script) continue;
+                try w.writeAll(if (first_import) ", \"imports\": [" else ", ");
+                first_import = false;
+                try w.print("\"{s}\"", .{self.manifestKey(dep)});
+            }
+            if (!first_import) try w.writeAll("]");
+            try w.writeAll("}");
+        }
+        try w.writeAll("\n}\n");
+
+        try dist_dir.makePath(".vite");
+        try dist_dir.writeFile(.{ .sub_path = ".vite/manifest.json", .data = out.items });
+    }
+
+    /// Source path relative to the app directory when it lives inside it.
+    fn manifestKey(self: *Builder, m: Module) []const u8 {
+        const dir = self.app.dir;
+        if (std.mem.startsWith(u8, m.path, dir) and m.path.len > dir.len + 1 and m.path[dir.len] == '/') {
+            return m.path[dir.len + 1 ..];
+        }
+        return m.path;
+    }
+};
+
+// ── Entry ───────────────────────────────────────────────────────────────────
+
+/// The module script in index.html (what Vite builds from), falling back to
+/// the src/main.<ext> convention `wu create` scaffolds.
+pub fn findEntry(arena: Allocator, app: App) !Entry {
+    const html_path = try std.fmt.allocPrint(arena, "{s}/index.html", .{app.dir});
+    if (std.fs.cwd().readFileAlloc(arena, html_path, 1024 * 1024)) |html| {
+        if (prod_server.findTagAttr(html, "<script", "type=\"module\"", "src")) |src| {
+            if (std.mem.indexOf(u8, src, "://") == null) {
+                var rel = src;
+                while (std.mem.startsWith(u8, rel, "./")) rel = rel[2..];
+                if (std.mem.startsWith(u8, rel, "/")) rel = rel[1..];
+                const path = try normalizePath(arena, app.dir, rel);
+                if (isFile(path)) return .{ .path = path, .from_html = true };
+            }
+        }
+    } else |_| {}
+
+    const path = try std.fmt.allocPrint(arena, "{s}/src/main.{s}", .{ app.dir, DevServer.mainExt(app.framework) });
+    if (isFile(path)) return .{ .path = path };
+    return BuildError.EntryNotFound;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+fn isScriptExt(ext: []const u8) bool {
+    const script_exts = [_][]const u8{ ".js", ".mjs", ".cjs", ".ts", ".mts", ".jsx", ".tsx", ".svelte", ".vue", ".json" };
+    for (script_exts) |e| {
+        if (std.mem.eql(u8, ext, e)) return true;
+    }
+    return false;
+}
+
+/// `path` itself, or with the extension or /index file an import may leave
+/// out. Null when none exists.
+pub fn probeFile(arena: Allocator, path: []const u8) !?[]const u8 {
+    if (isFile(path)) return path;
+    const suffixes = [_][]const u8{
+        ".ts",  ".tsx",       ".js",        ".jsx",        ".mjs",        ".json", ".svelte", ".vue",
+        "/index.ts", "/index.tsx", "/index.js", "/index.jsx",
+    };
+    for (suffixes) |suffix| {
+        const candidate = try std.fmt.allocPrint(arena, "{s}{s}", .{ path, suffix });
+        if (isFile(candidate)) return candidate;
+    }
+    return null;
+}
+
+fn isFile(path: []const u8) bool {
+    const stat = std.fs.cwd().statFile(path) catch return false;
+    return stat.kind == .file;
+}
+
+/// File name stem for a module: the source basename for app files,
+/// the import specifier for packages ("react-dom/client" → "react-dom_client").
+fn stemFor(arena: Allocator, m: Module) ![]const u8 {
+    const raw = m.npm_name orelse std.fs.path.basename(m.path);
+    var name = raw;
+    if (std.mem.startsWith(u8, name, "@")) name = name[1..];
+    if (m.kind != .asset) {
+        // App.svelte.css → App, main.jsx → main
+        const ext_start = if (m.npm_name == null)
+            std.mem.indexOfScalar(u8, name, '.')
+        else if (std.mem.endsWith(u8, name, ".js") or std.mem.endsWith(u8, name, ".mjs"))
+            std.mem.lastIndexOfScalar(u8, name, '.')
+        else
+            null;
+        if (ext_start) |e| {
+            if (e > 0) name = name[0..e];
+        }
+    } else {
+        name = name[0 .. name.len - std.fs.path.extension(name).len];
+    }
+
+    const out = try arena.dupe(u8, name);
+    for (out) |*c| {
+        if (!std.ascii.isAlphanumeric(c.*) and c.* != '-' and c.* != '_' and c.* != '.') c.* = '_';
+    }
+    return out;
+}
+
+/// Join `base` and a relative `spec`, folding "." and ".." segments.
+pub fn normalizePath(arena: Allocator, base: []const u8, spec: []const u8) ![]const u8 {
+    var parts: std.ArrayList([]const u8) = .empty;
+    var ups: usize = 0;
+    const inputs = [_][]const u8{ base, spec };
+    for (inputs) |input| {
+        var it = std.mem.splitScalar(u8, input, '/');
+        while (it.next()) |seg| {
+            if (seg.len == 0 or std.mem.eql(u8, seg, ".")) continue;
+            if (std.mem.eql(u8, seg, "..")) {
+                if (parts.items.len > 0) {
+                    _ = parts.pop();
+                } else {
+                    ups += 1;
+                }
+                continue;
+            }
+            try parts.append(arena, seg);
+        }
+    }
+
+    var out: std.ArrayList(u8) = .empty;
+    for (0..ups) |_| try out.appendSlice(arena, "../");
+    for (parts.items, 0..) |seg, i| {
+        if (i > 0) try out.append(arena, '/');
+        try out.appendSlice(arena, seg);
+    }
+    if (out.items.len == 0) try out.append(arena, '.');
+    return out.items;
+}
+
+/// Copy every file under `src` into `dest`, keeping the layout.
+fn copyTree(arena: Allocator, src: []const u8, dest: std.fs.Dir) !void {
+    var dir = try std.fs.cwd().openDir(src, .{ .iterate = true });
+    defer dir.close();
+    var walker = try dir.walk(arena);
+    defer walker.deinit();
+    while (try walker.next()) |entry| {
+        switch (entry.kind) {
+            .directory => try dest.makePath(entry.path),
+            .file => try dir.copyFile(entry.path, dest, entry.path, .{}),
+            else => {},
+        }
+    }
+}
+
+// ── Import Scanner ──────────────────────────────────────────────────────────
+
+pub const FoundImport = struct {
+    start: usize,
+    end: usize,
+    stmt_start: usize,
+    stmt_end: usize,
+    /// `import "x"` with no bindings.
+    side_effect: bool,
+};
+
+/// Find the string specifiers of `import ... from "x"`, `export ... from "x"`,
+/// `import "x"` and `import("x")`, skipping comments and other strings.
+pub fn scanImports(arena: Allocator, code: []const u8) ![]const FoundImport {
+    var list: std.ArrayList(FoundImport) = .empty;
+    var i: usize = 0;
+    while (i < code.len) {
+        const c = code[i];
+        if (c == '"' or c == '\'' or c == '`') {
+            i = skipString(code, i);
+            continue;
+        }
+        if (c == '/' and i + 1 < code.len and code[i + 1] == '/') {
+            i = std.mem.indexOfScalarPos(u8, code, i, '\n') orelse code.len;
+            continue;
+        }
+        if (c == '/' and i + 1 < code.len and code[i + 1] == '*') {
+            i = if (std.mem.indexOfPos(u8, code, i + 2, "*/")) |e| e + 2 else code.len;
+            continue;
+        }
+
+        if (keywordAt(code, i, "import")) {
+            var j = skipSpace(code, i + "import".len);
+            const dynamic = j < code.len and code[j] == '(';
+            if (dynamic) j = skipSpace(code, j + 1);
+            if (j < code.len and (code[j] == '"' or code[j] == '\'')) {
+                const end = std.mem.indexOfScalarPos(u8, code, j + 1, code[j]) orelse code.len;
+                var stmt_end = @min(end + 1, code.len);
+                if (!dynamic and stmt_end < code.len and code[stmt_end] == ';') stmt_end += 1;
+                try list.append(arena, .{
+                    .start = j + 1,
+                    .end = end,
+                    .stmt_start = i,
+                    .stmt_end = stmt_end,
+                    .side_effect = !dynamic,
+                });
+                i = @min(end + 1, code.len);
+                continue;
+            }
+            i += "import".len;
+            continue;
+        }
+
+        if (keywordAt(code, i, "from")) {
+            const j = skipSpace(code, i + "from".len);
+            if (j < code.len and (code[j] == '"' or code[j] == '\'')) {
+                const end = std.mem.indexOfScalarPos(u8, code, j + 1, code[j]) orelse code.len;
+                try list.append(arena, .{
+                    .start = j + 1,
+                    .end = end,
+                    .stmt_start = i,
+                    .stmt_end = end,
+                    .side_effect = false,
+                });
+                i = @min(end + 1, code.len);
+                continue;
+            }
+            i += "from".len;
+            continue;
+        }
+        i += 1;
+    }
+    return list.toOwnedSlice(arena);
+}
+
+fn keywordAt(code: []const u8, i: usize, word: []const u8) bool {
+    if (!std.mem.startsWith(u8, code[i..], word)) return false;
+    if (i > 0 and (isIdentChar(code[i - 1]) or code[i - 1] == '.')) return false;
+    const after = i + word.len;
+    return after >= code.len or !isIdentChar(code[after]);
+}
+
+fn isIdentChar(c: u8) bool {
+    return std.ascii.isAlphanumeric(c) or c == '_' or c == '$';
+}
+
+fn skipSpace(code: []const u8, start: usize) usize {
+    var i = start;
+    while (i < code.len and std.ascii.isWhitespace(code[i])) : (i += 1) {}
+    return i;
+}
+
+fn skipString(code: []const u8, start: usize) usize {
+    const quote = code[start];
+    var i = start + 1;
+    while (i < code.len) : (i += 1) {
+        if (code[i] == '\\') {
+            i += 1;
+            continue;
+        }
+        if (code[i] == quote) return i + 1;
+        // An unterminated quote ends at the line for '' and ""
+        if (quote != '`' and code[i] == '\n') return i;
+    }
+    return code.len;
+}
+
+test "scanImports finds static, side-effect and dynamic specifiers" {
+    const code =
+        \\import React from "/@modules/react";
+        \\import './App.css?import';
+        \\// import nope from './commented.js'
+        \\export { x } from './x.js';
+        \\const s = "import fake from './fake.js'";
+        \\const Lazy = import('./Lazy.jsx');
+        \\import.meta.url;
+    ;
+    const found = try scanImports(std.testing.allocator, code);
+    defer std.testing.allocator.free(found);
+
+    try std.testing.expectEqual(@as(usize, 4), found.len);
+    try std.testing.expectEqualStrings("/@modules/react", code[found[0].start..found[0].end]);
+    try std.testing.expectEqualStrings("./App.css?import", code[found[1].start..found[1].end]);
+    try std.testing.expect(found[1].side_effect);
+    try std.testing.expectEqualStrings("import './App.css?import';", code[found[1].stmt_start..found[1].stmt_end]);
+    try std.testing.expectEqualStrings("./x.js", code[found[2].start..found[2].end]);
+    try std.testing.expectEqualStrings("./Lazy.jsx", code[found[3].start..found[3].end]);
+    try std.testing.expect(!found[3].side_effect);
+}
+
+test "normalizePath folds dot segments" {
+    var arena_state = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
+
+    try std.testing.expectEqualStrings("apps/react/src/App.jsx", try normalizePath(arena, "apps/react/src", "./App.jsx"));
+    try std.testing.expectEqualStrings("apps/react/lib/x.js", try normalizePath(arena, "apps/react/src", "../lib/x.js"));
+    try std.testing.expectEqualStrings("../shared/y.js", try normalizePath(arena, ".", "../shared/y.js"));
+}
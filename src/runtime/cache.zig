@@ -1,17 +1,31 @@
 // WU Runtime — Two-Level Compilation Cache
 //
-// Level 1: Fixed-size (256-entry) in-memory round-robin cache.
-// Level 2: Persistent disk cache in .wu-cache/ directory.
+// Entries are keyed on what went into them, not on when the file was last
+// written: a hash of the source contents, wu's version and a salt from the
+// caller (framework, compiler version, config). Touching a file without
+// editing it still hits; upgrading a compiler or editing the config misses.
+// Each entry also records the other files its output was built from
+// (tsconfig.json, svelte.config.js, a component's children) with their
+// content hashes, and stops matching as soon as one of them changes.
+//
+// Level 1: in-memory LRU, bounded by the bytes it holds (MEMORY_BUDGET).
+// Level 2: persistent disk cache in .wu-cache/, one file per key. gc()
+//          drops entries unused for MAX_AGE_DAYS, then the least recently
+//          used until the rest fit in DISK_BUDGET.
 //
 // Flow:
-//   get() → memory hit → return
-//   get() → memory miss → disk hit → promote to memory → return
-//   get() → both miss → null
-//   put() → write to memory + write to disk
+//   key()  → content hash (re-read only when mtime or size moved) + salt
+//   get()  → memory hit → return
+//   get()  → memory miss → disk hit → promote to memory → return
+//   get()  → both miss, or a dependency changed → null
+//   put()  → write to memory + write to disk
+//   clear() → empty memory + delete the .dat files
 //
-// Disk format per entry: .wu-cache/{hex_hash}.dat
-//   Line 1: mtime as decimal i128
-//   Rest: compiled/transformed content
+// Disk format per entry: .wu-cache/{hex_key}.dat
+//   Line 1: FORMAT \t {mapLen} \t {cssLen} \t {depCount}
+//   Then depCount lines: {hex_hash} \t {path}
+//   Rest: compiled/transformed content, then mapLen bytes of source map,
+//         then cssLen bytes of extracted component CSS
 //
 // Survives server restarts — eliminates cold-start compilation penalty.
 // First restart with warm cache: ~1-5ms per module vs 200-400ms cold.
@@ -19,201 +33,822 @@
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
+const root = @import("../main.zig");
 
-const MAX = 256;
-const CACHE_DIR = ".wu-cache";
+pub const CACHE_DIR = ".wu-cache";
 
-const Entry = struct {
+/// First header field of every entry. Bump when the layout or the meaning
+/// of a key changes; gc() deletes entries in any other format.
+const FORMAT = "wu-cache-2";
+
+/// Output bytes the memory tier holds before evicting the least recently
+/// used entries.
+pub const MEMORY_BUDGET = 64 * 1024 * 1024;
+
+/// gc() keeps disk entries used within MAX_AGE_DAYS, DISK_BUDGET bytes in all.
+pub const MAX_AGE_DAYS = 14;
+pub const DISK_BUDGET = 512 * 1024 * 1024;
+
+/// Sources and dependencies larger than this are not hashed (nor cached).
+const MAX_FILE_SIZE = 16 * 1024 * 1024;
+
+/// Hash recorded for a dependency that does not exist (yet).
+const MISSING: u64 = 0;
+
+/// Everything one compile produces. `map` and `css` are empty when the
+/// compiler emitted no source map or no component styles.
+pub const Parts = struct {
+    code: []const u8,
+    map: []const u8 = "",
+    css: []const u8 = "",
+
+    pub fn dupe(self: Parts, allocator: Allocator) ?Parts {
+        const code = allocator.dupe(u8, self.code) catch return null;
+        const map = allocator.dupe(u8, self.map) catch {
+            allocator.free(code);
+            return null;
+        };
+        const css = allocator.dupe(u8, self.css) catch {
+            allocator.free(code);
+            allocator.free(map);
+            return null;
+        };
+        return .{ .code = code, .map = map, .css = css };
+    }
+
+    pub fn free(self: Parts, allocator: Allocator) void {
+        allocator.free(self.code);
+        allocator.free(self.map);
+        allocator.free(self.css);
+    }
+};
+
+/// A file an entry's output was built from, besides the source itself.
+pub const Dep = struct {
+    path: []const u8,
+    /// Content hash when the entry was stored; MISSING when it did not exist.
     hash: u64,
+};
+
+/// Where a hit came from (shown by the dev-server inspector).
+pub const Level = enum { memory, disk };
+
+/// The memory tier now, and lookups since init.
+pub const Stats = struct {
+    entries: usize = 0,
+    bytes: usize = 0,
+    memory_hits: u64 = 0,
+    disk_hits: u64 = 0,
+    misses: u64 = 0,
+    /// Misses because a dependency changed.
+    stale: u64 = 0,
+    evictions: u64 = 0,
+};
+
+pub const Options = struct {
+    /// Keep entries in CACHE_DIR too. Off, the cache is memory-only.
+    disk: bool = true,
+    memory_budget: usize = MEMORY_BUDGET,
+};
+
+const Entry = struct {
+    parts: Parts,
+    deps: []Dep,
+    /// Counted against the memory budget.
+    bytes: usize,
+    /// Tick of the last store or hit; the smallest is evicted first.
+    used: u64 = 0,
+
+    fn free(self: Entry, allocator: Allocator) void {
+        self.parts.free(allocator);
+        freeDeps(allocator, self.deps);
+    }
+};
+
+/// What a file hashed to, valid while its mtime and size stay the same.
+const Stamp = struct {
     mtime: i128,
-    compiled: []const u8,
-    occupied: bool,
+    size: u64,
+    hash: u64,
 };
 
 pub const CompileCache = struct {
     allocator: Allocator,
-    entries: [MAX]Entry,
-    next_evict: usize,
     mutex: std.Thread.Mutex,
     disk_ready: bool,
+    memory_budget: usize,
+    memory: std.AutoHashMapUnmanaged(u64, Entry),
+    memory_bytes: usize,
+    tick: u64,
+    /// Path hash → the key last computed for it, for peek().
+    latest: std.AutoHashMapUnmanaged(u64, u64),
+    /// Path → content hash, so an unchanged file is not read again.
+    stamps: std.StringHashMapUnmanaged(Stamp),
+    counters: Stats,
 
     pub fn init(allocator: Allocator) CompileCache {
+        return initWith(allocator, .{});
+    }
+
+    pub fn initWith(allocator: Allocator, options: Options) CompileCache {
         // Create disk cache directory (best-effort, non-fatal on failure)
-        const disk_ok = blk: {
-            std.fs.cwd().makePath(CACHE_DIR) catch break :blk false;
-            break :blk true;
-        };
+        const disk_ok = options.disk and makeCacheDir();
 
         return .{
             .allocator = allocator,
-            .entries = [_]Entry{.{
-                .hash = 0,
-                .mtime = 0,
-                .compiled = &.{},
-                .occupied = false,
-            }} ** MAX,
-            .next_evict = 0,
             .mutex = .{},
             .disk_ready = disk_ok,
+            .memory_budget = options.memory_budget,
+            .memory = .empty,
+            .memory_bytes = 0,
+            .tick = 0,
+            .latest = .empty,
+            .stamps = .empty,
+            .counters = .{},
         };
     }
 
     pub fn deinit(self: *CompileCache) void {
-        for (&self.entries) |*entry| {
-            if (entry.occupied) {
-                self.allocator.free(entry.compiled);
-                entry.occupied = false;
-            }
-        }
+        var entries = self.memory.valueIterator();
+        while (entries.next()) |entry| entry.free(self.allocator);
+        self.memory.deinit(self.allocator);
+        self.latest.deinit(self.allocator);
+        var paths = self.stamps.keyIterator();
+        while (paths.next()) |path| self.allocator.free(path.*);
+        self.stamps.deinit(self.allocator);
+    }
+
+    /// The key of `file_path` as it is now: its path and contents, wu's
+    /// version and `salt`, a hash of whatever else decides the output. The
+    /// path is part of it because compiled output embeds path-derived values
+    /// (scope ids, HMR ids, sourcemap URLs). Null when the file cannot be read.
+    pub fn key(self: *CompileCache, file_path: []const u8, salt: u64) ?u64 {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        const content = self.fileHashLocked(file_path) orelse return null;
+        const k = combine(content, file_path, salt);
+        self.latest.put(self.allocator, hashPath(file_path), k) catch {};
+        return k;
     }
 
     /// Look up a compiled result. Returns an allocator-owned dupe — caller must free.
-    /// Returns null on miss or stale mtime.
+    /// Returns null on a miss or when a dependency changed.
     /// Checks memory first, then disk. Promotes disk hits to memory.
-    pub fn get(self: *CompileCache, file_path: []const u8, mtime: i128) ?[]const u8 {
-        const h = hashPath(file_path);
+    pub fn get(self: *CompileCache, k: u64) ?[]const u8 {
+        return self.lookup(k, .code, null);
+    }
+
+    /// Like get, also reporting which level the hit came from.
+    pub fn getLevel(self: *CompileCache, k: u64, level: *Level) ?[]const u8 {
+        return self.lookup(k, .code, level);
+    }
+
+    /// Look up the source map stored next to a compiled result.
+    /// Returns null on a miss or when the entry has no map.
+    pub fn getMap(self: *CompileCache, k: u64) ?[]const u8 {
+        return self.lookupNonEmpty(k, .map);
+    }
+
+    /// Look up the component CSS extracted alongside a compiled result.
+    /// Returns null on a miss or when the component has no styles.
+    pub fn getCss(self: *CompileCache, k: u64) ?[]const u8 {
+        return self.lookupNonEmpty(k, .css);
+    }
+
+    /// The entry for the key last computed for a path — the build from
+    /// before an edit, as long as nothing asked for the new key yet. Caller
+    /// frees with `Parts.free`.
+    pub fn peek(self: *CompileCache, file_path: []const u8) ?Parts {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        const k = self.latest.get(hashPath(file_path)) orelse return null;
+        if (self.memory.getPtr(k)) |entry| return entry.parts.dupe(self.allocator);
+        if (!self.disk_ready) return null;
+        const entry = self.diskGet(k) orelse return null;
+        freeDeps(self.allocator, entry.deps);
+        return entry.parts;
+    }
+
+    /// Store a compiled result. Writes to both memory and disk.
+    /// The cache dupes the slice and owns the copy.
+    pub fn put(self: *CompileCache, k: u64, file_path: []const u8, compiled: []const u8, deps: []const []const u8) void {
+        self.putParts(k, file_path, .{ .code = compiled }, deps);
+    }
 
+    /// Store a compiled result together with its source map and CSS.
+    /// `deps` are the files besides `file_path` the output was built from;
+    /// the entry stops matching when one of them changes.
+    pub fn putParts(self: *CompileCache, k: u64, file_path: []const u8, parts: Parts, deps: []const []const u8) void {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        const hashed = self.allocator.alloc(Dep, deps.len) catch return;
+        defer self.allocator.free(hashed);
+        for (deps, hashed) |path, *d| {
+            d.* = .{ .path = path, .hash = self.fileHashLocked(path) orelse MISSING };
+        }
+
+        const entry = makeEntry(self.allocator, parts, hashed) orelse return;
+        self.diskPut(k, entry);
+        self.storeLocked(k, entry);
+        self.latest.put(self.allocator, hashPath(file_path), k) catch {};
+    }
+
+    /// Drop every entry, in memory and on disk. Other files under
+    /// .wu-cache/ (the daemon script, certificates, build logs) stay.
+    /// Returns the number of disk entries deleted.
+    pub fn clear(self: *CompileCache) usize {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        var entries = self.memory.valueIterator();
+        while (entries.next()) |entry| entry.free(self.allocator);
+        self.memory.clearRetainingCapacity();
+        self.memory_bytes = 0;
+
+        return clearDisk();
+    }
+
+    pub fn stats(self: *CompileCache) Stats {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        var s = self.counters;
+        s.entries = self.memory.count();
+        s.bytes = self.memory_bytes;
+        return s;
+    }
+
+    const Part = enum { code, map, css };
+
+    fn pick(parts: Parts, part: Part) []const u8 {
+        return switch (part) {
+            .code => parts.code,
+            .map => parts.map,
+            .css => parts.css,
+        };
+    }
+
+    fn lookupNonEmpty(self: *CompileCache, k: u64, part: Part) ?[]const u8 {
+        const found = self.lookup(k, part, null) orelse return null;
+        if (found.len == 0) {
+            self.allocator.free(found);
+            return null;
+        }
+        return found;
+    }
+
+    fn lookup(self: *CompileCache, k: u64, part: Part, level: ?*Level) ?[]const u8 {
         self.mutex.lock();
         defer self.mutex.unlock();
 
         // Level 1: in-memory
-        for (&self.entries) |*entry| {
-            if (!entry.occupied or entry.hash != h) continue;
-            if (entry.mtime != mtime) return null; // stale
-            return self.allocator.dupe(u8, entry.compiled) catch null;
+        if (self.memory.getPtr(k)) |entry| {
+            if (!self.depsCurrentLocked(entry.deps)) {
+                self.removeLocked(k);
+                self.counters.stale += 1;
+                self.counters.misses += 1;
+                return null;
+            }
+            self.tick += 1;
+            entry.used = self.tick;
+            self.counters.memory_hits += 1;
+            if (level) |l| l.* = .memory;
+            return self.allocator.dupe(u8, pick(entry.parts, part)) catch null;
         }
 
         // Level 2: disk — survives restarts
         if (self.disk_ready) {
-            if (self.diskGet(h, mtime)) |content| {
+            if (self.diskGet(k)) |entry| {
+                if (!self.depsCurrentLocked(entry.deps)) {
+                    entry.free(self.allocator);
+                    self.counters.stale += 1;
+                    self.counters.misses += 1;
+                    return null;
+                }
+                const found = self.allocator.dupe(u8, pick(entry.parts, part)) catch null;
                 // Promote to in-memory for subsequent hits
-                self.putMemoryLocked(h, mtime, content);
-                return content;
+                self.storeLocked(k, entry);
+                diskTouch(k);
+                self.counters.disk_hits += 1;
+                if (level) |l| l.* = .disk;
+                return found;
             }
         }
 
+        self.counters.misses += 1;
         return null;
     }
 
-    /// Store a compiled result. Writes to both memory and disk.
-    /// The cache dupes the slice and owns the copy.
-    pub fn put(self: *CompileCache, file_path: []const u8, mtime: i128, compiled: []const u8) void {
-        const h = hashPath(file_path);
+    // ── Private: Files ─────────────────────────────────────────────────────
 
-        self.mutex.lock();
-        defer self.mutex.unlock();
+    /// Content hash of a file, read again only when its mtime or size
+    /// changed. Null when it cannot be read. Must be called with mutex held.
+    fn fileHashLocked(self: *CompileCache, path: []const u8) ?u64 {
+        const stat = std.fs.cwd().statFile(path) catch return null;
+        if (self.stamps.getPtr(path)) |stamp| {
+            if (stamp.mtime == stat.mtime and stamp.size == stat.size) return stamp.hash;
+        }
 
-        self.putMemoryLocked(h, mtime, compiled);
-        self.diskPut(h, mtime, compiled);
+        const data = std.fs.cwd().readFileAlloc(self.allocator, path, MAX_FILE_SIZE) catch return null;
+        defer self.allocator.free(data);
+        const stamp: Stamp = .{ .mtime = stat.mtime, .size = stat.size, .hash = hashContent(data) };
+
+        if (self.stamps.getPtr(path)) |existing| {
+            existing.* = stamp;
+        } else {
+            const owned = self.allocator.dupe(u8, path) catch return stamp.hash;
+            self.stamps.put(self.allocator, owned, stamp) catch self.allocator.free(owned);
+        }
+        return stamp.hash;
     }
 
-    // ── Private: Memory ────────────────────────────────────────────────────
+    /// Whether every dependency still has the contents it was stored with.
+    fn depsCurrentLocked(self: *CompileCache, deps: []const Dep) bool {
+        for (deps) |d| {
+            if ((self.fileHashLocked(d.path) orelse MISSING) != d.hash) return false;
+        }
+        return true;
+    }
 
-    /// Store in memory. Must be called with mutex held.
-    fn putMemoryLocked(self: *CompileCache, h: u64, mtime: i128, compiled: []const u8) void {
-        const owned = self.allocator.dupe(u8, compiled) catch return;
+    // ── Private: Memory ────────────────────────────────────────────────────
 
-        // Update existing entry for this hash
-        for (&self.entries) |*entry| {
-            if (!entry.occupied or entry.hash != h) continue;
-            self.allocator.free(entry.compiled);
-            entry.mtime = mtime;
-            entry.compiled = owned;
+    /// Store in memory, taking ownership of `entry`, then evict the least
+    /// recently used entries until the rest fit the budget. The new entry
+    /// itself always stays. Must be called with mutex held.
+    fn storeLocked(self: *CompileCache, k: u64, entry: Entry) void {
+        self.removeLocked(k);
+        self.tick += 1;
+        var stored = entry;
+        stored.used = self.tick;
+        self.memory.put(self.allocator, k, stored) catch {
+            entry.free(self.allocator);
             return;
+        };
+        self.memory_bytes += entry.bytes;
+
+        while (self.memory_bytes > self.memory_budget and self.memory.count() > 1) {
+            var oldest_key: u64 = undefined;
+            var oldest_used: u64 = std.math.maxInt(u64);
+            var it = self.memory.iterator();
+            while (it.next()) |e| {
+                if (e.value_ptr.used < oldest_used) {
+                    oldest_used = e.value_ptr.used;
+                    oldest_key = e.key_ptr.*;
+                }
+            }
+            self.removeLocked(oldest_key);
+            self.counters.evictions += 1;
         }
+    }
 
-        // New entry — evict round-robin slot
-        const slot = &self.entries[self.next_evict];
-        if (slot.occupied) {
-            self.allocator.free(slot.compiled);
-        }
-        slot.* = .{
-            .hash = h,
-            .mtime = mtime,
-            .compiled = owned,
-            .occupied = true,
-        };
-        self.next_evict = (self.next_evict + 1) % MAX;
+    fn removeLocked(self: *CompileCache, k: u64) void {
+        const removed = self.memory.fetchRemove(k) orelse return;
+        self.memory_bytes -= removed.value.bytes;
+        removed.value.free(self.allocator);
     }
 
     // ── Private: Disk ──────────────────────────────────────────────────────
 
-    /// Read from disk cache. Returns allocator-owned content or null.
-    fn diskGet(self: *CompileCache, h: u64, mtime: i128) ?[]const u8 {
+    /// Read from disk cache. Returns an allocator-owned entry or null.
+    fn diskGet(self: *CompileCache, k: u64) ?Entry {
         var name_buf: [48]u8 = undefined;
-        const name = diskPath(&name_buf, h) orelse return null;
+        const name = diskPath(&name_buf, k, "") orelse return null;
 
-        const file = std.fs.cwd().openFile(name, .{}) catch return null;
-        defer file.close();
+        const data = std.fs.cwd().readFileAlloc(self.allocator, name, MAX_FILE_SIZE * 3) catch return null;
+        defer self.allocator.free(data);
+        return parseEntry(self.allocator, data);
+    }
 
-        // Read entire file (mtime header + content)
-        const data = file.readToEndAlloc(self.allocator, 16 * 1024 * 1024) catch return null;
+    /// Write to disk cache through a temporary file, so an entry is never
+    /// read half-written. Best-effort — errors silently ignored.
+    fn diskPut(self: *CompileCache, k: u64, entry: Entry) void {
+        if (!self.disk_ready) return;
 
-        // Parse header: first line is mtime as decimal i128
-        const newline = std.mem.indexOfScalar(u8, data, '\n') orelse {
-            self.allocator.free(data);
-            return null;
+        var name_buf: [48]u8 = undefined;
+        const name = diskPath(&name_buf, k, "") orelse return;
+        var tmp_buf: [48]u8 = undefined;
+        const tmp = diskPath(&tmp_buf, k, ".tmp") orelse return;
+
+        const file = std.fs.cwd().createFile(tmp, .{}) catch return;
+        var write_buf: [16 * 1024]u8 = undefined;
+        var writer = file.writer(&write_buf);
+        const written = blk: {
+            writeEntry(&writer.interface, entry.parts, entry.deps) catch break :blk false;
+            writer.interface.flush() catch break :blk false;
+            break :blk true;
         };
+        file.close();
+        if (!written) {
+            std.fs.cwd().deleteFile(tmp) catch {};
+            return;
+        }
+        std.fs.cwd().rename(tmp, name) catch std.fs.cwd().deleteFile(tmp) catch {};
+    }
 
-        const stored_mtime = std.fmt.parseInt(i128, data[0..newline], 10) catch {
-            self.allocator.free(data);
-            return null;
-        };
+    /// Mark a disk entry as used, so gc() keeps it.
+    fn diskTouch(k: u64) void {
+        var name_buf: [48]u8 = undefined;
+        const name = diskPath(&name_buf, k, "") orelse return;
+        const file = std.fs.cwd().openFile(name, .{}) catch return;
+        defer file.close();
+        const now = std.time.nanoTimestamp();
+        file.updateTimes(now, now) catch {};
+    }
 
-        if (stored_mtime != mtime) {
-            self.allocator.free(data);
-            return null; // stale — file changed since last cache write
-        }
+    /// Hash a file path to a u64 using Wyhash.
+    pub fn hashPath(path: []const u8) u64 {
+        return std.hash.Wyhash.hash(0, path);
+    }
+};
 
-        // Extract content (everything after the mtime line)
-        const content = self.allocator.dupe(u8, data[newline + 1 ..]) catch {
-            self.allocator.free(data);
+fn makeCacheDir() bool {
+    std.fs.cwd().makePath(CACHE_DIR) catch return false;
+    return true;
+}
+
+fn combine(content: u64, path: []const u8, salt: u64) u64 {
+    var hasher = std.hash.Wyhash.init(0);
+    hasher.update(FORMAT);
+    hasher.update(root.version);
+    hasher.update(std.mem.asBytes(&content));
+    // Normalized, so "./src/a.ts", "src/a.ts" and "src\a.ts" share an entry
+    var rest = path;
+    while (std.mem.startsWith(u8, rest, "./") or std.mem.startsWith(u8, rest, ".\\")) rest = rest[2..];
+    var segments = std.mem.tokenizeAny(u8, rest, "/\\");
+    while (segments.next()) |segment| {
+        hasher.update(segment);
+        hasher.update("/");
+    }
+    hasher.update(std.mem.asBytes(&salt));
+    return hasher.final();
+}
+
+fn hashContent(data: []const u8) u64 {
+    const h = std.hash.Wyhash.hash(0, data);
+    return if (h == MISSING) 1 else h;
+}
+
+/// An owned entry holding copies of `parts` and `deps`.
+fn makeEntry(allocator: Allocator, parts: Parts, deps: []const Dep) ?Entry {
+    const owned_deps = allocator.alloc(Dep, deps.len) catch return null;
+    for (deps, owned_deps, 0..) |d, *owned, i| {
+        const path = allocator.dupe(u8, d.path) catch {
+            freeDeps(allocator, owned_deps[0..i]);
             return null;
         };
-        self.allocator.free(data);
-        return content;
+        owned.* = .{ .path = path, .hash = d.hash };
+    }
+    const owned_parts = parts.dupe(allocator) orelse {
+        freeDeps(allocator, owned_deps);
+        return null;
+    };
+
+    var bytes = parts.code.len + parts.map.len + parts.css.len;
+    for (deps) |d| bytes += d.path.len + @sizeOf(Dep);
+    return .{ .parts = owned_parts, .deps = owned_deps, .bytes = bytes };
+}
+
+fn freeDeps(allocator: Allocator, deps: []Dep) void {
+    for (deps) |d| allocator.free(d.path);
+    allocator.free(deps);
+}
+
+fn writeEntry(w: *std.Io.Writer, parts: Parts, deps: []const Dep) std.Io.Writer.Error!void {
+    try w.print("{s}\t{d}\t{d}\t{d}\n", .{ FORMAT, parts.map.len, parts.css.len, deps.len });
+    for (deps) |d| try w.print("{x:0>16}\t{s}\n", .{ d.hash, d.path });
+    // Compiled content, then the map, then the CSS
+    try w.writeAll(parts.code);
+    try w.writeAll(parts.map);
+    try w.writeAll(parts.css);
+}
+
+/// Parse an entry written by writeEntry. Null when it is malformed,
+/// truncated or in another format.
+fn parseEntry(allocator: Allocator, data: []const u8) ?Entry {
+    const newline = std.mem.indexOfScalar(u8, data, '\n') orelse return null;
+    var fields = std.mem.splitScalar(u8, data[0..newline], '\t');
+    if (!std.mem.eql(u8, fields.first(), FORMAT)) return null;
+    const map_len = std.fmt.parseInt(usize, fields.next() orelse return null, 10) catch return null;
+    const css_len = std.fmt.parseInt(usize, fields.next() orelse return null, 10) catch return null;
+    const dep_count = std.fmt.parseInt(usize, fields.next() orelse return null, 10) catch return null;
+
+    var rest = data[newline + 1 ..];
+    if (dep_count > rest.len) return null;
+    const deps = allocator.alloc(Dep, dep_count) catch return null;
+    defer allocator.free(deps);
+    for (deps) |*d| {
+        const end = std.mem.indexOfScalar(u8, rest, '\n') orelse return null;
+        const line = rest[0..end];
+        const tab = std.mem.indexOfScalar(u8, line, '\t') orelse return null;
+        d.* = .{
+            .path = line[tab + 1 ..],
+            .hash = std.fmt.parseInt(u64, line[0..tab], 16) catch return null,
+        };
+        rest = rest[end + 1 ..];
     }
 
-    /// Write to disk cache. Best-effort — errors silently ignored.
-    fn diskPut(self: *CompileCache, h: u64, mtime: i128, compiled: []const u8) void {
-        if (!self.disk_ready) return;
-
-        var name_buf: [48]u8 = undefined;
-        const name = diskPath(&name_buf, h) orelse return;
+    if (map_len + css_len > rest.len) return null; // truncated write
+    // Split content: code first, then map, then CSS
+    const code_end = rest.len - map_len - css_len;
+    const map_end = code_end + map_len;
+    const view: Parts = .{
+        .code = rest[0..code_end],
+        .map = rest[code_end..map_end],
+        .css = rest[map_end..],
+    };
+    return makeEntry(allocator, view, deps);
+}
+
+/// Generate disk cache file path: .wu-cache/{hex_key}.dat{suffix}
+fn diskPath(buf: *[48]u8, k: u64, suffix: []const u8) ?[]const u8 {
+    return std.fmt.bufPrint(buf, CACHE_DIR ++ "/{x:0>16}.dat{s}", .{ k, suffix }) catch null;
+}
+
+fn isEntryName(name: []const u8) bool {
+    return std.mem.endsWith(u8, name, ".dat") or std.mem.endsWith(u8, name, ".dat.tmp");
+}
+
+/// Delete every entry file in CACHE_DIR. Returns how many there were.
+/// Used by clear() and `wu cache clean`.
+pub fn clearDisk() usize {
+    var dir = std.fs.cwd().openDir(CACHE_DIR, .{ .iterate = true }) catch return 0;
+    defer dir.close();
+    var removed: usize = 0;
+    var it = dir.iterate();
+    while (it.next() catch null) |entry| {
+        if (entry.kind != .file or !isEntryName(entry.name)) continue;
+        dir.deleteFile(entry.name) catch continue;
+        removed += 1;
+    }
+    return removed;
+}
+
+// ── Disk Maintenance ────────────────────────────────────────────────────────
+
+/// Entry files in CACHE_DIR, for `wu cache stats`.
+pub const DiskUsage = struct {
+    entries: usize = 0,
+    bytes: u64 = 0,
+    /// Last use of the least and most recently used entry (ns timestamps).
+    oldest: i128 = 0,
+    newest: i128 = 0,
+};
 
-        const file = std.fs.cwd().createFile(name, .{}) catch return;
-        defer file.close();
+pub fn diskUsage() DiskUsage {
+    var usage: DiskUsage = .{};
+    var dir = std.fs.cwd().openDir(CACHE_DIR, .{ .iterate = true }) catch return usage;
+    defer dir.close();
+    var it = dir.iterate();
+    while (it.next() catch null) |entry| {
+        if (entry.kind != .file or !std.mem.endsWith(u8, entry.name, ".dat")) continue;
+        const stat = dir.statFile(entry.name) catch continue;
+        if (usage.entries == 0 or stat.mtime < usage.oldest) usage.oldest = stat.mtime;
+        if (usage.entries == 0 or stat.mtime > usage.newest) usage.newest = stat.mtime;
+        usage.entries += 1;
+        usage.bytes += stat.size;
+    }
+    return usage;
+}
+
+pub const GcResult = struct {
+    removed: usize = 0,
+    freed: u64 = 0,
+    kept: usize = 0,
+    bytes: u64 = 0,
+};
 
-        // Write mtime header line
-        var mtime_buf: [48]u8 = undefined;
-        const mtime_str = std.fmt.bufPrint(&mtime_buf, "{d}\n", .{mtime}) catch return;
-        file.writeAll(mtime_str) catch return;
+/// One entry file, as gc() weighs it.
+const DiskEntry = struct {
+    name: []const u8,
+    /// Last use: written, or read by a disk hit.
+    mtime: i128,
+    size: u64,
+    /// In FORMAT; entries of older wu versions never hit again.
+    current: bool,
+    remove: bool = false,
+};
 
-        // Write compiled content
-        file.writeAll(compiled) catch return;
+/// Delete the entries in CACHE_DIR unused for MAX_AGE_DAYS or written in an
+/// older format, then the least recently used until the rest fit in
+/// DISK_BUDGET. Leftovers of interrupted writes go too.
+pub fn gc(allocator: Allocator) !GcResult {
+    var dir = std.fs.cwd().openDir(CACHE_DIR, .{ .iterate = true }) catch return .{};
+    defer dir.close();
+
+    var arena_state = std.heap.ArenaAllocator.init(allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
+
+    var entries: std.ArrayList(DiskEntry) = .empty;
+    var it = dir.iterate();
+    while (try it.next()) |entry| {
+        if (entry.kind != .file or !isEntryName(entry.name)) continue;
+        const stat = dir.statFile(entry.name) catch continue;
+        try entries.append(arena, .{
+            .name = try arena.dupe(u8, entry.name),
+            .mtime = stat.mtime,
+            .size = stat.size,
+            .current = std.mem.endsWith(u8, entry.name, ".dat") and hasFormat(dir, entry.name),
+        });
     }
 
-    /// Generate disk cache file path: .wu-cache/{hex_hash}.dat
-    fn diskPath(buf: *[48]u8, h: u64) ?[]const u8 {
-        const hex = "0123456789abcdef";
-        const prefix = CACHE_DIR ++ "/";
-        const suffix = ".dat";
-
-        if (prefix.len + 16 + suffix.len > buf.len) return null;
+    const max_age: i128 = MAX_AGE_DAYS * std.time.ns_per_day;
+    markForRemoval(entries.items, std.time.nanoTimestamp() - max_age, DISK_BUDGET);
+
+    var result: GcResult = .{};
+    for (entries.items) |e| {
+        if (e.remove) {
+            dir.deleteFile(e.name) catch {
+                result.kept += 1;
+                result.bytes += e.size;
+                continue;
+            };
+            result.removed += 1;
+            result.freed += e.size;
+        } else {
+            result.kept += 1;
+            result.bytes += e.size;
+        }
+    }
+    return result;
+}
+
+fn hasFormat(dir: std.fs.Dir, name: []const u8) bool {
+    const file = dir.openFile(name, .{}) catch return false;
+    defer file.close();
+    var buf: [FORMAT.len + 1]u8 = undefined;
+    const n = file.readAll(&buf) catch return false;
+    return n == buf.len and std.mem.eql(u8, buf[0..FORMAT.len], FORMAT) and buf[FORMAT.len] == '\t';
+}
+
+/// Decide which entries gc() deletes: stale formats, those last used
+/// before `cutoff`, then the least recently used beyond `budget` bytes.
+/// Sorts `entries`, most recently used first.
+fn markForRemoval(entries: []DiskEntry, cutoff: i128, budget: u64) void {
+    std.mem.sort(DiskEntry, entries, {}, struct {
+        fn newerFirst(_: void, a: DiskEntry, b: DiskEntry) bool {
+            return a.mtime > b.mtime;
+        }
+    }.newerFirst);
 
-        @memcpy(buf[0..prefix.len], prefix);
-        var i: usize = 0;
-        while (i < 16) : (i += 1) {
-            const shift: u6 = @intCast(60 - i * 4);
-            const nibble: usize = @intCast((h >> shift) & 0xf);
-            buf[prefix.len + i] = hex[nibble];
+    var total: u64 = 0;
+    for (entries) |*e| {
+        if (!e.current or e.mtime < cutoff or total + e.size > budget) {
+            e.remove = true;
+            continue;
         }
-        @memcpy(buf[prefix.len + 16 ..][0..suffix.len], suffix);
-        return buf[0 .. prefix.len + 16 + suffix.len];
+        total += e.size;
     }
+}
 
-    /// Hash a file path to a u64 using Wyhash.
-    pub fn hashPath(path: []const u8) u64 {
-        return std.hash.Wyhash.hash(0, path);
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "memory tier evicts the least recently used entries past its byte budget" {
+    var cache = CompileCache.initWith(std.testing.allocator, .{ .disk = false, .memory_budget = 30 });
+    defer cache.deinit();
+
+    cache.put(1, "a.js", "aaaaaaaaaa", &.{});
+    cache.put(2, "b.js", "bbbbbbbbbb", &.{});
+    cache.put(3, "c.js", "cccccccccc", &.{});
+
+    // Using 1 makes 2 the least recently used
+    const a = cache.get(1).?;
+    std.testing.allocator.free(a);
+    cache.put(4, "d.js", "dddddddddd", &.{});
+
+    try std.testing.expect(cache.get(2) == null);
+    for ([_]u64{ 1, 3, 4 }) |k| {
+        const found = cache.get(k) orelse return error.TestUnexpectedResult;
+        std.testing.allocator.free(found);
     }
-};
+    const s = cache.stats();
+    try std.testing.expectEqual(@as(usize, 3), s.entries);
+    try std.testing.expectEqual(@as(usize, 30), s.bytes);
+    try std.testing.expectEqual(@as(u64, 1), s.evictions);
+}
+
+test "an entry larger than the budget still stays until the next one" {
+    var cache = CompileCache.initWith(std.testing.allocator, .{ .disk = false, .memory_budget = 4 });
+    defer cache.deinit();
+
+    cache.putParts(7, "App.vue", .{ .code = "export default {}", .css = ".a{}" }, &.{});
+    const css = cache.getCss(7).?;
+    defer std.testing.allocator.free(css);
+    try std.testing.expectEqualStrings(".a{}", css);
+    try std.testing.expect(cache.getMap(7) == null);
+
+    cache.put(8, "b.js", "b", &.{});
+    try std.testing.expect(cache.get(7) == null);
+}
+
+test "identical contents at two paths get different keys" {
+    var tmp = std.testing.tmpDir(.{});
+    defer tmp.cleanup();
+    try tmp.dir.makePath("a");
+    try tmp.dir.makePath("b");
+    try tmp.dir.writeFile(.{ .sub_path = "a/App.vue", .data = "<template><p/></template>" });
+    try tmp.dir.writeFile(.{ .sub_path = "b/App.vue", .data = "<template><p/></template>" });
+
+    var cache = CompileCache.initWith(std.testing.allocator, .{ .disk = false });
+    defer cache.deinit();
+
+    var a_buf: [128]u8 = undefined;
+    var b_buf: [128]u8 = undefined;
+    var same_buf: [128]u8 = undefined;
+    const a = try std.fmt.bufPrint(&a_buf, ".zig-cache/tmp/{s}/a/App.vue", .{tmp.sub_path});
+    const b = try std.fmt.bufPrint(&b_buf, ".zig-cache/tmp/{s}/b/App.vue", .{tmp.sub_path});
+    const same = try std.fmt.bufPrint(&same_buf, "./.zig-cache/tmp/{s}/a/App.vue", .{tmp.sub_path});
+
+    const key_a = cache.key(a, 0) orelse return error.TestUnexpectedResult;
+    const key_b = cache.key(b, 0) orelse return error.TestUnexpectedResult;
+    try std.testing.expect(key_a != key_b);
+    try std.testing.expectEqual(key_a, cache.key(same, 0).?);
+}
+
+test "entries round-trip through the disk format" {
+    const allocator = std.testing.allocator;
+    const deps = [_]Dep{
+        .{ .path = "mf-shop/tsconfig.json", .hash = 0xabc },
+        .{ .path = "mf-shop/src/Child.vue", .hash = MISSING },
+    };
+    var buf: [512]u8 = undefined;
+    var w: std.Io.Writer = .fixed(&buf);
+    try writeEntry(&w, .{ .code = "const a = 1;\n", .map = "{}", .css = ".x{}" }, &deps);
+
+    const entry = parseEntry(allocator, w.buffered()) orelse return error.TestUnexpectedResult;
+    defer entry.free(allocator);
+    try std.testing.expectEqualStrings("const a = 1;\n", entry.parts.code);
+    try std.testing.expectEqualStrings("{}", entry.parts.map);
+    try std.testing.expectEqualStrings(".x{}", entry.parts.css);
+    try std.testing.expectEqual(@as(usize, 2), entry.deps.len);
+    try std.testing.expectEqualStrings("mf-shop/tsconfig.json", entry.deps[0].path);
+    try std.testing.expectEqual(@as(u64, 0xabc), entry.deps[0].hash);
+    try std.testing.expectEqual(MISSING, entry.deps[1].hash);
+
+    // Truncated, and the mtime-keyed format of older versions
+    try std.testing.expect(parseEntry(allocator, w.buffered()[0..20]) == null);
+    try std.testing.expect(parseEntry(allocator, "1712345678000000000\nconst a = 1;") == null);
+}
+
+test "maps and styles come back from memory and, after a restart, from disk" {
+    const allocator = std.testing.allocator;
+    const k: u64 = 0x7e57_0000_0000_0001;
+    var name_buf: [48]u8 = undefined;
+    defer std.fs.cwd().deleteFile(diskPath(&name_buf, k, "").?) catch {};
+
+    const stored: Parts = .{
+        .code = "export default 1;\n//# sourceMappingURL=App.svelte.map\n",
+        .map = "{\"version\":3,\"sources\":[\"App.svelte\"],\"mappings\":\"AAAA\"}",
+        .css = "h1.svelte-1x2y3z{color:red}",
+    };
+    var first = CompileCache.init(allocator);
+    defer first.deinit();
+    if (!first.disk_ready) return error.SkipZigTest;
+    first.putParts(k, "mf-shop/src/App.svelte", stored, &.{});
+
+    const map = first.getMap(k) orelse return error.TestUnexpectedResult;
+    defer allocator.free(map);
+    try std.testing.expectEqualStrings(stored.map, map);
+
+    // A new cache, as after a server restart, finds the entry on disk
+    var second = CompileCache.init(allocator);
+    defer second.deinit();
+    var level: Level = undefined;
+    const code = second.getLevel(k, &level) orelse return error.TestUnexpectedResult;
+    defer allocator.free(code);
+    try std.testing.expectEqual(Level.disk, level);
+    try std.testing.expectEqualStrings(stored.code, code);
+    const disk_map = second.getMap(k) orelse return error.TestUnexpectedResult;
+    defer allocator.free(disk_map);
+    try std.testing.expectEqualStrings(stored.map, disk_map);
+    const css = second.getCss(k) orelse return error.TestUnexpectedResult;
+    defer allocator.free(css);
+    try std.testing.expectEqualStrings(stored.css, css);
+}
+
+test "gc removes old formats, unused entries, then the least recently used past the budget" {
+    var entries = [_]DiskEntry{
+        .{ .name = "old.dat", .mtime = 50, .size = 10, .current = true },
+        .{ .name = "a.dat", .mtime = 400, .size = 60, .current = true },
+        .{ .name = "b.dat", .mtime = 300, .size = 30, .current = true },
+        .{ .name = "legacy.dat", .mtime = 500, .size = 5, .current = false },
+        .{ .name = "c.dat", .mtime = 200, .size = 30, .current = true },
+    };
+    markForRemoval(&entries, 100, 100);
+
+    var removed: [8][]const u8 = undefined;
+    var n: usize = 0;
+    for (entries) |e| {
+        if (!e.remove) continue;
+        removed[n] = e.name;
+        n += 1;
+    }
+    // Sorted newest first: legacy (format), a, b, c (over budget), old (age)
+    try std.testing.expectEqual(@as(usize, 3), n);
+    try std.testing.expectEqualStrings("legacy.dat", removed[0]);
+    try std.testing.expectEqualStrings("c.dat", removed[1]);
+    try std.testing.expectEqualStrings("old.dat", removed[2]);
+}
@@ -5,16 +5,30 @@
 //   2. Compiler Daemon (fast): persistent Node.js process, ~10-50ms per file
 //   3. Fallback node -e (slow): spawns new process, ~200-400ms per file
 //
-// Tier 1 handles .jsx/.tsx for React and Preact natively — zero Node.js needed.
+// Tier 1 handles .jsx/.tsx for React and Preact, and plain .ts outside
+// Angular, natively — zero Node.js needed.
 // Tiers 2-3 handle .svelte, .vue, and Solid (which needs babel-preset-solid).
 //
 // The daemon stays alive for the entire wu dev session. On first compile,
-// it writes .wu-cache/wu-compiler.cjs and spawns `node` once. All subsequent
-// compilations reuse that process — no Node startup overhead.
+// it writes .wu-cache/wu-compiler.cjs and spawns `node`. All subsequent
+// compilations reuse that process — no Node startup overhead. When requests
+// pile up, a small pool of daemon workers (one per CPU, at most four)
+// compiles them in parallel.
+//
+// Daemon compiles also return a source map (Svelte, Vue script blocks,
+// esbuild, Babel, Qwik) and, for Svelte and Vue, the component's own CSS.
+// Native and node -e tiers return code only.
+//
+// When a compiler rejects the source, the daemon reports a Diagnostic
+// (file, line, column, code frame, plugin) instead of a bare message, and
+// the slow node -e fallback is skipped — it would only fail the same way.
 
 const std = @import("std");
+const builtin = @import("builtin");
 const Allocator = std.mem.Allocator;
 const jsx_transform = @import("jsx_transform.zig");
+const ts_strip = @import("ts_strip.zig");
+const config_mod = @import("../config/config.zig");
 
 pub const CompileError = error{
     CompilerNotFound,
@@ -22,6 +36,44 @@ pub const CompileError = error{
     OutOfMemory,
     PathTooLong,
     SpawnFailed,
+    /// The compiler rejected the source; details are in the Diagnostic.
+    Diagnosed,
+};
+
+/// Structured compile error from the daemon.
+pub const Diagnostic = struct {
+    /// One line, "file:line:column message", for terminal output.
+    summary: []const u8 = "",
+    /// JSON object {plugin, message, file, line, column, frame} for the
+    /// browser overlay. Forwarded verbatim.
+    json: []const u8 = "",
+
+    pub fn deinit(self: *Diagnostic, allocator: Allocator) void {
+        allocator.free(self.summary);
+        allocator.free(self.json);
+        self.* = .{};
+    }
+};
+
+/// Which of the three tiers produced a Compiled; `none` when the source
+/// passed through untouched (or did not come from compileFile).
+pub const Tier = enum { native, daemon, node, none };
+
+/// Output of a compile. `map` is a source map JSON document, or an empty
+/// slice when the tier that handled the file does not produce one. `css` is
+/// the component's own styles (Vue <style> blocks), empty when it has none.
+pub const Compiled = struct {
+    code: []const u8,
+    map: []const u8 = "",
+    css: []const u8 = "",
+    tier: Tier = .none,
+
+    /// Free all slices. Safe on the empty defaults.
+    pub fn deinit(self: Compiled, allocator: Allocator) void {
+        allocator.free(self.code);
+        allocator.free(self.map);
+        allocator.free(self.css);
+    }
 };
 
 /// Check if a file extension needs framework compilation.
@@ -32,28 +84,57 @@ pub fn needsCompile(ext: []const u8) bool {
         eql(u8, ext, ".ts");
 }
 
+/// The npm package whose compiler compileFile hands this file to, so the
+/// compile cache can key on its installed version. React and Preact JSX
+/// report esbuild too: the native transform falls back to it.
+pub fn compilerPackage(ext: []const u8, framework: []const u8) ?[]const u8 {
+    const eql = std.mem.eql;
+    if (eql(u8, ext, ".svelte")) return "svelte";
+    if (eql(u8, ext, ".vue")) return "@vue/compiler-sfc";
+    if (eql(u8, ext, ".ts")) return "esbuild";
+    if (eql(u8, ext, ".jsx") or eql(u8, ext, ".tsx")) {
+        if (eql(u8, framework, "solid")) return "babel-preset-solid";
+        if (eql(u8, framework, "qwik")) return "@builder.io/qwik";
+        return "esbuild";
+    }
+    return null;
+}
+
 /// Compile a source file using the framework's own compiler.
 /// Tries the persistent daemon first (fast), falls back to node -e (slow).
-/// Returns allocator-owned compiled JavaScript.
+/// Returns allocator-owned compiled JavaScript (and source map, if any).
+/// On CompileError.Diagnosed, `diag` (if given) owns the error details.
+/// `hmr` asks compilers with built-in hot-update support (Svelte 5) for it;
+/// set by wu dev, never for production builds.
 pub fn compileFile(
     allocator: Allocator,
     source: []const u8,
     file_path: []const u8,
     app_dir: []const u8,
     framework: []const u8,
-) CompileError![]const u8 {
+    hmr: bool,
+    diag: ?*Diagnostic,
+) CompileError!Compiled {
     const ext = std.fs.path.extension(file_path);
     const eql = std.mem.eql;
     const filename = std.fs.path.basename(file_path);
 
     // Determine daemon compile type and options
     if (eql(u8, ext, ".svelte")) {
-        return daemonCompile(allocator, "svelte", filename, "", "", source) catch
-            compileSvelteFallback(allocator, source, file_path, app_dir);
+        // The path rides in the jsxSource slot: Svelte finds svelte.config.js
+        // from it and hashes it into the scope class. The loader slot carries
+        // the HMR flag.
+        return daemonCompile(allocator, "svelte", filename, if (hmr) "hmr" else "", file_path, source, diag) catch |err| switch (err) {
+            CompileError.Diagnosed => return err,
+            else => .{ .code = try compileSvelteFallback(allocator, source, file_path, app_dir), .tier = .node },
+        };
     }
     if (eql(u8, ext, ".vue")) {
-        return daemonCompile(allocator, "vue", filename, "", "", source) catch
-            compileVueFallback(allocator, source, file_path, app_dir);
+        // The path rides in the jsxSource slot: Vue hashes it into the scope id
+        return daemonCompile(allocator, "vue", filename, "", file_path, source, diag) catch |err| switch (err) {
+            CompileError.Diagnosed => return err,
+            else => .{ .code = try compileVueFallback(allocator, source, file_path, app_dir), .tier = .node },
+        };
     }
     if (eql(u8, ext, ".ts")) {
         if (eql(u8, framework, "angular")) {
@@ -61,12 +142,28 @@ pub fn compileFile(
             // between @angular/compiler and @angular/core. Pass file directory as
             // resolveDir so esbuild can find node_modules and local imports.
             const file_dir = std.fs.path.dirname(file_path) orelse app_dir;
-            return daemonCompile(allocator, "angular-bundle", filename, "ts", file_dir, source) catch
-                compileJsxFallback(allocator, source, ext, app_dir, framework);
+            return daemonCompile(allocator, "angular-bundle", filename, "ts", file_dir, source, diag) catch |err| switch (err) {
+                CompileError.Diagnosed => return err,
+                else => .{ .code = try compileJsxFallback(allocator, source, ext, app_dir, framework), .tier = .node },
+            };
+        }
+        // Regular TypeScript: native strip first; what it cannot erase
+        // (decorators, `export =`) goes to esbuild
+        var problem: ts_strip.Problem = .{};
+        if (ts_strip.strip(allocator, source, .{ .problem = &problem })) |code| {
+            return .{ .code = code, .tier = .native };
+        } else |err| switch (err) {
+            error.OutOfMemory => return CompileError.OutOfMemory,
+            error.UnsupportedSyntax => {},
         }
-        // Regular TypeScript files (decorators need esbuild transform)
-        return daemonCompile(allocator, "ts", filename, "ts", "", source) catch
-            compileJsxFallback(allocator, source, ext, app_dir, framework);
+        return daemonCompile(allocator, "ts", filename, "ts", "", source, diag) catch |err| switch (err) {
+            CompileError.Diagnosed => return err,
+            else => .{
+                .code = compileJsxFallback(allocator, source, ext, app_dir, framework) catch
+                    return diagnoseTypeScript(allocator, source, file_path, problem, diag),
+                .tier = .node,
+            },
+        };
     }
     if (eql(u8, ext, ".jsx") or eql(u8, ext, ".tsx")) {
         const is_tsx = eql(u8, ext, ".tsx");
@@ -74,56 +171,235 @@ pub fn compileFile(
 
         // Solid needs babel-preset-solid → must use daemon/node
         if (eql(u8, framework, "solid")) {
-            return daemonCompile(allocator, "solid", filename, loader, "", source) catch
-                compileJsxFallback(allocator, source, ext, app_dir, framework);
+            return daemonCompile(allocator, "solid", filename, loader, "", source, diag) catch |err| switch (err) {
+                CompileError.Diagnosed => return err,
+                else => .{ .code = try compileJsxFallback(allocator, source, ext, app_dir, framework), .tier = .node },
+            };
         }
 
         // Qwik needs its optimizer to transform $() into QRLs — type 'qwik'
         if (eql(u8, framework, "qwik")) {
-            return daemonCompile(allocator, "qwik", filename, loader, "", source) catch
-                compileJsxFallback(allocator, source, ext, app_dir, framework);
+            return daemonCompile(allocator, "qwik", filename, loader, "", source, diag) catch |err| switch (err) {
+                CompileError.Diagnosed => return err,
+                else => .{ .code = try compileJsxFallback(allocator, source, ext, app_dir, framework), .tier = .node },
+            };
         }
 
         // React & Preact: try native Zig JSX transform first (zero Node.js!)
         if (jsx_transform.compileJsxNative(allocator, source, framework, is_tsx)) |native_result| {
-            return native_result;
+            return .{ .code = native_result, .tier = .native };
         } else |_| {
             // Native failed → fall back to daemon → node -e
             if (eql(u8, framework, "preact")) {
-                return daemonCompile(allocator, "jsx", filename, loader, "preact", source) catch
-                    compileJsxFallback(allocator, source, ext, app_dir, framework);
+                return daemonCompile(allocator, "jsx", filename, loader, "preact", source, diag) catch |err| switch (err) {
+                    CompileError.Diagnosed => return err,
+                    else => .{ .code = try compileJsxFallback(allocator, source, ext, app_dir, framework), .tier = .node },
+                };
             }
-            return daemonCompile(allocator, "jsx", filename, loader, "", source) catch
-                compileJsxFallback(allocator, source, ext, app_dir, framework);
+            return daemonCompile(allocator, "jsx", filename, loader, "", source, diag) catch |err| switch (err) {
+                CompileError.Diagnosed => return err,
+                else => .{ .code = try compileJsxFallback(allocator, source, ext, app_dir, framework), .tier = .node },
+            };
         }
     }
 
-    return allocator.dupe(u8, source) catch return CompileError.OutOfMemory;
+    return .{ .code = allocator.dupe(u8, source) catch return CompileError.OutOfMemory };
+}
+
+/// Report what the native TypeScript stripper could not handle, in the
+/// daemon's Diagnostic format, when no compiler can take the file instead.
+/// Returns CompileError.Diagnosed; `diag` (if given) owns the details.
+pub fn diagnoseTypeScript(
+    allocator: Allocator,
+    source: []const u8,
+    file_path: []const u8,
+    problem: ts_strip.Problem,
+    diag: ?*Diagnostic,
+) CompileError {
+    const out = diag orelse return CompileError.Diagnosed;
+    const summary = std.fmt.allocPrint(allocator, "{s}:{d}:{d} {s}", .{
+        file_path, problem.line, problem.column, problem.message,
+    }) catch return CompileError.OutOfMemory;
+    errdefer allocator.free(summary);
+
+    var frame: std.ArrayList(u8) = .empty;
+    defer frame.deinit(allocator);
+    codeFrame(frame.writer(allocator), source, problem.line, problem.column) catch return CompileError.OutOfMemory;
+
+    var json: std.ArrayList(u8) = .empty;
+    errdefer json.deinit(allocator);
+    writeDiagnosticJson(json.writer(allocator), file_path, problem, frame.items) catch return CompileError.OutOfMemory;
+    const json_owned = json.toOwnedSlice(allocator) catch return CompileError.OutOfMemory;
+
+    out.* = .{ .summary = summary, .json = json_owned };
+    return CompileError.Diagnosed;
+}
+
+fn writeDiagnosticJson(w: anytype, file_path: []const u8, problem: ts_strip.Problem, frame: []const u8) !void {
+    try w.writeAll("{\"plugin\":\"wu\",\"message\":");
+    try config_mod.writeJsonString(w, problem.message);
+    try w.writeAll(",\"file\":");
+    try config_mod.writeJsonString(w, file_path);
+    try w.print(",\"line\":{d},\"column\":{d},\"frame\":", .{ problem.line, problem.column });
+    try config_mod.writeJsonString(w, frame);
+    try w.writeAll("}");
+}
+
+/// The line at `line` under a gutter, with a caret at `column`, as the
+/// daemon's codeFrame draws it (without the context lines).
+fn codeFrame(w: anytype, source: []const u8, line: usize, column: usize) !void {
+    var lines = std.mem.splitScalar(u8, source, '\n');
+    var n: usize = 1;
+    while (lines.next()) |raw| : (n += 1) {
+        if (n != line) continue;
+        const text = std.mem.trimRight(u8, raw, "\r");
+        const shown = text[0..@min(text.len, 160)];
+        const width = std.fmt.count("{d}", .{n});
+        try w.print("> {d} | {s}\n", .{ n, shown });
+        try w.writeByteNTimes(' ', 2 + width);
+        try w.writeAll(" | ");
+        for (shown[0..@min(column -| 1, shown.len)]) |c| try w.writeByte(if (c == '\t') '\t' else ' ');
+        try w.writeAll("^\n");
+        return;
+    }
+}
+
+/// Send a plugin request (see plugins.zig and compiler_daemon.js) to the
+/// first daemon worker, the one that loaded the plugins. The arguments fill
+/// the same frame slots as a compile. A reply nobody handled comes back as
+/// CompileError.CompileFailed.
+pub fn pluginRequest(
+    allocator: Allocator,
+    request_type: []const u8,
+    filename: []const u8,
+    loader: []const u8,
+    jsx_source: []const u8,
+    payload: []const u8,
+    diag: ?*Diagnostic,
+) CompileError!Compiled {
+    return daemonRequest(allocator, true, request_type, filename, loader, jsx_source, payload, diag);
+}
+
+/// Pre-bundle npm dependencies (see deps.zig and compiler_daemon.js).
+/// `payload` is the JSON job; the reply's code is a JSON summary. Runs on
+/// any worker — the output goes straight to disk.
+pub fn bundleDeps(allocator: Allocator, payload: []const u8, diag: ?*Diagnostic) CompileError!Compiled {
+    return daemonRequest(allocator, false, "deps", "deps", "", "", payload, diag);
+}
+
+/// Plugin modules the first worker loads at startup (and again if it
+/// restarts). Set before the first compile.
+pub fn setPluginModules(modules: []const []const u8) void {
+    g_pool_mutex.lock();
+    defer g_pool_mutex.unlock();
+    g_plugin_modules = modules;
 }
 
-/// Shutdown the compiler daemon (call on server exit).
+/// Shutdown every compiler daemon worker (call on server exit).
 pub fn shutdownDaemon() void {
-    g_daemon_mutex.lock();
-    defer g_daemon_mutex.unlock();
-    killDaemonLocked();
+    g_pool_mutex.lock();
+    defer g_pool_mutex.unlock();
+    for (&g_workers) |*w| {
+        if (w.active) stopWorkerLocked(w);
+    }
+}
+
+/// One daemon worker slot, for the dev-server inspector.
+pub const WorkerStatus = struct {
+    /// A process was spawned in this slot.
+    active: bool,
+    /// ...and has not exited.
+    alive: bool,
+    in_flight: usize,
+    completed: u64,
+};
+
+pub const PoolStatus = struct {
+    workers: [POOL_MAX]WorkerStatus,
+    /// Slots in use (one per CPU, at most POOL_MAX); 0 before the first compile.
+    size: usize,
+    /// Processes spawned this session, restarts included.
+    started: u32,
+
+    pub fn slots(self: *const PoolStatus) []const WorkerStatus {
+        return self.workers[0..self.size];
+    }
+};
+
+/// A snapshot of the daemon pool.
+pub fn poolStatus() PoolStatus {
+    g_pool_mutex.lock();
+    defer g_pool_mutex.unlock();
+
+    var status: PoolStatus = .{ .workers = undefined, .size = g_pool_size, .started = g_started };
+    for (&g_workers, &status.workers) |*w, *out| {
+        w.mutex.lock();
+        defer w.mutex.unlock();
+        out.* = .{ .active = w.active, .alive = w.active and w.alive, .in_flight = w.in_flight, .completed = w.completed };
+    }
+    return status;
 }
 
 // ── Compiler Daemon ─────────────────────────────────────────────────────────
 //
 // Protocol (binary, tab-delimited header + raw source bytes):
-//   Request:  COMPILE\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n{rawSource}
-//   Response: OK\t{codeLen}\n{rawCode}   or   ERR\t{message}\n
+//   Request:  COMPILE\t{id}\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n{rawSource}
+//   Response: OK\t{id}\t{codeLen}\t{mapLen}\t{cssLen}\n{rawCode}{rawMap}{rawCss}
+//         or  ERR\t{id}\t{summary}\t{diagLen}\n{diagJson}   (compiler rejected the source)
+//         or  ERR\t{id}\t{message}\n                        (compiler unavailable)
+//
+// Dev-server plugins (plugins.zig) ride the same frames with `plugin-*` types
+// in place of a compiler; compiler_daemon.js documents the slots.
+//
+// Requests are multiplexed. A caller writes its frame, then sleeps until the
+// worker's reader thread delivers the response carrying its id, so one worker
+// can have several compiles in flight and answer them out of order (Qwik's
+// optimizer is async). Up to POOL_MAX node processes run side by side, so a
+// page loading many apps on a cold cache compiles in parallel.
 
 const daemon_script = @embedFile("compiler_daemon.js");
 
-const DaemonState = struct {
-    stdin: std.fs.File,
-    stdout: std.fs.File,
-    child: std.process.Child,
+/// Upper bound on daemon processes. The pool never grows past the CPU count.
+const POOL_MAX = 4;
+
+/// A caller waiting for its response. Lives on the caller's stack and is
+/// linked into the worker's pending list until the reader thread fills it.
+const Pending = struct {
+    id: u32,
+    allocator: Allocator,
+    diag: ?*Diagnostic,
+    result: CompileError!Compiled = CompileError.CompileFailed,
+    done: bool = false,
+    next: ?*Pending = null,
+};
+
+const Worker = struct {
+    /// Slot holds a spawned process (possibly dead, not yet reaped).
+    active: bool = false,
+    child: std.process.Child = undefined,
+    reader: std.Thread = undefined,
+    /// Serializes request frames on stdin; also held while reaping so the
+    /// pipes are never closed under a writer.
+    write_mutex: std.Thread.Mutex = .{},
+    /// Guards everything below.
+    mutex: std.Thread.Mutex = .{},
+    cond: std.Thread.Condition = .{},
+    /// Cleared by the reader thread when the process exits or misbehaves.
+    alive: bool = false,
+    pending: ?*Pending = null,
+    in_flight: usize = 0,
+    /// Responses delivered since the process started.
+    completed: u64 = 0,
 };
 
-var g_daemon: ?DaemonState = null;
-var g_daemon_mutex: std.Thread.Mutex = .{};
+var g_workers: [POOL_MAX]Worker = [_]Worker{.{}} ** POOL_MAX;
+var g_pool_mutex: std.Thread.Mutex = .{};
+var g_pool_size: usize = 0;
+var g_script_written = false;
+var g_next_id = std.atomic.Value(u32).init(1);
+/// Processes spawned this session; more than the pool size means restarts.
+var g_started: u32 = 0;
+var g_plugin_modules: []const []const u8 = &.{};
 
 fn daemonCompile(
     allocator: Allocator,
@@ -132,127 +408,373 @@ fn daemonCompile(
     loader: []const u8,
     jsx_source: []const u8,
     source: []const u8,
-) CompileError![]const u8 {
-    g_daemon_mutex.lock();
-    defer g_daemon_mutex.unlock();
-
-    // Lazy spawn
-    if (g_daemon == null) {
-        if (!spawnDaemon(allocator)) return CompileError.SpawnFailed;
-    }
+    diag: ?*Diagnostic,
+) CompileError!Compiled {
+    var compiled = try daemonRequest(allocator, false, compile_type, filename, loader, jsx_source, source, diag);
+    compiled.tier = .daemon;
+    return compiled;
+}
 
-    const d = &(g_daemon orelse return CompileError.SpawnFailed);
+/// Send one frame and wait for its response. `first_worker` pins the
+/// request to worker 1, where plugins live.
+fn daemonRequest(
+    allocator: Allocator,
+    first_worker: bool,
+    compile_type: []const u8,
+    filename: []const u8,
+    loader: []const u8,
+    jsx_source: []const u8,
+    source: []const u8,
+    diag: ?*Diagnostic,
+) CompileError!Compiled {
+    var pending: Pending = .{
+        .id = g_next_id.fetchAdd(1, .monotonic),
+        .allocator = allocator,
+        .diag = diag,
+    };
 
-    // Send: COMPILE\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n
+    // Send: COMPILE\t{id}\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n
     var header_buf: [1024]u8 = undefined;
-    const header = std.fmt.bufPrint(&header_buf, "COMPILE\t{s}\t{s}\t{s}\t{s}\t{d}\n", .{
-        compile_type, filename, loader, jsx_source, source.len,
+    const header = std.fmt.bufPrint(&header_buf, "COMPILE\t{d}\t{s}\t{s}\t{s}\t{s}\t{d}\n", .{
+        pending.id, compile_type, filename, loader, jsx_source, source.len,
     }) catch return CompileError.PathTooLong;
 
-    d.stdin.writeAll(header) catch {
-        killDaemonLocked();
-        return CompileError.CompileFailed;
-    };
-    d.stdin.writeAll(source) catch {
-        killDaemonLocked();
-        return CompileError.CompileFailed;
-    };
+    const w = acquireWorker(allocator, &pending, first_worker) orelse return CompileError.SpawnFailed;
 
-    // Read response header line: "OK\t{len}\n" or "ERR\t{msg}\n"
-    var resp_buf: [256]u8 = undefined;
-    var resp_pos: usize = 0;
-    while (resp_pos < resp_buf.len) {
-        var byte_buf: [1]u8 = undefined;
-        const n = d.stdout.read(&byte_buf) catch {
-            killDaemonLocked();
-            return CompileError.CompileFailed;
-        };
-        if (n == 0) {
-            killDaemonLocked();
-            return CompileError.CompileFailed;
+    {
+        w.write_mutex.lock();
+        defer w.write_mutex.unlock();
+
+        // Already failed means the process died after we registered — nothing to send
+        w.mutex.lock();
+        const failed = pending.done;
+        w.mutex.unlock();
+
+        if (!failed) {
+            const stdin = w.child.stdin.?;
+            // On a broken pipe kill the process: its reader thread then
+            // fails every waiting caller, this one included.
+            stdin.writeAll(header) catch terminateChild(&w.child);
+            stdin.writeAll(source) catch terminateChild(&w.child);
         }
-        if (byte_buf[0] == '\n') break;
-        resp_buf[resp_pos] = byte_buf[0];
-        resp_pos += 1;
     }
-    const resp_line = resp_buf[0..resp_pos];
 
-    if (std.mem.startsWith(u8, resp_line, "OK\t")) {
-        const code_len = std.fmt.parseInt(usize, resp_line[3..], 10) catch {
-            killDaemonLocked();
-            return CompileError.CompileFailed;
-        };
-        if (code_len == 0) return CompileError.CompileFailed;
-
-        const code = allocator.alloc(u8, code_len) catch return CompileError.OutOfMemory;
-        var total: usize = 0;
-        while (total < code_len) {
-            const n = d.stdout.read(code[total..]) catch {
-                allocator.free(code);
-                killDaemonLocked();
-                return CompileError.CompileFailed;
-            };
-            if (n == 0) {
-                allocator.free(code);
-                killDaemonLocked();
-                return CompileError.CompileFailed;
+    w.mutex.lock();
+    defer w.mutex.unlock();
+    while (!pending.done) w.cond.wait(&w.mutex);
+    return pending.result;
+}
+
+/// Pick the least-loaded live worker and register `pending` with it.
+/// Spawns another worker while all live ones are busy and the pool has room.
+/// With `first_worker`, always worker 1 (restarted if it died).
+fn acquireWorker(allocator: Allocator, pending: *Pending, first_worker: bool) ?*Worker {
+    g_pool_mutex.lock();
+    defer g_pool_mutex.unlock();
+
+    if (g_pool_size == 0) {
+        const cpus = std.Thread.getCpuCount() catch 1;
+        g_pool_size = @max(1, @min(POOL_MAX, cpus));
+    }
+
+    if (first_worker) {
+        const w = &g_workers[0];
+        if (w.active) {
+            w.mutex.lock();
+            const alive = w.alive;
+            w.mutex.unlock();
+            if (!alive) stopWorkerLocked(w);
+        }
+        if (!w.active and !startWorkerLocked(allocator, w)) return null;
+        return registerLocked(w, pending);
+    }
+
+    var best: ?*Worker = null;
+    var best_load: usize = std.math.maxInt(usize);
+    var free_slot: ?*Worker = null;
+
+    for (g_workers[0..g_pool_size]) |*w| {
+        if (w.active) {
+            w.mutex.lock();
+            const alive = w.alive;
+            const load = w.in_flight;
+            w.mutex.unlock();
+
+            if (alive) {
+                if (load < best_load) {
+                    best = w;
+                    best_load = load;
+                }
+                continue;
             }
-            total += n;
+            // Died since last use — its callers were already failed, reap it
+            stopWorkerLocked(w);
+        }
+        if (free_slot == null) free_slot = w;
+    }
+
+    if (best_load > 0) {
+        if (free_slot) |slot| {
+            if (startWorkerLocked(allocator, slot)) best = slot;
         }
-        return code;
     }
 
-    // ERR or unexpected response
-    return CompileError.CompileFailed;
+    return registerLocked(best orelse return null, pending);
 }
 
-fn spawnDaemon(allocator: Allocator) bool {
-    // Write daemon script to .wu-cache/
-    std.fs.cwd().makePath(".wu-cache") catch {};
-    if (std.fs.cwd().createFile(".wu-cache/wu-compiler.cjs", .{})) |file| {
-        file.writeAll(daemon_script) catch {};
-        file.close();
-    } else |_| {}
+fn registerLocked(w: *Worker, pending: *Pending) ?*Worker {
+    w.mutex.lock();
+    defer w.mutex.unlock();
+    if (!w.alive) return null;
+    pending.next = w.pending;
+    w.pending = pending;
+    w.in_flight += 1;
+    return w;
+}
 
-    const argv = [_][]const u8{ "node", ".wu-cache/wu-compiler.cjs" };
+fn startWorkerLocked(allocator: Allocator, w: *Worker) bool {
+    // Write daemon script to .wu-cache/ once per session — rewriting it
+    // while another worker is still starting could hand node a partial file
+    if (!g_script_written) {
+        std.fs.cwd().makePath(".wu-cache") catch {};
+        if (std.fs.cwd().createFile(".wu-cache/wu-compiler.cjs", .{})) |file| {
+            file.writeAll(daemon_script) catch {};
+            file.close();
+        } else |_| {}
+        g_script_written = true;
+    }
 
-    var child = std.process.Child.init(&argv, allocator);
-    child.stdin_behavior = .Pipe;
-    child.stdout_behavior = .Pipe;
-    child.stderr_behavior = .Pipe;
+    // Worker 1 also loads the dev-server plugins: node wu-compiler.cjs --plugins a.js b.js
+    var argv: std.ArrayList([]const u8) = .empty;
+    defer argv.deinit(allocator);
+    argv.appendSlice(allocator, &.{ "node", ".wu-cache/wu-compiler.cjs" }) catch return false;
+    const with_plugins = w == &g_workers[0] and g_plugin_modules.len > 0;
+    if (with_plugins) {
+        argv.append(allocator, "--plugins") catch return false;
+        argv.appendSlice(allocator, g_plugin_modules) catch return false;
+    }
 
-    child.spawn() catch return false;
+    w.child = std.process.Child.init(argv.items, allocator);
+    w.child.stdin_behavior = .Pipe;
+    w.child.stdout_behavior = .Pipe;
+    // Plugins log to the terminal (the daemon sends console output to stderr)
+    w.child.stderr_behavior = if (with_plugins) .Inherit else .Pipe;
 
-    const stdin = child.stdin orelse {
-        _ = child.kill() catch {};
-        _ = child.wait() catch {};
+    w.child.spawn() catch return false;
+
+    if (w.child.stdin == null or w.child.stdout == null) {
+        terminateChild(&w.child);
+        _ = w.child.wait() catch {};
         return false;
-    };
-    const stdout = child.stdout orelse {
-        _ = child.kill() catch {};
-        _ = child.wait() catch {};
+    }
+
+    w.mutex.lock();
+    w.alive = true;
+    w.pending = null;
+    w.in_flight = 0;
+    w.completed = 0;
+    w.mutex.unlock();
+
+    w.reader = std.Thread.spawn(.{}, readerThread, .{w}) catch {
+        terminateChild(&w.child);
+        _ = w.child.wait() catch {};
+        w.alive = false;
         return false;
     };
+    w.active = true;
+    g_started += 1;
+
+    const index = (@intFromPtr(w) - @intFromPtr(&g_workers)) / @sizeOf(Worker);
+    std.debug.print("  \x1b[2mcompiler daemon worker {d} started (persistent node process)\x1b[0m\n", .{index + 1});
+    return true;
+}
+
+/// Kill and reap a worker's process. Its reader thread fails any callers
+/// still waiting, then exits.
+fn stopWorkerLocked(w: *Worker) void {
+    w.write_mutex.lock();
+    defer w.write_mutex.unlock();
+
+    terminateChild(&w.child);
+    w.reader.join();
+    // wait() reaps the process and closes all pipes. Don't close them
+    // manually — closing twice panics on Windows (CloseHandle asserts).
+    _ = w.child.wait() catch {};
+    w.active = false;
+}
+
+/// Signal the process without reaping it, so the pipes stay open until the
+/// reader thread has seen EOF.
+fn terminateChild(child: *std.process.Child) void {
+    if (builtin.os.tag == .windows) {
+        std.os.windows.TerminateProcess(child.id, 1) catch {};
+    } else {
+        std.posix.kill(child.id, std.posix.SIG.TERM) catch {};
+    }
+}
+
+// ── Response Reader ─────────────────────────────────────────────────────────
+
+fn readerThread(w: *Worker) void {
+    const stdout = w.child.stdout.?;
+    while (readResponse(w, stdout)) {}
+
+    // EOF or a malformed frame: the stream can't be trusted any more
+    terminateChild(&w.child);
+
+    w.mutex.lock();
+    defer w.mutex.unlock();
+    w.alive = false;
+    while (w.pending) |p| {
+        w.pending = p.next;
+        p.result = CompileError.CompileFailed;
+        p.done = true;
+        w.in_flight -= 1;
+    }
+    w.cond.broadcast();
+}
+
+/// Read one response frame and hand it to the caller waiting on its id.
+/// Returns false when the stream is unusable (EOF, read error, bad header).
+fn readResponse(w: *Worker, stdout: std.fs.File) bool {
+    var line_buf: [256]u8 = undefined;
+    const line = readHeaderLine(stdout, &line_buf) orelse return false;
+
+    const is_ok = std.mem.startsWith(u8, line, "OK\t");
+    if (!is_ok and !std.mem.startsWith(u8, line, "ERR\t")) return false;
+
+    const fields = line[if (is_ok) 3 else 4 ..];
+    const id_end = std.mem.indexOfScalar(u8, fields, '\t') orelse return false;
+    const id = std.fmt.parseInt(u32, fields[0..id_end], 10) catch return false;
+    const waiter = takePending(w, id);
+
+    var result: CompileError!Compiled = CompileError.CompileFailed;
+    const stream_ok = if (is_ok)
+        readCompiled(stdout, fields[id_end + 1 ..], waiter, &result)
+    else
+        readDiagnostic(stdout, fields[id_end + 1 ..], waiter, &result);
+
+    if (waiter) |p| {
+        w.mutex.lock();
+        defer w.mutex.unlock();
+        p.result = result;
+        p.done = true;
+        w.in_flight -= 1;
+        w.completed += 1;
+        w.cond.broadcast();
+    }
+    return stream_ok;
+}
+
+/// Unlink the pending caller with `id`. Null for an id nobody waits on.
+fn takePending(w: *Worker, id: u32) ?*Pending {
+    w.mutex.lock();
+    defer w.mutex.unlock();
+    var link = &w.pending;
+    while (link.*) |p| {
+        if (p.id == id) {
+            link.* = p.next;
+            return p;
+        }
+        link = &p.next;
+    }
+    return null;
+}
+
+/// Body of "OK\t{id}\t{codeLen}\t{mapLen}\t{cssLen}". mapLen and cssLen are
+/// optional so an older daemon script still parses.
+fn readCompiled(stdout: std.fs.File, fields: []const u8, waiter: ?*Pending, result: *CompileError!Compiled) bool {
+    var it = std.mem.splitScalar(u8, fields, '\t');
+    const code_len = std.fmt.parseInt(usize, it.first(), 10) catch return false;
+    const map_len = if (it.next()) |f| (std.fmt.parseInt(usize, f, 10) catch return false) else 0;
+    const css_len = if (it.next()) |f| (std.fmt.parseInt(usize, f, 10) catch return false) else 0;
 
-    g_daemon = .{
-        .stdin = stdin,
-        .stdout = stdout,
-        .child = child,
+    const p = waiter orelse return discardExact(stdout, code_len + map_len + css_len);
+    if (code_len == 0) return discardExact(stdout, map_len + css_len);
+
+    const code = readExactAlloc(p.allocator, stdout, code_len) catch |err| {
+        result.* = err;
+        return err == CompileError.OutOfMemory and discardExact(stdout, code_len + map_len + css_len);
+    };
+    const map = readExactAlloc(p.allocator, stdout, map_len) catch |err| {
+        p.allocator.free(code);
+        result.* = err;
+        return err == CompileError.OutOfMemory and discardExact(stdout, map_len + css_len);
+    };
+    const css = readExactAlloc(p.allocator, stdout, css_len) catch |err| {
+        p.allocator.free(code);
+        p.allocator.free(map);
+        result.* = err;
+        return err == CompileError.OutOfMemory and discardExact(stdout, css_len);
     };
+    result.* = .{ .code = code, .map = map, .css = css };
+    return true;
+}
+
+/// Body of "ERR\t{id}\t{summary}\t{diagLen}" or a bare "ERR\t{id}\t{message}".
+fn readDiagnostic(stdout: std.fs.File, fields: []const u8, waiter: ?*Pending, result: *CompileError!Compiled) bool {
+    // Bare ERR: the compiler could not be loaded, the caller falls back
+    const tab = std.mem.lastIndexOfScalar(u8, fields, '\t') orelse return true;
+    const diag_len = std.fmt.parseInt(usize, fields[tab + 1 ..], 10) catch return false;
 
-    std.debug.print("  \x1b[2mcompiler daemon started (persistent node process)\x1b[0m\n", .{});
+    const p = waiter orelse return discardExact(stdout, diag_len);
+    const json = readExactAlloc(p.allocator, stdout, diag_len) catch |err| {
+        result.* = err;
+        return err == CompileError.OutOfMemory and discardExact(stdout, diag_len);
+    };
+    if (p.diag) |out| {
+        const summary = p.allocator.dupe(u8, fields[0..tab]) catch {
+            p.allocator.free(json);
+            result.* = CompileError.OutOfMemory;
+            return true;
+        };
+        out.* = .{ .summary = summary, .json = json };
+    } else {
+        p.allocator.free(json);
+    }
+    result.* = CompileError.Diagnosed;
     return true;
 }
 
-fn killDaemonLocked() void {
-    if (g_daemon) |*d| {
-        // Kill the child — don't manually close stdin because wait()
-        // calls cleanupStreams() which closes all pipes. Closing twice
-        // panics on Windows (CloseHandle asserts on invalid handle).
-        _ = d.child.kill() catch {};
-        _ = d.child.wait() catch {};
+/// Read a header line (without the newline). Null on EOF, read error, or a
+/// line longer than `buf`.
+fn readHeaderLine(file: std.fs.File, buf: []u8) ?[]const u8 {
+    var pos: usize = 0;
+    while (pos < buf.len) {
+        var byte_buf: [1]u8 = undefined;
+        const n = file.read(&byte_buf) catch return null;
+        if (n == 0) return null;
+        if (byte_buf[0] == '\n') return buf[0..pos];
+        buf[pos] = byte_buf[0];
+        pos += 1;
+    }
+    return null;
+}
+
+/// Read exactly `len` bytes from the daemon's stdout into a new allocation.
+fn readExactAlloc(allocator: Allocator, file: std.fs.File, len: usize) CompileError![]u8 {
+    const buf = allocator.alloc(u8, len) catch return CompileError.OutOfMemory;
+    errdefer allocator.free(buf);
+    var total: usize = 0;
+    while (total < len) {
+        const n = file.read(buf[total..]) catch return CompileError.CompileFailed;
+        if (n == 0) return CompileError.CompileFailed;
+        total += n;
+    }
+    return buf;
+}
+
+/// Skip `len` bytes of daemon output without keeping them.
+/// Returns false if the stream ended first.
+fn discardExact(file: std.fs.File, len: usize) bool {
+    var scratch: [4096]u8 = undefined;
+    var left = len;
+    while (left > 0) {
+        const n = file.read(scratch[0..@min(left, scratch.len)]) catch return false;
+        if (n == 0) return false;
+        left -= n;
     }
-    g_daemon = null;
+    return true;
 }
 
 // ── Fallback: node -e (used when daemon is unavailable) ─────────────────────
@@ -382,3 +904,164 @@ fn runNodeTransform(
 
     return output;
 }
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+/// Run `sh -c script` as a worker's daemon: whatever the script prints is
+/// the response stream. `waiters` are registered before the reader thread
+/// starts, so no frame can arrive ahead of its caller.
+fn startStubWorker(w: *Worker, script: []const u8, waiters: []const *Pending) !void {
+    w.child = std.process.Child.init(&.{ "/bin/sh", "-c", script }, std.testing.allocator);
+    w.child.stdin_behavior = .Ignore;
+    w.child.stdout_behavior = .Pipe;
+    w.child.stderr_behavior = .Ignore;
+    try w.child.spawn();
+    w.alive = true;
+    for (waiters) |p| _ = registerLocked(w, p).?;
+    w.reader = try std.Thread.spawn(.{}, readerThread, .{w});
+}
+
+/// The reader thread exits once the script does; by then every waiter has
+/// its result.
+fn joinStubWorker(w: *Worker) void {
+    w.reader.join();
+    _ = w.child.wait() catch {};
+}
+
+test "interleaved responses reach their waiters and unknown ids are skipped" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+
+    var first: Pending = .{ .id = 1, .allocator = allocator, .diag = null };
+    var second: Pending = .{ .id = 2, .allocator = allocator, .diag = null };
+    var w: Worker = .{};
+    // Answers 2 before 1, with frames for ids nobody waits on in between
+    try startStubWorker(&w, "printf '%s' '" ++
+        "OK\t2\t6\t2\t0\nsecond{}" ++
+        "OK\t99\t5\t0\t0\nstray" ++
+        "ERR\t98\tApp.vue:1:1 stray\t2\n{}" ++
+        "OK\t1\t5\t0\t3\nfirsta{}" ++
+        "'", &.{ &first, &second });
+    joinStubWorker(&w);
+
+    const a = try first.result;
+    defer a.deinit(allocator);
+    try std.testing.expectEqualStrings("first", a.code);
+    try std.testing.expectEqualStrings("", a.map);
+    try std.testing.expectEqualStrings("a{}", a.css);
+
+    const b = try second.result;
+    defer b.deinit(allocator);
+    try std.testing.expectEqualStrings("second", b.code);
+    try std.testing.expectEqualStrings("{}", b.map);
+
+    try std.testing.expect(w.pending == null);
+    try std.testing.expectEqual(@as(usize, 0), w.in_flight);
+    try std.testing.expectEqual(@as(u64, 2), w.completed);
+}
+
+test "a worker that dies fails every request still pending on it" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+
+    var answered: Pending = .{ .id = 1, .allocator = allocator, .diag = null };
+    var truncated: Pending = .{ .id = 2, .allocator = allocator, .diag = null };
+    var waiting: Pending = .{ .id = 3, .allocator = allocator, .diag = null };
+    var w: Worker = .{};
+    // Exits halfway through the body of id 2, before id 3 is answered
+    try startStubWorker(&w, "printf '%s' '" ++
+        "OK\t1\t2\t0\t0\nok" ++
+        "OK\t2\t10\t0\t0\npart" ++
+        "'; exit 1", &.{ &answered, &truncated, &waiting });
+    joinStubWorker(&w);
+
+    const ok = try answered.result;
+    defer ok.deinit(allocator);
+    try std.testing.expectEqualStrings("ok", ok.code);
+
+    try std.testing.expect(truncated.done and waiting.done);
+    try std.testing.expectError(CompileError.CompileFailed, truncated.result);
+    try std.testing.expectError(CompileError.CompileFailed, waiting.result);
+    try std.testing.expect(!w.alive);
+    try std.testing.expect(w.pending == null);
+    try std.testing.expectEqual(@as(usize, 0), w.in_flight);
+}
+
+test "code frames mark the column on the first and last line" {
+    const allocator = std.testing.allocator;
+    const source = "const a = 1;\r\n\tlet b = 'x'\nfoo(bar";
+    const cases = [_]struct { line: usize, column: usize, expected: []const u8 }{
+        .{ .line = 1, .column = 7, .expected = "> 1 | const a = 1;\n" ++ "    |       ^\n" },
+        // Tabs stay tabs so the caret lines up in the terminal
+        .{ .line = 2, .column = 3, .expected = "> 2 | \tlet b = 'x'\n" ++ "    | \t ^\n" },
+        // Past the end of the line: the caret sits right after the text
+        .{ .line = 3, .column = 20, .expected = "> 3 | foo(bar\n" ++ "    |        ^\n" },
+        .{ .line = 4, .column = 1, .expected = "" },
+    };
+    for (cases) |case| {
+        var out: std.ArrayList(u8) = .empty;
+        defer out.deinit(allocator);
+        try codeFrame(out.writer(allocator), source, case.line, case.column);
+        try std.testing.expectEqualStrings(case.expected, out.items);
+    }
+}
+
+test "TypeScript diagnostics escape the file name and message" {
+    const allocator = std.testing.allocator;
+    var diag: Diagnostic = .{};
+    defer diag.deinit(allocator);
+
+    const problem: ts_strip.Problem = .{ .line = 1, .column = 9, .message = "Unexpected \"<\"\n\tnear \x01" };
+    const err = diagnoseTypeScript(allocator, "let x = <div>\n", "src\\we\"ird.ts", problem, &diag);
+    try std.testing.expectEqual(CompileError.Diagnosed, err);
+    try std.testing.expectEqualStrings("src\\we\"ird.ts:1:9 Unexpected \"<\"\n\tnear \x01", diag.summary);
+    try std.testing.expect(std.mem.indexOf(u8, diag.json, "\\u0001") != null);
+
+    const parsed = try std.json.parseFromSlice(struct {
+        plugin: []const u8,
+        message: []const u8,
+        file: []const u8,
+        line: usize,
+        column: usize,
+        frame: []const u8,
+    }, allocator, diag.json, .{});
+    defer parsed.deinit();
+    try std.testing.expectEqualStrings("wu", parsed.value.plugin);
+    try std.testing.expectEqualStrings(problem.message, parsed.value.message);
+    try std.testing.expectEqualStrings("src\\we\"ird.ts", parsed.value.file);
+    try std.testing.expectEqual(@as(usize, 1), parsed.value.line);
+    try std.testing.expectEqual(@as(usize, 9), parsed.value.column);
+    try std.testing.expectEqualStrings("> 1 | let x = <div>\n" ++ "    |         ^\n", parsed.value.frame);
+}
+
+test "ERR frames carry a diagnostic or fall back when bare" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+    const diag_json = "{\"plugin\":\"vue\",\"line\":3}";
+
+    var rejected_diag: Diagnostic = .{};
+    defer rejected_diag.deinit(allocator);
+    var bare_diag: Diagnostic = .{};
+    var rejected: Pending = .{ .id = 1, .allocator = allocator, .diag = &rejected_diag };
+    var bare: Pending = .{ .id = 2, .allocator = allocator, .diag = &bare_diag };
+    var after: Pending = .{ .id = 3, .allocator = allocator, .diag = null };
+    var w: Worker = .{};
+    try startStubWorker(&w, "printf '%s' '" ++
+        "ERR\t1\tApp.vue:3:5 Unexpected token\t" ++ std.fmt.comptimePrint("{d}", .{diag_json.len}) ++ "\n" ++ diag_json ++
+        "ERR\t2\tCannot find module svelte/compiler\n" ++
+        "OK\t3\t4\t0\t0\nnext" ++
+        "'", &.{ &rejected, &bare, &after });
+    joinStubWorker(&w);
+
+    try std.testing.expectError(CompileError.Diagnosed, rejected.result);
+    try std.testing.expectEqualStrings("App.vue:3:5 Unexpected token", rejected_diag.summary);
+    try std.testing.expectEqualStrings(diag_json, rejected_diag.json);
+
+    // Bare ERR: no diagnostic, so the caller tries the node -e fallback
+    try std.testing.expectError(CompileError.CompileFailed, bare.result);
+    try std.testing.expectEqualStrings("", bare_diag.json);
+
+    const next = try after.result;
+    defer next.deinit(allocator);
+    try std.testing.expectEqualStrings("next", next.code);
+}
@@ -1,8 +1,26 @@
 // WU Compiler Daemon — Persistent Node.js process for fast compilation
 //
 // Protocol (tab-separated, length-prefixed):
-//   Request:  COMPILE\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n{sourceBytes}
-//   Response: OK\t{codeLen}\n{codeBytes}   or   ERR\t{message}\n
+//   Request:  COMPILE\t{id}\t{type}\t{filename}\t{loader}\t{jsxSource}\t{sourceLen}\n{sourceBytes}
+//   Response: OK\t{id}\t{codeLen}\t{mapLen}\t{cssLen}\n{codeBytes}{mapBytes}{cssBytes}
+//         or  ERR\t{id}\t{summary}\t{diagLen}\n{diagJson}
+//         or  ERR\t{id}\t{message}\n
+//
+// Every response echoes its request id, so answers may come back out of
+// order: synchronous compilers reply immediately while an async one (Qwik)
+// is still pending. The Zig side may also run several daemons in parallel.
+//
+// mapLen is 0 when the compiler produced no source map (e.g. Angular bundles).
+// cssLen is 0 unless the component carries its own styles (Svelte/Vue <style>).
+// diagJson is {plugin, message, file, line, column, frame} and is sent when the
+// compiler rejected the source. A bare ERR means the compiler itself could not
+// be loaded, so the Zig side still tries its node -e fallback.
+//
+// The first worker also hosts dev-server plugins (see Plugins below); their
+// requests use the same frames with `plugin-*` types.
+//
+// A `deps` request pre-bundles npm dependencies (see Dependency Pre-Bundling
+// below): the source is a JSON job, the reply's code a JSON summary.
 //
 // Stays alive for entire wu dev session. Eliminates Node startup per file.
 // Cold compile: ~10-50ms (vs 200-400ms with node -e per file)
@@ -15,6 +33,9 @@ let pending = null;
 // Qwik optimizer (lazy-initialized, cached)
 let qwikOptimizer = null;
 
+// svelte.config.js per config path: { mtime, config }
+const svelteConfigs = new Map();
+
 process.stdin.resume();
 process.stdin.on('data', chunk => {
   buf = Buffer.concat([buf, chunk]);
@@ -28,57 +49,71 @@ function drain() {
       if (nl === -1) return;
       const parts = buf.slice(0, nl).toString().split('\t');
       buf = buf.slice(nl + 1);
-      if (parts[0] !== 'COMPILE' || parts.length < 6) continue;
-      pending = { t: parts[1], f: parts[2], l: parts[3], i: parts[4], n: parseInt(parts[5], 10) };
+      if (parts[0] !== 'COMPILE' || parts.length < 7) continue;
+      pending = {
+        id: parts[1], t: parts[2], f: parts[3], l: parts[4], i: parts[5], n: parseInt(parts[6], 10)
+      };
     }
     if (buf.length < pending.n) return;
-    const src = buf.slice(0, pending.n).toString();
+    const raw = buf.slice(0, pending.n);
     buf = buf.slice(pending.n);
     const p = pending;
     pending = null;
-    compile(p.t, p.f, p.l, p.i, src);
+    // Middleware request bodies may be binary (uploads): keep them as bytes
+    compile(p.id, p.t, p.f, p.l, p.i, p.t === 'plugin-serve' ? raw : raw.toString());
   }
 }
 
-function compile(type, filename, loader, jsxSrc, source) {
+function compile(id, type, filename, loader, jsxSrc, source) {
+  if (type.startsWith('plugin-')) {
+    pluginRequest(id, type, filename, loader, jsxSrc, source);
+    return;
+  }
+  if (type === 'deps') {
+    bundleDeps(source).then(r => reply(id, r), e => fail(id, e, type, filename, source));
+    return;
+  }
   try {
-    let code;
+    let code, map = null;
     if (type === 'svelte') {
-      code = require('svelte/compiler').compile(source, {
-        generate: 'client', filename: filename
-      }).js.code;
+      // svelte.config.js is loaded with import() and preprocessors are async,
+      // so Svelte replies asynchronously. jsxSrc carries the file path,
+      // loader is 'hmr' when wu dev wants hot-update code.
+      compileSvelte(filename, jsxSrc || filename, source, loader === 'hmr').then(
+        r => reply(id, r.code, normalizeMap(r.map, filename, source), r.css),
+        e => fail(id, e, type, filename, source)
+      );
+      return;
     } else if (type === 'vue') {
-      const C = require('@vue/compiler-sfc');
-      const { descriptor: d } = C.parse(source, { filename: filename });
-      let sc = '', tp = '', b = {};
-      if (d.scriptSetup || d.script) {
-        const r = C.compileScript(d, { id: 'wu' });
-        sc = r.content.replace(/export\s+default\s+/, 'const __sfc__=');
-        b = r.bindings || {};
-      }
-      if (d.template) {
-        tp = C.compileTemplate({
-          source: d.template.content, filename: filename, id: 'wu',
-          compilerOptions: { bindingMetadata: b }
-        }).code;
-      }
-      code = sc + '\n' + tp + '\n';
-      code += sc ? '__sfc__.render=render;\nexport default __sfc__;' : 'export default{render};';
+      // Style blocks may need compileStyleAsync (CSS modules, preprocessors),
+      // so Vue replies asynchronously. jsxSrc carries the file path.
+      compileVue(filename, jsxSrc || filename, source).then(
+        r => reply(id, r.code, normalizeMap(r.map, filename, source), r.css),
+        e => fail(id, e, type, filename, source)
+      );
+      return;
     } else if (type === 'qwik') {
       // Qwik needs its optimizer to transform $() expressions into QRLs.
-      // createOptimizer() is async — handled in compileQwikAsync().
-      // Protocol is serial so async is safe (Zig blocks on stdout read).
-      compileQwikAsync(filename, source);
+      // createOptimizer() is async — handled in compileQwikAsync(), which
+      // replies under the same id whenever it finishes.
+      compileQwikAsync(id, filename, source);
       return;
     } else if (type === 'jsx' || type === 'tsx') {
-      const o = { loader: loader || type, jsx: 'automatic', format: 'esm' };
+      const o = {
+        loader: loader || type, jsx: 'automatic', format: 'esm',
+        sourcemap: 'external', sourcefile: filename
+      };
       if (jsxSrc) o.jsxImportSource = jsxSrc;
-      code = require('esbuild').transformSync(source, o).code;
+      const r = require('esbuild').transformSync(source, o);
+      code = r.code;
+      map = r.map;
     } else if (type === 'ts') {
-      code = require('esbuild').transformSync(source, {
-        loader: 'ts', format: 'esm',
+      const r = require('esbuild').transformSync(source, {
+        loader: 'ts', format: 'esm', sourcemap: 'external', sourcefile: filename,
         tsconfigRaw: '{"compilerOptions":{"experimentalDecorators":true,"emitDecoratorMetadata":false}}'
-      }).code;
+      });
+      code = r.code;
+      map = r.map;
     } else if (type === 'angular-bundle') {
       // Angular needs full bundling to resolve circular deps between
       // @angular/compiler and @angular/core. jsxSrc = resolveDir (file directory).
@@ -97,22 +132,23 @@ function compile(type, filename, loader, jsxSrc, source) {
       });
       code = result.outputFiles[0].text;
     } else if (type === 'solid') {
-      code = require('@babel/core').transformSync(source, {
-        presets: ['babel-preset-solid'], filename: 'x.' + (loader || 'jsx')
-      }).code;
+      const r = require('@babel/core').transformSync(source, {
+        presets: ['babel-preset-solid'], filename: 'x.' + (loader || 'jsx'),
+        sourceMaps: true, sourceFileName: filename
+      });
+      code = r.code;
+      map = r.map;
     } else {
       throw new Error('Unknown type: ' + type);
     }
-    const cb = Buffer.from(code);
-    fs.writeSync(1, 'OK\t' + cb.length + '\n');
-    fs.writeSync(1, cb);
+    reply(id, code, normalizeMap(map, filename, source));
   } catch (e) {
-    fs.writeSync(1, 'ERR\t' + (e.message || 'fail').replace(/[\r\n]/g, ' ') + '\n');
+    fail(id, e, type, filename, source);
   }
 }
 
 // Async Qwik compilation (optimizer init is async)
-async function compileQwikAsync(filename, source) {
+async function compileQwikAsync(id, filename, source) {
   try {
     if (!qwikOptimizer) {
       const { createOptimizer } = require('@builder.io/qwik/optimizer');
@@ -125,12 +161,546 @@ async function compileQwikAsync(filename, source) {
       mode: 'dev',
       transpileTs: true,
       transpileJsx: true,
+      sourceMaps: true,
+    });
+    const diag = (result.diagnostics || []).find(x => x.category === 'error');
+    if (diag) {
+      const err = new Error(diag.message);
+      const h = diag.highlights && diag.highlights[0];
+      if (h) err.loc = { line: h.startLine, column: h.startCol };
+      throw err;
+    }
+    const mod = result.modules[0];
+    reply(id, mod.code, normalizeMap(mod.map, filename, source));
+  } catch (e) {
+    fail(id, e, 'qwik', filename, source);
+  }
+}
+
+// ── Dependency Pre-Bundling ──────────────────────────────────────────────────
+//
+// Job: { outdir, entries: { specifier: file }, conditions }. Every specifier becomes
+// outdir/<specifier>.js, one ESM file, with code shared between entries
+// split into outdir/_wu_chunks/ — so react, react-dom/client and
+// react/jsx-runtime still share a single React. A CommonJS entry is bundled
+// through a proxy that re-exports the keys its module.exports has when
+// required in development mode, so `import { useState } from 'react'` works.
+
+async function bundleDeps(payload) {
+  const esbuild = require('esbuild');
+  const path = require('path');
+  const job = JSON.parse(payload);
+  const specs = Object.keys(job.entries);
+  // Real paths: pnpm links packages, esbuild reports inputs by target
+  const files = specs.map(s => fs.realpathSync(path.resolve(job.entries[s])));
+  const define = { 'process.env.NODE_ENV': '"development"', global: 'globalThis' };
+  // Custom conditions replace esbuild's implicit "module"; keep it, as wu dev does
+  const conditions = job.conditions && job.conditions.length ? { conditions: ['module', ...job.conditions] } : {};
+
+  // Which entries are CommonJS: esbuild records each input's module format
+  const probe = await esbuild.build({
+    entryPoints: files, bundle: false, write: false, metafile: true,
+    outdir: job.outdir, logLevel: 'silent',
+  });
+  const formatOf = {};
+  for (const [input, info] of Object.entries(probe.metafile.inputs)) {
+    formatOf[fs.realpathSync(path.resolve(input))] = info.format;
+  }
+
+  const exportsOf = await cjsExports(files.filter(f => formatOf[f] === 'cjs'));
+  const proxies = {};
+  const entryPoints = {};
+  specs.forEach((spec, i) => {
+    if (formatOf[files[i]] !== 'cjs') {
+      entryPoints[spec] = files[i];
+      return;
+    }
+    let src = 'const __m = require(' + JSON.stringify(files[i]) + ');\n' +
+      'export default __m && __m.__esModule && "default" in __m ? __m.default : __m;\n';
+    exportsOf[files[i]].forEach((name, n) => {
+      src += 'const __wu' + n + ' = __m[' + JSON.stringify(name) + ']; export { __wu' + n + ' as ' + name + ' };\n';
     });
-    const code = result.modules[0].code;
-    const cb = Buffer.from(code);
-    fs.writeSync(1, 'OK\t' + cb.length + '\n');
-    fs.writeSync(1, cb);
+    proxies[spec] = src;
+    entryPoints[spec] = 'wu-dep:' + spec;
+  });
+
+  await esbuild.build({
+    entryPoints, bundle: true, format: 'esm', splitting: true, write: true,
+    outdir: job.outdir, chunkNames: '_wu_chunks/[name]-[hash]',
+    platform: 'browser', target: 'es2022', define, logLevel: 'silent', ...conditions,
+    plugins: [{
+      name: 'wu-deps',
+      setup(b) {
+        b.onResolve({ filter: /^wu-dep:/ }, a => ({ path: a.path.slice(7), namespace: 'wu-dep' }));
+        b.onLoad({ filter: /.*/, namespace: 'wu-dep' }, a => ({
+          contents: proxies[a.path], resolveDir: process.cwd(), loader: 'js',
+        }));
+      },
+    }],
+  });
+  return JSON.stringify({ entries: specs.length, cjs: Object.keys(proxies).length });
+}
+
+// Export names of CommonJS modules: the keys of module.exports, required in
+// development mode. Requiring runs package code (and caches it for good), so
+// it happens in a throwaway node process, never in this one. The names come
+// back on fd 3; whatever the packages print is dropped. Modules that need a
+// browser to load export only default.
+const CJS_EXPORTS_PROBE = `
+const out = {};
+for (const file of process.argv.slice(1)) {
+  try {
+    const mod = require(file);
+    out[file] = mod !== null && (typeof mod === 'object' || typeof mod === 'function') ? Object.keys(mod) : [];
+  } catch (e) {
+    out[file] = [];
+  }
+}
+require('fs').writeSync(3, JSON.stringify(out));
+process.exit(0);
+`;
+
+function cjsExports(files) {
+  const result = {};
+  for (const file of files) result[file] = [];
+  if (!files.length) return Promise.resolve(result);
+  return new Promise(resolve => {
+    const child = require('child_process').spawn(process.execPath, ['-e', CJS_EXPORTS_PROBE, ...files], {
+      env: { ...process.env, NODE_ENV: 'development' },
+      stdio: ['ignore', 'ignore', 'ignore', 'pipe'],
+    });
+    // A package that never returns from require() must not stall the build
+    const timer = setTimeout(() => child.kill(), 30000);
+    const chunks = [];
+    child.stdio[3].on('data', c => chunks.push(c));
+    const finish = () => {
+      clearTimeout(timer);
+      let keys = {};
+      try { keys = JSON.parse(Buffer.concat(chunks).toString()); } catch (e) {}
+      for (const file of files) {
+        result[file] = (keys[file] || []).filter(k => k !== 'default' && k !== '__esModule' && /^[A-Za-z_$][\w$]*$/.test(k));
+      }
+      resolve(result);
+    };
+    child.on('error', finish);
+    child.on('close', finish);
+  });
+}
+
+// Write a successful response: header line, then code, map and CSS bytes.
+function reply(id, code, map, css) {
+  const cb = Buffer.from(code);
+  const mb = Buffer.from(map || '');
+  const sb = Buffer.from(css || '');
+  fs.writeSync(1, 'OK\t' + id + '\t' + cb.length + '\t' + mb.length + '\t' + sb.length + '\n');
+  fs.writeSync(1, cb);
+  if (mb.length) fs.writeSync(1, mb);
+  if (sb.length) fs.writeSync(1, sb);
+}
+
+// Svelte: run the app's svelte.config.js preprocessors (TypeScript, SCSS, ...),
+// then compile with external CSS so component styles travel separately and
+// can be swapped without remounting. The scope class is hashed from the file
+// path, so a style-only edit leaves the JS output unchanged. Svelte 5 emits
+// its own import.meta.hot code with `hmr`; Svelte 4 has no such option.
+async function compileSvelte(filename, filePath, source, hmr) {
+  const svelte = require('svelte/compiler');
+  const config = await loadSvelteConfig(filePath);
+  let code = source, sourcemap;
+  if (config.preprocess) {
+    const p = await svelte.preprocess(source, config.preprocess, { filename: filename });
+    code = p.code;
+    sourcemap = p.map;
+  }
+  const hash = require('crypto').createHash('sha256').update(filePath).digest('hex').slice(0, 8);
+  const options = Object.assign({}, config.compilerOptions, {
+    generate: 'client', filename: filename, css: 'external', sourcemap: sourcemap,
+    cssHash: () => 'svelte-' + hash
+  });
+  if (hmr && parseInt(svelte.VERSION, 10) >= 5) options.hmr = true;
+  const r = svelte.compile(code, options);
+  return { code: r.js.code, map: r.js.map, css: (r.css && r.css.code) || '' };
+}
+
+// Find the svelte.config.js nearest to a component, walking up to the
+// project root. Re-imported when its mtime changes; {} when there is none.
+async function loadSvelteConfig(filePath) {
+  const path = require('path');
+  const root = process.cwd();
+  let dir = path.dirname(path.resolve(filePath));
+  while (true) {
+    for (const name of ['svelte.config.js', 'svelte.config.mjs', 'svelte.config.cjs']) {
+      const p = path.join(dir, name);
+      let st;
+      try { st = fs.statSync(p); } catch (e) { continue; }
+      const hit = svelteConfigs.get(p);
+      if (hit && hit.mtime === st.mtimeMs) return hit.config;
+      const mod = await import(require('url').pathToFileURL(p).href + '?t=' + st.mtimeMs);
+      const config = mod.default || mod;
+      svelteConfigs.set(p, { mtime: st.mtimeMs, config: config });
+      return config;
+    }
+    const parent = path.dirname(dir);
+    if (dir === root || parent === dir) return {};
+    dir = parent;
+  }
+}
+
+// Vue SFC: script, template and style blocks. The scope id is hashed from
+// the file path, so every component gets its own (like @vitejs/plugin-vue).
+// CSS is returned separately, like Svelte's.
+async function compileVue(filename, filePath, source) {
+  const C = require('@vue/compiler-sfc');
+  const { descriptor: d, errors } = C.parse(source, { filename: filename });
+  if (errors.length) throw errors[0];
+
+  const id = require('crypto').createHash('sha256').update(filePath).digest('hex').slice(0, 8);
+  const scopeId = 'data-v-' + id;
+  const scoped = d.styles.some(s => s.scoped);
+
+  let sc = '', tp = '', b = {}, map = null;
+  if (d.scriptSetup || d.script) {
+    let r;
+    try {
+      r = C.compileScript(d, { id: id, sourceMap: true });
+    } catch (e) {
+      throw shiftLoc(e, (d.scriptSetup || d.script).loc.start.line - 1);
+    }
+    sc = r.content.replace(/export\s+default\s+/, 'const __sfc__=');
+    b = r.bindings || {};
+    // Script block comes first in the output, so its map lines up as-is.
+    // The generated render function below is left unmapped.
+    map = r.map;
+  }
+  if (d.template) {
+    const t = C.compileTemplate({
+      source: d.template.content, filename: filename, id: id,
+      scoped: scoped, slotted: d.slotted,
+      compilerOptions: { bindingMetadata: b, scopeId: scoped ? scopeId : undefined }
+    });
+    if (t.errors.length) throw shiftLoc(t.errors[0], d.template.loc.start.line - 1);
+    tp = t.code;
+  }
+
+  let css = '', modules = null;
+  for (const s of d.styles) {
+    const r = await C.compileStyleAsync({
+      source: s.content, filename: filename, id: scopeId,
+      scoped: !!s.scoped, modules: !!s.module, preprocessLang: s.lang
+    });
+    if (r.errors.length) throw shiftLoc(r.errors[0], s.loc.start.line - 1);
+    css += r.code + '\n';
+    // <style module> → $style, <style module="classes"> → classes
+    if (s.module) {
+      modules = modules || {};
+      modules[s.module === true ? '$style' : s.module] = r.modules || {};
+    }
+  }
+
+  let code = (sc || 'const __sfc__={};') + '\n' + tp + '\n';
+  if (tp) code += '__sfc__.render=render;\n';
+  if (scoped) code += '__sfc__.__scopeId=' + JSON.stringify(scopeId) + ';\n';
+  if (modules) code += '__sfc__.__cssModules=' + JSON.stringify(modules) + ';\n';
+  code += 'export default __sfc__;';
+  return { code: code, map: map, css: css };
+}
+
+// Compilers disagree on map shape (object, SourceMap instance, JSON string)
+// and on what they put in `sources`. Normalize to a JSON string that points
+// at the original file and embeds its content, so DevTools never has to
+// fetch the source (the URL would hit the compiled module again).
+function normalizeMap(map, filename, source) {
+  if (!map) return '';
+  try {
+    const m = typeof map === 'string' ? JSON.parse(map) : JSON.parse(JSON.stringify(map));
+    m.file = filename;
+    m.sources = [filename];
+    m.sourcesContent = [source];
+    return JSON.stringify(m);
+  } catch (e) {
+    return '';
+  }
+}
+
+// ── Plugins ─────────────────────────────────────────────────────────────────
+//
+// Modules passed after --plugins export a plugin, an array of plugins, or a
+// function returning either. Hooks follow Vite's and may be async:
+//   resolveId(id, importer) → id | { id } | null
+//   load(id)                → code | { code, map } | null
+//   transform(code, id)     → code | { code, map } | null   (chained)
+//   configureServer(server) → server.middlewares.use([route,] (req, res, next) => …)
+//
+// Requests (slot: meaning):
+//   plugin-init       → code: "name\t…", "route\t…", "hook\t…" lines
+//   plugin-resolve    filename: id, jsxSource: importer → code: resolved id
+//   plugin-load       filename: id → code, map
+//   plugin-transform  filename: id, source: code → code, map
+//   plugin-serve      filename: method, loader: url, source: header lines, a
+//                     blank line, then the body (raw bytes, passed as a Buffer)
+//                     → code: status line + header lines, map: body
+// An empty code means no plugin handled the request.
+
+const pluginArgs = process.argv.indexOf('--plugins');
+const pluginFiles = pluginArgs === -1 ? [] : process.argv.slice(pluginArgs + 1);
+let plugins = [];
+const middlewares = [];
+let pluginsReady = null;
+
+// stdout carries the protocol: plugin logging goes to the terminal via stderr
+if (pluginFiles.length) console.log = console.info = console.debug = console.error;
+
+function pluginRequest(id, type, a, b, c, source) {
+  pluginsReady = pluginsReady || initPlugins();
+  pluginsReady.then(() => {
+    if (type === 'plugin-init') return { code: pluginInfo() };
+    if (type === 'plugin-resolve') return resolveIdHook(a, c).then(r => ({ code: r }));
+    if (type === 'plugin-load') return loadHook(a);
+    if (type === 'plugin-transform') return transformHook(source, a);
+    if (type === 'plugin-serve') return serveMiddleware(a, b, source);
+    throw new Error('Unknown type: ' + type);
+  }).then(
+    r => reply(id, (r && r.code) || '', (r && r.code && r.map) || ''),
+    e => fail(id, e, type, a, String(source))
+  );
+}
+
+async function initPlugins() {
+  const path = require('path');
+  const url = require('url');
+  for (const file of pluginFiles) {
+    const mod = await import(url.pathToFileURL(path.resolve(file)).href);
+    let exported = mod.default !== undefined ? mod.default : mod;
+    if (typeof exported === 'function') exported = await exported();
+    plugins.push(...[].concat(exported).filter(Boolean));
+  }
+  const server = {
+    config: { root: process.cwd() },
+    middlewares: {
+      use(route, fn) {
+        if (typeof route === 'function') { fn = route; route = '/'; }
+        middlewares.push({ route: route, fn: fn });
+      },
+    },
+  };
+  for (const p of plugins) {
+    if (p.configureServer) await tagged(p, () => p.configureServer(server));
+  }
+}
+
+function pluginInfo() {
+  let out = '';
+  for (const p of plugins) out += 'name\t' + oneLine(p.name || 'anonymous') + '\n';
+  for (const m of middlewares) out += 'route\t' + oneLine(m.route) + '\n';
+  for (const hook of ['resolveId', 'load', 'transform']) {
+    if (plugins.some(p => typeof p[hook] === 'function')) out += 'hook\t' + hook + '\n';
+  }
+  return out;
+}
+
+// Errors name the plugin that threw, for the overlay
+async function tagged(plugin, fn) {
+  try {
+    return await fn();
   } catch (e) {
-    fs.writeSync(1, 'ERR\t' + (e.message || 'fail').replace(/[\r\n]/g, ' ') + '\n');
+    if (e && typeof e === 'object' && !e.plugin) e.plugin = plugin.name;
+    throw e;
   }
 }
+
+async function resolveIdHook(id, importer) {
+  for (const p of plugins) {
+    if (typeof p.resolveId !== 'function') continue;
+    const r = await tagged(p, () => p.resolveId(id, importer || undefined));
+    if (r) return typeof r === 'object' ? r.id : r;
+  }
+  return '';
+}
+
+async function loadHook(id) {
+  for (const p of plugins) {
+    if (typeof p.load !== 'function') continue;
+    const r = await tagged(p, () => p.load(id));
+    if (r != null) return typeof r === 'object' ? { code: r.code, map: mapString(r.map) } : { code: r };
+  }
+  return { code: '' };
+}
+
+// Each plugin's transform sees the previous one's output. The last map wins;
+// maps are not composed.
+async function transformHook(code, id) {
+  let out = null;
+  for (const p of plugins) {
+    if (typeof p.transform !== 'function') continue;
+    const r = await tagged(p, () => p.transform(out ? out.code : code, id));
+    if (r == null) continue;
+    out = typeof r === 'object' ? { code: r.code, map: mapString(r.map) || (out && out.map) } : { code: r, map: out && out.map };
+  }
+  return out || { code: '' };
+}
+
+function mapString(map) {
+  if (!map) return '';
+  return typeof map === 'string' ? map : JSON.stringify(map);
+}
+
+// Run the middlewares mounted on `url` connect-style, against a minimal
+// req (a readable stream with method, url, headers) and res. `payload` is a
+// Buffer; only the header lines are decoded, the body reaches req untouched.
+function serveMiddleware(method, url, payload) {
+  const sep = payload.indexOf('\n\n');
+  const headers = {};
+  for (const line of payload.subarray(0, sep === -1 ? payload.length : sep).toString().split('\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  const req = new (require('stream').Readable)({ read() {} });
+  if (sep !== -1 && sep + 2 < payload.length) req.push(payload.subarray(sep + 2));
+  req.push(null);
+  Object.assign(req, { method: method, url: url, originalUrl: url, headers: headers });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      writableEnded: false,
+      _headers: {},
+      setHeader(name, value) { this._headers[name.toLowerCase()] = value; return this; },
+      getHeader(name) { return this._headers[name.toLowerCase()]; },
+      removeHeader(name) { delete this._headers[name.toLowerCase()]; },
+      writeHead(status, head) {
+        this.statusCode = status;
+        if (head) for (const k of Object.keys(head)) this.setHeader(k, head[k]);
+        return this;
+      },
+      write(chunk) { this.headersSent = true; chunks.push(Buffer.from(chunk)); return true; },
+      end(chunk) {
+        if (chunk) this.write(chunk);
+        this.writableEnded = true;
+        let head = String(this.statusCode) + '\n';
+        for (const k of Object.keys(this._headers)) {
+          head += k + ': ' + oneLine([].concat(this._headers[k]).join(', ')) + '\n';
+        }
+        resolve({ code: head, map: Buffer.concat(chunks) });
+        return this;
+      },
+    };
+    let i = 0;
+    const next = (err) => {
+      if (err) return reject(err);
+      while (i < middlewares.length) {
+        const m = middlewares[i++];
+        if (!routeMatches(m.route, url)) continue;
+        // Like connect, the mount path is stripped from req.url
+        req.url = m.route === '/' ? url : url.slice(m.route.length) || '/';
+        if (req.url[0] !== '/') req.url = '/' + req.url;
+        Promise.resolve().then(() => m.fn(req, res, next)).catch(reject);
+        return;
+      }
+      resolve(null); // fell through every middleware
+    };
+    next();
+  });
+}
+
+function routeMatches(route, url) {
+  if (route === '/' || route === '') return true;
+  const path = url.split('?')[0];
+  return path === route || path.startsWith(route.endsWith('/') ? route : route + '/');
+}
+
+// ── Diagnostics ─────────────────────────────────────────────────────────────
+
+const PLUGINS = {
+  svelte: 'svelte', vue: 'vue', qwik: 'qwik', solid: 'babel',
+  jsx: 'esbuild', tsx: 'esbuild', ts: 'esbuild', 'angular-bundle': 'esbuild',
+  deps: 'esbuild',
+};
+
+// Write a failed response. Compiler errors become a JSON diagnostic for the
+// browser overlay; a missing compiler package stays a bare ERR line.
+function fail(id, e, type, filename, source) {
+  let msg = String((e && e.message) || e || 'fail');
+  if (e && e.code === 'MODULE_NOT_FOUND') {
+    fs.writeSync(1, 'ERR\t' + id + '\t' + oneLine(msg) + '\n');
+    return;
+  }
+  if (e && e.errors && e.errors[0] && e.errors[0].text) msg = e.errors[0].text;
+
+  const loc = errorLocation(e);
+  // Babel and Svelte repeat the location (and sometimes a frame) in the
+  // message; we render our own frame, so keep only the first line.
+  if (loc) msg = msg.split('\n')[0];
+
+  let file = filename;
+  let frame = '';
+  if (loc && loc.file && loc.file !== '<stdin>') {
+    // esbuild bundle error inside an imported file: only its line text is known
+    file = loc.file;
+    if (loc.lineText) frame = codeFrame(loc.lineText, 1, loc.column, loc.line);
+  } else if (loc) {
+    frame = codeFrame(source, loc.line, loc.column, 0);
+  }
+
+  const diag = Buffer.from(JSON.stringify({
+    plugin: (e && e.plugin) || PLUGINS[type] || type,
+    message: msg.slice(0, 2000),
+    file: file,
+    line: loc ? loc.line : 0,
+    column: loc ? loc.column : 0,
+    frame: frame,
+  }));
+  const where = loc ? file + ':' + loc.line + ':' + loc.column : file;
+  fs.writeSync(1, 'ERR\t' + id + '\t' + oneLine(where + ' ' + msg) + '\t' + diag.length + '\n');
+  fs.writeSync(1, diag);
+}
+
+// Pull a 1-based line/column out of whichever error shape the compiler threw.
+function errorLocation(e) {
+  if (!e) return null;
+  const es = e.errors && e.errors[0] && e.errors[0].location;
+  if (es) return { line: es.line, column: es.column + 1, file: es.file, lineText: es.lineText };
+  if (e.start && e.start.line) return { line: e.start.line, column: e.start.column + 1 };
+  if (e.loc && e.loc.start) return { line: e.loc.start.line, column: e.loc.start.column };
+  if (e.loc && e.loc.line) return { line: e.loc.line, column: e.loc.column + 1 };
+  if (typeof e.line === 'number') return { line: e.line, column: e.column || 1 };
+  return null;
+}
+
+// Vue compiles template, script and style blocks on their own, so their error
+// lines are relative to the block. Shift them to file lines.
+function shiftLoc(e, lines) {
+  if (typeof e === 'string') return new Error(e);
+  if (e && e.loc && e.loc.start) e.loc.start.line += lines;
+  else if (e && e.loc && e.loc.line) e.loc.line += lines;
+  else if (e && typeof e.line === 'number') e.line += lines;
+  return e;
+}
+
+// Two lines of context on each side, a gutter, and a caret under the column.
+// `first` renumbers the gutter when `source` is a lone excerpt.
+function codeFrame(source, line, column, first) {
+  const lines = source.split(/\r?\n/);
+  if (line < 1 || line > lines.length) return '';
+  const start = Math.max(line - 3, 0);
+  const end = Math.min(line + 2, lines.length);
+  const offset = first ? first - line : 0;
+  const width = String(end + offset).length;
+  let out = '';
+  for (let i = start; i < end; i++) {
+    const text = lines[i].slice(0, 160);
+    const n = String(i + 1 + offset).padStart(width);
+    out += (i + 1 === line ? '> ' : '  ') + n + ' | ' + text + '\n';
+    if (i + 1 === line) {
+      const pad = text.slice(0, Math.max(column - 1, 0)).replace(/[^\t]/g, ' ');
+      out += '  ' + ' '.repeat(width) + ' | ' + pad + '^\n';
+    }
+  }
+  return out;
+}
+
+// Header lines are read into a fixed buffer on the Zig side.
+function oneLine(s) {
+  return s.replace(/[\r\n\t]+/g, ' ').slice(0, 200);
+}
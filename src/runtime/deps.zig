@@ -0,0 +1,349 @@
+// WU Runtime — Dependency Pre-Bundling
+//
+// Served file by file, an npm package costs one request per module: react-dom
+// alone is dozens, lodash-es hundreds. On `wu dev` startup every package the
+// apps import is collapsed by esbuild (in the compiler daemon) into one ESM
+// file per specifier:
+//
+//   .wu-cache/deps/<key>/react.js               /@modules/react
+//   .wu-cache/deps/<key>/react-dom/client.js    /@modules/react-dom/client
+//   .wu-cache/deps/<key>/_wu_chunks/chunk-*.js  code entries share (one React)
+//
+// CommonJS packages get real named exports, so `import { useState } from
+// 'react'` works. The key hashes the lockfiles, the specifiers and the
+// version of each package they resolve to: a restart with nothing changed
+// reuses the directory, a changed lockfile builds a new one (the watcher
+// polls for it). Specifiers outside the bundle — imports added since, or
+// ones that failed to resolve — are still served file by file.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const compile_mod = @import("compile.zig");
+const graph_mod = @import("graph.zig");
+const alias_mod = @import("alias.zig");
+const resolve_mod = @import("resolve.zig");
+const shared_mod = @import("shared.zig");
+
+pub const DEPS_DIR = ".wu-cache/deps";
+
+/// Code shared between entries, under /@modules/_wu_chunks/. No npm package
+/// name starts with an underscore.
+pub const CHUNK_DIR = "_wu_chunks";
+
+/// Bump when the output layout changes; old directories are pruned.
+const FORMAT_VERSION = "wu-deps-1";
+
+/// Lockfiles of npm, yarn, pnpm and bun, looked for in every search dir.
+const LOCKFILES = [_][]const u8{
+    "package-lock.json",
+    "npm-shrinkwrap.json",
+    "yarn.lock",
+    "pnpm-lock.yaml",
+    "bun.lock",
+    "bun.lockb",
+};
+
+const MAX_LOCKFILE_SIZE = 64 * 1024 * 1024;
+
+/// Runtimes compiled framework code imports without the source naming them
+/// (JSX's automatic runtime, Solid's DOM helpers).
+const IMPLICIT = [_]struct { framework: []const u8, spec: []const u8 }{
+    .{ .framework = "react", .spec = "react/jsx-runtime" },
+    .{ .framework = "preact", .spec = "preact/jsx-runtime" },
+    .{ .framework = "solid", .spec = "solid-js/web" },
+    .{ .framework = "svelte", .spec = "svelte/internal/client" },
+    .{ .framework = "vue", .spec = "vue" },
+};
+
+// ── Bundle ──────────────────────────────────────────────────────────────────
+
+pub const Bundle = struct {
+    arena: std.heap.ArenaAllocator,
+    /// DEPS_DIR/<key>
+    dir: []const u8,
+    key: []const u8,
+    specs: std.StringHashMapUnmanaged(void),
+    /// False when an earlier run's directory was reused.
+    built: bool,
+
+    pub fn deinit(self: *Bundle) void {
+        self.arena.deinit();
+    }
+
+    /// The file answering /@modules/`name`, or null when the bundle does not
+    /// have it.
+    pub fn file(self: *const Bundle, buf: []u8, name: []const u8) ?[]const u8 {
+        if (isChunk(name)) {
+            if (std.mem.indexOf(u8, name, "..") != null) return null;
+            return std.fmt.bufPrint(buf, "{s}/{s}", .{ self.dir, name }) catch null;
+        }
+        if (!self.specs.contains(name)) return null;
+        return std.fmt.bufPrint(buf, "{s}/{s}.js", .{ self.dir, name }) catch null;
+    }
+
+    pub fn count(self: *const Bundle) usize {
+        return self.specs.count();
+    }
+};
+
+/// Chunk URLs carry a content hash and can be cached; entry URLs cannot.
+pub fn isChunk(name: []const u8) bool {
+    return std.mem.startsWith(u8, name, CHUNK_DIR ++ "/");
+}
+
+/// One specifier to bundle and the file it resolves to.
+pub const Dep = struct {
+    spec: []const u8,
+    path: []const u8,
+    version: []const u8,
+};
+
+/// Bundle what `apps` import, reusing DEPS_DIR/<key> when it exists. Null
+/// when they import no packages. `search_dirs` are the node_modules roots
+/// of /@modules/, and `shared` pins singletons the same way. `conditions`
+/// are wu.config.json "conditions".
+pub fn prepare(
+    allocator: Allocator,
+    apps: []const config_mod.AppConfig,
+    search_dirs: []const []const u8,
+    shared: ?*const shared_mod.Plan,
+    global_alias: []const config_mod.Alias,
+    conditions: []const []const u8,
+    diag: ?*compile_mod.Diagnostic,
+) !?Bundle {
+    var arena = std.heap.ArenaAllocator.init(allocator);
+    errdefer arena.deinit();
+    const a = arena.allocator();
+
+    const deps = try collect(a, apps, search_dirs, shared, global_alias, conditions);
+    if (deps.len == 0) {
+        arena.deinit();
+        return null;
+    }
+
+    const roots = try resolve_mod.searchPath(a, search_dirs);
+    const key = try std.fmt.allocPrint(a, "{x:0>16}", .{keyOf(deps, roots, conditions)});
+    const dir = try std.fmt.allocPrint(a, "{s}/{s}", .{ DEPS_DIR, key });
+
+    var specs: std.StringHashMapUnmanaged(void) = .empty;
+    for (deps) |d| try specs.put(a, d.spec, {});
+
+    var built = false;
+    std.fs.cwd().access(dir, .{}) catch {
+        try build(allocator, a, deps, conditions, dir, diag);
+        built = true;
+    };
+    prune(key);
+
+    return .{ .arena = arena, .dir = dir, .key = key, .specs = specs, .built = built };
+}
+
+/// The packages `apps` import from their own files, plus the runtimes
+/// their frameworks compile to. Each is resolved like /@modules/ resolves
+/// it; stylesheets and assets are left to the file-by-file path.
+pub fn collect(
+    arena: Allocator,
+    apps: []const config_mod.AppConfig,
+    search_dirs: []const []const u8,
+    shared: ?*const shared_mod.Plan,
+    global_alias: []const config_mod.Alias,
+    conditions: []const []const u8,
+) ![]const Dep {
+    var seen: std.StringArrayHashMapUnmanaged(void) = .empty;
+    for (apps) |app| {
+        const aliases = try arena.create(alias_mod.Aliases);
+        aliases.* = try alias_mod.load(arena, app.dir, app.alias, global_alias);
+        const graph = try graph_mod.walkApp(arena, app, search_dirs, .{
+            .into_packages = false,
+            .aliases = aliases,
+            .conditions = conditions,
+        });
+        for (graph.bare_imports) |spec| try seen.put(arena, spec, {});
+        for (IMPLICIT) |imp| {
+            if (std.mem.eql(u8, app.framework, imp.framework)) try seen.put(arena, imp.spec, {});
+        }
+    }
+
+    var deps: std.ArrayList(Dep) = .empty;
+    var pinned_buf: [33][]const u8 = undefined;
+    for (seen.keys()) |spec| {
+        const dirs = if (shared) |plan| plan.searchDirsFor(spec, search_dirs, &pinned_buf) else search_dirs;
+        const resolved = (resolve_mod.resolveModuleWith(arena, spec, dirs, .{ .conditions = conditions }) catch null) orelse continue;
+        if (!isScript(resolved.file_path)) continue;
+
+        var version: []const u8 = "";
+        const pkg_json = try std.fmt.allocPrint(arena, "{s}/package.json", .{resolved.package_dir});
+        if (std.fs.cwd().readFileAlloc(arena, pkg_json, 1024 * 1024)) |json| {
+            version = resolve_mod.findStringField(json, "version") orelse "";
+        } else |_| {}
+
+        try deps.append(arena, .{ .spec = spec, .path = resolved.file_path, .version = version });
+    }
+    std.mem.sort(Dep, deps.items, {}, depLessThan);
+    return deps.items;
+}
+
+/// Lockfile contents, the conditions, then every specifier with its file
+/// and version.
+pub fn keyOf(deps: []const Dep, search_dirs: []const []const u8, conditions: []const []const u8) u64 {
+    var hasher = std.hash.Wyhash.init(0);
+    hasher.update(FORMAT_VERSION);
+    for (conditions) |condition| {
+        hasher.update(condition);
+        hasher.update("\x00");
+    }
+
+    var path_buf: [std.fs.max_path_bytes]u8 = undefined;
+    for (search_dirs) |dir| {
+        for (LOCKFILES) |name| {
+            const path = std.fmt.bufPrint(&path_buf, "{s}/{s}", .{ dir, name }) catch continue;
+            const file = std.fs.cwd().openFile(path, .{}) catch continue;
+            defer file.close();
+            hasher.update(path);
+            var read_buf: [16 * 1024]u8 = undefined;
+            var total: usize = 0;
+            while (total < MAX_LOCKFILE_SIZE) {
+                const n = file.read(&read_buf) catch break;
+                if (n == 0) break;
+                hasher.update(read_buf[0..n]);
+                total += n;
+            }
+        }
+    }
+
+    for (deps) |d| {
+        hasher.update(d.spec);
+        hasher.update("\x00");
+        hasher.update(d.path);
+        hasher.update("\x00");
+        hasher.update(d.version);
+        hasher.update("\n");
+    }
+    return hasher.final();
+}
+
+/// Changes when a lockfile in `search_dirs` is written, created or deleted.
+/// Cheap enough for the watcher to poll.
+pub fn lockStamp(search_dirs: []const []const u8) u64 {
+    var hasher = std.hash.Wyhash.init(0);
+    var path_buf: [std.fs.max_path_bytes]u8 = undefined;
+    for (search_dirs) |dir| {
+        for (LOCKFILES) |name| {
+            const path = std.fmt.bufPrint(&path_buf, "{s}/{s}", .{ dir, name }) catch continue;
+            const stat = std.fs.cwd().statFile(path) catch {
+                hasher.update("-");
+                continue;
+            };
+            hasher.update(std.mem.asBytes(&stat.mtime));
+            hasher.update(std.mem.asBytes(&stat.size));
+        }
+    }
+    return hasher.final();
+}
+
+// ── Build ───────────────────────────────────────────────────────────────────
+
+/// Bundle into `dir`.tmp and rename it into place, so a directory named
+/// after a key is always complete.
+fn build(
+    allocator: Allocator,
+    arena: Allocator,
+    deps: []const Dep,
+    conditions: []const []const u8,
+    dir: []const u8,
+    diag: ?*compile_mod.Diagnostic,
+) !void {
+    const cwd = std.fs.cwd();
+    const tmp = try std.fmt.allocPrint(arena, "{s}.tmp", .{dir});
+    cwd.deleteTree(tmp) catch {};
+    try cwd.makePath(tmp);
+    errdefer cwd.deleteTree(tmp) catch {};
+
+    var payload: std.ArrayList(u8) = .empty;
+    const w = payload.writer(arena);
+    try w.writeAll("{\"outdir\":");
+    try config_mod.writeJsonString(w, tmp);
+    try w.writeAll(",\"entries\":{");
+    for (deps, 0..) |d, i| {
+        if (i > 0) try w.writeByte(',');
+        try config_mod.writeJsonString(w, d.spec);
+        try w.writeByte(':');
+        try config_mod.writeJsonString(w, d.path);
+    }
+    try w.writeAll("},\"conditions\":[");
+    for (conditions, 0..) |condition, i| {
+        if (i > 0) try w.writeByte(',');
+        try config_mod.writeJsonString(w, condition);
+    }
+    try w.writeAll("]}");
+
+    const result = try compile_mod.bundleDeps(allocator, payload.items, diag);
+    result.deinit(allocator);
+
+    cwd.deleteTree(dir) catch {};
+    try cwd.rename(tmp, dir);
+}
+
+/// Remove every bundle but `keep`, and builds that never finished.
+fn prune(keep: []const u8) void {
+    var dir = std.fs.cwd().openDir(DEPS_DIR, .{ .iterate = true }) catch return;
+    defer dir.close();
+    var stale: [16][64]u8 = undefined;
+    var stale_len: [16]usize = undefined;
+    var count: usize = 0;
+    var it = dir.iterate();
+    while (it.next() catch null) |entry| {
+        if (entry.kind != .directory or std.mem.eql(u8, entry.name, keep)) continue;
+        if (count == stale.len or entry.name.len > stale[0].len) continue;
+        @memcpy(stale[count][0..entry.name.len], entry.name);
+        stale_len[count] = entry.name.len;
+        count += 1;
+    }
+    // Deleting while iterating can skip entries
+    for (0..count) |i| dir.deleteTree(stale[i][0..stale_len[i]]) catch {};
+}
+
+fn isScript(path: []const u8) bool {
+    const exts = [_][]const u8{ ".js", ".mjs", ".cjs", ".ts", ".mts", ".cts", ".jsx", ".tsx" };
+    const ext = std.fs.path.extension(path);
+    for (exts) |e| {
+        if (std.mem.eql(u8, ext, e)) return true;
+    }
+    return false;
+}
+
+fn depLessThan(_: void, a: Dep, b: Dep) bool {
+    return std.mem.lessThan(u8, a.spec, b.spec);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "bundle maps entries and chunks to files" {
+    var bundle: Bundle = .{
+        .arena = std.heap.ArenaAllocator.init(std.testing.allocator),
+        .dir = DEPS_DIR ++ "/0123456789abcdef",
+        .key = "0123456789abcdef",
+        .specs = .empty,
+        .built = false,
+    };
+    defer bundle.deinit();
+    try bundle.specs.put(bundle.arena.allocator(), "react-dom/client", {});
+
+    var buf: [256]u8 = undefined;
+    try std.testing.expectEqualStrings(".wu-cache/deps/0123456789abcdef/react-dom/client.js", bundle.file(&buf, "react-dom/client").?);
+    try std.testing.expectEqualStrings(".wu-cache/deps/0123456789abcdef/_wu_chunks/chunk-AB12.js", bundle.file(&buf, "_wu_chunks/chunk-AB12.js").?);
+    try std.testing.expect(bundle.file(&buf, "react") == null);
+    try std.testing.expect(bundle.file(&buf, "_wu_chunks/../../secret") == null);
+    try std.testing.expect(isChunk("_wu_chunks/chunk-AB12.js"));
+    try std.testing.expect(!isChunk("react"));
+}
+
+test "key follows specifiers and versions" {
+    const no_dirs = [_][]const u8{};
+    const a = [_]Dep{.{ .spec = "react", .path = "node_modules/react/index.js", .version = "18.3.1" }};
+    const b = [_]Dep{.{ .spec = "react", .path = "node_modules/react/index.js", .version = "19.0.0" }};
+    try std.testing.expectEqual(keyOf(&a, &no_dirs, &.{}), keyOf(&a, &no_dirs, &.{}));
+    try std.testing.expect(keyOf(&a, &no_dirs, &.{}) != keyOf(&b, &no_dirs, &.{}));
+    try std.testing.expect(keyOf(&a, &no_dirs, &.{}) != keyOf(&a, &no_dirs, &.{"development"}));
+}
@@ -5,7 +5,14 @@
 //
 // Architecture:
 //   HTTP Listener → Thread-per-connection (keep-alive) → SIMD Parse → Route → Transform → Respond
-//   File Watcher → Atomic reload counter → WS/SSE push to connected browsers
+//   File Watcher (inotify / polling, batched) → Atomic reload counter → WS/SSE push to connected browsers
+//   Served modules → Import graph (hmr.zig) → module-level hot updates
+//   Responses ← wu.config.json "headers", global + per app, CSP nonces (headers.zig)
+//   import.meta.env ← .env files (env.zig), per app, reloaded when they change
+//   `@/...` imports ← tsconfig paths + wu.config.json "alias" (alias.zig), per app
+//   Every request → trace (status, compile tier, cache level, time) → /@wu/inspect (inspect.zig)
+//   /@modules/ ← one esbuild bundle per package (deps.zig), rebuilt when a lockfile changes
+//   --https: TLS 1.3 (tls.zig) → HTTP/2 streams (http2.zig) or HTTP/1.1 relay → loopback listener
 //
 // Integrations from: FORJA (HTTP server), STORM (JSX transform), ZigStorm (SIMD parser, WebSocket).
 
@@ -14,11 +21,25 @@ const builtin = @import("builtin");
 const Allocator = std.mem.Allocator;
 const mime_mod = @import("mime.zig");
 const transform = @import("transform.zig");
+const ts_strip = @import("ts_strip.zig");
 const resolve_mod = @import("resolve.zig");
 const compile_mod = @import("compile.zig");
 const cache_mod = @import("cache.zig");
+const deps_mod = @import("deps.zig");
+const shared_mod = @import("shared.zig");
+const hmr = @import("hmr.zig");
+const env_mod = @import("env.zig");
+const alias_mod = @import("alias.zig");
+const headers_mod = @import("headers.zig");
+const inspect_mod = @import("inspect.zig");
+const plugins_mod = @import("plugins.zig");
+const watcher_mod = @import("watcher.zig");
 const http_parser = @import("http_parser.zig");
 const ws_proto = @import("ws_protocol.zig");
+const tls = @import("tls.zig");
+const cert_mod = @import("cert.zig");
+const http2 = @import("http2.zig");
+const rules_mod = @import("../proxy/rules.zig");
 const ansi = @import("../util/ansi.zig");
 const signals = @import("../util/signals.zig");
 const config_mod = @import("../config/config.zig");
@@ -30,6 +51,10 @@ pub const AppEntry = struct {
     dir: []const u8,
     framework: []const u8,
     port: u16 = 0, // Original port (for display only)
+    /// Response headers under the app's path (wu.config.json "headers").
+    headers: []const config_mod.Header = &.{},
+    /// The app's own import aliases (wu.config.json "alias").
+    alias: []const config_mod.Alias = &.{},
 };
 
 pub const Config = struct {
@@ -38,22 +63,70 @@ pub const Config = struct {
     shell_dir: []const u8 = "",
     shell_framework: []const u8 = "astro",
     apps: []const AppEntry = &.{},
+    /// Singletons from wu.config.json "shared": pinned resolution + import map.
+    shared: ?*const shared_mod.Plan = null,
+    /// Extra ignore patterns ("watch.ignore"), on top of .gitignore files.
+    watch_ignore: []const []const u8 = &.{},
+    /// Plugin modules from wu.config.json; empty means wu.plugins.js, if any.
+    plugins: []const []const u8 = &.{},
+    /// Backend API routes from the "proxy" section (see proxy/rules.zig).
+    proxy: []const config_mod.ProxyRule = &.{},
+    /// HTTPS + HTTP/2 (wu.config.json "https" or `wu dev --https`).
+    https: config_mod.HttpsConfig = .{},
+    /// Picks the .env.[mode] files (`wu dev --mode`).
+    mode: []const u8 = "development",
+    /// Response headers for every path; an app's own win (see headers.zig).
+    headers: []const config_mod.Header = &.{},
+    /// Import aliases for every app, after each app's own (see alias.zig).
+    alias: []const config_mod.Alias = &.{},
+    /// Extra package.json "exports"/"imports" conditions (see resolve.zig).
+    conditions: []const []const u8 = &.{},
 };
 
 // ── Server ──────────────────────────────────────────────────────────────────
 
 var g_server: ?*DevServer = null;
 
+/// Largest HMR event (SSE-formatted). Compile errors carry a code frame.
+const HMR_EVENT_MAX = 8192;
+
+/// Configured headers for the request this thread is answering (one
+/// thread per connection), applied by sendResponse and friends.
+threadlocal var tl_policy: headers_mod.Policy = .{};
+
+/// What answering the current request involved, for the inspector.
+/// Handlers fill in the tier and cache level, sendResponse and friends the
+/// status and size.
+threadlocal var tl_trace: inspect_mod.Trace = .{};
+
 pub const DevServer = struct {
     config: Config,
     allocator: Allocator,
     running: std.atomic.Value(bool),
     reload_counter: std.atomic.Value(u64),
     compile_cache: cache_mod.CompileCache,
+    // Hash of each compiler package's package.json, for compile cache keys;
+    // forgotten when a lockfile changes
+    compiler_mutex: std.Thread.Mutex,
+    compiler_versions: std.StringHashMapUnmanaged(u64),
+
+    // HMR: import graph of served modules, and whether react-refresh resolves
+    hmr_graph: hmr.Graph,
+    react_refresh: bool,
+
+    // Dev-server plugins (plugins.zig), loaded by run()
+    plugins: ?plugins_mod.Plugins,
+
+    // Backend API proxy rules, resolved by run()
+    proxy_rules: rules_mod.Rules,
+
+    // HTTPS: the certificate, and the loopback listener TLS traffic is relayed to
+    identity: ?cert_mod.Identity,
+    backend: std.net.Address,
 
     // HMR: pre-formatted SSE event for the last detected change
     hmr_mutex: std.Thread.Mutex,
-    hmr_event_buf: [512]u8,
+    hmr_event_buf: [HMR_EVENT_MAX]u8,
     hmr_event_len: usize,
 
     // Hot-reload: live app list (updated when wu.config.json changes)
@@ -62,6 +135,26 @@ pub const DevServer = struct {
     _hot_cfgs: std.ArrayList(config_mod.WuConfig), // keeps old config memory alive
     _hot_app_bufs: std.ArrayList([]AppEntry), // keeps old app entry slices alive
 
+    // import.meta.env per app directory, loaded on first request
+    env_mutex: std.Thread.Mutex,
+    envs: std.StringHashMapUnmanaged(*env_mod.Env),
+    _old_envs: std.ArrayList(*env_mod.Env), // replaced envs stay alive until shutdown
+
+    // Import aliases per app directory, loaded on first use
+    alias_mutex: std.Thread.Mutex,
+    aliases: std.StringHashMapUnmanaged(*alias_mod.Aliases),
+    global_alias: []const config_mod.Alias, // follows config reloads, under alias_mutex
+    conditions: []const []const u8, // likewise
+    _old_aliases: std.ArrayList(*alias_mod.Aliases), // replaced aliases stay alive until shutdown
+
+    // Recent requests and per-app totals for /@wu/inspect
+    inspect_log: inspect_mod.Log,
+
+    // Pre-bundled npm dependencies (deps.zig), built by run()
+    deps_mutex: std.Thread.Mutex,
+    deps: ?*deps_mod.Bundle,
+    _old_deps: std.ArrayList(*deps_mod.Bundle), // replaced bundles stay alive until shutdown
+
     pub fn init(allocator: Allocator, config: Config) DevServer {
         return .{
             .config = config,
@@ -69,6 +162,14 @@ pub const DevServer = struct {
             .running = std.atomic.Value(bool).init(false),
             .reload_counter = std.atomic.Value(u64).init(0),
             .compile_cache = cache_mod.CompileCache.init(allocator),
+            .compiler_mutex = .{},
+            .compiler_versions = .empty,
+            .hmr_graph = hmr.Graph.init(allocator),
+            .react_refresh = false,
+            .plugins = null,
+            .proxy_rules = .{},
+            .identity = null,
+            .backend = undefined,
             .hmr_mutex = .{},
             .hmr_event_buf = undefined,
             .hmr_event_len = 0,
@@ -76,6 +177,18 @@ pub const DevServer = struct {
             .live_apps = config.apps,
             ._hot_cfgs = .empty,
             ._hot_app_bufs = .empty,
+            .env_mutex = .{},
+            .envs = .empty,
+            ._old_envs = .empty,
+            .alias_mutex = .{},
+            .aliases = .empty,
+            .global_alias = config.alias,
+            .conditions = config.conditions,
+            ._old_aliases = .empty,
+            .inspect_log = inspect_mod.Log.init(),
+            .deps_mutex = .{},
+            .deps = null,
+            ._old_deps = .empty,
         };
     }
 
@@ -114,6 +227,8 @@ pub const DevServer = struct {
                 .dir = app.dir,
                 .framework = app.framework,
                 .port = app.port,
+                .headers = app.headers,
+                .alias = app.alias,
             }) catch continue;
         }
 
@@ -124,6 +239,13 @@ pub const DevServer = struct {
         self.live_apps = new_slice;
         self.apps_mutex.unlock();
 
+        // Aliases and resolve conditions may have changed with the config
+        self.alias_mutex.lock();
+        self.global_alias = cfg.alias;
+        self.conditions = cfg.conditions;
+        self.resetAliases();
+        self.alias_mutex.unlock();
+
         // Store cfg and app buf to keep memory alive until shutdown
         self._hot_cfgs.append(self.allocator, cfg) catch {
             cfg.deinit(self.allocator);
@@ -143,12 +265,31 @@ pub const DevServer = struct {
         });
         defer listener.deinit();
 
+        // HTTPS: connections are decrypted here and relayed to a loopback
+        // listener that serves plain HTTP/1.1, so the handlers stay unchanged.
+        var internal: ?std.net.Server = null;
+        defer if (internal) |*l| l.deinit();
+        defer if (self.identity) |*identity| identity.deinit(self.allocator);
+        if (self.config.https.enabled) {
+            self.identity = try self.loadIdentity();
+            const loopback = try std.net.Address.parseIp4("127.0.0.1", 0);
+            internal = try loopback.listen(.{ .reuse_address = true });
+            self.backend = internal.?.listen_address;
+        }
+
         self.running.store(true, .release);
 
         // Install Ctrl+C handler
         g_server = self;
         signals.install(shutdownSignal);
 
+        self.react_refresh = self.detectReactRefresh();
+        self.startPlugins();
+        _ = self.prepareDeps();
+        self.collectCacheGarbage();
+        self.proxy_rules = try rules_mod.Rules.init(self.allocator, self.config.proxy, self.config.apps);
+        defer self.proxy_rules.deinit(self.allocator);
+
         // Start file watcher in background
         const watcher = std.Thread.spawn(.{}, watcherThread, .{self}) catch null;
         _ = watcher;
@@ -156,27 +297,300 @@ pub const DevServer = struct {
         // Print startup banner
         self.printStartup();
 
-        // Accept loop
+        if (internal) |*l| {
+            const backend_thread = try std.Thread.spawn(.{}, acceptLoop, .{ self, l, false });
+            backend_thread.detach();
+        }
+        self.acceptLoop(&listener, internal != null);
+
+        std.debug.print("\n  {s}Server stopped.{s}\n\n", .{ ansi.dim, ansi.reset });
+    }
+
+    /// Accept connections until shutdown. With `tls_front` (the public
+    /// listener of an HTTPS server) each one starts with a TLS handshake.
+    fn acceptLoop(self: *DevServer, listener: *std.net.Server, tls_front: bool) void {
         while (self.running.load(.acquire)) {
             const conn = listener.accept() catch {
                 if (!self.running.load(.acquire)) break;
                 continue;
             };
 
-            const thread = std.Thread.spawn(.{}, connectionThread, .{ self, conn }) catch {
+            const spawned = if (tls_front)
+                std.Thread.spawn(.{}, tlsConnectionThread, .{ self, conn })
+            else
+                std.Thread.spawn(.{}, connectionThread, .{ self, conn });
+            const thread = spawned catch {
                 conn.stream.close();
                 continue;
             };
             thread.detach();
         }
+    }
 
-        std.debug.print("\n  {s}Server stopped.{s}\n\n", .{ ansi.dim, ansi.reset });
+    /// The configured certificate, else a self-signed one for localhost,
+    /// the --host address and "https.hosts" (cached in .wu-cache/https/).
+    fn loadIdentity(self: *DevServer) !cert_mod.Identity {
+        const https = self.config.https;
+        if (https.cert.len > 0 or https.key.len > 0) {
+            if (https.cert.len == 0 or https.key.len == 0) {
+                std.debug.print("  {s}[https]{s} \"cert\" and \"key\" must be set together\n", .{ ansi.red, ansi.reset });
+                return error.InvalidConfig;
+            }
+            return cert_mod.load(self.allocator, https.cert, https.key) catch |err| {
+                if (err == error.UnsupportedKey) {
+                    std.debug.print("  {s}[https]{s} {s} is not an ECDSA P-256 key — create one with `mkcert -ecdsa`\n", .{
+                        ansi.red, ansi.reset, https.key,
+                    });
+                } else {
+                    std.debug.print("  {s}[https]{s} could not load {s} / {s}: {s}\n", .{
+                        ansi.red, ansi.reset, https.cert, https.key, @errorName(err),
+                    });
+                }
+                return err;
+            };
+        }
+
+        var hosts: std.ArrayList([]const u8) = .empty;
+        defer hosts.deinit(self.allocator);
+        try hosts.appendSlice(self.allocator, cert_mod.DEFAULT_HOSTS);
+        try hosts.appendSlice(self.allocator, https.hosts);
+        const host = self.config.host;
+        const listed = for (hosts.items) |h| {
+            if (std.mem.eql(u8, h, host)) break true;
+        } else false;
+        if (!listed and !std.mem.eql(u8, host, "0.0.0.0")) try hosts.append(self.allocator, host);
+        return cert_mod.selfSignedCached(self.allocator, hosts.items, std.time.timestamp());
     }
 
     pub fn shutdown(self: *DevServer) void {
         self.running.store(false, .release);
         self.compile_cache.deinit();
+        self.compiler_versions.deinit(self.allocator);
         compile_mod.shutdownDaemon();
+
+        self.env_mutex.lock();
+        defer self.env_mutex.unlock();
+        self.resetEnvs();
+        for (self._old_envs.items) |env| {
+            env.deinit();
+            self.allocator.destroy(env);
+        }
+        self._old_envs.deinit(self.allocator);
+        self.envs.deinit(self.allocator);
+
+        self.alias_mutex.lock();
+        defer self.alias_mutex.unlock();
+        self.resetAliases();
+        for (self._old_aliases.items) |aliases| {
+            aliases.deinit();
+            self.allocator.destroy(aliases);
+        }
+        self._old_aliases.deinit(self.allocator);
+        self.aliases.deinit(self.allocator);
+
+        self.deps_mutex.lock();
+        defer self.deps_mutex.unlock();
+        if (self.deps) |bundle| self._old_deps.append(self.allocator, bundle) catch {};
+        for (self._old_deps.items) |bundle| {
+            bundle.deinit();
+            self.allocator.destroy(bundle);
+        }
+        self._old_deps.deinit(self.allocator);
+        self.deps = null;
+    }
+
+    // ── Environment ─────────────────────────────────────────────────────────
+
+    /// import.meta.env for modules under `dir`: the root .env files, then
+    /// the directory's own. Null when it could not be loaded.
+    fn envFor(self: *DevServer, dir: []const u8) ?*const env_mod.Env {
+        self.env_mutex.lock();
+        defer self.env_mutex.unlock();
+        if (self.envs.get(dir)) |env| return env;
+
+        const root_only = dir.len == 0 or std.mem.eql(u8, dir, ".");
+        const both = [_][]const u8{ ".", dir };
+        const dirs = if (root_only) both[0..1] else both[0..];
+        const env = self.allocator.create(env_mod.Env) catch return null;
+        env.* = env_mod.Env.load(self.allocator, dirs, self.config.mode, false) catch {
+            self.allocator.destroy(env);
+            return null;
+        };
+        const key = env.arena.allocator().dupe(u8, dir) catch dir;
+        self.envs.put(self.allocator, key, env) catch {
+            self._old_envs.append(self.allocator, env) catch {};
+        };
+        return env;
+    }
+
+    /// The env of the app serving `path`, else the shell's.
+    fn envForPath(self: *DevServer, path: []const u8) ?*const env_mod.Env {
+        if (self.appForPath(path)) |app| return self.envFor(app.dir);
+        return self.envFor(self.config.shell_dir);
+    }
+
+    /// Drop the loaded envs so the next request re-reads the files. Requests
+    /// in flight may still hold one, so they are kept until shutdown.
+    /// Caller holds env_mutex.
+    fn resetEnvs(self: *DevServer) void {
+        var it = self.envs.valueIterator();
+        while (it.next()) |env| {
+            self._old_envs.append(self.allocator, env.*) catch {};
+        }
+        self.envs.clearRetainingCapacity();
+    }
+
+    /// Changes when an env file of the root, an app or the shell does.
+    fn envStamp(self: *DevServer) u64 {
+        var dirs: std.ArrayList([]const u8) = .empty;
+        defer dirs.deinit(self.allocator);
+        dirs.append(self.allocator, ".") catch return 0;
+        for (self.getApps()) |app| dirs.append(self.allocator, app.dir) catch return 0;
+        if (self.config.shell_dir.len > 0) dirs.append(self.allocator, self.config.shell_dir) catch return 0;
+        return env_mod.stamp(dirs.items, self.config.mode);
+    }
+
+    /// Inject import.meta.env into compiled output. Returns `code` itself
+    /// when nothing changed, else an allocator-owned copy.
+    fn injectEnv(self: *DevServer, code: []const u8, path: []const u8) []const u8 {
+        const env = self.envForPath(path) orelse return code;
+        return env.inject(self.allocator, code) catch code;
+    }
+
+    // ── Import Aliases ──────────────────────────────────────────────────────
+
+    /// The aliases of modules under `dir`: `app_alias`, the global ones,
+    /// then the directory's tsconfig.json paths. Null when they could not
+    /// be loaded.
+    fn aliasesFor(self: *DevServer, dir: []const u8, app_alias: []const config_mod.Alias) ?*const alias_mod.Aliases {
+        self.alias_mutex.lock();
+        defer self.alias_mutex.unlock();
+        if (self.aliases.get(dir)) |aliases| return aliases;
+
+        const aliases = self.allocator.create(alias_mod.Aliases) catch return null;
+        aliases.* = alias_mod.load(self.allocator, dir, app_alias, self.global_alias) catch {
+            self.allocator.destroy(aliases);
+            return null;
+        };
+        const key = aliases.arena.allocator().dupe(u8, dir) catch dir;
+        self.aliases.put(self.allocator, key, aliases) catch {
+            self._old_aliases.append(self.allocator, aliases) catch {};
+        };
+        return aliases;
+    }
+
+    /// The aliases of the app serving `path`, else the shell's.
+    fn aliasesForPath(self: *DevServer, path: []const u8) ?*const alias_mod.Aliases {
+        if (self.appForPath(path)) |app| return self.aliasesFor(app.dir, app.alias);
+        return self.aliasesFor(self.config.shell_dir, &.{});
+    }
+
+    /// Drop the loaded aliases so the next request re-reads the configs.
+    /// Requests in flight may still hold some, so they are kept until
+    /// shutdown. Caller holds alias_mutex.
+    fn resetAliases(self: *DevServer) void {
+        var it = self.aliases.valueIterator();
+        while (it.next()) |aliases| {
+            self._old_aliases.append(self.allocator, aliases.*) catch {};
+        }
+        self.aliases.clearRetainingCapacity();
+    }
+
+    /// Changes when a tsconfig.json or jsconfig.json of an app, the shell
+    /// or one they extend does, or when the "alias" or "conditions"
+    /// settings do.
+    fn aliasStamp(self: *DevServer) u64 {
+        var hasher = std.hash.Wyhash.init(0);
+        hashAliasConfig(&hasher, self.currentGlobalAlias());
+        for (self.resolveOptions().conditions) |condition| {
+            hasher.update(condition);
+            hasher.update("\x00");
+        }
+        for (self.getApps()) |app| {
+            hashAliasConfig(&hasher, app.alias);
+            const aliases = self.aliasesFor(app.dir, app.alias) orelse continue;
+            const stamp = aliases.stamp();
+            hasher.update(std.mem.asBytes(&stamp));
+        }
+        if (self.config.shell_dir.len > 0) {
+            if (self.aliasesFor(self.config.shell_dir, &.{})) |aliases| {
+                const stamp = aliases.stamp();
+                hasher.update(std.mem.asBytes(&stamp));
+            }
+        }
+        return hasher.final();
+    }
+
+    fn hashAliasConfig(hasher: *std.hash.Wyhash, aliases: []const config_mod.Alias) void {
+        for (aliases) |a| {
+            hasher.update(a.find);
+            hasher.update("\x00");
+            hasher.update(a.replacement);
+            hasher.update("\x00");
+        }
+        hasher.update("\x01");
+    }
+
+    fn currentGlobalAlias(self: *DevServer) []const config_mod.Alias {
+        self.alias_mutex.lock();
+        defer self.alias_mutex.unlock();
+        return self.global_alias;
+    }
+
+    /// How /@modules/ specifiers resolve: the configured conditions, and
+    /// package files reachable by path (the URLs name them).
+    fn resolveOptions(self: *DevServer) resolve_mod.Options {
+        self.alias_mutex.lock();
+        defer self.alias_mutex.unlock();
+        return .{ .conditions = self.conditions, .file_subpaths = true };
+    }
+
+    /// Rewrite aliased imports in `code` relative to `path`. Returns `code`
+    /// itself when nothing changed, else an allocator-owned copy.
+    fn applyAliases(self: *DevServer, code: []const u8, path: []const u8) []const u8 {
+        const aliases = self.aliasesForPath(path) orelse return code;
+        return aliases.rewrite(self.allocator, code, path) catch code;
+    }
+
+    /// Load the dev-server plugins: wu.config.json "plugins", else
+    /// wu.plugins.js when it exists. Failures are reported and wu dev runs
+    /// without plugins.
+    fn startPlugins(self: *DevServer) void {
+        const modules = if (self.config.plugins.len > 0) self.config.plugins else blk: {
+            std.fs.cwd().access(plugins_mod.DEFAULT_FILE, .{}) catch return;
+            break :blk plugins_mod.DEFAULT_MODULES;
+        };
+
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        self.plugins = plugins_mod.Plugins.start(self.allocator, modules, &diag) catch |err| {
+            if (err == error.Diagnosed) {
+                std.debug.print("  {s}[plugins]{s} {s}\n", .{ ansi.red, ansi.reset, diag.summary });
+            } else {
+                std.debug.print("  {s}[plugins]{s} could not load plugins: {s}\n", .{ ansi.red, ansi.reset, @errorName(err) });
+            }
+            return;
+        };
+        if (self.plugins == null) {
+            std.debug.print("  {s}[plugins]{s} no plugins loaded from {s}\n", .{
+                ansi.dim, ansi.reset, modules[0],
+            });
+        }
+    }
+
+    /// React Fast Refresh needs a React app and react-refresh installed;
+    /// without it React components fall back to remounting the app.
+    fn detectReactRefresh(self: *DevServer) bool {
+        for (self.getApps()) |app| {
+            if (!std.mem.eql(u8, app.framework, "react")) continue;
+            var dirs_buf: [32][]const u8 = undefined;
+            const resolved = resolve_mod.resolveModuleWith(self.allocator, "react-refresh/runtime", self.moduleSearchDirs(&dirs_buf), self.resolveOptions()) catch return false;
+            const r = resolved orelse return false;
+            self.allocator.free(r.file_path);
+            self.allocator.free(r.package_dir);
+            return true;
+        }
+        return false;
     }
 
     fn printStartup(self: *DevServer) void {
@@ -184,8 +598,9 @@ pub const DevServer = struct {
         std.debug.print("  {s}WU Dev Server{s}  {s}(native zig runtime){s}\n", .{
             ansi.bold, ansi.reset, ansi.dim, ansi.reset,
         });
-        std.debug.print("  {s}>{s}  http://{s}:{d}/\n\n", .{
-            ansi.green, ansi.reset, self.config.host, self.config.port,
+        const scheme = if (self.config.https.enabled) "https" else "http";
+        std.debug.print("  {s}>{s}  {s}://{s}:{d}/\n\n", .{
+            ansi.green, ansi.reset, scheme, self.config.host, self.config.port,
         });
 
         if (self.config.shell_dir.len > 0) {
@@ -216,6 +631,33 @@ pub const DevServer = struct {
         if (self.compile_cache.disk_ready) {
             std.debug.print("  {s}persistent cache: .wu-cache/{s}\n", .{ ansi.dim, ansi.reset });
         }
+        std.debug.print("  {s}inspector: /@wu/inspect{s}\n", .{ ansi.dim, ansi.reset });
+        if (self.deps) |bundle| {
+            std.debug.print("  {s}pre-bundled dependencies: {d} ({s}/){s}\n", .{
+                ansi.dim, bundle.count(), deps_mod.DEPS_DIR, ansi.reset,
+            });
+        }
+        if (!std.mem.eql(u8, self.config.mode, "development")) {
+            std.debug.print("  {s}mode: {s} (.env.{s}){s}\n", .{ ansi.dim, self.config.mode, self.config.mode, ansi.reset });
+        }
+        if (self.identity) |identity| {
+            std.debug.print("  {s}HTTPS: TLS 1.3, HTTP/2{s}\n", .{ ansi.dim, ansi.reset });
+            if (identity.self_signed) {
+                std.debug.print("  {s}self-signed certificate: {s} — trust it once to skip the browser warning{s}\n", .{
+                    ansi.dim, cert_mod.CERT_FILE, ansi.reset,
+                });
+            }
+        }
+        for (self.proxy_rules.routes) |route| {
+            std.debug.print("  {s}proxy: {s} → {s}{s}\n", .{ ansi.dim, route.mount, route.rule.target, ansi.reset });
+        }
+        if (self.plugins) |plugins| {
+            std.debug.print("  {s}plugins:", .{ansi.dim});
+            for (plugins.names, 0..) |name, i| {
+                std.debug.print("{s} {s}", .{ if (i > 0) "," else "", name });
+            }
+            std.debug.print("{s}\n", .{ansi.reset});
+        }
         std.debug.print("\n", .{});
     }
 
@@ -234,6 +676,53 @@ pub const DevServer = struct {
         }
     }
 
+    /// HTTPS connection: the TLS handshake, then HTTP/2 (http2.zig) or an
+    /// HTTP/1.1 relay — WebSockets included — to the internal listener.
+    fn tlsConnectionThread(self: *DevServer, conn: std.net.Server.Connection) void {
+        defer conn.stream.close();
+        const identity = if (self.identity) |*id| id else return;
+
+        var session: tls.Connection = .{ .stream = conn.stream };
+        // Browsers abort handshakes with certificates they do not trust yet;
+        // they show their own warning, so there is nothing to report here.
+        session.handshake(self.allocator, identity, .{}) catch return;
+        defer session.close();
+
+        switch (session.protocol) {
+            .h2 => http2.serve(self.allocator, &session, self.backend),
+            .http1 => self.pipeHttp1(&session),
+        }
+    }
+
+    /// Copy requests (and WebSocket frames after an upgrade) to the internal
+    /// listener; responses flow back on a second thread.
+    fn pipeHttp1(self: *DevServer, session: *tls.Connection) void {
+        const backend = std.net.tcpConnectToAddress(self.backend) catch return;
+        defer backend.close();
+        const replies = std.Thread.spawn(.{}, pipeReplies, .{ session, backend }) catch return;
+
+        var buf: [tls.MAX_PLAINTEXT]u8 = undefined;
+        while (true) {
+            const n = session.read(&buf) catch break;
+            if (n == 0) break;
+            platformWrite(backend, buf[0..n]) catch break;
+        }
+        // Ends the reply thread's read
+        std.posix.shutdown(backend.handle, .both) catch {};
+        replies.join();
+    }
+
+    fn pipeReplies(session: *tls.Connection, backend: std.net.Stream) void {
+        var buf: [tls.MAX_PLAINTEXT]u8 = undefined;
+        while (true) {
+            const n = platformRead(backend, &buf) catch break;
+            if (n == 0) break;
+            session.writeAll(buf[0..n]) catch break;
+        }
+        // Ends pipeHttp1's read when the dev server hung up first
+        std.posix.shutdown(session.stream.handle, .recv) catch {};
+    }
+
     fn handleRequest(self: *DevServer, stream: std.net.Stream) !void {
         var recv_buf: [16384]u8 = undefined;
         const n = try platformRead(stream, &recv_buf);
@@ -247,6 +736,39 @@ pub const DevServer = struct {
             return;
         };
 
+        var nonce_buf: [headers_mod.NONCE_LEN]u8 = undefined;
+        tl_policy = self.headerPolicy(req.path, &nonce_buf);
+        defer tl_policy = .{};
+
+        const started = std.time.nanoTimestamp();
+        tl_trace = .{};
+        defer self.recordRequest(&req, started);
+
+        // Plugin middlewares see every method, so they go before the GET-only routes
+        if (self.plugins) |*plugins| {
+            if (plugins.matchesRoute(req.path)) {
+                if (try self.servePluginRoute(stream, plugins, &req)) return;
+            }
+        }
+
+        // Backend APIs take any method (and their own preflights), so proxy
+        // rules go before the GET-only routes and routeRequest's shell fallback.
+        // wu's own endpoints are never proxied.
+        const internal = std.mem.startsWith(u8, req.path, "/__wu") or std.mem.startsWith(u8, req.path, "/@");
+        if (!internal) {
+            if (self.proxy_rules.match(req.path)) |route| {
+                const scheme = if (self.config.https.enabled) "https" else "http";
+                try rules_mod.forward(self.allocator, stream, raw, &req, route, scheme);
+                // The upstream response ran until its connection closed
+                return error.ConnectionClosed;
+            }
+        }
+
+        // The inspector's one action; POST so a stray link or prefetch can't trigger it
+        if (req.method == .POST and std.mem.eql(u8, req.path, "/@wu/inspect/clear-cache")) {
+            return self.clearCompileCache(stream);
+        }
+
         // CORS preflight
         if (req.method == .OPTIONS) {
             try sendResponse(stream, 204, "text/plain", "");
@@ -276,9 +798,11 @@ pub const DevServer = struct {
         }
 
         // CSS module import: /path/style.css?import → serve CSS as JS module
-        // (The ?import query is appended by transform.zig when it sees `import './style.css'`)
+        // (The ?import query is appended by transform.zig when it sees `import './style.css'`;
+        // component styles add &v=<hash>, see appendStyleImport)
         if (req.query) |query| {
-            if (std.mem.eql(u8, query, "import") and std.mem.endsWith(u8, path, ".css")) {
+            const is_import = std.mem.eql(u8, query, "import") or std.mem.startsWith(u8, query, "import&");
+            if (is_import and std.mem.endsWith(u8, path, ".css")) {
                 return self.serveCssAsModule(stream, path);
             }
         }
@@ -300,20 +824,52 @@ pub const DevServer = struct {
             return self.handleModuleRequest(stream, path[10..]);
         }
 
+        // 2a. Modules only plugins know about (virtual modules)
+        if (std.mem.startsWith(u8, path, plugins_mod.ID_PREFIX)) {
+            return self.servePluginId(stream, path[plugins_mod.ID_PREFIX.len..]);
+        }
+
         // 3. WU client script (injected by HMR)
         if (std.mem.eql(u8, path, "/@wu/client.js")) {
             return sendResponse(stream, 200, "application/javascript; charset=utf-8", wu_hmr_client);
         }
 
+        // 3a. HMR runtime (import.meta.hot) and the React Fast Refresh runtime
+        if (std.mem.eql(u8, path, "/@wu/hmr.js")) {
+            return sendResponse(stream, 200, "application/javascript; charset=utf-8", hmr.runtime_js);
+        }
+        if (std.mem.eql(u8, path, "/@wu/react-refresh.js")) {
+            return sendResponse(stream, 200, "application/javascript; charset=utf-8", hmr.react_refresh_js);
+        }
+
         // 3b. Dynamic app list endpoint — shell reads this to build UI
         if (std.mem.eql(u8, path, "/@wu/apps.json")) {
             return self.serveAppsJson(stream);
         }
 
+        // 3c. Import map for shared dependencies (also inlined into HTML pages)
+        if (std.mem.eql(u8, path, "/@wu/importmap.json")) {
+            var buf: std.ArrayList(u8) = .empty;
+            defer buf.deinit(self.allocator);
+            try self.writeImportMap(buf.writer(self.allocator));
+            return sendResponse(stream, 200, "application/importmap+json; charset=utf-8", buf.items);
+        }
+
+        // 3d. Inspector: recent requests, compile tiers, cache levels, daemon health
+        if (std.mem.eql(u8, path, "/@wu/inspect")) {
+            return self.serveInspector(stream);
+        }
+        if (std.mem.eql(u8, path, "/@wu/inspect.json")) {
+            var buf: std.ArrayList(u8) = .empty;
+            defer buf.deinit(self.allocator);
+            try self.inspect_log.writeJson(buf.writer(self.allocator), compile_mod.poolStatus());
+            return sendResponse(stream, 200, "application/json; charset=utf-8", buf.items);
+        }
+
         // Normalize: strip leading slash (/ → "", /shell/main.js → "shell/main.js")
         const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
 
-        // 3c. wu.json manifest requests — wu.init() fetches /<app>/wu.json
+        // 3e. wu.json manifest requests — wu.init() fetches /<app>/wu.json
         //     1. Serve from disk if the file exists.
         //     2. Otherwise auto-generate a default manifest for registered apps
         //        so wu-framework gets a 200 (no console 404 noise).
@@ -382,6 +938,35 @@ pub const DevServer = struct {
             return self.serveCompiledFile(stream, path, app);
         }
 
+        // Sidecars of a compiled file: App.svelte.map → source map,
+        // App.vue.css → the component's extracted styles
+        if (std.mem.eql(u8, ext, ".map") or std.mem.eql(u8, ext, ".css")) {
+            const source_path = path[0 .. path.len - ext.len];
+            if (compile_mod.needsCompile(std.fs.path.extension(source_path))) {
+                if (ext[1] == 'm') return self.serveSourceMap(stream, source_path, app);
+                return self.serveComponentCss(stream, source_path, app);
+            }
+        }
+
+        // Extensions wu does not serve itself (.mdx, .graphql, .yaml, ...)
+        // may belong to a plugin
+        if (self.plugins) |*plugins| {
+            if (std.mem.eql(u8, mime_mod.forExtension(ext), "application/octet-stream")) {
+                var diag: compile_mod.Diagnostic = .{};
+                defer diag.deinit(self.allocator);
+                const code = self.pluginModule(plugins, path, &diag) catch |err| {
+                    return self.servePluginError(stream, path, err, diag);
+                };
+                if (code) |c| {
+                    defer self.allocator.free(c);
+                    const version = self.reload_counter.load(.acquire);
+                    const versioned = versionRelativeImports(self.allocator, c, version) catch c;
+                    defer if (versioned.ptr != c.ptr) self.allocator.free(versioned);
+                    return sendResponse(stream, 200, "application/javascript; charset=utf-8", versioned);
+                }
+            }
+        }
+
         // Regular files (JS, CSS, HTML, images, etc.)
         const cwd = std.fs.cwd();
         return self.serveFileFromDisk(stream, cwd, path);
@@ -394,19 +979,24 @@ pub const DevServer = struct {
         };
         defer file.close();
 
-        // Stat first to get mtime for cache lookup
-        const stat = file.stat() catch {
-            return sendResponse(stream, 500, "text/plain", "Stat error");
+        // Key on the contents (hashed once per mtime) and the compile setup
+        const cache_key = self.compileKey(path, app) orelse {
+            return sendResponse(stream, 500, "text/plain", "Read error");
         };
-        const mtime = stat.mtime;
 
         // Cache hit? Serve directly — skip the 200-400ms node spawn
-        if (self.compile_cache.get(path, mtime)) |cached| {
+        var level: cache_mod.Level = undefined;
+        if (self.compile_cache.getLevel(cache_key, &level)) |cached| {
             defer self.allocator.free(cached);
+            tl_trace.hit(level);
+            self.hmr_graph.record(path, cached);
+            // The cache is env-free, so .env edits need no recompile
+            const with_env = self.injectEnv(cached, path);
+            defer if (with_env.ptr != cached.ptr) self.allocator.free(with_env);
             // Stamp relative imports with version to bust browser module cache
             const version = self.reload_counter.load(.acquire);
-            const versioned = versionRelativeImports(self.allocator, cached, version) catch cached;
-            defer if (versioned.ptr != cached.ptr) self.allocator.free(versioned);
+            const versioned = versionRelativeImports(self.allocator, with_env, version) catch with_env;
+            defer if (versioned.ptr != with_env.ptr) self.allocator.free(versioned);
             return sendResponse(stream, 200, "application/javascript; charset=utf-8", versioned);
         }
 
@@ -417,13 +1007,10 @@ pub const DevServer = struct {
         defer self.allocator.free(source);
 
         // Compile using the framework's own compiler (esbuild/svelte/vue)
-        const compiled = compile_mod.compileFile(
-            self.allocator,
-            source,
-            path,
-            app.dir,
-            app.framework,
-        ) catch {
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        const parts = self.compileToCache(path, cache_key, source, app, &diag) catch |err| {
+            if (err == error.Diagnosed) return self.serveCompileError(stream, app, diag);
             var err_buf: [512]u8 = undefined;
             const err_js = std.fmt.bufPrint(&err_buf,
                 "console.error('[wu] Compilation failed for {s}. Check that the framework compiler is installed.');",
@@ -431,24 +1018,334 @@ pub const DevServer = struct {
             ) catch return sendResponse(stream, 500, "text/plain", "Compile error");
             return sendResponse(stream, 200, "application/javascript; charset=utf-8", err_js);
         };
-        defer self.allocator.free(compiled);
-
-        // Apply import rewriting to compiled output (bare specifiers → /@modules/)
-        const rewritten = transform.rewriteImports(self.allocator, compiled) catch compiled;
-        const r_owned = rewritten.ptr != compiled.ptr;
-        defer if (r_owned) self.allocator.free(rewritten);
-
-        // Store the final result in cache (version-free for reuse)
-        self.compile_cache.put(path, mtime, rewritten);
+        defer parts.free(self.allocator);
+        self.hmr_graph.record(path, parts.code);
+        const with_env = self.injectEnv(parts.code, path);
+        defer if (with_env.ptr != parts.code.ptr) self.allocator.free(with_env);
 
         // Stamp relative imports with version to bust browser module cache
         const version = self.reload_counter.load(.acquire);
-        const versioned = versionRelativeImports(self.allocator, rewritten, version) catch rewritten;
-        defer if (versioned.ptr != rewritten.ptr) self.allocator.free(versioned);
+        const versioned = versionRelativeImports(self.allocator, with_env, version) catch with_env;
+        defer if (versioned.ptr != with_env.ptr) self.allocator.free(versioned);
 
         return sendResponse(stream, 200, "application/javascript; charset=utf-8", versioned);
     }
 
+    /// Compile a source file and store the result in the compile cache (version-free
+    /// for reuse) under `cache_key`. Returns the cached parts, allocator-owned.
+    fn compileToCache(
+        self: *DevServer,
+        path: []const u8,
+        cache_key: u64,
+        source: []const u8,
+        app: AppEntry,
+        diag: *compile_mod.Diagnostic,
+    ) !cache_mod.Parts {
+        // Plugin transforms see the source before the framework compiler
+        const plugin_out = try self.pluginTransform(source, path, diag);
+        defer if (plugin_out) |o| o.deinit(self.allocator);
+        const input = if (plugin_out) |o| o.code else source;
+
+        const compiled = try compile_mod.compileFile(
+            self.allocator,
+            input,
+            path,
+            app.dir,
+            app.framework,
+            true,
+            diag,
+        );
+        tl_trace.tier = compiled.tier;
+        tl_trace.cache = .miss;
+        // map and css move into the returned parts; code is rebuilt below
+        defer self.allocator.free(compiled.code);
+        var map = compiled.map;
+        errdefer {
+            self.allocator.free(map);
+            self.allocator.free(compiled.css);
+        }
+        // ts_strip keeps every line and column in place, so a transform
+        // hook's map still fits the stripped code
+        const hook_map = if (plugin_out) |o| o.map else "";
+        if (map.len == 0 and hook_map.len > 0 and compiled.tier == .native) {
+            const owned = try self.allocator.dupe(u8, hook_map);
+            self.allocator.free(map);
+            map = owned;
+        }
+
+        // Aliases first, so `@/...` becomes a relative import and not a package
+        const aliased = self.applyAliases(compiled.code, path);
+        defer if (aliased.ptr != compiled.code.ptr) self.allocator.free(aliased);
+
+        // Apply import rewriting to compiled output (bare specifiers → /@modules/)
+        const rewritten = transform.rewriteImports(self.allocator, aliased) catch aliased;
+        defer if (rewritten.ptr != aliased.ptr) self.allocator.free(rewritten);
+
+        // Framework HMR footers: React components register with react-refresh,
+        // Vue components with Vue's HMR runtime (see hmr.zig)
+        var footer: std.ArrayList(u8) = .empty;
+        defer footer.deinit(self.allocator);
+        const ext = std.fs.path.extension(path);
+        if (std.mem.eql(u8, ext, ".vue")) {
+            try hmr.appendVueHmr(self.allocator, &footer, path, rewritten, input);
+        } else if (self.react_refresh and std.mem.eql(u8, app.framework, "react") and
+            (std.mem.eql(u8, ext, ".jsx") or std.mem.eql(u8, ext, ".tsx")))
+        {
+            try hmr.appendReactRefresh(self.allocator, &footer, path, rewritten);
+        }
+
+        var out: std.ArrayList(u8) = .empty;
+        errdefer out.deinit(self.allocator);
+        // import.meta.hot goes on line 1 so line mappings stay exact
+        if (footer.items.len > 0 or hmr.usesHot(rewritten)) try out.appendSlice(self.allocator, hmr.HOT_PREAMBLE);
+        try out.appendSlice(self.allocator, rewritten);
+        if (footer.items.len > 0) {
+            if (out.items.len > 0 and out.items[out.items.len - 1] != '\n') try out.append(self.allocator, '\n');
+            try out.appendSlice(self.allocator, footer.items);
+        }
+
+        // Component styles (Svelte/Vue <style>) become their own CSS module,
+        // served by serveCssAsModule. The content hash re-runs the import when
+        // the styles change; a style-only edit is hot-swapped via hotCSS.
+        if (compiled.css.len > 0) try appendStyleImport(self.allocator, &out, path, compiled.css);
+
+        // Point DevTools at the sidecar map. Import rewriting only lengthens
+        // import lines and everything else is appended, so line mappings stay exact.
+        if (map.len > 0) try appendSourceMappingUrl(self.allocator, &out, path);
+
+        const parts: cache_mod.Parts = .{
+            .code = try out.toOwnedSlice(self.allocator),
+            .map = map,
+            .css = compiled.css,
+        };
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const deps = self.compileDeps(arena.allocator(), path, input) catch &[_][]const u8{};
+        self.compile_cache.putParts(cache_key, path, parts, deps);
+        return parts;
+    }
+
+    // ── Compile Cache Keys ──────────────────────────────────────────────────
+
+    /// The compile cache key of `path` as it is now. Null when it cannot be read.
+    fn compileKey(self: *DevServer, path: []const u8, app: AppEntry) ?u64 {
+        return self.compile_cache.key(path, self.compileSalt(path, app));
+    }
+
+    /// What besides the source decides a compiled file: the framework and
+    /// app, React Refresh, the plugins, the alias settings and the version
+    /// of the compiler that runs.
+    fn compileSalt(self: *DevServer, path: []const u8, app: AppEntry) u64 {
+        var hasher = std.hash.Wyhash.init(0);
+        hasher.update(app.framework);
+        hasher.update("\x00");
+        hasher.update(app.dir);
+        hasher.update("\x00");
+        hasher.update(if (self.react_refresh) "refresh" else "remount");
+        for (self.pluginModules()) |module| {
+            hasher.update(module);
+            hasher.update("\x00");
+        }
+        hashAliasConfig(&hasher, self.currentGlobalAlias());
+        hashAliasConfig(&hasher, app.alias);
+        const compiler = self.compilerVersion(compile_mod.compilerPackage(std.fs.path.extension(path), app.framework));
+        hasher.update(std.mem.asBytes(&compiler));
+        return hasher.final();
+    }
+
+    /// Hash of the installed `pkg`'s package.json, first found along the
+    /// module search path; 0 when it is not installed. Remembered until a
+    /// lockfile changes.
+    fn compilerVersion(self: *DevServer, pkg: ?[]const u8) u64 {
+        const name = pkg orelse return 0;
+        self.compiler_mutex.lock();
+        defer self.compiler_mutex.unlock();
+        if (self.compiler_versions.get(name)) |version| return version;
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        var dirs_buf: [32][]const u8 = undefined;
+        const roots = resolve_mod.searchPath(arena.allocator(), self.moduleSearchDirs(&dirs_buf)) catch return 0;
+        const version = for (roots) |dir| {
+            const manifest = std.fmt.allocPrint(arena.allocator(), "{s}/node_modules/{s}/package.json", .{ dir, name }) catch return 0;
+            const data = std.fs.cwd().readFileAlloc(arena.allocator(), manifest, 1024 * 1024) catch continue;
+            break std.hash.Wyhash.hash(0, data);
+        } else 0;
+        // Names come from compilerPackage and are static
+        self.compiler_versions.put(self.allocator, name, version) catch {};
+        return version;
+    }
+
+    fn resetCompilerVersions(self: *DevServer) void {
+        self.compiler_mutex.lock();
+        defer self.compiler_mutex.unlock();
+        self.compiler_versions.clearRetainingCapacity();
+    }
+
+    /// The plugin modules wu dev loaded; empty without plugins.
+    fn pluginModules(self: *DevServer) []const []const u8 {
+        if (self.plugins == null) return &.{};
+        return if (self.config.plugins.len > 0) self.config.plugins else plugins_mod.DEFAULT_MODULES;
+    }
+
+    /// Files besides `path` a compile of it read: the alias configs, the
+    /// plugin modules, svelte.config.js, and the TypeScript files a Vue
+    /// component imports (defineProps can take its types from them).
+    /// Slices live in `arena`.
+    fn compileDeps(self: *DevServer, arena: Allocator, path: []const u8, source: []const u8) ![]const []const u8 {
+        var deps: std.ArrayList([]const u8) = .empty;
+        if (self.aliasesForPath(path)) |aliases| try deps.appendSlice(arena, aliases.files);
+        try deps.appendSlice(arena, self.pluginModules());
+
+        const ext = std.fs.path.extension(path);
+        if (std.mem.eql(u8, ext, ".svelte")) {
+            if (try findUp(arena, path, &SVELTE_CONFIGS)) |config| try deps.append(arena, config);
+        } else if (std.mem.eql(u8, ext, ".vue")) {
+            var it: hmr.ImportIterator = .{ .src = source };
+            while (it.next()) |spec| {
+                var buf: [1024]u8 = undefined;
+                const target = hmr.resolveSpecifier(&buf, path, spec) orelse continue;
+                if (try probeTypeScript(arena, target)) |file| try deps.append(arena, file);
+            }
+        }
+        return deps.items;
+    }
+
+    const SVELTE_CONFIGS = [_][]const u8{ "svelte.config.js", "svelte.config.mjs", "svelte.config.cjs" };
+
+    /// The first of `names` in the directory of `path` or one above it, up
+    /// to the working directory.
+    fn findUp(arena: Allocator, path: []const u8, names: []const []const u8) !?[]const u8 {
+        var dir = std.fs.path.dirname(path);
+        while (true) {
+            for (names) |name| {
+                const candidate = try std.fs.path.join(arena, &.{ dir orelse ".", name });
+                std.fs.cwd().access(candidate, .{}) catch continue;
+                return candidate;
+            }
+            dir = std.fs.path.dirname(dir orelse return null);
+        }
+    }
+
+    /// The .ts/.tsx file an import of `target` reads, probing extensions
+    /// like the TypeScript resolver. Null for anything else.
+    fn probeTypeScript(arena: Allocator, target: []const u8) !?[]const u8 {
+        for ([_][]const u8{ "", ".ts", ".d.ts", ".tsx", "/index.ts" }) |suffix| {
+            const candidate = try std.mem.concat(arena, u8, &.{ target, suffix });
+            if (!std.mem.endsWith(u8, candidate, ".ts") and !std.mem.endsWith(u8, candidate, ".tsx")) continue;
+            const stat = std.fs.cwd().statFile(candidate) catch continue;
+            if (stat.kind == .file) return candidate;
+        }
+        return null;
+    }
+
+    /// What besides the file decides a /@modules/ transform: the specifier
+    /// it is served under, where its imports resolve from, and the resolve
+    /// conditions.
+    fn moduleSalt(module_name: []const u8, search_dirs: []const []const u8, options: resolve_mod.Options) u64 {
+        var hasher = std.hash.Wyhash.init(0);
+        hasher.update(module_name);
+        hasher.update("\x01");
+        for (search_dirs) |dir| {
+            hasher.update(dir);
+            hasher.update("\x00");
+        }
+        hasher.update("\x01");
+        for (options.conditions) |condition| {
+            hasher.update(condition);
+            hasher.update("\x00");
+        }
+        return hasher.final();
+    }
+
+    /// Report a compile the framework compiler rejected: log it, push it to the
+    /// browser overlay over the HMR channel, and answer the import with a module
+    /// that opens the overlay itself (the socket may not be connected yet on
+    /// the first page load) and then throws, so importers stop there instead
+    /// of running against a module with no exports. An importer that names
+    /// exports fails at link time before the stub runs; the HMR event covers it.
+    fn serveCompileError(self: *DevServer, stream: std.net.Stream, app: AppEntry, diag: compile_mod.Diagnostic) !void {
+        std.debug.print("  {s}[error]{s} {s}\n", .{ ansi.red, ansi.reset, diag.summary });
+
+        var event_buf: [HMR_EVENT_MAX]u8 = undefined;
+        var event: std.Io.Writer = .fixed(&event_buf);
+        if (writeCompileErrorEvent(&event, app.name, diag.json)) {
+            self.publishHmrEvent(event.buffered());
+        } else |_| {}
+
+        var out: std.ArrayList(u8) = .empty;
+        defer out.deinit(self.allocator);
+        const w = out.writer(self.allocator);
+        w.print(
+            "var __wu_err={s};\n" ++
+                "if(window.__wu_overlay)window.__wu_overlay(__wu_err);\n" ++
+                "else console.error('[wu] '+__wu_err.file+':'+__wu_err.line+':'+__wu_err.column+' '+__wu_err.message);\n" ++
+                "throw new Error('[wu] '+__wu_err.file+':'+__wu_err.line+':'+__wu_err.column+' '+__wu_err.message);\n",
+            .{diag.json},
+        ) catch return sendResponse(stream, 500, "text/plain", "Compile error");
+        return sendResponse(stream, 200, "application/javascript; charset=utf-8", out.items);
+    }
+
+    /// Serve the source map cached alongside a compiled file.
+    /// The browser only asks for it after loading the module, so the cache is warm.
+    fn serveSourceMap(self: *DevServer, stream: std.net.Stream, source_path: []const u8, app: AppEntry) !void {
+        const cache_key = self.compileKey(source_path, app) orelse {
+            return sendResponse(stream, 404, "text/plain", "Not Found");
+        };
+        const map = self.compile_cache.getMap(cache_key) orelse {
+            return sendResponse(stream, 404, "application/json", "{\"error\":\"no_source_map\"}");
+        };
+        defer self.allocator.free(map);
+        return sendResponse(stream, 200, "application/json; charset=utf-8", map);
+    }
+
+    /// Serve the styles extracted from a compiled component (App.vue.css) as
+    /// plain CSS — hotCSS refetches them with ?raw.
+    fn serveComponentCss(self: *DevServer, stream: std.net.Stream, source_path: []const u8, app: AppEntry) !void {
+        const css = self.componentCss(source_path, app) orelse {
+            return sendResponse(stream, 404, "text/plain", "Not Found");
+        };
+        defer self.allocator.free(css);
+        return sendResponse(stream, 200, "text/css; charset=utf-8", css);
+    }
+
+    /// Styles extracted from a compiled component, allocator-owned.
+    /// Compiles on a cache miss; null when the file is missing or fails to compile.
+    fn componentCss(self: *DevServer, source_path: []const u8, app: AppEntry) ?[]const u8 {
+        const cache_key = self.compileKey(source_path, app) orelse return null;
+        if (self.compile_cache.getCss(cache_key)) |css| return css;
+
+        const source = std.fs.cwd().readFileAlloc(self.allocator, source_path, 8 * 1024 * 1024) catch return null;
+        defer self.allocator.free(source);
+
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        const parts = self.compileToCache(source_path, cache_key, source, app, &diag) catch return null;
+        self.allocator.free(parts.code);
+        self.allocator.free(parts.map);
+        return parts.css;
+    }
+
+    /// Response headers for a request to `path`: the global ones, plus the
+    /// app's when the path is under one.
+    fn headerPolicy(self: *DevServer, path: []const u8, nonce_buf: *[headers_mod.NONCE_LEN]u8) headers_mod.Policy {
+        const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
+        const app_headers: []const config_mod.Header = if (self.appForPath(relative)) |app| app.headers else &.{};
+        return headers_mod.policy(self.config.headers, app_headers, nonce_buf);
+    }
+
+    /// The micro-app whose directory contains `relative` (no leading slash).
+    fn appForPath(self: *DevServer, relative: []const u8) ?AppEntry {
+        for (self.getApps()) |app| {
+            if (std.mem.startsWith(u8, relative, app.dir) and
+                (relative.len == app.dir.len or relative[app.dir.len] == '/'))
+            {
+                return app;
+            }
+        }
+        return null;
+    }
+
     fn serveShellFile(self: *DevServer, stream: std.net.Stream, relative: []const u8) !void {
         if (std.mem.indexOf(u8, relative, "..") != null) {
             return sendResponse(stream, 403, "text/plain", "Forbidden");
@@ -517,7 +1414,7 @@ pub const DevServer = struct {
         return sendResponse(stream, 200, "application/json; charset=utf-8", buf.items);
     }
 
-    fn fwColor(framework: []const u8) []const u8 {
+    pub fn fwColor(framework: []const u8) []const u8 {
         const eql = std.mem.eql;
         if (eql(u8, framework, "react")) return "#61dafb";
         if (eql(u8, framework, "vue")) return "#42b883";
@@ -535,7 +1432,7 @@ pub const DevServer = struct {
         return "#888";
     }
 
-    fn mainExt(framework: []const u8) []const u8 {
+    pub fn mainExt(framework: []const u8) []const u8 {
         const eql = std.mem.eql;
         if (eql(u8, framework, "react") or eql(u8, framework, "solid") or eql(u8, framework, "preact") or eql(u8, framework, "qwik")) return "jsx";
         if (eql(u8, framework, "angular")) return "ts";
@@ -555,14 +1452,39 @@ pub const DevServer = struct {
 
         // Apply transforms for JS/TS/JSX/TSX
         if (needsTransform(ext)) {
-            const transformed = transform.transformSource(self.allocator, contents, path) catch contents;
-            const owned = transformed.ptr != contents.ptr;
+            var diag: compile_mod.Diagnostic = .{};
+            defer diag.deinit(self.allocator);
+            const plugin_out = self.pluginTransform(contents, path, &diag) catch |err| {
+                return self.servePluginError(stream, path, err, diag);
+            };
+            defer if (plugin_out) |o| o.deinit(self.allocator);
+            const plugged = if (plugin_out) |o| o.code else contents;
+            const input = self.applyAliases(plugged, path);
+            defer if (input.ptr != plugged.ptr) self.allocator.free(input);
+
+            tl_trace.tier = .native;
+            var problem: ts_strip.Problem = .{};
+            const transformed = transform.transformSource(self.allocator, input, path, self.envForPath(path), &problem) catch |err| switch (err) {
+                error.UnsupportedSyntax => {
+                    const diagnosed = compile_mod.diagnoseTypeScript(self.allocator, input, path, problem, &diag);
+                    return self.servePluginError(stream, path, diagnosed, diag);
+                },
+                else => input,
+            };
+            const owned = transformed.ptr != input.ptr;
             defer if (owned) self.allocator.free(transformed);
+            const hot = hmr.withHotContext(self.allocator, transformed) catch transformed;
+            defer if (hot.ptr != transformed.ptr) self.allocator.free(hot);
+            self.hmr_graph.record(path, hot);
             // Stamp relative imports with version to bust browser module cache
             const version = self.reload_counter.load(.acquire);
-            const versioned = versionRelativeImports(self.allocator, transformed, version) catch transformed;
-            defer if (versioned.ptr != transformed.ptr) self.allocator.free(versioned);
-            try sendResponse(stream, 200, ct, versioned);
+            const versioned = versionRelativeImports(self.allocator, hot, version) catch hot;
+            defer if (versioned.ptr != hot.ptr) self.allocator.free(versioned);
+            // Stripping and import rewriting keep every line, so a transform
+            // hook's map still applies
+            const mapped = withInlineSourceMap(self.allocator, versioned, if (plugin_out) |o| o.map else "") catch versioned;
+            defer if (mapped.ptr != versioned.ptr) self.allocator.free(mapped);
+            try sendResponse(stream, 200, ct, mapped);
             return;
         }
 
@@ -574,14 +1496,173 @@ pub const DevServer = struct {
             const with_apps = self.injectAppsData(with_hmr) catch with_hmr;
             const apps_owned = with_apps.ptr != with_hmr.ptr;
             defer if (apps_owned) self.allocator.free(with_apps);
-            try sendResponse(stream, 200, ct, with_apps);
+            const with_refresh = if (self.react_refresh) hmr.injectRefreshPreamble(self.allocator, with_apps) catch with_apps else with_apps;
+            const refresh_owned = with_refresh.ptr != with_apps.ptr;
+            defer if (refresh_owned) self.allocator.free(with_refresh);
+            // The import map goes in last: it must precede every module script
+            const with_map = self.injectImportMap(with_refresh) catch with_refresh;
+            const map_owned = with_map.ptr != with_refresh.ptr;
+            defer if (map_owned) self.allocator.free(with_map);
+            // Every inline script above needs the CSP nonce, so it goes on last
+            const with_nonce = if (tl_policy.nonce.len > 0) headers_mod.stampNonce(self.allocator, with_map, tl_policy.nonce) catch with_map else with_map;
+            defer if (with_nonce.ptr != with_map.ptr) self.allocator.free(with_nonce);
+            try sendResponse(stream, 200, ct, with_nonce);
             return;
         }
 
         try sendResponse(stream, 200, ct, contents);
     }
 
-    fn needsTransform(ext: []const u8) bool {
+    // ── Plugins ─────────────────────────────────────────────────────────────
+
+    /// `source` after the plugins' transform hooks; null when none changed it.
+    fn pluginTransform(self: *DevServer, source: []const u8, path: []const u8, diag: *compile_mod.Diagnostic) !?compile_mod.Compiled {
+        const plugins = if (self.plugins) |*p| p else return null;
+        return plugins.transform(self.allocator, source, path, diag);
+    }
+
+    /// A module plugins produce, ready to serve: the load hook's code (or the
+    /// file at `id`) after the transform hooks and wu's import rewriting,
+    /// with the hooks' source map inlined. Null when no plugin loads or
+    /// changes it. Allocator-owned.
+    fn pluginModule(self: *DevServer, plugins: *const plugins_mod.Plugins, id: []const u8, diag: *compile_mod.Diagnostic) !?[]const u8 {
+        var from_plugin = false;
+        var load_map: []const u8 = "";
+        defer self.allocator.free(load_map);
+        const source = if (try plugins.load(self.allocator, id, diag)) |loaded| blk: {
+            load_map = loaded.map;
+            self.allocator.free(loaded.css);
+            from_plugin = true;
+            break :blk loaded.code;
+        } else blk: {
+            if (std.mem.indexOf(u8, id, "..") != null) return null;
+            break :blk std.fs.cwd().readFileAlloc(self.allocator, id, 8 * 1024 * 1024) catch return null;
+        };
+        defer self.allocator.free(source);
+
+        const transformed = try plugins.transform(self.allocator, source, id, diag);
+        defer if (transformed) |t| t.deinit(self.allocator);
+        if (transformed == null and !from_plugin) return null;
+        const code = if (transformed) |t| t.code else source;
+
+        const rewritten = try transform.rewriteImports(self.allocator, code);
+        const hot = hmr.withHotContext(self.allocator, rewritten) catch |err| {
+            self.allocator.free(rewritten);
+            return err;
+        };
+        if (hot.ptr != rewritten.ptr) self.allocator.free(rewritten);
+        self.hmr_graph.record(id, hot);
+
+        // Import rewriting keeps every line, so the last hook's map applies
+        const map = if (transformed) |t| t.map else load_map;
+        const mapped = withInlineSourceMap(self.allocator, hot, map) catch |err| {
+            self.allocator.free(hot);
+            return err;
+        };
+        if (mapped.ptr != hot.ptr) self.allocator.free(hot);
+        return mapped;
+    }
+
+    /// /@id/<id>: a module only plugins know about. Vite's `__x00__` prefix
+    /// stands for the NUL byte that marks virtual ids.
+    fn servePluginId(self: *DevServer, stream: std.net.Stream, raw_id: []const u8) !void {
+        const plugins = if (self.plugins) |*p| p else return sendResponse(stream, 404, "text/plain", "Not Found");
+
+        var id_buf: [4096]u8 = undefined;
+        const id = if (std.mem.startsWith(u8, raw_id, "__x00__"))
+            std.fmt.bufPrint(&id_buf, "\x00{s}", .{raw_id["__x00__".len..]}) catch raw_id
+        else
+            raw_id;
+
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        const resolved = plugins.resolveId(self.allocator, id, "", &diag) catch |err| {
+            return self.servePluginError(stream, raw_id, err, diag);
+        };
+        defer if (resolved) |r| self.allocator.free(r);
+        return self.servePluginResolved(stream, plugins, resolved orelse id, &diag);
+    }
+
+    /// Serve an id a plugin resolved. Files that no plugin loads go through
+    /// the regular pipeline by redirect, so they compile like any import.
+    fn servePluginResolved(self: *DevServer, stream: std.net.Stream, plugins: *const plugins_mod.Plugins, id: []const u8, diag: *compile_mod.Diagnostic) !void {
+        const code = self.pluginModule(plugins, id, diag) catch |err| {
+            return self.servePluginError(stream, id, err, diag.*);
+        } orelse {
+            const relative = if (id.len > 0 and id[0] == '/') id[1..] else id;
+            if (std.fs.cwd().access(relative, .{})) |_| {
+                var loc_buf: [4096]u8 = undefined;
+                const location = std.fmt.bufPrint(&loc_buf, "/{s}", .{relative}) catch {
+                    return sendResponse(stream, 404, "text/plain", "Not Found");
+                };
+                return sendRedirect(stream, location);
+            } else |_| {}
+
+            var err_buf: [512]u8 = undefined;
+            const err_js = std.fmt.bufPrint(&err_buf,
+                "console.error('[wu] No plugin loads \"{s}\"');",
+                .{id},
+            ) catch return sendResponse(stream, 404, "text/plain", "Not Found");
+            return sendResponse(stream, 200, "application/javascript; charset=utf-8", err_js);
+        };
+        defer self.allocator.free(code);
+        return sendResponse(stream, 200, "application/javascript; charset=utf-8", code);
+    }
+
+    /// Answer a module request a plugin hook threw on, like a compile error.
+    fn servePluginError(self: *DevServer, stream: std.net.Stream, path: []const u8, err: anyerror, diag: compile_mod.Diagnostic) !void {
+        if (err != error.Diagnosed) return err;
+        const app = self.appForPath(path) orelse AppEntry{ .name = "", .dir = "", .framework = "" };
+        return self.serveCompileError(stream, app, diag);
+    }
+
+    /// Hand a request to the plugin middlewares mounted on its path. False
+    /// when every one of them passed it on with next().
+    fn servePluginRoute(self: *DevServer, stream: std.net.Stream, plugins: *const plugins_mod.Plugins, req: *const http_parser.Request) !bool {
+        var head: std.ArrayList(u8) = .empty;
+        defer head.deinit(self.allocator);
+        const hw = head.writer(self.allocator);
+        var content_length: usize = 0;
+        for (req.headers.iterator()) |h| {
+            try hw.print("{s}: {s}\n", .{ h.name, h.value });
+            if (std.ascii.eqlIgnoreCase(h.name, "content-length")) {
+                content_length = std.fmt.parseInt(usize, h.value, 10) catch 0;
+            }
+        }
+        if (content_length > 8 * 1024 * 1024) {
+            try sendResponse(stream, 413, "text/plain", "Payload Too Large");
+            // The unread body would be parsed as the next request: hang up
+            return error.ConnectionClosed;
+        }
+
+        // The body may continue past the first read
+        var body: std.ArrayList(u8) = .empty;
+        defer body.deinit(self.allocator);
+        try body.appendSlice(self.allocator, req.body);
+        while (body.items.len < content_length) {
+            var buf: [16384]u8 = undefined;
+            const n = try platformRead(stream, buf[0..@min(buf.len, content_length - body.items.len)]);
+            if (n == 0) return error.EndOfStream;
+            try body.appendSlice(self.allocator, buf[0..n]);
+        }
+
+        var url_buf: [4096]u8 = undefined;
+        const url = if (req.query) |q| std.fmt.bufPrint(&url_buf, "{s}?{s}", .{ req.path, q }) catch req.path else req.path;
+
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        const res = plugins.serve(self.allocator, req.method.toString(), url, head.items, body.items, &diag) catch |err| {
+            if (err != error.Diagnosed) return false;
+            std.debug.print("  {s}[error]{s} {s}\n", .{ ansi.red, ansi.reset, diag.summary });
+            try sendResponse(stream, 500, "application/json", diag.json);
+            return true;
+        } orelse return false;
+        defer res.deinit(self.allocator);
+        try sendPluginResponse(stream, res);
+        return true;
+    }
+
+    pub fn needsTransform(ext: []const u8) bool {
         return std.mem.eql(u8, ext, ".ts") or
             std.mem.eql(u8, ext, ".tsx") or
             std.mem.eql(u8, ext, ".jsx") or
@@ -596,55 +1677,75 @@ pub const DevServer = struct {
     /// Called when a request has ?import query (appended by transform.zig).
     fn serveCssAsModule(self: *DevServer, stream: std.net.Stream, path: []const u8) !void {
         const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
+        if (std.mem.indexOf(u8, relative, "..") != null) {
+            return sendResponse(stream, 403, "text/plain", "Forbidden");
+        }
         const cwd = std.fs.cwd();
-        const file = cwd.openFile(relative, .{}) catch {
-            return sendResponse(stream, 404, "text/plain", "CSS not found");
-        };
-        defer file.close();
 
-        const css = file.readToEndAlloc(self.allocator, 4 * 1024 * 1024) catch {
-            return sendResponse(stream, 500, "text/plain", "File too large");
+        const css = blk: {
+            if (cwd.openFile(relative, .{})) |file| {
+                defer file.close();
+                break :blk file.readToEndAlloc(self.allocator, 4 * 1024 * 1024) catch {
+                    return sendResponse(stream, 500, "text/plain", "File too large");
+                };
+            } else |_| {}
+
+            // Not on disk — styles extracted from a component (App.svelte.css)
+            const source_path = relative[0 .. relative.len - ".css".len];
+            if (compile_mod.needsCompile(std.fs.path.extension(source_path))) {
+                if (self.appForPath(source_path)) |app| {
+                    if (self.componentCss(source_path, app)) |component_css| break :blk component_css;
+                }
+            }
+            return sendResponse(stream, 404, "text/plain", "CSS not found");
         };
         defer self.allocator.free(css);
 
         // Build JS module: creates <style> tag with the CSS content
         var out: std.ArrayList(u8) = .empty;
         defer out.deinit(self.allocator);
+        try appendCssInjector(self.allocator, &out, relative, css);
 
-        try out.appendSlice(self.allocator,
+        return sendResponse(stream, 200, "application/javascript; charset=utf-8", out.items);
+    }
+
+    /// Append a snippet that creates (or updates) the <style data-wu-css="id">
+    /// tag holding `css`. The id is the path hotCSS refetches with ?raw.
+    pub fn appendCssInjector(allocator: Allocator, out: *std.ArrayList(u8), id: []const u8, css: []const u8) !void {
+        try out.appendSlice(allocator,
             \\(function() {
             \\  var id = '
         );
         // Append escaped file path as attribute value for HMR targeting
-        for (relative) |c| {
+        for (id) |c| {
             if (c == '\'' or c == '\\') {
-                try out.append(self.allocator, '\\');
+                try out.append(allocator, '\\');
             }
-            try out.append(self.allocator, c);
+            try out.append(allocator, c);
         }
-        try out.appendSlice(self.allocator, "';\n" ++
+        try out.appendSlice(allocator, "';\n" ++
             "  var style = document.querySelector('style[data-wu-css=\"' + id + '\"]');\n" ++
             "  if (!style) {\n" ++
             "    style = document.createElement('style');\n" ++
             "    style.setAttribute('data-wu-css', id);\n" ++
+            "    var csp = document.querySelector('meta[property=csp-nonce]');\n" ++
+            "    if (csp) style.nonce = csp.nonce;\n" ++
             "    document.head.appendChild(style);\n" ++
             "  }\n" ++
             "  style.textContent = ");
 
         // JSON-encode the CSS content (handle quotes, newlines, etc.)
-        try appendJsString(self.allocator, &out, css);
+        try appendJsString(allocator, out, css);
 
-        try out.appendSlice(self.allocator,
+        try out.appendSlice(allocator,
             \\;
             \\})();
             \\
         );
-
-        return sendResponse(stream, 200, "application/javascript; charset=utf-8", out.items);
     }
 
     /// Encode a string as a JavaScript string literal (double-quoted, escaped).
-    fn appendJsString(allocator: Allocator, out: *std.ArrayList(u8), str: []const u8) !void {
+    pub fn appendJsString(allocator: Allocator, out: *std.ArrayList(u8), str: []const u8) !void {
         try out.append(allocator, '"');
         for (str) |c| {
             switch (c) {
@@ -670,37 +1771,69 @@ pub const DevServer = struct {
 
     // ── Module Resolution (native Zig — no esbuild, no Node.js) ────────────
 
+    /// Where npm modules are looked up: all app dirs + shell dir + project
+    /// root, then their parents (resolve.searchPath).
+    fn moduleSearchDirs(self: *DevServer, buf: *[32][]const u8) []const []const u8 {
+        var count: usize = 0;
+        for (self.getApps()) |app| {
+            if (count < buf.len) {
+                buf[count] = app.dir;
+                count += 1;
+            }
+        }
+        if (self.config.shell_dir.len > 0 and count < buf.len) {
+            buf[count] = self.config.shell_dir;
+            count += 1;
+        }
+        if (count < buf.len) {
+            buf[count] = ".";
+            count += 1;
+        }
+        return buf[0..count];
+    }
+
     fn handleModuleRequest(self: *DevServer, stream: std.net.Stream, module_name: []const u8) !void {
         if (module_name.len == 0) {
             return sendResponse(stream, 400, "text/plain", "Empty module name");
         }
 
-        // Build search directories: all app dirs + shell dir + project root
-        var search_dirs_buf: [32][]const u8 = undefined;
-        var search_count: usize = 0;
-        for (self.getApps()) |app| {
-            if (search_count < search_dirs_buf.len) {
-                search_dirs_buf[search_count] = app.dir;
-                search_count += 1;
+        // Plugins claim specifiers first (virtual:... modules, aliases)
+        if (self.plugins) |*plugins| {
+            var diag: compile_mod.Diagnostic = .{};
+            defer diag.deinit(self.allocator);
+            const resolved = plugins.resolveId(self.allocator, module_name, "", &diag) catch |err| {
+                return self.servePluginError(stream, module_name, err, diag);
+            };
+            if (resolved) |id| {
+                defer self.allocator.free(id);
+                return self.servePluginResolved(stream, plugins, id, &diag);
             }
         }
-        if (self.config.shell_dir.len > 0 and search_count < search_dirs_buf.len) {
-            search_dirs_buf[search_count] = self.config.shell_dir;
-            search_count += 1;
-        }
-        if (search_count < search_dirs_buf.len) {
-            search_dirs_buf[search_count] = ".";
-            search_count += 1;
-        }
-        // Workspace root: allows resolving sibling packages (e.g. ../../wu-framework)
-        if (search_count < search_dirs_buf.len) {
-            search_dirs_buf[search_count] = "../..";
-            search_count += 1;
+
+        // Pre-bundled: the package in one file. Entry URLs stay the same
+        // across rebuilds, so only the content-hashed chunks are cacheable.
+        var dep_buf: [std.fs.max_path_bytes]u8 = undefined;
+        if (self.prebundledPath(&dep_buf, module_name)) |dep_path| {
+            if (std.fs.cwd().readFileAlloc(self.allocator, dep_path, 16 * 1024 * 1024)) |code| {
+                defer self.allocator.free(code);
+                tl_trace.hit(.disk);
+                if (deps_mod.isChunk(module_name)) return sendModuleResponse(stream, code);
+                return sendResponse(stream, 200, "application/javascript; charset=utf-8", code);
+            } else |_| {}
         }
-        const search_dirs = search_dirs_buf[0..search_count];
+
+        var search_dirs_buf: [32][]const u8 = undefined;
+        const all_dirs = self.moduleSearchDirs(&search_dirs_buf);
+        // Shared singletons resolve from the one copy every app agreed on
+        var pinned_buf: [33][]const u8 = undefined;
+        const search_dirs = if (self.config.shared) |plan|
+            plan.searchDirsFor(module_name, all_dirs, &pinned_buf)
+        else
+            all_dirs;
 
         // Resolve the module to an actual file on disk
-        const resolved = resolve_mod.resolveModule(self.allocator, module_name, search_dirs) catch {
+        const options = self.resolveOptions();
+        const resolved = resolve_mod.resolveModuleWith(self.allocator, module_name, search_dirs, options) catch {
             var err_buf: [512]u8 = undefined;
             const err_js = std.fmt.bufPrint(&err_buf,
                 "console.error('[wu] Error resolving \"{s}\"');",
@@ -729,17 +1862,19 @@ pub const DevServer = struct {
         };
         defer file.close();
 
-        // Stat for cache key — enables persistent cache across restarts
-        const stat = file.stat() catch {
-            return sendResponse(stream, 500, "text/plain", "Stat error");
+        // Content key — enables persistent cache across restarts
+        const cache_key = self.compile_cache.key(resolved.file_path, moduleSalt(module_name, search_dirs, options)) orelse {
+            return sendResponse(stream, 500, "text/plain", "Read error");
         };
-        const mtime = stat.mtime;
 
         // Cache hit? Skip the entire read+CJS+transform pipeline
-        if (self.compile_cache.get(resolved.file_path, mtime)) |cached| {
+        var level: cache_mod.Level = undefined;
+        if (self.compile_cache.getLevel(cache_key, &level)) |cached| {
             defer self.allocator.free(cached);
+            tl_trace.hit(level);
             return sendModuleResponse(stream, cached);
         }
+        tl_trace.cache = .miss;
 
         const max_size = 4 * 1024 * 1024; // 4MB
         const source = file.readToEndAlloc(self.allocator, max_size) catch {
@@ -747,179 +1882,156 @@ pub const DevServer = struct {
         };
         defer self.allocator.free(source);
 
-        // Compute file's directory relative to package root.
-        // e.g. file_path="x/node_modules/@lit/reactive-element/reactive-element.js"
-        //      pkg_dir="x/node_modules/@lit/reactive-element"
-        //      → file_rel="reactive-element.js", file_dir_in_pkg=""
-        const pkg_name = resolve_mod.extractPackageName(module_name);
-        const file_rel = if (resolved.file_path.len > resolved.package_dir.len + 1)
-            resolved.file_path[resolved.package_dir.len + 1 ..]
-        else
-            "";
-        const file_dir_in_pkg = if (std.mem.lastIndexOfScalar(u8, file_rel, '/')) |ls|
-            file_rel[0..ls]
-        else
-            "";
-
-        // CJS detection: if the file uses require()/module.exports and has no ESM syntax,
-        // wrap it in a synthetic ESM module so browsers can import it.
-        if (isCjsModule(source)) {
-            const wrapper = self.wrapCjsAsEsm(source, module_name, search_dirs) catch {
-                return sendResponse(stream, 200, "application/javascript; charset=utf-8", source);
-            };
-            defer self.allocator.free(wrapper);
-            self.compile_cache.put(resolved.file_path, mtime, wrapper);
-            return sendModuleResponse(stream, wrapper);
-        }
+        const module_js = transformNpmModule(self.allocator, source, module_name, resolved, search_dirs, options, .development) catch {
+            return sendResponse(stream, 200, "application/javascript; charset=utf-8", source);
+        };
+        defer self.allocator.free(module_js);
+        tl_trace.tier = .native;
+
+        // Its package.json decides CJS vs ESM and where `#` imports go
+        var manifest_buf: [std.fs.max_path_bytes]u8 = undefined;
+        const manifest = std.fmt.bufPrint(&manifest_buf, "{s}/package.json", .{resolved.package_dir}) catch "";
+        self.compile_cache.put(cache_key, resolved.file_path, module_js, if (manifest.len > 0) &.{manifest} else &.{});
+        return sendModuleResponse(stream, module_js);
+    }
 
-        // Phase 1: TS stripping + bare import rewriting (react → /@modules/react)
-        const ext = std.fs.path.extension(resolved.file_path);
-        const phase1 = if (needsTransform(ext))
-            transform.transformSource(self.allocator, source, resolved.file_path) catch source
-        else
-            source;
-        const p1_owned = phase1.ptr != source.ptr;
-        defer if (p1_owned) self.allocator.free(phase1);
-
-        // Phase 2: Rewrite relative imports to absolute /@modules/ paths.
-        // Without this, `import "./css-tag.js"` inside @lit/reactive-element
-        // resolves to /@modules/@lit/css-tag.js (wrong) instead of
-        // /@modules/@lit/reactive-element/css-tag.js (correct).
-        const phase2 = rewriteRelativeModuleImports(self.allocator, phase1, pkg_name, file_dir_in_pkg) catch phase1;
-        const p2_owned = phase2.ptr != phase1.ptr;
-        defer if (p2_owned) self.allocator.free(phase2);
-
-        // Phase 3: Replace process.env.NODE_ENV with "development".
-        // Vue, React-DOM, and many ESM packages reference process.env.NODE_ENV
-        // which throws ReferenceError in the browser. Vite does the same replacement.
-        const phase3 = replaceProcessEnv(self.allocator, phase2) catch phase2;
-        const p3_owned = phase3.ptr != phase2.ptr;
-        defer if (p3_owned) self.allocator.free(phase3);
-
-        // Phase 4: Resolve Node.js package #imports (e.g. Svelte's #client/constants).
-        // These are defined in package.json "imports" field and are private to the package.
-        const phase4 = resolveHashImports(self.allocator, phase3, pkg_name, resolved.package_dir) catch phase3;
-        const p4_owned = phase4.ptr != phase3.ptr;
-        defer if (p4_owned) self.allocator.free(phase4);
-
-        self.compile_cache.put(resolved.file_path, mtime, phase4);
-        return sendModuleResponse(stream, phase4);
-    }
-
-    // ── CJS → ESM Wrapping ───────────────────────────────────────────────
-
-    fn wrapCjsAsEsm(self: *DevServer, source: []const u8, module_name: []const u8, search_dirs: []const []const u8) ![]const u8 {
-        // Generic CJS → ESM wrapper. Zero hardcoded package names or exports.
-        //
-        // 1. Scans source for require('./...development...') → follows it
-        // 2. Scans the inlined source for require('bare-pkg') → adds ESM imports
-        // 3. Generates a require() that returns the imported modules
-        // 4. Scans for exports.NAME patterns → generates named re-exports
-        //
-        // Works for React, ReactDOM, scheduler, or ANY future CJS package
-        // without knowing anything about their internal structure.
-
-        // Determine the actual CJS source to inline.
-        // Many CJS packages (React, scheduler, etc.) have an index.js that does:
-        //   if (process.env.NODE_ENV === 'production') require('./cjs/pkg.production.min.js');
-        //   else require('./cjs/pkg.development.js');
-        // We scan for require('./...') and prefer the "development" path.
-        var actual_source = source;
-        var actual_source_owned = false;
-        defer if (actual_source_owned) self.allocator.free(actual_source);
-
-        if (findRequireDevPath(source)) |dev_rel_path| {
-            const pkg_name = resolve_mod.extractPackageName(module_name);
-            var spec_buf: [512]u8 = undefined;
-            if (std.fmt.bufPrint(&spec_buf, "{s}/{s}", .{ pkg_name, dev_rel_path })) |dev_spec| {
-                if (resolve_mod.resolveModule(self.allocator, dev_spec, search_dirs) catch null) |dev_resolved| {
-                    defer self.allocator.free(dev_resolved.file_path);
-                    defer self.allocator.free(dev_resolved.package_dir);
-                    if (std.fs.cwd().openFile(dev_resolved.file_path, .{})) |dev_file| {
-                        defer dev_file.close();
-                        if (dev_file.readToEndAlloc(self.allocator, 4 * 1024 * 1024)) |ds| {
-                            actual_source = ds;
-                            actual_source_owned = true;
-                        } else |_| {}
-                    } else |_| {}
-                }
-            } else |_| {}
+    // ── Dependency Pre-Bundling ─────────────────────────────────────────────
+
+    /// Bundle the packages the apps import (deps.zig) and serve the result.
+    /// Failures are reported and /@modules/ keeps serving file by file.
+    /// Returns whether the served bundle changed.
+    fn prepareDeps(self: *DevServer) bool {
+        const apps = self.getApps();
+        const app_cfgs = self.allocator.alloc(config_mod.AppConfig, apps.len) catch return false;
+        defer self.allocator.free(app_cfgs);
+        for (apps, app_cfgs) |app, *cfg| cfg.* = .{ .name = app.name, .dir = app.dir, .framework = app.framework, .alias = app.alias };
+
+        var dirs_buf: [32][]const u8 = undefined;
+        var diag: compile_mod.Diagnostic = .{};
+        defer diag.deinit(self.allocator);
+        const started = std.time.milliTimestamp();
+        const prepared = deps_mod.prepare(self.allocator, app_cfgs, self.moduleSearchDirs(&dirs_buf), self.config.shared, self.currentGlobalAlias(), self.resolveOptions().conditions, &diag) catch |err| {
+            if (diag.summary.len > 0) {
+                std.debug.print("  {s}[deps]{s} {s}\n", .{ ansi.red, ansi.reset, diag.summary });
+            } else if (err == error.CompileFailed or err == error.SpawnFailed) {
+                std.debug.print("  {s}[deps] pre-bundling needs esbuild (npm i -D esbuild) — serving node_modules file by file{s}\n", .{
+                    ansi.dim, ansi.reset,
+                });
+            } else {
+                std.debug.print("  {s}[deps]{s} pre-bundling failed: {s}\n", .{ ansi.red, ansi.reset, @errorName(err) });
+            }
+            return false;
+        };
+        var result = prepared orelse return false;
+        if (result.built) {
+            std.debug.print("  {s}[deps]{s} pre-bundled {d} dependencies in {d}ms\n", .{
+                ansi.green, ansi.reset, result.count(), std.time.milliTimestamp() - started,
+            });
         }
 
-        // Scan the CJS source for require('bare-pkg') calls to external packages.
-        // We'll generate static ESM imports for them so the browser resolves deps.
-        var deps_buf: [32][]const u8 = undefined;
-        var dep_count: usize = 0;
-        {
-            var pos: usize = 0;
-            while (pos + 10 < actual_source.len and dep_count < deps_buf.len) {
-                if (std.mem.startsWith(u8, actual_source[pos..], "require(")) {
-                    const q = pos + 8; // after "require("
-                    if (q < actual_source.len and (actual_source[q] == '\'' or actual_source[q] == '"')) {
-                        const quote = actual_source[q];
-                        const spec_start = q + 1;
-                        if (std.mem.indexOfScalar(u8, actual_source[spec_start..], quote)) |spec_len| {
-                            const spec = actual_source[spec_start .. spec_start + spec_len];
-                            // Only bare specifiers (not ./relative), and not self-requires
-                            if (spec.len > 0 and spec[0] != '.' and spec[0] != '/') {
-                                // Deduplicate
-                                var dupe = false;
-                                for (deps_buf[0..dep_count]) |existing| {
-                                    if (std.mem.eql(u8, existing, spec)) {
-                                        dupe = true;
-                                        break;
-                                    }
-                                }
-                                if (!dupe) {
-                                    deps_buf[dep_count] = spec;
-                                    dep_count += 1;
-                                }
-                            }
-                            pos = spec_start + spec_len;
-                            continue;
-                        }
-                    }
-                }
-                pos += 1;
+        const bundle = self.allocator.create(deps_mod.Bundle) catch {
+            result.deinit();
+            return false;
+        };
+        bundle.* = result;
+
+        // Requests in flight may still read the old one
+        self.deps_mutex.lock();
+        defer self.deps_mutex.unlock();
+        if (self.deps) |old| {
+            if (std.mem.eql(u8, old.key, bundle.key)) {
+                bundle.deinit();
+                self.allocator.destroy(bundle);
+                return false;
             }
+            self._old_deps.append(self.allocator, old) catch {};
         }
+        self.deps = bundle;
+        return true;
+    }
 
-        // Build the wrapper
-        var out: std.ArrayList(u8) = .empty;
-        errdefer out.deinit(self.allocator);
-        const w = out.writer(self.allocator);
+    /// Where the dependency bundle keeps /@modules/`name`, if it has it.
+    fn prebundledPath(self: *DevServer, buf: []u8, name: []const u8) ?[]const u8 {
+        self.deps_mutex.lock();
+        defer self.deps_mutex.unlock();
+        const bundle = self.deps orelse return null;
+        return bundle.file(buf, name);
+    }
 
-        try w.writeAll("// [wu] CJS → ESM wrapper for \"");
-        try w.writeAll(module_name);
-        try w.writeAll("\"\n");
+    /// Changes when a lockfile next to node_modules does.
+    fn lockStamp(self: *DevServer) u64 {
+        var dirs_buf: [32][]const u8 = undefined;
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const roots = resolve_mod.searchPath(arena.allocator(), self.moduleSearchDirs(&dirs_buf)) catch return 0;
+        return deps_mod.lockStamp(roots);
+    }
 
-        // Static ESM imports for each dependency found via require() scanning
-        for (deps_buf[0..dep_count], 0..) |dep, i| {
-            try w.print("import __dep{d} from '/@modules/{s}';\n", .{ i, dep });
-        }
+    /// Trim .wu-cache/ before serving: entries unused for weeks, or past the
+    /// disk budget, go (cache.gc).
+    fn collectCacheGarbage(self: *DevServer) void {
+        if (!self.compile_cache.disk_ready) return;
+        const result = cache_mod.gc(self.allocator) catch return;
+        if (result.removed == 0) return;
+        std.debug.print("  {s}[cache]{s} removed {d} stale entries ({d:.1} KB)\n", .{
+            ansi.dim, ansi.reset, result.removed, @as(f64, @floatFromInt(result.freed)) / 1024.0,
+        });
+    }
 
-        try w.writeAll("var process = { env: { NODE_ENV: \"development\" } };\nvar global = globalThis;\nvar module = { exports: {} };\nvar exports = module.exports;\n");
+    // ── Inspector ───────────────────────────────────────────────────────────
 
-        // Generate require() that returns the imported modules
-        try w.writeAll("function require(id) {\n");
-        for (deps_buf[0..dep_count], 0..) |dep, i| {
-            try w.print("  if (id === '{s}') return __dep{d};\n", .{ dep, i });
-        }
-        try w.writeAll("  console.warn('[wu] require(' + id + ')');\n");
-        try w.writeAll("  return {};\n}\n\n");
+    fn serveInspector(self: *DevServer, stream: std.net.Stream) !void {
+        const page = inspect_mod.page_html;
+        // Its inline script and style need the CSP nonce like any other page
+        const html = if (tl_policy.nonce.len > 0) headers_mod.stampNonce(self.allocator, page, tl_policy.nonce) catch page else page;
+        defer if (html.ptr != page.ptr) self.allocator.free(html);
+        return sendResponse(stream, 200, "text/html; charset=utf-8", html);
+    }
 
-        // Inline the CJS source
-        try w.writeAll(actual_source);
-        try w.writeAll("\n\nexport default module.exports;\n");
+    /// POST /@wu/inspect/clear-cache: every module compiles from scratch on
+    /// its next request.
+    fn clearCompileCache(self: *DevServer, stream: std.net.Stream) !void {
+        const removed = self.compile_cache.clear();
+        std.debug.print("  {s}[inspect]{s} compile cache cleared ({d} entries in .wu-cache/)\n", .{ ansi.cyan, ansi.reset, removed });
+        var buf: [64]u8 = undefined;
+        return sendResponse(stream, 200, "application/json", try std.fmt.bufPrint(&buf, "{{\"cleared\":{d}}}", .{removed}));
+    }
 
-        // Auto-detect and re-export named exports by scanning for exports.NAME patterns
-        try appendGenericExports(self.allocator, &out, actual_source);
+    /// Log the request this thread just answered. The HMR channels (open
+    /// for the whole session) and the inspector's own polling stay out.
+    fn recordRequest(self: *DevServer, req: *const http_parser.Request, started: i128) void {
+        const path = req.path;
+        if (std.mem.eql(u8, path, "/__wu_hmr") or std.mem.eql(u8, path, "/__wu_ws") or
+            std.mem.startsWith(u8, path, "/@wu/inspect")) return;
+        const elapsed_us = @divTrunc(std.time.nanoTimestamp() - started, std.time.ns_per_us);
+        self.inspect_log.add(req.method.toString(), path, self.scopeFor(path), tl_trace, @intCast(@max(elapsed_us, 0)));
+    }
 
-        return out.toOwnedSlice(self.allocator);
+    /// Inspector totals group requests by app, with npm modules, wu's own
+    /// endpoints, proxied APIs and the shell apart.
+    fn scopeFor(self: *DevServer, path: []const u8) []const u8 {
+        if (std.mem.startsWith(u8, path, "/@modules/")) return "/@modules";
+        if (std.mem.startsWith(u8, path, "/@") or std.mem.startsWith(u8, path, "/__wu")) return "wu";
+        if (self.proxy_rules.match(path) != null) return "proxy";
+        const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
+        if (self.appForPath(relative)) |app| return app.name;
+        return "shell";
     }
 
     // ── HMR (Server-Sent Events) ───────────────────────────────────────────
 
+    /// Hand an SSE-formatted event to every connected HMR client (SSE and WS).
+    /// An empty event means full reload.
+    fn publishHmrEvent(self: *DevServer, event: []const u8) void {
+        const len = if (event.len <= HMR_EVENT_MAX) event.len else 0;
+        self.hmr_mutex.lock();
+        @memcpy(self.hmr_event_buf[0..len], event[0..len]);
+        self.hmr_event_len = len;
+        self.hmr_mutex.unlock();
+
+        _ = self.reload_counter.fetchAdd(1, .release);
+    }
+
     fn handleHmr(self: *DevServer, stream: std.net.Stream) !void {
         // SSE headers
         try platformWrite(stream,
@@ -944,7 +2056,7 @@ pub const DevServer = struct {
                 last_seen = current;
 
                 // Read the pre-formatted event from watcher thread
-                var local_event: [512]u8 = undefined;
+                var local_event: [HMR_EVENT_MAX]u8 = undefined;
                 var local_len: usize = 0;
                 self.hmr_mutex.lock();
                 local_len = self.hmr_event_len;
@@ -995,7 +2107,7 @@ pub const DevServer = struct {
                 last_seen = current;
 
                 // Read the pre-formatted event from watcher thread
-                var local_event: [512]u8 = undefined;
+                var local_event: [HMR_EVENT_MAX]u8 = undefined;
                 var local_len: usize = 0;
                 self.hmr_mutex.lock();
                 local_len = self.hmr_event_len;
@@ -1019,7 +2131,7 @@ pub const DevServer = struct {
                     break :blk @as([]const u8, "{\"type\":\"full-reload\"}");
                 };
 
-                var ws_buf: [1024]u8 = undefined;
+                var ws_buf: [HMR_EVENT_MAX + 16]u8 = undefined;
                 const ws_frame = ws_proto.FrameBuilder.text(event_data, &ws_buf) catch return;
                 platformWrite(stream, ws_frame) catch return;
             }
@@ -1094,6 +2206,38 @@ pub const DevServer = struct {
     }
 
     /// Inject window.__wu_apps JSON into HTML so main.js doesn't need fetch()
+    /// Import map entries for the shared singletons: each to its /@modules/ URL.
+    fn writeImportMap(self: *DevServer, w: anytype) !void {
+        const plan = self.config.shared orelse return shared_mod.writeImportMap(w, &.{});
+        var entries: std.ArrayList(shared_mod.ImportMapEntry) = .empty;
+        defer entries.deinit(self.allocator);
+        var urls: std.ArrayList([]const u8) = .empty;
+        defer {
+            for (urls.items) |url| self.allocator.free(url);
+            urls.deinit(self.allocator);
+        }
+        for (plan.specifiers) |spec| {
+            const url = try std.fmt.allocPrint(self.allocator, "/@modules/{s}", .{spec});
+            urls.append(self.allocator, url) catch |err| {
+                self.allocator.free(url);
+                return err;
+            };
+            try entries.append(self.allocator, .{ .specifier = spec, .url = url });
+        }
+        return shared_mod.writeImportMap(w, entries.items);
+    }
+
+    /// Inline the import map ahead of the page's module scripts.
+    /// Pages are left alone when nothing is shared.
+    fn injectImportMap(self: *DevServer, html: []const u8) ![]const u8 {
+        const plan = self.config.shared orelse return html;
+        if (plan.specifiers.len == 0) return html;
+        var map: std.ArrayList(u8) = .empty;
+        defer map.deinit(self.allocator);
+        try self.writeImportMap(map.writer(self.allocator));
+        return shared_mod.injectImportMap(self.allocator, html, map.items);
+    }
+
     fn injectAppsData(self: *DevServer, html: []const u8) ![]const u8 {
         // Build JSON array of apps
         var json: std.ArrayList(u8) = .empty;
@@ -1128,256 +2272,279 @@ pub const DevServer = struct {
     // ── File Watcher ────────────────────────────────────────────────────────
 
     fn watcherThread(self: *DevServer) void {
-        // Fixed-size mtime cache: hash(path) → mtime + generation
-        const MAX_ENTRIES = 4096;
-        var entries: [MAX_ENTRIES]WatchEntry = undefined;
-        var entry_count: usize = 0;
-        var generation: u32 = 0;
-
         // Track wu.config.json mtime for live config changes
-        var config_mtime: i128 = 0;
-        var first_scan = true;
+        var config_mtime: i128 = if (std.fs.cwd().statFile("wu.config.json")) |s| s.mtime else |_| 0;
         // Debounce: wait for config to stabilize before reading
         // (wu add writes config + runs npm install — file may be written in stages)
-        var config_pending_reload = false;
-        var config_debounce: u8 = 0;
+        var config_changed_at: ?i64 = null;
+        // .env files are dotfiles the watcher skips; poll their mtimes instead
+        var env_stamp = self.envStamp();
+        // Lockfiles too — npm install rewrites them, then node_modules
+        var lock_stamp = self.lockStamp();
+        var lock_changed_at: ?i64 = null;
+        // tsconfig.json paths are baked into cached output
+        var alias_stamp = self.aliasStamp();
 
         // Delay first scan to let server start
         std.Thread.sleep(500 * std.time.ns_per_ms);
 
+        var watcher: ?watcher_mod.Watcher = null;
+        defer if (watcher) |*w| w.deinit();
+        var restart_watcher = true;
+        var batch = watcher_mod.Batch.init(self.allocator);
+        defer batch.deinit();
+
         while (self.running.load(.acquire)) {
-            generation +%= 1;
-            var apps_changed: usize = 0;
-            var shell_changed = false;
-            var files_deleted = false;
-            var last_app_name: []const u8 = "";
-            var last_app_dir: []const u8 = "";
-            var last_app_fw: []const u8 = "";
-            var changed_ext: [16]u8 = undefined;
-            var changed_ext_len: usize = 0;
+            // (Re)start after a config reload: new app dirs, new ignore rules
+            if (restart_watcher) {
+                restart_watcher = false;
+                if (watcher) |*w| w.deinit();
+                watcher = self.startWatcher();
+            }
 
-            // Check if wu.config.json changed (app added/removed)
-            {
-                const stat = std.fs.cwd().statFile("wu.config.json") catch null;
-                if (stat) |s| {
-                    if (s.mtime != config_mtime) {
-                        config_mtime = s.mtime;
-                        if (!first_scan) {
-                            // Config changed — start debounce (wait for file to stabilize)
-                            config_pending_reload = true;
-                            config_debounce = 0;
-                        }
-                    } else if (config_pending_reload) {
-                        // mtime stable this cycle — count debounce ticks
-                        config_debounce += 1;
-                        if (config_debounce >= 5) { // 5 cycles × 100ms = 500ms stable
-                            config_pending_reload = false;
-                            self.reloadApps(); // re-read config, swap live app list
-                            shell_changed = true; // trigger full reload
-                            std.debug.print("  {s}[hmr]{s} wu.config.json changed → full reload\n", .{
-                                ansi.cyan, ansi.reset,
-                            });
-                        }
-                    }
-                }
+            batch.clear();
+            if (watcher) |*w| {
+                w.wait(&batch) catch |err| {
+                    std.debug.print("  {s}[watch]{s} {s} — restarting watcher\n", .{
+                        ansi.dim, ansi.reset, @errorName(err),
+                    });
+                    restart_watcher = true;
+                    std.Thread.sleep(1000 * std.time.ns_per_ms);
+                    continue;
+                };
+            } else {
+                std.Thread.sleep(watcher_mod.TICK_MS * std.time.ns_per_ms);
             }
 
-            // Scan each app directory (use live list — may have been updated by reloadApps)
-            for (self.getApps()) |app| {
-                var ext_buf: [16]u8 = undefined;
-                var ext_len: usize = 0;
-                if (scanDir(app.dir, &entries, &entry_count, MAX_ENTRIES, &ext_buf, &ext_len, generation)) {
-                    apps_changed += 1;
-                    last_app_name = app.name;
-                    last_app_dir = app.dir;
-                    last_app_fw = app.framework;
-                    if (ext_len > 0) {
-                        @memcpy(changed_ext[0..ext_len], ext_buf[0..ext_len]);
-                        changed_ext_len = ext_len;
+            // Check if wu.config.json changed (app added/removed)
+            if (std.fs.cwd().statFile("wu.config.json")) |s| {
+                const now = std.time.milliTimestamp();
+                if (s.mtime != config_mtime) {
+                    config_mtime = s.mtime;
+                    config_changed_at = now;
+                } else if (config_changed_at) |changed_at| {
+                    if (now - changed_at >= 500) { // 500ms stable
+                        config_changed_at = null;
+                        self.reloadApps(); // re-read config, swap live app list
+                        restart_watcher = true;
+                        std.debug.print("  {s}[hmr]{s} wu.config.json changed → full reload\n", .{
+                            ansi.cyan, ansi.reset,
+                        });
+                        self.publishHmrEvent("");
+                        continue;
                     }
                 }
-            }
-            // Scan shell directory
-            if (self.config.shell_dir.len > 0) {
-                var ext_buf: [16]u8 = undefined;
-                var ext_len: usize = 0;
-                if (scanDir(self.config.shell_dir, &entries, &entry_count, MAX_ENTRIES, &ext_buf, &ext_len, generation)) {
-                    shell_changed = true;
-                }
+            } else |_| {}
+
+            const stamp = self.envStamp();
+            if (stamp != env_stamp) {
+                env_stamp = stamp;
+                self.env_mutex.lock();
+                self.resetEnvs();
+                self.env_mutex.unlock();
+                std.debug.print("  {s}[env]{s} .env changed → full reload\n", .{ ansi.cyan, ansi.reset });
+                self.publishHmrEvent("");
+                continue;
             }
 
-            // Detect deleted files: entries with stale generation were not seen this cycle
-            {
-                var i: usize = 0;
-                while (i < entry_count) {
-                    if (entries[i].generation != generation) {
-                        // File was deleted — remove entry by swapping with last
-                        files_deleted = true;
-                        entry_count -= 1;
-                        if (i < entry_count) {
-                            entries[i] = entries[entry_count];
-                        }
-                        // don't increment i — check the swapped entry
-                    } else {
-                        i += 1;
-                    }
-                }
-                if (files_deleted) {
-                    std.debug.print("  {s}[hmr]{s} file(s) deleted → full reload\n", .{
-                        ansi.cyan, ansi.reset,
-                    });
-                }
+            const aliases = self.aliasStamp();
+            if (aliases != alias_stamp) {
+                alias_stamp = aliases;
+                self.alias_mutex.lock();
+                self.resetAliases();
+                self.alias_mutex.unlock();
+                std.debug.print("  {s}[alias]{s} aliases changed → full reload\n", .{ ansi.cyan, ansi.reset });
+                self.publishHmrEvent("");
+                continue;
             }
 
-            if (apps_changed > 0 or shell_changed or files_deleted) {
-                // Format the SSE event for the HMR handler
-                var event_buf: [512]u8 = undefined;
-                var event_len: usize = 0;
-
-                if (!shell_changed and !files_deleted and apps_changed == 1) {
-                    const ext_slice = changed_ext[0..changed_ext_len];
-                    if (std.mem.eql(u8, ext_slice, ".css")) {
-                        // CSS-only change → hot inject (no page reload)
-                        const ev = std.fmt.bufPrint(&event_buf,
-                            "data: {{\"type\":\"css-update\",\"app\":\"{s}\"}}\n\n",
-                            .{last_app_name},
-                        ) catch null;
-                        if (ev) |e| event_len = e.len;
-                        std.debug.print("  {s}[hmr]{s} css update → {s}{s}{s}\n", .{
-                            ansi.cyan, ansi.reset, ansi.bold, last_app_name, ansi.reset,
-                        });
-                    } else {
-                        // Single app changed → targeted app reload
-                        const ev = std.fmt.bufPrint(&event_buf,
-                            "data: {{\"type\":\"app-update\",\"app\":\"{s}\",\"dir\":\"{s}\",\"fw\":\"{s}\"}}\n\n",
-                            .{ last_app_name, last_app_dir, last_app_fw },
-                        ) catch null;
-                        if (ev) |e| event_len = e.len;
-                        std.debug.print("  {s}[hmr]{s} update → {s}{s}{s}\n", .{
-                            ansi.cyan, ansi.reset, ansi.bold, last_app_name, ansi.reset,
-                        });
+            const locks = self.lockStamp();
+            const now = std.time.milliTimestamp();
+            if (locks != lock_stamp) {
+                lock_stamp = locks;
+                lock_changed_at = now;
+            } else if (lock_changed_at) |changed_at| {
+                if (now - changed_at >= 1000) { // let the install finish
+                    lock_changed_at = null;
+                    self.resetCompilerVersions(); // an upgraded compiler changes cache keys
+                    if (self.prepareDeps()) {
+                        std.debug.print("  {s}[deps]{s} lockfile changed → full reload\n", .{ ansi.cyan, ansi.reset });
+                        self.publishHmrEvent("");
+                        continue;
                     }
-                } else {
-                    // Multiple apps or shell changed → full reload
-                    event_len = 0; // handler will send full-reload
-                    std.debug.print("  {s}[hmr]{s} full reload\n", .{ ansi.cyan, ansi.reset });
-                }
-
-                self.hmr_mutex.lock();
-                if (event_len > 0) {
-                    @memcpy(self.hmr_event_buf[0..event_len], event_buf[0..event_len]);
                 }
-                self.hmr_event_len = event_len;
-                self.hmr_mutex.unlock();
-
-                _ = self.reload_counter.fetchAdd(1, .release);
             }
 
-            first_scan = false;
-            std.Thread.sleep(100 * std.time.ns_per_ms);
+            if (!batch.isEmpty()) self.publishChanges(&batch);
         }
     }
 
-    fn scanDir(dir_name: []const u8, entries: []WatchEntry, count: *usize, max: usize, ext_out: *[16]u8, ext_out_len: *usize, generation: u32) bool {
-        var changed = false;
-
-        // Stack-based recursive traversal (no allocator needed)
-        const max_depth = 16;
-        var stack: [max_depth]std.fs.Dir = undefined;
-        var stack_iters: [max_depth]std.fs.Dir.Iterator = undefined;
-        var stack_paths: [max_depth][512]u8 = undefined;
-        var stack_path_lens: [max_depth]usize = undefined;
-        var depth: usize = 0;
-
-        // Push root directory
-        stack[0] = std.fs.cwd().openDir(dir_name, .{ .iterate = true }) catch return false;
-        stack_iters[0] = stack[0].iterate();
-        const root_len = @min(dir_name.len, stack_paths[0].len);
-        @memcpy(stack_paths[0][0..root_len], dir_name[0..root_len]);
-        stack_path_lens[0] = root_len;
+    /// Watch every live app directory plus the shell. Null when the watcher
+    /// could not start; the dev server keeps serving without HMR.
+    fn startWatcher(self: *DevServer) ?watcher_mod.Watcher {
+        var roots: std.ArrayList([]const u8) = .empty;
+        defer roots.deinit(self.allocator);
+        for (self.getApps()) |app| roots.append(self.allocator, app.dir) catch return null;
+        if (self.config.shell_dir.len > 0) roots.append(self.allocator, self.config.shell_dir) catch return null;
+
+        // Ignore patterns from the latest wu.config.json reload win
+        const ignore = if (self._hot_cfgs.items.len > 0)
+            self._hot_cfgs.items[self._hot_cfgs.items.len - 1].watch.ignore
+        else
+            self.config.watch_ignore;
 
-        while (true) {
-            // Try to get next entry at current depth
-            const entry_opt = stack_iters[depth].next() catch null;
-
-            if (entry_opt) |entry| {
-                if (entry.kind == .directory) {
-                    // Skip known non-source directories
-                    if (isSkippedDir(entry.name)) continue;
-                    if (depth + 1 >= max_depth) continue;
-
-                    // Build path for subdirectory
-                    const parent_len = stack_path_lens[depth];
-                    const name_len = entry.name.len;
-                    const child_len = parent_len + 1 + name_len;
-                    if (child_len > stack_paths[0].len) continue;
-
-                    var child_path: *[512]u8 = &stack_paths[depth + 1];
-                    @memcpy(child_path[0..parent_len], stack_paths[depth][0..parent_len]);
-                    child_path[parent_len] = '/';
-                    @memcpy(child_path[parent_len + 1 .. child_len], entry.name);
-                    stack_path_lens[depth + 1] = child_len;
-
-                    // Open subdirectory and push onto stack
-                    const sub_dir = stack[depth].openDir(entry.name, .{ .iterate = true }) catch continue;
-                    depth += 1;
-                    stack[depth] = sub_dir;
-                    stack_iters[depth] = stack[depth].iterate();
-                    continue;
-                }
+        const watcher = watcher_mod.Watcher.init(self.allocator, roots.items, ignore, isWatchedExtension) catch |err| {
+            std.debug.print("  {s}[watch]{s} could not start: {s}\n", .{ ansi.red, ansi.reset, @errorName(err) });
+            return null;
+        };
+        std.debug.print("  {s}[watch] {s} — {d} {s}{s}\n", .{
+            ansi.dim,
+            watcher.backendName(),
+            watcher.watchCount(),
+            if (watcher.backend == .inotify) "directories" else "files",
+            ansi.reset,
+        });
+        return watcher;
+    }
 
-                if (entry.kind != .file) continue;
-
-                // Only watch source files
-                const ext = std.fs.path.extension(entry.name);
-                if (!isWatchedExtension(ext)) continue;
-
-                // Get mtime via stat (no file handle — faster on Windows)
-                const stat = stack[depth].statFile(entry.name) catch continue;
-                const mtime = stat.mtime;
-
-                // Build full path for hashing
-                const parent_len = stack_path_lens[depth];
-                const name_len = entry.name.len;
-                const full_len = parent_len + 1 + name_len;
-                var full_path_buf: [1024]u8 = undefined;
-                if (full_len > full_path_buf.len) continue;
-                @memcpy(full_path_buf[0..parent_len], stack_paths[depth][0..parent_len]);
-                full_path_buf[parent_len] = '/';
-                @memcpy(full_path_buf[parent_len + 1 .. full_len], entry.name);
-                const hash = std.hash.Wyhash.hash(0, full_path_buf[0..full_len]);
-
-                // Check if mtime changed
-                var found = false;
-                for (entries[0..count.*]) |*e| {
-                    if (e.hash == hash) {
-                        e.generation = generation;
-                        if (e.mtime != mtime) {
-                            e.mtime = mtime;
-                            changed = true;
-                            // Track the extension of the changed file
-                            const el = @min(ext.len, ext_out.len);
-                            @memcpy(ext_out[0..el], ext[0..el]);
-                            ext_out_len.* = el;
-                        }
-                        found = true;
-                        break;
-                    }
-                }
+    /// Turn one batch of changes into one HMR event: css-update or module
+    /// updates while it stays inside one app, app-update as the fallback, and
+    /// full reload for deletions, shell edits or changes across apps.
+    fn publishChanges(self: *DevServer, batch: *const watcher_mod.Batch) void {
+        var event_buf: [HMR_EVENT_MAX]u8 = undefined;
+        var event_len: usize = 0;
+
+        var target: ?AppEntry = null;
+        var spans_apps = batch.overflow;
+        var deleted = false;
+        for (batch.changes.items) |c| {
+            if (c.kind == .deleted) deleted = true;
+            const app = self.appForPath(c.path) orelse {
+                spans_apps = true; // shell changed
+                continue;
+            };
+            if (target) |t| {
+                if (!std.mem.eql(u8, t.dir, app.dir)) spans_apps = true;
+            } else target = app;
+        }
 
-                if (!found and count.* < max) {
-                    entries[count.*] = .{ .hash = hash, .mtime = mtime, .generation = generation };
-                    count.* += 1;
+        if (deleted) {
+            std.debug.print("  {s}[hmr]{s} file(s) deleted → full reload\n", .{
+                ansi.cyan, ansi.reset,
+            });
+        } else if (target != null and !spans_apps) {
+            const app = target.?;
+            var css_only = true;
+            for (batch.changes.items) |c| {
+                if (!std.mem.eql(u8, std.fs.path.extension(c.path), ".css") and !self.isStyleOnlyEdit(c.path, app)) {
+                    css_only = false;
+                    break;
                 }
+            }
+            if (css_only) {
+                // CSS-only change → hot inject (no page reload)
+                const ev = std.fmt.bufPrint(&event_buf,
+                    "data: {{\"type\":\"css-update\",\"app\":\"{s}\"}}\n\n",
+                    .{app.name},
+                ) catch null;
+                if (ev) |e| event_len = e.len;
+                std.debug.print("  {s}[hmr]{s} css update → {s}{s}{s}\n", .{
+                    ansi.cyan, ansi.reset, ansi.bold, app.name, ansi.reset,
+                });
+            } else if (self.moduleUpdateEvent(&event_buf, batch.changes.items, app)) |ev| {
+                // Accepted by modules in the graph → re-import just those
+                event_len = ev.len;
             } else {
-                // No more entries at this depth — pop
-                stack[depth].close();
-                if (depth == 0) break;
-                depth -= 1;
+                // Single app changed → targeted app reload
+                const ev = std.fmt.bufPrint(&event_buf,
+                    "data: {{\"type\":\"app-update\",\"app\":\"{s}\",\"dir\":\"{s}\",\"fw\":\"{s}\"}}\n\n",
+                    .{ app.name, app.dir, app.framework },
+                ) catch null;
+                if (ev) |e| event_len = e.len;
+                std.debug.print("  {s}[hmr]{s} update → {s}{s}{s}\n", .{
+                    ansi.cyan, ansi.reset, ansi.bold, app.name, ansi.reset,
+                });
             }
         }
 
-        return changed;
+        if (event_len == 0 and !deleted) {
+            // Multiple apps or shell changed → full reload
+            std.debug.print("  {s}[hmr]{s} full reload ({d} file(s))\n", .{
+                ansi.cyan, ansi.reset, batch.changes.items.len,
+            });
+        }
+        self.publishHmrEvent(event_buf[0..event_len]);
+    }
+
+    /// Format an `update` event when every import chain from each changed
+    /// file reaches a module that accepts it (see hmr.zig); null means
+    /// remount the app.
+    fn moduleUpdateEvent(self: *DevServer, buf: []u8, changes: []const watcher_mod.Change, app: AppEntry) ?[]const u8 {
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const allocator = arena.allocator();
+
+        var updates: std.ArrayList(hmr.Update) = .empty;
+        for (changes) |c| {
+            const accepted = self.hmr_graph.propagate(allocator, c.path, &updates) catch return null;
+            if (!accepted) return null;
+        }
+        if (updates.items.len == 0) return null;
+
+        var event: std.ArrayList(u8) = .empty;
+        const w = event.writer(allocator);
+        w.print("data: {{\"type\":\"update\",\"app\":\"{s}\",\"dir\":\"{s}\",\"fw\":\"{s}\",\"t\":{d},\"updates\":[", .{
+            app.name, app.dir, app.framework, std.time.milliTimestamp(),
+        }) catch return null;
+        for (updates.items, 0..) |u, i| {
+            if (i > 0) w.writeAll(",") catch return null;
+            w.print("{{\"path\":\"{s}\",\"accepted\":\"{s}\"}}", .{ u.path, u.accepted }) catch return null;
+        }
+        w.writeAll("]}\n\n") catch return null;
+        if (event.items.len > buf.len) return null;
+        @memcpy(buf[0..event.items.len], event.items);
+
+        std.debug.print("  {s}[hmr]{s} hot update → {s}{s}{s} ({d} module(s))\n", .{
+            ansi.cyan, ansi.reset, ansi.bold, app.name, ansi.reset, updates.items.len,
+        });
+        return buf[0..event.items.len];
+    }
+
+    /// A component edit that only touched its <style> block can go through
+    /// hotCSS instead of remounting the app. Builds the file now unless the
+    /// cache already has its contents (warming it for the browser either
+    /// way) and compares the script against the previous build.
+    fn isStyleOnlyEdit(self: *DevServer, path: []const u8, app: AppEntry) bool {
+        const ext = std.fs.path.extension(path);
+        if (!std.mem.eql(u8, ext, ".svelte") and !std.mem.eql(u8, ext, ".vue")) return false;
+
+        const previous = self.compile_cache.peek(path) orelse return false;
+        defer previous.free(self.allocator);
+        if (previous.css.len == 0) return false;
+
+        // After peek: computing the new key moves what it returns
+        const cache_key = self.compileKey(path, app) orelse return false;
+        // An undo brings back contents the cache still has a build for
+        const current = self.cachedParts(cache_key) orelse blk: {
+            const source = std.fs.cwd().readFileAlloc(self.allocator, path, 8 * 1024 * 1024) catch return false;
+            defer self.allocator.free(source);
+
+            var diag: compile_mod.Diagnostic = .{};
+            defer diag.deinit(self.allocator);
+            break :blk self.compileToCache(path, cache_key, source, app, &diag) catch return false;
+        };
+        defer current.free(self.allocator);
+
+        return current.css.len > 0 and
+            !std.mem.eql(u8, current.css, previous.css) and
+            std.mem.eql(u8, scriptPart(current.code, path), scriptPart(previous.code, path));
+    }
+
+    /// The code and styles cached under `cache_key`, allocator-owned (no map).
+    fn cachedParts(self: *DevServer, cache_key: u64) ?cache_mod.Parts {
+        const code = self.compile_cache.get(cache_key) orelse return null;
+        const css = self.compile_cache.getCss(cache_key) orelse "";
+        return .{ .code = code, .css = css };
     }
 
     fn isWatchedExtension(ext: []const u8) bool {
@@ -1385,72 +2552,106 @@ pub const DevServer = struct {
         return eql(u8, ext, ".js") or eql(u8, ext, ".ts") or eql(u8, ext, ".jsx") or
             eql(u8, ext, ".tsx") or eql(u8, ext, ".html") or eql(u8, ext, ".css") or
             eql(u8, ext, ".json") or eql(u8, ext, ".svelte") or eql(u8, ext, ".vue") or
-            eql(u8, ext, ".astro") or eql(u8, ext, ".mjs");
-    }
-
-    fn isSkippedDir(name: []const u8) bool {
-        const eql = std.mem.eql;
-        return eql(u8, name, "node_modules") or eql(u8, name, "dist") or
-            eql(u8, name, ".git") or eql(u8, name, ".svelte-kit") or
-            eql(u8, name, ".next") or eql(u8, name, ".nuxt") or
-            eql(u8, name, "build") or eql(u8, name, "coverage") or
-            eql(u8, name, ".claude");
+            eql(u8, ext, ".astro") or eql(u8, ext, ".mjs") or
+            // Common plugin-handled sources
+            eql(u8, ext, ".md") or eql(u8, ext, ".mdx") or eql(u8, ext, ".yaml") or
+            eql(u8, ext, ".yml") or eql(u8, ext, ".graphql") or eql(u8, ext, ".gql");
     }
 
     // ── HTTP Helpers ────────────────────────────────────────────────────────
 
     fn sendResponse(stream: std.net.Stream, status: u16, content_type: []const u8, body: []const u8) !void {
+        tl_trace.status = status;
+        tl_trace.bytes = body.len;
         const phrase = statusPhrase(status);
-        var resp_buf: [4096]u8 = undefined;
-        const header = std.fmt.bufPrint(&resp_buf,
-            "HTTP/1.1 {d} {s}\r\n" ++
-                "Content-Type: {s}\r\n" ++
-                "Content-Length: {d}\r\n" ++
-                "Cache-Control: no-store\r\n" ++
-                "Access-Control-Allow-Origin: *\r\n" ++
-                "Access-Control-Allow-Methods: GET, OPTIONS\r\n" ++
-                "Access-Control-Allow-Headers: *\r\n" ++
-                "Connection: keep-alive\r\n" ++
-                "\r\n",
-            .{ status, phrase, content_type, body.len },
-        ) catch return error.Overflow;
-
-        try platformWrite(stream, header);
+        var resp_buf: [8192]u8 = undefined;
+        var w: std.Io.Writer = .fixed(&resp_buf);
+        w.print("HTTP/1.1 {d} {s}\r\nContent-Type: {s}\r\nContent-Length: {d}\r\n", .{
+            status, phrase, content_type, body.len,
+        }) catch return error.Overflow;
+        tl_policy.write(&w, &.{
+            .{ .name = "Cache-Control", .value = "no-store" },
+            .{ .name = "Access-Control-Allow-Origin", .value = "*" },
+            .{ .name = "Access-Control-Allow-Methods", .value = "GET, OPTIONS" },
+            .{ .name = "Access-Control-Allow-Headers", .value = "*" },
+        }) catch return error.Overflow;
+        w.writeAll("Connection: keep-alive\r\n\r\n") catch return error.Overflow;
+
+        try platformWrite(stream, w.buffered());
         if (body.len > 0) {
             try platformWrite(stream, body);
         }
     }
 
+    fn sendRedirect(stream: std.net.Stream, location: []const u8) !void {
+        tl_trace.status = 302;
+        var resp_buf: [8192]u8 = undefined;
+        var w: std.Io.Writer = .fixed(&resp_buf);
+        w.print("HTTP/1.1 302 Found\r\nLocation: {s}\r\nContent-Length: 0\r\n", .{location}) catch return error.Overflow;
+        tl_policy.write(&w, &.{
+            .{ .name = "Cache-Control", .value = "no-store" },
+            .{ .name = "Access-Control-Allow-Origin", .value = "*" },
+        }) catch return error.Overflow;
+        w.writeAll("Connection: keep-alive\r\n\r\n") catch return error.Overflow;
+        try platformWrite(stream, w.buffered());
+    }
+
+    /// Write a plugin middleware's response. Its header lines pass through;
+    /// Content-Length and Connection are always wu's own.
+    fn sendPluginResponse(stream: std.net.Stream, res: plugins_mod.Response) !void {
+        tl_trace.status = res.status;
+        tl_trace.bytes = res.body.len;
+        var buf: [128]u8 = undefined;
+        try platformWrite(stream, try std.fmt.bufPrint(&buf, "HTTP/1.1 {d} {s}\r\n", .{ res.status, statusPhrase(res.status) }));
+        var lines = std.mem.splitScalar(u8, res.headers, '\n');
+        while (lines.next()) |line| {
+            if (line.len == 0) continue;
+            if (std.ascii.startsWithIgnoreCase(line, "content-length:") or
+                std.ascii.startsWithIgnoreCase(line, "connection:") or
+                std.ascii.startsWithIgnoreCase(line, "transfer-encoding:")) continue;
+            try platformWrite(stream, line);
+            try platformWrite(stream, "\r\n");
+        }
+        try platformWrite(stream, try std.fmt.bufPrint(&buf, "Content-Length: {d}\r\nConnection: keep-alive\r\n\r\n", .{res.body.len}));
+        if (res.body.len > 0) try platformWrite(stream, res.body);
+    }
+
     /// Like sendResponse but with Cache-Control for npm modules.
     /// Browser caches /@modules/ for 24h — avoids 100+ re-requests on F5.
     fn sendModuleResponse(stream: std.net.Stream, body: []const u8) !void {
-        var resp_buf: [4096]u8 = undefined;
-        const header = std.fmt.bufPrint(&resp_buf,
-            "HTTP/1.1 200 OK\r\n" ++
-                "Content-Type: application/javascript; charset=utf-8\r\n" ++
-                "Content-Length: {d}\r\n" ++
-                "Cache-Control: max-age=86400\r\n" ++
-                "Access-Control-Allow-Origin: *\r\n" ++
-                "Connection: keep-alive\r\n" ++
-                "\r\n",
-            .{body.len},
-        ) catch return error.Overflow;
-
-        try platformWrite(stream, header);
+        tl_trace.status = 200;
+        tl_trace.bytes = body.len;
+        var resp_buf: [8192]u8 = undefined;
+        var w: std.Io.Writer = .fixed(&resp_buf);
+        w.print("HTTP/1.1 200 OK\r\nContent-Type: application/javascript; charset=utf-8\r\nContent-Length: {d}\r\n", .{
+            body.len,
+        }) catch return error.Overflow;
+        tl_policy.write(&w, &.{
+            .{ .name = "Cache-Control", .value = "max-age=86400" },
+            .{ .name = "Access-Control-Allow-Origin", .value = "*" },
+        }) catch return error.Overflow;
+        w.writeAll("Connection: keep-alive\r\n\r\n") catch return error.Overflow;
+
+        try platformWrite(stream, w.buffered());
         if (body.len > 0) {
             try platformWrite(stream, body);
         }
     }
 
-    fn statusPhrase(status: u16) []const u8 {
+    pub fn statusPhrase(status: u16) []const u8 {
         return switch (status) {
             200 => "OK",
+            201 => "Created",
             204 => "No Content",
+            301 => "Moved Permanently",
+            302 => "Found",
             304 => "Not Modified",
             400 => "Bad Request",
+            401 => "Unauthorized",
             403 => "Forbidden",
             404 => "Not Found",
             405 => "Method Not Allowed",
+            413 => "Payload Too Large",
             500 => "Internal Server Error",
             501 => "Not Implemented",
             else => "OK",
@@ -1458,6 +2659,200 @@ pub const DevServer = struct {
     }
 };
 
+// ── NPM Module Transform ────────────────────────────────────────────────────
+
+/// Which flavour of a package to produce: `wu dev` serves the development
+/// builds, `wu build --native` the production ones.
+pub const Mode = enum { development, production };
+
+/// Turn a resolved node_modules file into a browser ES module whose imports
+/// all point at /@modules/ (bare, relative and #imports alike). `options`
+/// are the ones `resolved` came from. Returns an allocator-owned slice.
+pub fn transformNpmModule(
+    allocator: Allocator,
+    source: []const u8,
+    module_name: []const u8,
+    resolved: resolve_mod.ResolvedModule,
+    search_dirs: []const []const u8,
+    options: resolve_mod.Options,
+    mode: Mode,
+) ![]const u8 {
+    // CJS detection: if the file uses require()/module.exports and has no ESM syntax,
+    // wrap it in a synthetic ESM module so browsers can import it.
+    if (isCjsModule(source)) {
+        return wrapCjsAsEsm(allocator, source, module_name, search_dirs, options, mode);
+    }
+
+    // Compute file's directory relative to package root.
+    // e.g. file_path="x/node_modules/@lit/reactive-element/reactive-element.js"
+    //      pkg_dir="x/node_modules/@lit/reactive-element"
+    //      → file_rel="reactive-element.js", file_dir_in_pkg=""
+    const pkg_name = resolve_mod.extractPackageName(module_name);
+    const file_rel = if (resolved.file_path.len > resolved.package_dir.len + 1)
+        resolved.file_path[resolved.package_dir.len + 1 ..]
+    else
+        "";
+    const file_dir_in_pkg = if (std.mem.lastIndexOfScalar(u8, file_rel, '/')) |ls|
+        file_rel[0..ls]
+    else
+        "";
+
+    // Phase 1: TS stripping + bare import rewriting (react → /@modules/react)
+    const ext = std.fs.path.extension(resolved.file_path);
+    const phase1 = if (DevServer.needsTransform(ext))
+        transform.transformSource(allocator, source, resolved.file_path, null, null) catch source
+    else
+        source;
+    const p1_owned = phase1.ptr != source.ptr;
+    defer if (p1_owned) allocator.free(phase1);
+
+    // Phase 2: Rewrite relative imports to absolute /@modules/ paths.
+    // Without this, `import "./css-tag.js"` inside @lit/reactive-element
+    // resolves to /@modules/@lit/css-tag.js (wrong) instead of
+    // /@modules/@lit/reactive-element/css-tag.js (correct).
+    const phase2 = rewriteRelativeModuleImports(allocator, phase1, pkg_name, file_dir_in_pkg) catch phase1;
+    const p2_owned = phase2.ptr != phase1.ptr;
+    defer if (p2_owned) allocator.free(phase2);
+
+    // Phase 3: Replace process.env.NODE_ENV with the mode.
+    // Vue, React-DOM, and many ESM packages reference process.env.NODE_ENV
+    // which throws ReferenceError in the browser. Vite does the same replacement.
+    const phase3 = replaceProcessEnv(allocator, phase2, mode) catch phase2;
+    const p3_owned = phase3.ptr != phase2.ptr;
+    defer if (p3_owned) allocator.free(phase3);
+
+    // Phase 4: Resolve Node.js package #imports (e.g. Svelte's #client/constants).
+    // These are defined in package.json "imports" field and are private to the package.
+    const phase4 = resolveHashImports(allocator, phase3, pkg_name, resolved.package_dir, options) catch phase3;
+    if (phase4.ptr != source.ptr and phase4.ptr != phase1.ptr and
+        phase4.ptr != phase2.ptr and phase4.ptr != phase3.ptr) return phase4;
+    return allocator.dupe(u8, phase4);
+}
+
+// ── CJS → ESM Wrapping ──────────────────────────────────────────────────────
+
+fn wrapCjsAsEsm(
+    allocator: Allocator,
+    source: []const u8,
+    module_name: []const u8,
+    search_dirs: []const []const u8,
+    options: resolve_mod.Options,
+    mode: Mode,
+) ![]const u8 {
+    // Generic CJS → ESM wrapper. Zero hardcoded package names or exports.
+    //
+    // 1. Scans source for require('./...development...') → follows it
+    //    (require('./...production...') when building for production)
+    // 2. Scans the inlined source for require('bare-pkg') → adds ESM imports
+    // 3. Generates a require() that returns the imported modules
+    // 4. Scans for exports.NAME patterns → generates named re-exports
+    //
+    // Works for React, ReactDOM, scheduler, or ANY future CJS package
+    // without knowing anything about their internal structure.
+
+    // Determine the actual CJS source to inline.
+    // Many CJS packages (React, scheduler, etc.) have an index.js that does:
+    //   if (process.env.NODE_ENV === 'production') require('./cjs/pkg.production.min.js');
+    //   else require('./cjs/pkg.development.js');
+    // We scan for require('./...') and prefer the path matching the mode.
+    var actual_source = source;
+    var actual_source_owned = false;
+    defer if (actual_source_owned) allocator.free(actual_source);
+
+    if (findRequirePath(source, @tagName(mode))) |dev_rel_path| {
+        const pkg_name = resolve_mod.extractPackageName(module_name);
+        var spec_buf: [512]u8 = undefined;
+        if (std.fmt.bufPrint(&spec_buf, "{s}/{s}", .{ pkg_name, dev_rel_path })) |dev_spec| {
+            // The required file is internal (react/cjs/...), so "exports"
+            // need not list it
+            var file_options = options;
+            file_options.file_subpaths = true;
+            if (resolve_mod.resolveModuleWith(allocator, dev_spec, search_dirs, file_options) catch null) |dev_resolved| {
+                defer allocator.free(dev_resolved.file_path);
+                defer allocator.free(dev_resolved.package_dir);
+                if (std.fs.cwd().openFile(dev_resolved.file_path, .{})) |dev_file| {
+                    defer dev_file.close();
+                    if (dev_file.readToEndAlloc(allocator, 4 * 1024 * 1024)) |ds| {
+                        actual_source = ds;
+                        actual_source_owned = true;
+                    } else |_| {}
+                } else |_| {}
+            }
+        } else |_| {}
+    }
+
+    // Scan the CJS source for require('bare-pkg') calls to external packages.
+    // We'll generate static ESM imports for them so the browser resolves deps.
+    var deps_buf: [32][]const u8 = undefined;
+    var dep_count: usize = 0;
+    {
+        var pos: usize = 0;
+        while (pos + 10 < actual_source.len and dep_count < deps_buf.len) {
+            if (std.mem.startsWith(u8, actual_source[pos..], "require(")) {
+                const q = pos + 8; // after "require("
+                if (q < actual_source.len and (actual_source[q] == '\'' or actual_source[q] == '"')) {
+                    const quote = actual_source[q];
+                    const spec_start = q + 1;
+                    if (std.mem.indexOfScalar(u8, actual_source[spec_start..], quote)) |spec_len| {
+                        const spec = actual_source[spec_start .. spec_start + spec_len];
+                        // Only bare specifiers (not ./relative), and not self-requires
+                        if (spec.len > 0 and spec[0] != '.' and spec[0] != '/') {
+                            // Deduplicate
+                            var dupe = false;
+                            for (deps_buf[0..dep_count]) |existing| {
+                                if (std.mem.eql(u8, existing, spec)) {
+                                    dupe = true;
+                                    break;
+                                }
+                            }
+                            if (!dupe) {
+                                deps_buf[dep_count] = spec;
+                                dep_count += 1;
+                            }
+                        }
+                        pos = spec_start + spec_len;
+                        continue;
+                    }
+                }
+            }
+            pos += 1;
+        }
+    }
+
+    // Build the wrapper
+    var out: std.ArrayList(u8) = .empty;
+    errdefer out.deinit(allocator);
+    const w = out.writer(allocator);
+
+    try w.writeAll("// [wu] CJS → ESM wrapper for \"");
+    try w.writeAll(module_name);
+    try w.writeAll("\"\n");
+
+    // Static ESM imports for each dependency found via require() scanning
+    for (deps_buf[0..dep_count], 0..) |dep, i| {
+        try w.print("import __dep{d} from '/@modules/{s}';\n", .{ i, dep });
+    }
+
+    try w.print("var process = {{ env: {{ NODE_ENV: \"{s}\" }} }};\nvar global = globalThis;\nvar module = {{ exports: {{}} }};\nvar exports = module.exports;\n", .{@tagName(mode)});
+
+    // Generate require() that returns the imported modules
+    try w.writeAll("function require(id) {\n");
+    for (deps_buf[0..dep_count], 0..) |dep, i| {
+        try w.print("  if (id === '{s}') return __dep{d};\n", .{ dep, i });
+    }
+    try w.writeAll("  console.warn('[wu] require(' + id + ')');\n");
+    try w.writeAll("  return {};\n}\n\n");
+
+    // Inline the CJS source
+    try w.writeAll(actual_source);
+    try w.writeAll("\n\nexport default module.exports;\n");
+
+    // Auto-detect and re-export named exports by scanning for exports.NAME patterns
+    try appendGenericExports(allocator, &out, actual_source);
+
+    return out.toOwnedSlice(allocator);
+}
+
 // ── Framework Helpers ───────────────────────────────────────────────────────
 
 /// Map framework name to its main entry-point extension (mirrors create.zig mainExt).
@@ -1490,12 +2885,13 @@ fn isCjsModule(source: []const u8) bool {
     return !has_esm;
 }
 
-/// Scan CJS source for require('./...') calls. Prefer paths containing "development".
+/// Scan CJS source for require('./...') calls. Prefer paths containing `prefer`
+/// ("development" or "production").
 /// Returns the relative path (stripped of "./" prefix) or null if none found.
 ///
 /// This is fully generic — works for React, ReactDOM, scheduler, or any CJS package
 /// that uses require('./subpath') without hardcoding any package names.
-fn findRequireDevPath(source: []const u8) ?[]const u8 {
+fn findRequirePath(source: []const u8, prefer: []const u8) ?[]const u8 {
     var dev_path: ?[]const u8 = null;
     var any_path: ?[]const u8 = null;
     var pos: usize = 0;
@@ -1513,7 +2909,7 @@ fn findRequireDevPath(source: []const u8) ?[]const u8 {
                     const req_path = source[start..end];
                     if (std.mem.startsWith(u8, req_path, "./")) {
                         const clean = req_path[2..]; // strip "./"
-                        if (std.mem.indexOf(u8, clean, "development") != null) {
+                        if (std.mem.indexOf(u8, clean, prefer) != null) {
                             dev_path = clean;
                         }
                         any_path = clean;
@@ -1590,16 +2986,16 @@ fn appendGenericExports(allocator: Allocator, out: *std.ArrayList(u8), source: [
 //
 // Many ESM packages (Vue, React-DOM) reference process.env.NODE_ENV directly.
 // In Node.js this is fine, but in the browser `process` is undefined → ReferenceError.
-// We replace all occurrences with the string literal "development".
-// This is exactly what Vite and esbuild do during dev serving.
+// We replace all occurrences with the string literal "development"
+// ("production" for native builds). This is exactly what Vite and esbuild do.
 
-fn replaceProcessEnv(allocator: Allocator, source: []const u8) ![]const u8 {
+fn replaceProcessEnv(allocator: Allocator, source: []const u8, mode: Mode) ![]const u8 {
     // Replacements: process.env.NODE_ENV and Vue/framework compile-time feature flags.
     // Vue's ESM bundler build uses __VUE_OPTIONS_API__ etc. as bare global references.
     // Without defining them, the browser throws ReferenceError and the entire module fails.
     // This is exactly what Vite does with its `define` plugin.
     const replacements = [_]struct { needle: []const u8, value: []const u8 }{
-        .{ .needle = "process.env.NODE_ENV", .value = "\"development\"" },
+        .{ .needle = "process.env.NODE_ENV", .value = if (mode == .production) "\"production\"" else "\"development\"" },
         .{ .needle = "__VUE_OPTIONS_API__", .value = "true" },
         .{ .needle = "__VUE_PROD_DEVTOOLS__", .value = "false" },
         .{ .needle = "__VUE_PROD_HYDRATION_MISMATCH_DETAILS__", .value = "false" },
@@ -1669,14 +3065,16 @@ fn replaceProcessEnv(allocator: Allocator, source: []const u8) ![]const u8 {
 // Our transform pipeline doesn't handle `#` specifiers (not bare, not relative),
 // so they pass through to the browser which can't resolve them.
 //
-// This function reads the package's package.json "imports" field and rewrites
-// `#specifier` → `/@modules/{pkg}/{resolved_path}`.
+// This function resolves each `#specifier` through the package's "imports"
+// field (resolve.resolveImports: patterns, conditions, targets in other
+// packages) and rewrites it to `/@modules/{pkg}/{path}` or `/@modules/{other}`.
 
 fn resolveHashImports(
     allocator: Allocator,
     source: []const u8,
     pkg_name: []const u8,
     package_dir: []const u8,
+    options: resolve_mod.Options,
 ) ![]const u8 {
     // Quick check: if no '#' in import context, skip
     if (std.mem.indexOf(u8, source, "'#") == null and
@@ -1693,115 +3091,67 @@ fn resolveHashImports(
     const pkg_json = pkg_file.readToEndAlloc(allocator, 512 * 1024) catch return source;
     defer allocator.free(pkg_json);
 
-    // Find the "imports" field
-    const imports_region = resolve_mod.findFieldRegion(pkg_json, "imports") orelse return source;
-    if (imports_region.len == 0 or imports_region[0] != '{') return source;
+    if (resolve_mod.findFieldRegion(pkg_json, "imports") == null) return source;
 
     var out: std.ArrayList(u8) = .empty;
     errdefer out.deinit(allocator);
 
-    var remaining = source;
-    var found_any = false;
-
-    // Scan for from '#...' and from "#..." patterns
-    while (remaining.len > 0) {
-        // Find next `from` keyword
-        const from_idx = findFromKeyword(remaining) orelse break;
-
-        // Skip whitespace after 'from'
-        var q = from_idx + 4;
-        while (q < remaining.len and (remaining[q] == ' ' or remaining[q] == '\t')) : (q += 1) {}
-        if (q >= remaining.len) break;
-
-        const quote = remaining[q];
-        if (quote != '"' and quote != '\'') {
-            // Not a string literal, advance past "from" and continue
-            try out.appendSlice(allocator, remaining[0 .. from_idx + 4]);
-            remaining = remaining[from_idx + 4 ..];
-            continue;
-        }
-
-        const spec_start = q + 1;
-        const spec_end_rel = std.mem.indexOfScalar(u8, remaining[spec_start..], quote) orelse break;
-        const specifier = remaining[spec_start .. spec_start + spec_end_rel];
-
-        // Only handle #-prefixed specifiers
-        if (specifier.len == 0 or specifier[0] != '#') {
-            // Not a hash import, advance past this from+specifier
-            try out.appendSlice(allocator, remaining[0 .. spec_start + spec_end_rel + 1]);
-            remaining = remaining[spec_start + spec_end_rel + 1 ..];
-            continue;
-        }
-
-        // Look up this #specifier in the imports field
-        if (resolveHashSpecifier(imports_region, specifier)) |resolved_path| {
-            // Strip leading "./" from the resolved path
-            const clean_path = if (std.mem.startsWith(u8, resolved_path, "./"))
-                resolved_path[2..]
-            else
-                resolved_path;
-
-            // Write everything up to the specifier, then the rewritten path
-            try out.appendSlice(allocator, remaining[0..spec_start]);
-            try out.appendSlice(allocator, "/@modules/");
-            try out.appendSlice(allocator, pkg_name);
-            try out.appendSlice(allocator, "/");
-            try out.appendSlice(allocator, clean_path);
-            remaining = remaining[spec_start + spec_end_rel ..];
-            found_any = true;
+    // Scan for '#...' and "#..." after from, import and import(
+    var copied: usize = 0;
+    var pos: usize = 0;
+    while (pos + 1 < source.len) : (pos += 1) {
+        const quote = source[pos];
+        if ((quote != '"' and quote != '\'') or source[pos + 1] != '#') continue;
+        if (!followsImportKeyword(source[0..pos])) continue;
+
+        const spec_start = pos + 1;
+        const spec_len = std.mem.indexOfScalar(u8, source[spec_start..], quote) orelse break;
+        const specifier = source[spec_start .. spec_start + spec_len];
+        pos = spec_start + spec_len;
+
+        // Could not resolve — leave as-is
+        const target = try resolve_mod.resolveImports(allocator, package_dir, pkg_json, specifier, options) orelse continue;
+        defer allocator.free(target.path);
+        if (!target.bare and !std.mem.startsWith(u8, target.path, package_dir)) continue;
+
+        // Write everything up to the specifier, then the rewritten path
+        try out.appendSlice(allocator, source[copied..spec_start]);
+        try out.appendSlice(allocator, "/@modules/");
+        if (target.bare) {
+            try out.appendSlice(allocator, target.path);
         } else {
-            // Could not resolve — leave as-is
-            try out.appendSlice(allocator, remaining[0 .. spec_start + spec_end_rel + 1]);
-            remaining = remaining[spec_start + spec_end_rel + 1 ..];
+            try out.appendSlice(allocator, pkg_name);
+            try out.appendSlice(allocator, target.path[package_dir.len..]);
         }
+        copied = spec_start + spec_len;
     }
 
-    if (!found_any) {
+    if (copied == 0) {
         out.deinit(allocator);
         return source;
     }
 
-    try out.appendSlice(allocator, remaining);
+    try out.appendSlice(allocator, source[copied..]);
     return out.toOwnedSlice(allocator);
 }
 
-/// Find the next 'from' keyword in source that's not part of another identifier.
-fn findFromKeyword(source: []const u8) ?usize {
-    var pos: usize = 0;
-    while (pos + 4 <= source.len) {
-        if (std.mem.eql(u8, source[pos .. pos + 4], "from")) {
-            // Make sure it's not part of a larger identifier
-            const before_ok = (pos == 0 or !std.ascii.isAlphanumeric(source[pos - 1]) and source[pos - 1] != '_');
-            const after_ok = (pos + 4 >= source.len or !std.ascii.isAlphanumeric(source[pos + 4]) and source[pos + 4] != '_');
-            if (before_ok and after_ok) return pos;
-        }
-        pos += 1;
+/// Whether `before` ends with `from`, `import` or `import(`, so that the
+/// string after it is a module specifier.
+fn followsImportKeyword(before: []const u8) bool {
+    var rest = std.mem.trimRight(u8, before, " \t\r\n");
+    if (std.mem.endsWith(u8, rest, "(")) {
+        rest = std.mem.trimRight(u8, rest[0 .. rest.len - 1], " \t\r\n");
+        return endsWithKeyword(rest, "import");
     }
-    return null;
+    return endsWithKeyword(rest, "from") or endsWithKeyword(rest, "import");
 }
 
-/// Look up a #specifier in the imports field region of package.json.
-/// The imports field looks like: { "#client/constants": "./src/internal/client/constants.js", ... }
-/// Also handles condition objects: { "#client": { "types": "...", "default": "..." } }
-fn resolveHashSpecifier(imports_region: []const u8, specifier: []const u8) ?[]const u8 {
-    // Look for the specifier as a key in the imports object
-    const field_region = resolve_mod.findFieldRegion(imports_region, specifier) orelse return null;
-
-    // If the value is a string, return it directly
-    if (resolve_mod.extractQuotedString(field_region)) |path| return path;
-
-    // If it's a condition object, try our condition priority
-    if (field_region.len > 0 and field_region[0] == '{') {
-        // Try conditions in order: import, browser, default
-        const conditions = [_][]const u8{ "import", "browser", "default" };
-        for (conditions) |cond| {
-            if (resolve_mod.findFieldRegion(field_region, cond)) |cond_region| {
-                if (resolve_mod.extractQuotedString(cond_region)) |path| return path;
-            }
-        }
-    }
-
-    return null;
+/// Whether `text` ends with `keyword` as a whole word (not `x.from`).
+fn endsWithKeyword(text: []const u8, keyword: []const u8) bool {
+    if (!std.mem.endsWith(u8, text, keyword)) return false;
+    if (text.len == keyword.len) return true;
+    const c = text[text.len - keyword.len - 1];
+    return !(std.ascii.isAlphanumeric(c) or c == '_' or c == '$' or c == '.');
 }
 
 // ── Relative Import Rewriting for /@modules/ ────────────────────────────────
@@ -1942,7 +3292,7 @@ fn resolveRelativeInPkg(buf: *[2048]u8, dir: []const u8, specifier: []const u8)
 
 // ── Platform I/O (Windows ws2_32 safe) ──────────────────────────────────────
 
-fn platformRead(stream: std.net.Stream, buf: []u8) !usize {
+pub fn platformRead(stream: std.net.Stream, buf: []u8) !usize {
     if (builtin.os.tag == .windows) {
         const rc = std.os.windows.ws2_32.recv(stream.handle, buf.ptr, @intCast(buf.len), 0);
         if (rc == std.os.windows.ws2_32.SOCKET_ERROR) {
@@ -1979,7 +3329,7 @@ fn platformReadNonBlocking(stream: std.net.Stream, buf: []u8) !usize {
     }
 }
 
-fn platformWrite(stream: std.net.Stream, data: []const u8) !void {
+pub fn platformWrite(stream: std.net.Stream, data: []const u8) !void {
     if (builtin.os.tag == .windows) {
         var sent: usize = 0;
         while (sent < data.len) {
@@ -2011,6 +3361,8 @@ fn shutdownSignal() void {
 
 const wu_hmr_client =
     \\// WU HMR Client — WebSocket first, SSE fallback
+    \\import { applyUpdate, onInvalidate } from '/@wu/hmr.js';
+    \\
     \\(function() {
     \\  var connected = false;
     \\  var fwExts = {svelte:'svelte',react:'jsx',vue:'js',solid:'jsx',preact:'jsx',lit:'js',vanilla:'js',angular:'ts',alpine:'js',qwik:'jsx',stencil:'js',htmx:'js',stimulus:'js'};
@@ -2021,7 +3373,9 @@ const wu_hmr_client =
     \\      console.log('%c[wu] connected (ws)', 'color: #7c3aed');
     \\    }
     \\    if (data.type === 'css-update') hotCSS(data.app);
+    \\    if (data.type === 'update') hotUpdate(data);
     \\    if (data.type === 'app-update') hotApp(data.app, data.dir, data.fw);
+    \\    if (data.type === 'compile-error') showOverlay(data.error);
     \\    if (data.type === 'full-reload') {
     \\      console.log('%c[wu] full reload', 'color: #7c3aed');
     \\      location.reload();
@@ -2031,7 +3385,7 @@ const wu_hmr_client =
     \\  // Try WebSocket first (bidirectional, lower overhead)
     \\  function connectWS() {
     \\    try {
-    \\      var ws = new WebSocket('ws://' + location.host + '/__wu_ws');
+    \\      var ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/__wu_ws');
     \\      ws.onmessage = function(e) {
     \\        try { onMessage(JSON.parse(e.data)); } catch(err) {}
     \\      };
@@ -2068,6 +3422,46 @@ const wu_hmr_client =
     \\
     \\  connectWS();
     \\
+    \\  // Compile error overlay — dismissable, cleared by the next successful update
+    \\  var overlay = null;
+    \\  function showOverlay(err) {
+    \\    if (!err) return;
+    \\    hideOverlay();
+    \\    overlay = document.createElement('wu-error-overlay');
+    \\    var root = overlay.attachShadow({ mode: 'open' });
+    \\    var csp = document.querySelector('meta[property=csp-nonce]');
+    \\    root.innerHTML =
+    \\      '<style' + (csp ? ' nonce="' + csp.nonce + '"' : '') + '>' +
+    \\      '.bg{position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.66);display:flex;align-items:flex-start;justify-content:center;padding-top:10vh}' +
+    \\      '.box{max-width:860px;width:90%;background:#181818;color:#e5e5e5;border-top:6px solid #ef4444;border-radius:6px;padding:24px 28px;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace;box-shadow:0 12px 40px rgba(0,0,0,.5)}' +
+    \\      '.plugin{color:#a78bfa}.file{color:#93c5fd;margin:6px 0 12px}.msg{color:#fca5a5;white-space:pre-wrap;font-weight:bold}' +
+    \\      'pre{background:#0d0d0d;padding:12px 16px;border-radius:4px;overflow:auto;margin:16px 0 0}' +
+    \\      'button{float:right;background:none;border:0;color:#999;font-size:20px;cursor:pointer}' +
+    \\      '.tip{color:#777;font-size:12px;margin-top:14px}' +
+    \\      '</style>' +
+    \\      '<div class="bg"><div class="box">' +
+    \\      '<button title="Dismiss">&times;</button>' +
+    \\      '<div class="plugin"></div><div class="file"></div><div class="msg"></div><pre></pre>' +
+    \\      '<div class="tip">Fix the error and save — this overlay closes on the next successful update. Esc to dismiss.</div>' +
+    \\      '</div></div>';
+    \\    var loc = err.file + (err.line ? ':' + err.line + ':' + err.column : '');
+    \\    root.querySelector('.plugin').textContent = '[plugin:' + err.plugin + ']';
+    \\    root.querySelector('.file').textContent = loc;
+    \\    root.querySelector('.msg').textContent = err.message;
+    \\    var pre = root.querySelector('pre');
+    \\    if (err.frame) pre.textContent = err.frame; else pre.remove();
+    \\    root.querySelector('button').onclick = hideOverlay;
+    \\    root.querySelector('.bg').onclick = function(e) { if (e.target === e.currentTarget) hideOverlay(); };
+    \\    document.body.appendChild(overlay);
+    \\    console.error('[wu] ' + loc + ' ' + err.message + (err.frame ? '\n\n' + err.frame : ''));
+    \\  }
+    \\  function hideOverlay() {
+    \\    if (overlay) overlay.remove();
+    \\    overlay = null;
+    \\  }
+    \\  document.addEventListener('keydown', function(e) { if (e.key === 'Escape') hideOverlay(); });
+    \\  window.__wu_overlay = showOverlay;
+    \\
     \\  function hotCSS(appName) {
     \\    var t = '?t=' + Date.now();
     \\    document.querySelectorAll('link[rel="stylesheet"]').forEach(function(l) {
@@ -2082,14 +3476,44 @@ const wu_hmr_client =
     \\    document.querySelectorAll('style[data-wu-css]').forEach(function(s) {
     \\      var p = s.getAttribute('data-wu-css');
     \\      fetch('/' + p + '?raw&t=' + Date.now()).then(function(r) {
-    \\        return r.text();
+    \\        return r.ok ? r.text() : null;
     \\      }).then(function(css) {
-    \\        s.textContent = css;
+    \\        if (css !== null) s.textContent = css;
     \\      });
     \\    });
     \\    console.log('%c[wu] css updated → ' + appName, 'color: #7c3aed');
     \\  }
     \\
+    \\  // Module-level update: re-import only the modules that accept the change.
+    \\  // Anything the runtime cannot apply falls back to remounting the app.
+    \\  function hotUpdate(data) {
+    \\    var chain = Promise.resolve();
+    \\    data.updates.forEach(function(u) {
+    \\      chain = chain.then(function() { return applyUpdate(u, data.t); });
+    \\    });
+    \\    chain.then(function() {
+    \\      hideOverlay();
+    \\      data.updates.forEach(function(u) {
+    \\        console.log('%c[wu] hot updated → /' + u.accepted, 'color: #7c3aed');
+    \\      });
+    \\    }).catch(function(err) {
+    \\      console.warn('[wu] hot update failed, remounting ' + data.app, err);
+    \\      hotApp(data.app, data.dir, data.fw);
+    \\    });
+    \\  }
+    \\
+    \\  // import.meta.hot.invalidate(): remount the module's app
+    \\  onInvalidate(function(path) {
+    \\    var apps = window.__wu_apps || [];
+    \\    for (var i = 0; i < apps.length; i++) {
+    \\      if (path.indexOf('/' + apps[i].dir + '/') === 0) {
+    \\        hotApp(apps[i].name, apps[i].dir, apps[i].framework);
+    \\        return;
+    \\      }
+    \\    }
+    \\    location.reload();
+    \\  });
+    \\
     \\  function hotApp(appName, dir, fw) {
     \\    var wu = window.wu;
     \\    var entry = window.__wu_entries && window.__wu_entries[appName];
@@ -2111,6 +3535,7 @@ const wu_hmr_client =
     \\          return wu.mount(appName, '#wu-app-' + appName);
     \\        })
     \\        .then(function() {
+    \\          hideOverlay();
     \\          console.log('%c[wu] ' + appName + ' hot-reloaded', 'color: #7c3aed');
     \\        })
     \\        .catch(function(err) {
@@ -2120,7 +3545,7 @@ const wu_hmr_client =
     \\          if (def && def.mount && container) {
     \\            container.innerHTML = '';
     \\            def.mount(container);
-    \\          } else {
+    \\          } else if (!overlay) {
     \\            location.reload();
     \\          }
     \\        });
@@ -2136,17 +3561,86 @@ const wu_hmr_client =
     \\        var newDef = wu.definitions && wu.definitions.get(appName);
     \\        if (newDef && newDef.mount && container) {
     \\          newDef.mount(container);
+    \\          hideOverlay();
     \\          console.log('%c[wu] ' + appName + ' hot-reloaded', 'color: #7c3aed');
     \\        }
     \\      }).catch(function(err) {
     \\        console.warn('[wu] hot-reload failed for ' + appName, err);
-    \\        location.reload();
+    \\        if (!overlay) location.reload();
     \\      });
     \\    }
     \\  }
     \\})();
 ;
 
+// ── Compile Error Event ────────────────────────────────────────────────────
+
+/// Write the `compile-error` SSE event for `app_name`. `diag_json` is already
+/// a JSON object; the app name comes from config and is escaped.
+fn writeCompileErrorEvent(w: *std.Io.Writer, app_name: []const u8, diag_json: []const u8) !void {
+    try w.writeAll("data: {\"type\":\"compile-error\",\"app\":");
+    try config_mod.writeJsonString(w, app_name);
+    try w.print(",\"error\":{s}}}\n\n", .{diag_json});
+}
+
+// ── Source Map Comment ─────────────────────────────────────────────────────
+
+/// Append `import "./<basename>.css?import&v=<hash>";` — the component's styles
+/// as a CSS module. Appended last, like the map comment, so line mappings hold.
+fn appendStyleImport(allocator: Allocator, out: *std.ArrayList(u8), path: []const u8, css: []const u8) !void {
+    if (out.items.len > 0 and out.items[out.items.len - 1] != '\n') try out.append(allocator, '\n');
+    var buf: [600]u8 = undefined;
+    const line = std.fmt.bufPrint(&buf, "{s}{s}.css?import&v={x:0>8}\";\n", .{
+        style_import_prefix,
+        std.fs.path.basename(path),
+        @as(u32, @truncate(std.hash.Wyhash.hash(0, css))),
+    }) catch return;
+    try out.appendSlice(allocator, line);
+}
+
+const style_import_prefix = "import \"./";
+
+/// Compiled output with its appended style import cut off, for telling a
+/// style-only edit from a script change.
+fn scriptPart(code: []const u8, path: []const u8) []const u8 {
+    var buf: [600]u8 = undefined;
+    const marker = std.fmt.bufPrint(&buf, "\n{s}{s}.css?import&v=", .{
+        style_import_prefix,
+        std.fs.path.basename(path),
+    }) catch return code;
+    const at = std.mem.lastIndexOf(u8, code, marker) orelse return code;
+    return code[0..at];
+}
+
+/// Append `//# sourceMappingURL=<basename>.map` so DevTools fetches the sidecar
+/// map served by serveSourceMap.
+fn appendSourceMappingUrl(allocator: Allocator, out: *std.ArrayList(u8), path: []const u8) !void {
+    if (out.items.len > 0 and out.items[out.items.len - 1] != '\n') try out.append(allocator, '\n');
+    try out.appendSlice(allocator, "//# sourceMappingURL=");
+    try out.appendSlice(allocator, std.fs.path.basename(path));
+    try out.appendSlice(allocator, ".map\n");
+}
+
+/// `code` with `map` inlined as a data: URL, allocator-owned; `code` itself
+/// when there is no map. For modules that have no compile cache entry for a
+/// .map sidecar to come from.
+fn withInlineSourceMap(allocator: Allocator, code: []const u8, map: []const u8) ![]const u8 {
+    if (map.len == 0) return code;
+    const encoder = std.base64.standard.Encoder;
+    const prefix = "//# sourceMappingURL=data:application/json;base64,";
+    var out: std.ArrayList(u8) = .empty;
+    errdefer out.deinit(allocator);
+    try out.ensureTotalCapacity(allocator, code.len + 1 + prefix.len + encoder.calcSize(map.len) + 1);
+    out.appendSliceAssumeCapacity(code);
+    if (code.len > 0 and code[code.len - 1] != '\n') out.appendAssumeCapacity('\n');
+    out.appendSliceAssumeCapacity(prefix);
+    const start = out.items.len;
+    out.items.len += encoder.calcSize(map.len);
+    _ = encoder.encode(out.items[start..], map);
+    out.appendAssumeCapacity('\n');
+    return out.toOwnedSlice(allocator);
+}
+
 // ── Import Version Stamping (module cache busting) ─────────────────────────
 
 /// Append ?t=<version> to relative import specifiers to bust the browser's
@@ -2243,18 +3737,10 @@ fn tryStampImport(allocator: Allocator, out: *std.ArrayList(u8), src: []const u8
     return src[spec_start + spec_end_rel ..];
 }
 
-// ── Struct type for file watcher (must be at module scope) ──────────────────
-
-const WatchEntry = struct {
-    hash: u64,
-    mtime: i128,
-    generation: u32 = 0,
-};
-
 // ── URL Decoding ────────────────────────────────────────────────────────────
 
 /// Decode %XX sequences in a URL path. Returns a slice into `buf`.
-fn urlDecode(input: []const u8, buf: *[4096]u8) []const u8 {
+pub fn urlDecode(input: []const u8, buf: *[4096]u8) []const u8 {
     var i: usize = 0;
     var o: usize = 0;
     while (i < input.len and o < buf.len) {
@@ -2281,3 +3767,270 @@ fn hexVal(c: u8) ?u4 {
     if (c >= 'A' and c <= 'F') return @intCast(c - 'A' + 10);
     return null;
 }
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+/// A dev server over `apps` with a memory-only compile cache, which tests
+/// seed with builds instead of running a compiler.
+fn testServer(allocator: Allocator, apps: []const AppEntry) DevServer {
+    var server = DevServer.init(allocator, .{ .apps = apps });
+    server.compile_cache.deinit();
+    server.compile_cache = cache_mod.CompileCache.initWith(allocator, .{ .disk = false });
+    return server;
+}
+
+fn stopTestServer(server: *DevServer) void {
+    server.shutdown();
+    server.hmr_graph.deinit();
+}
+
+/// A pipe standing in for the client socket.
+const TestClient = struct {
+    fds: [2]std.posix.fd_t,
+
+    fn init() !TestClient {
+        return .{ .fds = try std.posix.pipe() };
+    }
+
+    fn deinit(self: TestClient) void {
+        std.posix.close(self.fds[0]);
+        std.posix.close(self.fds[1]);
+    }
+
+    fn stream(self: TestClient) std.net.Stream {
+        return .{ .handle = self.fds[1] };
+    }
+
+    /// Everything the server wrote since the last read.
+    fn read(self: TestClient, buf: []u8) ![]const u8 {
+        const n = try std.posix.read(self.fds[0], buf);
+        return buf[0..n];
+    }
+};
+
+fn responseBody(response: []const u8) []const u8 {
+    const end = std.mem.indexOf(u8, response, "\r\n\r\n") orelse return "";
+    return response[end + 4 ..];
+}
+
+test "the sourceMappingURL comment names the sidecar the server answers" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+    var tmp = std.testing.tmpDir(.{});
+    defer tmp.cleanup();
+    try tmp.dir.makePath("shop/src");
+    try tmp.dir.writeFile(.{ .sub_path = "shop/src/App.svelte", .data = "<h1>hi</h1>\n" });
+
+    var dir_buf: [128]u8 = undefined;
+    var path_buf: [160]u8 = undefined;
+    const dir = try std.fmt.bufPrint(&dir_buf, ".zig-cache/tmp/{s}/shop", .{tmp.sub_path});
+    const path = try std.fmt.bufPrint(&path_buf, "{s}/src/App.svelte", .{dir});
+    const apps = [_]AppEntry{.{ .name = "shop", .dir = dir, .framework = "svelte" }};
+    var server = testServer(allocator, &apps);
+    defer stopTestServer(&server);
+
+    // What compileToCache stores when the compiler returned a map
+    var code: std.ArrayList(u8) = .empty;
+    defer code.deinit(allocator);
+    try code.appendSlice(allocator, "export default function App() {}");
+    try appendSourceMappingUrl(allocator, &code, path);
+    const map = "{\"version\":3,\"sources\":[\"App.svelte\"],\"mappings\":\"AAAA\"}";
+    server.compile_cache.putParts(server.compileKey(path, apps[0]).?, path, .{ .code = code.items, .map = map }, &.{});
+
+    const client = try TestClient.init();
+    defer client.deinit();
+    var buf: [4096]u8 = undefined;
+
+    try server.serveAppFile(client.stream(), path, apps[0]);
+    const module = responseBody(try client.read(&buf));
+    const marker = "\n//# sourceMappingURL=";
+    const at = std.mem.lastIndexOf(u8, module, marker) orelse return error.TestUnexpectedResult;
+    const url = std.mem.trimRight(u8, module[at + marker.len ..], "\n");
+    try std.testing.expectEqualStrings("App.svelte.map", url);
+
+    // The browser resolves the URL against the module's own
+    var sidecar_buf: [192]u8 = undefined;
+    const sidecar = try std.fmt.bufPrint(&sidecar_buf, "{s}/{s}", .{ std.fs.path.dirname(path).?, url });
+    try server.serveAppFile(client.stream(), sidecar, apps[0]);
+    const response = try client.read(&buf);
+    try std.testing.expect(std.mem.startsWith(u8, response, "HTTP/1.1 200 "));
+    try std.testing.expect(std.mem.indexOf(u8, response, "Content-Type: application/json") != null);
+    try std.testing.expectEqualStrings(map, responseBody(response));
+}
+
+/// Write `source` to `path` and cache a build of it as compileToCache would
+/// store it: `script`, then the import of the extracted `css`.
+fn seedBuild(server: *DevServer, path: []const u8, app: AppEntry, source: []const u8, script: []const u8, css: []const u8) !void {
+    try std.fs.cwd().writeFile(.{ .sub_path = path, .data = source });
+    var code: std.ArrayList(u8) = .empty;
+    defer code.deinit(server.allocator);
+    try code.appendSlice(server.allocator, script);
+    try appendStyleImport(server.allocator, &code, path, css);
+    const cache_key = server.compileKey(path, app) orelse return error.TestUnexpectedResult;
+    server.compile_cache.putParts(cache_key, path, .{ .code = code.items, .css = css }, &.{});
+}
+
+/// Report `path` as edited and return the HMR event that went out.
+fn publishEdit(server: *DevServer, path: []const u8) ![]const u8 {
+    var batch = watcher_mod.Batch.init(server.allocator);
+    defer batch.deinit();
+    try batch.add(path, .changed);
+    server.publishChanges(&batch);
+    return server.hmr_event_buf[0..server.hmr_event_len];
+}
+
+test "a style-only Svelte edit is hot-swapped through the .css sidecar" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+    var tmp = std.testing.tmpDir(.{});
+    defer tmp.cleanup();
+    try tmp.dir.makePath("shop/src");
+
+    var dir_buf: [128]u8 = undefined;
+    var path_buf: [160]u8 = undefined;
+    const dir = try std.fmt.bufPrint(&dir_buf, ".zig-cache/tmp/{s}/shop", .{tmp.sub_path});
+    const path = try std.fmt.bufPrint(&path_buf, "{s}/src/App.svelte", .{dir});
+    const apps = [_]AppEntry{.{ .name = "shop", .dir = dir, .framework = "svelte" }};
+    var server = testServer(allocator, &apps);
+    defer stopTestServer(&server);
+
+    const client = try TestClient.init();
+    defer client.deinit();
+    var buf: [8192]u8 = undefined;
+
+    const source = "<h1>Shop</h1>\n<style>h1 { color: red; }</style>\n";
+    const script = "import * as $ from \"/@modules/svelte/internal/client\";\nexport default function App($$anchor) {}";
+    const css = "h1.svelte-5f3a9c1e{color:red}";
+    try seedBuild(&server, path, apps[0], source, script, css);
+
+    // The compiled module imports its styles as a CSS module, which puts
+    // them in a <style> tag named after the sidecar
+    var url_buf: [192]u8 = undefined;
+    const css_url = try std.fmt.bufPrint(&url_buf, "/{s}.css", .{path});
+    try server.serveCssAsModule(client.stream(), css_url);
+    const module = responseBody(try client.read(&buf));
+    try std.testing.expect(std.mem.indexOf(u8, module, "\"" ++ css ++ "\"") != null);
+    const id_at = (std.mem.indexOf(u8, module, "var id = '") orelse return error.TestUnexpectedResult) + "var id = '".len;
+    const id = module[id_at..std.mem.indexOfScalarPos(u8, module, id_at, '\'').?];
+    try std.testing.expectEqualStrings(css_url[1..], id);
+
+    // Builds are seeded rather than compiled, so each edit below is undone
+    // back to `source`, whose build the cache holds.
+
+    // The script changed too: remount
+    try seedBuild(&server, path, apps[0], "<h1>{title}</h1>\n<style>h1 { color: red; }</style>\n", "export default function App($$anchor, $$props) {}", css);
+    try std.fs.cwd().writeFile(.{ .sub_path = path, .data = source });
+    try std.testing.expect(std.mem.indexOf(u8, try publishEdit(&server, path), "\"type\":\"app-update\"") != null);
+
+    // Only the styles changed: hot-swap them
+    try seedBuild(&server, path, apps[0], "<h1>Shop</h1>\n<style>h1 { color: rebeccapurple; }</style>\n", script, "h1.svelte-5f3a9c1e{color:rebeccapurple}");
+    try std.fs.cwd().writeFile(.{ .sub_path = path, .data = source });
+    try std.testing.expectEqualStrings("data: {\"type\":\"css-update\",\"app\":\"shop\"}\n\n", try publishEdit(&server, path));
+
+    // hotCSS refetches each <style> tag's sidecar with ?raw
+    var raw_buf: [1024]u8 = undefined;
+    try server.serveAppFile(client.stream(), id, apps[0]);
+    const response = try client.read(&raw_buf);
+    try std.testing.expect(std.mem.indexOf(u8, response, "Content-Type: text/css") != null);
+    try std.testing.expectEqualStrings(css, responseBody(response));
+}
+
+/// The `v=` stamp of the style import in a served component module.
+fn styleImportVersion(module: []const u8) ?[]const u8 {
+    const marker = ".css?import&v=";
+    const at = (std.mem.indexOf(u8, module, marker) orelse return null) + marker.len;
+    const end = std.mem.indexOfScalarPos(u8, module, at, '"') orelse return null;
+    return module[at..end];
+}
+
+test "scoped Vue styles are served from the .css sidecar and hot-swapped" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+    var tmp = std.testing.tmpDir(.{});
+    defer tmp.cleanup();
+    try tmp.dir.makePath("cart/src");
+
+    var dir_buf: [128]u8 = undefined;
+    var path_buf: [160]u8 = undefined;
+    var css_path_buf: [192]u8 = undefined;
+    const dir = try std.fmt.bufPrint(&dir_buf, ".zig-cache/tmp/{s}/cart", .{tmp.sub_path});
+    const path = try std.fmt.bufPrint(&path_buf, "{s}/src/App.vue", .{dir});
+    const css_path = try std.fmt.bufPrint(&css_path_buf, "{s}.css", .{path});
+    const apps = [_]AppEntry{.{ .name = "cart", .dir = dir, .framework = "vue" }};
+    var server = testServer(allocator, &apps);
+    defer stopTestServer(&server);
+
+    const client = try TestClient.init();
+    defer client.deinit();
+    var buf: [8192]u8 = undefined;
+
+    const source = "<template><p class=\"title\">Cart</p></template>\n<style scoped>.title { color: red; }</style>\n";
+    const script = "const __sfc__ = { __scopeId: \"data-v-7ba5bd90\" };\nexport default __sfc__;";
+    const css = ".title[data-v-7ba5bd90]{color:red}";
+    try seedBuild(&server, path, apps[0], source, script, css);
+
+    try server.serveAppFile(client.stream(), path, apps[0]);
+    var first_version_buf: [16]u8 = undefined;
+    const first_version = styleImportVersion(responseBody(try client.read(&buf))) orelse return error.TestUnexpectedResult;
+    @memcpy(first_version_buf[0..first_version.len], first_version);
+    const v1 = first_version_buf[0..first_version.len];
+
+    try server.serveAppFile(client.stream(), css_path, apps[0]);
+    const sidecar = try client.read(&buf);
+    try std.testing.expect(std.mem.indexOf(u8, sidecar, "Content-Type: text/css") != null);
+    try std.testing.expectEqualStrings(css, responseBody(sidecar));
+
+    // New styles re-stamp the import, so the browser runs it again
+    const edited = "<template><p class=\"title\">Cart</p></template>\n<style scoped>.title { color: teal; }</style>\n";
+    const edited_css = ".title[data-v-7ba5bd90]{color:teal}";
+    try seedBuild(&server, path, apps[0], edited, script, edited_css);
+    try server.serveAppFile(client.stream(), path, apps[0]);
+    const v2 = styleImportVersion(responseBody(try client.read(&buf))) orelse return error.TestUnexpectedResult;
+    try std.testing.expect(!std.mem.eql(u8, v1, v2));
+
+    // Undone back to `source`, whose build the cache holds: same script,
+    // other styles, so hotCSS swaps them in place
+    try std.fs.cwd().writeFile(.{ .sub_path = path, .data = source });
+    try std.testing.expectEqualStrings("data: {\"type\":\"css-update\",\"app\":\"cart\"}\n\n", try publishEdit(&server, path));
+    try server.serveAppFile(client.stream(), css_path, apps[0]);
+    try std.testing.expectEqualStrings(css, responseBody(try client.read(&buf)));
+}
+
+test "an oversized plugin request body gets a 413 and closes the connection" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    var server = testServer(std.testing.allocator, &.{});
+    defer stopTestServer(&server);
+    const plugins: plugins_mod.Plugins = .{
+        .allocator = std.testing.allocator,
+        .info = "",
+        .names = &.{"upload"},
+        .routes = &.{"/upload"},
+    };
+
+    const client = try TestClient.init();
+    defer client.deinit();
+    var buf: [1024]u8 = undefined;
+
+    const req = try http_parser.HttpParser.parse("POST /upload HTTP/1.1\r\nHost: x\r\nContent-Length: 9000000\r\n\r\n");
+    try std.testing.expectError(error.ConnectionClosed, server.servePluginRoute(client.stream(), &plugins, &req));
+    try std.testing.expect(std.mem.startsWith(u8, try client.read(&buf), "HTTP/1.1 413 "));
+}
+
+test "hook source maps are inlined as a data URL on a line of their own" {
+    const allocator = std.testing.allocator;
+    const code = "export default 1;";
+    try std.testing.expectEqual(code.ptr, (try withInlineSourceMap(allocator, code, "")).ptr);
+
+    const map = "{\"version\":3,\"mappings\":\"AAAA\"}";
+    const mapped = try withInlineSourceMap(allocator, code, map);
+    defer allocator.free(mapped);
+    const prefix = "export default 1;\n//# sourceMappingURL=data:application/json;base64,";
+    try std.testing.expect(std.mem.startsWith(u8, mapped, prefix));
+    try std.testing.expect(std.mem.endsWith(u8, mapped, "\n"));
+
+    const encoded = mapped[prefix.len .. mapped.len - 1];
+    var decoded: [map.len]u8 = undefined;
+    try std.testing.expectEqual(map.len, try std.base64.standard.Decoder.calcSizeForSlice(encoded));
+    try std.base64.standard.Decoder.decode(&decoded, encoded);
+    try std.testing.expectEqualStrings(map, &decoded);
+}
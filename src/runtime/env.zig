@@ -0,0 +1,303 @@
+// WU Runtime — Environment Variables
+//
+// .env files → import.meta.env, for `wu dev` and `wu build --native`.
+// Files are read in this order, later ones winning:
+//
+//   .env  .env.local  .env.[mode]  .env.[mode].local     project root
+//   .env  .env.local  .env.[mode]  .env.[mode].local     the app's directory
+//
+// and variables already set in the environment win over all of them. Only
+// names starting with WU_PUBLIC_ reach the browser — everything else in
+// those files stays on this machine (API keys, database URLs).
+//
+// import.meta.env also carries MODE, DEV and PROD, as in Vite. References
+// are replaced in the source text, the way Vite's `define` does it:
+//
+//   import.meta.env.WU_PUBLIC_API_URL   → "https://api.example.com"
+//   import.meta.env.WU_PUBLIC_MISSING   → undefined
+//   import.meta.env                     → ({"MODE":"development",...})
+//
+// Values are JSON-escaped, so every replacement stays on its line.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+
+/// Variables with this prefix are exposed to browser code.
+pub const PUBLIC_PREFIX = "WU_PUBLIC_";
+
+/// .env, .env.local, .env.[mode], .env.[mode].local
+const FILE_COUNT = 4;
+
+pub const Env = struct {
+    arena: std.heap.ArenaAllocator,
+    /// Name → JavaScript literal: MODE, DEV, PROD, then the public variables.
+    values: std.StringArrayHashMapUnmanaged([]const u8),
+    /// import.meta.env as an object literal.
+    object: []const u8,
+
+    /// Read the env files of `dirs` (lowest priority first, e.g. the project
+    /// root then the app), plus the process environment. `production` sets
+    /// PROD; `mode` picks the .env.[mode] files.
+    pub fn load(allocator: Allocator, dirs: []const []const u8, mode: []const u8, production: bool) !Env {
+        var arena = std.heap.ArenaAllocator.init(allocator);
+        errdefer arena.deinit();
+        const a = arena.allocator();
+
+        var vars: std.StringArrayHashMapUnmanaged([]const u8) = .empty;
+        var path_buf: [std.fs.max_path_bytes]u8 = undefined;
+        for (dirs) |dir| {
+            for (0..FILE_COUNT) |i| {
+                const path = filePath(&path_buf, dir, mode, i) catch continue;
+                const text = std.fs.cwd().readFileAlloc(a, path, 1024 * 1024) catch continue;
+                try parse(a, text, &vars);
+            }
+        }
+
+        var process_env = try std.process.getEnvMap(a);
+        var it = process_env.iterator();
+        while (it.next()) |entry| {
+            if (std.mem.startsWith(u8, entry.key_ptr.*, PUBLIC_PREFIX)) {
+                try vars.put(a, entry.key_ptr.*, entry.value_ptr.*);
+            }
+        }
+
+        var values: std.StringArrayHashMapUnmanaged([]const u8) = .empty;
+        try values.put(a, "MODE", try jsString(a, mode));
+        try values.put(a, "DEV", if (production) "false" else "true");
+        try values.put(a, "PROD", if (production) "true" else "false");
+        for (vars.keys(), vars.values()) |name, value| {
+            if (!std.mem.startsWith(u8, name, PUBLIC_PREFIX)) continue;
+            try values.put(a, name, try jsString(a, value));
+        }
+
+        var object: std.ArrayList(u8) = .empty;
+        try object.append(a, '{');
+        for (values.keys(), values.values(), 0..) |name, literal, i| {
+            if (i > 0) try object.append(a, ',');
+            try object.writer(a).print("\"{s}\":{s}", .{ name, literal });
+        }
+        try object.append(a, '}');
+
+        return .{ .arena = arena, .values = values, .object = object.items };
+    }
+
+    pub fn deinit(self: *Env) void {
+        self.arena.deinit();
+    }
+
+    /// Names exposed to the browser (the WU_PUBLIC_ ones), for the banner.
+    pub fn publicCount(self: *const Env) usize {
+        return self.values.count() - 3;
+    }
+
+    /// Replace import.meta.env references in `source`. Returns `source`
+    /// itself when there are none, else an allocator-owned copy.
+    pub fn inject(self: *const Env, allocator: Allocator, source: []const u8) ![]const u8 {
+        const needle = "import.meta.env";
+        var at = std.mem.indexOf(u8, source, needle) orelse return source;
+
+        var out: std.ArrayList(u8) = .empty;
+        errdefer out.deinit(allocator);
+        var copied: usize = 0;
+        while (true) {
+            var end = at + needle.len;
+            const standalone = (at == 0 or !(isIdent(source[at - 1]) or source[at - 1] == '.')) and
+                (end == source.len or !isIdent(source[end]));
+            if (standalone) {
+                try out.appendSlice(allocator, source[copied..at]);
+                if (end + 1 < source.len and source[end] == '.' and isIdent(source[end + 1])) {
+                    // import.meta.env.NAME → the value itself
+                    var name_end = end + 1;
+                    while (name_end < source.len and isIdent(source[name_end])) name_end += 1;
+                    try out.appendSlice(allocator, self.values.get(source[end + 1 .. name_end]) orelse "undefined");
+                    end = name_end;
+                } else {
+                    try out.append(allocator, '(');
+                    try out.appendSlice(allocator, self.object);
+                    try out.append(allocator, ')');
+                }
+                copied = end;
+            }
+            at = std.mem.indexOfPos(u8, source, end, needle) orelse break;
+        }
+
+        if (copied == 0) {
+            out.deinit(allocator);
+            return source;
+        }
+        try out.appendSlice(allocator, source[copied..]);
+        return out.toOwnedSlice(allocator);
+    }
+};
+
+/// A value that changes when an env file under `dirs` is created, edited
+/// or deleted — the dev server polls it to reload.
+pub fn stamp(dirs: []const []const u8, mode: []const u8) u64 {
+    var hasher = std.hash.Wyhash.init(0);
+    var path_buf: [std.fs.max_path_bytes]u8 = undefined;
+    for (dirs) |dir| {
+        for (0..FILE_COUNT) |i| {
+            const path = filePath(&path_buf, dir, mode, i) catch continue;
+            const mtime: i128 = if (std.fs.cwd().statFile(path)) |s| s.mtime else |_| -1;
+            hasher.update(std.mem.asBytes(&mtime));
+        }
+    }
+    return hasher.final();
+}
+
+/// Env file `index` of `dir`, lowest priority first.
+fn filePath(buf: []u8, dir: []const u8, mode: []const u8, index: usize) ![]const u8 {
+    const with_mode = index >= 2;
+    return std.fmt.bufPrint(buf, "{s}/.env{s}{s}{s}", .{
+        dir,
+        if (with_mode) "." else "",
+        if (with_mode) mode else "",
+        if (index % 2 == 1) ".local" else "",
+    });
+}
+
+// ── .env parsing ────────────────────────────────────────────────────────────
+
+/// Parse dotenv `text` into `vars` (later lines win):
+///
+///   # comment
+///   export KEY=value
+///   KEY=value # trailing comment
+///   KEY="double quoted\nwith escapes"
+///   KEY='single quoted, taken literally'
+pub fn parse(arena: Allocator, text: []const u8, vars: *std.StringArrayHashMapUnmanaged([]const u8)) !void {
+    var lines = std.mem.splitScalar(u8, text, '\n');
+    while (lines.next()) |raw_line| {
+        var line = std.mem.trim(u8, raw_line, " \t\r");
+        if (line.len == 0 or line[0] == '#') continue;
+        if (std.mem.startsWith(u8, line, "export ")) line = std.mem.trimLeft(u8, line["export ".len..], " \t");
+
+        const eq = std.mem.indexOfScalar(u8, line, '=') orelse continue;
+        const key = std.mem.trimRight(u8, line[0..eq], " \t");
+        if (key.len == 0 or !validKey(key)) continue;
+
+        const rest = std.mem.trimLeft(u8, line[eq + 1 ..], " \t");
+        const value = if (rest.len > 0 and rest[0] == '"')
+            try unquoteDouble(arena, rest[1..])
+        else if (rest.len > 0 and rest[0] == '\'')
+            rest[1 .. std.mem.indexOfScalarPos(u8, rest, 1, '\'') orelse rest.len]
+        else
+            unquoted(rest);
+        try vars.put(arena, key, value);
+    }
+}
+
+/// Up to an unescaped closing quote; \n, \t, \" and \\ are decoded.
+fn unquoteDouble(arena: Allocator, s: []const u8) ![]const u8 {
+    var out: std.ArrayList(u8) = .empty;
+    var i: usize = 0;
+    while (i < s.len and s[i] != '"') : (i += 1) {
+        if (s[i] == '\\' and i + 1 < s.len) {
+            i += 1;
+            try out.append(arena, switch (s[i]) {
+                'n' => '\n',
+                't' => '\t',
+                'r' => '\r',
+                else => s[i],
+            });
+        } else {
+            try out.append(arena, s[i]);
+        }
+    }
+    return out.items;
+}
+
+/// An unquoted value ends at a " #" comment.
+fn unquoted(s: []const u8) []const u8 {
+    var end = s.len;
+    var i: usize = 1;
+    while (i < s.len) : (i += 1) {
+        if (s[i] == '#' and (s[i - 1] == ' ' or s[i - 1] == '\t')) {
+            end = i;
+            break;
+        }
+    }
+    if (s.len > 0 and s[0] == '#') end = 0;
+    return std.mem.trimRight(u8, s[0..end], " \t");
+}
+
+fn validKey(key: []const u8) bool {
+    if (std.ascii.isDigit(key[0])) return false;
+    for (key) |c| {
+        if (!std.ascii.isAlphanumeric(c) and c != '_' and c != '.' and c != '-') return false;
+    }
+    return true;
+}
+
+fn isIdent(c: u8) bool {
+    return std.ascii.isAlphanumeric(c) or c == '_' or c == '$';
+}
+
+/// `s` as a JSON string literal (valid JavaScript, no raw newlines).
+fn jsString(arena: Allocator, s: []const u8) ![]const u8 {
+    var out: std.ArrayList(u8) = .empty;
+    try out.append(arena, '"');
+    for (s) |c| {
+        switch (c) {
+            '"' => try out.appendSlice(arena, "\\\""),
+            '\\' => try out.appendSlice(arena, "\\\\"),
+            '\n' => try out.appendSlice(arena, "\\n"),
+            '\r' => try out.appendSlice(arena, "\\r"),
+            '\t' => try out.appendSlice(arena, "\\t"),
+            0...8, 11, 12, 14...0x1F => try out.writer(arena).print("\\u{x:0>4}", .{c}),
+            else => try out.append(arena, c),
+        }
+    }
+    try out.append(arena, '"');
+    return out.items;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "parse dotenv syntax" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    var vars: std.StringArrayHashMapUnmanaged([]const u8) = .empty;
+    try parse(arena.allocator(),
+        \\# API settings
+        \\WU_PUBLIC_API_URL=https://api.example.com # staging
+        \\export WU_PUBLIC_TITLE="Shop \"dev\"\nline 2"
+        \\WU_PUBLIC_RAW='a # b \n'
+        \\SECRET_TOKEN = abc123
+        \\not a variable
+        \\WU_PUBLIC_API_URL=http://localhost:4000
+    , &vars);
+
+    try std.testing.expectEqual(@as(usize, 4), vars.count());
+    try std.testing.expectEqualStrings("http://localhost:4000", vars.get("WU_PUBLIC_API_URL").?);
+    try std.testing.expectEqualStrings("Shop \"dev\"\nline 2", vars.get("WU_PUBLIC_TITLE").?);
+    try std.testing.expectEqualStrings("a # b \\n", vars.get("WU_PUBLIC_RAW").?);
+    try std.testing.expectEqualStrings("abc123", vars.get("SECRET_TOKEN").?);
+}
+
+test "inject replaces import.meta.env references" {
+    var env: Env = .{
+        .arena = std.heap.ArenaAllocator.init(std.testing.allocator),
+        .values = .empty,
+        .object = "{\"MODE\":\"development\"}",
+    };
+    defer env.deinit();
+    const a = env.arena.allocator();
+    try env.values.put(a, "MODE", "\"development\"");
+    try env.values.put(a, "WU_PUBLIC_API", "\"/api\"");
+
+    const out = try env.inject(std.testing.allocator,
+        \\const api = import.meta.env.WU_PUBLIC_API;
+        \\if (import.meta.env.SECRET) log(import.meta.env);
+        \\const x = my.import.meta.env; import.meta.environment;
+    );
+    defer std.testing.allocator.free(out);
+    try std.testing.expectEqualStrings(
+        \\const api = "/api";
+        \\if (undefined) log(({"MODE":"development"}));
+        \\const x = my.import.meta.env; import.meta.environment;
+    , out);
+
+    const plain = "console.log(import.meta.url);";
+    try std.testing.expectEqual(plain.ptr, (try env.inject(std.testing.allocator, plain)).ptr);
+}
@@ -0,0 +1,748 @@
+// WU Runtime — Dependency Graph
+//
+// `wu info --graph`: what each micro-app actually loads. Starting at the
+// entry `wu build --native` would use, the walk follows static and dynamic
+// imports through the app's files and on into node_modules (including the
+// require() calls of CommonJS packages), without compiling anything.
+//
+// The interesting part is across apps. A package several apps load is
+// "shared" when wu.config.json's shared.singletons serves it once through
+// the import map, and "duplicated" when every app ships its own copy —
+// the extra bytes are what a singleton entry would save.
+//
+// Sizes are source bytes on disk: transfer size before minification and
+// compression.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+const bundler = @import("bundler.zig");
+const resolve_mod = @import("resolve.zig");
+const alias_mod = @import("alias.zig");
+const ansi = @import("../util/ansi.zig");
+
+const MAX_SOURCE_SIZE = 16 * 1024 * 1024;
+
+// ── Public Types ────────────────────────────────────────────────────────────
+
+pub const Module = struct {
+    /// Path relative to the working directory.
+    path: []const u8,
+    bytes: u64,
+    /// Index into AppGraph.packages; null for the app's own files.
+    package: ?usize = null,
+    /// Indexes into AppGraph.modules, in source order.
+    imports: []const usize = &.{},
+};
+
+/// One copy of a package, as loaded by one app.
+pub const PackageUse = struct {
+    name: []const u8,
+    version: []const u8,
+    dir: []const u8,
+    files: usize = 0,
+    bytes: u64 = 0,
+};
+
+pub const AppGraph = struct {
+    name: []const u8,
+    framework: []const u8,
+    dir: []const u8,
+    /// Empty when the app has no entry module.
+    entry: []const u8 = "",
+    /// The entry first.
+    modules: []const Module = &.{},
+    packages: []const PackageUse = &.{},
+    /// "file: specifier" for imports in app files that resolve to nothing.
+    unresolved: []const []const u8 = &.{},
+    /// Bare specifiers the app's own files import that resolve into a
+    /// package, in first-seen order ("react", "react-dom/client").
+    bare_imports: []const []const u8 = &.{},
+    source_bytes: u64 = 0,
+    package_bytes: u64 = 0,
+};
+
+pub const Status = enum {
+    /// Loaded by one app.
+    single,
+    /// A shared singleton, loaded once for every app.
+    shared,
+    /// Loaded by several apps, each with its own copy.
+    duplicated,
+};
+
+/// A package across every app that loads it.
+pub const PackageSummary = struct {
+    name: []const u8,
+    users: []const User,
+    status: Status,
+    /// Bytes beyond the largest copy (duplicated packages only).
+    extra_bytes: u64 = 0,
+
+    pub const User = struct {
+        app: []const u8,
+        version: []const u8,
+        bytes: u64,
+    };
+
+    /// Copies at more than one version.
+    pub fn versionsDiffer(self: PackageSummary) bool {
+        for (self.users[1..]) |u| {
+            if (!std.mem.eql(u8, u.version, self.users[0].version)) return true;
+        }
+        return false;
+    }
+
+    fn maxBytes(self: PackageSummary) u64 {
+        var max: u64 = 0;
+        for (self.users) |u| max = @max(max, u.bytes);
+        return max;
+    }
+};
+
+pub const Graph = struct {
+    arena: std.heap.ArenaAllocator,
+    apps: []const AppGraph,
+    /// Duplicated packages first, then shared, then the rest; by name.
+    packages: []const PackageSummary,
+    /// Every app's files and packages, shared packages counted once.
+    total_bytes: u64,
+
+    pub fn deinit(self: *Graph) void {
+        self.arena.deinit();
+    }
+
+    /// Module trees, the package table and the totals, for the terminal.
+    pub fn printText(self: *const Graph, allocator: Allocator) !void {
+        std.debug.print("\n  {s}Dependency graph{s}  {s}({d} app(s)){s}\n", .{
+            ansi.bold, ansi.reset, ansi.dim, self.apps.len, ansi.reset,
+        });
+
+        for (self.apps) |app| {
+            const color = ansi.frameworkColor(app.framework);
+            std.debug.print("\n  {s}●{s} {s}{s}{s}  {s}{s}{s}\n", .{
+                color, ansi.reset, ansi.bold, app.name, ansi.reset, ansi.dim, app.entry, ansi.reset,
+            });
+            if (app.modules.len == 0) {
+                std.debug.print("    {s}no entry module (index.html or src/main.*){s}\n", .{ ansi.yellow, ansi.reset });
+                continue;
+            }
+
+            var tree: TreePrinter = .{ .app = &app };
+            tree.seen_modules = try allocator.alloc(bool, app.modules.len);
+            defer allocator.free(tree.seen_modules);
+            tree.seen_packages = try allocator.alloc(bool, app.packages.len);
+            defer allocator.free(tree.seen_packages);
+            @memset(tree.seen_modules, false);
+            @memset(tree.seen_packages, false);
+            var prefix: std.ArrayList(u8) = .empty;
+            defer prefix.deinit(allocator);
+            try tree.print(allocator, &prefix, 0, null);
+
+            for (app.unresolved) |u| {
+                std.debug.print("    {s}✗ unresolved {s}{s}\n", .{ ansi.red, u, ansi.reset });
+            }
+            std.debug.print("    {s}app {d:.1} KB + {d} package(s) {d:.1} KB{s}\n", .{
+                ansi.dim, kb(app.source_bytes), app.packages.len, kb(app.package_bytes), ansi.reset,
+            });
+        }
+
+        if (self.packages.len > 0) {
+            std.debug.print("\n  {s}Packages ({d}):{s}\n", .{ ansi.bold, self.packages.len, ansi.reset });
+            for (self.packages) |p| {
+                const color = switch (p.status) {
+                    .duplicated => ansi.yellow,
+                    .shared => ansi.green,
+                    .single => ansi.dim,
+                };
+                std.debug.print("    {s}●{s} {s}{s}{s}  {s}{s}{s}  {s}", .{
+                    color, ansi.reset, ansi.bold, p.name, ansi.reset, color, @tagName(p.status), ansi.reset, ansi.dim,
+                });
+                for (p.users, 0..) |u, i| {
+                    std.debug.print("{s}{s}@{s}", .{ if (i > 0) ", " else "", u.app, u.version });
+                }
+                std.debug.print("{s}", .{ansi.reset});
+                if (p.status == .duplicated) {
+                    std.debug.print("  {s}+{d:.1} KB{s}{s}", .{
+                        ansi.yellow, kb(p.extra_bytes), ansi.reset, if (p.versionsDiffer()) "  (versions differ)" else "",
+                    });
+                }
+                std.debug.print("\n", .{});
+            }
+        }
+
+        var extra: u64 = 0;
+        var duplicated: usize = 0;
+        for (self.packages) |p| {
+            if (p.status != .duplicated) continue;
+            extra += p.extra_bytes;
+            duplicated += 1;
+        }
+        std.debug.print("\n  {s}Total:{s} {d:.1} KB {s}(source bytes, shared packages counted once){s}\n", .{
+            ansi.bold, ansi.reset, kb(self.total_bytes), ansi.dim, ansi.reset,
+        });
+        if (duplicated > 0) {
+            std.debug.print("  {s}{d} duplicated package(s) add {d:.1} KB — list them in shared.singletons to load them once{s}\n", .{
+                ansi.yellow, duplicated, kb(extra), ansi.reset,
+            });
+        }
+        std.debug.print("\n", .{});
+    }
+
+    pub fn writeJson(self: *const Graph, w: anytype) !void {
+        try w.writeAll("{\n  \"apps\": [");
+        for (self.apps, 0..) |app, i| {
+            if (i > 0) try w.writeAll(",");
+            try w.writeAll("\n    {\"name\":");
+            try config_mod.writeJsonString(w, app.name);
+            try w.writeAll(",\"framework\":");
+            try config_mod.writeJsonString(w, app.framework);
+            try w.writeAll(",\"dir\":");
+            try config_mod.writeJsonString(w, app.dir);
+            try w.writeAll(",\"entry\":");
+            try config_mod.writeJsonString(w, app.entry);
+            try w.print(",\"source_bytes\":{d},\"package_bytes\":{d},\n     \"modules\":[", .{ app.source_bytes, app.package_bytes });
+            for (app.modules, 0..) |m, j| {
+                if (j > 0) try w.writeAll(",");
+                try w.writeAll("\n      {\"path\":");
+                try config_mod.writeJsonString(w, m.path);
+                try w.print(",\"bytes\":{d},\"package\":", .{m.bytes});
+                if (m.package) |p| try config_mod.writeJsonString(w, app.packages[p].name) else try w.writeAll("null");
+                try w.writeAll(",\"imports\":[");
+                for (m.imports, 0..) |target, k| {
+                    try w.print("{s}{d}", .{ if (k > 0) "," else "", target });
+                }
+                try w.writeAll("]}");
+            }
+            try w.writeAll("],\n     \"packages\":[");
+            for (app.packages, 0..) |p, j| {
+                if (j > 0) try w.writeAll(",");
+                try w.writeAll("\n      {\"name\":");
+                try config_mod.writeJsonString(w, p.name);
+                try w.writeAll(",\"version\":");
+                try config_mod.writeJsonString(w, p.version);
+                try w.writeAll(",\"dir\":");
+                try config_mod.writeJsonString(w, p.dir);
+                try w.print(",\"files\":{d},\"bytes\":{d}}}", .{ p.files, p.bytes });
+            }
+            try w.writeAll("],\n     \"unresolved\":[");
+            for (app.unresolved, 0..) |u, j| {
+                if (j > 0) try w.writeAll(",");
+                try config_mod.writeJsonString(w, u);
+            }
+            try w.writeAll("]}");
+        }
+        try w.writeAll("\n  ],\n  \"packages\": [");
+        for (self.packages, 0..) |p, i| {
+            if (i > 0) try w.writeAll(",");
+            try w.writeAll("\n    {\"name\":");
+            try config_mod.writeJsonString(w, p.name);
+            try w.print(",\"status\":\"{s}\",\"extra_bytes\":{d},\"users\":[", .{ @tagName(p.status), p.extra_bytes });
+            for (p.users, 0..) |u, j| {
+                if (j > 0) try w.writeAll(",");
+                try w.writeAll("{\"app\":");
+                try config_mod.writeJsonString(w, u.app);
+                try w.writeAll(",\"version\":");
+                try config_mod.writeJsonString(w, u.version);
+                try w.print(",\"bytes\":{d}}}", .{u.bytes});
+            }
+            try w.writeAll("]}");
+        }
+        try w.print("\n  ],\n  \"total_bytes\": {d}\n}}\n", .{self.total_bytes});
+    }
+
+    /// Graphviz: one node per app and package, an edge per package an app
+    /// loads, labeled with its version. Duplicated packages are red, shared
+    /// ones green.
+    pub fn writeDot(self: *const Graph, w: anytype) !void {
+        try w.writeAll("digraph wu {\n  rankdir=LR;\n  node [shape=box, fontname=\"Helvetica\"];\n");
+        for (self.apps, 0..) |app, i| {
+            try w.print("  app{d} [label=\"{s}\\n{d:.1} KB\", style=filled, fillcolor=\"#e8eaed\"];\n", .{
+                i, app.name, kb(app.source_bytes),
+            });
+        }
+        for (self.packages, 0..) |p, i| {
+            const color = switch (p.status) {
+                .duplicated => ", color=\"#d93025\", penwidth=2",
+                .shared => ", color=\"#188038\", penwidth=2",
+                .single => "",
+            };
+            try w.print("  pkg{d} [label=\"{s}\\n{d:.1} KB\"{s}];\n", .{ i, p.name, kb(p.maxBytes()), color });
+        }
+        for (self.apps, 0..) |app, i| {
+            for (app.packages) |use| {
+                try w.print("  app{d} -> pkg{d} [label=\"{s}\"];\n", .{ i, self.indexOf(use.name), use.version });
+            }
+        }
+        try w.writeAll("}\n");
+    }
+
+    /// The same graph as writeDot, for Mermaid (Markdown, GitHub).
+    pub fn writeMermaid(self: *const Graph, w: anytype) !void {
+        try w.writeAll("graph LR\n");
+        for (self.apps, 0..) |app, i| {
+            try w.print("  app{d}[\"{s}<br/>{d:.1} KB\"]\n", .{ i, app.name, kb(app.source_bytes) });
+        }
+        for (self.packages, 0..) |p, i| {
+            try w.print("  pkg{d}[\"{s}<br/>{d:.1} KB\"]\n", .{ i, p.name, kb(p.maxBytes()) });
+        }
+        for (self.apps, 0..) |app, i| {
+            for (app.packages) |use| {
+                try w.print("  app{d} -->|{s}| pkg{d}\n", .{ i, use.version, self.indexOf(use.name) });
+            }
+        }
+        try w.writeAll("  classDef duplicated stroke:#d93025,stroke-width:2px\n");
+        try w.writeAll("  classDef shared stroke:#188038,stroke-width:2px\n");
+        for (self.packages, 0..) |p, i| {
+            if (p.status != .single) try w.print("  class pkg{d} {s}\n", .{ i, @tagName(p.status) });
+        }
+    }
+
+    fn indexOf(self: *const Graph, name: []const u8) usize {
+        for (self.packages, 0..) |p, i| {
+            if (std.mem.eql(u8, p.name, name)) return i;
+        }
+        unreachable;
+    }
+};
+
+// ── Build ───────────────────────────────────────────────────────────────────
+
+/// Walk every app in `cfg` from its entry. Allocator-owned; call deinit.
+pub fn build(allocator: Allocator, cfg: *const config_mod.WuConfig) !Graph {
+    var arena = std.heap.ArenaAllocator.init(allocator);
+    errdefer arena.deinit();
+    const a = arena.allocator();
+
+    // The node_modules roots `wu build` probes, the app's own first so an
+    // app that installs its own version shows it
+    var common: std.ArrayList([]const u8) = .empty;
+    for (cfg.apps) |app| try common.append(a, app.dir);
+    if (cfg.shell.dir.len > 0) try common.append(a, cfg.shell.dir);
+    try common.append(a, ".");
+
+    const apps = try a.alloc(AppGraph, cfg.apps.len);
+    for (cfg.apps, apps) |app, *out| {
+        const dirs = try a.alloc([]const u8, common.items.len + 1);
+        dirs[0] = app.dir;
+        @memcpy(dirs[1..], common.items);
+        const aliases = try a.create(alias_mod.Aliases);
+        aliases.* = try alias_mod.load(a, app.dir, app.alias, cfg.alias);
+        out.* = try walkApp(a, app, dirs, .{ .aliases = aliases, .conditions = cfg.conditions });
+    }
+
+    const packages = try summarize(a, apps, cfg.shared.singletons);
+    var total: u64 = 0;
+    for (apps) |app| total += app.source_bytes;
+    for (packages) |p| {
+        if (p.status == .shared) {
+            total += p.maxBytes();
+        } else {
+            for (p.users) |u| total += u.bytes;
+        }
+    }
+
+    return .{ .arena = arena, .apps = apps, .packages = packages, .total_bytes = total };
+}
+
+pub const WalkOptions = struct {
+    /// Follow imports inside packages too. Off, packages are leaves and
+    /// the walk only sees what the app's own files import.
+    into_packages: bool = true,
+    /// The app's import aliases, for `@/...` style imports in its files.
+    aliases: ?*const alias_mod.Aliases = null,
+    /// Extra package.json "exports"/"imports" conditions.
+    conditions: []const []const u8 = &.{},
+};
+
+/// Walk one app from its entry, resolving bare specifiers in
+/// `search_dirs`. Everything is allocated in `arena`.
+pub fn walkApp(arena: Allocator, app: config_mod.AppConfig, search_dirs: []const []const u8, options: WalkOptions) !AppGraph {
+    var graph: AppGraph = .{ .name = app.name, .framework = app.framework, .dir = app.dir };
+    const entry = bundler.findEntry(arena, .{ .name = app.name, .dir = app.dir, .framework = app.framework }) catch |err| switch (err) {
+        error.EntryNotFound => return graph,
+        else => return err,
+    };
+    graph.entry = entry.path;
+
+    var walker: Walker = .{
+        .arena = arena,
+        .app_dir = app.dir,
+        .search_dirs = search_dirs,
+        .into_packages = options.into_packages,
+        .aliases = options.aliases,
+        .conditions = options.conditions,
+    };
+    _ = try walker.add(entry.path, null);
+    while (walker.pending.pop()) |index| try walker.scan(index);
+
+    for (walker.modules.items, walker.edges.items) |*m, edges| {
+        m.imports = edges.items;
+        if (m.package == null) graph.source_bytes += m.bytes;
+    }
+    for (walker.packages.items) |p| graph.package_bytes += p.bytes;
+    graph.modules = walker.modules.items;
+    graph.packages = walker.packages.items;
+    graph.unresolved = walker.unresolved.items;
+    graph.bare_imports = walker.bare_imports.keys();
+    return graph;
+}
+
+const Walker = struct {
+    arena: Allocator,
+    app_dir: []const u8,
+    search_dirs: []const []const u8,
+    into_packages: bool = true,
+    aliases: ?*const alias_mod.Aliases = null,
+    conditions: []const []const u8 = &.{},
+    modules: std.ArrayList(Module) = .empty,
+    /// Imports of modules.items[i], filled in as it is scanned.
+    edges: std.ArrayList(std.ArrayList(usize)) = .empty,
+    by_path: std.StringHashMapUnmanaged(usize) = .empty,
+    packages: std.ArrayList(PackageUse) = .empty,
+    package_by_dir: std.StringHashMapUnmanaged(usize) = .empty,
+    unresolved: std.ArrayList([]const u8) = .empty,
+    bare_imports: std.StringArrayHashMapUnmanaged(void) = .empty,
+    /// Modules still to scan.
+    pending: std.ArrayList(usize) = .empty,
+
+    const Target = struct {
+        path: []const u8,
+        package: ?usize,
+    };
+
+    fn add(self: *Walker, path: []const u8, package: ?usize) !usize {
+        if (self.by_path.get(path)) |index| return index;
+
+        const bytes: u64 = if (std.fs.cwd().statFile(path)) |stat| stat.size else |_| 0;
+        const index = self.modules.items.len;
+        try self.modules.append(self.arena, .{ .path = path, .bytes = bytes, .package = package });
+        try self.edges.append(self.arena, .empty);
+        try self.by_path.put(self.arena, path, index);
+        if (package) |p| {
+            self.packages.items[p].files += 1;
+            self.packages.items[p].bytes += bytes;
+        }
+        if (isScannable(path) and (package == null or self.into_packages)) {
+            try self.pending.append(self.arena, index);
+        }
+        return index;
+    }
+
+    fn scan(self: *Walker, index: usize) !void {
+        const path = self.modules.items[index].path;
+        const package = self.modules.items[index].package;
+        const source = std.fs.cwd().readFileAlloc(self.arena, path, MAX_SOURCE_SIZE) catch return;
+        const base = std.fs.path.dirname(path) orelse ".";
+
+        for (try collectSpecifiers(self.arena, source)) |raw| {
+            // Vite's ?url / ?raw suffixes and fragments are not part of the path
+            const spec = raw[0 .. std.mem.indexOfAny(u8, raw, "?#") orelse raw.len];
+            if (spec.len == 0) continue;
+            const target = try self.resolve(base, spec, package) orelse {
+                // Packages reach for Node builtins and optional peers; only
+                // the app's own misses are worth reporting
+                if (package == null and !isExternal(spec)) {
+                    try self.unresolved.append(self.arena, try std.fmt.allocPrint(self.arena, "{s}: {s}", .{ path, raw }));
+                }
+                continue;
+            };
+            if (package == null and target.package != null) {
+                try self.bare_imports.put(self.arena, spec, {});
+            }
+            const to = try self.add(target.path, target.package);
+            const edges = &self.edges.items[index];
+            if (to != index and std.mem.indexOfScalar(usize, edges.items, to) == null) {
+                try edges.append(self.arena, to);
+            }
+        }
+    }
+
+    fn resolve(self: *Walker, base: []const u8, spec: []const u8, package: ?usize) !?Target {
+        if (std.mem.startsWith(u8, spec, "./") or std.mem.startsWith(u8, spec, "../")) {
+            const joined = try bundler.normalizePath(self.arena, base, spec);
+            const path = try bundler.probeFile(self.arena, joined) orelse return null;
+            return .{ .path = path, .package = package };
+        }
+        if (std.mem.startsWith(u8, spec, "/") and !std.mem.startsWith(u8, spec, "//")) {
+            // Root-relative: the working directory in `wu dev`, the app
+            // directory under Vite
+            const roots = [_][]const u8{ ".", self.app_dir };
+            for (roots) |r| {
+                const joined = try bundler.normalizePath(self.arena, r, spec[1..]);
+                if (try bundler.probeFile(self.arena, joined)) |path| return .{ .path = path, .package = package };
+            }
+            return null;
+        }
+        if (std.mem.startsWith(u8, spec, "#")) {
+            if (package) |p| return self.resolveHash(spec, p);
+            return null;
+        }
+        if (isExternal(spec)) return null;
+        if (package == null) {
+            if (self.aliases) |aliases| {
+                if (try aliases.resolve(self.arena, spec)) |path| return .{ .path = path, .package = null };
+            }
+        }
+
+        return self.resolveBare(spec, package);
+    }
+
+    /// A package's own `#specifier`, through its package.json "imports".
+    fn resolveHash(self: *Walker, spec: []const u8, package: usize) !?Target {
+        const dir = self.packages.items[package].dir;
+        const json_path = try std.fmt.allocPrint(self.arena, "{s}/package.json", .{dir});
+        const json = std.fs.cwd().readFileAlloc(self.arena, json_path, 512 * 1024) catch return null;
+        const target = try resolve_mod.resolveImports(self.arena, dir, json, spec, .{ .conditions = self.conditions }) orelse return null;
+        if (target.bare) return self.resolveBare(target.path, package);
+        const path = try bundler.probeFile(self.arena, target.path) orelse return null;
+        return .{ .path = path, .package = package };
+    }
+
+    fn resolveBare(self: *Walker, spec: []const u8, package: ?usize) !?Target {
+        // Bare: a package's own node_modules first, for nested versions
+        var dirs_buf: [64][]const u8 = undefined;
+        var dirs: []const []const u8 = self.search_dirs;
+        if (package) |p| {
+            if (self.search_dirs.len < dirs_buf.len) {
+                dirs_buf[0] = self.packages.items[p].dir;
+                @memcpy(dirs_buf[1 .. self.search_dirs.len + 1], self.search_dirs);
+                dirs = dirs_buf[0 .. self.search_dirs.len + 1];
+            }
+        }
+        const resolved = (resolve_mod.resolveModuleWith(self.arena, spec, dirs, .{ .conditions = self.conditions }) catch null) orelse return null;
+        const dir = try bundler.normalizePath(self.arena, ".", resolved.package_dir);
+        return .{
+            .path = try bundler.normalizePath(self.arena, ".", resolved.file_path),
+            .package = try self.packageFor(dir, spec),
+        };
+    }
+
+    fn packageFor(self: *Walker, dir: []const u8, spec: []const u8) !usize {
+        if (self.package_by_dir.get(dir)) |index| return index;
+
+        var name: []const u8 = resolve_mod.extractPackageName(spec);
+        var version: []const u8 = "?";
+        const pkg_json_path = try std.fmt.allocPrint(self.arena, "{s}/package.json", .{dir});
+        if (std.fs.cwd().readFileAlloc(self.arena, pkg_json_path, 1024 * 1024)) |json| {
+            if (resolve_mod.findStringField(json, "name")) |n| name = n;
+            if (resolve_mod.findStringField(json, "version")) |v| version = v;
+        } else |_| {}
+
+        const index = self.packages.items.len;
+        try self.packages.append(self.arena, .{ .name = name, .version = version, .dir = dir });
+        try self.package_by_dir.put(self.arena, dir, index);
+        return index;
+    }
+};
+
+/// The specifiers `code` imports, plus its require() calls. When it requires
+/// both a .development. and a .production. build (React's index.js), only
+/// the production one counts.
+fn collectSpecifiers(arena: Allocator, code: []const u8) ![]const []const u8 {
+    var specs: std.ArrayList([]const u8) = .empty;
+    for (try bundler.scanImports(arena, code)) |imp| {
+        try specs.append(arena, code[imp.start..imp.end]);
+    }
+
+    var i: usize = 0;
+    while (std.mem.indexOfPos(u8, code, i, "require(")) |at| {
+        i = at + "require(".len;
+        if (at > 0 and (std.ascii.isAlphanumeric(code[at - 1]) or code[at - 1] == '_' or code[at - 1] == '$' or code[at - 1] == '.')) continue;
+        var j = i;
+        while (j < code.len and std.ascii.isWhitespace(code[j])) j += 1;
+        if (j >= code.len or (code[j] != '"' and code[j] != '\'')) continue;
+        const end = std.mem.indexOfScalarPos(u8, code, j + 1, code[j]) orelse break;
+        try specs.append(arena, code[j + 1 .. end]);
+        i = end + 1;
+    }
+
+    var has_dev = false;
+    var has_prod = false;
+    for (specs.items) |s| {
+        if (std.mem.indexOf(u8, s, ".development.") != null) has_dev = true;
+        if (std.mem.indexOf(u8, s, ".production.") != null) has_prod = true;
+    }
+    if (has_dev and has_prod) {
+        var kept: usize = 0;
+        for (specs.items) |s| {
+            if (std.mem.indexOf(u8, s, ".development.") != null) continue;
+            specs.items[kept] = s;
+            kept += 1;
+        }
+        specs.shrinkRetainingCapacity(kept);
+    }
+    return specs.items;
+}
+
+/// URLs, `node:`/`virtual:` style schemes and `#` package imports.
+fn isExternal(spec: []const u8) bool {
+    return std.mem.startsWith(u8, spec, "//") or std.mem.startsWith(u8, spec, "#") or
+        std.mem.indexOfScalar(u8, spec, ':') != null;
+}
+
+/// Files whose imports the walk follows; stylesheets and assets are leaves.
+fn isScannable(path: []const u8) bool {
+    const exts = [_][]const u8{ ".js", ".mjs", ".cjs", ".ts", ".mts", ".jsx", ".tsx", ".svelte", ".vue" };
+    const ext = std.fs.path.extension(path);
+    for (exts) |e| {
+        if (std.mem.eql(u8, ext, e)) return true;
+    }
+    return false;
+}
+
+/// One PackageSummary per package name across `apps`.
+fn summarize(arena: Allocator, apps: []const AppGraph, singletons: []const []const u8) ![]const PackageSummary {
+    var names: std.StringArrayHashMapUnmanaged(std.ArrayList(PackageSummary.User)) = .empty;
+    for (apps) |app| {
+        for (app.packages) |p| {
+            const entry = try names.getOrPut(arena, p.name);
+            if (!entry.found_existing) entry.value_ptr.* = .empty;
+            try entry.value_ptr.append(arena, .{ .app = app.name, .version = p.version, .bytes = p.bytes });
+        }
+    }
+
+    const out = try arena.alloc(PackageSummary, names.count());
+    for (names.keys(), names.values(), out) |name, users, *s| {
+        s.* = .{ .name = name, .users = users.items, .status = .single };
+        if (isSingleton(name, singletons)) {
+            s.status = .shared;
+        } else if (users.items.len > 1) {
+            s.status = .duplicated;
+            var sum: u64 = 0;
+            for (users.items) |u| sum += u.bytes;
+            s.extra_bytes = sum - s.maxBytes();
+        }
+    }
+    std.mem.sort(PackageSummary, out, {}, summaryLessThan);
+    return out;
+}
+
+fn summaryLessThan(_: void, a: PackageSummary, b: PackageSummary) bool {
+    const rank = struct {
+        fn of(s: Status) u8 {
+            return switch (s) {
+                .duplicated => 0,
+                .shared => 1,
+                .single => 2,
+            };
+        }
+    };
+    if (a.status != b.status) return rank.of(a.status) < rank.of(b.status);
+    return std.mem.lessThan(u8, a.name, b.name);
+}
+
+/// `name` is listed in shared.singletons, itself or through a subpath
+/// ("react-dom/client").
+fn isSingleton(name: []const u8, singletons: []const []const u8) bool {
+    for (singletons) |s| {
+        if (std.mem.eql(u8, resolve_mod.extractPackageName(s), name)) return true;
+    }
+    return false;
+}
+
+// ── Text Tree ───────────────────────────────────────────────────────────────
+
+const TreePrinter = struct {
+    app: *const AppGraph,
+    seen_modules: []bool = &.{},
+    seen_packages: []bool = &.{},
+
+    /// Print module `index` and, the first time it appears, its imports.
+    /// Package files collapse into one line per package.
+    fn print(self: *TreePrinter, allocator: Allocator, prefix: *std.ArrayList(u8), index: usize, last: ?bool) Allocator.Error!void {
+        const m = self.app.modules[index];
+        const branch: []const u8 = if (last) |l| (if (l) "└─ " else "├─ ") else "";
+        std.debug.print("    {s}{s}{s}{s}", .{ ansi.dim, prefix.items, branch, ansi.reset });
+
+        if (m.package) |p| {
+            const pkg = self.app.packages[p];
+            std.debug.print("{s}{s}{s}{s}@{s}{s}", .{ ansi.cyan, pkg.name, ansi.reset, ansi.dim, pkg.version, ansi.reset });
+            if (self.seen_packages[p]) {
+                std.debug.print("  {s}(see above){s}\n", .{ ansi.dim, ansi.reset });
+            } else {
+                std.debug.print("  {s}{d} file(s), {d:.1} KB{s}\n", .{ ansi.dim, pkg.files, kb(pkg.bytes), ansi.reset });
+            }
+            self.seen_packages[p] = true;
+            return;
+        }
+
+        std.debug.print("{s}  {s}{d:.1} KB{s}", .{ relativeTo(self.app.dir, m.path), ansi.dim, kb(m.bytes), ansi.reset });
+        if (self.seen_modules[index]) {
+            std.debug.print("  {s}(see above){s}\n", .{ ansi.dim, ansi.reset });
+            return;
+        }
+        std.debug.print("\n", .{});
+        self.seen_modules[index] = true;
+
+        const mark = prefix.items.len;
+        defer prefix.shrinkRetainingCapacity(mark);
+        if (last) |l| try prefix.appendSlice(allocator, if (l) "   " else "│  ");
+        for (m.imports, 0..) |child, i| {
+            try self.print(allocator, prefix, child, i == m.imports.len - 1);
+        }
+    }
+};
+
+fn relativeTo(dir: []const u8, path: []const u8) []const u8 {
+    if (path.len > dir.len + 1 and std.mem.startsWith(u8, path, dir) and path[dir.len] == '/') {
+        return path[dir.len + 1 ..];
+    }
+    return path;
+}
+
+fn kb(bytes: u64) f64 {
+    return @as(f64, @floatFromInt(bytes)) / 1024.0;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "collectSpecifiers follows require and keeps production builds" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const specs = try collectSpecifiers(arena.allocator(),
+        \\'use strict';
+        \\import "./polyfill.js";
+        \\if (process.env.NODE_ENV === 'production') {
+        \\  module.exports = require('./cjs/react.production.js');
+        \\} else {
+        \\  module.exports = require("./cjs/react.development.js");
+        \\}
+        \\const lazy = () => import('./lazy.js');
+        \\obj.require('not-this');
+    );
+    try std.testing.expectEqual(@as(usize, 3), specs.len);
+    try std.testing.expectEqualStrings("./polyfill.js", specs[0]);
+    try std.testing.expectEqualStrings("./lazy.js", specs[1]);
+    try std.testing.expectEqualStrings("./cjs/react.production.js", specs[2]);
+}
+
+test "summarize classifies shared and duplicated packages" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const apps = [_]AppGraph{
+        .{ .name = "header", .framework = "react", .dir = "apps/header", .packages = &.{
+            .{ .name = "react", .version = "18.3.1", .dir = "node_modules/react", .bytes = 100 },
+            .{ .name = "lodash", .version = "4.17.21", .dir = "apps/header/node_modules/lodash", .bytes = 500 },
+        } },
+        .{ .name = "cart", .framework = "react", .dir = "apps/cart", .packages = &.{
+            .{ .name = "react", .version = "18.3.1", .dir = "node_modules/react", .bytes = 100 },
+            .{ .name = "lodash", .version = "4.17.20", .dir = "apps/cart/node_modules/lodash", .bytes = 480 },
+            .{ .name = "zod", .version = "3.23.8", .dir = "apps/cart/node_modules/zod", .bytes = 50 },
+        } },
+    };
+    const out = try summarize(arena.allocator(), &apps, &.{"react-dom/client", "react"});
+    try std.testing.expectEqual(@as(usize, 3), out.len);
+
+    try std.testing.expectEqualStrings("lodash", out[0].name);
+    try std.testing.expectEqual(Status.duplicated, out[0].status);
+    try std.testing.expectEqual(@as(u64, 480), out[0].extra_bytes);
+    try std.testing.expect(out[0].versionsDiffer());
+
+    try std.testing.expectEqualStrings("react", out[1].name);
+    try std.testing.expectEqual(Status.shared, out[1].status);
+    try std.testing.expectEqual(@as(usize, 2), out[1].users.len);
+
+    try std.testing.expectEqualStrings("zod", out[2].name);
+    try std.testing.expectEqual(Status.single, out[2].status);
+}
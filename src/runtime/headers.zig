@@ -0,0 +1,217 @@
+// WU Runtime — Response Headers
+//
+// wu.config.json "headers", global and per app, added to the responses of
+// `wu dev` and `wu serve` so a production CSP, COOP/COEP (needed for
+// SharedArrayBuffer) or CORS setup can be reproduced locally:
+//
+//   "headers": {
+//     "Content-Security-Policy": "script-src 'self' 'nonce-{nonce}'",
+//     "Cross-Origin-Opener-Policy": "same-origin",
+//     "Cross-Origin-Embedder-Policy": "require-corp"
+//   }
+//
+// An app's headers win over global ones with the same name, and both win
+// over wu's defaults (Access-Control-Allow-Origin: *, Cache-Control). An
+// empty value removes the header.
+//
+// {nonce} becomes a fresh random nonce for each response. HTML pages then
+// get it on every <script>, <style> and <link> tag — including the ones wu
+// injects (HMR client, window.__wu_apps, import map, refresh preamble) —
+// and in <meta property="csp-nonce" nonce="…">, where scripts that create
+// <style> tags at runtime (CSS imports, the error overlay) read it.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const config_mod = @import("../config/config.zig");
+
+pub const Header = config_mod.Header;
+
+pub const NONCE_PLACEHOLDER = "{nonce}";
+
+/// 16 random bytes, base64.
+pub const NONCE_LEN = 24;
+
+/// The headers configured for one response.
+pub const Policy = struct {
+    global: []const Header = &.{},
+    app: []const Header = &.{},
+    /// Replaces {nonce}; empty when no header asks for one.
+    nonce: []const u8 = "",
+
+    /// Write `defaults` that are not overridden, then the configured
+    /// headers, as "Name: value\r\n" lines.
+    pub fn write(self: *const Policy, w: anytype, defaults: []const Header) !void {
+        for (defaults) |h| {
+            if (self.find(h.name) == null) try w.print("{s}: {s}\r\n", .{ h.name, h.value });
+        }
+        for (self.app) |h| try self.writeOne(w, h);
+        for (self.global) |h| {
+            if (lookup(self.app, h.name) == null) try self.writeOne(w, h);
+        }
+    }
+
+    /// The configured header `name`, app first.
+    pub fn find(self: *const Policy, name: []const u8) ?Header {
+        return lookup(self.app, name) orelse lookup(self.global, name);
+    }
+
+    fn writeOne(self: *const Policy, w: anytype, h: Header) !void {
+        // Empty removes the header; CR/LF would smuggle in another one
+        if (h.value.len == 0 or std.mem.indexOfAny(u8, h.value, "\r\n") != null) return;
+        try w.print("{s}: ", .{h.name});
+        var rest = h.value;
+        while (std.mem.indexOf(u8, rest, NONCE_PLACEHOLDER)) |i| {
+            try w.writeAll(rest[0..i]);
+            try w.writeAll(self.nonce);
+            rest = rest[i + NONCE_PLACEHOLDER.len ..];
+        }
+        try w.print("{s}\r\n", .{rest});
+    }
+};
+
+/// The policy for a response: `app` merged over `global`, with a fresh
+/// nonce in `nonce_buf` if any header uses {nonce}.
+pub fn policy(global: []const Header, app: []const Header, nonce_buf: *[NONCE_LEN]u8) Policy {
+    var p = Policy{ .global = global, .app = app };
+    if (usesNonce(app) or usesNonce(global)) {
+        var random: [16]u8 = undefined;
+        std.crypto.random.bytes(&random);
+        p.nonce = std.base64.standard.Encoder.encode(nonce_buf, &random);
+    }
+    return p;
+}
+
+fn usesNonce(list: []const Header) bool {
+    for (list) |h| {
+        if (std.mem.indexOf(u8, h.value, NONCE_PLACEHOLDER) != null) return true;
+    }
+    return false;
+}
+
+fn lookup(list: []const Header, name: []const u8) ?Header {
+    for (list) |h| {
+        if (std.ascii.eqlIgnoreCase(h.name, name)) return h;
+    }
+    return null;
+}
+
+// ── HTML ────────────────────────────────────────────────────────────────────
+
+/// Add nonce="…" to every <script>, <style> and <link> tag of `html` that
+/// has none, and the csp-nonce meta tag to <head>. Allocator-owned result.
+pub fn stampNonce(allocator: Allocator, html: []const u8, nonce: []const u8) ![]const u8 {
+    var out: std.ArrayList(u8) = .empty;
+    errdefer out.deinit(allocator);
+
+    var copied: usize = 0;
+    var meta_done = false;
+    var i: usize = 0;
+    while (std.mem.indexOfScalarPos(u8, html, i, '<')) |lt| {
+        i = lt + 1;
+        if (!meta_done and tagIs(html, lt, "head")) {
+            const gt = std.mem.indexOfScalarPos(u8, html, lt, '>') orelse break;
+            try out.appendSlice(allocator, html[copied .. gt + 1]);
+            try out.writer(allocator).print("\n<meta property=\"csp-nonce\" nonce=\"{s}\">", .{nonce});
+            copied = gt + 1;
+            i = gt + 1;
+            meta_done = true;
+            continue;
+        }
+
+        const name: []const u8 = for ([_][]const u8{ "script", "style", "link" }) |tag| {
+            if (tagIs(html, lt, tag)) break tag;
+        } else continue;
+        const gt = std.mem.indexOfScalarPos(u8, html, lt, '>') orelse break;
+        const name_end = lt + 1 + name.len;
+        if (std.mem.indexOf(u8, html[name_end..gt], "nonce=") == null) {
+            try out.appendSlice(allocator, html[copied..name_end]);
+            try out.writer(allocator).print(" nonce=\"{s}\"", .{nonce});
+            copied = name_end;
+        }
+        i = gt + 1;
+
+        // Script and style contents are not markup
+        if (!std.mem.eql(u8, name, "link")) {
+            var close_buf: [8]u8 = undefined;
+            const close = std.fmt.bufPrint(&close_buf, "</{s}", .{name}) catch unreachable;
+            i = std.mem.indexOfPos(u8, html, i, close) orelse html.len;
+        }
+    }
+
+    try out.appendSlice(allocator, html[copied..]);
+
+    // No <head>: the meta tag goes first
+    if (!meta_done) {
+        var meta_buf: [64 + NONCE_LEN]u8 = undefined;
+        const meta = try std.fmt.bufPrint(&meta_buf, "<meta property=\"csp-nonce\" nonce=\"{s}\">\n", .{nonce});
+        try out.insertSlice(allocator, 0, meta);
+    }
+    return out.toOwnedSlice(allocator);
+}
+
+/// `<name` at `lt`, followed by whitespace, `>` or `/` (case-insensitive).
+fn tagIs(html: []const u8, lt: usize, name: []const u8) bool {
+    const start = lt + 1;
+    if (start + name.len > html.len) return false;
+    if (!std.ascii.eqlIgnoreCase(html[start .. start + name.len], name)) return false;
+    if (start + name.len == html.len) return false;
+    const next = html[start + name.len];
+    return next == '>' or next == '/' or std.ascii.isWhitespace(next);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "app headers override global and defaults" {
+    var nonce_buf: [NONCE_LEN]u8 = undefined;
+    const p = policy(&.{
+        .{ .name = "Content-Security-Policy", .value = "script-src 'nonce-{nonce}'" },
+        .{ .name = "Access-Control-Allow-Origin", .value = "https://shop.test" },
+        .{ .name = "X-Frame-Options", .value = "DENY" },
+    }, &.{
+        .{ .name = "x-frame-options", .value = "" },
+        .{ .name = "Cross-Origin-Embedder-Policy", .value = "require-corp" },
+    }, &nonce_buf);
+    try std.testing.expectEqual(@as(usize, NONCE_LEN), p.nonce.len);
+
+    var buf: [1024]u8 = undefined;
+    var w: std.Io.Writer = .fixed(&buf);
+    try p.write(&w, &.{
+        .{ .name = "Cache-Control", .value = "no-store" },
+        .{ .name = "Access-Control-Allow-Origin", .value = "*" },
+    });
+
+    var expected_buf: [1024]u8 = undefined;
+    const expected = try std.fmt.bufPrint(&expected_buf, "Cache-Control: no-store\r\n" ++
+        "Cross-Origin-Embedder-Policy: require-corp\r\n" ++
+        "Content-Security-Policy: script-src 'nonce-{s}'\r\n" ++
+        "Access-Control-Allow-Origin: https://shop.test\r\n", .{p.nonce});
+    try std.testing.expectEqualStrings(expected, w.buffered());
+
+    var plain_buf: [NONCE_LEN]u8 = undefined;
+    const plain = policy(&.{.{ .name = "Cross-Origin-Opener-Policy", .value = "same-origin" }}, &.{}, &plain_buf);
+    try std.testing.expectEqualStrings("", plain.nonce);
+}
+
+test "stampNonce marks script, style and link tags" {
+    const html =
+        \\<!DOCTYPE html>
+        \\<html><head>
+        \\<link rel="stylesheet" href="/app.css">
+        \\<script>window.__wu_apps=[];var s = "<script>";</script>
+        \\<script type="module" nonce="abc" src="/main.js"></script>
+        \\<style>body{margin:0}</style>
+        \\</head><body><scripted-el></scripted-el></body></html>
+    ;
+    const out = try stampNonce(std.testing.allocator, html, "N0NCE");
+    defer std.testing.allocator.free(out);
+    try std.testing.expectEqualStrings(
+        \\<!DOCTYPE html>
+        \\<html><head>
+        \\<meta property="csp-nonce" nonce="N0NCE">
+        \\<link nonce="N0NCE" rel="stylesheet" href="/app.css">
+        \\<script nonce="N0NCE">window.__wu_apps=[];var s = "<script>";</script>
+        \\<script type="module" nonce="abc" src="/main.js"></script>
+        \\<style nonce="N0NCE">body{margin:0}</style>
+        \\</head><body><scripted-el></scripted-el></body></html>
+    , out);
+}
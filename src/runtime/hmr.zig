@@ -0,0 +1,615 @@
+// WU Runtime — Hot Module Replacement
+//
+// The dev server records the imports of every module it serves, so a file
+// change can be traced up the import graph to the nearest modules that
+// accept it (`import.meta.hot.accept`). Only the accepted modules are
+// re-imported in the browser; the app stays mounted and keeps its state.
+// A change that reaches a module nobody accepts for (usually the app entry)
+// falls back to remounting the app, as before.
+//
+// Update message (one per change, over the existing WS/SSE channel):
+//   {"type":"update","app":..,"dir":..,"fw":..,"t":<ms>,
+//    "updates":[{"path":"<boundary>","accepted":"<module to re-import>"}]}
+//
+// Framework integrations ride on the same import.meta.hot API:
+//   React   components register with react-refresh; a module whose exports
+//           are all components accepts itself and re-renders in place
+//   Vue     components register with Vue's __VUE_HMR_RUNTIME__: template-only
+//           edits rerender, script edits reload the component
+//   Svelte  Svelte 5 compiles with `hmr: true` and accepts itself
+// Preact, Solid and Svelte 4 components keep the app-remount fallback.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+
+/// Prepended (on line 1, so line mappings hold) to modules that use
+/// import.meta.hot.
+pub const HOT_PREAMBLE = "import { createHotContext as __wu_hot } from \"/@wu/hmr.js\";import.meta.hot = __wu_hot(import.meta.url);";
+
+/// Loaded ahead of every module script when React Fast Refresh is available:
+/// react-refresh must hook into React before react-dom is evaluated.
+pub const REFRESH_PREAMBLE = "<script type=\"module\" src=\"/@wu/react-refresh.js\"></script>";
+
+/// A module to re-import (`accepted`) and the module whose accept callback
+/// receives it (`path`). Equal for self-accepting modules. No leading slash.
+pub const Update = struct {
+    path: []const u8,
+    accepted: []const u8,
+};
+
+const Node = struct {
+    deps: []const []const u8 = &.{},
+    accepted_deps: []const []const u8 = &.{},
+    self_accepting: bool = false,
+
+    fn deinit(self: Node, allocator: Allocator) void {
+        for (self.deps) |d| allocator.free(d);
+        allocator.free(self.deps);
+        for (self.accepted_deps) |d| allocator.free(d);
+        allocator.free(self.accepted_deps);
+    }
+};
+
+// ── Module Graph ────────────────────────────────────────────────────────────
+
+/// Import graph of the modules served so far, keyed by their path relative
+/// to the project root ("mf-hero/src/App.jsx"). Updated from connection
+/// threads, read by the watcher thread.
+pub const Graph = struct {
+    allocator: Allocator,
+    mutex: std.Thread.Mutex = .{},
+    nodes: std.StringHashMapUnmanaged(Node) = .empty,
+
+    pub fn init(allocator: Allocator) Graph {
+        return .{ .allocator = allocator };
+    }
+
+    pub fn deinit(self: *Graph) void {
+        var it = self.nodes.iterator();
+        while (it.next()) |entry| {
+            self.allocator.free(entry.key_ptr.*);
+            entry.value_ptr.deinit(self.allocator);
+        }
+        self.nodes.deinit(self.allocator);
+    }
+
+    /// Record the imports of a module as served (before version stamping).
+    /// Best effort: on allocation failure the module keeps its old edges.
+    pub fn record(self: *Graph, path: []const u8, code: []const u8) void {
+        const node = scanModule(self.allocator, path, code) catch return;
+
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        const gop = self.nodes.getOrPut(self.allocator, path) catch {
+            node.deinit(self.allocator);
+            return;
+        };
+        if (gop.found_existing) {
+            gop.value_ptr.deinit(self.allocator);
+        } else {
+            gop.key_ptr.* = self.allocator.dupe(u8, path) catch {
+                self.nodes.removeByPtr(gop.key_ptr);
+                node.deinit(self.allocator);
+                return;
+            };
+        }
+        gop.value_ptr.* = node;
+    }
+
+    /// Walk up from `changed` to the modules that accept it. Returns false
+    /// when some import chain reaches a module without importers that does
+    /// not accept the change (or `changed` was never served): the caller
+    /// then remounts the app. Update strings are allocated with `allocator`.
+    pub fn propagate(self: *Graph, allocator: Allocator, changed: []const u8, updates: *std.ArrayList(Update)) Allocator.Error!bool {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        if (!self.nodes.contains(changed)) return false;
+        var seen: std.StringHashMapUnmanaged(void) = .empty;
+        defer seen.deinit(allocator);
+        return self.walk(allocator, changed, updates, &seen);
+    }
+
+    fn walk(self: *Graph, allocator: Allocator, path: []const u8, updates: *std.ArrayList(Update), seen: *std.StringHashMapUnmanaged(void)) Allocator.Error!bool {
+        // A cycle back to a module already on its way up is covered there
+        if ((try seen.getOrPut(allocator, path)).found_existing) return true;
+
+        const node = self.nodes.get(path) orelse return false;
+        if (node.self_accepting) {
+            try addUpdate(allocator, updates, path, path);
+            return true;
+        }
+
+        var has_importers = false;
+        var it = self.nodes.iterator();
+        while (it.next()) |entry| {
+            if (!contains(entry.value_ptr.deps, path)) continue;
+            has_importers = true;
+            if (contains(entry.value_ptr.accepted_deps, path)) {
+                try addUpdate(allocator, updates, entry.key_ptr.*, path);
+                continue;
+            }
+            if (!try self.walk(allocator, entry.key_ptr.*, updates, seen)) return false;
+        }
+        return has_importers;
+    }
+};
+
+fn addUpdate(allocator: Allocator, updates: *std.ArrayList(Update), path: []const u8, accepted: []const u8) Allocator.Error!void {
+    for (updates.items) |u| {
+        if (std.mem.eql(u8, u.path, path) and std.mem.eql(u8, u.accepted, accepted)) return;
+    }
+    try updates.append(allocator, .{
+        .path = try allocator.dupe(u8, path),
+        .accepted = try allocator.dupe(u8, accepted),
+    });
+}
+
+fn contains(list: []const []const u8, item: []const u8) bool {
+    for (list) |x| {
+        if (std.mem.eql(u8, x, item)) return true;
+    }
+    return false;
+}
+
+/// Imports and accept calls of one module, resolved to graph keys.
+fn scanModule(allocator: Allocator, path: []const u8, code: []const u8) !Node {
+    var deps: std.ArrayList([]const u8) = .empty;
+    errdefer {
+        for (deps.items) |d| allocator.free(d);
+        deps.deinit(allocator);
+    }
+    var accepted: std.ArrayList([]const u8) = .empty;
+    errdefer {
+        for (accepted.items) |d| allocator.free(d);
+        accepted.deinit(allocator);
+    }
+
+    var buf: [1024]u8 = undefined;
+    var imports = ImportIterator{ .src = code };
+    while (imports.next()) |spec| {
+        const key = resolveSpecifier(&buf, path, spec) orelse continue;
+        if (!contains(deps.items, key)) try appendOwned(allocator, &deps, key);
+    }
+
+    var self_accepting = false;
+    const marker = "import.meta.hot.accept(";
+    var pos: usize = 0;
+    while (std.mem.indexOfPos(u8, code, pos, marker)) |at| {
+        pos = at + marker.len;
+        while (pos < code.len and isWs(code[pos])) pos += 1;
+        if (pos >= code.len) break;
+        const c = code[pos];
+        if (c != '\'' and c != '"' and c != '`' and c != '[') {
+            self_accepting = true;
+            continue;
+        }
+        // accept('./dep', cb) or accept(['./a', './b'], cb)
+        const end = if (c == '[') std.mem.indexOfScalarPos(u8, code, pos, ']') orelse continue else pos + 1;
+        var q = pos;
+        while (q <= end and q < code.len) {
+            const quote = code[q];
+            if (quote != '\'' and quote != '"' and quote != '`') {
+                q += 1;
+                continue;
+            }
+            const close = std.mem.indexOfScalarPos(u8, code, q + 1, quote) orelse break;
+            if (resolveSpecifier(&buf, path, code[q + 1 .. close])) |key| {
+                if (!contains(accepted.items, key)) try appendOwned(allocator, &accepted, key);
+            }
+            q = close + 1;
+            if (c != '[') break;
+        }
+    }
+
+    return .{
+        .deps = try deps.toOwnedSlice(allocator),
+        .accepted_deps = try accepted.toOwnedSlice(allocator),
+        .self_accepting = self_accepting,
+    };
+}
+
+fn appendOwned(allocator: Allocator, list: *std.ArrayList([]const u8), item: []const u8) !void {
+    const owned = try allocator.dupe(u8, item);
+    list.append(allocator, owned) catch |err| {
+        allocator.free(owned);
+        return err;
+    };
+}
+
+fn isWs(c: u8) bool {
+    return c == ' ' or c == '\t' or c == '\n' or c == '\r';
+}
+
+/// Static and dynamic import specifiers: `from '...'`, `import '...'`,
+/// `import('...')`. A lexical scan, like versionRelativeImports.
+pub const ImportIterator = struct {
+    src: []const u8,
+    pos: usize = 0,
+
+    pub fn next(self: *ImportIterator) ?[]const u8 {
+        const src = self.src;
+        while (self.pos < src.len) {
+            const at = self.pos;
+            self.pos += 1;
+            if (at > 0 and (std.ascii.isAlphanumeric(src[at - 1]) or src[at - 1] == '_' or src[at - 1] == '$' or src[at - 1] == '.')) continue;
+
+            var q: usize = undefined;
+            if (std.mem.startsWith(u8, src[at..], "from")) {
+                q = at + 4;
+            } else if (std.mem.startsWith(u8, src[at..], "import")) {
+                q = at + 6;
+                while (q < src.len and (src[q] == ' ' or src[q] == '\t')) q += 1;
+                if (q < src.len and src[q] == '(') q += 1;
+            } else continue;
+
+            while (q < src.len and (src[q] == ' ' or src[q] == '\t')) q += 1;
+            if (q >= src.len or (src[q] != '"' and src[q] != '\'')) continue;
+            const close = std.mem.indexOfScalarPos(u8, src, q + 1, src[q]) orelse continue;
+            self.pos = close + 1;
+            return src[q + 1 .. close];
+        }
+        return null;
+    }
+};
+
+/// Resolve an import specifier of `importer` to a graph key: relative and
+/// root-absolute URLs only, query stripped, `.`/`..` folded. Null for bare,
+/// virtual (/@modules/, /@wu/) and out-of-root specifiers.
+pub fn resolveSpecifier(buf: *[1024]u8, importer: []const u8, specifier: []const u8) ?[]const u8 {
+    const spec = specifier[0 .. std.mem.indexOfAny(u8, specifier, "?#") orelse specifier.len];
+    if (std.mem.startsWith(u8, spec, "/@")) return null;
+
+    var len: usize = 0;
+    var rest: []const u8 = undefined;
+    if (std.mem.startsWith(u8, spec, "/")) {
+        rest = spec[1..];
+    } else if (std.mem.startsWith(u8, spec, "./") or std.mem.startsWith(u8, spec, "../")) {
+        const dir = std.fs.path.dirnamePosix(importer) orelse "";
+        if (dir.len > buf.len) return null;
+        @memcpy(buf[0..dir.len], dir);
+        len = dir.len;
+        rest = spec;
+    } else return null;
+
+    var parts = std.mem.splitScalar(u8, rest, '/');
+    while (parts.next()) |part| {
+        if (part.len == 0 or std.mem.eql(u8, part, ".")) continue;
+        if (std.mem.eql(u8, part, "..")) {
+            if (len == 0) return null;
+            len = std.mem.lastIndexOfScalar(u8, buf[0..len], '/') orelse 0;
+            continue;
+        }
+        const sep: usize = if (len > 0) 1 else 0;
+        if (len + sep + part.len > buf.len) return null;
+        if (sep == 1) buf[len] = '/';
+        @memcpy(buf[len + sep .. len + sep + part.len], part);
+        len += sep + part.len;
+    }
+    return if (len > 0) buf[0..len] else null;
+}
+
+// ── Instrumentation ─────────────────────────────────────────────────────────
+
+/// Whether served code needs HOT_PREAMBLE.
+pub fn usesHot(code: []const u8) bool {
+    return std.mem.indexOf(u8, code, "import.meta.hot") != null;
+}
+
+/// Code with HOT_PREAMBLE in front, allocator-owned; `code` itself when it
+/// does not use import.meta.hot.
+pub fn withHotContext(allocator: Allocator, code: []const u8) ![]const u8 {
+    if (!usesHot(code)) return code;
+    return std.mem.concat(allocator, u8, &.{ HOT_PREAMBLE, code });
+}
+
+/// Append the React Fast Refresh footer to a compiled module: register each
+/// top-level component, and accept updates when every export is one. The
+/// signature is the module's hook calls, so adding or reordering hooks
+/// resets state instead of crashing the component.
+pub fn appendReactRefresh(allocator: Allocator, out: *std.ArrayList(u8), path: []const u8, code: []const u8) !void {
+    var components: std.ArrayList([]const u8) = .empty;
+    defer components.deinit(allocator);
+    var boundary = true;
+
+    var lines = std.mem.splitScalar(u8, code, '\n');
+    while (lines.next()) |line| {
+        var rest = line;
+        const exported = std.mem.startsWith(u8, rest, "export ");
+        if (exported) rest = rest["export ".len..];
+        const is_default = std.mem.startsWith(u8, rest, "default ");
+        if (is_default) rest = rest["default ".len..];
+
+        if (exported and !is_default and std.mem.startsWith(u8, rest, "{")) {
+            // export { A, B as C }
+            const close = std.mem.indexOfScalar(u8, rest, '}') orelse rest.len;
+            var names = std.mem.splitScalar(u8, rest[1..close], ',');
+            while (names.next()) |raw| {
+                const item = std.mem.trim(u8, raw, " \t");
+                const exported_as = if (std.mem.lastIndexOf(u8, item, " as ")) |a| item[a + 4 ..] else item;
+                if (exported_as.len > 0 and !isComponentName(exported_as) and !std.mem.eql(u8, exported_as, "default")) boundary = false;
+            }
+            continue;
+        }
+
+        const name = declaredName(rest) orelse {
+            // export default <expression>: checked in the browser
+            if (exported and !is_default) boundary = false;
+            continue;
+        };
+        if (isComponentName(name)) {
+            if (!contains(components.items, name)) try components.append(allocator, name);
+        } else if (exported) {
+            boundary = false;
+        }
+    }
+    if (components.items.len == 0) return;
+
+    var signature: std.ArrayList(u8) = .empty;
+    defer signature.deinit(allocator);
+    try appendHookSignature(allocator, &signature, code);
+
+    if (out.items.len > 0 and out.items[out.items.len - 1] != '\n') try out.append(allocator, '\n');
+    const w = out.writer(allocator);
+    try w.writeAll("import { register as __wu_register, refresh as __wu_refresh } from \"/@wu/react-refresh.js\";\n");
+    for (components.items) |name| {
+        try w.print("__wu_register({s}, \"{s} {s}\", \"{s}\");\n", .{ name, path, name, signature.items });
+    }
+    if (boundary) {
+        try w.writeAll("if (import.meta.hot) import.meta.hot.accept(function (m) { __wu_refresh(import.meta.hot, m); });\n");
+    }
+}
+
+/// Name declared by a top-level `function X`, `class X` or `const|let|var X =`.
+fn declaredName(decl: []const u8) ?[]const u8 {
+    var rest = decl;
+    if (std.mem.startsWith(u8, rest, "async ")) rest = rest["async ".len..];
+    inline for (.{ "function* ", "function ", "class ", "const ", "let ", "var " }) |kw| {
+        if (std.mem.startsWith(u8, rest, kw)) {
+            rest = std.mem.trimLeft(u8, rest[kw.len..], " ");
+            var end: usize = 0;
+            while (end < rest.len and (std.ascii.isAlphanumeric(rest[end]) or rest[end] == '_' or rest[end] == '$')) end += 1;
+            return if (end > 0) rest[0..end] else null;
+        }
+    }
+    return null;
+}
+
+fn isComponentName(name: []const u8) bool {
+    return name.len > 0 and std.ascii.isUpper(name[0]);
+}
+
+/// Comma-separated hook calls in order of appearance ("useState,useEffect").
+fn appendHookSignature(allocator: Allocator, out: *std.ArrayList(u8), code: []const u8) !void {
+    var pos: usize = 0;
+    while (std.mem.indexOfPos(u8, code, pos, "use")) |at| {
+        pos = at + 3;
+        if (at > 0 and (std.ascii.isAlphanumeric(code[at - 1]) or code[at - 1] == '_' or code[at - 1] == '$')) continue;
+        if (pos >= code.len or !std.ascii.isUpper(code[pos])) continue;
+        var end = pos;
+        while (end < code.len and (std.ascii.isAlphanumeric(code[end]) or code[end] == '_')) end += 1;
+        if (end >= code.len or code[end] != '(') continue;
+        if (out.items.len > 0) try out.append(allocator, ',');
+        try out.appendSlice(allocator, code[at..end]);
+        pos = end;
+    }
+}
+
+/// Append the Vue HMR footer to a compiled SFC (daemon output, which names
+/// its component `__sfc__`). `source` is the .vue file: a hash of its
+/// <script> blocks tells a template-only edit (rerender, state kept) from a
+/// script edit (reload).
+pub fn appendVueHmr(allocator: Allocator, out: *std.ArrayList(u8), path: []const u8, code: []const u8, source: []const u8) !void {
+    if (std.mem.indexOf(u8, code, "const __sfc__") == null) return;
+
+    var hasher = std.hash.Wyhash.init(0);
+    var pos: usize = 0;
+    while (std.mem.indexOfPos(u8, source, pos, "<script")) |open| {
+        const close = std.mem.indexOfPos(u8, source, open, "</script>") orelse break;
+        hasher.update(source[open..close]);
+        pos = close + "</script>".len;
+    }
+
+    if (out.items.len > 0 and out.items[out.items.len - 1] != '\n') try out.append(allocator, '\n');
+    try out.writer(allocator).print(
+        "__sfc__.__hmrId = \"{s}\";\n" ++
+            "__sfc__.__wu_script = \"{x}\";\n" ++
+            "if (import.meta.hot && typeof __VUE_HMR_RUNTIME__ !== \"undefined\") {{\n" ++
+            "  __VUE_HMR_RUNTIME__.createRecord(__sfc__.__hmrId, __sfc__);\n" ++
+            "  import.meta.hot.accept(function (m) {{\n" ++
+            "    if (m.default.__wu_script === __sfc__.__wu_script) __VUE_HMR_RUNTIME__.rerender(m.default.__hmrId, m.default.render);\n" ++
+            "    else __VUE_HMR_RUNTIME__.reload(m.default.__hmrId, m.default);\n" ++
+            "  }});\n" ++
+            "}}\n",
+        .{ path, hasher.final() },
+    );
+}
+
+/// Insert REFRESH_PREAMBLE right after <head>, ahead of every module script.
+/// Returns allocator-owned HTML.
+pub fn injectRefreshPreamble(allocator: Allocator, html: []const u8) ![]const u8 {
+    var anchor: usize = 0;
+    if (std.mem.indexOf(u8, html, "<head")) |head| {
+        if (std.mem.indexOfScalarPos(u8, html, head, '>')) |end| anchor = end + 1;
+    }
+    return std.mem.concat(allocator, u8, &.{ html[0..anchor], "\n", REFRESH_PREAMBLE, html[anchor..] });
+}
+
+// ── Browser Runtimes ────────────────────────────────────────────────────────
+
+/// /@wu/hmr.js — import.meta.hot for served modules, and applyUpdate for the
+/// HMR client. Paths are URL pathnames ("/mf-hero/src/App.jsx").
+pub const runtime_js =
+    \\// WU HMR runtime — import.meta.hot (accept, dispose, data, invalidate)
+    \\var modules = new Map();
+    \\var invalidateHandler = function() { location.reload(); };
+    \\
+    \\function pathOf(url) { return new URL(url, location.href).pathname; }
+    \\
+    \\export function createHotContext(url) {
+    \\  var path = pathOf(url);
+    \\  var mod = modules.get(path);
+    \\  // A re-imported module registers afresh; data survives
+    \\  if (mod) { mod.callbacks = []; mod.disposers = []; }
+    \\  else { mod = { callbacks: [], disposers: [], data: {} }; modules.set(path, mod); }
+    \\  function resolve(dep) { return new URL(dep, url).pathname; }
+    \\  return {
+    \\    get data() { return mod.data; },
+    \\    accept: function(deps, cb) {
+    \\      if (typeof deps === 'function' || deps === undefined) {
+    \\        mod.callbacks.push({ deps: [path], fn: function(ms) { if (deps) deps(ms[0]); } });
+    \\      } else if (typeof deps === 'string') {
+    \\        mod.callbacks.push({ deps: [resolve(deps)], fn: function(ms) { if (cb) cb(ms[0]); } });
+    \\      } else {
+    \\        mod.callbacks.push({ deps: deps.map(resolve), fn: cb || function() {} });
+    \\      }
+    \\    },
+    \\    dispose: function(cb) { mod.disposers.push(cb); },
+    \\    invalidate: function() { invalidateHandler(path); }
+    \\  };
+    \\}
+    \\
+    \\export function onInvalidate(fn) { invalidateHandler = fn; }
+    \\
+    \\// Re-import `update.accepted` and hand it to the accept callbacks that
+    \\// `update.path` registered for it. Rejects when nobody accepts it.
+    \\export function applyUpdate(update, t) {
+    \\  var path = '/' + update.path, accepted = '/' + update.accepted;
+    \\  var boundary = modules.get(path);
+    \\  var callbacks = boundary ? boundary.callbacks.filter(function(c) { return c.deps.indexOf(accepted) !== -1; }) : [];
+    \\  if (!callbacks.length) return Promise.reject(new Error(path + ' does not accept ' + accepted));
+    \\  var old = modules.get(accepted);
+    \\  if (old) old.disposers.forEach(function(fn) { fn(old.data); });
+    \\  return import(accepted + '?t=' + t).then(function(m) {
+    \\    callbacks.forEach(function(c) {
+    \\      c.fn(c.deps.map(function(d) { return d === accepted ? m : undefined; }));
+    \\    });
+    \\  });
+    \\}
+    \\
+;
+
+/// /@wu/react-refresh.js — react-refresh/runtime, installed before React
+/// loads (REFRESH_PREAMBLE), plus the helpers the component footer calls.
+pub const react_refresh_js =
+    \\// WU React Fast Refresh runtime
+    \\import RefreshRuntime from '/@modules/react-refresh/runtime';
+    \\
+    \\if (!window.__wu_refresh) {
+    \\  RefreshRuntime.injectIntoGlobalHook(window);
+    \\  window.$RefreshReg$ = function() {};
+    \\  window.$RefreshSig$ = function() { return function(type) { return type; }; };
+    \\  window.__wu_refresh = true;
+    \\}
+    \\
+    \\export function register(type, id, signature) {
+    \\  if (typeof type !== 'function' && (typeof type !== 'object' || type === null)) return;
+    \\  RefreshRuntime.register(type, id);
+    \\  RefreshRuntime.setSignature(type, signature);
+    \\}
+    \\
+    \\var timer = null;
+    \\export function refresh(hot, m) {
+    \\  for (var k in m) {
+    \\    if (!RefreshRuntime.isLikelyComponentType(m[k])) { hot.invalidate(); return; }
+    \\  }
+    \\  clearTimeout(timer);
+    \\  timer = setTimeout(function() { RefreshRuntime.performReactRefresh(); }, 30);
+    \\}
+    \\
+;
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "resolveSpecifier folds relative paths and skips virtual ones" {
+    var buf: [1024]u8 = undefined;
+    try std.testing.expectEqualStrings("app/src/App.jsx", resolveSpecifier(&buf, "app/src/main.jsx", "./App.jsx?t=3").?);
+    try std.testing.expectEqualStrings("app/lib/x.js", resolveSpecifier(&buf, "app/src/main.jsx", "../lib/./x.js").?);
+    try std.testing.expectEqualStrings("app/src/a.css", resolveSpecifier(&buf, "x.js", "/app/src/a.css?import").?);
+    try std.testing.expect(resolveSpecifier(&buf, "app/src/main.jsx", "/@modules/react") == null);
+    try std.testing.expect(resolveSpecifier(&buf, "app/src/main.jsx", "react") == null);
+    try std.testing.expect(resolveSpecifier(&buf, "main.js", "../../x.js") == null);
+}
+
+test "ImportIterator finds static and dynamic imports" {
+    var it = ImportIterator{ .src = "import a from './a.js';\nimport './b.css?import';\nconst c = await import('./c.js');\nexport * from \"./d.js\";\nmyimport('./no.js');" };
+    try std.testing.expectEqualStrings("./a.js", it.next().?);
+    try std.testing.expectEqualStrings("./b.css?import", it.next().?);
+    try std.testing.expectEqualStrings("./c.js", it.next().?);
+    try std.testing.expectEqualStrings("./d.js", it.next().?);
+    try std.testing.expect(it.next() == null);
+}
+
+test "propagate stops at accepting modules" {
+    const allocator = std.testing.allocator;
+    var graph = Graph.init(allocator);
+    defer graph.deinit();
+    graph.record("app/src/main.jsx", "import App from './App.jsx';\nimport './store.js';");
+    graph.record("app/src/App.jsx", "import Button from './Button.jsx';\nimport.meta.hot.accept(function (m) {});");
+    graph.record("app/src/Button.jsx", "export default function Button() {}");
+    graph.record("app/src/store.js", "import { x } from './util.js';");
+    graph.record("app/src/util.js", "export const x = 1;");
+
+    var arena = std.heap.ArenaAllocator.init(allocator);
+    defer arena.deinit();
+    var updates: std.ArrayList(Update) = .empty;
+    try std.testing.expect(try graph.propagate(arena.allocator(), "app/src/Button.jsx", &updates));
+    try std.testing.expectEqual(@as(usize, 1), updates.items.len);
+    try std.testing.expectEqualStrings("app/src/App.jsx", updates.items[0].path);
+    try std.testing.expectEqualStrings("app/src/App.jsx", updates.items[0].accepted);
+
+    // util.js → store.js → main.jsx, which accepts nothing
+    updates.clearRetainingCapacity();
+    try std.testing.expect(!try graph.propagate(arena.allocator(), "app/src/util.js", &updates));
+    try std.testing.expect(!try graph.propagate(arena.allocator(), "app/src/never-served.js", &updates));
+}
+
+test "propagate honours accepted dependencies" {
+    const allocator = std.testing.allocator;
+    var graph = Graph.init(allocator);
+    defer graph.deinit();
+    graph.record("app/main.js", "import { render } from './render.js';\nimport.meta.hot.accept(['./render.js'], function (ms) {});");
+    graph.record("app/render.js", "export function render() {}");
+
+    var arena = std.heap.ArenaAllocator.init(allocator);
+    defer arena.deinit();
+    var updates: std.ArrayList(Update) = .empty;
+    try std.testing.expect(try graph.propagate(arena.allocator(), "app/render.js", &updates));
+    try std.testing.expectEqualStrings("app/main.js", updates.items[0].path);
+    try std.testing.expectEqualStrings("app/render.js", updates.items[0].accepted);
+}
+
+test "appendReactRefresh registers components" {
+    const allocator = std.testing.allocator;
+    var out: std.ArrayList(u8) = .empty;
+    defer out.deinit(allocator);
+    try appendReactRefresh(allocator, &out, "app/App.jsx",
+        \\function Counter() { const [n, setN] = useState(0); return n; }
+        \\export default function App() { useEffect(() => {}); return Counter; }
+    );
+    try std.testing.expect(std.mem.indexOf(u8, out.items, "__wu_register(Counter, \"app/App.jsx Counter\", \"useState,useEffect\");") != null);
+    try std.testing.expect(std.mem.indexOf(u8, out.items, "__wu_register(App, ") != null);
+    try std.testing.expect(std.mem.indexOf(u8, out.items, "import.meta.hot.accept(") != null);
+}
+
+test "appendReactRefresh does not accept modules exporting non-components" {
+    const allocator = std.testing.allocator;
+    var out: std.ArrayList(u8) = .empty;
+    defer out.deinit(allocator);
+    try appendReactRefresh(allocator, &out, "app/App.jsx",
+        \\export function useCounter() { return 0; }
+        \\export function App() { return null; }
+    );
+    try std.testing.expect(std.mem.indexOf(u8, out.items, "__wu_register(App, ") != null);
+    try std.testing.expect(std.mem.indexOf(u8, out.items, "import.meta.hot.accept(") == null);
+}
+
+test "withHotContext keeps line numbers" {
+    const allocator = std.testing.allocator;
+    const plain = "export const a = 1;\n";
+    try std.testing.expect((try withHotContext(allocator, plain)).ptr == plain.ptr);
+    const hot = try withHotContext(allocator, "if (import.meta.hot) import.meta.hot.accept();\n");
+    defer allocator.free(hot);
+    try std.testing.expect(std.mem.startsWith(u8, hot, HOT_PREAMBLE));
+    try std.testing.expectEqual(@as(usize, 1), std.mem.count(u8, hot, "\n"));
+}
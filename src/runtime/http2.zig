@@ -0,0 +1,1266 @@
+// WU Runtime — HTTP/2
+//
+// HTTP/2 (RFC 9113) for `wu dev --https`: one TLS connection carries every
+// module request instead of the browser's six HTTP/1.1 sockets. Each
+// stream runs on its own thread and is replayed as an HTTP/1.1 request
+// against the dev server's internal listener, so every route works
+// unchanged; the response goes back as HEADERS + DATA frames within the
+// browser's flow-control windows. Server-sent events stream until either
+// side closes.
+//
+// HPACK (RFC 7541) decodes request headers, Huffman strings included.
+// Responses are encoded as literals without indexing, so there is no
+// dynamic table of ours to keep in sync. WebSockets stay on HTTP/1.1:
+// without SETTINGS_ENABLE_CONNECT_PROTOCOL browsers open a separate
+// connection for them.
+
+const std = @import("std");
+const builtin = @import("builtin");
+const Allocator = std.mem.Allocator;
+const tls = @import("tls.zig");
+const cert_mod = @import("cert.zig");
+const dev_server = @import("dev_server.zig");
+const test_tools = @import("test_tools.zig");
+
+const platformRead = dev_server.platformRead;
+const platformWrite = dev_server.platformWrite;
+
+/// What a client sends before its first frame
+pub const PREFACE = "PRI * HTTP/2.0\r\n\r\nSM\r\n\r\n";
+
+const FRAME_HEADER = 9;
+/// Largest frame payload either side uses (the protocol minimum)
+const MAX_FRAME = 16384;
+const DEFAULT_WINDOW = 65535;
+const MAX_WINDOW = 0x7fff_ffff;
+/// SETTINGS_MAX_CONCURRENT_STREAMS we announce
+const MAX_STREAMS = 128;
+/// Request bodies over this get a 413, like the HTTP/1.1 path
+const MAX_BODY = 8 * 1024 * 1024;
+/// Cap on one request header block (HEADERS + CONTINUATION)
+const MAX_HEADER_BLOCK = 64 * 1024;
+/// HPACK dynamic table size the browser may use (the RFC default)
+const HEADER_TABLE_SIZE = 4096;
+
+// Frame types
+const DATA: u8 = 0;
+const HEADERS: u8 = 1;
+const RST_STREAM: u8 = 3;
+const SETTINGS: u8 = 4;
+const PING: u8 = 6;
+const GOAWAY: u8 = 7;
+const WINDOW_UPDATE: u8 = 8;
+const CONTINUATION: u8 = 9;
+
+// Flags
+const FLAG_END_STREAM: u8 = 0x1;
+const FLAG_ACK: u8 = 0x1;
+const FLAG_END_HEADERS: u8 = 0x4;
+const FLAG_PADDED: u8 = 0x8;
+const FLAG_PRIORITY: u8 = 0x20;
+
+// Settings
+const SETTINGS_MAX_CONCURRENT_STREAMS: u16 = 0x3;
+const SETTINGS_INITIAL_WINDOW_SIZE: u16 = 0x4;
+
+// Error codes
+const PROTOCOL_ERROR: u32 = 0x1;
+const INTERNAL_ERROR: u32 = 0x2;
+const FLOW_CONTROL_ERROR: u32 = 0x3;
+const FRAME_SIZE_ERROR: u32 = 0x6;
+const REFUSED_STREAM: u32 = 0x7;
+const COMPRESSION_ERROR: u32 = 0x9;
+
+pub const H2Error = error{
+    ProtocolError,
+    CompressionError,
+    FrameSizeError,
+    FlowControlError,
+};
+
+pub const HpackError = error{ CompressionError, OutOfMemory };
+
+pub const Field = struct {
+    name: []const u8,
+    value: []const u8,
+};
+
+/// Serve one HTTP/2 connection until the browser closes it. `backend` is
+/// the dev server's internal HTTP/1.1 listener.
+pub fn serve(allocator: Allocator, session: *tls.Connection, backend: std.net.Address) void {
+    var conn: Conn = .{
+        .allocator = allocator,
+        .session = session,
+        .backend = backend,
+        .decoder = .{ .allocator = allocator },
+    };
+    defer conn.deinit();
+    conn.run() catch |err| switch (err) {
+        error.ProtocolError => conn.goAway(PROTOCOL_ERROR),
+        error.CompressionError => conn.goAway(COMPRESSION_ERROR),
+        error.FrameSizeError => conn.goAway(FRAME_SIZE_ERROR),
+        error.FlowControlError => conn.goAway(FLOW_CONTROL_ERROR),
+        else => {},
+    };
+}
+
+// ── Connection ──────────────────────────────────────────────────────────────
+
+const Frame = struct {
+    kind: u8,
+    flags: u8,
+    stream_id: u31,
+    payload: []const u8,
+};
+
+const Stream = struct {
+    id: u31,
+    /// Request headers and body, response scratch; freed with the stream
+    arena: std.heap.ArenaAllocator,
+    fields: []const Field,
+    body: std.ArrayList(u8) = .empty,
+    too_large: bool = false,
+
+    // Guarded by Conn.mutex
+    window: i64,
+    started: bool = false,
+    reset: bool = false,
+    backend: ?std.net.Stream = null,
+
+    // Worker thread only
+    responded: bool = false,
+};
+
+const Conn = struct {
+    allocator: Allocator,
+    session: *tls.Connection,
+    backend: std.net.Address,
+    /// Only the reader thread decodes, in frame order
+    decoder: Decoder,
+    last_stream: u31 = 0,
+
+    mutex: std.Thread.Mutex = .{},
+    /// Signalled on window updates, resets and finished workers
+    cond: std.Thread.Condition = .{},
+    streams: std.AutoHashMapUnmanaged(u31, *Stream) = .empty,
+    /// Connection-level send window
+    window: i64 = DEFAULT_WINDOW,
+    /// The browser's SETTINGS_INITIAL_WINDOW_SIZE, for new streams
+    initial_window: i64 = DEFAULT_WINDOW,
+    workers: usize = 0,
+    closing: bool = false,
+
+    /// Read frames until the browser goes away.
+    fn run(self: *Conn) !void {
+        var preface: [PREFACE.len]u8 = undefined;
+        try self.readExact(&preface);
+        if (!std.mem.eql(u8, &preface, PREFACE)) return error.ProtocolError;
+        try self.writeSettings();
+
+        var payload_buf: [MAX_FRAME]u8 = undefined;
+        // A header block in progress: HEADERS, then CONTINUATION until END_HEADERS
+        var block: std.ArrayList(u8) = .empty;
+        defer block.deinit(self.allocator);
+        var block_stream: u31 = 0;
+        var block_end_stream = false;
+
+        while (true) {
+            const frame = try self.readFrame(&payload_buf);
+            if (block_stream != 0 and (frame.kind != CONTINUATION or frame.stream_id != block_stream)) {
+                return error.ProtocolError;
+            }
+
+            switch (frame.kind) {
+                HEADERS => {
+                    if (frame.stream_id == 0) return error.ProtocolError;
+                    var fragment = try stripPadding(frame);
+                    if (frame.flags & FLAG_PRIORITY != 0) {
+                        if (fragment.len < 5) return error.ProtocolError;
+                        fragment = fragment[5..];
+                    }
+                    block.clearRetainingCapacity();
+                    try block.appendSlice(self.allocator, fragment);
+                    block_stream = frame.stream_id;
+                    block_end_stream = frame.flags & FLAG_END_STREAM != 0;
+                },
+                CONTINUATION => {
+                    if (block_stream == 0) return error.ProtocolError;
+                    if (block.items.len + frame.payload.len > MAX_HEADER_BLOCK) return error.ProtocolError;
+                    try block.appendSlice(self.allocator, frame.payload);
+                },
+                DATA => try self.onData(frame),
+                SETTINGS => try self.onSettings(frame),
+                PING => {
+                    if (frame.payload.len != 8) return error.FrameSizeError;
+                    if (frame.flags & FLAG_ACK == 0) try self.writeFrame(PING, FLAG_ACK, 0, frame.payload);
+                },
+                WINDOW_UPDATE => try self.onWindowUpdate(frame),
+                RST_STREAM => self.onReset(frame.stream_id),
+                GOAWAY => return,
+                else => {}, // PRIORITY and unknown types are ignored
+            }
+
+            const header_frame = frame.kind == HEADERS or frame.kind == CONTINUATION;
+            if (header_frame and frame.flags & FLAG_END_HEADERS != 0) {
+                try self.onHeaders(block_stream, block.items, block_end_stream);
+                block_stream = 0;
+            }
+        }
+    }
+
+    /// Wait for the stream threads (cutting their dev-server sockets short),
+    /// then free what is left.
+    fn deinit(self: *Conn) void {
+        self.mutex.lock();
+        self.closing = true;
+        var it = self.streams.valueIterator();
+        while (it.next()) |stream| {
+            stream.*.reset = true;
+            if (stream.*.backend) |socket| shutdownSocket(socket);
+        }
+        self.cond.broadcast();
+        while (self.workers > 0) self.cond.wait(&self.mutex);
+
+        // Only streams that never started are left
+        it = self.streams.valueIterator();
+        while (it.next()) |stream| self.destroyStream(stream.*);
+        self.streams.deinit(self.allocator);
+        self.mutex.unlock();
+        self.decoder.deinit();
+    }
+
+    fn onHeaders(self: *Conn, id: u31, block: []const u8, end_stream: bool) !void {
+        // Decode first: the HPACK table must see every block, even refused ones
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        var fields: std.ArrayList(Field) = .empty;
+        self.decoder.decode(arena.allocator(), block, &fields) catch |err| {
+            arena.deinit();
+            return err;
+        };
+
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        if (self.streams.get(id)) |stream| {
+            // Trailers after a request body: nothing to forward
+            arena.deinit();
+            if (end_stream and !stream.started) self.startLocked(stream);
+            return;
+        }
+        if (id % 2 == 0 or id <= self.last_stream) {
+            arena.deinit();
+            return error.ProtocolError;
+        }
+        self.last_stream = id;
+        if (self.streams.count() >= MAX_STREAMS) {
+            arena.deinit();
+            return self.writeReset(id, REFUSED_STREAM);
+        }
+
+        const stream = self.allocator.create(Stream) catch |err| {
+            arena.deinit();
+            return err;
+        };
+        stream.* = .{ .id = id, .arena = arena, .fields = fields.items, .window = self.initial_window };
+        self.streams.put(self.allocator, id, stream) catch |err| {
+            self.destroyStream(stream);
+            return err;
+        };
+        if (end_stream) self.startLocked(stream);
+    }
+
+    fn onData(self: *Conn, frame: Frame) !void {
+        if (frame.stream_id == 0) return error.ProtocolError;
+        const data = try stripPadding(frame);
+        // Bodies are buffered whole, so the windows go straight back
+        if (frame.payload.len > 0) try self.writeWindowUpdate(0, frame.payload.len);
+
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        const stream = self.streams.get(frame.stream_id) orelse return;
+        if (stream.started) return;
+        if (stream.body.items.len + data.len > MAX_BODY) {
+            stream.too_large = true;
+        } else {
+            try stream.body.appendSlice(stream.arena.allocator(), data);
+        }
+        if (frame.flags & FLAG_END_STREAM != 0) {
+            self.startLocked(stream);
+        } else if (frame.payload.len > 0) {
+            try self.writeWindowUpdate(frame.stream_id, frame.payload.len);
+        }
+    }
+
+    fn onSettings(self: *Conn, frame: Frame) !void {
+        if (frame.stream_id != 0) return error.ProtocolError;
+        if (frame.flags & FLAG_ACK != 0) return;
+        if (frame.payload.len % 6 != 0) return error.FrameSizeError;
+
+        var i: usize = 0;
+        while (i < frame.payload.len) : (i += 6) {
+            const id = std.mem.readInt(u16, frame.payload[i..][0..2], .big);
+            const value = std.mem.readInt(u32, frame.payload[i + 2 ..][0..4], .big);
+            // Nothing else needs handling: our frames never exceed the minimum
+            // MAX_FRAME_SIZE and the encoder keeps no dynamic table.
+            if (id != SETTINGS_INITIAL_WINDOW_SIZE) continue;
+            if (value > MAX_WINDOW) return error.FlowControlError;
+
+            self.mutex.lock();
+            defer self.mutex.unlock();
+            const delta = @as(i64, value) - self.initial_window;
+            var it = self.streams.valueIterator();
+            while (it.next()) |stream| stream.*.window += delta;
+            self.initial_window = value;
+            self.cond.broadcast();
+        }
+        try self.writeFrame(SETTINGS, FLAG_ACK, 0, "");
+    }
+
+    fn onWindowUpdate(self: *Conn, frame: Frame) !void {
+        if (frame.payload.len != 4) return error.FrameSizeError;
+        const increment = std.mem.readInt(u32, frame.payload[0..4], .big) & MAX_WINDOW;
+
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        if (frame.stream_id == 0) {
+            self.window += increment;
+            if (self.window > MAX_WINDOW) return error.FlowControlError;
+        } else if (self.streams.get(frame.stream_id)) |stream| {
+            stream.window += increment;
+        }
+        self.cond.broadcast();
+    }
+
+    fn onReset(self: *Conn, id: u31) void {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+        const stream = self.streams.get(id) orelse return;
+        if (!stream.started) {
+            _ = self.streams.remove(id);
+            self.destroyStream(stream);
+            return;
+        }
+        // The worker notices at its next write; a blocked read ends now
+        stream.reset = true;
+        if (stream.backend) |socket| shutdownSocket(socket);
+        self.cond.broadcast();
+    }
+
+    /// Hand a complete request to its own thread. Caller holds the mutex.
+    fn startLocked(self: *Conn, stream: *Stream) void {
+        stream.started = true;
+        const thread = std.Thread.spawn(.{}, streamThread, .{ self, stream }) catch {
+            _ = self.streams.remove(stream.id);
+            self.writeReset(stream.id, REFUSED_STREAM) catch {};
+            self.destroyStream(stream);
+            return;
+        };
+        self.workers += 1;
+        thread.detach();
+    }
+
+    fn destroyStream(self: *Conn, stream: *Stream) void {
+        stream.arena.deinit();
+        self.allocator.destroy(stream);
+    }
+
+    // ── Stream workers ──────────────────────────────────────────────────────
+
+    fn streamThread(self: *Conn, stream: *Stream) void {
+        self.proxy(stream) catch |err| if (err != error.StreamClosed) {
+            if (stream.responded) {
+                self.writeReset(stream.id, INTERNAL_ERROR) catch {};
+            } else {
+                self.writeResponseHeaders(stream, 502, &.{}, true) catch {};
+            }
+        };
+
+        self.mutex.lock();
+        _ = self.streams.remove(stream.id);
+        self.workers -= 1;
+        self.cond.broadcast();
+        self.mutex.unlock();
+        self.destroyStream(stream);
+    }
+
+    /// Replay the request on the internal listener and relay the response.
+    fn proxy(self: *Conn, stream: *Stream) !void {
+        if (stream.too_large) return self.writeResponseHeaders(stream, 413, &.{}, true);
+        const arena = stream.arena.allocator();
+        const method = pseudoHeader(stream.fields, ":method") orelse "GET";
+        const head_only = std.mem.eql(u8, method, "HEAD");
+
+        const socket = try std.net.tcpConnectToAddress(self.backend);
+        defer {
+            self.mutex.lock();
+            stream.backend = null;
+            self.mutex.unlock();
+            socket.close();
+        }
+        {
+            self.mutex.lock();
+            defer self.mutex.unlock();
+            if (stream.reset) return error.StreamClosed;
+            stream.backend = socket;
+        }
+
+        // One write: the dev server parses a request from a single read
+        const head = try requestHead(arena, stream.fields, stream.body.items.len);
+        try platformWrite(socket, try std.mem.concat(arena, u8, &.{ head, stream.body.items }));
+
+        var buf: [16384]u8 = undefined;
+        var len: usize = 0;
+        const head_end = while (true) {
+            if (std.mem.indexOf(u8, buf[0..len], "\r\n\r\n")) |i| break i + 4;
+            if (len == buf.len) return error.ResponseTooLarge;
+            const n = try platformRead(socket, buf[len..]);
+            if (n == 0) return error.EndOfStream;
+            len += n;
+        };
+        const response = try parseResponseHead(arena, buf[0..head_end]);
+        const no_body = head_only or response.status == 204 or response.status == 304 or response.content_length == 0;
+        try self.writeResponseHeaders(stream, response.status, response.fields, no_body);
+        if (no_body) return;
+
+        // The body: whatever came with the head, then the rest. Without a
+        // Content-Length (server-sent events, chunked proxy responses) it
+        // runs until the socket closes or the last chunk.
+        var remaining = response.content_length;
+        var dechunker: ?Dechunker = if (response.chunked) .{} else null;
+        var chunk: []u8 = buf[head_end..len];
+        while (true) {
+            if (remaining) |r| {
+                const take = @min(chunk.len, r);
+                try self.writeData(stream, chunk[0..take], take == r);
+                if (take == r) return;
+                remaining = r - take;
+            } else if (dechunker) |*d| {
+                try self.writeData(stream, try d.feed(chunk), false);
+                if (d.state == .done) return self.writeData(stream, "", true);
+            } else if (chunk.len > 0) {
+                try self.writeData(stream, chunk, false);
+            }
+            const n = try platformRead(socket, &buf);
+            if (n == 0) {
+                if (remaining != null) return error.EndOfStream;
+                return self.writeData(stream, "", true);
+            }
+            chunk = buf[0..n];
+        }
+    }
+
+    /// HEADERS, plus CONTINUATION frames for a large block, in one write:
+    /// nothing may come between them.
+    fn writeResponseHeaders(self: *Conn, stream: *Stream, status: u16, fields: []const Field, end_stream: bool) !void {
+        const arena = stream.arena.allocator();
+        var block: std.ArrayList(u8) = .empty;
+        try encodeStatus(&block, arena, status);
+        for (fields) |field| try encodeField(&block, arena, field.name, field.value);
+
+        var frames: std.ArrayList(u8) = .empty;
+        var rest: []const u8 = block.items;
+        var kind = HEADERS;
+        while (true) {
+            const n = @min(rest.len, MAX_FRAME);
+            var flags: u8 = if (n == rest.len) FLAG_END_HEADERS else 0;
+            if (end_stream and kind == HEADERS) flags |= FLAG_END_STREAM;
+            try frames.appendSlice(arena, &frameHeader(kind, flags, stream.id, n));
+            try frames.appendSlice(arena, rest[0..n]);
+            rest = rest[n..];
+            if (rest.len == 0) break;
+            kind = CONTINUATION;
+        }
+
+        self.mutex.lock();
+        const closed = stream.reset or self.closing;
+        self.mutex.unlock();
+        if (closed) return error.StreamClosed;
+        stream.responded = true;
+        try self.session.writeAll(frames.items);
+    }
+
+    /// DATA frames within the connection and stream windows; waits for
+    /// WINDOW_UPDATE when either runs out.
+    fn writeData(self: *Conn, stream: *Stream, data: []const u8, end_stream: bool) !void {
+        if (data.len == 0 and !end_stream) return;
+        var rest = data;
+        while (true) {
+            var n: usize = 0;
+            if (rest.len > 0) {
+                self.mutex.lock();
+                defer self.mutex.unlock();
+                while (!stream.reset and !self.closing and (self.window <= 0 or stream.window <= 0)) {
+                    self.cond.wait(&self.mutex);
+                }
+                if (stream.reset or self.closing) return error.StreamClosed;
+                n = @min(rest.len, MAX_FRAME, @as(usize, @intCast(@min(self.window, stream.window))));
+                self.window -= @intCast(n);
+                stream.window -= @intCast(n);
+            }
+            const last = n == rest.len;
+            try self.writeFrame(DATA, if (last and end_stream) FLAG_END_STREAM else 0, stream.id, rest[0..n]);
+            rest = rest[n..];
+            if (last) return;
+        }
+    }
+
+    // ── Frame I/O ───────────────────────────────────────────────────────────
+
+    fn readExact(self: *Conn, buf: []u8) !void {
+        var got: usize = 0;
+        while (got < buf.len) {
+            const n = try self.session.read(buf[got..]);
+            if (n == 0) return error.EndOfStream;
+            got += n;
+        }
+    }
+
+    fn readFrame(self: *Conn, buf: *[MAX_FRAME]u8) !Frame {
+        var header: [FRAME_HEADER]u8 = undefined;
+        try self.readExact(&header);
+        const len = std.mem.readInt(u24, header[0..3], .big);
+        if (len > MAX_FRAME) return error.FrameSizeError;
+        try self.readExact(buf[0..len]);
+        return .{
+            .kind = header[3],
+            .flags = header[4],
+            .stream_id = @truncate(std.mem.readInt(u32, header[5..9], .big) & MAX_WINDOW),
+            .payload = buf[0..len],
+        };
+    }
+
+    fn writeFrame(self: *Conn, kind: u8, flags: u8, stream_id: u31, payload: []const u8) !void {
+        var buf: [FRAME_HEADER + MAX_FRAME]u8 = undefined;
+        buf[0..FRAME_HEADER].* = frameHeader(kind, flags, stream_id, payload.len);
+        @memcpy(buf[FRAME_HEADER..][0..payload.len], payload);
+        try self.session.writeAll(buf[0 .. FRAME_HEADER + payload.len]);
+    }
+
+    fn writeSettings(self: *Conn) !void {
+        var payload: [6]u8 = undefined;
+        std.mem.writeInt(u16, payload[0..2], SETTINGS_MAX_CONCURRENT_STREAMS, .big);
+        std.mem.writeInt(u32, payload[2..6], MAX_STREAMS, .big);
+        try self.writeFrame(SETTINGS, 0, 0, &payload);
+    }
+
+    fn writeWindowUpdate(self: *Conn, stream_id: u31, increment: usize) !void {
+        var payload: [4]u8 = undefined;
+        std.mem.writeInt(u32, &payload, @intCast(increment), .big);
+        try self.writeFrame(WINDOW_UPDATE, 0, stream_id, &payload);
+    }
+
+    fn writeReset(self: *Conn, stream_id: u31, code: u32) !void {
+        var payload: [4]u8 = undefined;
+        std.mem.writeInt(u32, &payload, code, .big);
+        try self.writeFrame(RST_STREAM, 0, stream_id, &payload);
+    }
+
+    fn goAway(self: *Conn, code: u32) void {
+        var payload: [8]u8 = undefined;
+        std.mem.writeInt(u32, payload[0..4], self.last_stream, .big);
+        std.mem.writeInt(u32, payload[4..8], code, .big);
+        self.writeFrame(GOAWAY, 0, 0, &payload) catch {};
+    }
+};
+
+fn frameHeader(kind: u8, flags: u8, stream_id: u31, len: usize) [FRAME_HEADER]u8 {
+    var header: [FRAME_HEADER]u8 = undefined;
+    std.mem.writeInt(u24, header[0..3], @intCast(len), .big);
+    header[3] = kind;
+    header[4] = flags;
+    std.mem.writeInt(u32, header[5..9], stream_id, .big);
+    return header;
+}
+
+fn stripPadding(frame: Frame) H2Error![]const u8 {
+    if (frame.flags & FLAG_PADDED == 0) return frame.payload;
+    if (frame.payload.len == 0) return error.ProtocolError;
+    const pad = frame.payload[0];
+    if (pad >= frame.payload.len) return error.ProtocolError;
+    return frame.payload[1 .. frame.payload.len - pad];
+}
+
+fn shutdownSocket(socket: std.net.Stream) void {
+    std.posix.shutdown(socket.handle, .both) catch {};
+}
+
+// ── HTTP/1.1 translation ────────────────────────────────────────────────────
+
+fn pseudoHeader(fields: []const Field, name: []const u8) ?[]const u8 {
+    for (fields) |field| {
+        if (std.mem.eql(u8, field.name, name)) return field.value;
+    }
+    return null;
+}
+
+/// The HTTP/1.1 request line and headers for a stream's fields.
+fn requestHead(arena: Allocator, fields: []const Field, body_len: usize) ![]u8 {
+    const method = pseudoHeader(fields, ":method") orelse "GET";
+    var head: std.ArrayList(u8) = .empty;
+    const w = head.writer(arena);
+    try w.print("{s} {s} HTTP/1.1\r\nhost: {s}\r\n", .{
+        method,
+        pseudoHeader(fields, ":path") orelse "/",
+        pseudoHeader(fields, ":authority") orelse "localhost",
+    });
+
+    var cookies = false;
+    for (fields) |field| {
+        if (field.name.len == 0 or field.name[0] == ':') continue;
+        if (std.mem.eql(u8, field.name, "host") or std.mem.eql(u8, field.name, "content-length")) continue;
+        if (std.mem.eql(u8, field.name, "cookie")) {
+            cookies = true;
+            continue;
+        }
+        try w.print("{s}: {s}\r\n", .{ field.name, field.value });
+    }
+    // HTTP/2 may split cookies into several fields (RFC 9113 §8.2.3)
+    if (cookies) {
+        try w.writeAll("cookie: ");
+        var first = true;
+        for (fields) |field| {
+            if (!std.mem.eql(u8, field.name, "cookie")) continue;
+            if (!first) try w.writeAll("; ");
+            try w.writeAll(field.value);
+            first = false;
+        }
+        try w.writeAll("\r\n");
+    }
+    const bodiless = std.mem.eql(u8, method, "GET") or std.mem.eql(u8, method, "HEAD");
+    if (body_len > 0 or !bodiless) try w.print("content-length: {d}\r\n", .{body_len});
+    try w.writeAll("\r\n");
+    return head.items;
+}
+
+const ResponseHead = struct {
+    status: u16,
+    /// Lowercase names, connection-specific headers dropped
+    fields: []const Field,
+    /// Null for a body that runs until the connection closes
+    content_length: ?usize,
+    /// `Transfer-Encoding: chunked`, from a proxied backend (proxy/rules.zig)
+    chunked: bool = false,
+};
+
+fn parseResponseHead(arena: Allocator, head: []const u8) !ResponseHead {
+    var lines = std.mem.splitSequence(u8, head, "\r\n");
+    const status_line = lines.next() orelse return error.BadResponse;
+    if (status_line.len < 12 or !std.mem.startsWith(u8, status_line, "HTTP/1.")) return error.BadResponse;
+    const status = std.fmt.parseInt(u16, status_line[9..12], 10) catch return error.BadResponse;
+
+    var fields: std.ArrayList(Field) = .empty;
+    var content_length: ?usize = null;
+    var chunked = false;
+    while (lines.next()) |line| {
+        const colon = std.mem.indexOfScalar(u8, line, ':') orelse continue;
+        const name = try std.ascii.allocLowerString(arena, std.mem.trim(u8, line[0..colon], " \t"));
+        const value = std.mem.trim(u8, line[colon + 1 ..], " \t");
+        if (std.mem.eql(u8, name, "transfer-encoding")) {
+            chunked = std.ascii.indexOfIgnoreCase(value, "chunked") != null;
+        }
+        if (isConnectionHeader(name)) continue;
+        if (std.mem.eql(u8, name, "content-length")) {
+            content_length = std.fmt.parseInt(usize, value, 10) catch return error.BadResponse;
+        }
+        try fields.append(arena, .{ .name = name, .value = value });
+    }
+    // A length next to chunked encoding is not to be trusted (RFC 9112 §6.3)
+    if (chunked) content_length = null;
+    return .{ .status = status, .fields = fields.items, .content_length = content_length, .chunked = chunked };
+}
+
+/// Incremental `Transfer-Encoding: chunked` decoder. HTTP/2 frames the
+/// body itself, so only the chunk data is forwarded.
+const Dechunker = struct {
+    state: enum { size, extension, size_lf, data, data_cr, data_lf, trailer, done } = .size,
+    /// Chunk size while reading it, then the bytes left in the chunk
+    remaining: usize = 0,
+    /// Length of the current trailer line; an empty one ends the body
+    line_len: usize = 0,
+
+    /// Decode `input` in place and return the data bytes found in it.
+    fn feed(self: *Dechunker, input: []u8) error{BadChunk}![]u8 {
+        var out: usize = 0;
+        var i: usize = 0;
+        while (i < input.len) {
+            const c = input[i];
+            switch (self.state) {
+                .size => {
+                    if (c == ';') {
+                        self.state = .extension;
+                    } else if (c == '\r') {
+                        self.state = .size_lf;
+                    } else {
+                        const digit = std.fmt.charToDigit(c, 16) catch return error.BadChunk;
+                        if (self.remaining > MAX_BODY * 16) return error.BadChunk;
+                        self.remaining = self.remaining * 16 + digit;
+                    }
+                },
+                .extension => {
+                    if (c == '\r') self.state = .size_lf;
+                },
+                .size_lf => {
+                    if (c != '\n') return error.BadChunk;
+                    self.state = if (self.remaining == 0) .trailer else .data;
+                },
+                .data => {
+                    const n = @min(self.remaining, input.len - i);
+                    std.mem.copyForwards(u8, input[out..], input[i..][0..n]);
+                    out += n;
+                    i += n;
+                    self.remaining -= n;
+                    if (self.remaining == 0) self.state = .data_cr;
+                    continue;
+                },
+                .data_cr => {
+                    if (c != '\r') return error.BadChunk;
+                    self.state = .data_lf;
+                },
+                .data_lf => {
+                    if (c != '\n') return error.BadChunk;
+                    self.state = .size;
+                },
+                .trailer => {
+                    if (c == '\n') {
+                        if (self.line_len == 0) self.state = .done;
+                        self.line_len = 0;
+                    } else if (c != '\r') {
+                        self.line_len += 1;
+                    }
+                },
+                .done => break,
+            }
+            i += 1;
+        }
+        return input[0..out];
+    }
+};
+
+/// Headers HTTP/2 forbids (RFC 9113 §8.2.2)
+fn isConnectionHeader(name: []const u8) bool {
+    const forbidden = [_][]const u8{ "connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade" };
+    for (forbidden) |f| {
+        if (std.mem.eql(u8, name, f)) return true;
+    }
+    return false;
+}
+
+// ── HPACK ───────────────────────────────────────────────────────────────────
+
+/// Request header decoder; one per connection, fed every header block in order.
+pub const Decoder = struct {
+    allocator: Allocator,
+    /// Dynamic table, newest first: index 62 is entries[0]
+    entries: std.ArrayList(Entry) = .empty,
+    size: usize = 0,
+    max_size: usize = HEADER_TABLE_SIZE,
+
+    const Entry = struct {
+        /// name ++ value
+        bytes: []u8,
+        name_len: usize,
+
+        fn field(self: Entry) Field {
+            return .{ .name = self.bytes[0..self.name_len], .value = self.bytes[self.name_len..] };
+        }
+    };
+
+    pub fn deinit(self: *Decoder) void {
+        for (self.entries.items) |entry| self.allocator.free(entry.bytes);
+        self.entries.deinit(self.allocator);
+    }
+
+    /// Decode `block` into `out`; names and values are copied into `arena`.
+    pub fn decode(self: *Decoder, arena: Allocator, block: []const u8, out: *std.ArrayList(Field)) HpackError!void {
+        var pos: usize = 0;
+        while (pos < block.len) {
+            const b = block[pos];
+            if (b & 0x80 != 0) {
+                // Indexed field
+                const field = try self.lookup(try decodeInt(block, &pos, 7));
+                try out.append(arena, .{ .name = try arena.dupe(u8, field.name), .value = try arena.dupe(u8, field.value) });
+            } else if (b & 0xc0 == 0x40) {
+                // Literal with incremental indexing
+                const field = try self.decodeLiteral(arena, block, &pos, 6);
+                try self.insert(field);
+                try out.append(arena, field);
+            } else if (b & 0xe0 == 0x20) {
+                // Dynamic table size update
+                const size = try decodeInt(block, &pos, 5);
+                if (size > HEADER_TABLE_SIZE) return error.CompressionError;
+                self.max_size = size;
+                self.evict(size);
+            } else {
+                // Literal without indexing (0000) or never indexed (0001)
+                try out.append(arena, try self.decodeLiteral(arena, block, &pos, 4));
+            }
+        }
+    }
+
+    fn decodeLiteral(self: *const Decoder, arena: Allocator, block: []const u8, pos: *usize, comptime prefix: u4) HpackError!Field {
+        const index = try decodeInt(block, pos, prefix);
+        const name = if (index == 0)
+            try decodeString(arena, block, pos)
+        else
+            try arena.dupe(u8, (try self.lookup(index)).name);
+        return .{ .name = name, .value = try decodeString(arena, block, pos) };
+    }
+
+    fn lookup(self: *const Decoder, index: usize) HpackError!Field {
+        if (index == 0) return error.CompressionError;
+        if (index <= STATIC_TABLE.len) return STATIC_TABLE[index - 1];
+        const i = index - STATIC_TABLE.len - 1;
+        if (i >= self.entries.items.len) return error.CompressionError;
+        return self.entries.items[i].field();
+    }
+
+    fn insert(self: *Decoder, field: Field) HpackError!void {
+        const size = field.name.len + field.value.len + 32;
+        // An entry larger than the table empties it (RFC 7541 §4.4)
+        if (size > self.max_size) {
+            self.evict(0);
+            return;
+        }
+        self.evict(self.max_size - size);
+        const bytes = try self.allocator.alloc(u8, field.name.len + field.value.len);
+        errdefer self.allocator.free(bytes);
+        @memcpy(bytes[0..field.name.len], field.name);
+        @memcpy(bytes[field.name.len..], field.value);
+        try self.entries.insert(self.allocator, 0, .{ .bytes = bytes, .name_len = field.name.len });
+        self.size += size;
+    }
+
+    /// Drop the oldest entries until the table fits in `limit`.
+    fn evict(self: *Decoder, limit: usize) void {
+        while (self.size > limit) {
+            const entry = self.entries.pop() orelse break;
+            self.size -= entry.bytes.len + 32;
+            self.allocator.free(entry.bytes);
+        }
+    }
+};
+
+/// `:status`, indexed when the static table has it.
+pub fn encodeStatus(out: *std.ArrayList(u8), allocator: Allocator, status: u16) !void {
+    const index: ?u8 = switch (status) {
+        200 => 8,
+        204 => 9,
+        206 => 10,
+        304 => 11,
+        400 => 12,
+        404 => 13,
+        500 => 14,
+        else => null,
+    };
+    if (index) |i| return out.append(allocator, 0x80 | i);
+    var digits: [5]u8 = undefined;
+    try out.append(allocator, 0x08); // literal without indexing, name :status
+    try encodeString(out, allocator, std.fmt.bufPrint(&digits, "{d}", .{status}) catch unreachable);
+}
+
+/// A literal field without indexing, new name.
+pub fn encodeField(out: *std.ArrayList(u8), allocator: Allocator, name: []const u8, value: []const u8) !void {
+    try out.append(allocator, 0x00);
+    try encodeString(out, allocator, name);
+    try encodeString(out, allocator, value);
+}
+
+fn encodeString(out: *std.ArrayList(u8), allocator: Allocator, s: []const u8) !void {
+    try encodeInt(out, allocator, s.len, 7, 0); // no Huffman
+    try out.appendSlice(allocator, s);
+}
+
+/// HPACK integer with an N-bit prefix (RFC 7541 §5.1); `first` holds the
+/// representation bits above the prefix.
+fn encodeInt(out: *std.ArrayList(u8), allocator: Allocator, value: usize, comptime prefix: u4, first: u8) !void {
+    const max: usize = (1 << prefix) - 1;
+    if (value < max) return out.append(allocator, first | @as(u8, @intCast(value)));
+    try out.append(allocator, first | @as(u8, max));
+    var rest = value - max;
+    while (rest >= 0x80) : (rest >>= 7) {
+        try out.append(allocator, @as(u8, @truncate(rest)) | 0x80);
+    }
+    try out.append(allocator, @intCast(rest));
+}
+
+fn decodeInt(block: []const u8, pos: *usize, comptime prefix: u4) HpackError!usize {
+    if (pos.* >= block.len) return error.CompressionError;
+    const max: usize = (1 << prefix) - 1;
+    var value: usize = block[pos.*] & max;
+    pos.* += 1;
+    if (value < max) return value;
+
+    var shift: usize = 0;
+    while (pos.* < block.len) {
+        const b = block[pos.*];
+        pos.* += 1;
+        value += @as(usize, b & 0x7f) << @intCast(shift);
+        if (b & 0x80 == 0) return value;
+        shift += 7;
+        if (shift > 28) break;
+    }
+    return error.CompressionError;
+}
+
+fn decodeString(arena: Allocator, block: []const u8, pos: *usize) HpackError![]u8 {
+    if (pos.* >= block.len) return error.CompressionError;
+    const huffman = block[pos.*] & 0x80 != 0;
+    const len = try decodeInt(block, pos, 7);
+    if (block.len - pos.* < len) return error.CompressionError;
+    const raw = block[pos.*..][0..len];
+    pos.* += len;
+    return if (huffman) huffmanDecode(arena, raw) else arena.dupe(u8, raw);
+}
+
+fn huffmanDecode(arena: Allocator, data: []const u8) HpackError![]u8 {
+    var out: std.ArrayList(u8) = .empty;
+    try out.ensureTotalCapacity(arena, data.len * 8 / 5 + 1); // shortest code: 5 bits
+
+    var code: u32 = 0;
+    var len: usize = 0;
+    for (data) |byte| {
+        var bit: u4 = 8;
+        while (bit > 0) {
+            bit -= 1;
+            code = (code << 1) | ((byte >> @intCast(bit)) & 1);
+            len += 1;
+            if (len > 30) return error.CompressionError;
+            // Codes of one length are consecutive; wrapping keeps smaller codes out
+            const rank = code -% HUFFMAN.first_code[len];
+            if (rank < HUFFMAN.count[len]) {
+                const symbol = HUFFMAN.symbols[HUFFMAN.offset[len] + rank];
+                if (symbol == 256) return error.CompressionError; // EOS
+                out.appendAssumeCapacity(@intCast(symbol));
+                code = 0;
+                len = 0;
+            }
+        }
+    }
+    // Padding: fewer than 8 bits, all ones (a prefix of EOS)
+    if (len > 7 or code != (@as(u32, 1) << @intCast(len)) - 1) return error.CompressionError;
+    return out.items;
+}
+
+/// Code length of every symbol in the HPACK Huffman code (RFC 7541
+/// Appendix B), 256 being EOS. The code is canonical — codes of a length
+/// are consecutive, in symbol order — so the lengths determine it.
+const HUFFMAN_LENGTHS = [257]u8{
+    13, 23, 28, 28, 28, 28, 28, 28, 28, 24, 30, 28, 28, 30, 28, 28,
+    28, 28, 28, 28, 28, 28, 30, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    6, 10, 10, 12, 13, 6, 8, 11, 10, 10, 8, 11, 8, 6, 6, 6,
+    5, 5, 5, 6, 6, 6, 6, 6, 6, 6, 7, 8, 15, 6, 12, 10,
+    13, 6, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+    7, 7, 7, 7, 7, 7, 7, 7, 8, 7, 8, 13, 19, 13, 14, 6,
+    15, 5, 6, 5, 6, 5, 6, 6, 6, 5, 7, 7, 6, 6, 6, 5,
+    6, 7, 6, 5, 5, 6, 7, 7, 7, 7, 7, 15, 11, 14, 13, 28,
+    20, 22, 20, 20, 22, 22, 22, 23, 22, 23, 23, 23, 23, 23, 24, 23,
+    24, 24, 22, 23, 24, 23, 23, 23, 23, 21, 22, 23, 22, 23, 23, 24,
+    22, 21, 20, 22, 22, 23, 23, 21, 23, 22, 22, 24, 21, 22, 23, 23,
+    21, 21, 22, 21, 23, 22, 23, 23, 20, 22, 22, 22, 23, 22, 22, 23,
+    26, 26, 20, 19, 22, 23, 22, 25, 26, 26, 26, 27, 27, 26, 24, 25,
+    19, 21, 26, 27, 27, 26, 27, 24, 21, 21, 26, 26, 28, 27, 27, 27,
+    20, 24, 20, 21, 22, 21, 21, 23, 22, 22, 25, 25, 24, 24, 26, 23,
+    26, 27, 26, 26, 27, 27, 27, 27, 27, 28, 27, 27, 27, 27, 27, 26,
+    30,
+};
+
+const Huffman = struct {
+    /// Per code length: first code, number of codes, index of the first
+    /// symbol in `symbols`
+    first_code: [31]u32,
+    count: [31]u32,
+    offset: [31]u32,
+    /// Symbols in code order
+    symbols: [257]u16,
+};
+
+const HUFFMAN: Huffman = blk: {
+    @setEvalBranchQuota(20_000);
+    var h: Huffman = .{ .first_code = @splat(0), .count = @splat(0), .offset = @splat(0), .symbols = undefined };
+    for (HUFFMAN_LENGTHS) |len| h.count[len] += 1;
+    var code: u32 = 0;
+    var index: u32 = 0;
+    for (1..31) |len| {
+        h.first_code[len] = code;
+        h.offset[len] = index;
+        for (HUFFMAN_LENGTHS, 0..) |l, symbol| {
+            if (l != len) continue;
+            h.symbols[index] = symbol;
+            index += 1;
+        }
+        code = (code + h.count[len]) << 1;
+    }
+    break :blk h;
+};
+
+/// RFC 7541 Appendix A
+const STATIC_TABLE = [_]Field{
+    .{ .name = ":authority", .value = "" },
+    .{ .name = ":method", .value = "GET" },
+    .{ .name = ":method", .value = "POST" },
+    .{ .name = ":path", .value = "/" },
+    .{ .name = ":path", .value = "/index.html" },
+    .{ .name = ":scheme", .value = "http" },
+    .{ .name = ":scheme", .value = "https" },
+    .{ .name = ":status", .value = "200" },
+    .{ .name = ":status", .value = "204" },
+    .{ .name = ":status", .value = "206" },
+    .{ .name = ":status", .value = "304" },
+    .{ .name = ":status", .value = "400" },
+    .{ .name = ":status", .value = "404" },
+    .{ .name = ":status", .value = "500" },
+    .{ .name = "accept-charset", .value = "" },
+    .{ .name = "accept-encoding", .value = "gzip, deflate" },
+    .{ .name = "accept-language", .value = "" },
+    .{ .name = "accept-ranges", .value = "" },
+    .{ .name = "accept", .value = "" },
+    .{ .name = "access-control-allow-origin", .value = "" },
+    .{ .name = "age", .value = "" },
+    .{ .name = "allow", .value = "" },
+    .{ .name = "authorization", .value = "" },
+    .{ .name = "cache-control", .value = "" },
+    .{ .name = "content-disposition", .value = "" },
+    .{ .name = "content-encoding", .value = "" },
+    .{ .name = "content-language", .value = "" },
+    .{ .name = "content-length", .value = "" },
+    .{ .name = "content-location", .value = "" },
+    .{ .name = "content-range", .value = "" },
+    .{ .name = "content-type", .value = "" },
+    .{ .name = "cookie", .value = "" },
+    .{ .name = "date", .value = "" },
+    .{ .name = "etag", .value = "" },
+    .{ .name = "expect", .value = "" },
+    .{ .name = "expires", .value = "" },
+    .{ .name = "from", .value = "" },
+    .{ .name = "host", .value = "" },
+    .{ .name = "if-match", .value = "" },
+    .{ .name = "if-modified-since", .value = "" },
+    .{ .name = "if-none-match", .value = "" },
+    .{ .name = "if-range", .value = "" },
+    .{ .name = "if-unmodified-since", .value = "" },
+    .{ .name = "last-modified", .value = "" },
+    .{ .name = "link", .value = "" },
+    .{ .name = "location", .value = "" },
+    .{ .name = "max-forwards", .value = "" },
+    .{ .name = "proxy-authenticate", .value = "" },
+    .{ .name = "proxy-authorization", .value = "" },
+    .{ .name = "range", .value = "" },
+    .{ .name = "referer", .value = "" },
+    .{ .name = "refresh", .value = "" },
+    .{ .name = "retry-after", .value = "" },
+    .{ .name = "server", .value = "" },
+    .{ .name = "set-cookie", .value = "" },
+    .{ .name = "strict-transport-security", .value = "" },
+    .{ .name = "transfer-encoding", .value = "" },
+    .{ .name = "user-agent", .value = "" },
+    .{ .name = "vary", .value = "" },
+    .{ .name = "via", .value = "" },
+    .{ .name = "www-authenticate", .value = "" },
+};
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+fn expectFields(expected: []const Field, actual: []const Field) !void {
+    try std.testing.expectEqual(expected.len, actual.len);
+    for (expected, actual) |e, a| {
+        try std.testing.expectEqualStrings(e.name, a.name);
+        try std.testing.expectEqualStrings(e.value, a.value);
+    }
+}
+
+test "HPACK decodes the RFC 7541 C.4 requests" {
+    var arena_state = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
+    var decoder: Decoder = .{ .allocator = std.testing.allocator };
+    defer decoder.deinit();
+
+    var block: [64]u8 = undefined;
+    var fields: std.ArrayList(Field) = .empty;
+
+    try decoder.decode(arena, try std.fmt.hexToBytes(&block, "828684418cf1e3c2e5f23a6ba0ab90f4ff"), &fields);
+    try expectFields(&.{
+        .{ .name = ":method", .value = "GET" },
+        .{ .name = ":scheme", .value = "http" },
+        .{ .name = ":path", .value = "/" },
+        .{ .name = ":authority", .value = "www.example.com" },
+    }, fields.items);
+    try std.testing.expectEqual(@as(usize, 57), decoder.size);
+
+    fields.clearRetainingCapacity();
+    try decoder.decode(arena, try std.fmt.hexToBytes(&block, "828684be5886a8eb10649cbf"), &fields);
+    try std.testing.expectEqualStrings("www.example.com", fields.items[3].value);
+    try std.testing.expectEqualStrings("no-cache", fields.items[4].value);
+    try std.testing.expectEqual(@as(usize, 110), decoder.size);
+
+    fields.clearRetainingCapacity();
+    try decoder.decode(arena, try std.fmt.hexToBytes(&block, "828785bf408825a849e95ba97d7f8925a849e95bb8e8b4bf"), &fields);
+    try expectFields(&.{
+        .{ .name = ":method", .value = "GET" },
+        .{ .name = ":scheme", .value = "https" },
+        .{ .name = ":path", .value = "/index.html" },
+        .{ .name = ":authority", .value = "www.example.com" },
+        .{ .name = "custom-key", .value = "custom-value" },
+    }, fields.items);
+    try std.testing.expectEqual(@as(usize, 164), decoder.size);
+
+    // A size update evicts down to the new limit
+    try decoder.decode(arena, &.{ 0x3f, 0x19 }, &fields); // 56
+    try std.testing.expectEqual(@as(usize, 54), decoder.size);
+    try std.testing.expectEqual(@as(usize, 1), decoder.entries.items.len);
+}
+
+test "HPACK integers use an N-bit prefix" {
+    const allocator = std.testing.allocator;
+    var out: std.ArrayList(u8) = .empty;
+    defer out.deinit(allocator);
+
+    try encodeInt(&out, allocator, 1337, 5, 0);
+    try std.testing.expectEqualSlices(u8, &.{ 0x1f, 0x9a, 0x0a }, out.items);
+    var pos: usize = 0;
+    try std.testing.expectEqual(@as(usize, 1337), try decodeInt(out.items, &pos, 5));
+    try std.testing.expectEqual(out.items.len, pos);
+
+    // Truncated continuation bytes are an error
+    pos = 0;
+    try std.testing.expectError(error.CompressionError, decodeInt(out.items[0..2], &pos, 5));
+}
+
+test "encoded responses decode back" {
+    var arena_state = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
+
+    var block: std.ArrayList(u8) = .empty;
+    try encodeStatus(&block, arena, 200);
+    try encodeStatus(&block, arena, 302);
+    try encodeField(&block, arena, "content-type", "application/javascript");
+
+    var decoder: Decoder = .{ .allocator = std.testing.allocator };
+    defer decoder.deinit();
+    var fields: std.ArrayList(Field) = .empty;
+    try decoder.decode(arena, block.items, &fields);
+    try expectFields(&.{
+        .{ .name = ":status", .value = "200" },
+        .{ .name = ":status", .value = "302" },
+        .{ .name = "content-type", .value = "application/javascript" },
+    }, fields.items);
+    try std.testing.expectEqual(@as(usize, 0), decoder.size);
+}
+
+test "requests and responses translate to HTTP/1.1" {
+    var arena_state = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena_state.deinit();
+    const arena = arena_state.allocator();
+
+    const head = try requestHead(arena, &.{
+        .{ .name = ":method", .value = "POST" },
+        .{ .name = ":path", .value = "/api/login?next=%2F" },
+        .{ .name = ":authority", .value = "shop.test:3000" },
+        .{ .name = "cookie", .value = "a=1" },
+        .{ .name = "accept", .value = "*/*" },
+        .{ .name = "cookie", .value = "b=2" },
+    }, 11);
+    try std.testing.expectEqualStrings(
+        "POST /api/login?next=%2F HTTP/1.1\r\nhost: shop.test:3000\r\naccept: */*\r\n" ++
+            "cookie: a=1; b=2\r\ncontent-length: 11\r\n\r\n",
+        head,
+    );
+
+    const response = try parseResponseHead(arena, "HTTP/1.1 404 Not Found\r\nContent-Type: text/plain\r\n" ++
+        "Content-Length: 9\r\nConnection: keep-alive\r\n\r\n");
+    try std.testing.expectEqual(@as(u16, 404), response.status);
+    try std.testing.expectEqual(@as(?usize, 9), response.content_length);
+    try expectFields(&.{
+        .{ .name = "content-type", .value = "text/plain" },
+        .{ .name = "content-length", .value = "9" },
+    }, response.fields);
+
+    const events = try parseResponseHead(arena, "HTTP/1.1 200 OK\r\nContent-Type: text/event-stream\r\n\r\n");
+    try std.testing.expectEqual(@as(?usize, null), events.content_length);
+
+    const chunked = try parseResponseHead(arena, "HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n");
+    try std.testing.expect(chunked.chunked);
+    try std.testing.expectEqual(@as(usize, 0), chunked.fields.len);
+}
+
+test "chunked bodies decode across reads" {
+    var d: Dechunker = .{};
+    var first = "5\r\nhel".*;
+    try std.testing.expectEqualStrings("hel", try d.feed(&first));
+    var second = "lo\r\nb;ext=1\r\n world, hi!\r\n0\r\nX-T: 1\r\n\r\n".*;
+    try std.testing.expectEqualStrings("lo world, hi!", try d.feed(&second));
+    try std.testing.expect(d.state == .done);
+
+    var bad: Dechunker = .{};
+    var junk = "zz\r\n".*;
+    try std.testing.expectError(error.BadChunk, bad.feed(&junk));
+}
+
+// ── Interop test ──
+
+/// Stands in for the dev server's internal listener: answers one HTTP/1.1
+/// request and keeps its head.
+const TestBackend = struct {
+    listener: std.net.Server,
+    head: [2048]u8 = undefined,
+    head_len: usize = 0,
+
+    fn serveOnce(self: *TestBackend) void {
+        const conn = self.listener.accept() catch return;
+        defer conn.stream.close();
+        while (self.head_len < self.head.len) {
+            const n = platformRead(conn.stream, self.head[self.head_len..]) catch return;
+            if (n == 0) return;
+            self.head_len += n;
+            if (std.mem.indexOf(u8, self.head[0..self.head_len], "\r\n\r\n") != null) break;
+        }
+        platformWrite(conn.stream, "HTTP/1.1 200 OK\r\nContent-Type: text/plain\r\nContent-Length: 6\r\n\r\nhello\n") catch {};
+    }
+};
+
+/// One HTTPS connection, served as HTTP/2 when ALPN picked it.
+fn serveTlsOnce(listener: *std.net.Server, identity: *const cert_mod.Identity, backend: std.net.Address) void {
+    const conn = listener.accept() catch return;
+    defer conn.stream.close();
+    var session: tls.Connection = .{ .stream = conn.stream };
+    session.handshake(std.testing.allocator, identity, .{}) catch return;
+    defer session.close();
+    if (session.protocol == .h2) serve(std.testing.allocator, &session, backend);
+}
+
+test "curl --http2 gets a response relayed from the HTTP/1.1 backend" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    if (!test_tools.haveTool(&.{ "curl", "--version" })) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+
+    var identity = try cert_mod.selfSigned(allocator, &.{ "localhost", "127.0.0.1" }, std.time.timestamp());
+    defer identity.deinit(allocator);
+    const loopback = try std.net.Address.parseIp("127.0.0.1", 0);
+    var backend: TestBackend = .{ .listener = try loopback.listen(.{ .reuse_address = true }) };
+    defer backend.listener.deinit();
+    var front = try loopback.listen(.{ .reuse_address = true });
+    defer front.deinit();
+
+    const backend_thread = try std.Thread.spawn(.{}, TestBackend.serveOnce, .{&backend});
+    const front_thread = try std.Thread.spawn(.{}, serveTlsOnce, .{ &front, &identity, backend.listener.listen_address });
+
+    var url_buf: [64]u8 = undefined;
+    const url = try std.fmt.bufPrint(&url_buf, "https://127.0.0.1:{d}/hello?x=1", .{front.listen_address.getPort()});
+    const result = try std.process.Child.run(.{
+        .allocator = allocator,
+        .argv = &.{ "curl", "-sk", "--http2", "--max-time", "10", "-H", "X-Test: 1", "-w", "\n%{http_version}", url },
+    });
+    defer allocator.free(result.stdout);
+    defer allocator.free(result.stderr);
+    front_thread.join();
+    // Unblock the backend's accept if the request never reached it
+    if (backend.head_len == 0) {
+        if (std.net.tcpConnectToAddress(backend.listener.listen_address)) |s| s.close() else |_| {}
+    }
+    backend_thread.join();
+
+    try std.testing.expectEqualStrings("hello\n\n2", result.stdout);
+    const head = backend.head[0..backend.head_len];
+    try std.testing.expect(std.mem.startsWith(u8, head, "GET /hello?x=1 HTTP/1.1\r\n"));
+    try std.testing.expect(std.mem.indexOf(u8, head, "\r\nx-test: 1\r\n") != null);
+}
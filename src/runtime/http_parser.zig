@@ -29,7 +29,7 @@ pub const Method = enum(u8) {
     pub fn fromString(str: []const u8) ?Method {
         if (str.len < 3 or str.len > 7) return null;
         return switch (str.len) {
-            3 => if (mem.eql(u8, str, "GET")) .GET else null,
+            3 => if (mem.eql(u8, str, "GET")) .GET else if (mem.eql(u8, str, "PUT")) .PUT else null,
             4 => if (mem.eql(u8, str, "POST")) .POST else if (mem.eql(u8, str, "HEAD")) .HEAD else null,
             5 => if (mem.eql(u8, str, "PATCH")) .PATCH else if (mem.eql(u8, str, "TRACE")) .TRACE else null,
             6 => if (mem.eql(u8, str, "DELETE")) .DELETE else null,
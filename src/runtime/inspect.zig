@@ -0,0 +1,353 @@
+// WU Runtime — Dev-Server Inspector
+//
+// What `wu dev` has been doing. Every request the dev server answers leaves
+// a Record: status, the compile tier that produced the response (native Zig,
+// compiler daemon, node -e fallback), the CompileCache level that served it
+// (memory, disk) and how long it took. The last RING_SIZE are kept, with
+// running totals per scope — each app, the shell, /@modules/ and wu's own
+// endpoints.
+//
+//   /@wu/inspect                    the dashboard (polls the JSON below)
+//   /@wu/inspect.json               recent requests, totals, daemon pool
+//   POST /@wu/inspect/clear-cache   empty the compile cache (.wu-cache/*.dat)
+//
+// Handlers fill in a Trace as they go (dev_server.zig keeps one per thread);
+// the server adds it to the Log once the response is written.
+
+const std = @import("std");
+const compile_mod = @import("compile.zig");
+const cache_mod = @import("cache.zig");
+const config_mod = @import("../config/config.zig");
+
+pub const RING_SIZE = 200;
+
+/// Longer request paths are truncated in the log.
+pub const PATH_MAX = 160;
+
+const SCOPE_MAX = 32;
+const NAME_MAX = 64;
+
+/// How the compile cache took part in a response.
+pub const Cache = enum {
+    memory,
+    disk,
+    /// Looked up, compiled, stored.
+    miss,
+    /// Not a cached kind of response.
+    none,
+};
+
+/// What the handler learned about the request it answered.
+pub const Trace = struct {
+    status: u16 = 0,
+    bytes: usize = 0,
+    tier: compile_mod.Tier = .none,
+    cache: Cache = .none,
+
+    pub fn hit(self: *Trace, level: cache_mod.Level) void {
+        self.cache = switch (level) {
+            .memory => .memory,
+            .disk => .disk,
+        };
+    }
+};
+
+pub const Record = struct {
+    /// Milliseconds since the epoch.
+    time_ms: i64,
+    method: []const u8,
+    path_buf: [PATH_MAX]u8,
+    path_len: usize,
+    /// Index into Log.scopes.
+    scope: usize,
+    trace: Trace,
+    duration_us: u64,
+
+    pub fn path(self: *const Record) []const u8 {
+        return self.path_buf[0..self.path_len];
+    }
+};
+
+/// Running totals for one scope since the server started.
+pub const Totals = struct {
+    name_buf: [NAME_MAX]u8 = undefined,
+    name_len: usize = 0,
+    requests: u64 = 0,
+    /// Status 400 and up.
+    errors: u64 = 0,
+    duration_us: u64 = 0,
+    slowest_us: u64 = 0,
+    /// Compiles per tier (native, daemon, node).
+    native: u64 = 0,
+    daemon: u64 = 0,
+    node: u64 = 0,
+    memory_hits: u64 = 0,
+    disk_hits: u64 = 0,
+    misses: u64 = 0,
+
+    pub fn name(self: *const Totals) []const u8 {
+        return self.name_buf[0..self.name_len];
+    }
+
+    fn add(self: *Totals, trace: Trace, duration_us: u64) void {
+        self.requests += 1;
+        if (trace.status >= 400) self.errors += 1;
+        self.duration_us += duration_us;
+        self.slowest_us = @max(self.slowest_us, duration_us);
+        switch (trace.tier) {
+            .native => self.native += 1,
+            .daemon => self.daemon += 1,
+            .node => self.node += 1,
+            .none => {},
+        }
+        switch (trace.cache) {
+            .memory => self.memory_hits += 1,
+            .disk => self.disk_hits += 1,
+            .miss => self.misses += 1,
+            .none => {},
+        }
+    }
+};
+
+pub const Log = struct {
+    mutex: std.Thread.Mutex = .{},
+    started_ms: i64,
+    ring: [RING_SIZE]Record = undefined,
+    /// Records ever added; the newest is ring[(count - 1) % RING_SIZE].
+    count: u64 = 0,
+    scopes: [SCOPE_MAX]Totals = undefined,
+    scope_count: usize = 0,
+
+    pub fn init() Log {
+        return .{ .started_ms = std.time.milliTimestamp() };
+    }
+
+    /// Log one answered request. `scope` is copied.
+    pub fn add(self: *Log, method: []const u8, path: []const u8, scope: []const u8, trace: Trace, duration_us: u64) void {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        const scope_index = self.scopeIndex(scope);
+        if (scope_index < self.scope_count) self.scopes[scope_index].add(trace, duration_us);
+
+        const rec = &self.ring[self.count % RING_SIZE];
+        const len = @min(path.len, PATH_MAX);
+        rec.* = .{
+            .time_ms = std.time.milliTimestamp(),
+            .method = method,
+            .path_buf = undefined,
+            .path_len = len,
+            .scope = scope_index,
+            .trace = trace,
+            .duration_us = duration_us,
+        };
+        @memcpy(rec.path_buf[0..len], path[0..len]);
+        self.count += 1;
+    }
+
+    /// Index of `name` in scopes, added if new. SCOPE_MAX when full.
+    fn scopeIndex(self: *Log, name: []const u8) usize {
+        for (self.scopes[0..self.scope_count], 0..) |*s, i| {
+            if (std.mem.eql(u8, s.name(), name)) return i;
+        }
+        if (self.scope_count == SCOPE_MAX) return SCOPE_MAX;
+        const s = &self.scopes[self.scope_count];
+        s.* = .{};
+        s.name_len = @min(name.len, NAME_MAX);
+        @memcpy(s.name_buf[0..s.name_len], name[0..s.name_len]);
+        self.scope_count += 1;
+        return self.scope_count - 1;
+    }
+
+    /// The inspector's JSON: totals per scope, the daemon pool and the
+    /// recent requests, newest first.
+    pub fn writeJson(self: *Log, w: anytype, pool: compile_mod.PoolStatus) !void {
+        self.mutex.lock();
+        defer self.mutex.unlock();
+
+        try w.print("{{\n  \"uptime_ms\": {d},\n  \"requests\": {d},\n", .{
+            std.time.milliTimestamp() - self.started_ms, self.count,
+        });
+
+        try w.print("  \"daemon\": {{\"size\":{d},\"started\":{d},\"workers\":[", .{ pool.size, pool.started });
+        for (pool.slots(), 0..) |worker, i| {
+            try w.print("{s}{{\"active\":{},\"alive\":{},\"in_flight\":{d},\"completed\":{d}}}", .{
+                if (i > 0) "," else "", worker.active, worker.alive, worker.in_flight, worker.completed,
+            });
+        }
+        try w.writeAll("]},\n  \"scopes\": [");
+
+        for (self.scopes[0..self.scope_count], 0..) |*s, i| {
+            try w.writeAll(if (i > 0) ",\n    {\"name\":" else "\n    {\"name\":");
+            try config_mod.writeJsonString(w, s.name());
+            try w.print(
+                \\,"requests":{d},"errors":{d},"duration_us":{d},"slowest_us":{d},"compiles":{{"native":{d},"daemon":{d},"node":{d}}},"cache":{{"memory":{d},"disk":{d},"miss":{d}}}}}
+            , .{
+                s.requests, s.errors,      s.duration_us, s.slowest_us,
+                s.native,   s.daemon,      s.node,        s.memory_hits,
+                s.disk_hits, s.misses,
+            });
+        }
+        try w.writeAll("\n  ],\n  \"recent\": [");
+
+        const kept: usize = @intCast(@min(self.count, RING_SIZE));
+        for (0..kept) |i| {
+            const rec = &self.ring[(self.count - 1 - i) % RING_SIZE];
+            try w.print("{s}\n    {{\"time\":{d},\"method\":\"{s}\",\"path\":", .{ if (i > 0) "," else "", rec.time_ms, rec.method });
+            try config_mod.writeJsonString(w, rec.path());
+            try w.writeAll(",\"scope\":");
+            try config_mod.writeJsonString(w, if (rec.scope < self.scope_count) self.scopes[rec.scope].name() else "");
+            try w.print(",\"status\":{d},\"bytes\":{d},\"duration_us\":{d},\"tier\":", .{
+                rec.trace.status, rec.trace.bytes, rec.duration_us,
+            });
+            if (rec.trace.tier == .none) try w.writeAll("null") else try w.print("\"{s}\"", .{@tagName(rec.trace.tier)});
+            try w.writeAll(",\"cache\":");
+            if (rec.trace.cache == .none) try w.writeAll("null") else try w.print("\"{s}\"", .{@tagName(rec.trace.cache)});
+            try w.writeAll("}");
+        }
+        try w.writeAll("\n  ]\n}\n");
+    }
+};
+
+/// The dashboard. Everything comes from /@wu/inspect.json, refreshed every
+/// second while the tab is visible.
+pub const page_html =
+    \\<!DOCTYPE html>
+    \\<html lang="en">
+    \\<head>
+    \\<meta charset="utf-8">
+    \\<title>wu inspect</title>
+    \\<style>
+    \\  body { font: 13px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; margin: 0; padding: 1.5rem 2rem; background: #0f0f14; color: #d4d4d8; }
+    \\  h1 { font-size: 16px; margin: 0 0 .25rem; color: #fff; }
+    \\  h2 { font-size: 13px; margin: 1.75rem 0 .5rem; color: #a78bfa; text-transform: uppercase; letter-spacing: .05em; }
+    \\  .meta { color: #71717a; }
+    \\  table { border-collapse: collapse; width: 100%; }
+    \\  th, td { text-align: left; padding: .2rem .75rem .2rem 0; white-space: nowrap; }
+    \\  th { color: #71717a; font-weight: normal; border-bottom: 1px solid #27272a; }
+    \\  td.path { white-space: normal; word-break: break-all; }
+    \\  .num { text-align: right; }
+    \\  .ok { color: #4ade80; } .warn { color: #facc15; } .err { color: #f87171; } .dim { color: #52525b; }
+    \\  .tag { padding: 0 .4rem; border-radius: 3px; background: #27272a; }
+    \\  .native { color: #4ade80; } .daemon { color: #60a5fa; } .node { color: #f87171; }
+    \\  .memory { color: #4ade80; } .disk { color: #60a5fa; } .miss { color: #facc15; }
+    \\  button, input { font: inherit; background: #27272a; color: #d4d4d8; border: 1px solid #3f3f46; border-radius: 4px; padding: .2rem .6rem; }
+    \\  button:hover { border-color: #a78bfa; cursor: pointer; }
+    \\  .bar { display: flex; gap: .75rem; align-items: center; margin-top: .75rem; }
+    \\</style>
+    \\</head>
+    \\<body>
+    \\<h1>wu inspect</h1>
+    \\<div class="meta" id="meta">connecting…</div>
+    \\<div class="bar">
+    \\  <button id="pause">pause</button>
+    \\  <button id="clear">clear .wu-cache</button>
+    \\  <input id="filter" placeholder="filter path or app" size="30">
+    \\  <span class="meta" id="notice"></span>
+    \\</div>
+    \\<h2>Compiler daemon</h2>
+    \\<div id="daemon"></div>
+    \\<h2>Per app</h2>
+    \\<table id="scopes"></table>
+    \\<h2>Recent requests</h2>
+    \\<table id="recent"></table>
+    \\<script>
+    \\(function() {
+    \\  var paused = false, last = null;
+    \\  var $ = function(id) { return document.getElementById(id); };
+    \\  function esc(s) { return String(s).replace(/[&<>"]/g, function(c) { return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]; }); }
+    \\  function ms(us) { return us >= 10000 ? (us / 1000).toFixed(0) + ' ms' : (us / 1000).toFixed(1) + ' ms'; }
+    \\  function kb(b) { return b >= 1024 ? (b / 1024).toFixed(1) + ' KB' : b + ' B'; }
+    \\  function tag(v) { return v ? '<span class="tag ' + v + '">' + v + '</span>' : '<span class="dim">–</span>'; }
+    \\  function status(s) { return '<span class="' + (s >= 500 ? 'err' : s >= 400 ? 'warn' : 'ok') + '">' + (s || '–') + '</span>'; }
+    \\
+    \\  function render(d) {
+    \\    last = d;
+    \\    $('meta').textContent = d.requests + ' request(s) in ' + Math.round(d.uptime_ms / 1000) + 's';
+    \\
+    \\    var pool = d.daemon;
+    \\    if (pool.size === 0) {
+    \\      $('daemon').innerHTML = '<span class="dim">not started (no file has needed it yet)</span>';
+    \\    } else {
+    \\      var alive = pool.workers.filter(function(w) { return w.alive; }).length;
+    \\      var restarts = Math.max(0, pool.started - pool.workers.filter(function(w) { return w.active; }).length);
+    \\      $('daemon').innerHTML = '<span class="' + (alive ? 'ok' : 'err') + '">' + alive + '/' + pool.size + ' worker(s) alive</span>' +
+    \\        (restarts ? ' <span class="warn">' + restarts + ' restart(s)</span>' : '') + ' ' +
+    \\        pool.workers.map(function(w, i) {
+    \\          return '<span class="tag">#' + (i + 1) + ' ' + (w.active ? (w.alive ? 'up' : 'down') : 'idle') +
+    \\            ', ' + w.completed + ' done' + (w.in_flight ? ', ' + w.in_flight + ' in flight' : '') + '</span>';
+    \\        }).join(' ');
+    \\    }
+    \\
+    \\    var rows = '<tr><th>scope</th><th class="num">requests</th><th class="num">errors</th><th class="num">avg</th><th class="num">slowest</th>' +
+    \\      '<th class="num">native</th><th class="num">daemon</th><th class="num">node -e</th><th class="num">memory</th><th class="num">disk</th><th class="num">miss</th></tr>';
+    \\    d.scopes.forEach(function(s) {
+    \\      rows += '<tr><td>' + esc(s.name) + '</td><td class="num">' + s.requests + '</td><td class="num ' + (s.errors ? 'err' : 'dim') + '">' + s.errors + '</td>' +
+    \\        '<td class="num">' + ms(s.requests ? s.duration_us / s.requests : 0) + '</td><td class="num">' + ms(s.slowest_us) + '</td>' +
+    \\        '<td class="num native">' + s.compiles.native + '</td><td class="num daemon">' + s.compiles.daemon + '</td><td class="num node">' + s.compiles.node + '</td>' +
+    \\        '<td class="num memory">' + s.cache.memory + '</td><td class="num disk">' + s.cache.disk + '</td><td class="num miss">' + s.cache.miss + '</td></tr>';
+    \\    });
+    \\    $('scopes').innerHTML = rows;
+    \\
+    \\    var q = $('filter').value.toLowerCase();
+    \\    rows = '<tr><th>time</th><th>method</th><th>path</th><th>scope</th><th>status</th><th>tier</th><th>cache</th><th class="num">size</th><th class="num">duration</th></tr>';
+    \\    d.recent.forEach(function(r) {
+    \\      if (q && r.path.toLowerCase().indexOf(q) < 0 && r.scope.toLowerCase().indexOf(q) < 0) return;
+    \\      rows += '<tr><td class="dim">' + new Date(r.time).toLocaleTimeString() + '</td><td>' + r.method + '</td><td class="path">' + esc(r.path) + '</td>' +
+    \\        '<td>' + esc(r.scope) + '</td><td>' + status(r.status) + '</td><td>' + tag(r.tier) + '</td><td>' + tag(r.cache) + '</td>' +
+    \\        '<td class="num">' + kb(r.bytes) + '</td><td class="num">' + ms(r.duration_us) + '</td></tr>';
+    \\    });
+    \\    $('recent').innerHTML = rows;
+    \\  }
+    \\
+    \\  function poll() {
+    \\    if (paused || document.hidden) return;
+    \\    fetch('/@wu/inspect.json', { cache: 'no-store' }).then(function(r) { return r.json(); }).then(render)
+    \\      .catch(function() { $('meta').textContent = 'dev server not reachable'; });
+    \\  }
+    \\
+    \\  $('pause').onclick = function() { paused = !paused; this.textContent = paused ? 'resume' : 'pause'; poll(); };
+    \\  $('filter').oninput = function() { if (last) render(last); };
+    \\  $('clear').onclick = function() {
+    \\    fetch('/@wu/inspect/clear-cache', { method: 'POST' }).then(function(r) { return r.json(); }).then(function(d) {
+    \\      $('notice').textContent = 'cleared ' + d.cleared + ' cache entr' + (d.cleared === 1 ? 'y' : 'ies');
+    \\    });
+    \\  };
+    \\  poll();
+    \\  setInterval(poll, 1000);
+    \\})();
+    \\</script>
+    \\</body>
+    \\</html>
+    \\
+;
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "log keeps the newest records and totals per scope" {
+    var log = Log.init();
+    for (0..RING_SIZE + 5) |i| {
+        const trace: Trace = .{
+            .status = if (i == 0) 500 else 200,
+            .tier = if (i % 2 == 0) .daemon else .none,
+            .cache = if (i % 2 == 0) .miss else .memory,
+        };
+        log.add("GET", if (i == RING_SIZE + 4) "/apps/cart/src/App.vue" else "/apps/cart/x.js", if (i < 3) "shell" else "cart", trace, 10);
+    }
+    try std.testing.expectEqual(@as(usize, 2), log.scope_count);
+    try std.testing.expectEqualStrings("shell", log.scopes[0].name());
+    try std.testing.expectEqual(@as(u64, 3), log.scopes[0].requests);
+    try std.testing.expectEqual(@as(u64, 1), log.scopes[0].errors);
+    try std.testing.expectEqual(@as(u64, RING_SIZE + 2), log.scopes[1].requests);
+
+    var buf: std.ArrayList(u8) = .empty;
+    defer buf.deinit(std.testing.allocator);
+    try log.writeJson(buf.writer(std.testing.allocator), .{ .workers = undefined, .size = 0, .started = 0 });
+
+    // Newest first, oldest dropped
+    const recent = std.mem.indexOf(u8, buf.items, "\"recent\"").?;
+    const first = std.mem.indexOfPos(u8, buf.items, recent, "\"path\":").?;
+    try std.testing.expect(std.mem.startsWith(u8, buf.items[first..], "\"path\":\"/apps/cart/src/App.vue\",\"scope\":\"cart\""));
+    try std.testing.expectEqual(@as(usize, RING_SIZE), std.mem.count(u8, buf.items[recent..], "\"method\":\"GET\""));
+    try std.testing.expect(std.mem.indexOf(u8, buf.items, "\"compiles\":{\"native\":0,\"daemon\":2,\"node\":0}") != null);
+}
@@ -12,7 +12,7 @@
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
-const transform = @import("transform.zig");
+const ts_strip = @import("ts_strip.zig");
 
 // ── Public API ──────────────────────────────────────────────────────────────
 
@@ -27,7 +27,7 @@ pub fn compileJsxNative(
 ) ![]const u8 {
     // Step 1: Strip TypeScript syntax if .tsx
     const stripped = if (is_tsx)
-        try transform.stripTypeScript(allocator, source)
+        try ts_strip.strip(allocator, source, .{ .jsx = true })
     else
         source;
     defer if (is_tsx) allocator.free(stripped);
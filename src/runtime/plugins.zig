@@ -0,0 +1,208 @@
+// WU Runtime — Dev-Server Plugins
+//
+// Plugins extend wu dev without forking it: MDX, GraphQL or YAML imports,
+// virtual modules, mock API routes. They are JavaScript modules listed under
+// "plugins" in wu.config.json (or a wu.plugins.js at the project root) and
+// run inside the first compiler daemon worker, with Vite-style hooks:
+//
+//   resolveId(id, importer)   claim a bare or virtual specifier
+//   load(id)                  return a module's source
+//   transform(code, id)       rewrite a module before wu compiles it
+//   configureServer(server)   server.middlewares.use(route, (req, res, next) => …)
+//
+// The dev server asks them over the daemon protocol (compile.pluginRequest):
+// for /@id/ paths, /@modules/ specifiers, files with extensions wu does not
+// serve itself, and requests under a middleware route. A hook no plugin
+// implements never costs a round trip.
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const compile_mod = @import("compile.zig");
+
+const CompileError = compile_mod.CompileError;
+const Diagnostic = compile_mod.Diagnostic;
+
+/// Loaded when wu.config.json lists no plugins.
+pub const DEFAULT_FILE = "wu.plugins.js";
+pub const DEFAULT_MODULES: []const []const u8 = &.{DEFAULT_FILE};
+
+/// URL prefix for modules only plugins know about: /@id/virtual:routes
+pub const ID_PREFIX = "/@id/";
+
+/// A middleware's answer.
+pub const Response = struct {
+    status: u16,
+    /// "name: value" lines, lowercase names
+    headers: []const u8,
+    body: []const u8,
+    /// Backing memory of `headers` and `body`
+    raw: compile_mod.Compiled,
+
+    pub fn deinit(self: Response, allocator: Allocator) void {
+        self.raw.deinit(allocator);
+    }
+};
+
+pub const Plugins = struct {
+    allocator: Allocator,
+    /// plugin-init reply; names and routes point into it
+    info: []const u8,
+    names: []const []const u8,
+    routes: []const []const u8,
+    has_resolve_id: bool = false,
+    has_load: bool = false,
+    has_transform: bool = false,
+
+    /// Load `modules` in the daemon and run their configureServer hooks.
+    /// Null when they define no plugins. Errors thrown while loading come
+    /// back as CompileError.Diagnosed with `diag` filled in.
+    pub fn start(allocator: Allocator, modules: []const []const u8, diag: *Diagnostic) CompileError!?Plugins {
+        if (modules.len == 0) return null;
+        compile_mod.setPluginModules(modules);
+
+        const reply = compile_mod.pluginRequest(allocator, "plugin-init", "", "", "", "", diag) catch |err| switch (err) {
+            CompileError.CompileFailed => return null,
+            else => return err,
+        };
+        allocator.free(reply.map);
+        allocator.free(reply.css);
+        errdefer allocator.free(reply.code);
+
+        var names: std.ArrayList([]const u8) = .empty;
+        errdefer names.deinit(allocator);
+        var routes: std.ArrayList([]const u8) = .empty;
+        errdefer routes.deinit(allocator);
+        var self: Plugins = .{
+            .allocator = allocator,
+            .info = reply.code,
+            .names = &.{},
+            .routes = &.{},
+        };
+
+        var lines = std.mem.splitScalar(u8, reply.code, '\n');
+        while (lines.next()) |line| {
+            const tab = std.mem.indexOfScalar(u8, line, '\t') orelse continue;
+            const kind = line[0..tab];
+            const value = line[tab + 1 ..];
+            if (std.mem.eql(u8, kind, "name")) {
+                try names.append(allocator, value);
+            } else if (std.mem.eql(u8, kind, "route")) {
+                try routes.append(allocator, value);
+            } else if (std.mem.eql(u8, kind, "hook")) {
+                if (std.mem.eql(u8, value, "resolveId")) self.has_resolve_id = true;
+                if (std.mem.eql(u8, value, "load")) self.has_load = true;
+                if (std.mem.eql(u8, value, "transform")) self.has_transform = true;
+            }
+        }
+        if (names.items.len == 0) {
+            allocator.free(reply.code);
+            names.deinit(allocator);
+            routes.deinit(allocator);
+            return null;
+        }
+        self.names = try names.toOwnedSlice(allocator);
+        errdefer allocator.free(self.names);
+        self.routes = try routes.toOwnedSlice(allocator);
+        return self;
+    }
+
+    pub fn deinit(self: *Plugins) void {
+        self.allocator.free(self.names);
+        self.allocator.free(self.routes);
+        self.allocator.free(self.info);
+    }
+
+    /// The id a plugin resolved `id` to, allocator-owned. Null when no plugin
+    /// claims it.
+    pub fn resolveId(self: *const Plugins, allocator: Allocator, id: []const u8, importer: []const u8, diag: *Diagnostic) CompileError!?[]const u8 {
+        if (!self.has_resolve_id) return null;
+        const reply = try handled(compile_mod.pluginRequest(allocator, "plugin-resolve", id, "", importer, "", diag)) orelse return null;
+        allocator.free(reply.map);
+        allocator.free(reply.css);
+        return reply.code;
+    }
+
+    /// A module's source from a plugin's load hook (JavaScript, or whatever
+    /// the transform hooks turn into JavaScript). Null when no plugin loads it.
+    pub fn load(self: *const Plugins, allocator: Allocator, id: []const u8, diag: *Diagnostic) CompileError!?compile_mod.Compiled {
+        if (!self.has_load) return null;
+        return handled(compile_mod.pluginRequest(allocator, "plugin-load", id, "", "", "", diag));
+    }
+
+    /// `code` after every transform hook. Null when none changed it.
+    pub fn transform(self: *const Plugins, allocator: Allocator, code: []const u8, id: []const u8, diag: *Diagnostic) CompileError!?compile_mod.Compiled {
+        if (!self.has_transform) return null;
+        return handled(compile_mod.pluginRequest(allocator, "plugin-transform", id, "", "", code, diag));
+    }
+
+    /// Whether a middleware is mounted on `path` (no query string).
+    pub fn matchesRoute(self: *const Plugins, path: []const u8) bool {
+        for (self.routes) |route| {
+            if (routeMatches(route, path)) return true;
+        }
+        return false;
+    }
+
+    /// Run the middlewares for one request. `headers` are "name: value"
+    /// lines. Null when every middleware called next().
+    pub fn serve(
+        self: *const Plugins,
+        allocator: Allocator,
+        method: []const u8,
+        url: []const u8,
+        headers: []const u8,
+        body: []const u8,
+        diag: *Diagnostic,
+    ) CompileError!?Response {
+        if (self.routes.len == 0) return null;
+
+        var payload: std.ArrayList(u8) = .empty;
+        defer payload.deinit(allocator);
+        try payload.ensureTotalCapacity(allocator, headers.len + body.len + 1);
+        payload.appendSliceAssumeCapacity(headers);
+        payload.appendAssumeCapacity('\n');
+        payload.appendSliceAssumeCapacity(body);
+
+        const reply = try handled(compile_mod.pluginRequest(allocator, "plugin-serve", method, url, "", payload.items, diag)) orelse return null;
+        const line_end = std.mem.indexOfScalar(u8, reply.code, '\n') orelse reply.code.len;
+        return .{
+            .status = std.fmt.parseInt(u16, reply.code[0..line_end], 10) catch 200,
+            .headers = if (line_end < reply.code.len) reply.code[line_end + 1 ..] else "",
+            .body = reply.map,
+            .raw = reply,
+        };
+    }
+};
+
+/// An unhandled request comes back as CompileFailed (empty reply, or no
+/// daemon at all): map it to null and keep real diagnostics.
+fn handled(result: CompileError!compile_mod.Compiled) CompileError!?compile_mod.Compiled {
+    return result catch |err| switch (err) {
+        CompileError.Diagnosed, CompileError.OutOfMemory => return err,
+        else => return null,
+    };
+}
+
+/// Connect-style mount: "/api" covers "/api" and "/api/…", "/" everything.
+pub fn routeMatches(route: []const u8, path: []const u8) bool {
+    if (route.len == 0 or std.mem.eql(u8, route, "/")) return true;
+    const prefix = std.mem.trimRight(u8, route, "/");
+    if (!std.mem.startsWith(u8, path, prefix)) return false;
+    return path.len == prefix.len or path[prefix.len] == '/';
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "routeMatches mounts like connect" {
+    try std.testing.expect(routeMatches("/api", "/api"));
+    try std.testing.expect(routeMatches("/api", "/api/users"));
+    try std.testing.expect(routeMatches("/api/", "/api/users"));
+    try std.testing.expect(!routeMatches("/api", "/apiary"));
+    try std.testing.expect(routeMatches("/", "/anything"));
+}
+
+test "start without modules loads nothing" {
+    var diag: Diagnostic = .{};
+    defer diag.deinit(std.testing.allocator);
+    try std.testing.expect((try Plugins.start(std.testing.allocator, &.{}, &diag)) == null);
+}
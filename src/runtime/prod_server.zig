@@ -0,0 +1,770 @@
+// WU Runtime — Production Server
+//
+// Serves `wu build` output with the same one-port layout as `wu dev`:
+//   /@wu/apps.json       → app list with production entries
+//   /@wu/importmap.json  → dist/importmap.json (also inlined into HTML pages)
+//   /@wu/shared/*        → dist/shared/* (shared singletons, see shared.zig)
+//   /<app.dir>/*         → <app.dir>/dist/*
+//   /*                   → <shell>/dist/* (SPA fallback to index.html)
+//
+// Static only — no transforms, no watcher. Reuses the dev server's HTTP
+// plumbing (SIMD parser, platform I/O) and adds what a real deployment wants:
+// pre-compressed .br/.gz siblings, ETags and immutable caching for hashed assets.
+// wu.config.json "headers" apply as in dev (headers.zig), CSP nonces included.
+
+const std = @import("std");
+const builtin = @import("builtin");
+const Allocator = std.mem.Allocator;
+const mime_mod = @import("mime.zig");
+const http_parser = @import("http_parser.zig");
+const dev_server = @import("dev_server.zig");
+const shared_mod = @import("shared.zig");
+const headers_mod = @import("headers.zig");
+const ansi = @import("../util/ansi.zig");
+const signals = @import("../util/signals.zig");
+
+const AppEntry = dev_server.AppEntry;
+const Config = dev_server.Config;
+const DevServer = dev_server.DevServer;
+const platformRead = dev_server.platformRead;
+const platformWrite = dev_server.platformWrite;
+
+// ── Server ──────────────────────────────────────────────────────────────────
+
+var g_server: ?*ProdServer = null;
+
+/// Files are streamed to the socket in chunks of this size.
+const CHUNK_SIZE = 64 * 1024;
+
+/// Configured headers for the request this thread is answering.
+threadlocal var tl_policy: headers_mod.Policy = .{};
+
+pub const ProdServer = struct {
+    config: Config,
+    allocator: Allocator,
+    running: std.atomic.Value(bool),
+
+    pub fn init(allocator: Allocator, config: Config) ProdServer {
+        return .{
+            .config = config,
+            .allocator = allocator,
+            .running = std.atomic.Value(bool).init(false),
+        };
+    }
+
+    /// Start the production server. Blocks until shutdown.
+    pub fn run(self: *ProdServer) !void {
+        const address = try std.net.Address.parseIp(self.config.host, self.config.port);
+        var listener = try address.listen(.{
+            .reuse_address = true,
+        });
+        defer listener.deinit();
+
+        self.running.store(true, .release);
+
+        g_server = self;
+        signals.install(shutdownSignal);
+
+        self.printStartup();
+
+        while (self.running.load(.acquire)) {
+            const conn = listener.accept() catch {
+                if (!self.running.load(.acquire)) break;
+                continue;
+            };
+
+            const thread = std.Thread.spawn(.{}, connectionThread, .{ self, conn }) catch {
+                conn.stream.close();
+                continue;
+            };
+            thread.detach();
+        }
+
+        std.debug.print("\n  {s}Server stopped.{s}\n\n", .{ ansi.dim, ansi.reset });
+    }
+
+    pub fn shutdown(self: *ProdServer) void {
+        self.running.store(false, .release);
+    }
+
+    fn printStartup(self: *ProdServer) void {
+        std.debug.print("\n", .{});
+        std.debug.print("  {s}WU Production Server{s}  {s}(serving dist/){s}\n", .{
+            ansi.bold, ansi.reset, ansi.dim, ansi.reset,
+        });
+        std.debug.print("  {s}>{s}  http://{s}:{d}/\n\n", .{
+            ansi.green, ansi.reset, self.config.host, self.config.port,
+        });
+
+        if (self.config.shell_dir.len > 0) {
+            const c = ansi.frameworkColor(self.config.shell_framework);
+            std.debug.print("  {s}*{s} {s}shell{s}          {s}{s:<10}{s}  /{s}\n", .{
+                c,         ansi.reset,
+                ansi.bold, ansi.reset,
+                ansi.dim,  self.config.shell_framework,
+                ansi.reset, distNote(self.config.shell_dir),
+            });
+        }
+
+        var missing: usize = 0;
+        for (self.config.apps) |app| {
+            const c = ansi.frameworkColor(app.framework);
+            const note = distNote(app.dir);
+            if (note.len > 0) missing += 1;
+            std.debug.print("  {s}*{s} {s}{s:<14}{s} {s}{s:<10}{s}  /{s}/{s}\n", .{
+                c,         ansi.reset,
+                ansi.bold, app.name,
+                ansi.reset, ansi.dim,
+                app.framework, ansi.reset,
+                app.dir,   note,
+            });
+        }
+
+        std.debug.print("\n  {s}{d} micro-app(s) on one port  |  Ctrl+C to stop{s}\n", .{
+            ansi.dim, self.config.apps.len, ansi.reset,
+        });
+        if (missing > 0) {
+            std.debug.print("  {s}[warn]{s} {d} app(s) have no dist/ — run {s}wu build{s} first\n", .{
+                ansi.yellow, ansi.reset, missing, ansi.cyan, ansi.reset,
+            });
+        }
+        std.debug.print("\n", .{});
+    }
+
+    /// "  (no dist/)" when `dir/dist` is missing, "" otherwise.
+    fn distNote(dir: []const u8) []const u8 {
+        var buf: [1024]u8 = undefined;
+        const dist = std.fmt.bufPrint(&buf, "{s}/dist", .{dir}) catch return "";
+        std.fs.cwd().access(dist, .{}) catch return "  (no dist/)";
+        return "";
+    }
+
+    // ── Connection handling ─────────────────────────────────────────────────
+
+    fn connectionThread(self: *ProdServer, conn: std.net.Server.Connection) void {
+        defer conn.stream.close();
+        while (self.running.load(.acquire)) {
+            self.handleRequest(conn.stream) catch break;
+        }
+    }
+
+    fn handleRequest(self: *ProdServer, stream: std.net.Stream) !void {
+        var recv_buf: [16384]u8 = undefined;
+        const n = try platformRead(stream, &recv_buf);
+        if (n == 0) return error.EndOfStream;
+
+        const req = http_parser.HttpParser.parse(recv_buf[0..n]) catch {
+            sendText(stream, 400, "Bad Request", false) catch {};
+            return;
+        };
+
+        if (req.method != .GET and req.method != .HEAD) {
+            return sendText(stream, 405, "Method Not Allowed", false);
+        }
+        const head_only = req.method == .HEAD;
+
+        var decoded_buf: [4096]u8 = undefined;
+        const path = dev_server.urlDecode(req.path, &decoded_buf);
+
+        var nonce_buf: [headers_mod.NONCE_LEN]u8 = undefined;
+        tl_policy = headers_mod.policy(self.config.headers, self.appHeaders(path), &nonce_buf);
+        defer tl_policy = .{};
+
+        if (std.mem.indexOf(u8, path, "..") != null) {
+            return sendText(stream, 403, "Forbidden", head_only);
+        }
+
+        self.routeRequest(stream, &req, path, head_only) catch {
+            sendText(stream, 500, "Internal Server Error", head_only) catch {};
+        };
+    }
+
+    /// The headers of the app `path` is under, if any.
+    fn appHeaders(self: *ProdServer, path: []const u8) []const headers_mod.Header {
+        const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
+        for (self.config.apps) |app| {
+            if (std.mem.startsWith(u8, relative, app.dir) and
+                (relative.len == app.dir.len or relative[app.dir.len] == '/'))
+            {
+                return app.headers;
+            }
+        }
+        return &.{};
+    }
+
+    fn routeRequest(self: *ProdServer, stream: std.net.Stream, req: *const http_parser.Request, path: []const u8, head_only: bool) !void {
+        // 1. App list with production entries
+        if (std.mem.eql(u8, path, "/@wu/apps.json")) {
+            var body: std.ArrayList(u8) = .empty;
+            defer body.deinit(self.allocator);
+            try self.writeAppsJson(body.writer(self.allocator));
+            return sendBody(stream, req, "application/json; charset=utf-8", body.items, head_only);
+        }
+
+        // 2. Shared singletons and their import map, built once for all apps
+        if (std.mem.eql(u8, path, "/@wu/importmap.json")) {
+            const map = self.readImportMap() orelse return sendText(stream, 404, "Not Found", head_only);
+            defer self.allocator.free(map);
+            return sendBody(stream, req, "application/importmap+json; charset=utf-8", map, head_only);
+        }
+        if (std.mem.startsWith(u8, path, shared_mod.URL_PREFIX)) {
+            const root = shared_mod.DIST_DIR ++ "/" ++ shared_mod.SHARED_DIR;
+            return self.serveStatic(stream, req, root, path[shared_mod.URL_PREFIX.len..], false, head_only);
+        }
+
+        const relative = if (path.len > 0 and path[0] == '/') path[1..] else path;
+
+        // 3. App prefix → <app.dir>/dist/
+        for (self.config.apps) |app| {
+            if (std.mem.startsWith(u8, relative, app.dir) and
+                (relative.len == app.dir.len or relative[app.dir.len] == '/'))
+            {
+                // /<dir> → /<dir>/ so relative URLs in the app's index.html resolve
+                if (relative.len == app.dir.len) return sendRedirect(stream, path);
+                var root_buf: [1024]u8 = undefined;
+                const root = try std.fmt.bufPrint(&root_buf, "{s}/dist", .{app.dir});
+                return self.serveStatic(stream, req, root, relative[app.dir.len + 1 ..], false, head_only);
+            }
+        }
+
+        // 4. Shell → <shell>/dist/
+        if (self.config.shell_dir.len > 0) {
+            var root_buf: [1024]u8 = undefined;
+            const root = try std.fmt.bufPrint(&root_buf, "{s}/dist", .{self.config.shell_dir});
+            return self.serveStatic(stream, req, root, relative, true, head_only);
+        }
+
+        return sendText(stream, 404, "Not Found", head_only);
+    }
+
+    // ── Static files ────────────────────────────────────────────────────────
+
+    /// Serve `root/relative`. Directories resolve to their index.html and
+    /// extension-less misses fall back to `root/index.html` (client-side routing).
+    fn serveStatic(
+        self: *ProdServer,
+        stream: std.net.Stream,
+        req: *const http_parser.Request,
+        root: []const u8,
+        relative: []const u8,
+        is_shell: bool,
+        head_only: bool,
+    ) !void {
+        const cwd = std.fs.cwd();
+        var path_buf: [2048]u8 = undefined;
+
+        var trimmed = relative;
+        while (trimmed.len > 0 and trimmed[trimmed.len - 1] == '/') trimmed = trimmed[0 .. trimmed.len - 1];
+        var path = if (trimmed.len == 0)
+            try std.fmt.bufPrint(&path_buf, "{s}/index.html", .{root})
+        else
+            try std.fmt.bufPrint(&path_buf, "{s}/{s}", .{ root, trimmed });
+
+        const stat = cwd.statFile(path) catch null;
+        if (stat != null and stat.?.kind == .directory) {
+            path = try std.fmt.bufPrint(&path_buf, "{s}/{s}/index.html", .{ root, trimmed });
+        } else if (stat == null) {
+            const has_ext = std.fs.path.extension(trimmed).len > 0;
+            if (has_ext) return sendText(stream, 404, "Not Found", head_only);
+            path = try std.fmt.bufPrint(&path_buf, "{s}/index.html", .{root});
+        }
+
+        const ext = std.fs.path.extension(path);
+        const is_html = std.mem.eql(u8, ext, ".html") or std.mem.eql(u8, ext, ".htm");
+        if (is_shell and is_html) {
+            return self.serveShellHtml(stream, req, path, head_only);
+        }
+        if (is_html) {
+            const map = self.readImportMap();
+            defer if (map) |m| self.allocator.free(m);
+            if (map != null or tl_policy.nonce.len > 0) {
+                return self.serveHtml(stream, req, path, map, head_only);
+            }
+        }
+        return serveFile(stream, req, path, head_only);
+    }
+
+    /// Shell HTML gets `window.__wu_apps` injected, like in dev, so the shell's
+    /// main.js mounts the production entries without an extra fetch.
+    fn serveShellHtml(self: *ProdServer, stream: std.net.Stream, req: *const http_parser.Request, path: []const u8, head_only: bool) !void {
+        const html = std.fs.cwd().readFileAlloc(self.allocator, path, 8 * 1024 * 1024) catch {
+            return sendText(stream, 404, "Not Found", head_only);
+        };
+        defer self.allocator.free(html);
+
+        var out: std.ArrayList(u8) = .empty;
+        defer out.deinit(self.allocator);
+        const anchor = std.mem.indexOf(u8, html, "</head>") orelse
+            std.mem.indexOf(u8, html, "<script") orelse html.len;
+        try out.appendSlice(self.allocator, html[0..anchor]);
+        const w = out.writer(self.allocator);
+        try w.writeAll("\n<script>window.__wu_apps=");
+        try self.writeAppsJson(w);
+        try w.writeAll(";</script>\n");
+        try out.appendSlice(self.allocator, html[anchor..]);
+
+        const map = self.readImportMap();
+        defer if (map) |m| self.allocator.free(m);
+        return self.sendHtml(stream, req, out.items, map, head_only);
+    }
+
+    /// App HTML opened directly (/<app.dir>/) needs the import map too,
+    /// or its bare imports of shared singletons would not resolve.
+    fn serveHtml(self: *ProdServer, stream: std.net.Stream, req: *const http_parser.Request, path: []const u8, map: ?[]const u8, head_only: bool) !void {
+        const html = std.fs.cwd().readFileAlloc(self.allocator, path, 8 * 1024 * 1024) catch {
+            return sendText(stream, 404, "Not Found", head_only);
+        };
+        defer self.allocator.free(html);
+        return self.sendHtml(stream, req, html, map, head_only);
+    }
+
+    /// Send a page with the import map inlined and, when the CSP asks for
+    /// one, this response's nonce on its tags.
+    fn sendHtml(self: *ProdServer, stream: std.net.Stream, req: *const http_parser.Request, html: []const u8, map: ?[]const u8, head_only: bool) !void {
+        const with_map = if (map) |m| try shared_mod.injectImportMap(self.allocator, html, m) else html;
+        defer if (with_map.ptr != html.ptr) self.allocator.free(with_map);
+        const with_nonce = if (tl_policy.nonce.len > 0) try headers_mod.stampNonce(self.allocator, with_map, tl_policy.nonce) else with_map;
+        defer if (with_nonce.ptr != with_map.ptr) self.allocator.free(with_nonce);
+        return sendBody(stream, req, mime_mod.forExtension(".html"), with_nonce, head_only);
+    }
+
+    /// dist/importmap.json as written by `wu build`, allocator-owned; null
+    /// when nothing is shared. Read per request so a rebuild is picked up.
+    fn readImportMap(self: *ProdServer) ?[]const u8 {
+        const path = shared_mod.DIST_DIR ++ "/" ++ shared_mod.IMPORT_MAP_FILE;
+        return std.fs.cwd().readFileAlloc(self.allocator, path, 1024 * 1024) catch null;
+    }
+
+    // ── Apps JSON ───────────────────────────────────────────────────────────
+
+    /// Same shape as the dev server's list, plus `entry` (the built module to
+    /// import) and `css` (stylesheets emitted for it). Read on every request so
+    /// a rebuild is picked up without restarting.
+    fn writeAppsJson(self: *ProdServer, w: anytype) !void {
+        try w.writeAll("[");
+        for (self.config.apps, 0..) |app, i| {
+            if (i > 0) try w.writeAll(",");
+            try w.print(
+                \\{{"name":"{s}","dir":"{s}","framework":"{s}","color":"{s}","ext":"{s}"
+            , .{ app.name, app.dir, app.framework, DevServer.fwColor(app.framework), DevServer.mainExt(app.framework) });
+            self.writeEntry(w, app) catch {};
+            try w.writeAll("}");
+        }
+        try w.writeAll("]");
+    }
+
+    /// Find the app's production entry: Vite's manifest when present
+    /// (`build.manifest: true`), otherwise the module script and stylesheets
+    /// referenced by dist/index.html.
+    fn writeEntry(self: *ProdServer, w: anytype, app: AppEntry) !void {
+        const cwd = std.fs.cwd();
+        var path_buf: [1024]u8 = undefined;
+
+        const manifest_paths = [_][]const u8{ "dist/.vite/manifest.json", "dist/manifest.json" };
+        for (manifest_paths) |mp| {
+            const path = try std.fmt.bufPrint(&path_buf, "{s}/{s}", .{ app.dir, mp });
+            const data = cwd.readFileAlloc(self.allocator, path, 4 * 1024 * 1024) catch continue;
+            defer self.allocator.free(data);
+
+            const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, data, .{}) catch continue;
+            defer parsed.deinit();
+            if (parsed.value != .object) continue;
+
+            var it = parsed.value.object.iterator();
+            while (it.next()) |kv| {
+                const chunk = kv.value_ptr.*;
+                if (chunk != .object) continue;
+                const is_entry = chunk.object.get("isEntry") orelse continue;
+                if (is_entry != .bool or !is_entry.bool) continue;
+                const file = chunk.object.get("file") orelse continue;
+                if (file != .string) continue;
+
+                try w.writeAll(",\"entry\":");
+                try writeAssetUrl(w, app.dir, file.string);
+                try w.writeAll(",\"css\":[");
+                if (chunk.object.get("css")) |css| {
+                    if (css == .array) {
+                        var first = true;
+                        for (css.array.items) |item| {
+                            if (item != .string) continue;
+                            if (!first) try w.writeAll(",");
+                            first = false;
+                            try writeAssetUrl(w, app.dir, item.string);
+                        }
+                    }
+                }
+                try w.writeAll("]");
+                return;
+            }
+        }
+
+        const index_path = try std.fmt.bufPrint(&path_buf, "{s}/dist/index.html", .{app.dir});
+        const html = cwd.readFileAlloc(self.allocator, index_path, 1024 * 1024) catch return;
+        defer self.allocator.free(html);
+
+        const entry = findTagAttr(html, "<script", "type=\"module\"", "src") orelse return;
+        try w.writeAll(",\"entry\":");
+        try writeAssetUrl(w, app.dir, entry);
+        try w.writeAll(",\"css\":[");
+        var pos: usize = 0;
+        var first = true;
+        while (std.mem.indexOfPos(u8, html, pos, "<link")) |start| {
+            const end = std.mem.indexOfScalarPos(u8, html, start, '>') orelse break;
+            pos = end;
+            const tag = html[start..end];
+            if (std.mem.indexOf(u8, tag, "rel=\"stylesheet\"") == null) continue;
+            const href = attrValue(tag, "href") orelse continue;
+            if (!first) try w.writeAll(",");
+            first = false;
+            try writeAssetUrl(w, app.dir, href);
+        }
+        try w.writeAll("]");
+    }
+};
+
+// ── File responses ──────────────────────────────────────────────────────────
+
+/// Send a generated body (apps.json, shell HTML) with a content-hash ETag.
+fn sendBody(stream: std.net.Stream, req: *const http_parser.Request, content_type: []const u8, body: []const u8, head_only: bool) !void {
+    var etag_buf: [32]u8 = undefined;
+    const etag = std.fmt.bufPrint(&etag_buf, "\"{x}\"", .{std.hash.Wyhash.hash(0, body)}) catch unreachable;
+    if (notModified(req, etag)) return sendNotModified(stream, etag);
+
+    try sendHeaders(stream, .{
+        .status = 200,
+        .content_type = content_type,
+        .content_length = body.len,
+        .etag = etag,
+        .cache_control = "no-cache",
+    });
+    if (!head_only and body.len > 0) try platformWrite(stream, body);
+}
+
+/// Stream a file from disk, preferring a pre-compressed `.br`/`.gz` sibling
+/// the client accepts. ETags come from size + mtime so nothing is read or
+/// hashed on a 304.
+fn serveFile(stream: std.net.Stream, req: *const http_parser.Request, path: []const u8, head_only: bool) !void {
+    const cwd = std.fs.cwd();
+    const accept = req.getHeader("Accept-Encoding") orelse "";
+    const compressible = isCompressible(std.fs.path.extension(path));
+
+    const Variant = struct { suffix: []const u8, coding: []const u8 };
+    const variants = [_]Variant{
+        .{ .suffix = ".br", .coding = "br" },
+        .{ .suffix = ".gz", .coding = "gzip" },
+    };
+
+    var file: ?std.fs.File = null;
+    var encoding: []const u8 = "";
+    if (compressible) {
+        var variant_buf: [2048]u8 = undefined;
+        for (variants) |v| {
+            if (!acceptsEncoding(accept, v.coding)) continue;
+            const variant_path = std.fmt.bufPrint(&variant_buf, "{s}{s}", .{ path, v.suffix }) catch continue;
+            file = cwd.openFile(variant_path, .{}) catch continue;
+            encoding = v.coding;
+            break;
+        }
+    }
+    if (file == null) {
+        file = cwd.openFile(path, .{}) catch return sendText(stream, 404, "Not Found", head_only);
+    }
+    const f = file.?;
+    defer f.close();
+
+    const stat = try f.stat();
+    var etag_buf: [64]u8 = undefined;
+    const etag = try std.fmt.bufPrint(&etag_buf, "\"{x}-{x}{s}{s}\"", .{
+        stat.size,
+        @as(u64, @truncate(@as(u128, @bitCast(stat.mtime)))),
+        if (encoding.len > 0) "-" else "",
+        encoding,
+    });
+
+    const cache_control = if (isHashedAsset(std.fs.path.basename(path)))
+        "public, max-age=31536000, immutable"
+    else
+        "no-cache";
+
+    if (notModified(req, etag)) return sendNotModified(stream, etag);
+
+    try sendHeaders(stream, .{
+        .status = 200,
+        .content_type = mime_mod.forExtension(std.fs.path.extension(path)),
+        .content_length = stat.size,
+        .etag = etag,
+        .cache_control = cache_control,
+        .content_encoding = encoding,
+        .vary_encoding = compressible,
+    });
+    if (head_only) return;
+
+    var chunk: [CHUNK_SIZE]u8 = undefined;
+    while (true) {
+        const n = try f.read(&chunk);
+        if (n == 0) break;
+        try platformWrite(stream, chunk[0..n]);
+    }
+}
+
+/// Text-like formats worth shipping pre-compressed.
+fn isCompressible(ext: []const u8) bool {
+    const types = [_][]const u8{ ".js", ".mjs", ".css", ".html", ".htm", ".json", ".svg", ".map", ".txt", ".xml", ".wasm" };
+    for (types) |t| {
+        if (std.mem.eql(u8, ext, t)) return true;
+    }
+    return false;
+}
+
+/// True if `coding` is listed in Accept-Encoding without `q=0`, or not
+/// listed and covered by a `*` without one.
+fn acceptsEncoding(accept: []const u8, coding: []const u8) bool {
+    var wildcard = false;
+    var it = std.mem.splitScalar(u8, accept, ',');
+    while (it.next()) |item| {
+        var params = std.mem.splitScalar(u8, item, ';');
+        const name = std.mem.trim(u8, params.first(), " \t");
+        var q: f32 = 1;
+        while (params.next()) |param| {
+            const p = std.mem.trim(u8, param, " \t");
+            if (!std.mem.startsWith(u8, p, "q=")) continue;
+            q = std.fmt.parseFloat(f32, p[2..]) catch 1;
+        }
+        if (std.ascii.eqlIgnoreCase(name, coding)) return q > 0;
+        if (std.mem.eql(u8, name, "*")) wildcard = q > 0;
+    }
+    return wildcard;
+}
+
+/// Bundler output names carry a content hash: `index-BxK3a9Zq.js`,
+/// `chunk.3f9a2c1e.css`. The last `-`/`.` segment of the stem must be at
+/// least 8 hash characters with a digit in it, so PascalCase names like
+/// `app-Dashboard.js` are not cached forever. A hash that happens to have no
+/// digit only costs a revalidation.
+fn isHashedAsset(name: []const u8) bool {
+    const ext = std.fs.path.extension(name);
+    const stem = name[0 .. name.len - ext.len];
+    const sep = std.mem.lastIndexOfAny(u8, stem, "-.") orelse return false;
+    const hash = stem[sep + 1 ..];
+    if (hash.len < 8) return false;
+
+    var digits = false;
+    for (hash) |c| {
+        if (std.ascii.isDigit(c)) {
+            digits = true;
+        } else if (!std.ascii.isAlphabetic(c) and c != '_') {
+            return false;
+        }
+    }
+    return digits;
+}
+
+fn notModified(req: *const http_parser.Request, etag: []const u8) bool {
+    const inm = req.getHeader("If-None-Match") orelse return false;
+    if (std.mem.eql(u8, std.mem.trim(u8, inm, " \t"), "*")) return true;
+    return std.mem.indexOf(u8, inm, etag) != null;
+}
+
+// ── Asset URLs ──────────────────────────────────────────────────────────────
+
+/// Write `file` (relative to the app's dist/) as a quoted URL under `/<dir>/`.
+/// Absolute paths from a `base: '/<dir>/'` build are kept as-is.
+fn writeAssetUrl(w: anytype, dir: []const u8, file: []const u8) !void {
+    var rel = file;
+    if (std.mem.startsWith(u8, rel, "./")) rel = rel[2..];
+    if (rel.len > 0 and rel[0] == '/') {
+        rel = rel[1..];
+        if (std.mem.startsWith(u8, rel, dir) and rel.len > dir.len and rel[dir.len] == '/') {
+            return w.print("\"/{s}\"", .{rel});
+        }
+    }
+    try w.print("\"/{s}/{s}\"", .{ dir, rel });
+}
+
+/// Value of `attr` on the first `tag` containing `marker`.
+pub fn findTagAttr(html: []const u8, tag: []const u8, marker: []const u8, attr: []const u8) ?[]const u8 {
+    var pos: usize = 0;
+    while (std.mem.indexOfPos(u8, html, pos, tag)) |start| {
+        const end = std.mem.indexOfScalarPos(u8, html, start, '>') orelse return null;
+        pos = end;
+        const t = html[start..end];
+        if (std.mem.indexOf(u8, t, marker) == null) continue;
+        if (attrValue(t, attr)) |v| return v;
+    }
+    return null;
+}
+
+/// Double-quoted attribute value inside a tag.
+fn attrValue(tag: []const u8, attr: []const u8) ?[]const u8 {
+    var pos: usize = 0;
+    while (std.mem.indexOfPos(u8, tag, pos, attr)) |i| {
+        pos = i + attr.len;
+        if (i > 0 and tag[i - 1] != ' ' and tag[i - 1] != '\n' and tag[i - 1] != '\t') continue;
+        if (pos + 1 >= tag.len or tag[pos] != '=' or tag[pos + 1] != '"') continue;
+        const start = pos + 2;
+        const end = std.mem.indexOfScalarPos(u8, tag, start, '"') orelse return null;
+        return tag[start..end];
+    }
+    return null;
+}
+
+// ── HTTP Helpers ────────────────────────────────────────────────────────────
+
+const Headers = struct {
+    status: u16,
+    content_type: []const u8,
+    content_length: u64,
+    etag: []const u8 = "",
+    cache_control: []const u8 = "no-store",
+    content_encoding: []const u8 = "",
+    vary_encoding: bool = false,
+};
+
+fn sendHeaders(stream: std.net.Stream, h: Headers) !void {
+    var buf: [8192]u8 = undefined;
+    var w: std.Io.Writer = .fixed(&buf);
+    w.print("HTTP/1.1 {d} {s}\r\nContent-Type: {s}\r\nContent-Length: {d}\r\n", .{
+        h.status, DevServer.statusPhrase(h.status), h.content_type, h.content_length,
+    }) catch return error.Overflow;
+    if (h.etag.len > 0) w.print("ETag: {s}\r\n", .{h.etag}) catch return error.Overflow;
+    if (h.content_encoding.len > 0) w.print("Content-Encoding: {s}\r\n", .{h.content_encoding}) catch return error.Overflow;
+    if (h.vary_encoding) w.writeAll("Vary: Accept-Encoding\r\n") catch return error.Overflow;
+    tl_policy.write(&w, &.{.{ .name = "Cache-Control", .value = h.cache_control }}) catch return error.Overflow;
+    w.writeAll("Connection: keep-alive\r\n\r\n") catch return error.Overflow;
+    try platformWrite(stream, w.buffered());
+}
+
+fn sendNotModified(stream: std.net.Stream, etag: []const u8) !void {
+    var buf: [256]u8 = undefined;
+    const resp = std.fmt.bufPrint(&buf, "HTTP/1.1 304 Not Modified\r\nETag: {s}\r\nConnection: keep-alive\r\n\r\n", .{etag}) catch return error.Overflow;
+    try platformWrite(stream, resp);
+}
+
+fn sendRedirect(stream: std.net.Stream, path: []const u8) !void {
+    var buf: [4200]u8 = undefined;
+    const resp = std.fmt.bufPrint(&buf, "HTTP/1.1 301 Moved Permanently\r\nLocation: {s}/\r\nContent-Length: 0\r\nConnection: keep-alive\r\n\r\n", .{path}) catch return error.Overflow;
+    try platformWrite(stream, resp);
+}
+
+fn sendText(stream: std.net.Stream, status: u16, body: []const u8, head_only: bool) !void {
+    try sendHeaders(stream, .{
+        .status = status,
+        .content_type = "text/plain; charset=utf-8",
+        .content_length = body.len,
+    });
+    if (!head_only) try platformWrite(stream, body);
+}
+
+// ── Signal handler ──────────────────────────────────────────────────────────
+
+fn shutdownSignal() void {
+    if (g_server) |server| {
+        server.shutdown();
+        std.process.exit(0);
+    }
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "isHashedAsset wants a hash segment with a digit" {
+    try std.testing.expect(isHashedAsset("index-BxK3a9Zq.js"));
+    try std.testing.expect(isHashedAsset("chunk.3f9a2c1e.css"));
+    try std.testing.expect(isHashedAsset("main-0a1b2c3d.js"));
+    try std.testing.expect(isHashedAsset("vendor-a_B9cDeF.js"));
+
+    // PascalCase names are not hashes
+    try std.testing.expect(!isHashedAsset("app-Dashboard.js"));
+    try std.testing.expect(!isHashedAsset("vendor-ReactDom.js"));
+    try std.testing.expect(!isHashedAsset("page-UserList.css"));
+    try std.testing.expect(!isHashedAsset("index.html"));
+    try std.testing.expect(!isHashedAsset("main-3f9a2c.js"));
+    try std.testing.expect(!isHashedAsset("logo-3f9a2c1e!.svg"));
+}
+
+test "acceptsEncoding honours q=0 and the wildcard" {
+    try std.testing.expect(acceptsEncoding("gzip, deflate, br", "br"));
+    try std.testing.expect(acceptsEncoding("GZIP;q=0.5", "gzip"));
+    try std.testing.expect(!acceptsEncoding("gzip, br;q=0", "br"));
+    try std.testing.expect(!acceptsEncoding("br;q=0.000", "br"));
+    try std.testing.expect(!acceptsEncoding("", "gzip"));
+
+    try std.testing.expect(acceptsEncoding("*", "br"));
+    try std.testing.expect(acceptsEncoding("identity, *;q=0.1", "gzip"));
+    try std.testing.expect(!acceptsEncoding("*;q=0", "gzip"));
+    // An explicit entry wins over the wildcard, either way
+    try std.testing.expect(!acceptsEncoding("*, br;q=0", "br"));
+    try std.testing.expect(acceptsEncoding("br, *;q=0", "br"));
+}
+
+test "writeAssetUrl puts dist files under the app's prefix" {
+    var buf: [256]u8 = undefined;
+    const cases = [_]struct { file: []const u8, expected: []const u8 }{
+        .{ .file = "assets/index-BxK3a9Zq.js", .expected = "\"/mf-cart/assets/index-BxK3a9Zq.js\"" },
+        .{ .file = "./assets/app.css", .expected = "\"/mf-cart/assets/app.css\"" },
+        // Built with base: '/mf-cart/'
+        .{ .file = "/mf-cart/assets/index.js", .expected = "\"/mf-cart/assets/index.js\"" },
+        .{ .file = "/assets/index.js", .expected = "\"/mf-cart/assets/index.js\"" },
+        .{ .file = "/mf-cartx/index.js", .expected = "\"/mf-cart/mf-cartx/index.js\"" },
+    };
+    for (cases) |case| {
+        var w: std.Io.Writer = .fixed(&buf);
+        try writeAssetUrl(&w, "mf-cart", case.file);
+        try std.testing.expectEqualStrings(case.expected, w.buffered());
+    }
+}
+
+test "findTagAttr reads the entry script of a built index.html" {
+    const html =
+        \\<!doctype html>
+        \\<head>
+        \\  <script src="/legacy.js"></script>
+        \\  <script type="module" crossorigin data-src="x" src="/assets/index-BxK3a9Zq.js"></script>
+        \\  <link rel="modulepreload" href="/assets/vendor-3f9a2c1e.js">
+        \\  <link rel="stylesheet" crossorigin href="/assets/index-0a1b2c3d.css">
+        \\</head>
+    ;
+    try std.testing.expectEqualStrings(
+        "/assets/index-BxK3a9Zq.js",
+        findTagAttr(html, "<script", "type=\"module\"", "src").?,
+    );
+    try std.testing.expectEqualStrings(
+        "/assets/index-0a1b2c3d.css",
+        findTagAttr(html, "<link", "rel=\"stylesheet\"", "href").?,
+    );
+    try std.testing.expect(findTagAttr(html, "<script", "type=\"importmap\"", "src") == null);
+    try std.testing.expect(findTagAttr("<script type=\"module\"", "<script", "type=\"module\"", "src") == null);
+}
+
+test "serveFile sends an ETag and answers it with 304" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+
+    var tmp = std.testing.tmpDir(.{});
+    defer tmp.cleanup();
+    try tmp.dir.writeFile(.{ .sub_path = "app-3f9a2c1e.js", .data = "export default 1;\n" });
+    var path_buf: [128]u8 = undefined;
+    const path = try std.fmt.bufPrint(&path_buf, ".zig-cache/tmp/{s}/app-3f9a2c1e.js", .{tmp.sub_path});
+
+    const fds = try std.posix.pipe();
+    defer std.posix.close(fds[0]);
+    defer std.posix.close(fds[1]);
+    const stream: std.net.Stream = .{ .handle = fds[1] };
+    var resp_buf: [4096]u8 = undefined;
+
+    const first = try http_parser.HttpParser.parse("GET /app-3f9a2c1e.js HTTP/1.1\r\nHost: x\r\n\r\n");
+    try serveFile(stream, &first, path, false);
+    const n = try std.posix.read(fds[0], &resp_buf);
+    const resp = resp_buf[0..n];
+    try std.testing.expect(std.mem.startsWith(u8, resp, "HTTP/1.1 200 "));
+    try std.testing.expect(std.mem.indexOf(u8, resp, "Cache-Control: public, max-age=31536000, immutable\r\n") != null);
+    try std.testing.expect(std.mem.endsWith(u8, resp, "\r\n\r\nexport default 1;\n"));
+
+    const etag_at = (std.mem.indexOf(u8, resp, "ETag: ") orelse return error.TestUnexpectedResult) + "ETag: ".len;
+    const etag_end = std.mem.indexOfPos(u8, resp, etag_at, "\r\n").?;
+    var req_buf: [256]u8 = undefined;
+    const again = try std.fmt.bufPrint(&req_buf, "GET /app-3f9a2c1e.js HTTP/1.1\r\nHost: x\r\nIf-None-Match: {s}\r\n\r\n", .{resp[etag_at..etag_end]});
+    const second = try http_parser.HttpParser.parse(again);
+    try serveFile(stream, &second, path, false);
+    const m = try std.posix.read(fds[0], &resp_buf);
+    try std.testing.expect(std.mem.startsWith(u8, resp_buf[0..m], "HTTP/1.1 304 Not Modified\r\n"));
+    try std.testing.expect(std.mem.endsWith(u8, resp_buf[0..m], "\r\n\r\n"));
+}
@@ -4,12 +4,15 @@
 // Inspired by Node.js resolution algorithm and Parcel 2's resolver.
 //
 // The core insight: module resolution is a tree search problem.
-// Package name extraction is lexical. Exports maps are priority queues.
-// File probing is directory traversal. None of this needs a bundler.
+// Package name extraction is lexical. Exports maps are ordered condition
+// trees. File probing is directory traversal. None of this needs a bundler.
 //
 // Given "vue" or "@angular/core" or "wu-framework/adapters/vanilla",
-// walk node_modules directories, parse package.json exports/module/main,
-// and return the file path on disk. No subprocess. No JavaScript runtime.
+// walk node_modules directories (each search dir, then its parents),
+// parse package.json exports/module/main, and return the file path on
+// disk, symlinks resolved. Workspace packages are found through
+// pnpm-workspace.yaml or package.json "workspaces" when nothing links
+// them yet. No subprocess. No JavaScript runtime.
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
@@ -34,94 +37,177 @@ pub const ResolveError = error{
     OutOfMemory,
 };
 
+
 // ── Public API ──────────────────────────────────────────────────────────────
 
+pub const Options = struct {
+    /// Conditions matched besides import, module, browser and default
+    /// (wu.config.json "conditions", e.g. "development"). As in Node, the
+    /// first active key in the package's own order wins.
+    conditions: []const []const u8 = &.{},
+    /// /@modules/ URLs double as file paths: a package's own relative
+    /// imports come back as "pkg/dist/chunk.js". When set, subpaths that
+    /// "exports" does not list still resolve to their files, and excluded
+    /// ones do when they name a file exactly. Off, resolution is Node's.
+    file_subpaths: bool = false,
+};
+
+/// Resolve a bare npm specifier to a file on disk with the default options.
+pub fn resolveModule(
+    allocator: Allocator,
+    specifier: []const u8,
+    search_dirs: []const []const u8,
+) ResolveError!?ResolvedModule {
+    return resolveModuleWith(allocator, specifier, search_dirs, .{});
+}
+
 /// Resolve a bare npm specifier to a file on disk.
 ///
 /// `specifier`   — e.g. "react", "@angular/core", "wu-framework/adapters/vanilla"
-/// `search_dirs` — directories to probe for node_modules/ (e.g. app dirs, shell dir, ".")
+/// `search_dirs` — directories to probe for node_modules/ (e.g. app dirs, shell dir, "."),
+///                 then their parents (see searchPath)
 ///
-/// Returns an allocator-owned ResolvedModule (caller must free both slices),
-/// or null if the package cannot be found.
-pub fn resolveModule(
+/// Symlinks are resolved (pnpm's store, workspace links), so a package has
+/// one path however it is reached. Paths stay relative to the working
+/// directory. Returns an allocator-owned ResolvedModule (caller must free
+/// both slices), or null if the package cannot be found.
+pub fn resolveModuleWith(
     allocator: Allocator,
     specifier: []const u8,
     search_dirs: []const []const u8,
+    options: Options,
 ) ResolveError!?ResolvedModule {
     if (specifier.len == 0) return null;
 
+    var scratch = std.heap.ArenaAllocator.init(allocator);
+    defer scratch.deinit();
+    const a = scratch.allocator();
+
     const pkg_name = extractPackageName(specifier);
     const subpath = extractSubpath(specifier, pkg_name);
 
     // Walk search directories looking for node_modules/{pkg_name}/package.json
-    for (search_dirs) |dir| {
-        var pkg_dir_buf: [1024]u8 = undefined;
-        const pkg_dir = std.fmt.bufPrint(&pkg_dir_buf, "{s}/node_modules/{s}", .{ dir, pkg_name }) catch
-            return ResolveError.PathTooLong;
-
-        // Check that package.json exists and read it
-        const pkg_json_content = readPackageJson(allocator, pkg_dir) orelse continue;
-        defer allocator.free(pkg_json_content);
-
-        // Detect ESM from "type" field
-        const type_is_module = detectTypeModule(pkg_json_content);
-
-        // Try to resolve the entry point
-        if (resolveEntryPoint(allocator, pkg_dir, pkg_json_content, subpath)) |entry| {
-            const is_esm = type_is_module or entry.resolved_via_esm;
-            const full_path = entry.path;
-
-            // Verify the resolved file actually exists on disk
-            if (!fileExists(full_path)) {
-                allocator.free(full_path);
-                allocator.free(entry.owned_pkg_dir);
-                continue;
-            }
-
-            return ResolvedModule{
-                .file_path = full_path,
-                .package_dir = entry.owned_pkg_dir,
-                .is_esm = is_esm,
-            };
-        }
+    for (try searchPath(a, search_dirs)) |dir| {
+        const pkg_dir = try std.fmt.allocPrint(a, "{s}/node_modules/{s}", .{ dir, pkg_name });
+        if (try resolveInPackage(allocator, a, pkg_dir, subpath, options)) |resolved| return resolved;
     }
 
-    // Second pass: workspace resolution — try {dir}/{pkg_name}/package.json directly
-    // (without the node_modules segment). This allows search_dirs like "../.."
-    // to find workspace packages such as ../../wu-framework/package.json.
-    for (search_dirs) |dir| {
-        var pkg_dir_buf: [1024]u8 = undefined;
-        const pkg_dir = std.fmt.bufPrint(&pkg_dir_buf, "{s}/{s}", .{ dir, pkg_name }) catch
-            return ResolveError.PathTooLong;
+    // Workspace packages that no node_modules links to (yet)
+    if (try workspacePackage(a, pkg_name)) |pkg_dir| {
+        return resolveInPackage(allocator, a, pkg_dir, subpath, options);
+    }
+    return null;
+}
 
-        // Check that package.json exists and read it
-        const pkg_json_content = readPackageJson(allocator, pkg_dir) orelse continue;
-        defer allocator.free(pkg_json_content);
+/// The entry of the package in `pkg_dir` for `subpath`, with symlinks
+/// resolved. Scratch memory comes from `arena`, the result from `allocator`.
+fn resolveInPackage(
+    allocator: Allocator,
+    arena: Allocator,
+    pkg_dir: []const u8,
+    subpath: ?[]const u8,
+    options: Options,
+) ResolveError!?ResolvedModule {
+    const pkg_json = readPackageJson(arena, pkg_dir) orelse return null;
+    const entry = resolveEntryPoint(arena, pkg_dir, pkg_json, subpath, options) orelse return null;
+
+    // Verify the resolved file actually exists on disk
+    if (!fileExists(entry.path)) return null;
+
+    // Canonicalize the package directory and keep the file inside it, so
+    // file_path still starts with package_dir
+    const package_dir = try allocator.dupe(u8, try realRelative(arena, pkg_dir));
+    errdefer allocator.free(package_dir);
+    const in_package = if (std.mem.startsWith(u8, entry.path, pkg_dir)) entry.path[pkg_dir.len..] else "";
+    const file_path = if (in_package.len > 0)
+        try std.mem.concat(allocator, u8, &.{ package_dir, in_package })
+    else
+        try allocator.dupe(u8, try realRelative(arena, entry.path));
 
-        // Detect ESM from "type" field
-        const type_is_module = detectTypeModule(pkg_json_content);
+    return ResolvedModule{
+        .file_path = file_path,
+        .package_dir = package_dir,
+        .is_esm = detectTypeModule(pkg_json) or entry.resolved_via_esm,
+    };
+}
 
-        // Try to resolve the entry point
-        if (resolveEntryPoint(allocator, pkg_dir, pkg_json_content, subpath)) |entry| {
-            const is_esm = type_is_module or entry.resolved_via_esm;
-            const full_path = entry.path;
+/// The directories whose node_modules/ are probed, in order: `search_dirs`,
+/// then their parents up to the filesystem root, as Node walks up from an
+/// importer. Each level visits every search dir before the next, so an
+/// app's own node_modules still wins over the project root's. Directories
+/// named node_modules are skipped, and each appears once.
+pub fn searchPath(arena: Allocator, search_dirs: []const []const u8) ![]const []const u8 {
+    const max_ups = cwdDepth();
+    var out: std.ArrayList([]const u8) = .empty;
+    var level: std.ArrayList([]const u8) = .empty;
+    for (search_dirs) |dir| try level.append(arena, cleanDir(dir));
+
+    while (level.items.len > 0) {
+        var next: std.ArrayList([]const u8) = .empty;
+        for (level.items) |dir| {
+            if (contains(out.items, dir)) continue; // its parents are queued already
+            if (!std.mem.eql(u8, fs.path.basename(dir), "node_modules")) try out.append(arena, dir);
+            const parent = try parentDir(arena, dir, max_ups) orelse continue;
+            if (!contains(next.items, parent)) try next.append(arena, parent);
+        }
+        level = next;
+    }
+    return out.items;
+}
 
-            // Verify the resolved file actually exists on disk
-            if (!fileExists(full_path)) {
-                allocator.free(full_path);
-                allocator.free(entry.owned_pkg_dir);
-                continue;
-            }
+/// "./apps/shop/" → "apps/shop", "" → ".".
+fn cleanDir(dir: []const u8) []const u8 {
+    var d = dir;
+    while (d.len > 1 and d[d.len - 1] == '/') d = d[0 .. d.len - 1];
+    while (std.mem.startsWith(u8, d, "./")) d = d[2..];
+    return if (d.len == 0) "." else d;
+}
 
-            return ResolvedModule{
-                .file_path = full_path,
-                .package_dir = entry.owned_pkg_dir,
-                .is_esm = is_esm,
-            };
-        }
+/// The parent of a relative (or absolute) directory: "apps/shop" → "apps"
+/// → "." → ".." → "../.." — null above the filesystem root, which is
+/// `max_ups` levels above the working directory.
+fn parentDir(arena: Allocator, dir: []const u8, max_ups: usize) !?[]const u8 {
+    if (fs.path.isAbsolute(dir)) return fs.path.dirname(dir);
+    if (std.mem.eql(u8, dir, ".")) return if (max_ups > 0) ".." else null;
+
+    var ups: usize = 0;
+    var it = std.mem.splitScalar(u8, dir, '/');
+    while (it.next()) |seg| {
+        if (!std.mem.eql(u8, seg, "..")) return fs.path.dirname(dir) orelse ".";
+        ups += 1;
     }
+    if (ups >= max_ups) return null;
+    return try std.fmt.allocPrint(arena, "{s}/..", .{dir});
+}
 
-    return null;
+/// How many directories the working directory is below the root.
+fn cwdDepth() usize {
+    var buf: [fs.max_path_bytes]u8 = undefined;
+    const cwd = fs.cwd().realpath(".", &buf) catch return 0;
+    if (cwd.len <= 1) return 0;
+    return std.mem.count(u8, cwd, "/");
+}
+
+/// `path` with symlinks resolved, relative to the working directory;
+/// `path` itself when it cannot be resolved.
+fn realRelative(arena: Allocator, path: []const u8) ![]const u8 {
+    const real = fs.cwd().realpathAlloc(arena, path) catch |err| switch (err) {
+        error.OutOfMemory => return error.OutOfMemory,
+        else => return path,
+    };
+    const cwd = fs.cwd().realpathAlloc(arena, ".") catch |err| switch (err) {
+        error.OutOfMemory => return error.OutOfMemory,
+        else => return path,
+    };
+    const rel = fs.path.relative(arena, cwd, real) catch return path;
+    return if (rel.len == 0) "." else rel;
+}
+
+fn contains(list: []const []const u8, item: []const u8) bool {
+    for (list) |existing| {
+        if (std.mem.eql(u8, existing, item)) return true;
+    }
+    return false;
 }
 
 // ── Package Name Extraction ─────────────────────────────────────────────────
@@ -193,41 +279,43 @@ fn detectTypeModule(json: []const u8) bool {
 
 const EntryResult = struct {
     path: []const u8, // allocator-owned full path
-    owned_pkg_dir: []const u8, // allocator-owned package dir
     resolved_via_esm: bool,
 };
 
 /// Resolve the entry point for a package, following this priority:
-///   1. "exports" field (with subpath matching and condition resolution)
+///   1. "exports" field (subpath patterns, conditions, null exclusions)
 ///   2. "module" field (ESM entry)
 ///   3. "main" field
 ///   4. Fallback to index.js
+/// With an "exports" field nothing else is reachable, unless
+/// `options.file_subpaths`.
 fn resolveEntryPoint(
     allocator: Allocator,
     pkg_dir: []const u8,
     pkg_json: []const u8,
     subpath: ?[]const u8,
+    options: Options,
 ) ?EntryResult {
-    const owned_pkg_dir = allocator.dupe(u8, pkg_dir) catch return null;
-    errdefer allocator.free(owned_pkg_dir);
-
     // 1. Try "exports" field
-    if (resolveViaExports(allocator, pkg_dir, pkg_json, subpath)) |result| {
-        return .{
-            .path = result.path,
-            .owned_pkg_dir = owned_pkg_dir,
-            .resolved_via_esm = result.is_esm,
-        };
+    const lookup = resolveViaExports(allocator, pkg_dir, pkg_json, subpath, options) catch return null;
+    switch (lookup) {
+        .found => |result| return .{ .path = result.path, .resolved_via_esm = result.is_esm },
+        .excluded => {
+            // A package's own relative import names the file exactly
+            if (!options.file_subpaths) return null;
+            const sp = subpath orelse return null;
+            const path = buildEntryPath(allocator, pkg_dir, sp[1..]) orelse return null;
+            if (!fileExists(path)) return null;
+            return .{ .path = path, .resolved_via_esm = false };
+        },
+        .unmatched => if (!options.file_subpaths) return null,
+        .absent => {},
     }
 
-    // For subpath imports without an exports map, try direct file resolution
+    // For subpath imports without an exports entry, try direct file resolution
     if (subpath) |sp| {
         if (resolveDirectSubpath(allocator, pkg_dir, sp)) |path| {
-            return .{
-                .path = path,
-                .owned_pkg_dir = owned_pkg_dir,
-                .resolved_via_esm = false,
-            };
+            return .{ .path = path, .resolved_via_esm = false };
         }
         // Subpath requested but no exports and no direct file - cannot resolve
         return null;
@@ -236,32 +324,20 @@ fn resolveEntryPoint(
     // 2. Try "module" field (ESM)
     if (findStringField(pkg_json, "module")) |module_val| {
         if (buildEntryPath(allocator, pkg_dir, module_val)) |path| {
-            return .{
-                .path = path,
-                .owned_pkg_dir = owned_pkg_dir,
-                .resolved_via_esm = true,
-            };
+            return .{ .path = path, .resolved_via_esm = true };
         }
     }
 
     // 3. Try "main" field
     if (findStringField(pkg_json, "main")) |main_val| {
         if (buildEntryPath(allocator, pkg_dir, main_val)) |path| {
-            return .{
-                .path = path,
-                .owned_pkg_dir = owned_pkg_dir,
-                .resolved_via_esm = false,
-            };
+            return .{ .path = path, .resolved_via_esm = false };
         }
     }
 
     // 4. Fallback: index.js
     if (buildEntryPath(allocator, pkg_dir, "index.js")) |path| {
-        return .{
-            .path = path,
-            .owned_pkg_dir = owned_pkg_dir,
-            .resolved_via_esm = false,
-        };
+        return .{ .path = path, .resolved_via_esm = false };
     }
 
     return null;
@@ -279,7 +355,7 @@ fn buildEntryPath(allocator: Allocator, pkg_dir: []const u8, entry: []const u8)
     return allocator.dupe(u8, full) catch null;
 }
 
-// ── Exports Field Resolution ────────────────────────────────────────────────
+// ── Exports and Imports Resolution ──────────────────────────────────────────
 //
 // The "exports" field in package.json is the most complex part of module
 // resolution. It can be:
@@ -288,135 +364,242 @@ fn buildEntryPath(allocator: Allocator, pkg_dir: []const u8, entry: []const u8)
 //   "exports": { ".": "./index.js" }                 (subpath map, string value)
 //   "exports": { ".": { "import": "...", ... } }     (subpath map, condition object)
 //   "exports": { ".": { "import": { "default": "..." } } }  (nested conditions, e.g. Vue)
+//   "exports": { "./*": "./dist/*.js" }              (subpath pattern)
+//   "exports": { "./internal/*": null }              (exclusion)
+//   "exports": { ".": ["./a.js", "./b.js"] }         (fallback array)
 //
-// We handle all four shapes with a lightweight JSON field extractor,
-// not a full JSON parser. This is deliberate: package.json files are
-// well-formed (npm validates them), and we only need string values
+// "imports" maps `#specifiers` the same way, and may also point at another
+// package ("#dep": "some-package"). Both follow Node's algorithm: an exact
+// key wins, then the pattern with the longest prefix; condition objects
+// are read in the package's own key order. We walk them with a lightweight
+// JSON scanner, not a full parser. This is deliberate: package.json files
+// are well-formed (npm validates them), and we only need string values
 // from specific paths in the tree.
 
-const ExportsResult = struct {
-    path: []const u8, // allocator-owned
+/// Conditions every lookup matches, besides Options.conditions.
+const DEFAULT_CONDITIONS = [_][]const u8{ "import", "module", "browser", "default" };
+
+pub const ExportsResult = struct {
+    /// Allocator-owned full path; with `bare`, a package specifier.
+    path: []const u8,
     is_esm: bool,
+    /// An "imports" target naming another package.
+    bare: bool = false,
 };
 
+/// What a package.json field says about one subpath.
+const Lookup = union(enum) {
+    /// No "exports" field: every file of the package is reachable.
+    absent,
+    /// The subpath is not listed.
+    unmatched,
+    /// Listed, but null, or with no target for the active conditions.
+    excluded,
+    found: ExportsResult,
+};
+
+const Field = enum { exports, imports };
+
 fn resolveViaExports(
     allocator: Allocator,
     pkg_dir: []const u8,
     pkg_json: []const u8,
     subpath: ?[]const u8,
-) ?ExportsResult {
+    options: Options,
+) Allocator.Error!Lookup {
     // Find the "exports" field value region
-    const exports_region = findFieldRegion(pkg_json, "exports") orelse return null;
+    const region = findFieldRegion(pkg_json, "exports") orelse return .absent;
+    if (region.len == 0 or region[0] == 'n') return .absent; // "exports": null
+    const exports = region[0..valueEnd(region)];
 
     // Determine the subpath key to look for
     // null subpath -> ".", "/jsx-runtime" -> "./jsx-runtime"
     var subpath_key_buf: [256]u8 = undefined;
     const subpath_key = if (subpath) |sp|
-        std.fmt.bufPrint(&subpath_key_buf, ".{s}", .{sp}) catch return null
+        std.fmt.bufPrint(&subpath_key_buf, ".{s}", .{sp}) catch return .unmatched
     else
         ".";
 
-    // Case 1: "exports": "./index.js" (string shorthand, root import only)
-    if (exports_region.len > 0 and exports_region[0] == '"') {
-        if (std.mem.eql(u8, subpath_key, ".")) {
-            const val = extractQuotedString(exports_region) orelse return null;
-            const path = buildEntryPath(allocator, pkg_dir, val) orelse return null;
-            return .{ .path = path, .is_esm = true };
-        }
-        return null; // String exports with subpath - no match
-    }
+    if (isSubpathMap(exports)) return lookupSubpath(allocator, pkg_dir, exports, subpath_key, options, .exports);
 
-    // Case 2+3: "exports": { ... }
-    if (exports_region.len > 0 and exports_region[0] == '{') {
-        return resolveExportsObject(allocator, pkg_dir, exports_region, subpath_key);
-    }
-
-    return null;
+    // A string, fallback array or condition object is the "." entry alone
+    // (e.g. "exports": { "import": "...", "default": "..." })
+    if (!std.mem.eql(u8, subpath_key, ".")) return .unmatched;
+    return lookupTarget(allocator, pkg_dir, exports, null, options, .exports);
 }
 
-/// Resolve a subpath key within an exports object.
-/// Handles both flat condition values and nested subpath maps.
-fn resolveExportsObject(
+/// Resolve a `#specifier` through the "imports" field of `pkg_json`, the
+/// package.json in `pkg_dir`. The result is a file of the package, or
+/// (`bare`) a package specifier to resolve in turn. Null when the field
+/// does not map it.
+pub fn resolveImports(
     allocator: Allocator,
     pkg_dir: []const u8,
-    exports_obj: []const u8,
-    subpath_key: []const u8,
-) ?ExportsResult {
-    // Look for the subpath key in the exports object
-    const value_region = findFieldRegion(exports_obj, subpath_key) orelse {
-        // If looking for "." and didn't find it, the exports object might
-        // itself be the condition object (e.g. "exports": { "import": "...", "default": "..." })
-        if (std.mem.eql(u8, subpath_key, ".")) {
-            return resolveConditionObject(allocator, pkg_dir, exports_obj);
-        }
-        return null;
+    pkg_json: []const u8,
+    specifier: []const u8,
+    options: Options,
+) Allocator.Error!?ExportsResult {
+    if (specifier.len < 2 or specifier[0] != '#' or specifier[1] == '/') return null;
+    const region = findFieldRegion(pkg_json, "imports") orelse return null;
+    if (region.len == 0 or region[0] != '{') return null;
+    return switch (try lookupSubpath(allocator, pkg_dir, region[0..valueEnd(region)], specifier, options, .imports)) {
+        .found => |result| result,
+        else => null,
     };
+}
 
-    // The value for this subpath can be:
-    //   - A string: "./index.js"
-    //   - A condition object: { "import": "...", "default": "..." }
-    if (value_region.len == 0) return null;
-
-    if (value_region[0] == '"') {
-        // Direct string value
-        const val = extractQuotedString(value_region) orelse return null;
-        const path = buildEntryPath(allocator, pkg_dir, val) orelse return null;
-        return .{ .path = path, .is_esm = true };
+/// Look `key` up in a subpath map: the exact key unless it has a `*`,
+/// else the pattern with the longest prefix before its `*` (then the
+/// longest key), whose `*` stands for the rest of `key`.
+fn lookupSubpath(
+    allocator: Allocator,
+    pkg_dir: []const u8,
+    map: []const u8,
+    key: []const u8,
+    options: Options,
+    field: Field,
+) Allocator.Error!Lookup {
+    if (std.mem.indexOfScalar(u8, key, '*') == null) {
+        var it: Items = .{ .json = map };
+        while (it.nextMember()) |m| {
+            if (std.mem.eql(u8, m.key, key)) return lookupTarget(allocator, pkg_dir, m.value, null, options, field);
+        }
     }
 
-    if (value_region[0] == '{') {
-        return resolveConditionObject(allocator, pkg_dir, value_region);
+    var best: ?Member = null;
+    var best_star: []const u8 = "";
+    var it: Items = .{ .json = map };
+    while (it.nextMember()) |m| {
+        const star = std.mem.indexOfScalar(u8, m.key, '*') orelse continue;
+        if (std.mem.indexOfScalarPos(u8, m.key, star + 1, '*') != null) continue;
+        const prefix = m.key[0..star];
+        const suffix = m.key[star + 1 ..];
+        if (key.len <= prefix.len or !std.mem.startsWith(u8, key, prefix)) continue;
+        if (suffix.len > 0 and (key.len < m.key.len or !std.mem.endsWith(u8, key, suffix))) continue;
+        if (best) |b| {
+            if (!patternBetter(m.key, b.key)) continue;
+        }
+        best = m;
+        best_star = key[prefix.len .. key.len - suffix.len];
     }
+    const match = best orelse return .unmatched;
+    return lookupTarget(allocator, pkg_dir, match.value, best_star, options, field);
+}
 
-    return null;
+/// Node's PATTERN_KEY_COMPARE: the longer prefix before `*`, then the longer key.
+fn patternBetter(a: []const u8, b: []const u8) bool {
+    const a_prefix = std.mem.indexOfScalar(u8, a, '*').?;
+    const b_prefix = std.mem.indexOfScalar(u8, b, '*').?;
+    if (a_prefix != b_prefix) return a_prefix > b_prefix;
+    return a.len > b.len;
 }
 
-/// Resolve a condition object to a file path.
-/// Priority order for a dev server targeting the browser:
-///   browser > import > module > default > require
-///
-/// Each condition value can itself be:
-///   - A string: "./dist/index.mjs"
-///   - A nested condition object: { "types": "...", "default": "..." }
-///     (Vue uses this pattern: "import": { "default": "./dist/vue.runtime.esm-bundler.js" })
-fn resolveConditionObject(
+fn lookupTarget(
     allocator: Allocator,
     pkg_dir: []const u8,
-    obj: []const u8,
-) ?ExportsResult {
-    // Condition priority for ESM dev server (matches Vite: import > module > browser > default)
-    const conditions = [_]struct { key: []const u8, is_esm: bool }{
-        .{ .key = "import", .is_esm = true },
-        .{ .key = "module", .is_esm = true },
-        .{ .key = "browser", .is_esm = true },
-        .{ .key = "default", .is_esm = true },
-        .{ .key = "require", .is_esm = false },
-    };
-
-    for (conditions) |cond| {
-        if (findFieldRegion(obj, cond.key)) |region| {
-            if (region.len == 0) continue;
-
-            if (region[0] == '"') {
-                // Direct string value
-                const val = extractQuotedString(region) orelse continue;
-                // Skip .d.ts files (types condition resolved as fallback)
-                if (std.mem.endsWith(u8, val, ".d.ts") or std.mem.endsWith(u8, val, ".d.mts")) continue;
-                const path = buildEntryPath(allocator, pkg_dir, val) orelse continue;
-                return .{ .path = path, .is_esm = cond.is_esm };
-            }
+    target: []const u8,
+    star: ?[]const u8,
+    options: Options,
+    field: Field,
+) Allocator.Error!Lookup {
+    if (try resolveTarget(allocator, pkg_dir, target, star, options, field, false)) |result| return .{ .found = result };
+    // Browser conditions first, but a CommonJS-only target beats none
+    if (try resolveTarget(allocator, pkg_dir, target, star, options, field, true)) |result| return .{ .found = result };
+    return .excluded;
+}
 
-            if (region[0] == '{') {
-                // Nested condition object (e.g. Vue's "import": { "default": "..." })
-                // Recurse, but skip "types" keys in nested objects
-                if (resolveConditionObject(allocator, pkg_dir, region)) |result| {
-                    return .{ .path = result.path, .is_esm = cond.is_esm or result.is_esm };
+/// Resolve one target: a "./..." path (with `star` put in for every `*`),
+/// a condition object, a fallback array, or null. Condition objects take
+/// the first key that is active — the defaults, Options.conditions, and
+/// "require" when `require` is set.
+fn resolveTarget(
+    allocator: Allocator,
+    pkg_dir: []const u8,
+    target: []const u8,
+    star: ?[]const u8,
+    options: Options,
+    field: Field,
+    require: bool,
+) Allocator.Error!?ExportsResult {
+    if (target.len == 0) return null;
+    switch (target[0]) {
+        '"' => {
+            const raw = extractQuotedString(target) orelse return null;
+            // Skip .d.ts files (types are not modules)
+            if (std.mem.endsWith(u8, raw, ".d.ts") or std.mem.endsWith(u8, raw, ".d.mts") or
+                std.mem.endsWith(u8, raw, ".d.cts")) return null;
+            const value = if (star) |s| try std.mem.replaceOwned(u8, allocator, raw, "*", s) else raw;
+            defer if (star != null) allocator.free(value);
+
+            if (!std.mem.startsWith(u8, value, "./")) {
+                // "#dep": "some-package"
+                if (field == .imports and isBareTarget(value)) {
+                    return .{ .path = try allocator.dupe(u8, value), .is_esm = true, .bare = true };
                 }
+                return null;
             }
-        }
+            if (!staysInPackage(value)) return null;
+            const path = buildEntryPath(allocator, pkg_dir, value) orelse return null;
+            return .{ .path = path, .is_esm = true };
+        },
+        '{' => {
+            var it: Items = .{ .json = target };
+            while (it.nextMember()) |m| {
+                if (!conditionActive(m.key, options, require)) continue;
+                // A nested object (Vue's "import": { "default": "..." }) recurses
+                const result = try resolveTarget(allocator, pkg_dir, m.value, star, options, field, require) orelse continue;
+                return .{
+                    .path = result.path,
+                    .is_esm = result.is_esm and !std.mem.eql(u8, m.key, "require"),
+                    .bare = result.bare,
+                };
+            }
+            return null;
+        },
+        '[' => {
+            var it: Items = .{ .json = target };
+            while (it.nextValue()) |item| {
+                if (try resolveTarget(allocator, pkg_dir, item, star, options, field, require)) |result| return result;
+            }
+            return null;
+        },
+        else => return null, // null excludes the subpath
     }
+}
 
-    return null;
+fn conditionActive(key: []const u8, options: Options, require: bool) bool {
+    if (require and std.mem.eql(u8, key, "require")) return true;
+    for (DEFAULT_CONDITIONS) |cond| {
+        if (std.mem.eql(u8, key, cond)) return true;
+    }
+    for (options.conditions) |cond| {
+        if (std.mem.eql(u8, key, cond)) return true;
+    }
+    return false;
+}
+
+/// Whether an exports object maps subpaths ("." keys) rather than being
+/// the conditions of the "." entry.
+fn isSubpathMap(exports: []const u8) bool {
+    if (exports.len == 0 or exports[0] != '{') return false;
+    var it: Items = .{ .json = exports };
+    const first = it.nextMember() orelse return false;
+    return first.key.len > 0 and first.key[0] == '.';
+}
+
+/// Targets may not climb out of the package or into its node_modules.
+fn staysInPackage(target: []const u8) bool {
+    var it = std.mem.splitScalar(u8, target[2..], '/');
+    while (it.next()) |seg| {
+        if (std.mem.eql(u8, seg, "..") or std.mem.eql(u8, seg, "node_modules")) return false;
+    }
+    return true;
+}
+
+/// A package specifier, not a path or URL ("node:fs" included).
+fn isBareTarget(target: []const u8) bool {
+    if (target.len == 0 or target[0] == '.' or target[0] == '/' or target[0] == '#') return false;
+    return std.mem.indexOfScalar(u8, target, ':') == null;
 }
 
 // ── Direct Subpath Resolution (no exports map) ──────────────────────────────
@@ -460,6 +643,167 @@ fn resolveDirectSubpath(allocator: Allocator, pkg_dir: []const u8, subpath: []co
     return null;
 }
 
+// ── Workspaces ──────────────────────────────────────────────────────────────
+//
+// npm, yarn and pnpm link workspace packages into node_modules, which the
+// lookup above follows (and realpaths). Before the first install they are
+// found here instead: the nearest pnpm-workspace.yaml, or package.json
+// with "workspaces", up from the working directory lists the package
+// directories as globs.
+
+/// "**" in a workspace glob goes at most this deep.
+const MAX_WORKSPACE_DEPTH = 8;
+
+/// The directory of workspace package `name`, or null.
+fn workspacePackage(arena: Allocator, name: []const u8) Allocator.Error!?[]const u8 {
+    const root = try findWorkspaceRoot(arena) orelse return null;
+
+    var dirs: std.ArrayList([]const u8) = .empty;
+    var excluded: std.ArrayList([]const u8) = .empty;
+    for (root.patterns) |pattern| {
+        if (pattern.len > 0 and pattern[0] == '!') {
+            try expandGlob(arena, root.dir, pattern[1..], &excluded);
+        } else {
+            try expandGlob(arena, root.dir, pattern, &dirs);
+        }
+    }
+    for (dirs.items) |dir| {
+        if (contains(excluded.items, dir)) continue;
+        const json = readPackageJson(arena, dir) orelse continue;
+        const pkg_name = findStringField(json, "name") orelse continue;
+        if (std.mem.eql(u8, pkg_name, name)) return dir;
+    }
+    return null;
+}
+
+const WorkspaceRoot = struct {
+    dir: []const u8,
+    patterns: []const []const u8,
+};
+
+fn findWorkspaceRoot(arena: Allocator) Allocator.Error!?WorkspaceRoot {
+    const max_ups = cwdDepth();
+    var dir: []const u8 = ".";
+    while (true) {
+        const yaml_path = try std.fmt.allocPrint(arena, "{s}/pnpm-workspace.yaml", .{dir});
+        if (fs.cwd().readFileAlloc(arena, yaml_path, 256 * 1024)) |yaml| {
+            return .{ .dir = dir, .patterns = try pnpmPatterns(arena, yaml) };
+        } else |_| {}
+
+        if (readPackageJson(arena, dir)) |json| {
+            if (findFieldRegion(json, "workspaces")) |region| {
+                // ["packages/*"], or yarn's { "packages": ["packages/*"] }
+                var list = region[0..valueEnd(region)];
+                if (list.len > 0 and list[0] == '{') {
+                    const packages = findFieldRegion(list, "packages") orelse "[]";
+                    list = packages[0..valueEnd(packages)];
+                }
+                var patterns: std.ArrayList([]const u8) = .empty;
+                if (list.len > 0 and list[0] == '[') {
+                    var it: Items = .{ .json = list };
+                    while (it.nextValue()) |item| {
+                        try patterns.append(arena, extractQuotedString(item) orelse continue);
+                    }
+                }
+                return .{ .dir = dir, .patterns = patterns.items };
+            }
+        }
+        dir = try parentDir(arena, dir, max_ups) orelse return null;
+    }
+}
+
+/// The entries of the top-level `packages:` list of a pnpm-workspace.yaml.
+fn pnpmPatterns(arena: Allocator, yaml: []const u8) Allocator.Error![]const []const u8 {
+    var patterns: std.ArrayList([]const u8) = .empty;
+    var in_packages = false;
+    var lines = std.mem.splitScalar(u8, yaml, '\n');
+    while (lines.next()) |raw| {
+        const line = std.mem.trimRight(u8, raw, " \t\r");
+        const item = std.mem.trimLeft(u8, line, " \t");
+        if (item.len == 0 or item[0] == '#') continue;
+        if (line[0] != ' ' and line[0] != '\t' and line[0] != '-') {
+            in_packages = std.mem.startsWith(u8, line, "packages:");
+            continue;
+        }
+        if (!in_packages or item[0] != '-') continue;
+
+        var value = std.mem.trim(u8, item[1..], " \t");
+        if (value.len > 0 and (value[0] == '\'' or value[0] == '"')) {
+            const close = std.mem.indexOfScalarPos(u8, value, 1, value[0]) orelse continue;
+            value = value[1..close];
+        } else if (std.mem.indexOf(u8, value, " #")) |comment| {
+            value = std.mem.trimRight(u8, value[0..comment], " \t");
+        }
+        if (value.len > 0) try patterns.append(arena, value);
+    }
+    return patterns.items;
+}
+
+/// Add the directories under `base` that `pattern` matches: segments are
+/// names, globs with `*` within one name, or `**` for any depth.
+fn expandGlob(arena: Allocator, base: []const u8, pattern: []const u8, out: *std.ArrayList([]const u8)) Allocator.Error!void {
+    var segs: std.ArrayList([]const u8) = .empty;
+    var it = std.mem.splitScalar(u8, pattern, '/');
+    while (it.next()) |seg| {
+        if (seg.len == 0 or std.mem.eql(u8, seg, ".")) continue;
+        try segs.append(arena, seg);
+    }
+    try expandSegments(arena, base, segs.items, 0, out);
+}
+
+fn expandSegments(
+    arena: Allocator,
+    dir: []const u8,
+    segs: []const []const u8,
+    depth: usize,
+    out: *std.ArrayList([]const u8),
+) Allocator.Error!void {
+    if (segs.len == 0) {
+        if (!contains(out.items, dir)) try out.append(arena, dir);
+        return;
+    }
+    const seg = segs[0];
+    if (std.mem.indexOfScalar(u8, seg, '*') == null) {
+        return expandSegments(arena, try joinDir(arena, dir, seg), segs[1..], depth, out);
+    }
+    const globstar = std.mem.eql(u8, seg, "**");
+    if (globstar) {
+        try expandSegments(arena, dir, segs[1..], depth, out); // zero directories
+        if (depth >= MAX_WORKSPACE_DEPTH) return;
+    }
+
+    var d = fs.cwd().openDir(dir, .{ .iterate = true }) catch return;
+    defer d.close();
+    var entries = d.iterate();
+    while (entries.next() catch null) |entry| {
+        if (entry.kind != .directory and entry.kind != .sym_link) continue;
+        if (entry.name[0] == '.' or std.mem.eql(u8, entry.name, "node_modules")) continue;
+        if (globstar) {
+            try expandSegments(arena, try joinDir(arena, dir, entry.name), segs, depth + 1, out);
+        } else if (globMatch(seg, entry.name)) {
+            try expandSegments(arena, try joinDir(arena, dir, entry.name), segs[1..], depth, out);
+        }
+    }
+}
+
+fn joinDir(arena: Allocator, dir: []const u8, name: []const u8) Allocator.Error![]const u8 {
+    if (std.mem.eql(u8, dir, ".")) return arena.dupe(u8, name);
+    return std.fmt.allocPrint(arena, "{s}/{s}", .{ dir, name });
+}
+
+/// `*` matches any run of characters within one name.
+fn globMatch(pattern: []const u8, name: []const u8) bool {
+    const star = std.mem.indexOfScalar(u8, pattern, '*') orelse return std.mem.eql(u8, pattern, name);
+    const prefix = pattern[0..star];
+    if (!std.mem.startsWith(u8, name, prefix)) return false;
+    const rest = pattern[star + 1 ..];
+    var i: usize = prefix.len;
+    while (i <= name.len) : (i += 1) {
+        if (globMatch(rest, name[i..])) return true;
+    }
+    return false;
+}
+
 // ── Lightweight JSON Field Extraction ───────────────────────────────────────
 //
 // Not a full JSON parser. We exploit the structure of package.json:
@@ -596,6 +940,100 @@ fn isJsonWhitespace(ch: u8) bool {
     return ch == ' ' or ch == '\t' or ch == '\n' or ch == '\r';
 }
 
+/// The length of the JSON value at the start of `json`: a string with its
+/// quotes, an object or array through its closing bracket, or a literal.
+fn valueEnd(json: []const u8) usize {
+    if (json.len == 0) return 0;
+    switch (json[0]) {
+        '"' => {
+            var i: usize = 1;
+            while (i < json.len) : (i += 1) {
+                if (json[i] == '\\') {
+                    i += 1;
+                } else if (json[i] == '"') {
+                    return i + 1;
+                }
+            }
+            return json.len;
+        },
+        '{', '[' => {
+            var depth: usize = 0;
+            var in_string = false;
+            var i: usize = 0;
+            while (i < json.len) : (i += 1) {
+                const ch = json[i];
+                if (in_string) {
+                    if (ch == '\\') {
+                        i += 1;
+                    } else if (ch == '"') {
+                        in_string = false;
+                    }
+                    continue;
+                }
+                switch (ch) {
+                    '"' => in_string = true,
+                    '{', '[' => depth += 1,
+                    '}', ']' => {
+                        depth -= 1;
+                        if (depth == 0) return i + 1;
+                    },
+                    else => {},
+                }
+            }
+            return json.len;
+        },
+        else => {
+            var i: usize = 0;
+            while (i < json.len and json[i] != ',' and json[i] != '}' and json[i] != ']' and
+                !isJsonWhitespace(json[i])) : (i += 1)
+            {}
+            return i;
+        },
+    }
+}
+
+const Member = struct {
+    key: []const u8,
+    /// Bounded by valueEnd.
+    value: []const u8,
+};
+
+/// The members of the object, or the elements of the array, at the start
+/// of `json`, in document order.
+const Items = struct {
+    json: []const u8,
+    pos: usize = 1,
+
+    fn nextMember(self: *Items) ?Member {
+        self.skipSeparators();
+        if (self.pos >= self.json.len or self.json[self.pos] != '"') return null;
+        const key = extractQuotedString(self.json[self.pos..]) orelse return null;
+        self.pos += key.len + 2;
+        while (self.pos < self.json.len and isJsonWhitespace(self.json[self.pos])) : (self.pos += 1) {}
+        if (self.pos >= self.json.len or self.json[self.pos] != ':') return null;
+        self.pos += 1;
+        while (self.pos < self.json.len and isJsonWhitespace(self.json[self.pos])) : (self.pos += 1) {}
+        const value = self.json[self.pos..][0..valueEnd(self.json[self.pos..])];
+        self.pos += value.len;
+        return .{ .key = key, .value = value };
+    }
+
+    fn nextValue(self: *Items) ?[]const u8 {
+        self.skipSeparators();
+        if (self.pos >= self.json.len or self.json[self.pos] == ']' or self.json[self.pos] == '}') return null;
+        const value = self.json[self.pos..][0..valueEnd(self.json[self.pos..])];
+        if (value.len == 0) return null;
+        self.pos += value.len;
+        return value;
+    }
+
+    fn skipSeparators(self: *Items) void {
+        while (self.pos < self.json.len and
+            (isJsonWhitespace(self.json[self.pos]) or self.json[self.pos] == ',')) : (self.pos += 1)
+        {}
+    }
+};
+
 // ── File System Helpers ─────────────────────────────────────────────────────
 
 fn fileExists(path: []const u8) bool {
@@ -747,70 +1185,70 @@ test "extractQuotedString - with escape" {
     try std.testing.expectEqualStrings("hello \\\"world\\\"", val);
 }
 
-test "resolveConditionObject - browser priority" {
+test "resolveTarget - browser priority" {
     const allocator = std.testing.allocator;
     // Simulate preact-style condition object
     const obj =
         \\{"types": "./src/index.d.ts", "browser": "./dist/preact.module.js", "import": "./dist/preact.mjs", "require": "./dist/preact.js"}
     ;
-    const result = resolveConditionObject(allocator, "/fake/pkg", obj).?;
+    const result = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false)).?;
     defer allocator.free(result.path);
     try std.testing.expect(result.is_esm);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "dist/preact.module.js"));
 }
 
-test "resolveConditionObject - import fallback" {
+test "resolveTarget - import fallback" {
     const allocator = std.testing.allocator;
     const obj =
         \\{"types": "./index.d.ts", "import": "./dist/index.mjs", "require": "./dist/index.js"}
     ;
-    const result = resolveConditionObject(allocator, "/fake/pkg", obj).?;
+    const result = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false)).?;
     defer allocator.free(result.path);
     try std.testing.expect(result.is_esm);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "dist/index.mjs"));
 }
 
-test "resolveConditionObject - default fallback" {
+test "resolveTarget - default fallback" {
     const allocator = std.testing.allocator;
     // React-style: only "default" and custom conditions
     const obj =
         \\{"react-server": "./react.shared-subset.js", "default": "./index.js"}
     ;
-    const result = resolveConditionObject(allocator, "/fake/pkg", obj).?;
+    const result = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false)).?;
     defer allocator.free(result.path);
     try std.testing.expect(result.is_esm);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "index.js"));
 }
 
-test "resolveConditionObject - nested condition (vue style)" {
+test "resolveTarget - nested condition (vue style)" {
     const allocator = std.testing.allocator;
     // Vue's "import" is itself an object with nested conditions
     const obj =
         \\{"import": {"types": "./dist/vue.d.mts", "node": "./index.mjs", "default": "./dist/vue.runtime.esm-bundler.js"}, "require": {"default": "./index.js"}}
     ;
-    const result = resolveConditionObject(allocator, "/fake/pkg", obj).?;
+    const result = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false)).?;
     defer allocator.free(result.path);
     try std.testing.expect(result.is_esm);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "dist/vue.runtime.esm-bundler.js"));
 }
 
-test "resolveConditionObject - skips types-only" {
+test "resolveTarget - skips types-only" {
     const allocator = std.testing.allocator;
     // A condition object that only has "types" should return null
     const obj =
         \\{"types": "./types/index.d.ts"}
     ;
-    const result = resolveConditionObject(allocator, "/fake/pkg", obj);
+    const result = try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false);
     try std.testing.expect(result == null);
 }
 
-test "resolveExportsObject - subpath key" {
+test "lookupSubpath - subpath key" {
     const allocator = std.testing.allocator;
     // Preact-style exports with subpath
     const exports =
         \\{".": {"import": "./dist/preact.mjs"}, "./hooks": {"import": "./hooks/dist/hooks.mjs", "require": "./hooks/dist/hooks.js"}}
     ;
-    const result = resolveExportsObject(allocator, "/fake/pkg", exports, "./hooks").?;
+    const result = (try lookupSubpath(allocator, "/fake/pkg", exports, "./hooks", .{}, .exports)).found;
     defer allocator.free(result.path);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "hooks/dist/hooks.mjs"));
 }
@@ -820,7 +1258,7 @@ test "resolveViaExports - string shorthand" {
     const json =
         \\{"name": "simple", "exports": "./lib/index.mjs"}
     ;
-    const result = resolveViaExports(allocator, "/fake/pkg", json, null).?;
+    const result = (try resolveViaExports(allocator, "/fake/pkg", json, null, .{})).found;
     defer allocator.free(result.path);
     try std.testing.expect(result.is_esm);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "lib/index.mjs"));
@@ -831,7 +1269,7 @@ test "resolveViaExports - object with dot entry" {
     const json =
         \\{"name": "lit", "exports": {".": {"types": "./dev/index.d.ts", "default": "./index.js"}}}
     ;
-    const result = resolveViaExports(allocator, "/fake/pkg", json, null).?;
+    const result = (try resolveViaExports(allocator, "/fake/pkg", json, null, .{})).found;
     defer allocator.free(result.path);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "index.js"));
 }
@@ -841,11 +1279,117 @@ test "resolveViaExports - subpath export" {
     const json =
         \\{"name": "react", "exports": {".": {"default": "./index.js"}, "./jsx-runtime": "./jsx-runtime.js"}}
     ;
-    const result = resolveViaExports(allocator, "/fake/pkg", json, "/jsx-runtime").?;
+    const result = (try resolveViaExports(allocator, "/fake/pkg", json, "/jsx-runtime", .{})).found;
     defer allocator.free(result.path);
     try std.testing.expect(std.mem.endsWith(u8, result.path, "jsx-runtime.js"));
 }
 
+test "resolveViaExports - subpath patterns and null exclusions" {
+    const allocator = std.testing.allocator;
+    const json =
+        \\{"exports": {".": "./index.js", "./*": "./dist/*.js", "./features/*.js": {"import": "./src/features/*.mjs"}, "./features/private/*": null}}
+    ;
+    // The longest prefix before "*" wins
+    const feature = (try resolveViaExports(allocator, "/fake/pkg", json, "/features/cart.js", .{})).found;
+    defer allocator.free(feature.path);
+    try std.testing.expectEqualStrings("/fake/pkg/src/features/cart.mjs", feature.path);
+
+    const util = (try resolveViaExports(allocator, "/fake/pkg", json, "/utils/format", .{})).found;
+    defer allocator.free(util.path);
+    try std.testing.expectEqualStrings("/fake/pkg/dist/utils/format.js", util.path);
+
+    try std.testing.expect(try resolveViaExports(allocator, "/fake/pkg", json, "/features/private/keys", .{}) == .excluded);
+    // Targets may not leave the package
+    const escape =
+        \\{"exports": {"./*": "./*", "./bad/*": "./../*"}}
+    ;
+    try std.testing.expect(try resolveViaExports(allocator, "/fake/pkg", escape, "/bad/x.js", .{}) == .excluded);
+}
+
+test "resolveTarget - custom conditions in package order" {
+    const allocator = std.testing.allocator;
+    const obj =
+        \\{"development": "./dev.js", "production": "./prod.js", "default": "./index.js"}
+    ;
+    const dev = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{ .conditions = &.{"development"} }, .exports, false)).?;
+    defer allocator.free(dev.path);
+    try std.testing.expect(std.mem.endsWith(u8, dev.path, "/dev.js"));
+
+    const plain = (try resolveTarget(allocator, "/fake/pkg", obj, null, .{}, .exports, false)).?;
+    defer allocator.free(plain.path);
+    try std.testing.expect(std.mem.endsWith(u8, plain.path, "/index.js"));
+
+    // Fallback arrays take the first target that applies
+    const arr =
+        \\[{"worker": "./worker.js"}, "./fallback.js"]
+    ;
+    const fallback = (try resolveTarget(allocator, "/fake/pkg", arr, null, .{}, .exports, false)).?;
+    defer allocator.free(fallback.path);
+    try std.testing.expect(std.mem.endsWith(u8, fallback.path, "/fallback.js"));
+}
+
+test "resolveImports - files, patterns and packages" {
+    const allocator = std.testing.allocator;
+    const json =
+        \\{"name": "svelte", "imports": {"#client/constants": "./src/internal/client/constants.js", "#internal/*": {"browser": "./src/internal/*.js", "default": "./src/server/*.js"}, "#dep": "esm-env"}}
+    ;
+    const constants = (try resolveImports(allocator, "pkg", json, "#client/constants", .{})).?;
+    defer allocator.free(constants.path);
+    try std.testing.expectEqualStrings("pkg/src/internal/client/constants.js", constants.path);
+
+    const pattern = (try resolveImports(allocator, "pkg", json, "#internal/flags/legacy", .{})).?;
+    defer allocator.free(pattern.path);
+    try std.testing.expectEqualStrings("pkg/src/internal/flags/legacy.js", pattern.path);
+
+    const dep = (try resolveImports(allocator, "pkg", json, "#dep", .{})).?;
+    defer allocator.free(dep.path);
+    try std.testing.expect(dep.bare);
+    try std.testing.expectEqualStrings("esm-env", dep.path);
+
+    try std.testing.expect(try resolveImports(allocator, "pkg", json, "#missing", .{}) == null);
+}
+
+test "searchPath - search dirs first, then their parents" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const dirs = try searchPath(arena.allocator(), &.{ "apps/shop", "./shell/", ".", "node_modules/.pnpm/react@18.3.1/node_modules/react" });
+    try std.testing.expectEqualStrings("apps/shop", dirs[0]);
+    try std.testing.expectEqualStrings("shell", dirs[1]);
+    try std.testing.expectEqualStrings(".", dirs[2]);
+    try std.testing.expectEqualStrings("node_modules/.pnpm/react@18.3.1/node_modules/react", dirs[3]);
+    try std.testing.expectEqualStrings("apps", dirs[4]);
+    // pnpm: the store entry holding react's own dependencies, never a node_modules dir itself
+    try std.testing.expect(contains(dirs, "node_modules/.pnpm/react@18.3.1"));
+    try std.testing.expect(!contains(dirs, "node_modules/.pnpm/react@18.3.1/node_modules"));
+    if (cwdDepth() > 0) try std.testing.expect(contains(dirs, ".."));
+}
+
+test "pnpmPatterns and globMatch" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const yaml =
+        \\# workspace
+        \\packages:
+        \\  - 'apps/*'
+        \\  - "packages/**"
+        \\  - tools/cli # the CLI
+        \\  - '!**/test/**'
+        \\catalog:
+        \\  - react
+    ;
+    const patterns = try pnpmPatterns(arena.allocator(), yaml);
+    try std.testing.expectEqual(@as(usize, 4), patterns.len);
+    try std.testing.expectEqualStrings("apps/*", patterns[0]);
+    try std.testing.expectEqualStrings("packages/**", patterns[1]);
+    try std.testing.expectEqualStrings("tools/cli", patterns[2]);
+    try std.testing.expectEqualStrings("!**/test/**", patterns[3]);
+
+    try std.testing.expect(globMatch("*", "ui"));
+    try std.testing.expect(globMatch("mf-*", "mf-cart"));
+    try std.testing.expect(globMatch("*-app*", "shop-app-v2"));
+    try std.testing.expect(!globMatch("mf-*", "cart"));
+}
+
 test "isEscaped - not escaped" {
     const s = "hello\"world";
     try std.testing.expect(!isEscaped(s, 5));
@@ -0,0 +1,423 @@
+// WU Runtime — Shared Dependencies
+//
+// Micro-apps that each bring their own React or Vue end up with either one
+// silently chosen copy (dev: /@modules/ takes the first node_modules that has
+// it) or several copies, each with its own global state (production bundles).
+// wu.config.json can name the packages every app must share:
+//
+//   "shared": { "singletons": ["react", "react-dom/client", "vue"] }
+//
+// For each singleton package this module reads the version range every app
+// (and the shell) declares in package.json, picks the installed copy that
+// satisfies all of them, and warns when no copy does. That copy is the one
+// the dev server and `wu build` resolve for everybody.
+//
+// The listed specifiers also make up a browser import map, so a bare
+// `import "react"` anywhere on the page loads the single shared module:
+//   dev    "react" → /@modules/react               (served at /@wu/importmap.json)
+//   build  "react" → /@wu/shared/react-<hash>.js   (written to dist/importmap.json)
+
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const resolve_mod = @import("resolve.zig");
+const config_mod = @import("../config/config.zig");
+const ansi = @import("../util/ansi.zig");
+
+/// Project-level build output: DIST_DIR/SHARED_DIR holds the shared
+/// modules, DIST_DIR/IMPORT_MAP_FILE the production import map.
+pub const DIST_DIR = "dist";
+pub const SHARED_DIR = "shared";
+pub const IMPORT_MAP_FILE = "importmap.json";
+/// Where `wu serve` exposes DIST_DIR/SHARED_DIR.
+pub const URL_PREFIX = "/@wu/shared/";
+
+// ── Public Types ────────────────────────────────────────────────────────────
+
+/// A directory whose package.json states which versions it accepts.
+pub const Owner = struct {
+    name: []const u8,
+    dir: []const u8,
+};
+
+pub const Package = struct {
+    /// Package name ("react-dom" for "react-dom/client").
+    name: []const u8,
+    /// Installed version every app loads; "" when no node_modules has it.
+    version: []const u8 = "",
+    /// Search dir whose node_modules provides it, probed before all others.
+    root: []const u8 = "",
+};
+
+pub const Plan = struct {
+    arena_state: std.heap.ArenaAllocator,
+    /// Specifiers listed in wu.config.json, in order.
+    specifiers: []const []const u8 = &.{},
+    /// One entry per distinct package among `specifiers`.
+    packages: []const Package = &.{},
+    /// Declared ranges the chosen copies do not satisfy.
+    conflicts: usize = 0,
+
+    pub fn deinit(self: *Plan) void {
+        self.arena_state.deinit();
+    }
+
+    /// The shared package `module_name` belongs to, if any.
+    pub fn find(self: *const Plan, module_name: []const u8) ?Package {
+        const name = resolve_mod.extractPackageName(module_name);
+        for (self.packages) |pkg| {
+            if (std.mem.eql(u8, pkg.name, name)) return pkg;
+        }
+        return null;
+    }
+
+    /// Whether `specifier` is listed exactly, i.e. has an import map entry.
+    pub fn isShared(self: *const Plan, specifier: []const u8) bool {
+        for (self.specifiers) |s| {
+            if (std.mem.eql(u8, s, specifier)) return true;
+        }
+        return false;
+    }
+
+    /// `search_dirs` with the pinned root of `module_name`'s package first.
+    /// Returns `search_dirs` unchanged for packages that are not shared.
+    pub fn searchDirsFor(
+        self: *const Plan,
+        module_name: []const u8,
+        search_dirs: []const []const u8,
+        buf: [][]const u8,
+    ) []const []const u8 {
+        const pkg = self.find(module_name) orelse return search_dirs;
+        if (pkg.root.len == 0 or buf.len < search_dirs.len + 1) return search_dirs;
+        buf[0] = pkg.root;
+        @memcpy(buf[1 .. search_dirs.len + 1], search_dirs);
+        return buf[0 .. search_dirs.len + 1];
+    }
+};
+
+pub const ImportMapEntry = struct {
+    specifier: []const u8,
+    url: []const u8,
+};
+
+// ── Planning ────────────────────────────────────────────────────────────────
+
+/// Check the singletons against every owner's package.json and choose the
+/// copy each app will load. Conflicts are printed as warnings and counted.
+///
+/// `search_dirs` are the node_modules roots in resolution order (apps,
+/// shell, project root) — with their parents (resolve.searchPath), the
+/// candidates a singleton can be served from.
+pub fn plan(
+    allocator: Allocator,
+    specifiers: []const []const u8,
+    owners: []const Owner,
+    search_dirs: []const []const u8,
+) !Plan {
+    var result: Plan = .{ .arena_state = std.heap.ArenaAllocator.init(allocator) };
+    errdefer result.arena_state.deinit();
+    const arena = result.arena_state.allocator();
+    const candidates = try resolve_mod.searchPath(arena, search_dirs);
+
+    var specs: std.ArrayList([]const u8) = .empty;
+    var packages: std.ArrayList(Package) = .empty;
+    for (specifiers) |spec| {
+        if (spec.len == 0) continue;
+        try specs.append(arena, try arena.dupe(u8, spec));
+
+        const name = resolve_mod.extractPackageName(spec);
+        var seen = false;
+        for (packages.items) |pkg| {
+            if (std.mem.eql(u8, pkg.name, name)) seen = true;
+        }
+        if (seen) continue;
+
+        const pkg = try choose(arena, name, owners, candidates, &result.conflicts);
+        try packages.append(arena, pkg);
+    }
+
+    result.specifiers = specs.items;
+    result.packages = packages.items;
+    return result;
+}
+
+/// `plan` for wu.config.json: every app and the shell are owners, and the
+/// candidates are probed in /@modules/ order (apps, shell, project root,
+/// then their parents). Directory strings are borrowed from `cfg`.
+pub fn planForConfig(allocator: Allocator, cfg: *const config_mod.WuConfig) !Plan {
+    var owners: std.ArrayList(Owner) = .empty;
+    defer owners.deinit(allocator);
+    var search_dirs: std.ArrayList([]const u8) = .empty;
+    defer search_dirs.deinit(allocator);
+
+    for (cfg.apps) |app| {
+        try owners.append(allocator, .{ .name = app.name, .dir = app.dir });
+        try search_dirs.append(allocator, app.dir);
+    }
+    if (cfg.shell.dir.len > 0) {
+        try owners.append(allocator, .{ .name = "shell", .dir = cfg.shell.dir });
+        try search_dirs.append(allocator, cfg.shell.dir);
+    }
+    try search_dirs.append(allocator, ".");
+
+    return plan(allocator, cfg.shared.singletons, owners.items, search_dirs.items);
+}
+
+/// Pick the first installed copy of `name` that every declared range
+/// accepts, falling back to the first copy found (what /@modules/ used to do).
+fn choose(
+    arena: Allocator,
+    name: []const u8,
+    owners: []const Owner,
+    search_dirs: []const []const u8,
+    conflicts: *usize,
+) !Package {
+    var ranges: std.ArrayList(?[]const u8) = .empty;
+    for (owners) |owner| try ranges.append(arena, try declaredRange(arena, owner.dir, name));
+
+    var pkg: Package = .{ .name = try arena.dupe(u8, name) };
+    for (search_dirs) |dir| {
+        const version = try installedVersion(arena, dir, name) orelse continue;
+        if (pkg.version.len == 0) {
+            pkg.version = version;
+            pkg.root = dir;
+        }
+        var accepted = true;
+        for (ranges.items) |range| {
+            const ok = satisfies(version, range orelse continue) orelse continue;
+            if (!ok) accepted = false;
+        }
+        if (accepted) {
+            pkg.version = version;
+            pkg.root = dir;
+            break;
+        }
+    }
+
+    if (pkg.version.len == 0) {
+        std.debug.print("  {s}⚠{s} shared {s}{s}{s} is not installed in any node_modules\n", .{
+            ansi.yellow, ansi.reset, ansi.bold, name, ansi.reset,
+        });
+        conflicts.* += 1;
+        return pkg;
+    }
+
+    for (owners, ranges.items) |owner, range| {
+        const r = range orelse continue;
+        const ok = satisfies(pkg.version, r) orelse continue;
+        if (ok) continue;
+        std.debug.print("  {s}⚠{s} shared {s}{s}{s}: {s} wants {s}, all apps get {s} {s}(from {s}/node_modules){s}\n", .{
+            ansi.yellow, ansi.reset, ansi.bold,  name, ansi.reset, owner.name, r,
+            pkg.version, ansi.dim,   pkg.root,   ansi.reset,
+        });
+        conflicts.* += 1;
+    }
+    return pkg;
+}
+
+/// The range `dir`/package.json gives for `name` in dependencies,
+/// peerDependencies or devDependencies (first found).
+fn declaredRange(arena: Allocator, dir: []const u8, name: []const u8) !?[]const u8 {
+    const path = try std.fmt.allocPrint(arena, "{s}/package.json", .{dir});
+    const json = std.fs.cwd().readFileAlloc(arena, path, 1024 * 1024) catch return null;
+    const fields = [_][]const u8{ "dependencies", "peerDependencies", "devDependencies" };
+    for (fields) |field| {
+        const region = resolve_mod.findFieldRegion(json, field) orelse continue;
+        if (resolve_mod.findStringField(region, name)) |range| return range;
+    }
+    return null;
+}
+
+/// "version" of `dir`/node_modules/`name`, or null when it is not installed.
+fn installedVersion(arena: Allocator, dir: []const u8, name: []const u8) !?[]const u8 {
+    const path = try std.fmt.allocPrint(arena, "{s}/node_modules/{s}/package.json", .{ dir, name });
+    const json = std.fs.cwd().readFileAlloc(arena, path, 1024 * 1024) catch return null;
+    return resolve_mod.findStringField(json, "version");
+}
+
+// ── Import Map ──────────────────────────────────────────────────────────────
+
+/// Write `{"imports": {...}}` for `entries`.
+pub fn writeImportMap(w: anytype, entries: []const ImportMapEntry) !void {
+    try w.writeAll("{\"imports\":{");
+    for (entries, 0..) |entry, i| {
+        if (i > 0) try w.writeAll(",");
+        try w.print("\"{s}\":\"{s}\"", .{ entry.specifier, entry.url });
+    }
+    try w.writeAll("}}");
+}
+
+/// Insert `<script type="importmap">` right after <head>: the map only
+/// applies to module scripts that come after it. Allocator-owned.
+pub fn injectImportMap(allocator: Allocator, html: []const u8, import_map: []const u8) ![]const u8 {
+    var anchor: usize = 0;
+    if (std.mem.indexOf(u8, html, "<head")) |head| {
+        if (std.mem.indexOfScalarPos(u8, html, head, '>')) |end| anchor = end + 1;
+    } else if (std.mem.indexOf(u8, html, "<script")) |script| {
+        anchor = script;
+    }
+
+    var out: std.ArrayList(u8) = .empty;
+    errdefer out.deinit(allocator);
+    try out.appendSlice(allocator, html[0..anchor]);
+    try out.appendSlice(allocator, "\n<script type=\"importmap\">");
+    try out.appendSlice(allocator, import_map);
+    try out.appendSlice(allocator, "</script>\n");
+    try out.appendSlice(allocator, html[anchor..]);
+    return out.toOwnedSlice(allocator);
+}
+
+// ── Version Ranges ──────────────────────────────────────────────────────────
+//
+// Enough of npm's semver to check what package.json files usually say:
+// exact and partial versions (1.2.3, 1.2, 1.x, *), ^ and ~, comparators
+// (>=, >, <, <=, =), space-separated sets and || alternatives. Prerelease
+// tags are ignored. Anything else (workspace:, npm:, file:, git URLs,
+// hyphen ranges) yields null — "can't tell", never a conflict.
+
+const Version = struct {
+    major: u32 = 0,
+    minor: u32 = 0,
+    patch: u32 = 0,
+
+    fn order(a: Version, b: Version) std.math.Order {
+        if (a.major != b.major) return std.math.order(a.major, b.major);
+        if (a.minor != b.minor) return std.math.order(a.minor, b.minor);
+        return std.math.order(a.patch, b.patch);
+    }
+};
+
+/// A possibly partial version: `parts` is how many leading numbers were given.
+const Partial = struct {
+    version: Version = .{},
+    parts: u2 = 0,
+};
+
+fn parsePartial(text: []const u8) ?Partial {
+    var t = text;
+    if (t.len > 0 and (t[0] == 'v' or t[0] == '=')) t = t[1..];
+    // Drop prerelease and build metadata
+    t = t[0 .. std.mem.indexOfAny(u8, t, "-+") orelse t.len];
+
+    var p: Partial = .{};
+    var it = std.mem.splitScalar(u8, t, '.');
+    while (it.next()) |part| {
+        if (part.len == 0) return null;
+        if (std.mem.eql(u8, part, "x") or std.mem.eql(u8, part, "X") or std.mem.eql(u8, part, "*")) break;
+        if (p.parts == 3) return null;
+        const n = std.fmt.parseInt(u32, part, 10) catch return null;
+        switch (p.parts) {
+            0 => p.version.major = n,
+            1 => p.version.minor = n,
+            else => p.version.patch = n,
+        }
+        p.parts += 1;
+    }
+    return p;
+}
+
+/// The first version above every version `p` matches (1.2 → 1.3.0).
+fn bumpPartial(p: Partial) Version {
+    return switch (p.parts) {
+        0 => .{ .major = std.math.maxInt(u32) },
+        1 => .{ .major = p.version.major + 1 },
+        2 => .{ .major = p.version.major, .minor = p.version.minor + 1 },
+        3 => .{ .major = p.version.major, .minor = p.version.minor, .patch = p.version.patch + 1 },
+    };
+}
+
+/// Whether `version` is in `range`; null when the range can't be evaluated.
+pub fn satisfies(version: []const u8, range: []const u8) ?bool {
+    const v = (parsePartial(std.mem.trim(u8, version, " ")) orelse return null).version;
+    const trimmed = std.mem.trim(u8, range, " \t");
+    if (trimmed.len == 0 or std.mem.eql(u8, trimmed, "latest")) return true;
+    if (std.mem.indexOfAny(u8, trimmed, ":/") != null or std.mem.indexOf(u8, trimmed, " - ") != null) return null;
+
+    var unknown = false;
+    var alternatives = std.mem.splitSequence(u8, trimmed, "||");
+    while (alternatives.next()) |set| {
+        if (satisfiesSet(v, set)) |ok| {
+            if (ok) return true;
+        } else {
+            unknown = true;
+        }
+    }
+    return if (unknown) null else false;
+}
+
+/// All space-separated comparators in `set` must hold.
+fn satisfiesSet(v: Version, set: []const u8) ?bool {
+    var tokens = std.mem.tokenizeAny(u8, set, " \t");
+    var pending_op: []const u8 = "";
+    while (tokens.next()) |token| {
+        // ">= 1.2.3": the operator is its own token
+        if (std.mem.trim(u8, token, "<>=^~").len == 0) {
+            pending_op = token;
+            continue;
+        }
+        const op_len = std.mem.indexOfNone(u8, token, "<>=^~") orelse token.len;
+        const op = if (pending_op.len > 0) pending_op else token[0..op_len];
+        pending_op = "";
+        const p = parsePartial(token[op_len..]) orelse return null;
+        if (!satisfiesComparator(v, op, p)) return false;
+    }
+    return true;
+}
+
+fn satisfiesComparator(v: Version, op: []const u8, p: Partial) bool {
+    const eql = std.mem.eql;
+    const lo = p.version;
+    if (eql(u8, op, ">=")) return v.order(lo) != .lt;
+    if (eql(u8, op, ">")) return if (p.parts == 3) v.order(lo) == .gt else v.order(bumpPartial(p)) != .lt;
+    if (eql(u8, op, "<")) return v.order(lo) == .lt;
+    if (eql(u8, op, "<=")) return if (p.parts == 3) v.order(lo) != .gt else v.order(bumpPartial(p)) == .lt;
+
+    var hi: Version = bumpPartial(p);
+    if (eql(u8, op, "^")) {
+        // Up to the next change of the left-most non-zero part
+        if (p.version.major > 0 or p.parts <= 1) {
+            hi = .{ .major = lo.major + 1 };
+        } else if (p.version.minor > 0 or p.parts == 2) {
+            hi = .{ .minor = lo.minor + 1 };
+        } else {
+            hi = .{ .patch = lo.patch + 1 };
+        }
+    } else if (eql(u8, op, "~")) {
+        hi = if (p.parts <= 1) .{ .major = lo.major + 1 } else .{ .major = lo.major, .minor = lo.minor + 1 };
+    }
+    return v.order(lo) != .lt and v.order(hi) == .lt;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "satisfies - caret and tilde" {
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.2.0", "^18.0.0"));
+    try std.testing.expectEqual(@as(?bool, false), satisfies("17.0.2", "^18.0.0"));
+    try std.testing.expectEqual(@as(?bool, false), satisfies("0.3.0", "^0.2.1"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("0.2.9", "^0.2.1"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("3.4.21", "~3.4.0"));
+    try std.testing.expectEqual(@as(?bool, false), satisfies("3.5.0", "~3.4.0"));
+}
+
+test "satisfies - partials, comparators and alternatives" {
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.3.1", "18"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.3.1", "18.x"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.3.1", "*"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.3.1", ">=16.8.0 <19"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("18.3.1", ">= 16.8"));
+    try std.testing.expectEqual(@as(?bool, false), satisfies("19.0.0", ">=16.8.0 <19"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("17.0.2", "^16.8.0 || ^17.0.0"));
+    try std.testing.expectEqual(@as(?bool, true), satisfies("19.0.0-rc.1", "^19.0.0"));
+}
+
+test "satisfies - unknown protocols are not conflicts" {
+    try std.testing.expectEqual(@as(?bool, null), satisfies("1.0.0", "workspace:*"));
+    try std.testing.expectEqual(@as(?bool, null), satisfies("1.0.0", "github:user/repo"));
+    try std.testing.expectEqual(@as(?bool, null), satisfies("1.0.0", "1.0.0 - 2.0.0"));
+}
+
+test "injectImportMap goes before every module script" {
+    const html = "<html><head><script type=\"module\" src=\"/main.js\"></script></head></html>";
+    const out = try injectImportMap(std.testing.allocator, html, "{\"imports\":{}}");
+    defer std.testing.allocator.free(out);
+    try std.testing.expect(std.mem.startsWith(u8, out, "<html><head>\n<script type=\"importmap\">{\"imports\":{}}</script>\n<script type=\"module\""));
+}
@@ -0,0 +1,15 @@
+// WU Runtime — Test Tools
+//
+// Helpers for tests that drive an external program (openssl, curl) against
+// the runtime. Imported only from test code.
+
+const std = @import("std");
+
+/// Whether `argv` runs and exits 0.
+pub fn haveTool(argv: []const []const u8) bool {
+    const allocator = std.testing.allocator;
+    const result = std.process.Child.run(.{ .allocator = allocator, .argv = argv }) catch return false;
+    allocator.free(result.stdout);
+    allocator.free(result.stderr);
+    return result.term == .Exited and result.term.Exited == 0;
+}
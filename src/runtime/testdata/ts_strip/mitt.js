@@ -0,0 +1,86 @@
+// Modeled on mitt, the typed event emitter, plus an overloaded promise
+// timeout helper and a `<T,>` generic arrow.
+                                       
+                                                     
+                                                                                                     
+                                                             
+                                                                                             
+                                                                             
+                     
+                                                                           
+ 
+
+                                                                     
+                              
+                                                                              
+                                                       
+                                                                     
+                                                                                         
+ 
+
+export default function mitt                                           (
+  all                          ,
+)                  {
+                                                                                    
+  all = all || new Map()
+
+  return {
+    all,
+    on                          (type     , handler                     ) {
+      const handlers                                         = all .get(type)
+      if (handlers) {
+        handlers.push(handler)
+      } else {
+        all .set(type, [handler]                                          )
+      }
+    },
+    emit                          (type     , evt              ) {
+      let handlers = all .get(type)
+      if (handlers) {
+        (handlers                                          )
+          .slice()
+          .map((handler) => {
+            handler(evt )
+          })
+      }
+      handlers = all .get('*')
+      if (handlers) {
+        (handlers                                    )
+          .slice()
+          .map((handler) => {
+            handler(type, evt )
+          })
+      }
+    },
+  }
+}
+
+export const once =     (fn                    ) => {
+  let done = false
+  return (value   )       => {
+    if (done) return
+    done = true
+    fn(value)
+  }
+}
+
+                                                                       
+                                                                                    
+export function timeout   (promise            , ms        , fallback    )             {
+  return new Promise   ((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (fallback !== undefined) resolve(fallback     )
+      else reject(new Error(`Timed out after ${ms}ms`))
+    }, ms)
+    promise.then(
+      (value) => {
+        clearTimeout(timer)
+        resolve(value)
+      },
+      (error         ) => {
+        clearTimeout(timer)
+        reject(error)
+      },
+    )
+  })
+}
@@ -0,0 +1,44 @@
+// Modeled on vue-router's createRouter(): a plugin that augments globals
+// and Vue's component types next to the code that installs it.
+                                            
+
+                
+                    
+                                           
+   
+                      
+                                          
+ 
+
+                      
+                                       
+                   
+   
+ 
+
+                         
+                                 
+                                         
+ 
+
+export const routerKey                       = Symbol(__DEV__ ? 'router' : '')
+
+export function createRouter(routes                                                )                                       {
+  const known = new Set(routes.map((route) => route.path))
+  const current = { path: window.location.pathname }
+  const router = {
+    currentRoute: current,
+    async push(to        )                {
+      if (__DEV__ && !known.has(to)) console.warn(`[router] no route matches ${to}`)
+      current.path = to
+      window.history.pushState(window.__APP_STATE__ ?? null, '', to)
+    },
+    install(app     ) {
+      app.provide(routerKey, router)
+      app.config.globalProperties.$router = router
+    },
+  }                                               
+  return router
+}
+
+export {}
@@ -0,0 +1,44 @@
+// Modeled on vue-router's createRouter(): a plugin that augments globals
+// and Vue's component types next to the code that installs it.
+import type { App, InjectionKey } from 'vue'
+
+declare global {
+  interface Window {
+    __APP_STATE__?: Record<string, unknown>
+  }
+  var __DEV__: boolean
+  function structuredClone<T>(value: T): T
+}
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $router: Router
+  }
+}
+
+export interface Router {
+  push(to: string): Promise<void>
+  readonly currentRoute: { path: string }
+}
+
+export const routerKey: InjectionKey<Router> = Symbol(__DEV__ ? 'router' : '')
+
+export function createRouter(routes: ReadonlyArray<{ path: string; name?: string }>): Router & { install(app: App): void } {
+  const known = new Set(routes.map((route) => route.path))
+  const current = { path: window.location.pathname }
+  const router = {
+    currentRoute: current,
+    async push(to: string): Promise<void> {
+      if (__DEV__ && !known.has(to)) console.warn(`[router] no route matches ${to}`)
+      current.path = to
+      window.history.pushState(window.__APP_STATE__ ?? null, '', to)
+    },
+    install(app: App) {
+      app.provide(routerKey, router)
+      app.config.globalProperties.$router = router
+    },
+  } satisfies Router & { install(app: App): void }
+  return router
+}
+
+export {}
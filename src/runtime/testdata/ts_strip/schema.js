@@ -0,0 +1,97 @@
+// Modeled on zod's ZodType class hierarchy: abstract members, overloaded
+// parse(), `this` types, and `as const` / `satisfies` message tables.
+                            
+                              
+                                       
+
+                        
+                     
+                             
+ 
+
+const issueCodes = ['invalid_type', 'too_small', 'too_big', 'custom']         
+                                                   
+
+export const messages = {
+  invalid_type: (expected        , received        ) => `Expected ${expected}, received ${received}`,
+  too_small: (min        ) => `Must be at least ${min}`,
+  too_big: (max        ) => `Must be at most ${max}`,
+  custom: () => 'Invalid input',
+}                                                                 
+
+export const defaults = ({ abortEarly: false, coerce: { number: true } }         )                                
+
+export class ZodError extends Error {
+           issues                                                               
+  constructor(issues                    ) {
+    super(issues.map((i) => i.message).join('\n'))
+    this.issues = issues
+  }
+}
+
+export          class ZodType                                                                                        {
+           _type         
+           _input        
+                            
+                                          
+
+                                                                                 
+                                                
+
+  constructor(def     ) {
+    Object.defineProperty(this, '_def', { value: def })
+  }
+
+                              
+                                                                       
+  parse(data         , options                                 )         {
+    const result = this.safeParse(data, options)
+    if (result.success) return result.data
+    throw result.error
+  }
+
+  safeParse(data         , options                                 )                      {
+    return this._parse(data, options?.path ?? [])
+  }
+
+  optional()                    {
+    return new ZodOptional({ typeName: 'ZodOptional', innerType: this })                     
+  }
+
+  isOptional()                                       {
+    return this.safeParse(undefined).success
+  }
+}
+
+export class ZodOptional                    extends ZodType                                                                    {
+                     kind = 'optional'
+
+  _parse(input         , path                     )                                      {
+    if (input === undefined) return { success: true, data: undefined }
+    return this._def.innerType._parse(input, path)
+  }
+
+  get description() {
+    return this._def.innerType.description
+  }
+}
+
+export class ZodString extends ZodType                                                      {
+                     kind = 'string'
+
+  get description()                     {
+    return this._def.message
+  }
+
+  _parse(input         , path                     )                      {
+    if (typeof input === 'string') return { success: true, data: input }
+    const message = this._def.message ?? messages.invalid_type('string', typeof input)
+    return { success: false, error: new ZodError([{ path, message }]) }
+  }
+}
+
+                                   
+                                                               
+export function string(params                       )            {
+  return new ZodString({ typeName: 'ZodString', message: params?.message })
+}
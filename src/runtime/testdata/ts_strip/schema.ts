@@ -0,0 +1,97 @@
+// Modeled on zod's ZodType class hierarchy: abstract members, overloaded
+// parse(), `this` types, and `as const` / `satisfies` message tables.
+export type ParseResult<T> =
+  | { success: true; data: T }
+  | { success: false; error: ZodError }
+
+interface ParseOptions {
+  abortEarly: boolean
+  coerce: { number: boolean }
+}
+
+const issueCodes = ['invalid_type', 'too_small', 'too_big', 'custom'] as const
+export type IssueCode = (typeof issueCodes)[number]
+
+export const messages = {
+  invalid_type: (expected: string, received: string) => `Expected ${expected}, received ${received}`,
+  too_small: (min: number) => `Must be at least ${min}`,
+  too_big: (max: number) => `Must be at most ${max}`,
+  custom: () => 'Invalid input',
+} as const satisfies Record<IssueCode, (...args: any[]) => string>
+
+export const defaults = ({ abortEarly: false, coerce: { number: true } } as const) satisfies Partial<ParseOptions>
+
+export class ZodError extends Error {
+  readonly issues: ReadonlyArray<{ path: (string | number)[]; message: string }>
+  constructor(issues: ZodError['issues']) {
+    super(issues.map((i) => i.message).join('\n'))
+    this.issues = issues
+  }
+}
+
+export abstract class ZodType<Output = any, Def extends { typeName: string } = { typeName: string }, Input = Output> {
+  readonly _type!: Output
+  readonly _input!: Input
+  declare readonly _def: Def
+  protected abstract readonly kind: string
+
+  abstract _parse(input: unknown, path: (string | number)[]): ParseResult<Output>
+  abstract get description(): string | undefined
+
+  constructor(def: Def) {
+    Object.defineProperty(this, '_def', { value: def })
+  }
+
+  parse(data: unknown): Output
+  parse(data: unknown, options: { path?: (string | number)[] }): Output
+  parse(data: unknown, options?: { path?: (string | number)[] }): Output {
+    const result = this.safeParse(data, options)
+    if (result.success) return result.data
+    throw result.error
+  }
+
+  safeParse(data: unknown, options?: { path?: (string | number)[] }): ParseResult<Output> {
+    return this._parse(data, options?.path ?? [])
+  }
+
+  optional(): ZodOptional<this> {
+    return new ZodOptional({ typeName: 'ZodOptional', innerType: this }) as ZodOptional<this>
+  }
+
+  isOptional(): this is ZodOptional<ZodType<Output>> {
+    return this.safeParse(undefined).success
+  }
+}
+
+export class ZodOptional<T extends ZodType> extends ZodType<T['_type'] | undefined, { typeName: 'ZodOptional'; innerType: T }> {
+  protected readonly kind = 'optional'
+
+  _parse(input: unknown, path: (string | number)[]): ParseResult<T['_type'] | undefined> {
+    if (input === undefined) return { success: true, data: undefined }
+    return this._def.innerType._parse(input, path)
+  }
+
+  get description() {
+    return this._def.innerType.description
+  }
+}
+
+export class ZodString extends ZodType<string, { typeName: 'ZodString'; message?: string }> {
+  protected readonly kind = 'string'
+
+  get description(): string | undefined {
+    return this._def.message
+  }
+
+  _parse(input: unknown, path: (string | number)[]): ParseResult<string> {
+    if (typeof input === 'string') return { success: true, data: input }
+    const message = this._def.message ?? messages.invalid_type('string', typeof input)
+    return { success: false, error: new ZodError([{ path, message }]) }
+  }
+}
+
+export function string(): ZodString
+export function string(params: { message?: string }): ZodString
+export function string(params?: { message?: string }): ZodString {
+  return new ZodString({ typeName: 'ZodString', message: params?.message })
+}
@@ -0,0 +1,57 @@
+// Modeled on @tanstack/react-query's useQuery hook and a generic list
+// component from a React app: generics and JSX side by side.
+import * as React from 'react'
+                                                      
+import { QueryObserver,                          } from './queryObserver'
+
+                                                                   
+                    
+                                
+                   
+                                 
+                               
+ 
+
+const defaultOptions = {
+  staleTime: 0,
+  retry: 3,
+}                                                   
+
+export function useQuery                                 (
+  options                                ,
+)                                     {
+  const [observer] = React.useState(
+    () => new QueryObserver               ({ ...defaultOptions, ...options }),
+  )
+  const result = React.useSyncExternalStore(
+    React.useCallback((onChange            ) => observer.subscribe(onChange), [observer]),
+    () => observer.getCurrentResult(),
+  )
+  return result                                      
+}
+
+export const identity =     (x   )    => x
+
+                     
+                     
+                                               
+                                       
+ 
+
+export function List                          ({ items, getKey, render = identity                                 }              ) {
+  const [selected, setSelected] = React.useState          (null)
+  return (
+    <ul className="list" aria-activedescendant={selected?.id}>
+      {items.map((item, index) => (
+        <li key={getKey(item, index)} onClick={() => setSelected(item     )}>
+          {render(item)}
+        </li>
+      ))}
+      {selected !== null && <Details item={selected } />}
+    </ul>
+  )
+}
+
+function Details                          ({ item }             ) {
+  return <pre>{JSON.stringify(item                         , null, 2)}</pre>
+}
@@ -0,0 +1,57 @@
+// Modeled on @tanstack/react-query's useQuery hook and a generic list
+// component from a React app: generics and JSX side by side.
+import * as React from 'react'
+import type { QueryKey, QueryFunction } from './types'
+import { QueryObserver, type QueryObserverResult } from './queryObserver'
+
+export interface UseQueryOptions<TData = unknown, TError = Error> {
+  queryKey: QueryKey
+  queryFn?: QueryFunction<TData>
+  enabled?: boolean
+  select?: (data: TData) => TData
+  onError?(error: TError): void
+}
+
+const defaultOptions = {
+  staleTime: 0,
+  retry: 3,
+} as const satisfies Partial<Record<string, number>>
+
+export function useQuery<TData = unknown, TError = Error>(
+  options: UseQueryOptions<TData, TError>,
+): QueryObserverResult<TData, TError> {
+  const [observer] = React.useState(
+    () => new QueryObserver<TData, TError>({ ...defaultOptions, ...options }),
+  )
+  const result = React.useSyncExternalStore(
+    React.useCallback((onChange: () => void) => observer.subscribe(onChange), [observer]),
+    () => observer.getCurrentResult(),
+  )
+  return result as QueryObserverResult<TData, TError>
+}
+
+export const identity = <T,>(x: T): T => x
+
+type ListProps<T> = {
+  items: readonly T[]
+  getKey: (item: T, index: number) => React.Key
+  render?: (item: T) => React.ReactNode
+}
+
+export function List<T extends { id: string }>({ items, getKey, render = identity as (item: T) => React.ReactNode }: ListProps<T>) {
+  const [selected, setSelected] = React.useState<T | null>(null)
+  return (
+    <ul className="list" aria-activedescendant={selected?.id}>
+      {items.map((item, index) => (
+        <li key={getKey(item, index)} onClick={() => setSelected(item as T)}>
+          {render(item)}
+        </li>
+      ))}
+      {selected !== null && <Details item={selected!} />}
+    </ul>
+  )
+}
+
+function Details<T extends { id: string }>({ item }: { item: T }) {
+  return <pre>{JSON.stringify(item satisfies { id: string }, null, 2)}</pre>
+}
@@ -0,0 +1,853 @@
+// WU Runtime — TLS 1.3 Server
+//
+// Just enough TLS for `wu dev --https`: the TLS 1.3 handshake (RFC 8446)
+// with x25519, TLS_AES_128_GCM_SHA256 and an ECDSA P-256 certificate from
+// cert.zig, ALPN to pick HTTP/2, and the record layer. No resumption, no
+// client certificates, no TLS 1.2 — every current browser speaks 1.3.
+// std.crypto has the primitives (and a TLS client), but no server.
+//
+// A Connection wraps an accepted socket. read() and writeAll() may run on
+// different threads at once; writes are serialized by a mutex.
+
+const std = @import("std");
+const builtin = @import("builtin");
+const crypto = std.crypto;
+const Allocator = std.mem.Allocator;
+const cert_mod = @import("cert.zig");
+const dev_server = @import("dev_server.zig");
+const test_tools = @import("test_tools.zig");
+
+const platformRead = dev_server.platformRead;
+const platformWrite = dev_server.platformWrite;
+
+const Sha256 = crypto.hash.sha2.Sha256;
+const Hkdf = crypto.kdf.hkdf.HkdfSha256;
+const Hmac = crypto.auth.hmac.sha2.HmacSha256;
+const Aead = crypto.aead.aes_gcm.Aes128Gcm;
+const X25519 = crypto.dh.X25519;
+
+/// Largest plaintext in one record (RFC 8446 §5.1)
+pub const MAX_PLAINTEXT = 1 << 14;
+/// Largest ciphertext we accept: plaintext, content type, padding, tag
+const MAX_CIPHERTEXT = MAX_PLAINTEXT + 256;
+const RECORD_HEADER = 5;
+/// One handshake message. A ClientHello with post-quantum key shares is ~2 KB.
+const MAX_HANDSHAKE = 1 << 15;
+
+// Content types
+const CHANGE_CIPHER_SPEC: u8 = 20;
+const ALERT: u8 = 21;
+const HANDSHAKE: u8 = 22;
+const APPLICATION_DATA: u8 = 23;
+
+// Handshake types
+const CLIENT_HELLO: u8 = 1;
+const SERVER_HELLO: u8 = 2;
+const ENCRYPTED_EXTENSIONS: u8 = 8;
+const CERTIFICATE: u8 = 11;
+const CERTIFICATE_VERIFY: u8 = 15;
+const FINISHED: u8 = 20;
+const KEY_UPDATE: u8 = 24;
+
+// Extensions
+const EXT_SIGNATURE_ALGORITHMS: u16 = 13;
+const EXT_ALPN: u16 = 16;
+const EXT_SUPPORTED_VERSIONS: u16 = 43;
+const EXT_KEY_SHARE: u16 = 51;
+
+const LEGACY_VERSION: u16 = 0x0303;
+const TLS_1_3: u16 = 0x0304;
+const AES_128_GCM_SHA256: u16 = 0x1301;
+const X25519_GROUP: u16 = 0x001d;
+const ECDSA_SECP256R1_SHA256: u16 = 0x0403;
+
+// Alert descriptions
+const ALERT_CLOSE_NOTIFY: u8 = 0;
+const ALERT_UNEXPECTED_MESSAGE: u8 = 10;
+const ALERT_BAD_RECORD_MAC: u8 = 20;
+const ALERT_HANDSHAKE_FAILURE: u8 = 40;
+const ALERT_ILLEGAL_PARAMETER: u8 = 47;
+const ALERT_DECODE_ERROR: u8 = 50;
+const ALERT_DECRYPT_ERROR: u8 = 51;
+const ALERT_PROTOCOL_VERSION: u8 = 70;
+const ALERT_INTERNAL_ERROR: u8 = 80;
+
+pub const TlsError = error{
+    /// Nothing in the ClientHello we can use (no TLS 1.3, x25519 or AES-GCM)
+    HandshakeFailure,
+    /// Malformed or out-of-order message
+    UnexpectedMessage,
+    /// A record failed authentication
+    BadRecordMac,
+    RecordOverflow,
+    /// The client sent a fatal alert, e.g. it does not trust the certificate
+    AlertReceived,
+};
+
+pub const Protocol = enum { http1, h2 };
+
+pub const Options = struct {
+    /// Offer HTTP/2 through ALPN
+    h2: bool = true,
+};
+
+// ── Connection ──────────────────────────────────────────────────────────────
+
+pub const Connection = struct {
+    stream: std.net.Stream,
+    /// Chosen by ALPN during the handshake
+    protocol: Protocol = .http1,
+    /// Description of the last alert the client sent, if any
+    peer_alert: ?u8 = null,
+
+    read_keys: TrafficKeys = undefined,
+    write_keys: TrafficKeys = undefined,
+    /// Alerts go out encrypted once the server's handshake keys are in use
+    encrypting: bool = false,
+    closed: bool = false,
+    write_mutex: std.Thread.Mutex = .{},
+
+    // Raw records from the socket
+    in_buf: [RECORD_HEADER + MAX_CIPHERTEXT]u8 = undefined,
+    in_start: usize = 0,
+    in_end: usize = 0,
+    // Decrypted application data not yet returned by read()
+    plain_buf: [MAX_CIPHERTEXT]u8 = undefined,
+    plain_start: usize = 0,
+    plain_end: usize = 0,
+
+    /// Run the server side of the handshake. On error the connection is
+    /// unusable; an alert has been sent when there was one to send.
+    pub fn handshake(self: *Connection, allocator: Allocator, identity: *const cert_mod.Identity, options: Options) !void {
+        var msg_buf: [MAX_HANDSHAKE]u8 = undefined;
+        const client_hello = try self.readHandshake(&msg_buf, false);
+        if (client_hello[0] != CLIENT_HELLO) return self.fail(ALERT_UNEXPECTED_MESSAGE, error.UnexpectedMessage);
+        const hello = parseClientHello(client_hello[4..]) catch |err| return self.fail(ALERT_DECODE_ERROR, err);
+        if (!hello.tls13) return self.fail(ALERT_PROTOCOL_VERSION, error.HandshakeFailure);
+        if (!hello.aes_gcm or !hello.ecdsa) return self.fail(ALERT_HANDSHAKE_FAILURE, error.HandshakeFailure);
+        // Browsers always send an x25519 share, so no HelloRetryRequest
+        const client_share = hello.key_share orelse return self.fail(ALERT_HANDSHAKE_FAILURE, error.HandshakeFailure);
+
+        const key_pair = X25519.KeyPair.generate();
+        const shared = X25519.scalarmult(key_pair.secret_key, client_share) catch
+            return self.fail(ALERT_ILLEGAL_PARAMETER, error.HandshakeFailure);
+
+        const use_h2 = options.h2 and hello.h2;
+        const alpn: ?[]const u8 = if (use_h2) "h2" else if (hello.http1) "http/1.1" else null;
+        self.protocol = if (use_h2) .h2 else .http1;
+
+        var transcript = Sha256.init(.{});
+        transcript.update(client_hello);
+
+        var out: Builder = .{ .allocator = allocator };
+        defer out.list.deinit(allocator);
+
+        // ServerHello, in the clear
+        const server_hello = try out.begin(SERVER_HELLO);
+        try out.int(u16, LEGACY_VERSION);
+        var random: [32]u8 = undefined;
+        crypto.random.bytes(&random);
+        try out.bytes(&random);
+        try out.vec(u8, hello.session_id);
+        try out.int(u16, AES_128_GCM_SHA256);
+        try out.int(u8, 0); // compression
+        const hello_exts = try out.beginLength(u16);
+        try out.int(u16, EXT_SUPPORTED_VERSIONS);
+        try out.int(u16, 2);
+        try out.int(u16, TLS_1_3);
+        try out.int(u16, EXT_KEY_SHARE);
+        try out.int(u16, 2 + 2 + 32);
+        try out.int(u16, X25519_GROUP);
+        try out.vec(u16, &key_pair.public_key);
+        out.endLength(u16, hello_exts);
+        out.end(server_hello);
+
+        transcript.update(out.list.items);
+        try self.writePlainRecord(HANDSHAKE, out.list.items);
+        // Middlebox compatibility (RFC 8446 §D.4); browsers expect it
+        try self.writePlainRecord(CHANGE_CIPHER_SPEC, &.{1});
+
+        // Key schedule (RFC 8446 §7.1), no PSK
+        const zeroes = [_]u8{0} ** 32;
+        const early_secret = Hkdf.extract(&.{}, &zeroes);
+        const early_derived = deriveSecret(early_secret, "derived", emptyHash());
+        const handshake_secret = Hkdf.extract(&early_derived, &shared);
+        const hello_hash = transcriptHash(transcript);
+        const client_handshake = TrafficKeys.init(deriveSecret(handshake_secret, "c hs traffic", hello_hash));
+        self.write_keys = TrafficKeys.init(deriveSecret(handshake_secret, "s hs traffic", hello_hash));
+        self.encrypting = true;
+        const handshake_derived = deriveSecret(handshake_secret, "derived", emptyHash());
+        const master_secret = Hkdf.extract(&handshake_derived, &zeroes);
+
+        // EncryptedExtensions, Certificate, CertificateVerify, Finished
+        out.list.clearRetainingCapacity();
+        const extensions = try out.begin(ENCRYPTED_EXTENSIONS);
+        const ee_exts = try out.beginLength(u16);
+        if (alpn) |protocol| {
+            try out.int(u16, EXT_ALPN);
+            const ext = try out.beginLength(u16);
+            const list = try out.beginLength(u16);
+            try out.vec(u8, protocol);
+            out.endLength(u16, list);
+            out.endLength(u16, ext);
+        }
+        out.endLength(u16, ee_exts);
+        out.end(extensions);
+
+        const certificate = try out.begin(CERTIFICATE);
+        try out.int(u8, 0); // certificate_request_context
+        const cert_list = try out.beginLength(u24);
+        for (identity.chain) |der| {
+            try out.vec(u24, der);
+            try out.int(u16, 0); // no per-certificate extensions
+        }
+        out.endLength(u24, cert_list);
+        out.end(certificate);
+        transcript.update(out.list.items);
+
+        const verify_start = out.list.items.len;
+        const signed = certificateVerifyContent(transcriptHash(transcript));
+        const signature = identity.key_pair.sign(&signed, null) catch
+            return self.fail(ALERT_INTERNAL_ERROR, error.HandshakeFailure);
+        var sig_buf: [cert_mod.Ecdsa.Signature.der_encoded_length_max]u8 = undefined;
+        const verify = try out.begin(CERTIFICATE_VERIFY);
+        try out.int(u16, ECDSA_SECP256R1_SHA256);
+        try out.vec(u16, signature.toDer(&sig_buf));
+        out.end(verify);
+        transcript.update(out.list.items[verify_start..]);
+
+        const finished_start = out.list.items.len;
+        const verify_data = finishedMac(self.write_keys.secret, transcriptHash(transcript));
+        const finished = try out.begin(FINISHED);
+        try out.bytes(&verify_data);
+        out.end(finished);
+        transcript.update(out.list.items[finished_start..]);
+
+        try self.writeRecords(HANDSHAKE, out.list.items);
+
+        // The client's Finished covers everything up to ours
+        const server_done = transcriptHash(transcript);
+        self.read_keys = client_handshake;
+        const client_finished = try self.readHandshake(&msg_buf, true);
+        if (client_finished[0] != FINISHED or client_finished.len != 4 + 32) {
+            return self.fail(ALERT_UNEXPECTED_MESSAGE, error.UnexpectedMessage);
+        }
+        const expected = finishedMac(client_handshake.secret, server_done);
+        if (!crypto.timing_safe.eql([32]u8, expected, client_finished[4..36].*)) {
+            return self.fail(ALERT_DECRYPT_ERROR, error.HandshakeFailure);
+        }
+
+        self.read_keys = TrafficKeys.init(deriveSecret(master_secret, "c ap traffic", server_done));
+        self.write_keys = TrafficKeys.init(deriveSecret(master_secret, "s ap traffic", server_done));
+    }
+
+    /// Application data into `buf`. Returns 0 once the client has closed.
+    pub fn read(self: *Connection, buf: []u8) !usize {
+        while (self.plain_start == self.plain_end) {
+            if (self.closed) return 0;
+            const record = self.nextRecord() catch |err| switch (err) {
+                error.EndOfStream => return 0,
+                else => return err,
+            };
+            if (record.content_type == CHANGE_CIPHER_SPEC) continue;
+            if (record.content_type != APPLICATION_DATA) return error.UnexpectedMessage;
+
+            const inner = try self.read_keys.open(&self.plain_buf, record.header, record.payload);
+            switch (inner.content_type) {
+                APPLICATION_DATA => {
+                    self.plain_start = 0;
+                    self.plain_end = inner.data.len;
+                },
+                ALERT => {
+                    if (inner.data.len == 2 and inner.data[1] == ALERT_CLOSE_NOTIFY) {
+                        self.closed = true;
+                        return 0;
+                    }
+                    if (inner.data.len == 2) self.peer_alert = inner.data[1];
+                    return error.AlertReceived;
+                },
+                HANDSHAKE => try self.postHandshake(inner.data),
+                else => return error.UnexpectedMessage,
+            }
+        }
+        const n = @min(buf.len, self.plain_end - self.plain_start);
+        @memcpy(buf[0..n], self.plain_buf[self.plain_start..][0..n]);
+        self.plain_start += n;
+        return n;
+    }
+
+    /// Send application data. Safe to call from several threads.
+    pub fn writeAll(self: *Connection, data: []const u8) !void {
+        self.write_mutex.lock();
+        defer self.write_mutex.unlock();
+        try self.writeRecords(APPLICATION_DATA, data);
+    }
+
+    /// Send close_notify. The socket stays open; its owner closes it.
+    pub fn close(self: *Connection) void {
+        self.write_mutex.lock();
+        defer self.write_mutex.unlock();
+        self.writeRecords(ALERT, &.{ 1, ALERT_CLOSE_NOTIFY }) catch {};
+    }
+
+    /// Handshake messages after the handshake: KeyUpdate is honored, the
+    /// rest ignored.
+    fn postHandshake(self: *Connection, data: []const u8) !void {
+        var rest = data;
+        while (rest.len >= 4) {
+            const len = messageLength(rest);
+            if (rest.len < 4 + len) return error.UnexpectedMessage;
+            if (rest[0] == KEY_UPDATE) {
+                if (len != 1) return error.UnexpectedMessage;
+                self.read_keys = self.read_keys.next();
+                if (rest[4] == 1) { // update_requested
+                    self.write_mutex.lock();
+                    defer self.write_mutex.unlock();
+                    try self.writeRecords(HANDSHAKE, &.{ KEY_UPDATE, 0, 0, 1, 0 });
+                    self.write_keys = self.write_keys.next();
+                }
+            }
+            rest = rest[4 + len ..];
+        }
+    }
+
+    /// One whole handshake message, header included, reassembled from as
+    /// many records as it takes.
+    fn readHandshake(self: *Connection, buf: []u8, encrypted: bool) ![]const u8 {
+        var len: usize = 0;
+        while (true) {
+            if (len >= 4) {
+                const msg_len = 4 + messageLength(buf[0..len]);
+                if (msg_len > buf.len) return self.fail(ALERT_DECODE_ERROR, error.RecordOverflow);
+                if (len == msg_len) return buf[0..len];
+                // Coalesced messages never happen at the two points we read
+                if (len > msg_len) return self.fail(ALERT_UNEXPECTED_MESSAGE, error.UnexpectedMessage);
+            }
+
+            const record = try self.nextRecord();
+            var content_type = record.content_type;
+            var payload = record.payload;
+            if (content_type == CHANGE_CIPHER_SPEC) continue;
+            if (encrypted and content_type == APPLICATION_DATA) {
+                const inner = self.read_keys.open(&self.plain_buf, record.header, record.payload) catch |err|
+                    return self.fail(ALERT_BAD_RECORD_MAC, err);
+                content_type = inner.content_type;
+                payload = inner.data;
+            } else if (encrypted and content_type != ALERT) {
+                return self.fail(ALERT_UNEXPECTED_MESSAGE, error.UnexpectedMessage);
+            }
+
+            if (content_type == ALERT) {
+                if (payload.len == 2) self.peer_alert = payload[1];
+                return error.AlertReceived;
+            }
+            if (content_type != HANDSHAKE) return self.fail(ALERT_UNEXPECTED_MESSAGE, error.UnexpectedMessage);
+            if (len + payload.len > buf.len) return self.fail(ALERT_DECODE_ERROR, error.RecordOverflow);
+            @memcpy(buf[len..][0..payload.len], payload);
+            len += payload.len;
+        }
+    }
+
+    const Record = struct {
+        content_type: u8,
+        header: []const u8,
+        payload: []const u8,
+    };
+
+    /// The next raw record. Its slices are valid until the next call.
+    fn nextRecord(self: *Connection) !Record {
+        while (true) {
+            const avail = self.in_buf[self.in_start..self.in_end];
+            if (avail.len >= RECORD_HEADER) {
+                const len = std.mem.readInt(u16, avail[3..5], .big);
+                if (len > MAX_CIPHERTEXT) return self.fail(ALERT_DECODE_ERROR, error.RecordOverflow);
+                if (avail.len >= RECORD_HEADER + len) {
+                    self.in_start += RECORD_HEADER + len;
+                    return .{
+                        .content_type = avail[0],
+                        .header = avail[0..RECORD_HEADER],
+                        .payload = avail[RECORD_HEADER..][0..len],
+                    };
+                }
+            }
+            // Move the partial record to the front, then read the rest
+            if (self.in_start > 0) {
+                std.mem.copyForwards(u8, self.in_buf[0..avail.len], avail);
+                self.in_start = 0;
+                self.in_end = avail.len;
+            }
+            const n = try platformRead(self.stream, self.in_buf[self.in_end..]);
+            if (n == 0) return error.EndOfStream;
+            self.in_end += n;
+        }
+    }
+
+    /// Encrypt `data` into records of `content_type` and send them. Callers
+    /// past the handshake hold write_mutex.
+    fn writeRecords(self: *Connection, content_type: u8, data: []const u8) !void {
+        var record: [RECORD_HEADER + MAX_PLAINTEXT + 1 + Aead.tag_length]u8 = undefined;
+        var rest = data;
+        while (true) {
+            const chunk = rest[0..@min(rest.len, MAX_PLAINTEXT)];
+            try platformWrite(self.stream, self.write_keys.seal(&record, content_type, chunk));
+            rest = rest[chunk.len..];
+            if (rest.len == 0) return;
+        }
+    }
+
+    fn writePlainRecord(self: *Connection, content_type: u8, data: []const u8) !void {
+        var header = [_]u8{ content_type, 0x03, 0x03, 0, 0 };
+        std.mem.writeInt(u16, header[3..5], @intCast(data.len), .big);
+        try platformWrite(self.stream, &header);
+        try platformWrite(self.stream, data);
+    }
+
+    /// Send a fatal alert (best effort) and return `err`.
+    fn fail(self: *Connection, description: u8, err: TlsError) TlsError {
+        const alert = [_]u8{ 2, description };
+        if (self.encrypting) {
+            self.write_mutex.lock();
+            defer self.write_mutex.unlock();
+            self.writeRecords(ALERT, &alert) catch {};
+        } else {
+            self.writePlainRecord(ALERT, &alert) catch {};
+        }
+        return err;
+    }
+};
+
+// ── Record protection ───────────────────────────────────────────────────────
+
+const TrafficKeys = struct {
+    secret: [32]u8,
+    key: [Aead.key_length]u8,
+    iv: [Aead.nonce_length]u8,
+    seq: u64 = 0,
+
+    fn init(secret: [32]u8) TrafficKeys {
+        return .{
+            .secret = secret,
+            .key = expandLabel(Aead.key_length, secret, "key", ""),
+            .iv = expandLabel(Aead.nonce_length, secret, "iv", ""),
+        };
+    }
+
+    /// Keys after a KeyUpdate (RFC 8446 §7.2)
+    fn next(self: TrafficKeys) TrafficKeys {
+        return init(expandLabel(32, self.secret, "traffic upd", ""));
+    }
+
+    /// Per-record nonce: the IV xor the sequence number
+    fn nonce(self: *TrafficKeys) [Aead.nonce_length]u8 {
+        var n = self.iv;
+        var seq: [8]u8 = undefined;
+        std.mem.writeInt(u64, &seq, self.seq, .big);
+        for (seq, 0..) |b, i| n[Aead.nonce_length - 8 + i] ^= b;
+        self.seq += 1;
+        return n;
+    }
+
+    /// One TLSCiphertext record holding `chunk` (at most MAX_PLAINTEXT bytes).
+    fn seal(self: *TrafficKeys, out: []u8, content_type: u8, chunk: []const u8) []const u8 {
+        const body_len = chunk.len + 1;
+        out[0..3].* = .{ APPLICATION_DATA, 0x03, 0x03 };
+        std.mem.writeInt(u16, out[3..5], @intCast(body_len + Aead.tag_length), .big);
+        const body = out[RECORD_HEADER..][0..body_len];
+        @memcpy(body[0..chunk.len], chunk);
+        body[chunk.len] = content_type;
+        const tag = out[RECORD_HEADER + body_len ..][0..Aead.tag_length];
+        Aead.encrypt(body, tag, body, out[0..RECORD_HEADER], self.nonce(), self.key);
+        return out[0 .. RECORD_HEADER + body_len + Aead.tag_length];
+    }
+
+    const Inner = struct {
+        content_type: u8,
+        data: []u8,
+    };
+
+    /// Decrypt a record into `out`; strips the padding and content type.
+    fn open(self: *TrafficKeys, out: []u8, header: []const u8, payload: []const u8) TlsError!Inner {
+        if (payload.len < Aead.tag_length + 1) return error.BadRecordMac;
+        const text_len = payload.len - Aead.tag_length;
+        if (text_len > out.len) return error.RecordOverflow;
+        const text = out[0..text_len];
+        Aead.decrypt(text, payload[0..text_len], payload[text_len..][0..Aead.tag_length].*, header, self.nonce(), self.key) catch
+            return error.BadRecordMac;
+        var end = text_len;
+        while (end > 0 and text[end - 1] == 0) end -= 1;
+        if (end == 0) return error.UnexpectedMessage;
+        return .{ .content_type = text[end - 1], .data = text[0 .. end - 1] };
+    }
+};
+
+// ── Key schedule ────────────────────────────────────────────────────────────
+
+/// HKDF-Expand-Label (RFC 8446 §7.1)
+fn expandLabel(comptime len: usize, secret: [32]u8, label: []const u8, context: []const u8) [len]u8 {
+    var info: [2 + 1 + 255 + 1 + 255]u8 = undefined;
+    std.mem.writeInt(u16, info[0..2], len, .big);
+    info[2] = @intCast("tls13 ".len + label.len);
+    @memcpy(info[3..9], "tls13 ");
+    @memcpy(info[9..][0..label.len], label);
+    var n = 9 + label.len;
+    info[n] = @intCast(context.len);
+    @memcpy(info[n + 1 ..][0..context.len], context);
+    n += 1 + context.len;
+
+    var out: [len]u8 = undefined;
+    Hkdf.expand(&out, info[0..n], secret);
+    return out;
+}
+
+fn deriveSecret(secret: [32]u8, label: []const u8, transcript_hash: [32]u8) [32]u8 {
+    return expandLabel(32, secret, label, &transcript_hash);
+}
+
+fn emptyHash() [32]u8 {
+    var out: [32]u8 = undefined;
+    Sha256.hash("", &out, .{});
+    return out;
+}
+
+fn transcriptHash(transcript: Sha256) [32]u8 {
+    var copy = transcript;
+    return copy.finalResult();
+}
+
+fn finishedMac(traffic_secret: [32]u8, transcript_hash: [32]u8) [32]u8 {
+    const key = expandLabel(32, traffic_secret, "finished", "");
+    var mac: [32]u8 = undefined;
+    Hmac.create(&mac, &transcript_hash, &key);
+    return mac;
+}
+
+const SERVER_VERIFY_CONTEXT = "TLS 1.3, server CertificateVerify";
+
+/// What CertificateVerify signs (RFC 8446 §4.4.3): 64 spaces, the context
+/// string, a zero byte, the transcript hash.
+fn certificateVerifyContent(transcript_hash: [32]u8) [64 + SERVER_VERIFY_CONTEXT.len + 1 + 32]u8 {
+    var out: [64 + SERVER_VERIFY_CONTEXT.len + 1 + 32]u8 = undefined;
+    @memset(out[0..64], 0x20);
+    @memcpy(out[64..][0..SERVER_VERIFY_CONTEXT.len], SERVER_VERIFY_CONTEXT);
+    out[64 + SERVER_VERIFY_CONTEXT.len] = 0;
+    @memcpy(out[64 + SERVER_VERIFY_CONTEXT.len + 1 ..], &transcript_hash);
+    return out;
+}
+
+// ── ClientHello ─────────────────────────────────────────────────────────────
+
+pub const ClientHello = struct {
+    /// Echoed back in ServerHello
+    session_id: []const u8,
+    key_share: ?[32]u8 = null,
+    tls13: bool = false,
+    aes_gcm: bool = false,
+    ecdsa: bool = false,
+    h2: bool = false,
+    http1: bool = false,
+};
+
+/// The parts of a ClientHello body (after the message header) we negotiate on.
+pub fn parseClientHello(body: []const u8) TlsError!ClientHello {
+    var r: Reader = .{ .data = body };
+    _ = try r.int(u16); // legacy_version
+    _ = try r.bytes(32); // random
+    var hello: ClientHello = .{ .session_id = try r.vec(u8) };
+    if (hello.session_id.len > 32) return error.UnexpectedMessage;
+
+    var suites: Reader = .{ .data = try r.vec(u16) };
+    while (!suites.done()) {
+        if ((try suites.int(u16)) == AES_128_GCM_SHA256) hello.aes_gcm = true;
+    }
+    _ = try r.vec(u8); // legacy_compression_methods
+    if (r.done()) return hello;
+
+    var exts: Reader = .{ .data = try r.vec(u16) };
+    while (!exts.done()) {
+        const ext_type = try exts.int(u16);
+        var ext: Reader = .{ .data = try exts.vec(u16) };
+        switch (ext_type) {
+            EXT_SUPPORTED_VERSIONS => {
+                var versions: Reader = .{ .data = try ext.vec(u8) };
+                while (!versions.done()) {
+                    if ((try versions.int(u16)) == TLS_1_3) hello.tls13 = true;
+                }
+            },
+            EXT_KEY_SHARE => {
+                var shares: Reader = .{ .data = try ext.vec(u16) };
+                while (!shares.done()) {
+                    const group = try shares.int(u16);
+                    const key = try shares.vec(u16);
+                    if (group == X25519_GROUP and key.len == 32) hello.key_share = key[0..32].*;
+                }
+            },
+            EXT_SIGNATURE_ALGORITHMS => {
+                var schemes: Reader = .{ .data = try ext.vec(u16) };
+                while (!schemes.done()) {
+                    if ((try schemes.int(u16)) == ECDSA_SECP256R1_SHA256) hello.ecdsa = true;
+                }
+            },
+            EXT_ALPN => {
+                var protocols: Reader = .{ .data = try ext.vec(u16) };
+                while (!protocols.done()) {
+                    const protocol = try protocols.vec(u8);
+                    if (std.mem.eql(u8, protocol, "h2")) hello.h2 = true;
+                    if (std.mem.eql(u8, protocol, "http/1.1")) hello.http1 = true;
+                }
+            },
+            else => {},
+        }
+    }
+    return hello;
+}
+
+/// Length of the handshake message starting at `header` (24-bit, big-endian)
+fn messageLength(header: []const u8) usize {
+    return @as(usize, header[1]) << 16 | @as(usize, header[2]) << 8 | header[3];
+}
+
+/// Big-endian reader over TLS vectors.
+const Reader = struct {
+    data: []const u8,
+    pos: usize = 0,
+
+    fn done(self: *const Reader) bool {
+        return self.pos >= self.data.len;
+    }
+
+    fn bytes(self: *Reader, n: usize) TlsError![]const u8 {
+        if (self.data.len - self.pos < n) return error.UnexpectedMessage;
+        defer self.pos += n;
+        return self.data[self.pos..][0..n];
+    }
+
+    fn int(self: *Reader, comptime T: type) TlsError!T {
+        const size = @divExact(@typeInfo(T).int.bits, 8);
+        return std.mem.readInt(T, (try self.bytes(size))[0..size], .big);
+    }
+
+    /// A vector with a length prefix of type T
+    fn vec(self: *Reader, comptime T: type) TlsError![]const u8 {
+        return self.bytes(try self.int(T));
+    }
+};
+
+/// Big-endian writer for handshake messages.
+const Builder = struct {
+    allocator: Allocator,
+    list: std.ArrayList(u8) = .empty,
+
+    fn int(self: *Builder, comptime T: type, value: T) !void {
+        var buf: [@divExact(@typeInfo(T).int.bits, 8)]u8 = undefined;
+        std.mem.writeInt(T, &buf, value, .big);
+        try self.list.appendSlice(self.allocator, &buf);
+    }
+
+    fn bytes(self: *Builder, data: []const u8) !void {
+        try self.list.appendSlice(self.allocator, data);
+    }
+
+    fn vec(self: *Builder, comptime T: type, data: []const u8) !void {
+        try self.int(T, @intCast(data.len));
+        try self.bytes(data);
+    }
+
+    /// Reserve a length prefix; endLength fills it in.
+    fn beginLength(self: *Builder, comptime T: type) !usize {
+        const at = self.list.items.len;
+        try self.int(T, 0);
+        return at;
+    }
+
+    fn endLength(self: *Builder, comptime T: type, at: usize) void {
+        const size = @divExact(@typeInfo(T).int.bits, 8);
+        const len = self.list.items.len - at - size;
+        std.mem.writeInt(T, self.list.items[at..][0..size], @intCast(len), .big);
+    }
+
+    /// Start a handshake message; `end` fills in its length.
+    fn begin(self: *Builder, msg_type: u8) !usize {
+        const at = self.list.items.len;
+        try self.int(u8, msg_type);
+        try self.int(u24, 0);
+        return at;
+    }
+
+    fn end(self: *Builder, at: usize) void {
+        self.endLength(u24, at + 1);
+    }
+};
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "key schedule matches RFC 8448" {
+    const zeroes = [_]u8{0} ** 32;
+    const early_secret = Hkdf.extract(&.{}, &zeroes);
+    var expected: [32]u8 = undefined;
+    _ = try std.fmt.hexToBytes(&expected, "33ad0a1c607ec03b09e6cd9893680ce210adf300aa1f2660e1b22e10f170f92a");
+    try std.testing.expectEqualSlices(u8, &expected, &early_secret);
+
+    _ = try std.fmt.hexToBytes(&expected, "6f2615a108c702c5678f54fc9dbab69716c076189c48250cebeac3576c3611ba");
+    const derived = deriveSecret(early_secret, "derived", emptyHash());
+    try std.testing.expectEqualSlices(u8, &expected, &derived);
+
+    const keys = TrafficKeys.init(early_secret);
+    var key: [16]u8 = undefined;
+    _ = try std.fmt.hexToBytes(&key, "ebbf95bddc9e43bd09465c5516ab2d5f");
+    try std.testing.expectEqualSlices(u8, &key, &keys.key);
+    var iv: [12]u8 = undefined;
+    _ = try std.fmt.hexToBytes(&iv, "a7bf78a10cf9feb156a93f7a");
+    try std.testing.expectEqualSlices(u8, &iv, &keys.iv);
+}
+
+test "records round-trip through seal and open" {
+    const secret = [_]u8{7} ** 32;
+    var sender = TrafficKeys.init(secret);
+    var receiver = TrafficKeys.init(secret);
+    var record: [RECORD_HEADER + 64 + 1 + Aead.tag_length]u8 = undefined;
+    var plain: [128]u8 = undefined;
+
+    for ([_][]const u8{ "GET / HTTP/1.1\r\n\r\n", "second record" }) |message| {
+        const sealed = sender.seal(&record, APPLICATION_DATA, message);
+        const inner = try receiver.open(&plain, sealed[0..RECORD_HEADER], sealed[RECORD_HEADER..]);
+        try std.testing.expectEqual(APPLICATION_DATA, inner.content_type);
+        try std.testing.expectEqualStrings(message, inner.data);
+    }
+
+    // A flipped bit fails authentication
+    const sealed = sender.seal(&record, APPLICATION_DATA, "tampered");
+    record[RECORD_HEADER] ^= 1;
+    try std.testing.expectError(error.BadRecordMac, receiver.open(&plain, sealed[0..RECORD_HEADER], sealed[RECORD_HEADER..]));
+}
+
+test "parseClientHello finds what the server negotiates on" {
+    const allocator = std.testing.allocator;
+    var hello: Builder = .{ .allocator = allocator };
+    defer hello.list.deinit(allocator);
+
+    try hello.int(u16, LEGACY_VERSION);
+    try hello.bytes(&([_]u8{0xaa} ** 32));
+    try hello.vec(u8, &([_]u8{0x11} ** 32));
+    try hello.vec(u16, &.{ 0x13, 0x02, 0x13, 0x01 });
+    try hello.vec(u8, &.{0});
+    const exts = try hello.beginLength(u16);
+    try hello.int(u16, EXT_SUPPORTED_VERSIONS);
+    try hello.vec(u16, &.{ 4, 0x03, 0x04, 0x03, 0x03 });
+    try hello.int(u16, EXT_SIGNATURE_ALGORITHMS);
+    try hello.vec(u16, &.{ 0, 4, 0x08, 0x04, 0x04, 0x03 });
+    try hello.int(u16, EXT_ALPN);
+    try hello.vec(u16, &.{ 0, 12, 2, 'h', '2', 8, 'h', 't', 't', 'p', '/', '1', '.', '1' });
+    try hello.int(u16, EXT_KEY_SHARE);
+    try hello.vec(u16, &([_]u8{ 0, 36, 0x00, 0x1d, 0, 32 } ++ [_]u8{0x42} ** 32));
+    hello.endLength(u16, exts);
+
+    const parsed = try parseClientHello(hello.list.items);
+    try std.testing.expect(parsed.tls13 and parsed.aes_gcm and parsed.ecdsa);
+    try std.testing.expect(parsed.h2 and parsed.http1);
+    try std.testing.expectEqual(@as(usize, 32), parsed.session_id.len);
+    try std.testing.expectEqual(@as(u8, 0x42), parsed.key_share.?[0]);
+
+    // Truncated input is an error, not a crash
+    try std.testing.expectError(error.UnexpectedMessage, parseClientHello(hello.list.items[0..40]));
+}
+
+// ── Interop tests ──
+//
+// A real client against the server over loopback: openssl s_client here,
+// curl --http2 in http2.zig. Skipped where the tool is not installed.
+
+/// Accepts one connection and answers the first read with "pong\n".
+const TestPeer = struct {
+    listener: std.net.Server,
+    identity: *const cert_mod.Identity,
+    protocol: ?Protocol = null,
+    failure: ?anyerror = null,
+    received: [64]u8 = undefined,
+    received_len: usize = 0,
+
+    fn serveOnce(self: *TestPeer) void {
+        self.protocol = null;
+        self.failure = null;
+        self.received_len = 0;
+        const conn = self.listener.accept() catch |err| {
+            self.failure = err;
+            return;
+        };
+        defer conn.stream.close();
+
+        var session: Connection = .{ .stream = conn.stream };
+        session.handshake(std.testing.allocator, self.identity, .{}) catch |err| {
+            self.failure = err;
+            return;
+        };
+        defer session.close();
+        self.protocol = session.protocol;
+        self.received_len = session.read(&self.received) catch |err| {
+            self.failure = err;
+            return;
+        };
+        session.writeAll("pong\n") catch |err| {
+            self.failure = err;
+        };
+    }
+};
+
+/// Run `argv` with `input` on stdin; returns its stdout, allocator-owned.
+fn runWithInput(allocator: Allocator, argv: []const []const u8, input: []const u8) ![]u8 {
+    var child = std.process.Child.init(argv, allocator);
+    child.stdin_behavior = .Pipe;
+    child.stdout_behavior = .Pipe;
+    child.stderr_behavior = .Ignore;
+    try child.spawn();
+    if (child.stdin) |stdin| {
+        stdin.writeAll(input) catch {};
+        stdin.close();
+    }
+    child.stdin = null;
+    const output = child.stdout.?.readToEndAlloc(allocator, 1024 * 1024) catch |err| {
+        _ = child.wait() catch {};
+        return err;
+    };
+    _ = child.wait() catch {};
+    return output;
+}
+
+test "openssl s_client handshakes, negotiates ALPN and exchanges data" {
+    if (builtin.os.tag == .windows) return error.SkipZigTest;
+    if (!test_tools.haveTool(&.{ "openssl", "version" })) return error.SkipZigTest;
+    const allocator = std.testing.allocator;
+
+    var identity = try cert_mod.selfSigned(allocator, &.{ "localhost", "127.0.0.1" }, std.time.timestamp());
+    defer identity.deinit(allocator);
+    const address = try std.net.Address.parseIp("127.0.0.1", 0);
+    var peer: TestPeer = .{ .listener = try address.listen(.{ .reuse_address = true }), .identity = &identity };
+    defer peer.listener.deinit();
+    var connect_buf: [32]u8 = undefined;
+    const connect = try std.fmt.bufPrint(&connect_buf, "127.0.0.1:{d}", .{peer.listener.listen_address.getPort()});
+
+    // -quiet keeps s_client reading until the server closes
+    var server = try std.Thread.spawn(.{}, TestPeer.serveOnce, .{&peer});
+    const reply = try runWithInput(allocator, &.{ "openssl", "s_client", "-connect", connect, "-tls1_3", "-alpn", "h2,http/1.1", "-quiet" }, "ping\n");
+    defer allocator.free(reply);
+    server.join();
+    try std.testing.expectEqual(@as(?anyerror, null), peer.failure);
+    try std.testing.expectEqual(@as(?Protocol, .h2), peer.protocol);
+    try std.testing.expectEqualStrings("ping\n", peer.received[0..peer.received_len]);
+    try std.testing.expectEqualStrings("pong\n", reply);
+
+    server = try std.Thread.spawn(.{}, TestPeer.serveOnce, .{&peer});
+    const http1 = try runWithInput(allocator, &.{ "openssl", "s_client", "-connect", connect, "-tls1_3", "-alpn", "http/1.1", "-quiet" }, "ping\n");
+    defer allocator.free(http1);
+    server.join();
+    try std.testing.expectEqual(@as(?anyerror, null), peer.failure);
+    try std.testing.expectEqual(@as(?Protocol, .http1), peer.protocol);
+    try std.testing.expectEqualStrings("pong\n", http1);
+
+    // TLS 1.2 only: refused with an alert
+    server = try std.Thread.spawn(.{}, TestPeer.serveOnce, .{&peer});
+    const refused = try runWithInput(allocator, &.{ "openssl", "s_client", "-connect", connect, "-tls1_2", "-quiet" }, "");
+    defer allocator.free(refused);
+    server.join();
+    try std.testing.expectEqual(@as(?anyerror, error.HandshakeFailure), peer.failure);
+    try std.testing.expectEqualStrings("", refused);
+}
@@ -1,19 +1,30 @@
 // WU Runtime — Source Transform Pipeline
 //
-// Phase 1: Line-based TypeScript erasure + bare import rewriting.
-// Future phases will add JSX transform and tree-sitter AST stripping.
+// TypeScript erasure (ts_strip.zig) + bare import rewriting.
+// JSX is compiled separately (jsx_transform.zig).
 //
-// Design: state-machine approach for TS, regex-like for imports.
+// Design: a tokenizing stripper for TS, regex-like for imports.
 // Preserves line count (every input line produces one output line).
 
 const std = @import("std");
 const Allocator = std.mem.Allocator;
+const env_mod = @import("env.zig");
+const ts_strip = @import("ts_strip.zig");
 
 // ── Public API ──────────────────────────────────────────────────────────────
 
 /// Apply all relevant transforms to a source file based on its extension.
+/// With `env`, import.meta.env references are replaced by its values.
+/// TypeScript the stripper cannot erase fails with error.UnsupportedSyntax,
+/// and `problem` (if given) says where.
 /// Returns allocator-owned slice (caller must free).
-pub fn transformSource(allocator: Allocator, source: []const u8, file_path: []const u8) ![]const u8 {
+pub fn transformSource(
+    allocator: Allocator,
+    source: []const u8,
+    file_path: []const u8,
+    env: ?*const env_mod.Env,
+    problem: ?*ts_strip.Problem,
+) ![]const u8 {
     const ext = std.fs.path.extension(file_path);
     const eql = std.mem.eql;
 
@@ -22,7 +33,10 @@ pub fn transformSource(allocator: Allocator, source: []const u8, file_path: []co
 
     // TypeScript stripping for .ts / .tsx / .mts files
     if (eql(u8, ext, ".ts") or eql(u8, ext, ".tsx") or eql(u8, ext, ".mts")) {
-        const stripped = try stripTypeScript(allocator, result);
+        const stripped = try ts_strip.strip(allocator, result, .{
+            .jsx = eql(u8, ext, ".tsx"),
+            .problem = problem,
+        });
         if (owned) allocator.free(result);
         result = stripped;
         owned = true;
@@ -44,6 +58,15 @@ pub fn transformSource(allocator: Allocator, source: []const u8, file_path: []co
             allocator.free(result);
             result = css_rewritten;
         }
+
+        // import.meta.env.WU_PUBLIC_* → values from .env files
+        if (env) |e| {
+            const injected = try e.inject(allocator, result);
+            if (injected.ptr != result.ptr) {
+                allocator.free(result);
+                result = injected;
+            }
+        }
     }
 
     // If no transform was applied, dupe so caller always owns the result
@@ -55,292 +78,10 @@ pub fn transformSource(allocator: Allocator, source: []const u8, file_path: []co
 
 // ── TypeScript Stripping ────────────────────────────────────────────────────
 
-/// Strip TypeScript type annotations from source code.
-/// Uses a line-based approach with brace-depth tracking for blocks.
+/// Strip TypeScript syntax from a .ts source (see ts_strip.zig).
 /// Preserves line count for source map compatibility.
-pub fn stripTypeScript(allocator: Allocator, source: []const u8) ![]const u8 {
-    var out: std.ArrayList(u8) = .empty;
-    errdefer out.deinit(allocator);
-
-    var skip_depth: i32 = 0; // Brace depth for multi-line type blocks
-    var lines = std.mem.splitScalar(u8, source, '\n');
-    var first = true;
-
-    while (lines.next()) |line| {
-        if (!first) try out.append(allocator, '\n');
-        first = false;
-
-        const trimmed = std.mem.trim(u8, line, " \t\r");
-
-        // If we're inside a type block (interface/type with braces), skip lines
-        if (skip_depth > 0) {
-            for (trimmed) |ch| {
-                if (ch == '{') skip_depth += 1;
-                if (ch == '}') skip_depth -= 1;
-            }
-            // Emit empty line to preserve line count
-            continue;
-        }
-
-        // Check for type-only lines that should be removed entirely
-        if (isTypeOnlyLine(trimmed)) {
-            // Check if this opens a multi-line block
-            if (countBraces(trimmed)) |depth| {
-                if (depth > 0) skip_depth = depth;
-            }
-            // Emit empty line to preserve line count
-            continue;
-        }
-
-        // Inline stripping: remove access modifiers, as/satisfies casts
-        try stripInline(allocator, &out, line);
-    }
-
-    return out.toOwnedSlice(allocator);
-}
-
-/// Check if a line is a type-only statement that can be removed entirely.
-fn isTypeOnlyLine(line: []const u8) bool {
-    const starts = std.mem.startsWith;
-    return starts(u8, line, "interface ") or
-        starts(u8, line, "export interface ") or
-        starts(u8, line, "import type ") or
-        starts(u8, line, "export type {") or
-        starts(u8, line, "export type *") or
-        isTypeAlias(line) or
-        starts(u8, line, "declare ") or
-        starts(u8, line, "export declare ") or
-        starts(u8, line, "namespace ") or
-        starts(u8, line, "export namespace ") or
-        starts(u8, line, "abstract class") or
-        std.mem.eql(u8, line, "};") or
-        (starts(u8, line, "//") and !starts(u8, line, "//>"));
-}
-
-/// Distinguish "type X = ..." (alias, remove) from "type:" (property, keep).
-fn isTypeAlias(line: []const u8) bool {
-    const prefix = "type ";
-    const export_prefix = "export type ";
-
-    const after = if (std.mem.startsWith(u8, line, export_prefix))
-        line[export_prefix.len..]
-    else if (std.mem.startsWith(u8, line, prefix))
-        line[prefix.len..]
-    else
-        return false;
-
-    // "type Foo = ..." is an alias. "type:" or "type," is a property.
-    // An alias starts with an identifier char.
-    if (after.len == 0) return false;
-    if (!std.ascii.isAlphabetic(after[0]) and after[0] != '_') return false;
-
-    // Look for '=' after the identifier (type Foo = ...)
-    var i: usize = 0;
-    while (i < after.len and (std.ascii.isAlphanumeric(after[i]) or after[i] == '_' or after[i] == '<')) : (i += 1) {
-        // Skip angle brackets for generics: type Foo<T> = ...
-        if (after[i] == '<') {
-            var depth: u32 = 1;
-            i += 1;
-            while (i < after.len and depth > 0) : (i += 1) {
-                if (after[i] == '<') depth += 1;
-                if (after[i] == '>') depth -= 1;
-            }
-        }
-    }
-    // Skip whitespace
-    while (i < after.len and (after[i] == ' ' or after[i] == '\t')) : (i += 1) {}
-    // Should be followed by '='
-    return i < after.len and after[i] == '=';
-}
-
-/// Count unmatched opening braces in a line. Returns null if no braces.
-fn countBraces(line: []const u8) ?i32 {
-    var depth: i32 = 0;
-    var has_braces = false;
-    for (line) |ch| {
-        if (ch == '{') {
-            depth += 1;
-            has_braces = true;
-        }
-        if (ch == '}') depth -= 1;
-    }
-    return if (has_braces) depth else null;
-}
-
-/// Strip inline TypeScript constructs from a line.
-/// Handles: access modifiers, "as Type", "satisfies Type", ": Type" in params.
-fn stripInline(allocator: Allocator, out: *std.ArrayList(u8), line: []const u8) !void {
-    var i: usize = 0;
-
-    while (i < line.len) {
-        // Skip string literals verbatim
-        if (line[i] == '"' or line[i] == '\'' or line[i] == '`') {
-            const end = skipStringLiteral(line, i);
-            try out.appendSlice(allocator, line[i..end]);
-            i = end;
-            continue;
-        }
-
-        // Skip line comments
-        if (i + 1 < line.len and line[i] == '/' and line[i + 1] == '/') {
-            try out.appendSlice(allocator, line[i..]);
-            return;
-        }
-
-        // Strip access modifiers at word boundaries
-        if (isWordStart(line, i)) {
-            if (matchAndSkipModifier(line, i)) |skip_to| {
-                i = skip_to;
-                continue;
-            }
-        }
-
-        // Strip " as " casts (not "class" etc.)
-        if (i + 4 <= line.len and std.mem.eql(u8, line[i .. i + 4], " as ")) {
-            if (i == 0 or !std.ascii.isAlphanumeric(line[i - 1])) {
-                // Just " as " is ambiguous, skip it only if previous char was )
-            }
-            if (i > 0 and (line[i - 1] == ')' or line[i - 1] == ']' or
-                std.ascii.isAlphanumeric(line[i - 1]) or line[i - 1] == '_'))
-            {
-                i += 4;
-                // Skip the type expression (identifier, generics, etc.)
-                i = skipTypeExpression(line, i);
-                continue;
-            }
-        }
-
-        // Strip ": Type" in function parameters and variable declarations
-        if (line[i] == ':' and i > 0) {
-            const prev = line[i - 1];
-            // After identifier, ), or ] — likely a type annotation
-            if (std.ascii.isAlphanumeric(prev) or prev == '_' or prev == ')' or prev == '?' or prev == '!') {
-                // Look ahead: skip whitespace + type, stop at , ) = { ; =>
-                const type_end = findTypeEnd(line, i + 1);
-                if (type_end > i + 1) {
-                    i = type_end;
-                    continue;
-                }
-            }
-        }
-
-        // Strip "implements X, Y" from class declarations
-        if (i + 11 <= line.len and std.mem.eql(u8, line[i .. i + 11], " implements ")) {
-            // Skip until { or end of line
-            var j = i + 11;
-            while (j < line.len and line[j] != '{') : (j += 1) {}
-            i = j;
-            continue;
-        }
-
-        try out.append(allocator, line[i]);
-        i += 1;
-    }
-}
-
-/// Skip past a string literal (single, double, or template).
-fn skipStringLiteral(source: []const u8, start: usize) usize {
-    const quote = source[start];
-    var i = start + 1;
-    while (i < source.len) : (i += 1) {
-        if (source[i] == '\\') {
-            i += 1; // Skip escaped char
-            continue;
-        }
-        if (source[i] == quote) {
-            return i + 1;
-        }
-        // Template literals can span lines — handle in next line
-        if (quote == '`' and source[i] == '\n') {
-            return i; // Let next line handle continuation
-        }
-    }
-    return source.len;
-}
-
-/// Check if position is the start of a word (not preceded by alphanumeric).
-fn isWordStart(line: []const u8, i: usize) bool {
-    if (i == 0) return true;
-    return !std.ascii.isAlphanumeric(line[i - 1]) and line[i - 1] != '_';
-}
-
-/// Try to match access modifiers (public, private, protected, readonly, override, abstract).
-/// Returns the position after the modifier + space if matched, null otherwise.
-fn matchAndSkipModifier(line: []const u8, start: usize) ?usize {
-    const modifiers = [_][]const u8{
-        "public ", "private ", "protected ", "readonly ", "override ", "abstract ",
-    };
-    for (modifiers) |mod| {
-        if (start + mod.len <= line.len and std.mem.eql(u8, line[start .. start + mod.len], mod)) {
-            return start + mod.len;
-        }
-    }
-    return null;
-}
-
-/// Skip a type expression: identifier, generics, union/intersection, arrays.
-/// Stops at: , ) ; = { } newline
-fn skipTypeExpression(source: []const u8, start: usize) usize {
-    var i = start;
-    var angle_depth: i32 = 0;
-    var paren_depth: i32 = 0;
-
-    while (i < source.len) : (i += 1) {
-        const ch = source[i];
-
-        if (ch == '<') {
-            angle_depth += 1;
-            continue;
-        }
-        if (ch == '>') {
-            if (angle_depth > 0) {
-                angle_depth -= 1;
-                continue;
-            }
-            return i;
-        }
-        if (ch == '(') {
-            paren_depth += 1;
-            continue;
-        }
-        if (ch == ')') {
-            if (paren_depth > 0) {
-                paren_depth -= 1;
-                continue;
-            }
-            return i;
-        }
-
-        if (angle_depth > 0 or paren_depth > 0) continue;
-
-        // Stop characters
-        if (ch == ',' or ch == ';' or ch == '=' or ch == '{' or ch == '}') return i;
-        if (ch == '\n' or ch == '\r') return i;
-    }
-    return i;
-}
-
-/// Find where a type annotation ends after ':'.
-/// Skips whitespace + type expression. Returns position to continue from.
-fn findTypeEnd(source: []const u8, start: usize) usize {
-    var i = start;
-    // Skip whitespace
-    while (i < source.len and (source[i] == ' ' or source[i] == '\t')) : (i += 1) {}
-
-    if (i >= source.len) return start;
-
-    // Don't strip if this looks like an object literal or ternary
-    // Object: { key: value } — the ':' is followed by space + value
-    // Ternary: condition ? true : false — the ':' is part of ternary
-    // Type: ident: Type = — followed by capitalized or known type keyword
-
-    // Heuristic: if next char is not uppercase, not a primitive, skip
-    const ch = source[i];
-    if (!std.ascii.isAlphabetic(ch) and ch != '{' and ch != '(' and ch != '[' and ch != '\'' and ch != '"') {
-        return start; // Not a type annotation
-    }
-
-    return skipTypeExpression(source, i);
+pub fn stripTypeScript(allocator: Allocator, source: []const u8) ts_strip.StripError![]const u8 {
+    return ts_strip.strip(allocator, source, .{});
 }
 
 // ── Import Rewriting ────────────────────────────────────────────────────────
@@ -533,6 +274,26 @@ pub fn rewriteCssImports(allocator: Allocator, source: []const u8) ![]const u8 {
     return out.toOwnedSlice(allocator);
 }
 
+/// Skip past a string literal (single, double, or template).
+fn skipStringLiteral(source: []const u8, start: usize) usize {
+    const quote = source[start];
+    var i = start + 1;
+    while (i < source.len) : (i += 1) {
+        if (source[i] == '\\') {
+            i += 1; // Skip escaped char
+            continue;
+        }
+        if (source[i] == quote) {
+            return i + 1;
+        }
+        // Template literals can span lines — handle in next line
+        if (quote == '`' and source[i] == '\n') {
+            return i; // Let next line handle continuation
+        }
+    }
+    return source.len;
+}
+
 /// Check if a specifier is "bare" (should be rewritten to /@modules/).
 /// Bare: "react", "@angular/core", "wu-framework/adapters/vue"
 /// Not bare: "./foo", "../bar", "/abs", "https://...", ") || garbage"
@@ -0,0 +1,670 @@
+// WU Runtime — File Watcher
+//
+// Reports changed source files under the app and shell directories.
+//
+// Backends:
+//   inotify (Linux)  one watch per directory; the kernel queues the events,
+//                    so an idle server does no work at all
+//   polling          everywhere else (or when inotify is unavailable):
+//                    re-stat the tree every POLL_INTERVAL_MS
+//
+// Both batch bursts: after the first change, the watcher keeps collecting
+// until the tree has been quiet for QUIET_MS (at most MAX_BATCH_MS), so a git
+// checkout or `npm install` arrives as one batch instead of hundreds of
+// reloads.
+//
+// Directories in isSkippedDir, paths matched by a .gitignore (project root
+// and each watched directory) and `watch.ignore` patterns from
+// wu.config.json are never walked or reported. There is no limit on the
+// number of files.
+
+const std = @import("std");
+const builtin = @import("builtin");
+const Allocator = std.mem.Allocator;
+
+pub const POLL_INTERVAL_MS = 300;
+/// Longest wait() blocks without changes, so callers can check other state.
+pub const TICK_MS = 100;
+pub const QUIET_MS = 100;
+pub const MAX_BATCH_MS = 2000;
+
+/// Decides which files are reported, by extension (".js").
+pub const Filter = *const fn (ext: []const u8) bool;
+
+pub const Kind = enum { changed, deleted };
+
+pub const Change = struct {
+    /// Relative to the project root ("mf-hero/src/App.jsx").
+    path: []const u8,
+    kind: Kind,
+};
+
+/// Changes collected by one wait(), deduplicated by path (last kind wins).
+pub const Batch = struct {
+    allocator: Allocator,
+    changes: std.ArrayList(Change) = .empty,
+    index: std.StringHashMapUnmanaged(usize) = .empty,
+    /// Events were lost (inotify queue overflow): anything may have changed.
+    overflow: bool = false,
+
+    pub fn init(allocator: Allocator) Batch {
+        return .{ .allocator = allocator };
+    }
+
+    pub fn deinit(self: *Batch) void {
+        self.clear();
+        self.changes.deinit(self.allocator);
+        self.index.deinit(self.allocator);
+    }
+
+    pub fn clear(self: *Batch) void {
+        for (self.changes.items) |c| self.allocator.free(c.path);
+        self.changes.clearRetainingCapacity();
+        self.index.clearRetainingCapacity();
+        self.overflow = false;
+    }
+
+    pub fn isEmpty(self: *const Batch) bool {
+        return self.changes.items.len == 0 and !self.overflow;
+    }
+
+    pub fn add(self: *Batch, path: []const u8, kind: Kind) !void {
+        if (self.index.get(path)) |i| {
+            self.changes.items[i].kind = kind;
+            return;
+        }
+        const owned = try self.allocator.dupe(u8, path);
+        errdefer self.allocator.free(owned);
+        try self.changes.append(self.allocator, .{ .path = owned, .kind = kind });
+        errdefer _ = self.changes.pop();
+        try self.index.put(self.allocator, owned, self.changes.items.len - 1);
+    }
+};
+
+// ── Watcher ─────────────────────────────────────────────────────────────────
+
+pub const Watcher = struct {
+    allocator: Allocator,
+    roots: []const []const u8,
+    ignore: Ignore,
+    filter: Filter,
+    backend: union(enum) {
+        inotify: Inotify,
+        polling: Poller,
+    },
+
+    /// Watch `roots` (directories relative to the project root). `ignore`
+    /// holds the `watch.ignore` patterns; .gitignore files are read here.
+    pub fn init(allocator: Allocator, roots: []const []const u8, ignore: []const []const u8, filter: Filter) !Watcher {
+        var self: Watcher = .{
+            .allocator = allocator,
+            .roots = &.{},
+            .ignore = Ignore.init(allocator),
+            .filter = filter,
+            .backend = undefined,
+        };
+        errdefer self.ignore.deinit();
+
+        const owned_roots = try allocator.alloc([]const u8, roots.len);
+        var n: usize = 0;
+        errdefer {
+            for (owned_roots[0..n]) |r| allocator.free(r);
+            allocator.free(owned_roots);
+        }
+        while (n < roots.len) : (n += 1) owned_roots[n] = try allocator.dupe(u8, roots[n]);
+        self.roots = owned_roots;
+
+        try self.ignore.addGitignore(".");
+        for (roots) |root| try self.ignore.addGitignore(root);
+        try self.ignore.addPatterns("", ignore);
+
+        if (builtin.os.tag == .linux) {
+            if (Inotify.init(allocator)) |inotify| {
+                self.backend = .{ .inotify = inotify };
+                var ok = true;
+                for (roots) |root| {
+                    self.backend.inotify.addTree(root, null, &self.ignore, filter) catch |err| {
+                        // Usually fs.inotify.max_user_watches
+                        std.debug.print("  [watch] inotify: {s} — falling back to polling\n", .{@errorName(err)});
+                        ok = false;
+                        break;
+                    };
+                }
+                if (ok) return self;
+                self.backend.inotify.deinit();
+            } else |_| {}
+        }
+
+        self.backend = .{ .polling = Poller.init(allocator) };
+        errdefer self.backend.polling.deinit();
+        _ = try self.backend.polling.scan(self.roots, null, &self.ignore, filter);
+        return self;
+    }
+
+    pub fn deinit(self: *Watcher) void {
+        switch (self.backend) {
+            .inotify => |*b| b.deinit(),
+            .polling => |*b| b.deinit(),
+        }
+        self.ignore.deinit();
+        for (self.roots) |r| self.allocator.free(r);
+        self.allocator.free(self.roots);
+    }
+
+    pub fn backendName(self: *const Watcher) []const u8 {
+        return @tagName(self.backend);
+    }
+
+    /// Number of directories (inotify) or files (polling) being tracked.
+    pub fn watchCount(self: *const Watcher) usize {
+        return switch (self.backend) {
+            .inotify => |b| b.dirs.count(),
+            .polling => |b| b.files.count(),
+        };
+    }
+
+    /// Block until a batch of changes is complete, or about TICK_MS (polling:
+    /// POLL_INTERVAL_MS) without changes. `batch` is appended to.
+    pub fn wait(self: *Watcher, batch: *Batch) !void {
+        switch (self.backend) {
+            .inotify => |*b| try b.wait(batch, &self.ignore, self.filter),
+            .polling => |*b| try b.wait(self.roots, batch, &self.ignore, self.filter),
+        }
+    }
+};
+
+pub fn isSkippedDir(name: []const u8) bool {
+    const eql = std.mem.eql;
+    return eql(u8, name, "node_modules") or eql(u8, name, "dist") or
+        eql(u8, name, ".git") or eql(u8, name, ".svelte-kit") or
+        eql(u8, name, ".next") or eql(u8, name, ".nuxt") or
+        eql(u8, name, "build") or eql(u8, name, "coverage") or
+        eql(u8, name, ".claude") or eql(u8, name, ".wu-cache");
+}
+
+/// Depth-first walk of `root`, skipping ignored directories. Calls
+/// `ctx.onDir(path)` for every directory (root included) and
+/// `ctx.onFile(path)` for every file that is not ignored. Paths are
+/// borrowed for the duration of the call.
+fn walkTree(allocator: Allocator, root: []const u8, ignore: *const Ignore, ctx: anytype) !void {
+    var stack: std.ArrayList([]const u8) = .empty;
+    defer {
+        for (stack.items) |p| allocator.free(p);
+        stack.deinit(allocator);
+    }
+    try stack.append(allocator, try allocator.dupe(u8, root));
+
+    while (stack.pop()) |dir_path| {
+        defer allocator.free(dir_path);
+        try ctx.onDir(dir_path);
+
+        var dir = std.fs.cwd().openDir(dir_path, .{ .iterate = true }) catch continue;
+        defer dir.close();
+        var it = dir.iterate();
+        while (it.next() catch null) |entry| {
+            const child = try std.fmt.allocPrint(allocator, "{s}/{s}", .{ dir_path, entry.name });
+            switch (entry.kind) {
+                .directory => {
+                    if (isSkippedDir(entry.name) or ignore.isIgnored(child, true)) {
+                        allocator.free(child);
+                        continue;
+                    }
+                    stack.append(allocator, child) catch |err| {
+                        allocator.free(child);
+                        return err;
+                    };
+                },
+                .file => {
+                    defer allocator.free(child);
+                    if (!ignore.isIgnored(child, false)) try ctx.onFile(child);
+                },
+                else => allocator.free(child),
+            }
+        }
+    }
+}
+
+// ── inotify backend ─────────────────────────────────────────────────────────
+
+const Inotify = struct {
+    const linux = std.os.linux;
+    const MASK = linux.IN.CLOSE_WRITE | linux.IN.CREATE | linux.IN.DELETE |
+        linux.IN.MOVED_FROM | linux.IN.MOVED_TO | linux.IN.ONLYDIR;
+
+    allocator: Allocator,
+    fd: i32,
+    /// Watch descriptor → directory path (owned)
+    dirs: std.AutoHashMapUnmanaged(i32, []const u8) = .empty,
+
+    fn init(allocator: Allocator) !Inotify {
+        const fd = try std.posix.inotify_init1(linux.IN.NONBLOCK | linux.IN.CLOEXEC);
+        return .{ .allocator = allocator, .fd = fd };
+    }
+
+    fn deinit(self: *Inotify) void {
+        var it = self.dirs.valueIterator();
+        while (it.next()) |p| self.allocator.free(p.*);
+        self.dirs.deinit(self.allocator);
+        std.posix.close(self.fd);
+    }
+
+    /// Watch a directory tree. With a batch, its files are reported as
+    /// changed (a directory created or moved in during a burst).
+    fn addTree(self: *Inotify, root: []const u8, batch: ?*Batch, ignore: *const Ignore, filter: Filter) !void {
+        var ctx: TreeCtx = .{ .inotify = self, .batch = batch, .filter = filter };
+        try walkTree(self.allocator, root, ignore, &ctx);
+    }
+
+    const TreeCtx = struct {
+        inotify: *Inotify,
+        batch: ?*Batch,
+        filter: Filter,
+
+        fn onDir(ctx: *TreeCtx, path: []const u8) !void {
+            try ctx.inotify.addWatch(path);
+        }
+
+        fn onFile(ctx: *TreeCtx, path: []const u8) !void {
+            const batch = ctx.batch orelse return;
+            if (ctx.filter(std.fs.path.extension(path))) try batch.add(path, .changed);
+        }
+    };
+
+    fn addWatch(self: *Inotify, path: []const u8) !void {
+        const wd = std.posix.inotify_add_watch(self.fd, path, MASK) catch |err| switch (err) {
+            // Gone or unreadable since it was listed
+            error.FileNotFound, error.AccessDenied, error.NotDir => return,
+            else => return err,
+        };
+        const gop = try self.dirs.getOrPut(self.allocator, wd);
+        if (gop.found_existing) self.allocator.free(gop.value_ptr.*);
+        gop.value_ptr.* = self.allocator.dupe(u8, path) catch |err| {
+            self.dirs.removeByPtr(gop.key_ptr);
+            return err;
+        };
+    }
+
+    /// Stop watching `path` and everything below it (moved away).
+    fn forgetTree(self: *Inotify, path: []const u8) void {
+        var stale: std.ArrayList(i32) = .empty;
+        defer stale.deinit(self.allocator);
+        var it = self.dirs.iterator();
+        while (it.next()) |entry| {
+            const dir = entry.value_ptr.*;
+            if (std.mem.startsWith(u8, dir, path) and (dir.len == path.len or dir[path.len] == '/')) {
+                stale.append(self.allocator, entry.key_ptr.*) catch return;
+            }
+        }
+        for (stale.items) |wd| {
+            std.posix.inotify_rm_watch(self.fd, wd);
+            if (self.dirs.fetchRemove(wd)) |kv| self.allocator.free(kv.value);
+        }
+    }
+
+    fn wait(self: *Inotify, batch: *Batch, ignore: *const Ignore, filter: Filter) !void {
+        if (!try self.readable(TICK_MS)) return;
+        const start = std.time.milliTimestamp();
+        try self.drain(batch, ignore, filter);
+        while (std.time.milliTimestamp() - start < MAX_BATCH_MS) {
+            if (!try self.readable(QUIET_MS)) break;
+            try self.drain(batch, ignore, filter);
+        }
+    }
+
+    fn readable(self: *Inotify, timeout_ms: i32) !bool {
+        var fds = [_]std.posix.pollfd{.{ .fd = self.fd, .events = std.posix.POLL.IN, .revents = 0 }};
+        return (try std.posix.poll(&fds, timeout_ms)) > 0;
+    }
+
+    /// Read every queued event into the batch.
+    fn drain(self: *Inotify, batch: *Batch, ignore: *const Ignore, filter: Filter) !void {
+        var buf: [64 * 1024]u8 align(@alignOf(linux.inotify_event)) = undefined;
+        while (true) {
+            const n = std.posix.read(self.fd, &buf) catch |err| switch (err) {
+                error.WouldBlock => return,
+                else => return err,
+            };
+            if (n == 0) return;
+
+            var off: usize = 0;
+            while (off + @sizeOf(linux.inotify_event) <= n) {
+                const ev: *const linux.inotify_event = @ptrCast(@alignCast(&buf[off]));
+                const name_start = off + @sizeOf(linux.inotify_event);
+                off = name_start + ev.len;
+                const name = std.mem.sliceTo(buf[name_start..@min(off, n)], 0);
+                try self.handle(ev.wd, ev.mask, name, batch, ignore, filter);
+            }
+        }
+    }
+
+    fn handle(self: *Inotify, wd: i32, mask: u32, name: []const u8, batch: *Batch, ignore: *const Ignore, filter: Filter) !void {
+        const IN = linux.IN;
+        if (mask & IN.Q_OVERFLOW != 0) {
+            batch.overflow = true;
+            return;
+        }
+        if (mask & IN.IGNORED != 0) {
+            if (self.dirs.fetchRemove(wd)) |kv| self.allocator.free(kv.value);
+            return;
+        }
+        if (name.len == 0) return;
+        const dir = self.dirs.get(wd) orelse return;
+
+        const path = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ dir, name });
+        defer self.allocator.free(path);
+        const gone = mask & (IN.DELETE | IN.MOVED_FROM) != 0;
+
+        if (mask & IN.ISDIR != 0) {
+            if (isSkippedDir(name) or ignore.isIgnored(path, true)) return;
+            if (gone) {
+                self.forgetTree(path);
+                try batch.add(path, .deleted);
+            } else {
+                try self.addTree(path, batch, ignore, filter);
+            }
+            return;
+        }
+
+        if (ignore.isIgnored(path, false) or !filter(std.fs.path.extension(name))) return;
+        try batch.add(path, if (gone) .deleted else .changed);
+    }
+};
+
+// ── Polling backend ─────────────────────────────────────────────────────────
+
+const Poller = struct {
+    const Stamp = struct { mtime: i128, generation: u32 };
+
+    allocator: Allocator,
+    /// Path (owned) → last seen mtime
+    files: std.StringHashMapUnmanaged(Stamp) = .empty,
+    generation: u32 = 0,
+
+    fn init(allocator: Allocator) Poller {
+        return .{ .allocator = allocator };
+    }
+
+    fn deinit(self: *Poller) void {
+        var it = self.files.keyIterator();
+        while (it.next()) |k| self.allocator.free(k.*);
+        self.files.deinit(self.allocator);
+    }
+
+    fn wait(self: *Poller, roots: []const []const u8, batch: *Batch, ignore: *const Ignore, filter: Filter) !void {
+        std.Thread.sleep(POLL_INTERVAL_MS * std.time.ns_per_ms);
+        if (!try self.scan(roots, batch, ignore, filter)) return;
+        const start = std.time.milliTimestamp();
+        while (std.time.milliTimestamp() - start < MAX_BATCH_MS) {
+            std.Thread.sleep(QUIET_MS * std.time.ns_per_ms);
+            if (!try self.scan(roots, batch, ignore, filter)) break;
+        }
+    }
+
+    /// Re-stat every file. Without a batch, only records the baseline.
+    /// Returns whether anything changed.
+    fn scan(self: *Poller, roots: []const []const u8, batch: ?*Batch, ignore: *const Ignore, filter: Filter) !bool {
+        self.generation +%= 1;
+        var ctx: ScanCtx = .{ .poller = self, .batch = batch, .filter = filter };
+        for (roots) |root| try walkTree(self.allocator, root, ignore, &ctx);
+
+        // Entries not seen this generation were deleted
+        var stale: std.ArrayList([]const u8) = .empty;
+        defer stale.deinit(self.allocator);
+        var it = self.files.iterator();
+        while (it.next()) |entry| {
+            if (entry.value_ptr.generation != self.generation) try stale.append(self.allocator, entry.key_ptr.*);
+        }
+        for (stale.items) |path| {
+            if (batch) |b| try b.add(path, .deleted);
+            _ = self.files.remove(path);
+            self.allocator.free(path);
+        }
+        return ctx.changed or stale.items.len > 0;
+    }
+
+    const ScanCtx = struct {
+        poller: *Poller,
+        batch: ?*Batch,
+        filter: Filter,
+        changed: bool = false,
+
+        fn onDir(_: *ScanCtx, _: []const u8) !void {}
+
+        fn onFile(ctx: *ScanCtx, path: []const u8) !void {
+            if (!ctx.filter(std.fs.path.extension(path))) return;
+            const stat = std.fs.cwd().statFile(path) catch return;
+            const self = ctx.poller;
+
+            const gop = try self.files.getOrPut(self.allocator, path);
+            if (!gop.found_existing) {
+                gop.key_ptr.* = self.allocator.dupe(u8, path) catch |err| {
+                    self.files.removeByPtr(gop.key_ptr);
+                    return err;
+                };
+            } else if (gop.value_ptr.mtime == stat.mtime) {
+                gop.value_ptr.generation = self.generation;
+                return;
+            }
+            gop.value_ptr.* = .{ .mtime = stat.mtime, .generation = self.generation };
+            if (ctx.batch) |b| {
+                try b.add(path, .changed);
+                ctx.changed = true;
+            }
+        }
+    };
+};
+
+// ── Ignore rules (.gitignore syntax) ────────────────────────────────────────
+
+pub const Ignore = struct {
+    const Rule = struct {
+        /// Directory the pattern is relative to ("" = project root)
+        base: []const u8,
+        pattern: []const u8,
+        negate: bool,
+        dir_only: bool,
+        /// Contains a slash: matched against the whole path below `base`,
+        /// otherwise against the last path component at any depth.
+        anchored: bool,
+    };
+
+    allocator: Allocator,
+    rules: std.ArrayList(Rule) = .empty,
+    /// .gitignore contents and base paths the rules point into
+    owned: std.ArrayList([]const u8) = .empty,
+
+    pub fn init(allocator: Allocator) Ignore {
+        return .{ .allocator = allocator };
+    }
+
+    pub fn deinit(self: *Ignore) void {
+        for (self.owned.items) |buf| self.allocator.free(buf);
+        self.owned.deinit(self.allocator);
+        self.rules.deinit(self.allocator);
+    }
+
+    /// Add patterns relative to `base`. The strings must outlive the Ignore.
+    pub fn addPatterns(self: *Ignore, base: []const u8, patterns: []const []const u8) !void {
+        for (patterns) |p| try self.addLine(base, p);
+    }
+
+    /// Add the rules of `<dir>/.gitignore`, if there is one.
+    pub fn addGitignore(self: *Ignore, dir: []const u8) !void {
+        const is_root = std.mem.eql(u8, dir, ".") or dir.len == 0;
+        const path = try std.fmt.allocPrint(self.allocator, "{s}/.gitignore", .{if (is_root) "." else dir});
+        defer self.allocator.free(path);
+        const contents = std.fs.cwd().readFileAlloc(self.allocator, path, 1024 * 1024) catch return;
+        self.owned.append(self.allocator, contents) catch |err| {
+            self.allocator.free(contents);
+            return err;
+        };
+
+        var base: []const u8 = "";
+        if (!is_root) {
+            base = try self.allocator.dupe(u8, dir);
+            self.owned.append(self.allocator, base) catch |err| {
+                self.allocator.free(base);
+                return err;
+            };
+        }
+        var lines = std.mem.splitScalar(u8, contents, '\n');
+        while (lines.next()) |line| try self.addLine(base, line);
+    }
+
+    fn addLine(self: *Ignore, base: []const u8, raw: []const u8) !void {
+        var line = std.mem.trimRight(u8, raw, " \t\r");
+        if (line.len == 0 or line[0] == '#') return;
+        const negate = line[0] == '!';
+        if (negate) line = line[1..];
+        const dir_only = line.len > 0 and line[line.len - 1] == '/';
+        if (dir_only) line = line[0 .. line.len - 1];
+        const anchored = std.mem.indexOfScalar(u8, line, '/') != null;
+        if (line.len > 0 and line[0] == '/') line = line[1..];
+        if (line.len == 0) return;
+        try self.rules.append(self.allocator, .{
+            .base = base,
+            .pattern = line,
+            .negate = negate,
+            .dir_only = dir_only,
+            .anchored = anchored,
+        });
+    }
+
+    /// Whether `path` (relative to the project root) is ignored. The last
+    /// matching rule wins, so `!pattern` re-includes.
+    pub fn isIgnored(self: *const Ignore, path: []const u8, is_dir: bool) bool {
+        var ignored = false;
+        for (self.rules.items) |rule| {
+            if (rule.dir_only and !is_dir) continue;
+            var sub = path;
+            if (rule.base.len > 0) {
+                if (!std.mem.startsWith(u8, path, rule.base) or path.len <= rule.base.len or path[rule.base.len] != '/') continue;
+                sub = path[rule.base.len + 1 ..];
+            }
+            const target = if (rule.anchored) sub else std.fs.path.basenamePosix(sub);
+            if (globMatch(rule.pattern, target)) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+};
+
+/// Glob match with `*` and `?` (not across '/'), `**` (across '/'),
+/// `[abc]`/`[a-z]`/`[!x]` classes and `\` escapes.
+pub fn globMatch(pattern: []const u8, text: []const u8) bool {
+    var p: usize = 0;
+    var t: usize = 0;
+    while (p < pattern.len) {
+        switch (pattern[p]) {
+            '*' => {
+                if (p + 1 < pattern.len and pattern[p + 1] == '*') {
+                    var rest = pattern[p + 2 ..];
+                    // "**/" also matches zero directories
+                    if (rest.len > 0 and rest[0] == '/') {
+                        rest = rest[1..];
+                        if (globMatch(rest, text[t..])) return true;
+                        var i = t;
+                        while (i < text.len) : (i += 1) {
+                            if (text[i] == '/' and globMatch(rest, text[i + 1 ..])) return true;
+                        }
+                        return false;
+                    }
+                    var i = t;
+                    while (i <= text.len) : (i += 1) {
+                        if (globMatch(rest, text[i..])) return true;
+                    }
+                    return false;
+                }
+                var i = t;
+                while (i <= text.len) : (i += 1) {
+                    if (globMatch(pattern[p + 1 ..], text[i..])) return true;
+                    if (i < text.len and text[i] == '/') break;
+                }
+                return false;
+            },
+            '?' => {
+                if (t >= text.len or text[t] == '/') return false;
+                p += 1;
+                t += 1;
+            },
+            '[' => {
+                const close = std.mem.indexOfScalarPos(u8, pattern, p + 1, ']') orelse {
+                    if (t >= text.len or text[t] != '[') return false;
+                    p += 1;
+                    t += 1;
+                    continue;
+                };
+                if (t >= text.len or text[t] == '/') return false;
+                var set = pattern[p + 1 .. close];
+                const negated = set.len > 0 and (set[0] == '!' or set[0] == '^');
+                if (negated) set = set[1..];
+                var hit = false;
+                var i: usize = 0;
+                while (i < set.len) : (i += 1) {
+                    if (i + 2 < set.len and set[i + 1] == '-') {
+                        if (text[t] >= set[i] and text[t] <= set[i + 2]) hit = true;
+                        i += 2;
+                    } else if (text[t] == set[i]) hit = true;
+                }
+                if (hit == negated) return false;
+                p = close + 1;
+                t += 1;
+            },
+            '\\' => {
+                if (p + 1 >= pattern.len or t >= text.len or text[t] != pattern[p + 1]) return false;
+                p += 2;
+                t += 1;
+            },
+            else => |c| {
+                if (t >= text.len or text[t] != c) return false;
+                p += 1;
+                t += 1;
+            },
+        }
+    }
+    return t == text.len;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+test "globMatch" {
+    try std.testing.expect(globMatch("*.log", "debug.log"));
+    try std.testing.expect(!globMatch("*.log", "logs/debug.log"));
+    try std.testing.expect(globMatch("**/*.log", "logs/debug.log"));
+    try std.testing.expect(globMatch("**/*.log", "debug.log"));
+    try std.testing.expect(globMatch("src/**", "src/a/b.js"));
+    try std.testing.expect(globMatch("a/**/b", "a/x/y/b"));
+    try std.testing.expect(globMatch("a/**/b", "a/b"));
+    try std.testing.expect(globMatch("file?.js", "file1.js"));
+    try std.testing.expect(globMatch("[a-c]at", "bat"));
+    try std.testing.expect(!globMatch("[!a-c]at", "bat"));
+    try std.testing.expect(!globMatch("*.js", "a.jsx"));
+}
+
+test "Ignore follows gitignore rules" {
+    var ignore = Ignore.init(std.testing.allocator);
+    defer ignore.deinit();
+    try ignore.addPatterns("", &.{ "# comment", "*.log", "!keep.log", "/generated/", "tmp" });
+    try ignore.addPatterns("mf-hero", &.{"fixtures/"});
+
+    try std.testing.expect(ignore.isIgnored("mf-hero/src/debug.log", false));
+    try std.testing.expect(!ignore.isIgnored("mf-hero/keep.log", false));
+    try std.testing.expect(ignore.isIgnored("generated", true));
+    try std.testing.expect(!ignore.isIgnored("mf-hero/generated", true));
+    try std.testing.expect(ignore.isIgnored("mf-hero/src/tmp", true));
+    try std.testing.expect(ignore.isIgnored("mf-hero/fixtures", true));
+    try std.testing.expect(!ignore.isIgnored("mf-hero/fixtures", false));
+    try std.testing.expect(!ignore.isIgnored("mf-cart/fixtures", true));
+    try std.testing.expect(!ignore.isIgnored("mf-hero/src/App.jsx", false));
+}
+
+test "Batch deduplicates paths" {
+    var batch = Batch.init(std.testing.allocator);
+    defer batch.deinit();
+    try batch.add("a/x.js", .changed);
+    try batch.add("a/y.js", .changed);
+    try batch.add("a/x.js", .deleted);
+    try std.testing.expectEqual(@as(usize, 2), batch.changes.items.len);
+    try std.testing.expectEqual(Kind.deleted, batch.changes.items[0].kind);
+    batch.clear();
+    try std.testing.expect(batch.isEmpty());
+}
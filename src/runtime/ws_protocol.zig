@@ -5,6 +5,9 @@
 //
 // Used for bidirectional HMR: server pushes updates, browser can
 // report cached modules, request specific reloads, etc.
+//
+// wss:// (wu dev --https) is the same protocol inside TLS: dev_server.zig
+// terminates TLS before any bytes reach this file.
 
 const std = @import("std");
 const mem = std.mem;